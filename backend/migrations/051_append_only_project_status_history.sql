@@ -0,0 +1,18 @@
+-- Migration: Make project_status_history an append-only transition log
+-- Date: 2025-02-24
+-- Description: Every status change is stored as its own row (sold -> cancelled -> sold keeps both sales).
+-- Each row records the previous status, the acting employee and an optional reason.
+
+-- Drop the one-row-per-status uniqueness that the old upsert relied on
+ALTER TABLE project_status_history DROP CONSTRAINT IF EXISTS project_status_history_project_id_status_key;
+DROP INDEX IF EXISTS project_status_history_project_id_status_key;
+DROP INDEX IF EXISTS idx_project_status_history_project_status;
+
+ALTER TABLE project_status_history ADD COLUMN IF NOT EXISTS previous_status VARCHAR(50);
+ALTER TABLE project_status_history ADD COLUMN IF NOT EXISTS changed_by UUID REFERENCES employees(id) ON DELETE SET NULL;
+ALTER TABLE project_status_history ADD COLUMN IF NOT EXISTS reason TEXT;
+
+CREATE INDEX IF NOT EXISTS idx_project_status_history_project_changed_at
+    ON project_status_history(project_id, changed_at);
+CREATE INDEX IF NOT EXISTS idx_project_status_history_company_status_changed_at
+    ON project_status_history(company_id, status, changed_at);
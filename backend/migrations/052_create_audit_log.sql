@@ -0,0 +1,27 @@
+-- Migration: Create audit_log table
+-- Date: 2025-02-25
+-- Description: One row per mutating API call (who, which company, which entity, what changed).
+-- `changes` holds a field-level diff: { field: { before, after } }.
+
+CREATE TABLE IF NOT EXISTS audit_log (
+    id UUID PRIMARY KEY DEFAULT gen_random_uuid(),
+    company_id TEXT NOT NULL REFERENCES companies(company_id) ON DELETE CASCADE,
+    actor_user_id UUID,
+    actor_employee_id UUID REFERENCES employees(id) ON DELETE SET NULL,
+    -- Name/email are copied so entries stay readable after the employee is removed
+    actor_name VARCHAR(255),
+    actor_email VARCHAR(255),
+    entity_type VARCHAR(50) NOT NULL,
+    entity_id TEXT,
+    action VARCHAR(20) NOT NULL CHECK (action IN ('create', 'update', 'delete')),
+    changes JSONB NOT NULL DEFAULT '{}'::jsonb,
+    metadata JSONB,
+    created_at TIMESTAMPTZ DEFAULT NOW()
+);
+
+CREATE INDEX IF NOT EXISTS idx_audit_log_company_created_at ON audit_log(company_id, created_at DESC);
+CREATE INDEX IF NOT EXISTS idx_audit_log_entity ON audit_log(company_id, entity_type, entity_id);
+CREATE INDEX IF NOT EXISTS idx_audit_log_actor ON audit_log(actor_employee_id);
+
+-- Only the backend (service role) reads and writes the audit log
+ALTER TABLE audit_log ENABLE ROW LEVEL SECURITY;
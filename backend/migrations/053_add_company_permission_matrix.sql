@@ -0,0 +1,7 @@
+-- Migration: Add per-company permission matrix
+-- Date: 2025-02-26
+-- Description: Maps user types (manager, employee) and roles (project_manager, sales, office_staff, other)
+-- to permission keys, e.g. { "user_types": { "manager": ["view_costs", ...] }, "roles": { "sales": ["send_esign"] } }.
+-- NULL means the built-in defaults in backend/services/permissions.js. Admins and owners always have every permission.
+
+ALTER TABLE companies ADD COLUMN IF NOT EXISTS permission_matrix JSONB;
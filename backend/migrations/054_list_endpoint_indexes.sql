@@ -0,0 +1,18 @@
+-- Migration: Indexes for paged list endpoints
+-- Date: 2025-02-27
+-- Description: GET /api/customers, /projects, /inventory, /subcontractors and /employees now page,
+-- filter and sort on the server (see backend/services/listQuery.js). Cover the default
+-- newest-first ordering and the status filters so large companies don't scan the whole table.
+
+CREATE INDEX IF NOT EXISTS idx_customers_company_created_at ON customers(company_id, created_at DESC);
+CREATE INDEX IF NOT EXISTS idx_customers_company_pipeline_status ON customers(company_id, pipeline_status);
+
+CREATE INDEX IF NOT EXISTS idx_projects_company_created_at ON projects(company_id, created_at DESC);
+CREATE INDEX IF NOT EXISTS idx_projects_company_status ON projects(company_id, status);
+CREATE INDEX IF NOT EXISTS idx_projects_customer_id ON projects(customer_id);
+
+CREATE INDEX IF NOT EXISTS idx_inventory_company_type_created_at ON inventory(company_id, type, created_at DESC);
+
+CREATE INDEX IF NOT EXISTS idx_subcontractors_company_created_at ON subcontractors(company_id, created_at DESC);
+
+CREATE INDEX IF NOT EXISTS idx_employees_company_created_at ON employees(company_id, created_at DESC);
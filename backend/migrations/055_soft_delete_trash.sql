@@ -0,0 +1,40 @@
+-- Migration: Soft delete (Trash) for customers, projects and documents
+-- Date: 2025-02-28
+-- Description: DELETE on customers, projects and document metadata rows now sets deleted_at instead of
+-- removing the row, so the record (and everything that cascades from it) can be restored from the
+-- company Trash. Rows are purged for real after companies.trash_retention_days (see backend/services/trash.js).
+
+ALTER TABLE customers ADD COLUMN IF NOT EXISTS deleted_at TIMESTAMPTZ;
+ALTER TABLE customers ADD COLUMN IF NOT EXISTS deleted_by UUID REFERENCES employees(id) ON DELETE SET NULL;
+
+ALTER TABLE projects ADD COLUMN IF NOT EXISTS deleted_at TIMESTAMPTZ;
+ALTER TABLE projects ADD COLUMN IF NOT EXISTS deleted_by UUID REFERENCES employees(id) ON DELETE SET NULL;
+
+ALTER TABLE project_documents ADD COLUMN IF NOT EXISTS deleted_at TIMESTAMPTZ;
+ALTER TABLE project_documents ADD COLUMN IF NOT EXISTS deleted_by UUID REFERENCES employees(id) ON DELETE SET NULL;
+
+ALTER TABLE customer_documents ADD COLUMN IF NOT EXISTS deleted_at TIMESTAMPTZ;
+ALTER TABLE customer_documents ADD COLUMN IF NOT EXISTS deleted_by UUID REFERENCES employees(id) ON DELETE SET NULL;
+
+ALTER TABLE subcontractor_documents ADD COLUMN IF NOT EXISTS deleted_at TIMESTAMPTZ;
+ALTER TABLE subcontractor_documents ADD COLUMN IF NOT EXISTS deleted_by UUID REFERENCES employees(id) ON DELETE SET NULL;
+
+ALTER TABLE inventory_documents ADD COLUMN IF NOT EXISTS deleted_at TIMESTAMPTZ;
+ALTER TABLE inventory_documents ADD COLUMN IF NOT EXISTS deleted_by UUID REFERENCES employees(id) ON DELETE SET NULL;
+
+-- Days a trashed record is kept before the automatic purge
+ALTER TABLE companies ADD COLUMN IF NOT EXISTS trash_retention_days INTEGER NOT NULL DEFAULT 30
+    CHECK (trash_retention_days BETWEEN 1 AND 365);
+
+-- Trash listing and the purge job only ever look at trashed rows
+CREATE INDEX IF NOT EXISTS idx_customers_trash ON customers(company_id, deleted_at) WHERE deleted_at IS NOT NULL;
+CREATE INDEX IF NOT EXISTS idx_projects_trash ON projects(company_id, deleted_at) WHERE deleted_at IS NOT NULL;
+CREATE INDEX IF NOT EXISTS idx_project_documents_trash ON project_documents(company_id, deleted_at) WHERE deleted_at IS NOT NULL;
+CREATE INDEX IF NOT EXISTS idx_customer_documents_trash ON customer_documents(company_id, deleted_at) WHERE deleted_at IS NOT NULL;
+CREATE INDEX IF NOT EXISTS idx_subcontractor_documents_trash ON subcontractor_documents(company_id, deleted_at) WHERE deleted_at IS NOT NULL;
+CREATE INDEX IF NOT EXISTS idx_inventory_documents_trash ON inventory_documents(company_id, deleted_at) WHERE deleted_at IS NOT NULL;
+
+-- Audit entries for restoring and permanently purging trashed records
+ALTER TABLE audit_log DROP CONSTRAINT IF EXISTS audit_log_action_check;
+ALTER TABLE audit_log ADD CONSTRAINT audit_log_action_check
+    CHECK (action IN ('create', 'update', 'delete', 'restore', 'purge'));
@@ -0,0 +1,27 @@
+-- Migration: Customer self-service portal links
+-- Date: 2025-03-01
+-- Description: Staff generate an expiring magic link per customer (Customers tab). The link opens the public
+-- /portal page without a Supabase account. Only a SHA-256 hash of the token is stored; the raw token is
+-- shown once when the link is created. See backend/services/customerPortal.js.
+
+CREATE TABLE IF NOT EXISTS customer_portal_links (
+    id UUID PRIMARY KEY DEFAULT gen_random_uuid(),
+    company_id TEXT NOT NULL REFERENCES companies(company_id) ON DELETE CASCADE,
+    customer_id UUID NOT NULL REFERENCES customers(id) ON DELETE CASCADE,
+    token_hash TEXT NOT NULL UNIQUE,
+    expires_at TIMESTAMPTZ NOT NULL,
+    revoked_at TIMESTAMPTZ,
+    created_by UUID REFERENCES employees(id) ON DELETE SET NULL,
+    last_accessed_at TIMESTAMPTZ,
+    access_count INTEGER NOT NULL DEFAULT 0,
+    created_at TIMESTAMPTZ DEFAULT NOW()
+);
+
+CREATE INDEX IF NOT EXISTS idx_customer_portal_links_customer ON customer_portal_links(company_id, customer_id, created_at DESC);
+
+-- Only the backend (service role) reads and writes portal links
+ALTER TABLE customer_portal_links ENABLE ROW LEVEL SECURITY;
+
+-- Proposals, contracts and change orders always show in the portal; anything else (photos, permits, ...)
+-- only when staff share it
+ALTER TABLE project_documents ADD COLUMN IF NOT EXISTS shared_with_customer BOOLEAN NOT NULL DEFAULT FALSE;
@@ -0,0 +1,66 @@
+-- Migration: Invoices and payments received
+-- Date: 2025-03-02
+-- Description: Invoices bill one or more milestones of a project. Invoice numbers are sequential per company
+-- (companies.next_invoice_number, separate from document numbers). Payments (check, ACH, card, cash) are
+-- recorded against an invoice and may be partial; invoices.amount_paid and status are kept in sync by
+-- backend/services/invoices.js.
+
+ALTER TABLE companies ADD COLUMN IF NOT EXISTS next_invoice_number INTEGER NOT NULL DEFAULT 1;
+
+CREATE TABLE IF NOT EXISTS invoices (
+    id UUID PRIMARY KEY DEFAULT gen_random_uuid(),
+    company_id TEXT NOT NULL REFERENCES companies(company_id) ON DELETE CASCADE,
+    project_id UUID NOT NULL REFERENCES projects(id) ON DELETE CASCADE,
+    invoice_number INTEGER NOT NULL,
+    invoice_date DATE NOT NULL DEFAULT CURRENT_DATE,
+    due_date DATE,
+    status VARCHAR(20) NOT NULL DEFAULT 'open' CHECK (status IN ('open', 'partial', 'paid', 'void')),
+    total DECIMAL(12, 2) NOT NULL DEFAULT 0,
+    amount_paid DECIMAL(12, 2) NOT NULL DEFAULT 0,
+    notes TEXT,
+    created_by UUID REFERENCES employees(id) ON DELETE SET NULL,
+    voided_at TIMESTAMPTZ,
+    created_at TIMESTAMPTZ DEFAULT NOW(),
+    updated_at TIMESTAMPTZ DEFAULT NOW(),
+    UNIQUE (company_id, invoice_number)
+);
+
+CREATE INDEX IF NOT EXISTS idx_invoices_project ON invoices(company_id, project_id, invoice_date DESC);
+CREATE INDEX IF NOT EXISTS idx_invoices_open ON invoices(company_id, due_date) WHERE status IN ('open', 'partial');
+
+-- Line items copy the milestone name and price at billing time. Payment schedules are saved in place
+-- (invoices.saveMilestoneSchedule), and a billed milestone can't be removed or repriced until its invoice is voided.
+CREATE TABLE IF NOT EXISTS invoice_items (
+    id UUID PRIMARY KEY DEFAULT gen_random_uuid(),
+    company_id TEXT NOT NULL REFERENCES companies(company_id) ON DELETE CASCADE,
+    invoice_id UUID NOT NULL REFERENCES invoices(id) ON DELETE CASCADE,
+    milestone_id UUID REFERENCES milestones(id) ON DELETE SET NULL,
+    description VARCHAR(255) NOT NULL,
+    amount DECIMAL(12, 2) NOT NULL DEFAULT 0,
+    sort_order INTEGER DEFAULT 0,
+    created_at TIMESTAMPTZ DEFAULT NOW()
+);
+
+CREATE INDEX IF NOT EXISTS idx_invoice_items_invoice ON invoice_items(invoice_id);
+CREATE INDEX IF NOT EXISTS idx_invoice_items_milestone ON invoice_items(milestone_id) WHERE milestone_id IS NOT NULL;
+
+CREATE TABLE IF NOT EXISTS invoice_payments (
+    id UUID PRIMARY KEY DEFAULT gen_random_uuid(),
+    company_id TEXT NOT NULL REFERENCES companies(company_id) ON DELETE CASCADE,
+    invoice_id UUID NOT NULL REFERENCES invoices(id) ON DELETE CASCADE,
+    amount DECIMAL(12, 2) NOT NULL CHECK (amount > 0),
+    method VARCHAR(20) NOT NULL CHECK (method IN ('check', 'ach', 'card', 'cash')),
+    reference VARCHAR(100),
+    paid_on DATE NOT NULL DEFAULT CURRENT_DATE,
+    notes TEXT,
+    recorded_by UUID REFERENCES employees(id) ON DELETE SET NULL,
+    created_at TIMESTAMPTZ DEFAULT NOW()
+);
+
+CREATE INDEX IF NOT EXISTS idx_invoice_payments_invoice ON invoice_payments(invoice_id);
+CREATE INDEX IF NOT EXISTS idx_invoice_payments_company_date ON invoice_payments(company_id, paid_on);
+
+-- Only the backend (service role) reads and writes billing data
+ALTER TABLE invoices ENABLE ROW LEVEL SECURITY;
+ALTER TABLE invoice_items ENABLE ROW LEVEL SECURITY;
+ALTER TABLE invoice_payments ENABLE ROW LEVEL SECURITY;
@@ -0,0 +1,40 @@
+-- Migration: Overdue invoice reminders
+-- Date: 2025-03-03
+-- Description: A scheduled job texts (Infobip) and emails (EmailJS) customers about overdue invoices.
+-- Companies opt in and choose how often an invoice is re-reminded; customers can opt out per channel.
+-- Scheduled reminders only go out during the day in the company's reminder time zone.
+-- Every attempt, including skipped and failed ones, is written to payment_reminders.
+-- See backend/services/receivables.js.
+
+ALTER TABLE companies ADD COLUMN IF NOT EXISTS payment_reminders_enabled BOOLEAN NOT NULL DEFAULT FALSE;
+ALTER TABLE companies ADD COLUMN IF NOT EXISTS payment_reminder_interval_days INTEGER NOT NULL DEFAULT 7
+    CHECK (payment_reminder_interval_days BETWEEN 1 AND 90);
+ALTER TABLE companies ADD COLUMN IF NOT EXISTS payment_reminder_time_zone VARCHAR(64) NOT NULL DEFAULT 'America/New_York';
+
+ALTER TABLE customers ADD COLUMN IF NOT EXISTS reminder_sms_opt_out BOOLEAN NOT NULL DEFAULT FALSE;
+ALTER TABLE customers ADD COLUMN IF NOT EXISTS reminder_email_opt_out BOOLEAN NOT NULL DEFAULT FALSE;
+
+ALTER TABLE invoices ADD COLUMN IF NOT EXISTS last_reminder_at TIMESTAMPTZ;
+
+CREATE TABLE IF NOT EXISTS payment_reminders (
+    id UUID PRIMARY KEY DEFAULT gen_random_uuid(),
+    company_id TEXT NOT NULL REFERENCES companies(company_id) ON DELETE CASCADE,
+    invoice_id UUID NOT NULL REFERENCES invoices(id) ON DELETE CASCADE,
+    customer_id UUID REFERENCES customers(id) ON DELETE SET NULL,
+    channel VARCHAR(10) NOT NULL CHECK (channel IN ('sms', 'email')),
+    recipient VARCHAR(255),
+    status VARCHAR(10) NOT NULL CHECK (status IN ('sent', 'failed', 'skipped')),
+    detail TEXT,
+    message TEXT,
+    days_overdue INTEGER,
+    balance_due DECIMAL(12, 2),
+    -- NULL when sent by the scheduled job
+    sent_by UUID REFERENCES employees(id) ON DELETE SET NULL,
+    created_at TIMESTAMPTZ DEFAULT NOW()
+);
+
+CREATE INDEX IF NOT EXISTS idx_payment_reminders_company ON payment_reminders(company_id, created_at DESC);
+CREATE INDEX IF NOT EXISTS idx_payment_reminders_invoice ON payment_reminders(invoice_id, created_at DESC);
+
+-- Only the backend (service role) reads and writes the reminder log
+ALTER TABLE payment_reminders ENABLE ROW LEVEL SECURITY;
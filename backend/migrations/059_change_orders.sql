@@ -0,0 +1,48 @@
+-- Migration: Change orders
+-- Date: 2025-03-04
+-- Description: Change orders become their own records (draft -> sent -> approved / rejected) numbered per project.
+-- Each one amends a contract document with a price delta and a schedule delta in days. Approving one (by hand or
+-- when its document's e-signature completes) moves the project's contracted total:
+--   projects.customer_price = projects.original_contract_price + sum of approved price deltas
+-- and projects.schedule_extension_days = sum of approved schedule deltas.
+-- See backend/services/changeOrders.js.
+
+-- The contract price before any change orders (set when the contract/proposal payment schedule is saved)
+ALTER TABLE projects ADD COLUMN IF NOT EXISTS original_contract_price DECIMAL(12, 2);
+ALTER TABLE projects ADD COLUMN IF NOT EXISTS schedule_extension_days INTEGER NOT NULL DEFAULT 0;
+
+UPDATE projects SET original_contract_price = customer_price
+WHERE original_contract_price IS NULL AND customer_price IS NOT NULL;
+
+CREATE TABLE IF NOT EXISTS change_orders (
+    id UUID PRIMARY KEY DEFAULT gen_random_uuid(),
+    company_id TEXT NOT NULL REFERENCES companies(company_id) ON DELETE CASCADE,
+    project_id UUID NOT NULL REFERENCES projects(id) ON DELETE CASCADE,
+    change_order_number INTEGER NOT NULL,
+    title VARCHAR(255) NOT NULL,
+    description TEXT,
+    status VARCHAR(20) NOT NULL DEFAULT 'draft' CHECK (status IN ('draft', 'sent', 'approved', 'rejected')),
+    -- Contract document being amended, and the change order's own generated document (sent for e-signature)
+    contract_document_id UUID REFERENCES project_documents(id) ON DELETE SET NULL,
+    document_id UUID REFERENCES project_documents(id) ON DELETE SET NULL,
+    -- Deltas may be negative (credits, shortened schedule)
+    price_delta DECIMAL(12, 2) NOT NULL DEFAULT 0,
+    schedule_delta_days INTEGER NOT NULL DEFAULT 0,
+    sent_at TIMESTAMPTZ,
+    decided_at TIMESTAMPTZ,
+    -- NULL when decided by e-signature
+    decided_by UUID REFERENCES employees(id) ON DELETE SET NULL,
+    decided_via VARCHAR(10) CHECK (decided_via IN ('manual', 'esign')),
+    decision_note TEXT,
+    created_by UUID REFERENCES employees(id) ON DELETE SET NULL,
+    created_at TIMESTAMPTZ DEFAULT NOW(),
+    updated_at TIMESTAMPTZ DEFAULT NOW(),
+    UNIQUE (project_id, change_order_number)
+);
+
+CREATE INDEX IF NOT EXISTS idx_change_orders_project ON change_orders(company_id, project_id, change_order_number);
+-- A document is one change order's; the e-sign webhook finds the change order by it
+CREATE UNIQUE INDEX IF NOT EXISTS idx_change_orders_document ON change_orders(document_id) WHERE document_id IS NOT NULL;
+
+-- Only the backend (service role) reads and writes change orders
+ALTER TABLE change_orders ENABLE ROW LEVEL SECURITY;
@@ -0,0 +1,39 @@
+-- Migration: Document snapshots
+-- Date: 2025-03-05
+-- Description: Freeze what a generated/uploaded proposal, contract or change order said when it was created.
+-- The live rows only ever describe the current draft: payment schedules are edited in place
+-- (invoices.saveMilestoneSchedule) and scope of work is deleted and re-inserted per document type on every save.
+-- Each project_documents row of those types gets one snapshot (milestones, scope tree, totals, company terms,
+-- customer info) that can never be updated, so it keeps what was sent after the draft changes. Signed copies
+-- share the snapshot of the document that was sent. See backend/services/documentSnapshots.js.
+
+CREATE TABLE IF NOT EXISTS document_snapshots (
+    id UUID PRIMARY KEY DEFAULT gen_random_uuid(),
+    company_id TEXT NOT NULL REFERENCES companies(company_id) ON DELETE CASCADE,
+    project_id UUID NOT NULL REFERENCES projects(id) ON DELETE CASCADE,
+    document_id UUID NOT NULL UNIQUE REFERENCES project_documents(id) ON DELETE CASCADE,
+    document_type VARCHAR(50) NOT NULL,
+    -- { milestones, scopeOfWork (tree), totals, company, customer, project }
+    snapshot JSONB NOT NULL,
+    created_by UUID REFERENCES employees(id) ON DELETE SET NULL,
+    created_at TIMESTAMPTZ DEFAULT NOW()
+);
+
+CREATE INDEX IF NOT EXISTS idx_document_snapshots_project ON document_snapshots(company_id, project_id, created_at);
+
+-- Snapshots are write-once; rows only go away with their document
+CREATE OR REPLACE FUNCTION prevent_document_snapshot_update()
+RETURNS TRIGGER AS $$
+BEGIN
+    RAISE EXCEPTION 'document snapshots are immutable';
+END;
+$$ LANGUAGE plpgsql;
+
+DROP TRIGGER IF EXISTS document_snapshots_immutable ON document_snapshots;
+CREATE TRIGGER document_snapshots_immutable
+    BEFORE UPDATE ON document_snapshots
+    FOR EACH ROW
+    EXECUTE FUNCTION prevent_document_snapshot_update();
+
+-- Only the backend (service role) reads and writes document snapshots
+ALTER TABLE document_snapshots ENABLE ROW LEVEL SECURITY;
@@ -0,0 +1,34 @@
+-- Migration: Contract clause library
+-- Date: 2025-03-06
+-- Description: Company-managed clauses (warranty, excavation conditions, soils, permits, cancellation rights, ...)
+-- with merge fields such as {{customer.last_name}}, and an ordered clause set per document type (proposal,
+-- contract, change order). Clauses render under TERMS & CONDITIONS ahead of companies.terms_of_service (006).
+-- See backend/services/contractClauses.js and backend/pdf/mergeFields.js.
+
+CREATE TABLE IF NOT EXISTS contract_clauses (
+    id UUID PRIMARY KEY DEFAULT gen_random_uuid(),
+    company_id TEXT NOT NULL REFERENCES companies(company_id) ON DELETE CASCADE,
+    title VARCHAR(255) NOT NULL,
+    body TEXT NOT NULL,
+    created_by UUID REFERENCES employees(id) ON DELETE SET NULL,
+    created_at TIMESTAMPTZ DEFAULT NOW(),
+    updated_at TIMESTAMPTZ DEFAULT NOW()
+);
+
+CREATE INDEX IF NOT EXISTS idx_contract_clauses_company ON contract_clauses(company_id, title);
+
+-- Which clauses each document type includes, in print order
+CREATE TABLE IF NOT EXISTS document_clause_layouts (
+    id UUID PRIMARY KEY DEFAULT gen_random_uuid(),
+    company_id TEXT NOT NULL REFERENCES companies(company_id) ON DELETE CASCADE,
+    document_type VARCHAR(20) NOT NULL CHECK (document_type IN ('proposal', 'contract', 'change_order')),
+    clause_id UUID NOT NULL REFERENCES contract_clauses(id) ON DELETE CASCADE,
+    sort_order INTEGER NOT NULL DEFAULT 0,
+    UNIQUE (company_id, document_type, clause_id)
+);
+
+CREATE INDEX IF NOT EXISTS idx_document_clause_layouts_type ON document_clause_layouts(company_id, document_type, sort_order);
+
+-- Only the backend (service role) reads and writes clauses and layouts
+ALTER TABLE contract_clauses ENABLE ROW LEVEL SECURITY;
+ALTER TABLE document_clause_layouts ENABLE ROW LEVEL SECURITY;
@@ -0,0 +1,31 @@
+-- Migration: Proposal option packages
+-- Date: 2025-03-07
+-- Description: Good/better/best packages on proposals (e.g. base pool; pool + spa; pool + spa + automation and
+-- lighting). Each option has its own payment milestones and scope items, and its price is the sum of its
+-- milestones. Options render side by side in the proposal PDF. The customer's choice is recorded on the proposal
+-- document (by staff or from the customer portal); once that proposal is signed, the chosen option's milestones
+-- and scope replace the project's contract milestones and scope. See backend/services/proposalOptions.js.
+
+CREATE TABLE IF NOT EXISTS proposal_options (
+    id UUID PRIMARY KEY DEFAULT gen_random_uuid(),
+    company_id TEXT NOT NULL REFERENCES companies(company_id) ON DELETE CASCADE,
+    project_id UUID NOT NULL REFERENCES projects(id) ON DELETE CASCADE,
+    name VARCHAR(255) NOT NULL,
+    description TEXT,
+    -- [{ name, customer_price }] in payment order
+    milestones JSONB NOT NULL DEFAULT '[]'::jsonb,
+    -- [{ title, description }] in print order
+    scope_of_work JSONB NOT NULL DEFAULT '[]'::jsonb,
+    sort_order INTEGER NOT NULL DEFAULT 0,
+    created_at TIMESTAMPTZ DEFAULT NOW(),
+    updated_at TIMESTAMPTZ DEFAULT NOW()
+);
+
+CREATE INDEX IF NOT EXISTS idx_proposal_options_project ON proposal_options(project_id, sort_order);
+
+-- The option the customer chose on a proposal, and when it was carried into the contract (once per proposal)
+ALTER TABLE project_documents ADD COLUMN IF NOT EXISTS selected_option_id UUID REFERENCES proposal_options(id) ON DELETE SET NULL;
+ALTER TABLE project_documents ADD COLUMN IF NOT EXISTS option_applied_at TIMESTAMPTZ;
+
+-- Only the backend (service role) reads and writes proposal options
+ALTER TABLE proposal_options ENABLE ROW LEVEL SECURITY;
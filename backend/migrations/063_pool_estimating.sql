@@ -0,0 +1,47 @@
+-- Migration: Pool specs and estimating
+-- Date: 2025-03-10
+-- Description: A structured pool spec per project (shape, dimensions, depths, spa, raised walls, tile and coping
+-- footage, equipment) replaces guessing from sq_feet and accessories_features. The estimating engine turns the
+-- spec into quantities (excavation and gunite cubic yards, plaster square feet, tile and coping linear feet, raised
+-- wall square feet) and prices them from the company's estimating rates: a rate either points at an inventory item
+-- (priced at its unit_price, added as a project material) or is a flat unit cost (added as an additional expense).
+-- Applied estimate lines are tagged with pool_estimate_key so re-estimating replaces them without touching lines
+-- that already have actual costs. See backend/services/poolEstimating.js.
+
+CREATE TABLE IF NOT EXISTS project_pool_specs (
+    project_id UUID PRIMARY KEY REFERENCES projects(id) ON DELETE CASCADE,
+    company_id TEXT NOT NULL REFERENCES companies(company_id) ON DELETE CASCADE,
+    shape VARCHAR(20) NOT NULL DEFAULT 'rectangle'
+        CHECK (shape IN ('rectangle', 'l_shape', 'kidney', 'freeform', 'oval')),
+    -- Feet; length and width are the bounding box for non-rectangular shapes
+    length_ft NUMERIC(6, 2) NOT NULL DEFAULT 0,
+    width_ft NUMERIC(6, 2) NOT NULL DEFAULT 0,
+    shallow_depth_ft NUMERIC(5, 2) NOT NULL DEFAULT 0,
+    deep_depth_ft NUMERIC(5, 2) NOT NULL DEFAULT 0,
+    has_spa BOOLEAN NOT NULL DEFAULT FALSE,
+    spa_length_ft NUMERIC(5, 2),
+    spa_width_ft NUMERIC(5, 2),
+    spa_depth_ft NUMERIC(5, 2),
+    raised_wall_length_ft NUMERIC(6, 2),
+    raised_wall_height_ft NUMERIC(5, 2),
+    -- NULL means "use the pool (and spa) perimeter"
+    tile_linear_ft NUMERIC(7, 2),
+    coping_linear_ft NUMERIC(7, 2),
+    -- [{ inventory_id, quantity }] equipment items from inventory
+    equipment JSONB NOT NULL DEFAULT '[]'::jsonb,
+    created_at TIMESTAMPTZ DEFAULT NOW(),
+    updated_at TIMESTAMPTZ DEFAULT NOW()
+);
+
+CREATE INDEX IF NOT EXISTS idx_project_pool_specs_company ON project_pool_specs(company_id);
+
+-- { [quantity key]: { inventory_id, unit_cost } }; inventory_id wins when both are set
+ALTER TABLE companies ADD COLUMN IF NOT EXISTS estimating_rates JSONB NOT NULL DEFAULT '{}'::jsonb;
+
+-- Which estimate line an expense row came from (NULL for lines entered by hand)
+ALTER TABLE project_materials ADD COLUMN IF NOT EXISTS pool_estimate_key VARCHAR(60);
+ALTER TABLE project_equipment ADD COLUMN IF NOT EXISTS pool_estimate_key VARCHAR(60);
+ALTER TABLE project_additional_expenses ADD COLUMN IF NOT EXISTS pool_estimate_key VARCHAR(60);
+
+-- Only the backend (service role) reads and writes pool specs
+ALTER TABLE project_pool_specs ENABLE ROW LEVEL SECURITY;
@@ -0,0 +1,67 @@
+-- Migration: Inventory stock ledger
+-- Date: 2025-03-12
+-- Description: inventory.stock becomes the running total of a movement ledger instead of a hand-edited number.
+-- Movements are receipts (stock in), allocations to projects (stock out), returns from projects (stock back in)
+-- and adjustments (counts and corrections). A project material or equipment row with an inventory item allocates
+-- its quantity once it has a date_received; changing or deleting the row returns or allocates the difference.
+-- The trigger below applies every movement to inventory.stock, so the two can't drift apart.
+-- See backend/services/inventoryLedger.js.
+
+-- Fractional quantities (cubic yards, linear feet) are allocated from stock
+ALTER TABLE inventory ALTER COLUMN stock TYPE NUMERIC(12, 2);
+
+CREATE TABLE IF NOT EXISTS inventory_movements (
+    id UUID PRIMARY KEY DEFAULT gen_random_uuid(),
+    company_id TEXT NOT NULL REFERENCES companies(company_id) ON DELETE CASCADE,
+    inventory_id UUID NOT NULL REFERENCES inventory(id) ON DELETE CASCADE,
+    movement_type VARCHAR(20) NOT NULL CHECK (movement_type IN ('receipt', 'allocation', 'return', 'adjustment')),
+    -- Signed change to stock: receipts and returns are positive, allocations negative, adjustments either
+    quantity NUMERIC(12, 2) NOT NULL CHECK (quantity <> 0),
+    project_id UUID REFERENCES projects(id) ON DELETE SET NULL,
+    -- The project row that caused an automatic allocation or return
+    source_table VARCHAR(30) CHECK (source_table IN ('project_materials', 'project_equipment')),
+    source_id UUID,
+    note TEXT,
+    created_by UUID REFERENCES employees(id) ON DELETE SET NULL,
+    created_at TIMESTAMPTZ DEFAULT NOW()
+);
+
+CREATE INDEX IF NOT EXISTS idx_inventory_movements_item ON inventory_movements(inventory_id, created_at);
+CREATE INDEX IF NOT EXISTS idx_inventory_movements_source ON inventory_movements(source_table, source_id);
+
+-- Opening balance for existing stock (before the trigger, so it isn't counted twice)
+INSERT INTO inventory_movements (company_id, inventory_id, movement_type, quantity, note)
+SELECT company_id, id, 'adjustment', stock, 'Opening balance'
+FROM inventory
+WHERE stock IS NOT NULL AND stock <> 0;
+
+CREATE OR REPLACE FUNCTION apply_inventory_movement()
+RETURNS TRIGGER AS $$
+BEGIN
+    UPDATE inventory
+    SET stock = COALESCE(stock, 0) + NEW.quantity, updated_at = NOW()
+    WHERE id = NEW.inventory_id;
+    RETURN NEW;
+END;
+$$ LANGUAGE plpgsql;
+
+DROP TRIGGER IF EXISTS inventory_movements_apply ON inventory_movements;
+CREATE TRIGGER inventory_movements_apply
+    AFTER INSERT ON inventory_movements
+    FOR EACH ROW EXECUTE FUNCTION apply_inventory_movement();
+
+-- The ledger is append-only; corrections are new adjustment movements
+CREATE OR REPLACE FUNCTION prevent_inventory_movement_change()
+RETURNS TRIGGER AS $$
+BEGIN
+    RAISE EXCEPTION 'Inventory movements are append-only';
+END;
+$$ LANGUAGE plpgsql;
+
+DROP TRIGGER IF EXISTS inventory_movements_append_only ON inventory_movements;
+CREATE TRIGGER inventory_movements_append_only
+    BEFORE UPDATE ON inventory_movements
+    FOR EACH ROW EXECUTE FUNCTION prevent_inventory_movement_change();
+
+-- Only the backend (service role) reads and writes inventory movements
+ALTER TABLE inventory_movements ENABLE ROW LEVEL SECURITY;
@@ -0,0 +1,14 @@
+-- Migration: Inventory reorder points
+-- Date: 2025-03-13
+-- Description: Per-item minimum level (reorder_point) and the usual quantity to order when stock falls to it
+-- (reorder_quantity). The reorder report compares each item's stock, less what upcoming projects have committed in
+-- project_materials but not yet received, against its reorder point. Items without a reorder point only show up
+-- when commitments exceed stock. See getReorderReport in backend/services/inventoryLedger.js.
+
+ALTER TABLE inventory ADD COLUMN IF NOT EXISTS reorder_point NUMERIC(12, 2) CHECK (reorder_point >= 0);
+ALTER TABLE inventory ADD COLUMN IF NOT EXISTS reorder_quantity NUMERIC(12, 2) CHECK (reorder_quantity >= 0);
+
+-- Committed quantities: material lines for an inventory item that haven't been received yet
+CREATE INDEX IF NOT EXISTS idx_project_materials_unreceived
+    ON project_materials(inventory_id)
+    WHERE inventory_id IS NOT NULL AND date_received IS NULL;
@@ -0,0 +1,82 @@
+-- Migration: Suppliers and purchase orders
+-- Date: 2025-03-14
+-- Description: Suppliers are the vendors materials and equipment are bought from. A purchase order groups project
+-- material and equipment lines ordered from one supplier, numbered per company (companies.next_po_number).
+-- Status runs draft -> sent -> partially_received -> received (or cancelled). Sending a PO stamps date_ordered on
+-- its project lines; receiving a PO line in full stamps date_received and actual_price on its project line, which
+-- (for lines with an inventory item) books the stock in and allocates it to the project through the inventory
+-- ledger. See backend/services/purchaseOrders.js.
+
+CREATE TABLE IF NOT EXISTS suppliers (
+    id UUID PRIMARY KEY DEFAULT gen_random_uuid(),
+    company_id TEXT NOT NULL REFERENCES companies(company_id) ON DELETE CASCADE,
+    name VARCHAR(500) NOT NULL,
+    contact_name VARCHAR(255),
+    phone VARCHAR(50),
+    email VARCHAR(255),
+    address TEXT,
+    account_number VARCHAR(100),
+    notes TEXT,
+    created_at TIMESTAMPTZ DEFAULT NOW(),
+    updated_at TIMESTAMPTZ DEFAULT NOW()
+);
+
+CREATE INDEX IF NOT EXISTS idx_suppliers_company_name ON suppliers(company_id, name);
+
+-- Supplier a purchase order for this item goes to unless another is chosen
+ALTER TABLE inventory ADD COLUMN IF NOT EXISTS preferred_supplier_id UUID REFERENCES suppliers(id) ON DELETE SET NULL;
+
+ALTER TABLE companies ADD COLUMN IF NOT EXISTS next_po_number INTEGER NOT NULL DEFAULT 1;
+
+CREATE TABLE IF NOT EXISTS purchase_orders (
+    id UUID PRIMARY KEY DEFAULT gen_random_uuid(),
+    company_id TEXT NOT NULL REFERENCES companies(company_id) ON DELETE CASCADE,
+    -- Suppliers with purchase orders can't be deleted
+    supplier_id UUID NOT NULL REFERENCES suppliers(id) ON DELETE RESTRICT,
+    po_number INTEGER NOT NULL,
+    status VARCHAR(20) NOT NULL DEFAULT 'draft'
+        CHECK (status IN ('draft', 'sent', 'partially_received', 'received', 'cancelled')),
+    order_date DATE NOT NULL DEFAULT CURRENT_DATE,
+    expected_date DATE,
+    total DECIMAL(12, 2) NOT NULL DEFAULT 0,
+    notes TEXT,
+    sent_at TIMESTAMPTZ,
+    received_at TIMESTAMPTZ,
+    created_by UUID REFERENCES employees(id) ON DELETE SET NULL,
+    created_at TIMESTAMPTZ DEFAULT NOW(),
+    updated_at TIMESTAMPTZ DEFAULT NOW(),
+    UNIQUE (company_id, po_number)
+);
+
+CREATE INDEX IF NOT EXISTS idx_purchase_orders_company ON purchase_orders(company_id, po_number DESC);
+CREATE INDEX IF NOT EXISTS idx_purchase_orders_supplier ON purchase_orders(supplier_id);
+
+-- Lines copy the item, quantity and cost at ordering time and keep a link to the project line they order
+CREATE TABLE IF NOT EXISTS purchase_order_lines (
+    id UUID PRIMARY KEY DEFAULT gen_random_uuid(),
+    company_id TEXT NOT NULL REFERENCES companies(company_id) ON DELETE CASCADE,
+    purchase_order_id UUID NOT NULL REFERENCES purchase_orders(id) ON DELETE CASCADE,
+    source_table VARCHAR(30) NOT NULL CHECK (source_table IN ('project_materials', 'project_equipment')),
+    -- NULL once the project line is deleted
+    source_id UUID,
+    project_id UUID REFERENCES projects(id) ON DELETE SET NULL,
+    inventory_id UUID REFERENCES inventory(id) ON DELETE SET NULL,
+    description VARCHAR(500) NOT NULL,
+    unit VARCHAR(50),
+    quantity NUMERIC(12, 2) NOT NULL CHECK (quantity > 0),
+    unit_cost DECIMAL(12, 2) NOT NULL DEFAULT 0,
+    line_total DECIMAL(12, 2) NOT NULL DEFAULT 0,
+    quantity_received NUMERIC(12, 2) NOT NULL DEFAULT 0 CHECK (quantity_received >= 0),
+    received_on DATE,
+    actual_price DECIMAL(12, 2),
+    sort_order INTEGER DEFAULT 0,
+    created_at TIMESTAMPTZ DEFAULT NOW()
+);
+
+CREATE INDEX IF NOT EXISTS idx_purchase_order_lines_order ON purchase_order_lines(purchase_order_id);
+CREATE INDEX IF NOT EXISTS idx_purchase_order_lines_source ON purchase_order_lines(source_table, source_id);
+
+-- Only the backend (service role) reads and writes suppliers and purchase orders
+ALTER TABLE suppliers ENABLE ROW LEVEL SECURITY;
+ALTER TABLE purchase_orders ENABLE ROW LEVEL SECURITY;
+ALTER TABLE purchase_order_lines ENABLE ROW LEVEL SECURITY;
@@ -0,0 +1,50 @@
+-- Migration: Supplier price lists and inventory price history
+-- Date: 2025-03-18
+-- Description: A supplier's CSV price list is matched to inventory rows on SKU (then model) and applied as new unit
+-- prices. Every unit price change, imported or typed in, is kept in inventory_price_history with the date it took
+-- effect. An import can also re-price expected_price on lines of open projects and expense templates; the import row
+-- keeps the margin impact report it produced. See backend/services/priceLists.js.
+
+ALTER TABLE inventory ADD COLUMN IF NOT EXISTS sku VARCHAR(100);
+
+CREATE INDEX IF NOT EXISTS idx_inventory_company_sku ON inventory(company_id, sku) WHERE sku IS NOT NULL;
+
+CREATE TABLE IF NOT EXISTS supplier_price_imports (
+    id UUID PRIMARY KEY DEFAULT gen_random_uuid(),
+    company_id TEXT NOT NULL REFERENCES companies(company_id) ON DELETE CASCADE,
+    supplier_id UUID NOT NULL REFERENCES suppliers(id) ON DELETE CASCADE,
+    file_name VARCHAR(255),
+    effective_date DATE NOT NULL DEFAULT CURRENT_DATE,
+    row_count INTEGER NOT NULL DEFAULT 0,
+    matched_count INTEGER NOT NULL DEFAULT 0,
+    changed_count INTEGER NOT NULL DEFAULT 0,
+    repriced_project_lines INTEGER NOT NULL DEFAULT 0,
+    repriced_template_lines INTEGER NOT NULL DEFAULT 0,
+    -- { projects: [...], templates: [...] } as returned when the import was applied
+    margin_impact JSONB,
+    created_by UUID REFERENCES employees(id) ON DELETE SET NULL,
+    created_at TIMESTAMPTZ DEFAULT NOW()
+);
+
+CREATE INDEX IF NOT EXISTS idx_supplier_price_imports_supplier ON supplier_price_imports(supplier_id, created_at DESC);
+
+CREATE TABLE IF NOT EXISTS inventory_price_history (
+    id UUID PRIMARY KEY DEFAULT gen_random_uuid(),
+    company_id TEXT NOT NULL REFERENCES companies(company_id) ON DELETE CASCADE,
+    inventory_id UUID NOT NULL REFERENCES inventory(id) ON DELETE CASCADE,
+    -- Set for prices from a supplier price list
+    supplier_id UUID REFERENCES suppliers(id) ON DELETE SET NULL,
+    import_id UUID REFERENCES supplier_price_imports(id) ON DELETE SET NULL,
+    previous_price DECIMAL(12, 2),
+    unit_price DECIMAL(12, 2) NOT NULL,
+    effective_date DATE NOT NULL DEFAULT CURRENT_DATE,
+    source VARCHAR(20) NOT NULL CHECK (source IN ('manual', 'import')),
+    created_by UUID REFERENCES employees(id) ON DELETE SET NULL,
+    created_at TIMESTAMPTZ DEFAULT NOW()
+);
+
+CREATE INDEX IF NOT EXISTS idx_inventory_price_history_item ON inventory_price_history(inventory_id, effective_date DESC, created_at DESC);
+
+-- Only the backend (service role) reads and writes price lists and price history
+ALTER TABLE supplier_price_imports ENABLE ROW LEVEL SECURITY;
+ALTER TABLE inventory_price_history ENABLE ROW LEVEL SECURITY;
@@ -0,0 +1,53 @@
+-- Migration: Subcontractor COI expiration tracking
+-- Date: 2025-03-20
+-- Description: A daily job alerts the office (email, and SMS for staff who opted in) about subcontractors whose
+-- certificate of insurance expires within the company's alert window or has already expired. Each alert is sent once
+-- per certificate and stage. Adding an expired subcontractor to a project either warns or is refused, per company.
+-- Each COI renewal is recorded with its uploaded document, and the latest renewal sets subcontractors.coi_expiration.
+-- See backend/services/subcontractorCoi.js.
+
+ALTER TABLE companies ADD COLUMN IF NOT EXISTS coi_alerts_enabled BOOLEAN NOT NULL DEFAULT TRUE;
+ALTER TABLE companies ADD COLUMN IF NOT EXISTS coi_alert_days INTEGER NOT NULL DEFAULT 30
+    CHECK (coi_alert_days BETWEEN 1 AND 180);
+-- What happens when an expired subcontractor is added to a project: 'warn' saves with a warning, 'block' refuses
+ALTER TABLE companies ADD COLUMN IF NOT EXISTS coi_expired_assignment VARCHAR(10) NOT NULL DEFAULT 'warn'
+    CHECK (coi_expired_assignment IN ('warn', 'block'));
+
+CREATE TABLE IF NOT EXISTS subcontractor_coi_renewals (
+    id UUID PRIMARY KEY DEFAULT gen_random_uuid(),
+    company_id TEXT NOT NULL REFERENCES companies(company_id) ON DELETE CASCADE,
+    subcontractor_id UUID NOT NULL REFERENCES subcontractors(id) ON DELETE CASCADE,
+    -- The uploaded certificate (a subcontractor_documents row of type 'coi')
+    document_id UUID REFERENCES subcontractor_documents(id) ON DELETE SET NULL,
+    carrier VARCHAR(255),
+    policy_number VARCHAR(100),
+    effective_date DATE,
+    expiration_date DATE NOT NULL,
+    notes TEXT,
+    created_by UUID REFERENCES employees(id) ON DELETE SET NULL,
+    created_at TIMESTAMPTZ DEFAULT NOW()
+);
+
+CREATE INDEX IF NOT EXISTS idx_subcontractor_coi_renewals_sub ON subcontractor_coi_renewals(subcontractor_id, expiration_date DESC);
+
+CREATE TABLE IF NOT EXISTS subcontractor_coi_alerts (
+    id UUID PRIMARY KEY DEFAULT gen_random_uuid(),
+    company_id TEXT NOT NULL REFERENCES companies(company_id) ON DELETE CASCADE,
+    subcontractor_id UUID NOT NULL REFERENCES subcontractors(id) ON DELETE CASCADE,
+    coi_expiration DATE NOT NULL,
+    stage VARCHAR(10) NOT NULL CHECK (stage IN ('expiring', 'expired')),
+    days_until_expiration INTEGER,
+    -- Office staff the alert reached, and why any channel failed
+    recipient_count INTEGER NOT NULL DEFAULT 0,
+    detail TEXT,
+    created_at TIMESTAMPTZ DEFAULT NOW(),
+    UNIQUE (subcontractor_id, coi_expiration, stage)
+);
+
+CREATE INDEX IF NOT EXISTS idx_subcontractor_coi_alerts_company ON subcontractor_coi_alerts(company_id, created_at DESC);
+
+CREATE INDEX IF NOT EXISTS idx_subcontractors_coi_expiration ON subcontractors(company_id, coi_expiration) WHERE coi_expiration IS NOT NULL;
+
+-- Only the backend (service role) reads and writes COI renewals and alerts
+ALTER TABLE subcontractor_coi_renewals ENABLE ROW LEVEL SECURITY;
+ALTER TABLE subcontractor_coi_alerts ENABLE ROW LEVEL SECURITY;
@@ -0,0 +1,38 @@
+-- Migration: Subcontractor payments, lien waivers and 1099 reporting
+-- Date: 2025-03-24
+-- Description: Payments made to subcontractors are recorded against their project fee (date, method, check number,
+-- amount). Each payment can link the conditional and unconditional lien waivers collected for it, stored as
+-- subcontractor documents of type 'lien_waiver'. Payments per subcontractor per calendar year feed the 1099 report,
+-- which also needs the subcontractor's tax ID and mailing address. See backend/services/subcontractorPayments.js.
+
+ALTER TABLE subcontractors ADD COLUMN IF NOT EXISTS tax_id VARCHAR(20);
+ALTER TABLE subcontractors ADD COLUMN IF NOT EXISTS mailing_address TEXT;
+
+ALTER TABLE subcontractor_documents DROP CONSTRAINT IF EXISTS subcontractor_documents_document_type_check;
+ALTER TABLE subcontractor_documents ADD CONSTRAINT subcontractor_documents_document_type_check
+    CHECK (document_type IN ('coi', 'license', 'insurance', 'contract', 'lien_waiver', 'other'));
+
+CREATE TABLE IF NOT EXISTS subcontractor_payments (
+    id UUID PRIMARY KEY DEFAULT gen_random_uuid(),
+    company_id TEXT NOT NULL REFERENCES companies(company_id) ON DELETE CASCADE,
+    fee_id UUID NOT NULL REFERENCES project_subcontractor_fees(id) ON DELETE CASCADE,
+    -- Copied from the fee so the 1099 report doesn't have to go through projects
+    subcontractor_id UUID NOT NULL REFERENCES subcontractors(id) ON DELETE CASCADE,
+    project_id UUID NOT NULL REFERENCES projects(id) ON DELETE CASCADE,
+    payment_date DATE NOT NULL,
+    method VARCHAR(10) NOT NULL CHECK (method IN ('check', 'ach', 'wire', 'cash', 'card', 'other')),
+    check_number VARCHAR(50),
+    amount DECIMAL(12, 2) NOT NULL CHECK (amount > 0),
+    notes TEXT,
+    conditional_waiver_document_id UUID REFERENCES subcontractor_documents(id) ON DELETE SET NULL,
+    unconditional_waiver_document_id UUID REFERENCES subcontractor_documents(id) ON DELETE SET NULL,
+    created_by UUID REFERENCES employees(id) ON DELETE SET NULL,
+    created_at TIMESTAMPTZ DEFAULT NOW(),
+    updated_at TIMESTAMPTZ DEFAULT NOW()
+);
+
+CREATE INDEX IF NOT EXISTS idx_subcontractor_payments_fee ON subcontractor_payments(fee_id, payment_date);
+CREATE INDEX IF NOT EXISTS idx_subcontractor_payments_company_date ON subcontractor_payments(company_id, payment_date);
+
+-- Only the backend (service role) reads and writes subcontractor payments
+ALTER TABLE subcontractor_payments ENABLE ROW LEVEL SECURITY;
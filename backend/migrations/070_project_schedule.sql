@@ -0,0 +1,68 @@
+-- Migration: Construction schedule
+-- Date: 2025-03-27
+-- Description: Each project gets schedule tasks (excavation, steel, plumbing, gunite, tile/coping, plaster, startup...)
+-- with a duration, finish-to-start dependencies with an optional lag, an assigned subcontractor or employee, and
+-- planned versus actual dates. A task can be tied to a subcontractor fee row so the expense and the schedule move
+-- together. Planned dates of dependent tasks are recomputed whenever a task slips. See backend/services/projectSchedule.js.
+
+CREATE TABLE IF NOT EXISTS project_schedule_tasks (
+    id UUID PRIMARY KEY DEFAULT gen_random_uuid(),
+    company_id TEXT NOT NULL REFERENCES companies(company_id) ON DELETE CASCADE,
+    project_id UUID NOT NULL REFERENCES projects(id) ON DELETE CASCADE,
+    name VARCHAR(255) NOT NULL,
+    sort_order INTEGER NOT NULL DEFAULT 0,
+    -- Calendar days, counting the start day
+    duration_days INTEGER NOT NULL DEFAULT 1 CHECK (duration_days BETWEEN 1 AND 365),
+    planned_start DATE,
+    planned_end DATE,
+    actual_start DATE,
+    actual_end DATE,
+    subcontractor_fee_id UUID REFERENCES project_subcontractor_fees(id) ON DELETE SET NULL,
+    subcontractor_id UUID REFERENCES subcontractors(id) ON DELETE SET NULL,
+    employee_id UUID REFERENCES employees(id) ON DELETE SET NULL,
+    notes TEXT,
+    created_by UUID REFERENCES employees(id) ON DELETE SET NULL,
+    created_at TIMESTAMPTZ DEFAULT NOW(),
+    updated_at TIMESTAMPTZ DEFAULT NOW(),
+    CHECK (planned_end IS NULL OR planned_start IS NULL OR planned_end >= planned_start),
+    CHECK (actual_end IS NULL OR (actual_start IS NOT NULL AND actual_end >= actual_start))
+);
+
+CREATE INDEX IF NOT EXISTS idx_project_schedule_tasks_project ON project_schedule_tasks(project_id, sort_order);
+-- A subcontractor fee is scheduled by at most one task
+CREATE UNIQUE INDEX IF NOT EXISTS idx_project_schedule_tasks_fee ON project_schedule_tasks(subcontractor_fee_id)
+    WHERE subcontractor_fee_id IS NOT NULL;
+
+-- task_id can't start until depends_on_task_id has finished plus lag_days (e.g. gunite curing before tile)
+CREATE TABLE IF NOT EXISTS project_schedule_dependencies (
+    task_id UUID NOT NULL REFERENCES project_schedule_tasks(id) ON DELETE CASCADE,
+    depends_on_task_id UUID NOT NULL REFERENCES project_schedule_tasks(id) ON DELETE CASCADE,
+    company_id TEXT NOT NULL REFERENCES companies(company_id) ON DELETE CASCADE,
+    lag_days INTEGER NOT NULL DEFAULT 0 CHECK (lag_days BETWEEN -90 AND 365),
+    PRIMARY KEY (task_id, depends_on_task_id),
+    CHECK (task_id <> depends_on_task_id)
+);
+
+CREATE INDEX IF NOT EXISTS idx_project_schedule_dependencies_predecessor ON project_schedule_dependencies(depends_on_task_id);
+
+-- Only the backend (service role) reads and writes the schedule
+ALTER TABLE project_schedule_tasks ENABLE ROW LEVEL SECURITY;
+ALTER TABLE project_schedule_dependencies ENABLE ROW LEVEL SECURITY;
+
+-- Saved permission matrices don't pick up new defaults, so grant manage_schedule wherever change orders are managed
+UPDATE companies
+SET permission_matrix = jsonb_build_object(
+    'user_types', COALESCE((
+        SELECT jsonb_object_agg(subject, CASE
+            WHEN perms ? 'manage_change_orders' AND NOT perms ? 'manage_schedule' THEN perms || '["manage_schedule"]'::jsonb
+            ELSE perms END)
+        FROM jsonb_each(permission_matrix->'user_types') AS t(subject, perms)
+    ), '{}'::jsonb),
+    'roles', COALESCE((
+        SELECT jsonb_object_agg(subject, CASE
+            WHEN perms ? 'manage_change_orders' AND NOT perms ? 'manage_schedule' THEN perms || '["manage_schedule"]'::jsonb
+            ELSE perms END)
+        FROM jsonb_each(permission_matrix->'roles') AS t(subject, perms)
+    ), '{}'::jsonb)
+)
+WHERE permission_matrix IS NOT NULL;
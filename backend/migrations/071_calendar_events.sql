@@ -0,0 +1,60 @@
+-- Migration: Company calendar
+-- Date: 2025-03-31
+-- Description: Calendar events stored in our database (site visits, inspections, meetings, deliveries...) that can
+-- belong to a project and/or customer, be assigned to employees, and repeat daily/weekly/monthly/yearly. Each employee
+-- can also have a private iCal feed of the events assigned to them. See backend/services/calendarEvents.js.
+
+CREATE TABLE IF NOT EXISTS calendar_events (
+    id UUID PRIMARY KEY DEFAULT gen_random_uuid(),
+    company_id TEXT NOT NULL REFERENCES companies(company_id) ON DELETE CASCADE,
+    title VARCHAR(255) NOT NULL,
+    description TEXT,
+    location TEXT,
+    event_type VARCHAR(30) NOT NULL DEFAULT 'other'
+        CHECK (event_type IN ('site_visit', 'inspection', 'meeting', 'delivery', 'subcontractor', 'other')),
+    project_id UUID REFERENCES projects(id) ON DELETE SET NULL,
+    customer_id UUID REFERENCES customers(id) ON DELETE SET NULL,
+    -- All-day events run from midnight UTC of the first day to midnight UTC after the last day
+    all_day BOOLEAN NOT NULL DEFAULT FALSE,
+    starts_at TIMESTAMPTZ NOT NULL,
+    ends_at TIMESTAMPTZ NOT NULL,
+    -- IANA zone the event was created in; repeats keep the same wall-clock time across daylight saving changes
+    time_zone VARCHAR(64) NOT NULL DEFAULT 'America/New_York',
+    recurrence_frequency VARCHAR(10) CHECK (recurrence_frequency IN ('daily', 'weekly', 'monthly', 'yearly')),
+    recurrence_interval INTEGER NOT NULL DEFAULT 1 CHECK (recurrence_interval BETWEEN 1 AND 99),
+    -- Last day an occurrence may start on (inclusive), or a fixed number of occurrences; neither means forever
+    recurrence_until DATE,
+    recurrence_count INTEGER CHECK (recurrence_count BETWEEN 1 AND 999),
+    created_by UUID REFERENCES employees(id) ON DELETE SET NULL,
+    created_at TIMESTAMPTZ DEFAULT NOW(),
+    updated_at TIMESTAMPTZ DEFAULT NOW(),
+    CHECK (ends_at > starts_at),
+    CHECK (recurrence_until IS NULL OR recurrence_count IS NULL)
+);
+
+CREATE INDEX IF NOT EXISTS idx_calendar_events_company_start ON calendar_events(company_id, starts_at);
+CREATE INDEX IF NOT EXISTS idx_calendar_events_project ON calendar_events(project_id) WHERE project_id IS NOT NULL;
+CREATE INDEX IF NOT EXISTS idx_calendar_events_customer ON calendar_events(customer_id) WHERE customer_id IS NOT NULL;
+
+CREATE TABLE IF NOT EXISTS calendar_event_assignees (
+    event_id UUID NOT NULL REFERENCES calendar_events(id) ON DELETE CASCADE,
+    employee_id UUID NOT NULL REFERENCES employees(id) ON DELETE CASCADE,
+    company_id TEXT NOT NULL REFERENCES companies(company_id) ON DELETE CASCADE,
+    PRIMARY KEY (event_id, employee_id)
+);
+
+CREATE INDEX IF NOT EXISTS idx_calendar_event_assignees_employee ON calendar_event_assignees(employee_id);
+
+-- One feed per employee. Only a SHA-256 of the token is stored; resetting the feed replaces it.
+CREATE TABLE IF NOT EXISTS calendar_feed_tokens (
+    employee_id UUID PRIMARY KEY REFERENCES employees(id) ON DELETE CASCADE,
+    company_id TEXT NOT NULL REFERENCES companies(company_id) ON DELETE CASCADE,
+    token_hash VARCHAR(64) NOT NULL UNIQUE,
+    created_at TIMESTAMPTZ DEFAULT NOW(),
+    last_accessed_at TIMESTAMPTZ
+);
+
+-- Only the backend (service role) reads and writes the calendar
+ALTER TABLE calendar_events ENABLE ROW LEVEL SECURITY;
+ALTER TABLE calendar_event_assignees ENABLE ROW LEVEL SECURITY;
+ALTER TABLE calendar_feed_tokens ENABLE ROW LEVEL SECURITY;
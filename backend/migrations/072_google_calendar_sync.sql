@@ -0,0 +1,62 @@
+-- Migration: Two-way Google Calendar sync for project events
+-- Date: 2025-04-02
+-- Description: Employees who connect Google Calendar can have the project-linked calendar events assigned to them
+-- mirrored into a calendar of their choice. CRM edits are pushed straight away; edits made in Google come back
+-- through incremental sync tokens. When both sides changed since the last sync the latest edit wins and both versions
+-- are kept in calendar_sync_conflicts. See backend/services/googleCalendarSync.js.
+
+-- Sync settings per employee. user_id is the Supabase auth user whose Google tokens are used.
+CREATE TABLE IF NOT EXISTS google_calendar_sync (
+    employee_id UUID PRIMARY KEY REFERENCES employees(id) ON DELETE CASCADE,
+    company_id TEXT NOT NULL REFERENCES companies(company_id) ON DELETE CASCADE,
+    user_id UUID NOT NULL,
+    enabled BOOLEAN NOT NULL DEFAULT TRUE,
+    calendar_id TEXT NOT NULL DEFAULT 'primary',
+    calendar_name TEXT,
+    -- nextSyncToken from the last events.list on calendar_id; NULL means the next pull is a full sync
+    sync_token TEXT,
+    last_synced_at TIMESTAMPTZ,
+    last_error TEXT,
+    created_at TIMESTAMPTZ DEFAULT NOW(),
+    updated_at TIMESTAMPTZ DEFAULT NOW()
+);
+
+CREATE INDEX IF NOT EXISTS idx_google_calendar_sync_user ON google_calendar_sync(user_id);
+
+-- The Google copy of an event in one assignee's calendar
+CREATE TABLE IF NOT EXISTS calendar_event_google_links (
+    event_id UUID NOT NULL REFERENCES calendar_events(id) ON DELETE CASCADE,
+    employee_id UUID NOT NULL REFERENCES employees(id) ON DELETE CASCADE,
+    company_id TEXT NOT NULL REFERENCES companies(company_id) ON DELETE CASCADE,
+    google_calendar_id TEXT NOT NULL,
+    google_event_id TEXT NOT NULL,
+    -- Google's etag and updated time as of the last sync; a different etag means it was edited in Google
+    etag TEXT,
+    google_updated_at TIMESTAMPTZ,
+    -- calendar_events.updated_at as of the last sync; a later value means it was edited in the CRM
+    event_updated_at TIMESTAMPTZ,
+    synced_at TIMESTAMPTZ DEFAULT NOW(),
+    PRIMARY KEY (event_id, employee_id)
+);
+
+CREATE UNIQUE INDEX IF NOT EXISTS idx_calendar_event_google_links_google ON calendar_event_google_links(employee_id, google_event_id);
+
+-- Edits made on both sides between syncs, and which one was kept
+CREATE TABLE IF NOT EXISTS calendar_sync_conflicts (
+    id UUID PRIMARY KEY DEFAULT gen_random_uuid(),
+    company_id TEXT NOT NULL REFERENCES companies(company_id) ON DELETE CASCADE,
+    employee_id UUID NOT NULL REFERENCES employees(id) ON DELETE CASCADE,
+    event_id UUID REFERENCES calendar_events(id) ON DELETE SET NULL,
+    event_title VARCHAR(255),
+    resolution VARCHAR(20) NOT NULL CHECK (resolution IN ('kept_crm', 'kept_google')),
+    crm_version JSONB,
+    google_version JSONB,
+    created_at TIMESTAMPTZ DEFAULT NOW()
+);
+
+CREATE INDEX IF NOT EXISTS idx_calendar_sync_conflicts_employee ON calendar_sync_conflicts(employee_id, created_at DESC);
+
+-- Only the backend (service role) reads and writes sync state
+ALTER TABLE google_calendar_sync ENABLE ROW LEVEL SECURITY;
+ALTER TABLE calendar_event_google_links ENABLE ROW LEVEL SECURITY;
+ALTER TABLE calendar_sync_conflicts ENABLE ROW LEVEL SECURITY;
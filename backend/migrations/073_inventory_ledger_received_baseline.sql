@@ -0,0 +1,50 @@
+-- Migration: Baseline allocations for project rows received before the stock ledger
+-- Date: 2025-04-03
+-- Description: 064 opened each item's ledger at its hand-kept stock, which already had received project materials
+-- and equipment taken out, but wrote no allocation for those rows. The first edit to such a row then found no prior
+-- movements and allocated its quantity a second time. This records the allocation those rows already made, paired
+-- with an opening-balance correction so on-hand stock doesn't change and still equals the sum of the ledger.
+-- Rows that already have movements (edited since 064) are left alone.
+
+-- One transaction, so the stock trigger can't be left off by a run that stops part way
+BEGIN;
+
+-- Stock isn't moved: the trigger that applies movements is off while the baseline is written
+ALTER TABLE inventory_movements DISABLE TRIGGER inventory_movements_apply;
+
+CREATE TEMP TABLE received_baseline AS
+SELECT r.company_id, r.inventory_id, r.project_id, r.source_table, r.source_id, r.quantity
+FROM (
+    -- project_materials has no company_id of its own (see 007); it comes from the project
+    SELECT p.company_id, m.inventory_id, m.project_id, 'project_materials' AS source_table, m.id AS source_id,
+           COALESCE(m.quantity, 0)::NUMERIC(12, 2) AS quantity
+    FROM project_materials m
+    JOIN projects p ON p.id = m.project_id
+    WHERE m.inventory_id IS NOT NULL AND m.date_received IS NOT NULL
+    UNION ALL
+    -- Equipment without a quantity counts as one, as in inventoryLedger.syncProjectAllocation
+    SELECT e.company_id, e.inventory_id, e.project_id, 'project_equipment', e.id,
+           COALESCE(NULLIF(e.quantity, 0), 1)::NUMERIC(12, 2)
+    FROM project_equipment e
+    WHERE e.inventory_id IS NOT NULL AND e.date_received IS NOT NULL
+) r
+JOIN inventory i ON i.id = r.inventory_id AND i.company_id = r.company_id
+WHERE r.quantity > 0
+  AND NOT EXISTS (
+      SELECT 1 FROM inventory_movements mv
+      WHERE mv.source_table = r.source_table AND mv.source_id = r.source_id
+  );
+
+INSERT INTO inventory_movements (company_id, inventory_id, movement_type, quantity, project_id, note)
+SELECT company_id, inventory_id, 'adjustment', quantity, project_id, 'Opening balance: allocated before the stock ledger'
+FROM received_baseline;
+
+INSERT INTO inventory_movements (company_id, inventory_id, movement_type, quantity, project_id, source_table, source_id, note)
+SELECT company_id, inventory_id, 'allocation', -quantity, project_id, source_table, source_id, 'Received before the stock ledger'
+FROM received_baseline;
+
+ALTER TABLE inventory_movements ENABLE TRIGGER inventory_movements_apply;
+
+DROP TABLE received_baseline;
+
+COMMIT;
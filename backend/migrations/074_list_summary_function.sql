@@ -0,0 +1,67 @@
+-- Migration: Summary cards for paged lists computed in the database
+-- Date: 2025-04-04
+-- Description: The summary cards above the paged lists (count per status, total estimated value, project managers,
+-- stock value per inventory type) were built by reading every row of the company into the backend. list_summary
+-- returns the same rollup from a single aggregate query. See listQuery.getListSummary in backend/services/listQuery.js.
+
+CREATE OR REPLACE FUNCTION list_summary(
+    p_table TEXT,
+    p_company_id TEXT,
+    p_group_by TEXT DEFAULT NULL,
+    p_sum_column TEXT DEFAULT NULL,
+    p_distinct_column TEXT DEFAULT NULL,
+    p_soft_delete BOOLEAN DEFAULT FALSE,
+    -- Totals p_sum_column * p_sum_factor_column instead (e.g. stock * unit_price)
+    p_sum_factor_column TEXT DEFAULT NULL
+)
+RETURNS JSONB AS $$
+DECLARE
+    v_where TEXT;
+    v_sum TEXT;
+    v_counts TEXT := '''{}''::jsonb';
+    v_sums TEXT := '''{}''::jsonb';
+    v_distinct TEXT := '''[]''::jsonb';
+    v_result JSONB;
+BEGIN
+    -- Table and column names are spliced into the query, so only the list tables are accepted
+    IF p_table NOT IN ('customers', 'projects', 'inventory', 'subcontractors', 'suppliers', 'employees') THEN
+        RAISE EXCEPTION 'list_summary: unsupported table %', p_table;
+    END IF;
+
+    v_where := format('company_id = %L', p_company_id) || CASE WHEN p_soft_delete THEN ' AND deleted_at IS NULL' ELSE '' END;
+    v_sum := CASE
+        WHEN p_sum_column IS NULL THEN '0'
+        WHEN p_sum_factor_column IS NULL THEN format('COALESCE(SUM(%I), 0)', p_sum_column)
+        ELSE format('COALESCE(SUM(COALESCE(%I, 0) * COALESCE(%I, 0)), 0)', p_sum_column, p_sum_factor_column)
+    END;
+
+    IF p_group_by IS NOT NULL THEN
+        v_counts := format(
+            'COALESCE((SELECT jsonb_object_agg(k, n) FROM (SELECT COALESCE(%1$I::TEXT, ''none'') AS k, COUNT(*) AS n FROM %2$I WHERE %3$s GROUP BY 1) g), ''{}''::jsonb)',
+            p_group_by, p_table, v_where
+        );
+        v_sums := format(
+            'COALESCE((SELECT jsonb_object_agg(k, s) FROM (SELECT COALESCE(%1$I::TEXT, ''none'') AS k, %4$s AS s FROM %2$I WHERE %3$s GROUP BY 1) g), ''{}''::jsonb)',
+            p_group_by, p_table, v_where, v_sum
+        );
+    END IF;
+
+    IF p_distinct_column IS NOT NULL THEN
+        v_distinct := format(
+            'COALESCE((SELECT jsonb_agg(v ORDER BY v) FROM (SELECT DISTINCT %1$I AS v FROM %2$I WHERE %3$s AND %1$I IS NOT NULL AND %1$I::TEXT <> '''') d), ''[]''::jsonb)',
+            p_distinct_column, p_table, v_where
+        );
+    END IF;
+
+    EXECUTE format(
+        'SELECT jsonb_build_object(''total'', COUNT(*), ''sum'', %s, ''counts'', %s, ''sums'', %s, ''distinct'', %s) FROM %I WHERE %s',
+        v_sum, v_counts, v_sums, v_distinct, p_table, v_where
+    ) INTO v_result;
+
+    RETURN v_result;
+END;
+$$ LANGUAGE plpgsql STABLE;
+
+-- Only the backend (service role) calls it
+REVOKE EXECUTE ON FUNCTION list_summary(TEXT, TEXT, TEXT, TEXT, TEXT, BOOLEAN, TEXT) FROM PUBLIC, anon, authenticated;
+GRANT EXECUTE ON FUNCTION list_summary(TEXT, TEXT, TEXT, TEXT, TEXT, BOOLEAN, TEXT) TO service_role;
@@ -0,0 +1,23 @@
+-- Migration: Project schedule tasks in synced Google calendars
+-- Date: 2025-04-05
+-- Description: Employees with Google Calendar sync turned on also get the schedule tasks assigned to them, as all-day
+-- events over the task's dates. Tasks are pushed one way: the schedule is edited in the CRM, and a moved or renamed
+-- task overwrites its Google copy. See publishProjectTasks in backend/services/googleCalendarSync.js.
+
+-- The Google copy of a schedule task in its assignee's calendar
+CREATE TABLE IF NOT EXISTS schedule_task_google_links (
+    task_id UUID NOT NULL REFERENCES project_schedule_tasks(id) ON DELETE CASCADE,
+    employee_id UUID NOT NULL REFERENCES employees(id) ON DELETE CASCADE,
+    company_id TEXT NOT NULL REFERENCES companies(company_id) ON DELETE CASCADE,
+    google_calendar_id TEXT NOT NULL,
+    google_event_id TEXT NOT NULL,
+    -- project_schedule_tasks.updated_at as of the last push; unchanged tasks aren't pushed again
+    task_updated_at TIMESTAMPTZ,
+    synced_at TIMESTAMPTZ DEFAULT NOW(),
+    PRIMARY KEY (task_id, employee_id)
+);
+
+CREATE INDEX IF NOT EXISTS idx_schedule_task_google_links_employee ON schedule_task_google_links(employee_id);
+
+-- Only the backend (service role) reads and writes sync state
+ALTER TABLE schedule_task_google_links ENABLE ROW LEVEL SECURITY;
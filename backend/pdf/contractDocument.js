@@ -0,0 +1,753 @@
+/**
+ * pdfmake document definitions for proposals, contracts and change orders.
+ *
+ * Pure (no Node or browser APIs) so the browser generator (frontend/src/utils/contractPdfGenerator.js) and the
+ * backend renderer (services/contractDocuments.js) build the exact same definition from the same contract data
+ * (POST /api/projects/:id/contract). Everything that would otherwise vary between runs comes from the data:
+ * the "generated" timestamp and PDF creation date from generatedAt/timeZone, and streams are left uncompressed
+ * because browser (pako) and Node (zlib) deflate output can differ. Both sides must use the same pdfmake version.
+ */
+
+import { fillMergeFields } from './mergeFields.js';
+
+// Round monetary values to 2 decimal places
+export const roundTo2 = (n) => Math.round(Number(n) * 100) / 100;
+
+// Format currency (always show 2 decimals, e.g. $1,000.00)
+export const formatCurrency = (amount) => {
+  if (amount === undefined || amount === null || isNaN(Number(amount))) return '$0.00';
+  return new Intl.NumberFormat('en-US', {
+    style: 'currency',
+    currency: 'USD',
+    minimumFractionDigits: 2,
+    maximumFractionDigits: 2,
+  }).format(Number(amount));
+};
+
+// Format a YYYY-MM-DD date
+export const formatDate = (dateString) => {
+  if (!dateString) return '';
+  const date = new Date(dateString + 'T00:00:00');
+  return date.toLocaleDateString('en-US', {
+    year: 'numeric',
+    month: 'long',
+    day: 'numeric',
+  });
+};
+
+// Format an ISO timestamp in the given IANA time zone (UTC when none is given)
+export const formatDateTime = (isoString, timeZone) => {
+  if (!isoString) return '';
+  return new Date(isoString).toLocaleString('en-US', { timeZone: timeZone || 'UTC', timeZoneName: 'short' });
+};
+
+/**
+ * Payment schedule rows ({ description, amount }): customerPaymentSchedule from the preview, else the document's
+ * saved milestones, else a default built from the project's expenses
+ * @param {Object} data - Contract data
+ * @returns {Array}
+ */
+export const generatePaymentSchedule = (data) => {
+  const docType = data.documentType || 'contract';
+
+  // Use saved milestones from document when no custom payment schedule is provided
+  const savedMilestones = data.savedMilestones && Array.isArray(data.savedMilestones) ? data.savedMilestones : [];
+  const fromSavedMilestones = savedMilestones.length > 0 && (!data.customerPaymentSchedule || data.customerPaymentSchedule.length === 0);
+  if (fromSavedMilestones) {
+    return savedMilestones.map((m) => ({
+      description: m.name || '',
+      amount: roundTo2(parseFloat(m.customer_price) || 0),
+    }));
+  }
+
+  // For proposals, return simplified schedule
+  if (docType === 'proposal') {
+    // If customer payment schedule is provided, use it (but should only have initial fee for proposals)
+    if (data.customerPaymentSchedule && data.customerPaymentSchedule.length > 0) {
+      return data.customerPaymentSchedule;
+    }
+
+    // Otherwise, return proposal schedule: Initial sign fee + balance message
+    return [
+      {
+        description: 'Initial Sign Fee',
+        amount: 1000,
+      },
+      {
+        description: 'Balance of schedule will be provided with contract',
+        amount: 0,
+      },
+    ];
+  }
+
+  // For change orders, return simplified schedule
+  if (docType === 'change_order') {
+    // If customer payment schedule is provided, use it
+    if (data.customerPaymentSchedule && data.customerPaymentSchedule.length > 0) {
+      return data.customerPaymentSchedule;
+    }
+
+    // Otherwise, return change order schedule: Initial fee + balance message
+    return [
+      {
+        description: 'Initial Fee',
+        amount: 0,
+      },
+      {
+        description: 'Balance of schedule will be provided with contract',
+        amount: 0,
+      },
+    ];
+  }
+
+  // For contracts (default behavior)
+  // If customer payment schedule is provided, use it directly
+  if (data.customerPaymentSchedule && data.customerPaymentSchedule.length > 0) {
+    return data.customerPaymentSchedule;
+  }
+
+  // Otherwise, generate from internal costs (legacy behavior)
+  const schedule = [];
+  const { expenses, totals } = data;
+
+  // 1. Initial Contract Fee ($1,000)
+  schedule.push({
+    description: 'Initial Contract Fee',
+    amount: 0,
+  });
+
+  // 2. Subcontractor payments (one per job)
+  if (expenses.subcontractorFees && expenses.subcontractorFees.length > 0) {
+    expenses.subcontractorFees.forEach((fee) => {
+      const amount = roundTo2(parseFloat(fee.expected_value || fee.flat_fee || 0));
+      if (amount > 0) {
+        schedule.push({
+          description: fee.job_description || 'Work',
+          amount,
+        });
+      }
+    });
+  }
+
+  // 3. Equipment Order (total of all equipment) - always include if equipment exists
+  if (expenses.equipment && Array.isArray(expenses.equipment) && expenses.equipment.length > 0) {
+    schedule.push({
+      description: 'Equipment Order',
+      amount: roundTo2(totals.equipmentExpected || totals.equipment || 0),
+    });
+  }
+
+  // 4. Material Order (total of all materials) - always include if materials exist
+  if (expenses.materials && expenses.materials.length > 0) {
+    schedule.push({
+      description: 'Material Order',
+      amount: roundTo2(totals.materialsExpected || totals.materials || 0),
+    });
+  }
+
+  // 5. Additional Fees (total of additional expenses)
+  if (totals.additional > 0 || totals.additionalExpected > 0) {
+    schedule.push({
+      description: 'Additional Fees',
+      amount: roundTo2(totals.additionalExpected || totals.additional || 0),
+    });
+  }
+
+  // 6. Final Inspection ($1,000)
+  schedule.push({
+    description: 'Final Inspection',
+    amount: 1000,
+  });
+
+  return schedule;
+};
+
+/**
+ * Scope of work as nested { item, description, subscopes } nodes: the preview's custom scope, else the
+ * document's saved scope_of_work rows (parent_id tree)
+ * @param {Object} data - Contract data
+ * @returns {Array}
+ */
+export const buildScopeOfWork = (data) => {
+  if (data.customScopeOfWork && data.customScopeOfWork.length > 0) {
+    return data.customScopeOfWork
+      .filter((item) => item.item) // Only include items with a title
+      .map((item) => ({
+        item: item.item,
+        description: item.description || '',
+        subscopes: item.subscopes || [],
+      }));
+  }
+  if (data.savedScopeOfWork && data.savedScopeOfWork.length > 0) {
+    const items = data.savedScopeOfWork;
+    const parentIds = new Set(items.filter((i) => i.parent_id).map((i) => i.parent_id));
+    const flat = items.filter((item) =>
+      (item.title || item.item || '').trim() || parentIds.has(item.id)
+    );
+    const buildNested = (parentId) =>
+      flat
+        .filter((i) => (parentId ? i.parent_id === parentId : !i.parent_id))
+        .map((item) => {
+          const children = buildNested(item.id);
+          const node = {
+            item: item.title || item.item || '',
+            description: item.description || '',
+          };
+          if (children.length > 0) node.subscopes = children;
+          return node;
+        });
+    return buildNested(null);
+  }
+  return [];
+};
+
+// ================== STYLES ==================
+// Shared by contracts and invoices
+export const PDF_STYLES = {
+  companyName: {
+    fontSize: 18,
+    bold: true,
+    color: '#1e40af',
+    margin: [0, 0, 0, 5],
+  },
+  companyInfo: {
+    fontSize: 10,
+    color: '#4b5563',
+    margin: [0, 1, 0, 1],
+  },
+  title: {
+    fontSize: 20,
+    bold: true,
+    color: '#111827',
+    margin: [0, 10, 0, 10],
+  },
+  sectionHeader: {
+    fontSize: 14,
+    bold: true,
+    color: '#1e40af',
+    margin: [0, 15, 0, 10],
+    decoration: 'underline',
+  },
+  subHeader: {
+    fontSize: 11,
+    bold: true,
+    color: '#374151',
+    margin: [0, 5, 0, 5],
+  },
+  paragraph: {
+    fontSize: 10,
+    color: '#374151',
+    lineHeight: 1.4,
+  },
+  label: {
+    fontSize: 10,
+    bold: true,
+    color: '#6b7280',
+  },
+  tableHeader: {
+    fontSize: 10,
+    bold: true,
+    color: '#111827',
+    fillColor: '#f3f4f6',
+  },
+  tableLabel: {
+    fontSize: 10,
+    bold: true,
+    color: '#6b7280',
+  },
+  tableValue: {
+    fontSize: 10,
+    color: '#111827',
+  },
+  bulletList: {
+    fontSize: 10,
+    color: '#374151',
+    margin: [10, 0, 0, 0],
+  },
+  note: {
+    fontSize: 9,
+    italics: true,
+    color: '#6b7280',
+  },
+  signatureLabel: {
+    fontSize: 9,
+    color: '#6b7280',
+  },
+  footer: {
+    fontSize: 8,
+    color: '#9ca3af',
+  },
+};
+
+// Page header shared by contracts and invoices: logo, company details, document number and date
+export const buildPageHeader = ({ company, logoBase64, docNumber, docDate }) => {
+  const companyAddress = [
+    company.address_line1,
+    company.address_line2,
+    [company.city, company.state, company.zip_code].filter(Boolean).join(', '),
+  ].filter(Boolean);
+
+  const licenseNumbers = company.license_numbers && Array.isArray(company.license_numbers)
+    ? company.license_numbers.join(', ')
+    : (company.license_numbers || '');
+
+  // Phone and website on the same line if both exist
+  const contactParts = [];
+  if (company.phone) contactParts.push(company.phone);
+  if (company.website) contactParts.push(company.website);
+  const contactLine = contactParts.join('  •  ');
+
+  return () => ({
+    margin: [40, 20, 40, 0],
+    stack: [
+      {
+        columns: [
+          // Logo column (left side)
+          logoBase64 ? {
+            width: 80,
+            image: logoBase64,
+            fit: [80, 70],
+          } : { text: '', width: 0 },
+          // Company info column (center)
+          {
+            width: '*',
+            stack: [
+              { text: company.company_name || 'Pool Construction Company', fontSize: 18, bold: true, color: '#1e40af' },
+              { text: companyAddress.join('  •  '), fontSize: 10, color: '#6b7280', margin: [0, 3, 0, 0] },
+              contactLine ? { text: contactLine, fontSize: 10, color: '#6b7280' } : {},
+              licenseNumbers ? { text: `License: ${licenseNumbers}`, fontSize: 10, color: '#6b7280' } : {},
+            ],
+            margin: [logoBase64 ? 12 : 0, 0, 0, 0],
+          },
+          // Document number column (right side)
+          {
+            width: 'auto',
+            stack: [
+              { text: `#${docNumber}`, fontSize: 16, bold: true, color: '#374151', alignment: 'right' },
+              { text: formatDate(docDate), fontSize: 11, color: '#6b7280', alignment: 'right' },
+            ],
+          },
+        ],
+        columnGap: 12,
+      },
+      // Separator line
+      {
+        canvas: [
+          { type: 'line', x1: 0, y1: 12, x2: 532, y2: 12, lineWidth: 1, lineColor: '#e5e7eb' },
+        ],
+      },
+    ],
+  });
+};
+
+// Recursive helper to build the scope stack (item = header, subscopes = subheaders)
+const buildScopeStack = (items, isFirst = true, depth = 0) => {
+  const result = [];
+  const indent = depth * 15;
+  const subFontSize = depth === 0 ? 12 : 11;
+  const titleColor = depth === 0 ? '#111827' : '#374151';
+  const descColor = depth === 0 ? '#374151' : '#6b7280';
+  items.forEach((item, idx) => {
+    const marginTop = isFirst && idx === 0 ? 0 : 15;
+    result.push(
+      {
+        text: item.item || '',
+        fontSize: subFontSize,
+        bold: true,
+        color: titleColor,
+        margin: [indent, marginTop, 0, 6],
+      },
+      item.description ? {
+        text: item.description,
+        fontSize: 10,
+        color: descColor,
+        lineHeight: 1.4,
+        margin: [indent + 15, 0, 0, depth === 0 ? 8 : 6],
+      } : {}
+    );
+    if (item.subscopes && item.subscopes.length > 0) {
+      result.push(...buildScopeStack(item.subscopes, false, depth + 1));
+    }
+    if (depth === 0 && idx < items.length - 1) {
+      result.push({
+        canvas: [
+          { type: 'line', x1: 0, y1: 5, x2: 520, y2: 5, lineWidth: 0.5, lineColor: '#e5e7eb' },
+        ],
+      });
+    }
+  });
+  return result;
+};
+
+// Signature block with a date line; the contractor's also names the company
+const buildSignatureBlock = (label, companyName) => [
+  { text: label, style: 'subHeader' },
+  {
+    columns: [
+      {
+        width: '60%',
+        stack: [
+          { text: '_'.repeat(50), margin: [0, 30, 0, 5] },
+          { text: 'Signature', style: 'signatureLabel' },
+          { text: '\n' },
+          { text: '_'.repeat(50), margin: [0, 20, 0, 5] },
+          { text: 'Printed Name', style: 'signatureLabel' },
+          ...(companyName !== undefined ? [{ text: '\n' }, { text: companyName, style: 'companyInfo' }] : []),
+        ],
+      },
+      {
+        width: '40%',
+        stack: [
+          { text: '_'.repeat(30), margin: [0, 30, 0, 5] },
+          { text: 'Date', style: 'signatureLabel' },
+        ],
+      },
+    ],
+    margin: [0, 24, 0, 30],
+  },
+];
+
+/**
+ * Proposal option packages side by side: one column per option with its price, description, included scope
+ * and payment milestones, and an initials line for the customer's choice
+ * @param {Array} options - [{ name, description, price, milestones: [{ name, customer_price }], scopeOfWork: [{ title, description }] }]
+ * @returns {Object} pdfmake table
+ */
+const buildOptionsTable = (options) => {
+  const width = `${roundTo2(100 / options.length)}%`;
+  const cell = (content) => ({ ...content, margin: [4, 4, 4, 4] });
+  return {
+    table: {
+      headerRows: 1,
+      widths: options.map(() => width),
+      body: [
+        options.map((option) => cell({ text: option.name, style: 'tableHeader', alignment: 'center' })),
+        options.map((option) => cell({ text: formatCurrency(option.price), fontSize: 14, bold: true, color: '#1e40af', alignment: 'center' })),
+        options.map((option) => cell(option.description
+          ? { text: option.description, fontSize: 9, color: '#374151', lineHeight: 1.3 }
+          : { text: '' })),
+        options.map((option) => cell({
+          stack: [
+            { text: 'Includes', fontSize: 9, bold: true, color: '#111827', margin: [0, 0, 0, 3] },
+            (option.scopeOfWork || []).length > 0 ? {
+              ul: option.scopeOfWork.map((item) => (item.description
+                ? { text: [{ text: item.title, bold: true }, { text: ` – ${item.description}` }] }
+                : { text: item.title, bold: true })),
+              fontSize: 9,
+              color: '#374151',
+            } : { text: '-', fontSize: 9, color: '#6b7280' },
+          ],
+        })),
+        options.map((option) => cell({
+          stack: [
+            { text: 'Payments', fontSize: 9, bold: true, color: '#111827', margin: [0, 0, 0, 3] },
+            ...(option.milestones || []).map((m) => ({
+              columns: [
+                { text: m.name, width: '*' },
+                { text: formatCurrency(m.customer_price), width: 'auto', alignment: 'right' },
+              ],
+              fontSize: 9,
+              color: '#374151',
+              margin: [0, 0, 0, 2],
+            })),
+          ],
+        })),
+        options.map(() => cell({ text: 'Initial to select: ________', fontSize: 9, color: '#4b5563', alignment: 'center', margin: [4, 12, 4, 4] })),
+      ],
+    },
+    layout: 'lightHorizontalLines',
+    margin: [0, 0, 0, 20],
+  };
+};
+
+const DOCUMENT_TYPE_LABELS = { proposal: 'Proposal', contract: 'Contract', change_order: 'Change Order' };
+
+/**
+ * Values for clause merge fields (see mergeFields.js)
+ * @param {Object} contractData
+ * @param {Object} printed - { docNumber, docDate, docType, paymentSchedule, paymentTotal } as rendered
+ * @returns {Object} { 'customer.last_name': ..., ... }
+ */
+export const buildMergeValues = (contractData, { docNumber, docDate, docType, paymentSchedule, paymentTotal }) => {
+  const customer = contractData.customer || {};
+  const project = contractData.project || {};
+  const company = contractData.company || {};
+  const customerAddress = [
+    customer.address_line1,
+    customer.address_line2,
+    [customer.city, customer.state, customer.zip_code].filter(Boolean).join(', '),
+  ].filter(Boolean).join(', ');
+
+  return {
+    'customer.first_name': customer.first_name,
+    'customer.last_name': customer.last_name,
+    'customer.full_name': `${customer.first_name || ''} ${customer.last_name || ''}`.trim(),
+    'customer.email': customer.email,
+    'customer.phone': customer.phone,
+    'customer.address': customerAddress,
+    'project.project_name': project.project_name,
+    'project.address': project.address,
+    'project.property_type': project.property_type,
+    'project.sq_feet': project.sq_feet,
+    'company.company_name': company.company_name,
+    'company.phone': company.phone,
+    'company.email': company.email,
+    'company.website': company.website,
+    'company.license_numbers': Array.isArray(company.license_numbers) ? company.license_numbers.join(', ') : company.license_numbers,
+    'totals.grandTotal': formatCurrency(paymentTotal),
+    'totals.milestoneCount': paymentSchedule.length,
+    'document.number': docNumber,
+    'document.date': formatDate(docDate),
+    'document.type': DOCUMENT_TYPE_LABELS[docType] || docType,
+  };
+};
+
+/**
+ * File name for a generated document, e.g. Change_Order_00042_123_Main_St.pdf
+ * @param {Object} contractData
+ * @returns {string}
+ */
+export const contractDocumentName = (contractData) => {
+  const docType = contractData.documentType || 'contract';
+  const docNum = contractData.documentNumber || 'DOC';
+  const projectAddress = contractData.project?.address?.replace(/[^a-zA-Z0-9\s]/g, '').replace(/\s+/g, '_') || 'Project';
+  const typeLabel = docType === 'change_order' ? 'Change_Order' : docType.charAt(0).toUpperCase() + docType.slice(1);
+  return `${typeLabel}_${docNum}_${projectAddress}`;
+};
+
+/**
+ * pdfmake document definition for a proposal, contract or change order
+ * @param {Object} contractData - POST /api/projects/:id/contract response, optionally with the preview's
+ *   customerPaymentSchedule, customerGrandTotal and customScopeOfWork (proposals also carry proposalOptions)
+ * @param {Object} [options]
+ * @param {string|null} [options.logoBase64] - Company logo as a data URL
+ * @returns {Object}
+ */
+export const buildContractDocDefinition = (contractData, { logoBase64 = null } = {}) => {
+  const {
+    documentNumber,
+    documentDate,
+    documentType,
+    company,
+    project,
+    customer,
+  } = contractData;
+
+  // Support legacy field names for backwards compatibility
+  const docNumber = documentNumber || contractData.contractNumber;
+  const docDate = documentDate || contractData.contractDate;
+  const docType = documentType || 'contract';
+  const generatedAt = contractData.generatedAt || new Date().toISOString();
+
+  // Build customer address
+  const customerAddress = customer ? [
+    customer.address_line1,
+    customer.address_line2,
+    [customer.city, customer.state, customer.zip_code].filter(Boolean).join(', '),
+  ].filter(Boolean) : [];
+
+  // Generate payment schedule (uses customerPaymentSchedule, then savedMilestones, then expenses)
+  const paymentSchedule = generatePaymentSchedule(contractData);
+  const paymentTotal = roundTo2(contractData.customerGrandTotal ?? paymentSchedule.reduce((sum, item) => sum + item.amount, 0));
+
+  // Custom scope from the preview, else the document's saved scope (supports nested subscopes)
+  const scopeOfWork = buildScopeOfWork(contractData);
+
+  // Good/better/best packages (proposals only)
+  const proposalOptions = docType === 'proposal' ? (contractData.proposalOptions || []) : [];
+
+  // The document type's clauses from the company library, in layout order, with merge fields filled in
+  const mergeValues = buildMergeValues(contractData, { docNumber, docDate, docType, paymentSchedule, paymentTotal });
+  const clauses = (contractData.clauses || []).map((clause) => ({
+    title: fillMergeFields(clause.title, mergeValues),
+    body: fillMergeFields(clause.body, mergeValues),
+  }));
+
+  return {
+    pageSize: 'LETTER',
+    pageMargins: [40, 115, 40, 60],
+    compress: false,
+    info: {
+      creationDate: new Date(generatedAt),
+    },
+
+    header: buildPageHeader({ company, logoBase64, docNumber, docDate }),
+
+    footer: (currentPage, pageCount) => ({
+      columns: [
+        { text: `${company.company_name || ''}`, fontSize: 8, color: '#9ca3af' },
+        { text: `Document #${docNumber}  •  Page ${currentPage} of ${pageCount}`, alignment: 'right', fontSize: 8, color: '#9ca3af' },
+      ],
+      margin: [40, 0, 40, 0],
+    }),
+
+    content: [
+      // ================== CONTRACT TITLE ==================
+      {
+        text: docType === 'proposal'
+          ? 'PROPOSAL'
+          : docType === 'change_order'
+          ? 'CHANGE ORDER'
+          : 'CONTRACT',
+        style: 'title',
+        alignment: 'center',
+        margin: [0, 0, 0, 20],
+      },
+
+      // ================== PROJECT INFORMATION ==================
+      { text: 'PROJECT INFORMATION', style: 'sectionHeader' },
+      {
+        table: {
+          widths: ['30%', '70%'],
+          body: [
+            [{ text: 'Project Address:', style: 'tableLabel' }, { text: project.address || 'TBD', style: 'tableValue' }],
+            [
+              { text: 'Property / Project Type:', style: 'tableLabel' },
+              {
+                text: [
+                  (project.property_type || '').replace(/^(\w)/, (m) => m.toUpperCase()),
+                  Array.isArray(project.project_types) && project.project_types.length
+                    ? project.project_types.map((t) => t.replace(/^(\w)/, (m) => m.toUpperCase())).join(', ')
+                    : '',
+                ].filter(Boolean).join(' – ') || 'TBD',
+                style: 'tableValue',
+              },
+            ],
+            [{ text: 'Square Feet:', style: 'tableLabel' }, { text: project.sq_feet ? `${project.sq_feet} sq ft` : 'TBD', style: 'tableValue' }],
+          ],
+        },
+        layout: 'noBorders',
+        margin: [0, 0, 0, 20],
+      },
+
+      // ================== CLIENT INFORMATION ==================
+      { text: 'CLIENT INFORMATION', style: 'sectionHeader' },
+      customer ? {
+        table: {
+          widths: ['30%', '70%'],
+          body: [
+            [{ text: 'Client Name:', style: 'tableLabel' }, { text: `${customer.first_name || ''} ${customer.last_name || ''}`.trim() || 'TBD', style: 'tableValue' }],
+            [{ text: 'Client Address:', style: 'tableLabel' }, { text: customerAddress.join(', ') || 'TBD', style: 'tableValue' }],
+            [{ text: 'Client Email:', style: 'tableLabel' }, { text: customer.email || 'TBD', style: 'tableValue' }],
+            [{ text: 'Client Phone:', style: 'tableLabel' }, { text: customer.phone || 'TBD', style: 'tableValue' }],
+          ],
+        },
+        layout: 'noBorders',
+        margin: [0, 0, 0, 20],
+      } : { text: 'No customer assigned to this project.', style: 'note', margin: [0, 0, 0, 20] },
+
+      // ================== DESCRIPTION OF WORK ==================
+      { text: 'DESCRIPTION OF WORK', style: 'sectionHeader' },
+      project.accessories_features && project.accessories_features.trim() ? {
+        text: project.accessories_features.trim(),
+        style: 'paragraph',
+        margin: [0, 0, 0, 20],
+      } : { text: 'No description provided.', style: 'note', margin: [0, 0, 0, 20] },
+
+      // ================== SCOPE OF WORK ==================
+      { text: 'SCOPE OF WORK', style: 'sectionHeader' },
+      { text: 'The Contractor agrees to perform the following work:', style: 'paragraph' },
+      { text: '\n' },
+
+      // Scope of work items (supports subscopes as subheaders)
+      scopeOfWork.length > 0 ? {
+        stack: buildScopeStack(scopeOfWork),
+        margin: [0, 5, 0, 15],
+      } : { text: 'Scope of work to be determined.', style: 'note' },
+
+      { text: '\n' },
+
+      // ================== PAYMENT SCHEDULE ==================
+      { text: 'MILESTONE PAYMENT SCHEDULE', style: 'sectionHeader' },
+      {
+        table: {
+          headerRows: 1,
+          widths: ['70%', '30%'],
+          body: [
+            [
+              { text: 'Milestone', style: 'tableHeader' },
+              { text: 'Amount', style: 'tableHeader', alignment: 'right' },
+            ],
+            ...paymentSchedule.map((item) => [
+              { text: item.description, style: 'tableValue' },
+              { text: item.amount === 0 && item.description.toLowerCase().includes('balance') ? '-' : formatCurrency(item.amount), style: 'tableValue', alignment: 'right' },
+            ]),
+            [
+              { text: 'GRAND TOTAL', style: 'tableHeader', fillColor: '#f3f4f6' },
+              { text: formatCurrency(paymentTotal), style: 'tableHeader', alignment: 'right', fillColor: '#f3f4f6' },
+            ],
+          ],
+        },
+        layout: 'lightHorizontalLines',
+        margin: [0, 0, 0, 20],
+      },
+
+      // ================== PROPOSAL OPTIONS ==================
+      ...(proposalOptions.length > 0 ? [
+        { text: 'OPTIONS', style: 'sectionHeader' },
+        { text: 'Choose one of the following packages. The selected package replaces the scope and payment schedule above in your contract.', style: 'paragraph', margin: [0, 0, 0, 10] },
+        buildOptionsTable(proposalOptions),
+      ] : []),
+
+      // ================== CLAUSES & COMPANY TERMS OF SERVICE ==================
+      ...(clauses.length > 0 || company.terms_of_service ? [
+        { text: 'TERMS & CONDITIONS', style: 'sectionHeader' },
+      ] : []),
+      ...clauses.flatMap((clause, idx) => [
+        { text: `${idx + 1}. ${clause.title}`, style: 'subHeader' },
+        { text: clause.body, style: 'paragraph', margin: [0, 0, 0, 10] },
+      ]),
+      ...(company.terms_of_service ? [
+        { text: company.terms_of_service, style: 'paragraph', margin: [0, clauses.length > 0 ? 10 : 0, 0, 20] },
+      ] : []),
+
+      // ================== SIGNATURES ==================
+      { text: 'SIGNATURES', style: 'sectionHeader', pageBreak: 'before' },
+      { text: 'By signing below, both parties agree to the terms and conditions set forth in this contract.', style: 'paragraph', margin: [0, 0, 0, 20] },
+      ...buildSignatureBlock('OWNER'),
+      ...buildSignatureBlock('CONTRACTOR', company.company_name || ''),
+
+      // ================== DOCUMENT FOOTER ==================
+      { text: '\n' },
+      {
+        table: {
+          widths: ['100%'],
+          body: [[
+            {
+              text: [
+                { text: 'Document Generated: ', bold: true },
+                { text: formatDateTime(generatedAt, contractData.timeZone) },
+                { text: ' | Document #', bold: true },
+                { text: docNumber },
+              ],
+              style: 'footer',
+              alignment: 'center',
+              fillColor: '#f9fafb',
+            },
+          ]],
+        },
+        layout: 'noBorders',
+      },
+    ],
+
+    styles: PDF_STYLES,
+
+    defaultStyle: {
+      font: 'Roboto',
+    },
+  };
+};
+
+export default {
+  roundTo2,
+  formatCurrency,
+  formatDate,
+  formatDateTime,
+  generatePaymentSchedule,
+  buildScopeOfWork,
+  PDF_STYLES,
+  buildPageHeader,
+  buildMergeValues,
+  contractDocumentName,
+  buildContractDocDefinition,
+};
@@ -0,0 +1,64 @@
+/**
+ * Merge fields for contract clauses, e.g. "Work at {{project.address}} for {{customer.last_name}}".
+ *
+ * Values are filled in by buildContractDocDefinition (contractDocument.js) from the contract data. Pure, so
+ * the browser and backend renderers agree; the clause API also uses it to reject unknown fields on save.
+ */
+
+export const MERGE_FIELDS = [
+  { key: 'customer.first_name', label: 'Customer first name' },
+  { key: 'customer.last_name', label: 'Customer last name' },
+  { key: 'customer.full_name', label: 'Customer full name' },
+  { key: 'customer.email', label: 'Customer email' },
+  { key: 'customer.phone', label: 'Customer phone' },
+  { key: 'customer.address', label: 'Customer address' },
+  { key: 'project.project_name', label: 'Project name' },
+  { key: 'project.address', label: 'Project address' },
+  { key: 'project.property_type', label: 'Property type' },
+  { key: 'project.sq_feet', label: 'Square feet' },
+  { key: 'company.company_name', label: 'Company name' },
+  { key: 'company.phone', label: 'Company phone' },
+  { key: 'company.email', label: 'Company email' },
+  { key: 'company.website', label: 'Company website' },
+  { key: 'company.license_numbers', label: 'License numbers' },
+  { key: 'totals.grandTotal', label: 'Grand total (as printed in the payment schedule)' },
+  { key: 'totals.milestoneCount', label: 'Number of payment milestones' },
+  { key: 'document.number', label: 'Document number' },
+  { key: 'document.date', label: 'Document date' },
+  { key: 'document.type', label: 'Document type (Proposal, Contract, Change Order)' },
+];
+
+const KNOWN_KEYS = new Set(MERGE_FIELDS.map((field) => field.key));
+
+// {{ group.field }} with optional spaces inside the braces
+const MERGE_FIELD_PATTERN = /\{\{\s*([A-Za-z_]+\.[A-Za-z_]+)\s*\}\}/g;
+
+/**
+ * Merge fields used in a text that aren't in MERGE_FIELDS
+ * @param {string} text
+ * @returns {Array<string>} Unknown keys, each once
+ */
+export const findUnknownMergeFields = (text) => {
+  const unknown = new Set();
+  for (const match of String(text || '').matchAll(MERGE_FIELD_PATTERN)) {
+    if (!KNOWN_KEYS.has(match[1])) unknown.add(match[1]);
+  }
+  return [...unknown];
+};
+
+/**
+ * Replace known merge fields with their values (missing values become empty); unknown fields are left as typed
+ * @param {string} text
+ * @param {Object} values - { 'customer.last_name': 'Smith', ... }
+ * @returns {string}
+ */
+export const fillMergeFields = (text, values) =>
+  String(text || '').replace(MERGE_FIELD_PATTERN, (placeholder, key) =>
+    (KNOWN_KEYS.has(key) ? String(values[key] ?? '') : placeholder)
+  );
+
+export default {
+  MERGE_FIELDS,
+  findUnknownMergeFields,
+  fillMergeFields,
+};
@@ -10,6 +10,30 @@ import { dirname, join } from 'path';
 import * as esignaturesService from './services/esignatures.js';
 import * as googleCalendarService from './services/googleCalendar.js';
 import * as smsService from './services/infobip.js';
+import * as projectFinancials from './services/projectFinancials.js';
+import * as auditLog from './services/auditLog.js';
+import * as permissionsService from './services/permissions.js';
+import * as listQuery from './services/listQuery.js';
+import * as globalSearch from './services/globalSearch.js';
+import * as trash from './services/trash.js';
+import * as customerPortal from './services/customerPortal.js';
+import * as invoices from './services/invoices.js';
+import * as receivables from './services/receivables.js';
+import * as changeOrders from './services/changeOrders.js';
+import * as documentSnapshots from './services/documentSnapshots.js';
+import * as contractDocuments from './services/contractDocuments.js';
+import * as contractClauses from './services/contractClauses.js';
+import * as proposalOptions from './services/proposalOptions.js';
+import * as poolEstimating from './services/poolEstimating.js';
+import * as inventoryLedger from './services/inventoryLedger.js';
+import * as purchaseOrders from './services/purchaseOrders.js';
+import * as priceLists from './services/priceLists.js';
+import * as subcontractorCoi from './services/subcontractorCoi.js';
+import * as subcontractorPayments from './services/subcontractorPayments.js';
+import * as projectSchedule from './services/projectSchedule.js';
+import * as calendarEvents from './services/calendarEvents.js';
+import * as googleCalendarSync from './services/googleCalendarSync.js';
+import { MERGE_FIELDS } from './pdf/mergeFields.js';
 import {
   handleValidationErrors,
   loginValidation,
@@ -26,10 +50,61 @@ import {
   projectPutValidation,
   inventoryPostValidation,
   inventoryPutValidation,
+  inventoryMovementValidation,
   subcontractorPostValidation,
   subcontractorPutValidation,
+  coiRenewalPostValidation,
+  coiSettingsPutValidation,
+  subcontractorPaymentPostValidation,
+  subcontractorPaymentPutValidation,
+  report1099QueryValidation,
+  supplierPostValidation,
+  supplierPutValidation,
+  purchaseOrderListValidation,
+  purchaseOrderPostValidation,
+  purchaseOrderPutValidation,
+  purchaseOrderStatusValidation,
+  purchaseOrderReceiveValidation,
+  supplierPriceListValidation,
   goalPostValidation,
   goalPutValidation,
+  auditLogQueryValidation,
+  permissionsPutValidation,
+  listQueryValidation,
+  searchQueryValidation,
+  trashItemValidation,
+  trashSettingsValidation,
+  portalLinkPostValidation,
+  portalTokenValidation,
+  invoicePostValidation,
+  invoicePaymentPostValidation,
+  invoiceReminderPostValidation,
+  changeOrderPostValidation,
+  changeOrderPutValidation,
+  changeOrderStatusValidation,
+  scheduleTaskPostValidation,
+  scheduleTaskPutValidation,
+  scheduleGenerateValidation,
+  calendarEventPostValidation,
+  calendarEventPutValidation,
+  calendarEventListValidation,
+  calendarFeedTokenValidation,
+  googleCalendarSyncPutValidation,
+  snapshotDiffQueryValidation,
+  contractDataValidation,
+  generateDocumentValidation,
+  contractClauseValidation,
+  contractClausePutValidation,
+  clauseLayoutValidation,
+  proposalOptionPostValidation,
+  proposalOptionPutValidation,
+  proposalOptionSelectValidation,
+  portalOptionSelectValidation,
+  poolSpecPutValidation,
+  estimatingRatesPutValidation,
+  reminderSettingsPutValidation,
+  reminderLogQueryValidation,
+  uuidParam,
 } from './validation.js';
 
 // Get the directory of the current module
@@ -136,6 +211,9 @@ if (stripeWebhookSecret && stripe) {
   console.warn('Stripe billing not configured. Set STRIPE_SECRET_KEY, STRIPE_PRICE_ID (and STRIPE_WEBHOOK_SECRET for webhooks).');
 }
 
+// Supplier price lists (import and preview) are posted as JSON rows and can run past the 100kb default.
+// Parsed here first, so the global parser below leaves their bodies alone.
+app.use('/api/suppliers/:id/price-list', express.json({ limit: '2mb' }));
 app.use(express.json());
 
 // Configure multer for file uploads (store in memory)
@@ -160,9 +238,11 @@ const supabase = createClient(supabaseUrl || '', supabaseServiceKey || '');
  * Resolve authenticated user and company from request.
  * Company is taken from X-Company-ID header (not from user_metadata).
  * Validates that the user has an active employee record for that company.
- * Returns { user, companyID } or { error, status }.
+ * Returns { user, companyID, employee } or { error, status }.
+ * The result is cached on req.auth so middleware and handlers share one lookup.
  */
 async function getAuthUserAndCompany(req) {
+  if (req.auth) return req.auth;
   const token = req.headers.authorization?.replace('Bearer ', '');
   if (!token) return { error: 'Not authenticated', status: 401 };
   const { data: { user }, error: userError } = await supabase.auth.getUser(token);
@@ -172,15 +252,71 @@ async function getAuthUserAndCompany(req) {
   if (!companyID) return { error: 'Company context required. Send X-Company-ID header.', status: 400 };
   const { data: emp } = await supabase
     .from('employees')
-    .select('current')
+    .select('id, name, user_type, user_role, current')
     .eq('email_address', user.email?.toLowerCase())
     .eq('company_id', companyID)
     .maybeSingle();
   if (!emp) return { error: 'You do not have access to this company.', status: 403 };
   if (emp.current === false) return { error: 'Your account has been deactivated. Please contact an administrator.', status: 403 };
-  return { user, companyID };
+  req.auth = { user, companyID, employee: emp };
+  return req.auth;
 }
 
+/**
+ * Effective permissions for the authenticated employee (see services/permissions.js).
+ * Cached on the auth object for the rest of the request.
+ * @returns {Promise<Set<string>>}
+ */
+async function getAuthPermissions(auth) {
+  if (!auth.permissions) {
+    auth.permissions = await permissionsService.getEmployeePermissions(auth.companyID, auth.employee);
+  }
+  return auth.permissions;
+}
+
+/**
+ * Middleware: require a permission from the company's permission matrix.
+ * Responds 401/403 on its own; handlers that run afterwards reuse the cached auth.
+ */
+function requirePermission(permission) {
+  return async (req, res, next) => {
+    try {
+      const auth = await getAuthUserAndCompany(req);
+      if (auth.error) return res.status(auth.status).json({ error: auth.error });
+      const permissions = await getAuthPermissions(auth);
+      if (!permissions.has(permission)) {
+        return res.status(403).json({ error: 'You do not have permission to perform this action' });
+      }
+      next();
+    } catch (error) {
+      console.error('Permission check error:', error);
+      res.status(500).json({ error: 'Internal server error' });
+    }
+  };
+}
+
+const UUID_PATTERN = /^[0-9a-f]{8}-[0-9a-f]{4}-[0-9a-f]{4}-[0-9a-f]{4}-[0-9a-f]{12}$/i;
+
+// A project in the Trash is gone as far as its expenses, milestones, scope, schedule, invoices and other
+// sub-resources are concerned: answer 404 like GET /api/projects/:id does, so it can't be read or edited
+app.all('/api/projects/:id/*', async (req, res, next) => {
+  try {
+    if (!UUID_PATTERN.test(req.params.id)) return next();
+    const { data: trashed, error } = await supabase
+      .from('projects')
+      .select('id')
+      .eq('id', req.params.id)
+      .not('deleted_at', 'is', null)
+      .maybeSingle();
+    if (error) throw new Error(error.message);
+    if (trashed) return res.status(404).json({ error: 'Project not found' });
+    next();
+  } catch (error) {
+    console.error('Trashed project check error:', error);
+    res.status(500).json({ error: 'Internal server error' });
+  }
+});
+
 // Health check endpoint
 app.get('/api/health', (req, res) => {
   res.json({ status: 'ok', message: 'Tovyalla CRM API is running' });
@@ -853,24 +989,12 @@ app.get('/api/billing/subscription', async (req, res) => {
 });
 
 // Cancel subscription and delete company (user account is kept; they can sign in to other companies)
-app.post('/api/billing/cancel-subscription', async (req, res) => {
+app.post('/api/billing/cancel-subscription', requirePermission('manage_billing'), async (req, res) => {
   try {
     const auth = await getAuthUserAndCompany(req);
     if (auth.error) return res.status(auth.status).json({ error: auth.error });
     const { user, companyID } = auth;
 
-    // Only admins can cancel the subscription and delete the company
-    const { data: currentEmployee } = await supabase
-      .from('employees')
-      .select('user_type')
-      .eq('company_id', companyID)
-      .eq('email_address', user.email?.toLowerCase())
-      .maybeSingle();
-
-    if (currentEmployee?.user_type !== 'admin') {
-      return res.status(403).json({ error: 'Only admins can cancel the subscription and delete the company.' });
-    }
-
     // Get company with stripe_subscription_id
     const { data: company, error: companyError } = await supabase
       .from('companies')
@@ -1101,14 +1225,8 @@ app.get('/api/whitelist', async (req, res) => {
     if (auth.error) return res.status(auth.status).json({ error: auth.error });
     const { user, companyID } = auth;
 
-    // Only admin, manager, and owner can add/remove; check for canManage flag in response
-    const { data: currentEmployee } = await supabase
-      .from('employees')
-      .select('user_type')
-      .eq('company_id', companyID)
-      .eq('email_address', user.email?.toLowerCase())
-      .maybeSingle();
-    const canManage = currentEmployee?.user_type === 'admin' || currentEmployee?.user_type === 'manager' || currentEmployee?.user_type === 'owner';
+    // Only employees with manage_whitelist can add/remove; expose canManage flag in response
+    const canManage = (await getAuthPermissions(auth)).has('manage_whitelist');
 
     const { data, error } = await supabase
       .from('company_whitelist')
@@ -1128,23 +1246,12 @@ app.get('/api/whitelist', async (req, res) => {
 });
 
 // Add email to whitelist
-app.post('/api/whitelist', whitelistPostValidation, handleValidationErrors, async (req, res) => {
+app.post('/api/whitelist', requirePermission('manage_whitelist'), whitelistPostValidation, handleValidationErrors, async (req, res) => {
   try {
     const auth = await getAuthUserAndCompany(req);
     if (auth.error) return res.status(auth.status).json({ error: auth.error });
     const { user, companyID } = auth;
 
-    // Only admin, manager, and owner can add to whitelist
-    const { data: currentEmployee } = await supabase
-      .from('employees')
-      .select('user_type')
-      .eq('company_id', companyID)
-      .eq('email_address', user.email?.toLowerCase())
-      .maybeSingle();
-    if (currentEmployee?.user_type !== 'admin' && currentEmployee?.user_type !== 'manager' && currentEmployee?.user_type !== 'owner') {
-      return res.status(403).json({ error: 'Only admins, managers, and owners can add emails to the whitelist' });
-    }
-
     const { email } = req.body;
 
     // Check if email already exists in whitelist
@@ -1175,6 +1282,8 @@ app.post('/api/whitelist', whitelistPostValidation, handleValidationErrors, asyn
       return res.status(500).json({ error: error.message });
     }
 
+    await auditLog.recordAudit({ auth, entityType: 'whitelist', entityId: data.id, action: 'create', after: data });
+
     res.json({ whitelistEntry: data });
   } catch (error) {
     console.error('Add to whitelist error:', error);
@@ -1183,23 +1292,12 @@ app.post('/api/whitelist', whitelistPostValidation, handleValidationErrors, asyn
 });
 
 // Remove email from whitelist
-app.delete('/api/whitelist/:id', async (req, res) => {
+app.delete('/api/whitelist/:id', requirePermission('manage_whitelist'), async (req, res) => {
   try {
     const auth = await getAuthUserAndCompany(req);
     if (auth.error) return res.status(auth.status).json({ error: auth.error });
     const { user, companyID } = auth;
 
-    // Only admin, manager, and owner can remove from whitelist
-    const { data: currentEmployee } = await supabase
-      .from('employees')
-      .select('user_type')
-      .eq('company_id', companyID)
-      .eq('email_address', user.email?.toLowerCase())
-      .maybeSingle();
-    if (currentEmployee?.user_type !== 'admin' && currentEmployee?.user_type !== 'manager' && currentEmployee?.user_type !== 'owner') {
-      return res.status(403).json({ error: 'Only admins and managers can remove emails from the whitelist' });
-    }
-
     const { id } = req.params;
 
     // Verify the whitelist entry belongs to the user's company
@@ -1225,6 +1323,8 @@ app.delete('/api/whitelist/:id', async (req, res) => {
       return res.status(500).json({ error: error.message });
     }
 
+    await auditLog.recordAudit({ auth, entityType: 'whitelist', entityId: id, action: 'delete', before: entry });
+
     res.json({ success: true });
   } catch (error) {
     console.error('Remove from whitelist error:', error);
@@ -1253,14 +1353,8 @@ app.get('/api/company', async (req, res) => {
       return res.status(500).json({ error: companyError.message });
     }
 
-    // Only admins can cancel subscription; expose flag for Settings
-    const { data: currentEmployee } = await supabase
-      .from('employees')
-      .select('user_type')
-      .eq('company_id', companyID)
-      .eq('email_address', user.email?.toLowerCase())
-      .maybeSingle();
-    const can_cancel_subscription = currentEmployee?.user_type === 'admin';
+    // Only employees with manage_billing can cancel subscription; expose flag for Settings
+    const can_cancel_subscription = (await getAuthPermissions(auth)).has('manage_billing');
 
     res.json({ company: company || null, can_cancel_subscription });
   } catch (error) {
@@ -1270,7 +1364,7 @@ app.get('/api/company', async (req, res) => {
 });
 
 // Update company information
-app.put('/api/company', companyPutValidation, handleValidationErrors, async (req, res) => {
+app.put('/api/company', requirePermission('manage_company'), companyPutValidation, handleValidationErrors, async (req, res) => {
   try {
     const auth = await getAuthUserAndCompany(req);
     if (auth.error) return res.status(auth.status).json({ error: auth.error });
@@ -1312,10 +1406,10 @@ app.put('/api/company', companyPutValidation, handleValidationErrors, async (req
       auto_include_additional_expenses,
     } = req.body;
 
-    // Check if company exists
+    // Check if company exists (full row is kept for the audit diff)
     const { data: existing, error: checkError } = await supabase
       .from('companies')
-      .select('company_id')
+      .select('*')
       .eq('company_id', companyID)
       .single();
 
@@ -1427,6 +1521,15 @@ app.put('/api/company', companyPutValidation, handleValidationErrors, async (req
       result = data;
     }
 
+    await auditLog.recordAudit({
+      auth,
+      entityType: 'company',
+      entityId: companyID,
+      action: existing ? 'update' : 'create',
+      before: existing || null,
+      after: result,
+    });
+
     res.json({ company: result });
   } catch (error) {
     console.error('Update company error:', error);
@@ -1435,7 +1538,7 @@ app.put('/api/company', companyPutValidation, handleValidationErrors, async (req
 });
 
 // Upload company logo
-app.post('/api/company/logo', async (req, res) => {
+app.post('/api/company/logo', requirePermission('manage_company'), async (req, res) => {
   try {
     const auth = await getAuthUserAndCompany(req);
     if (auth.error) return res.status(auth.status).json({ error: auth.error });
@@ -1523,11 +1626,23 @@ app.post('/api/company/logo', async (req, res) => {
           return res.status(500).json({ error: insertError.message });
         }
 
+        await auditLog.recordAudit({ auth, entityType: 'company', entityId: companyID, action: 'create', after: newCompany, metadata: { logo: 'uploaded' } });
+
         return res.json({ company: newCompany, logo_url: logoUrl });
       }
       return res.status(500).json({ error: updateError.message });
     }
 
+    await auditLog.recordAudit({
+      auth,
+      entityType: 'company',
+      entityId: companyID,
+      action: 'update',
+      before: { logo_url: existingCompany?.logo_url || null },
+      after: { logo_url: logoUrl },
+      metadata: { logo: 'uploaded', file_name },
+    });
+
     res.json({ company, logo_url: logoUrl });
   } catch (error) {
     console.error('Upload logo error:', error);
@@ -1536,7 +1651,7 @@ app.post('/api/company/logo', async (req, res) => {
 });
 
 // Delete company logo
-app.delete('/api/company/logo', async (req, res) => {
+app.delete('/api/company/logo', requirePermission('manage_company'), async (req, res) => {
   try {
     const auth = await getAuthUserAndCompany(req);
     if (auth.error) return res.status(auth.status).json({ error: auth.error });
@@ -1572,6 +1687,18 @@ app.delete('/api/company/logo', async (req, res) => {
       return res.status(500).json({ error: updateError.message });
     }
 
+    if (company?.logo_url) {
+      await auditLog.recordAudit({
+        auth,
+        entityType: 'company',
+        entityId: companyID,
+        action: 'update',
+        before: { logo_url: company.logo_url },
+        after: { logo_url: null },
+        metadata: { logo: 'removed' },
+      });
+    }
+
     res.json({ success: true, company: updatedCompany });
   } catch (error) {
     console.error('Delete logo error:', error);
@@ -1580,23 +1707,42 @@ app.delete('/api/company/logo', async (req, res) => {
 });
 
 // Get all customers for a company
-app.get('/api/customers', async (req, res) => {
+app.get('/api/customers', listQueryValidation, handleValidationErrors, async (req, res) => {
   try {
     const auth = await getAuthUserAndCompany(req);
     if (auth.error) return res.status(auth.status).json({ error: auth.error });
     const { user, companyID } = auth;
 
-    const { data, error } = await supabase
-      .from('customers')
-      .select('*')
-      .eq('company_id', companyID)
-      .order('created_at', { ascending: false });
+    const listConfig = listQuery.LIST_CONFIGS.customers;
+    const params = listQuery.parseListParams(req.query, listConfig);
+
+    const { data, error, count } = await listQuery.applyListParams(
+      supabase
+        .from('customers')
+        .select('*', params.paged ? { count: 'exact' } : undefined)
+        .eq('company_id', companyID),
+      params,
+      listConfig
+    );
 
     if (error) {
       return res.status(500).json({ error: error.message });
     }
 
-    res.json({ customers: data || [] });
+    if (!params.paged) {
+      return res.json({ customers: data || [] });
+    }
+
+    // Company-wide counts for the summary cards (independent of search and filters)
+    const summary = await listQuery.getListSummary('customers', companyID, { groupBy: 'pipeline_status' });
+
+    res.json({
+      customers: data || [],
+      total: count || 0,
+      limit: params.limit,
+      offset: params.offset,
+      summary: { total: summary.total, statusCounts: summary.counts },
+    });
   } catch (error) {
     console.error('Get customers error:', error);
     res.status(500).json({ error: 'Internal server error' });
@@ -1617,6 +1763,7 @@ app.get('/api/customers/:id', async (req, res) => {
       .select('*')
       .eq('id', id)
       .eq('company_id', companyID)
+      .is('deleted_at', null)
       .single();
 
     if (error || !data) {
@@ -1652,6 +1799,8 @@ app.post('/api/customers', async (req, res) => {
       pipeline_status,
       notes,
       estimated_value,
+      reminder_sms_opt_out,
+      reminder_email_opt_out,
     } = req.body;
 
     const initialStatus = pipeline_status || 'lead';
@@ -1675,6 +1824,8 @@ app.post('/api/customers', async (req, res) => {
           pipeline_status: initialStatus,
           notes: notes || null,
           estimated_value: estimated_value || null,
+          reminder_sms_opt_out: !!reminder_sms_opt_out,
+          reminder_email_opt_out: !!reminder_email_opt_out,
         },
       ])
       .select()
@@ -1694,6 +1845,8 @@ app.post('/api/customers', async (req, res) => {
         changed_at: new Date().toISOString(),
       });
 
+    await auditLog.recordAudit({ auth, entityType: 'customer', entityId: data.id, action: 'create', after: data });
+
     res.json({ customer: data });
   } catch (error) {
     console.error('Create customer error:', error);
@@ -1724,6 +1877,8 @@ app.put('/api/customers/:id', customerPutValidation, handleValidationErrors, asy
       pipeline_status,
       notes,
       estimated_value,
+      reminder_sms_opt_out,
+      reminder_email_opt_out,
     } = req.body;
 
     // Verify customer belongs to user's company
@@ -1732,6 +1887,7 @@ app.put('/api/customers/:id', customerPutValidation, handleValidationErrors, asy
       .select('*')
       .eq('id', id)
       .eq('company_id', companyID)
+      .is('deleted_at', null)
       .single();
 
     if (checkError || !existing) {
@@ -1758,6 +1914,8 @@ app.put('/api/customers/:id', customerPutValidation, handleValidationErrors, asy
         pipeline_status: newStatus,
         notes: notes || null,
         estimated_value: estimated_value || null,
+        reminder_sms_opt_out: reminder_sms_opt_out ?? existing.reminder_sms_opt_out,
+        reminder_email_opt_out: reminder_email_opt_out ?? existing.reminder_email_opt_out,
         updated_at: new Date().toISOString(),
       })
       .eq('id', id)
@@ -1784,6 +1942,8 @@ app.put('/api/customers/:id', customerPutValidation, handleValidationErrors, asy
         });
     }
 
+    await auditLog.recordAudit({ auth, entityType: 'customer', entityId: id, action: 'update', before: existing, after: data });
+
     res.json({ customer: data });
   } catch (error) {
     console.error('Update customer error:', error);
@@ -1792,7 +1952,7 @@ app.put('/api/customers/:id', customerPutValidation, handleValidationErrors, asy
 });
 
 // Delete a customer
-app.delete('/api/customers/:id', async (req, res) => {
+app.delete('/api/customers/:id', requirePermission('delete_records'), async (req, res) => {
   try {
     const auth = await getAuthUserAndCompany(req);
     if (auth.error) return res.status(auth.status).json({ error: auth.error });
@@ -1806,20 +1966,21 @@ app.delete('/api/customers/:id', async (req, res) => {
       .select('*')
       .eq('id', id)
       .eq('company_id', companyID)
+      .is('deleted_at', null)
       .single();
 
     if (checkError || !existing) {
       return res.status(404).json({ error: 'Customer not found' });
     }
 
-    const { error } = await supabase
-      .from('customers')
-      .delete()
-      .eq('id', id)
-      .eq('company_id', companyID);
+    // Goes to the Trash; purged for good after the company's retention period
+    // Their projects go to the Trash with them
+    const trashed = await trash.moveToTrash('customer', id, companyID, auth.employee?.id);
+    const projectIds = trashed?.trashedChildIds || [];
 
-    if (error) {
-      return res.status(500).json({ error: error.message });
+    await auditLog.recordAudit({ auth, entityType: 'customer', entityId: id, action: 'delete', before: existing, metadata: { trashed: true, project_ids: projectIds } });
+    for (const projectId of projectIds) {
+      await auditLog.recordAudit({ auth, entityType: 'project', entityId: projectId, action: 'delete', metadata: { trashed: true, customer_id: id } });
     }
 
     res.json({ success: true });
@@ -1830,32 +1991,70 @@ app.delete('/api/customers/:id', async (req, res) => {
 });
 
 // Get all projects for a company
-app.get('/api/projects', async (req, res) => {
+app.get('/api/projects', listQueryValidation, handleValidationErrors, async (req, res) => {
   try {
     const auth = await getAuthUserAndCompany(req);
     if (auth.error) return res.status(auth.status).json({ error: auth.error });
     const { user, companyID } = auth;
 
-    const { data, error } = await supabase
-      .from('projects')
-      .select(`
-        *,
-        customers:customer_id (
-          id,
-          first_name,
-          last_name,
-          email,
-          phone
-        )
-      `)
-      .eq('company_id', companyID)
-      .order('created_at', { ascending: false });
+    const listConfig = listQuery.LIST_CONFIGS.projects;
+    const params = listQuery.parseListParams(req.query, listConfig);
+
+    // Search also matches the customer's name
+    const extraSearchFilters = [];
+    if (params.search) {
+      const customerIds = await listQuery.findCustomerIdsByName(companyID, params.search);
+      if (customerIds.length > 0) {
+        extraSearchFilters.push(`customer_id.in.(${customerIds.join(',')})`);
+      }
+    }
+
+    const { data, error, count } = await listQuery.applyListParams(
+      supabase
+        .from('projects')
+        .select(`
+          *,
+          customers:customer_id (
+            id,
+            first_name,
+            last_name,
+            email,
+            phone
+          )
+        `, params.paged ? { count: 'exact' } : undefined)
+        .eq('company_id', companyID),
+      params,
+      listConfig,
+      { extraSearchFilters }
+    );
 
     if (error) {
       return res.status(500).json({ error: error.message });
     }
 
-    res.json({ projects: data || [] });
+    if (!params.paged) {
+      return res.json({ projects: data || [] });
+    }
+
+    // Company-wide rollup for the summary cards and PM filter (independent of search and filters)
+    const summary = await listQuery.getListSummary('projects', companyID, {
+      groupBy: 'status',
+      sumColumn: 'est_value',
+      distinctColumn: 'project_manager',
+    });
+
+    res.json({
+      projects: data || [],
+      total: count || 0,
+      limit: params.limit,
+      offset: params.offset,
+      summary: {
+        total: summary.total,
+        statusCounts: summary.counts,
+        totalEstValue: summary.sum,
+        projectManagers: summary.distinct,
+      },
+    });
   } catch (error) {
     console.error('Get projects error:', error);
     res.status(500).json({ error: 'Internal server error' });
@@ -1864,7 +2063,7 @@ app.get('/api/projects', async (req, res) => {
 
 // Get project statistics (total est_value and profit) with date filtering
 // IMPORTANT: This must be BEFORE /api/projects/:id route
-app.get('/api/projects/statistics', async (req, res) => {
+app.get('/api/projects/statistics', requirePermission('view_costs'), async (req, res) => {
   try {
     const auth = await getAuthUserAndCompany(req);
     if (auth.error) return res.status(auth.status).json({ error: auth.error });
@@ -1895,151 +2094,23 @@ app.get('/api/projects/statistics', async (req, res) => {
       }
     }
 
-    // Get projects marked as sold or complete from status history
-    let soldQuery = supabase
-      .from('project_status_history')
-      .select('project_id, projects!inner(est_value, closing_price)')
-      .eq('company_id', companyID)
-      .eq('status', 'sold');
-
-    let completeQuery = supabase
-      .from('project_status_history')
-      .select('project_id, projects!inner(est_value, closing_price)')
-      .eq('company_id', companyID)
-      .eq('status', 'complete');
-
-    if (startDate) {
-      soldQuery = soldQuery.gte('changed_at', startDate.toISOString());
-      completeQuery = completeQuery.gte('changed_at', startDate.toISOString());
-    }
-
-    const [{ data: soldHistory }, { data: completeHistory }] = await Promise.all([
-      soldQuery,
-      completeQuery,
+    // Revenue and expenses for projects sold or completed in the period (shared with goals).
+    // Receivables: balance due is everything currently unpaid; payments received is within the period.
+    const [summary, receivablesSummary] = await Promise.all([
+      projectFinancials.summarizeClosedProjects(companyID, startDate),
+      invoices.getReceivablesSummary(companyID, startDate),
     ]);
 
-    // Combine sold and complete, avoiding duplicates
-    const processedProjectIds = new Set();
-    const allProjects = [
-      ...(soldHistory || []),
-      ...(completeHistory || []),
-    ];
-
-    if (allProjects.length === 0) {
-      return res.json({
-        totalEstValue: 0,
-        totalProfit: 0,
-        totalExpenses: 0,
-        projectCount: 0,
-        period: period,
-      });
-    }
-
-    // Calculate revenue (from milestones customer_price) and expenses for sold/complete projects
-    let totalRevenue = 0;
-    let totalEstValue = 0;
-    let totalExpenses = 0;
-    let projectCount = 0;
-
-    for (const record of allProjects) {
-      // Skip duplicates
-      if (processedProjectIds.has(record.project_id)) continue;
-      processedProjectIds.add(record.project_id);
-
-      const estValue = parseFloat(record.projects?.est_value || 0);
-      const closingPrice = parseFloat(record.projects?.closing_price || 0);
-      totalEstValue += estValue;
-      projectCount++;
-
-      // Calculate revenue: Use closing_price if available, otherwise use milestones or est_value
-      let projectRevenue = 0;
-      
-      if (closingPrice > 0) {
-        // Priority 1: Use closing_price if set
-        projectRevenue = closingPrice;
-      } else {
-        // Priority 2: Get revenue from milestones (customer_price)
-        const { data: milestones } = await supabase
-          .from('milestones')
-          .select('customer_price')
-          .eq('project_id', record.project_id);
-
-        if (milestones) {
-          milestones.forEach((milestone) => {
-            projectRevenue += parseFloat(milestone.customer_price || 0);
-          });
-        }
-        // Priority 3: Fall back to est_value
-        if (projectRevenue === 0) {
-          projectRevenue = estValue;
-        }
-      }
-      totalRevenue += projectRevenue;
-
-      // Get expenses for this project
-      const { data: subcontractorFees } = await supabase
-        .from('project_subcontractor_fees')
-        .select('flat_fee')
-        .eq('project_id', record.project_id);
-
-      const { data: materials } = await supabase
-        .from('project_materials')
-        .select('actual_price')
-        .eq('project_id', record.project_id);
-
-      const { data: equipment } = await supabase
-        .from('project_equipment')
-        .select('actual_price')
-        .eq('project_id', record.project_id);
-
-      const { data: additionalExpenses } = await supabase
-        .from('project_additional_expenses')
-        .select('amount')
-        .eq('project_id', record.project_id);
-
-      // Calculate subcontractor costs
-      let subcontractorTotal = 0;
-      if (subcontractorFees) {
-        subcontractorFees.forEach((entry) => {
-          subcontractorTotal += parseFloat(entry.flat_fee || 0);
-        });
-      }
-
-      // Calculate materials costs
-      let materialsTotal = 0;
-      if (materials) {
-        materials.forEach((entry) => {
-          materialsTotal += parseFloat(entry.actual_price || 0);
-        });
-      }
-
-      // Calculate equipment costs
-      let equipmentTotal = 0;
-      if (equipment) {
-        equipment.forEach((entry) => {
-          equipmentTotal += parseFloat(entry.actual_price || 0);
-        });
-      }
-
-      // Calculate additional expenses
-      let additionalTotal = 0;
-      if (additionalExpenses) {
-        additionalExpenses.forEach((entry) => {
-          additionalTotal += parseFloat(entry.amount || 0);
-        });
-      }
-
-      totalExpenses += subcontractorTotal + materialsTotal + equipmentTotal + additionalTotal;
-    }
-
-    const totalProfit = totalRevenue - totalExpenses;
-
     res.json({
-      totalEstValue: totalEstValue,
-      totalRevenue: totalRevenue,
-      totalProfit: totalProfit,
-      totalExpenses: totalExpenses,
-      projectCount: projectCount,
+      totalEstValue: summary.totalEstValue,
+      totalRevenue: summary.totalRevenue,
+      totalProfit: summary.totalProfit,
+      totalExpenses: summary.totalExpenses,
+      projectCount: summary.projectCount,
+      balanceDue: receivablesSummary.balanceDue,
+      overdueBalance: receivablesSummary.overdue,
+      openInvoiceCount: receivablesSummary.openInvoiceCount,
+      paymentsReceived: receivablesSummary.paymentsReceived,
       period: period,
     });
   } catch (error) {
@@ -2049,7 +2120,7 @@ app.get('/api/projects/statistics', async (req, res) => {
 });
 
 // Get monthly statistics for dashboard chart
-app.get('/api/projects/monthly-statistics', async (req, res) => {
+app.get('/api/projects/monthly-statistics', requirePermission('view_costs'), async (req, res) => {
   try {
     const auth = await getAuthUserAndCompany(req);
     if (auth.error) return res.status(auth.status).json({ error: auth.error });
@@ -2062,31 +2133,15 @@ app.get('/api/projects/monthly-statistics', async (req, res) => {
     const yearStart = new Date(yearNum, 0, 1).toISOString();
     const yearEnd = new Date(yearNum, 11, 31, 23, 59, 59).toISOString();
 
-    // Batch all queries in parallel - only 5 database calls instead of 60+
+    // Batch all queries in parallel
     const [
-      { data: soldHistory },
-      { data: completedHistory },
+      closedHistory,
       { data: leadsHistory },
       { data: signedHistory },
       { data: totalCustomers }
     ] = await Promise.all([
-      // Get all sold projects for the year
-      supabase
-        .from('project_status_history')
-        .select('project_id, changed_at, projects!inner(est_value, closing_price)')
-        .eq('company_id', companyID)
-        .eq('status', 'sold')
-        .gte('changed_at', yearStart)
-        .lte('changed_at', yearEnd),
-      
-      // Get all completed projects for the year
-      supabase
-        .from('project_status_history')
-        .select('project_id, changed_at, projects!inner(est_value, closing_price)')
-        .eq('company_id', companyID)
-        .eq('status', 'complete')
-        .gte('changed_at', yearStart)
-        .lte('changed_at', yearEnd),
+      // Get all sold and completed projects for the year
+      projectFinancials.getClosedProjectHistory(companyID, { start: yearStart, end: yearEnd }),
       
       // Get all leads for the year
       supabase
@@ -2111,95 +2166,16 @@ app.get('/api/projects/monthly-statistics', async (req, res) => {
         .from('customers')
         .select('id, created_at')
         .eq('company_id', companyID)
+        .is('deleted_at', null)
         .gte('created_at', yearStart)
         .lte('created_at', yearEnd)
     ]);
 
-    // Collect unique project IDs that need expense calculations
-    const projectIds = new Set();
-    (soldHistory || []).forEach(h => projectIds.add(h.project_id));
-    (completedHistory || []).forEach(h => projectIds.add(h.project_id));
-    const projectIdArray = Array.from(projectIds);
-
-    // Batch fetch all expense data for relevant projects in parallel
-    let milestones = [], subcontractorFees = [], materials = [], additionalExpenses = [], equipment = [];
-    
-    if (projectIdArray.length > 0) {
-      const [
-        { data: milestonesData },
-        { data: subcontractorFeesData },
-        { data: materialsData },
-        { data: additionalExpensesData },
-        { data: equipmentData }
-      ] = await Promise.all([
-        supabase
-          .from('milestones')
-          .select('project_id, customer_price')
-          .in('project_id', projectIdArray),
-        supabase
-          .from('project_subcontractor_fees')
-          .select('project_id, flat_fee')
-          .in('project_id', projectIdArray),
-        supabase
-          .from('project_materials')
-          .select('project_id, actual_price')
-          .in('project_id', projectIdArray),
-        supabase
-          .from('project_additional_expenses')
-          .select('project_id, amount')
-          .in('project_id', projectIdArray),
-        supabase
-          .from('project_equipment')
-          .select('project_id, actual_price')
-          .in('project_id', projectIdArray)
-      ]);
-      
-      milestones = milestonesData || [];
-      subcontractorFees = subcontractorFeesData || [];
-      materials = materialsData || [];
-      additionalExpenses = additionalExpensesData || [];
-      equipment = equipmentData || [];
-    }
-
-    // Pre-compute expense totals per project
-    const projectExpenses = {};
-    const projectRevenue = {};
-    const projectEstValue = {};
-    const projectClosingPrice = {};
-    
-    // Build lookup for est_value and closing_price from sold/completed history
-    (soldHistory || []).forEach(h => {
-      projectEstValue[h.project_id] = parseFloat(h.projects?.est_value || 0);
-      projectClosingPrice[h.project_id] = parseFloat(h.projects?.closing_price || 0);
-    });
-    (completedHistory || []).forEach(h => {
-      projectEstValue[h.project_id] = parseFloat(h.projects?.est_value || 0);
-      projectClosingPrice[h.project_id] = parseFloat(h.projects?.closing_price || 0);
-    });
-    
-    // Calculate revenue per project from milestones (only used if no closing_price)
-    milestones.forEach(m => {
-      if (!projectRevenue[m.project_id]) projectRevenue[m.project_id] = 0;
-      projectRevenue[m.project_id] += parseFloat(m.customer_price || 0);
-    });
-    
-    // Calculate expenses per project
-    projectIdArray.forEach(id => {
-      projectExpenses[id] = 0;
-    });
-    
-    subcontractorFees.forEach(f => {
-      projectExpenses[f.project_id] = (projectExpenses[f.project_id] || 0) + parseFloat(f.flat_fee || 0);
-    });
-    materials.forEach(m => {
-      projectExpenses[m.project_id] = (projectExpenses[m.project_id] || 0) + parseFloat(m.actual_price || 0);
-    });
-    additionalExpenses.forEach(e => {
-      projectExpenses[e.project_id] = (projectExpenses[e.project_id] || 0) + parseFloat(e.amount || 0);
-    });
-    equipment.forEach(e => {
-      projectExpenses[e.project_id] = (projectExpenses[e.project_id] || 0) + parseFloat(e.actual_price || 0);
-    });
+    // Revenue and expenses for every sold/completed project in one batch
+    const financialsByProject = await projectFinancials.getProjectFinancials(
+      companyID,
+      closedHistory.map((h) => h.project_id)
+    );
 
     // Helper to get month index (0-11) from ISO date string
     const getMonthIndex = (dateStr) => new Date(dateStr).getMonth();
@@ -2218,47 +2194,31 @@ app.get('/api/projects/monthly-statistics', async (req, res) => {
       sold: 0,
       totalCustomers: 0,
       completedProjects: 0,
-      _processedProjects: new Set() // Track processed projects to avoid duplicates
+      _processedProjects: new Set(), // Track processed projects to avoid duplicates
+      _countedTransitions: new Set()
     }));
 
-    // Helper to get revenue: closing_price > milestones > est_value
-    const getProjectRevenue = (projectId) => {
-      const closingPrice = projectClosingPrice[projectId] || 0;
-      if (closingPrice > 0) return closingPrice;
-      const milestonesRev = projectRevenue[projectId] || 0;
-      if (milestonesRev > 0) return milestonesRev;
-      return projectEstValue[projectId] || 0;
-    };
-
-    // Process sold projects
-    (soldHistory || []).forEach(record => {
+    // Process sold and completed projects
+    closedHistory.forEach(record => {
       const monthIdx = getMonthIndex(record.changed_at);
       const monthData = monthlyData[monthIdx];
-      monthData.sold++;
-      
-      if (!monthData._processedProjects.has(record.project_id)) {
-        monthData._processedProjects.add(record.project_id);
-        const estValue = projectEstValue[record.project_id] || 0;
-        monthData.value += estValue;
-        const rev = getProjectRevenue(record.project_id);
-        monthData.revenue += rev;
-        monthData.expenses += projectExpenses[record.project_id] || 0;
+      // History is append-only, so a project re-sold in the same month only counts once
+      const transitionKey = `${record.status}:${record.project_id}`;
+      if (!monthData._countedTransitions.has(transitionKey)) {
+        monthData._countedTransitions.add(transitionKey);
+        if (record.status === 'sold') {
+          monthData.sold++;
+        } else {
+          monthData.completedProjects++;
+        }
       }
-    });
-
-    // Process completed projects
-    (completedHistory || []).forEach(record => {
-      const monthIdx = getMonthIndex(record.changed_at);
-      const monthData = monthlyData[monthIdx];
-      monthData.completedProjects++;
       
-      if (!monthData._processedProjects.has(record.project_id)) {
+      const financials = financialsByProject.get(record.project_id);
+      if (financials && !monthData._processedProjects.has(record.project_id)) {
         monthData._processedProjects.add(record.project_id);
-        const estValue = projectEstValue[record.project_id] || 0;
-        monthData.value += estValue;
-        const rev = getProjectRevenue(record.project_id);
-        monthData.revenue += rev;
-        monthData.expenses += projectExpenses[record.project_id] || 0;
+        monthData.value += financials.estValue;
+        monthData.revenue += financials.revenue;
+        monthData.expenses += financials.expenses;
       }
     });
 
@@ -2283,7 +2243,8 @@ app.get('/api/projects/monthly-statistics', async (req, res) => {
     // Calculate profit and clean up internal tracking
     monthlyData.forEach(m => {
       m.profit = m.revenue - m.expenses;
-      delete m._processedProjects; // Remove internal tracking property
+      delete m._processedProjects; // Remove internal tracking properties
+      delete m._countedTransitions;
     });
 
     res.json({
@@ -2319,6 +2280,7 @@ app.get('/api/projects/:id', async (req, res) => {
       `)
       .eq('id', id)
       .eq('company_id', companyID)
+      .is('deleted_at', null)
       .single();
 
     if (error || !data) {
@@ -2337,7 +2299,7 @@ app.post('/api/projects', projectPostValidation, handleValidationErrors, async (
   try {
     const auth = await getAuthUserAndCompany(req);
     if (auth.error) return res.status(auth.status).json({ error: auth.error });
-    const { user, companyID } = auth;
+    const { user, companyID, employee } = auth;
 
     const {
       project_name,
@@ -2354,6 +2316,11 @@ app.post('/api/projects', projectPostValidation, handleValidationErrors, async (
       notes,
     } = req.body;
 
+    // The closing price drives profit, so setting it is an expense edit
+    if (closing_price && !(await getAuthPermissions(auth)).has('edit_expenses')) {
+      return res.status(403).json({ error: 'You do not have permission to set the closing price' });
+    }
+
     const initialStatus = status || 'contacted';
 
     const { data, error } = await supabase
@@ -2389,9 +2356,13 @@ app.post('/api/projects', projectPostValidation, handleValidationErrors, async (
         project_id: data.id,
         company_id: companyID,
         status: initialStatus,
+        previous_status: null,
+        changed_by: employee.id,
         changed_at: new Date().toISOString(),
       });
 
+    await auditLog.recordAudit({ auth, entityType: 'project', entityId: data.id, action: 'create', after: data });
+
     res.json({ project: data });
   } catch (error) {
     console.error('Create project error:', error);
@@ -2404,7 +2375,7 @@ app.put('/api/projects/:id', projectPutValidation, handleValidationErrors, async
   try {
     const auth = await getAuthUserAndCompany(req);
     if (auth.error) return res.status(auth.status).json({ error: auth.error });
-    const { user, companyID } = auth;
+    const { user, companyID, employee } = auth;
 
     const { id } = req.params;
     const {
@@ -2420,6 +2391,7 @@ app.put('/api/projects/:id', projectPutValidation, handleValidationErrors, async
       closing_price,
       project_manager,
       notes,
+      status_reason,
     } = req.body;
 
     // Verify project belongs to user's company
@@ -2428,12 +2400,21 @@ app.put('/api/projects/:id', projectPutValidation, handleValidationErrors, async
       .select('*')
       .eq('id', id)
       .eq('company_id', companyID)
+      .is('deleted_at', null)
       .single();
 
     if (checkError || !existing) {
       return res.status(404).json({ error: 'Project not found' });
     }
 
+    // The closing price drives profit, so changing it is an expense edit (the form sends it back unchanged)
+    const nextClosingPrice = closing_price ? parseFloat(closing_price) : null;
+    const existingClosingPrice = existing.closing_price !== null ? parseFloat(existing.closing_price) : null;
+    if (closing_price !== undefined && nextClosingPrice !== existingClosingPrice
+      && !(await getAuthPermissions(auth)).has('edit_expenses')) {
+      return res.status(403).json({ error: 'You do not have permission to change the closing price' });
+    }
+
     const newStatus = status !== undefined ? status : existing.status;
     const statusChanged = existing.status !== newStatus;
 
@@ -2450,7 +2431,7 @@ app.put('/api/projects/:id', projectPutValidation, handleValidationErrors, async
     if (status !== undefined) updateFields.status = newStatus;
     if (accessories_features !== undefined) updateFields.accessories_features = accessories_features || null;
     if (est_value !== undefined) updateFields.est_value = est_value ? parseFloat(est_value) : null;
-    if (closing_price !== undefined) updateFields.closing_price = closing_price ? parseFloat(closing_price) : null;
+    if (closing_price !== undefined) updateFields.closing_price = nextClosingPrice;
     if (project_manager !== undefined) updateFields.project_manager = project_manager || null;
     if (notes !== undefined) updateFields.notes = notes || null;
 
@@ -2467,28 +2448,38 @@ app.put('/api/projects/:id', projectPutValidation, handleValidationErrors, async
       return res.status(500).json({ error: error.message });
     }
 
-    // Track status change if status changed (non-blocking - don't fail main update)
+    // Record the transition as a new history row (non-blocking - don't fail main update)
     if (statusChanged) {
       try {
         const { error: historyError } = await supabase
           .from('project_status_history')
-          .upsert({
+          .insert({
             project_id: id,
             company_id: companyID,
             status: newStatus,
+            previous_status: existing.status || null,
+            changed_by: employee.id,
+            reason: status_reason ? String(status_reason).trim() || null : null,
             changed_at: new Date().toISOString(),
-          }, {
-            onConflict: 'project_id,status',
-            ignoreDuplicates: false,
           });
         if (historyError) {
-          console.warn('project_status_history upsert failed (non-fatal):', historyError.message);
+          console.warn('project_status_history insert failed (non-fatal):', historyError.message);
         }
       } catch (historyErr) {
         console.warn('project_status_history error (non-fatal):', historyErr);
       }
     }
 
+    await auditLog.recordAudit({
+      auth,
+      entityType: 'project',
+      entityId: id,
+      action: 'update',
+      before: existing,
+      after: data,
+      metadata: statusChanged && status_reason ? { status_reason: String(status_reason).trim() } : null,
+    });
+
     res.json({ project: data });
   } catch (error) {
     console.error('Update project error:', error);
@@ -2499,8 +2490,58 @@ app.put('/api/projects/:id', projectPutValidation, handleValidationErrors, async
   }
 });
 
+// Get the full status transition log for a project (oldest first)
+app.get('/api/projects/:id/status-history', async (req, res) => {
+  try {
+    const auth = await getAuthUserAndCompany(req);
+    if (auth.error) return res.status(auth.status).json({ error: auth.error });
+    const { user, companyID } = auth;
+
+    const { id } = req.params;
+
+    // Verify project belongs to user's company
+    const { data: project, error: projectError } = await supabase
+      .from('projects')
+      .select('id')
+      .eq('id', id)
+      .eq('company_id', companyID)
+      .single();
+
+    if (projectError || !project) {
+      return res.status(404).json({ error: 'Project not found' });
+    }
+
+    const { data, error } = await supabase
+      .from('project_status_history')
+      .select(`
+        id,
+        status,
+        previous_status,
+        reason,
+        changed_at,
+        changed_by,
+        changed_by_employee:changed_by (
+          id,
+          name
+        )
+      `)
+      .eq('project_id', id)
+      .eq('company_id', companyID)
+      .order('changed_at', { ascending: true });
+
+    if (error) {
+      return res.status(500).json({ error: error.message });
+    }
+
+    res.json({ history: data || [] });
+  } catch (error) {
+    console.error('Get project status history error:', error);
+    res.status(500).json({ error: 'Internal server error' });
+  }
+});
+
 // Delete a project
-app.delete('/api/projects/:id', async (req, res) => {
+app.delete('/api/projects/:id', requirePermission('delete_records'), async (req, res) => {
   try {
     const auth = await getAuthUserAndCompany(req);
     if (auth.error) return res.status(auth.status).json({ error: auth.error });
@@ -2514,21 +2555,17 @@ app.delete('/api/projects/:id', async (req, res) => {
       .select('*')
       .eq('id', id)
       .eq('company_id', companyID)
+      .is('deleted_at', null)
       .single();
 
     if (checkError || !existing) {
       return res.status(404).json({ error: 'Project not found' });
     }
 
-    const { error } = await supabase
-      .from('projects')
-      .delete()
-      .eq('id', id)
-      .eq('company_id', companyID);
+    // Goes to the Trash; purged for good after the company's retention period
+    await trash.moveToTrash('project', id, companyID, auth.employee?.id);
 
-    if (error) {
-      return res.status(500).json({ error: error.message });
-    }
+    await auditLog.recordAudit({ auth, entityType: 'project', entityId: id, action: 'delete', before: existing, metadata: { trashed: true } });
 
     res.json({ success: true });
   } catch (error) {
@@ -2540,7 +2577,7 @@ app.delete('/api/projects/:id', async (req, res) => {
 // ========== EXPENSE TEMPLATES ENDPOINTS ==========
 
 // Get all templates for company
-app.get('/api/templates', async (req, res) => {
+app.get('/api/templates', requirePermission('view_costs'), async (req, res) => {
   try {
     const auth = await getAuthUserAndCompany(req);
     if (auth.error) return res.status(auth.status).json({ error: auth.error });
@@ -2581,7 +2618,7 @@ app.get('/api/templates', async (req, res) => {
 });
 
 // Get single template with full items
-app.get('/api/templates/:id', async (req, res) => {
+app.get('/api/templates/:id', requirePermission('view_costs'), async (req, res) => {
   try {
     const auth = await getAuthUserAndCompany(req);
     if (auth.error) return res.status(auth.status).json({ error: auth.error });
@@ -2623,7 +2660,7 @@ app.get('/api/templates/:id', async (req, res) => {
 });
 
 // Create template
-app.post('/api/templates', async (req, res) => {
+app.post('/api/templates', requirePermission('edit_expenses'), async (req, res) => {
   try {
     const auth = await getAuthUserAndCompany(req);
     if (auth.error) return res.status(auth.status).json({ error: auth.error });
@@ -2722,7 +2759,7 @@ app.post('/api/templates', async (req, res) => {
 });
 
 // Update template (replace all items)
-app.put('/api/templates/:id', async (req, res) => {
+app.put('/api/templates/:id', requirePermission('edit_expenses'), async (req, res) => {
   try {
     const auth = await getAuthUserAndCompany(req);
     if (auth.error) return res.status(auth.status).json({ error: auth.error });
@@ -2831,7 +2868,7 @@ app.put('/api/templates/:id', async (req, res) => {
 });
 
 // Delete template
-app.delete('/api/templates/:id', async (req, res) => {
+app.delete('/api/templates/:id', requirePermission('edit_expenses'), async (req, res) => {
   try {
     const auth = await getAuthUserAndCompany(req);
     if (auth.error) return res.status(auth.status).json({ error: auth.error });
@@ -2859,7 +2896,7 @@ app.delete('/api/templates/:id', async (req, res) => {
 // ========== PROJECT EXPENSES ENDPOINTS ==========
 
 // Get all expenses for a project with calculations
-app.get('/api/projects/:id/expenses', async (req, res) => {
+app.get('/api/projects/:id/expenses', requirePermission('view_costs'), async (req, res) => {
   try {
     const auth = await getAuthUserAndCompany(req);
     if (auth.error) return res.status(auth.status).json({ error: auth.error });
@@ -2870,7 +2907,7 @@ app.get('/api/projects/:id/expenses', async (req, res) => {
     // Verify project belongs to user's company
     const { data: project, error: projectError } = await supabase
       .from('projects')
-      .select('id, est_value, closing_price, customer_price')
+      .select('id, est_value, closing_price, customer_price, original_contract_price, schedule_extension_days')
       .eq('id', id)
       .eq('company_id', companyID)
       .single();
@@ -2879,24 +2916,17 @@ app.get('/api/projects/:id/expenses', async (req, res) => {
       return res.status(404).json({ error: 'Project not found' });
     }
 
-    // Get milestones total (customer_price) for revenue when closing_price is not set
-    let milestonesTotal = 0;
-    const projectCustomerPrice = project.customer_price != null ? parseFloat(project.customer_price) : 0;
-    if (projectCustomerPrice > 0) {
-      milestonesTotal = projectCustomerPrice;
-    } else {
-      const { data: milestones } = await supabase
+    // Milestones are only needed for revenue when the project has no saved customer_price
+    let milestones = [];
+    if (!(parseFloat(project.customer_price || 0) > 0)) {
+      const { data: milestonesData } = await supabase
         .from('milestones')
         .select('customer_price')
         .eq('project_id', id);
-      if (milestones && milestones.length > 0) {
-        milestones.forEach((m) => {
-          milestonesTotal += parseFloat(m.customer_price || 0);
-        });
-      }
+      milestones = milestonesData || [];
     }
 
-    // Get subcontractor fees with subcontractor details
+    // Get subcontractor fees with subcontractor details and the payments made against them
     const { data: subcontractorFees, error: feesError } = await supabase
       .from('project_subcontractor_fees')
       .select(`
@@ -2904,6 +2934,13 @@ app.get('/api/projects/:id/expenses', async (req, res) => {
         subcontractors (
           id,
           name
+        ),
+        subcontractor_payments (
+          id,
+          amount,
+          payment_date,
+          conditional_waiver_document_id,
+          unconditional_waiver_document_id
         )
       `)
       .eq('project_id', id)
@@ -2955,75 +2992,39 @@ app.get('/api/projects/:id/expenses', async (req, res) => {
       // Don't fail - table might not exist yet
     }
 
-    // Calculate totals (actual)
-    let subcontractorTotal = 0;
-    let subcontractorExpected = 0;
-    if (subcontractorFees) {
-      subcontractorFees.forEach((entry) => {
-        subcontractorTotal += parseFloat(entry.flat_fee || 0);
-        subcontractorExpected += parseFloat(entry.expected_value || 0);
-      });
-    }
-
-    let materialsTotal = 0;
-    let materialsExpected = 0;
-    if (materials) {
-      materials.forEach((entry) => {
-        materialsTotal += parseFloat(entry.actual_price || 0);
-        materialsExpected += parseFloat(entry.expected_price || 0);
-      });
-    }
-
-    let additionalTotal = 0;
-    let additionalExpected = 0;
-    if (additionalExpenses) {
-      additionalExpenses.forEach((entry) => {
-        additionalTotal += parseFloat(entry.amount || 0);
-        additionalExpected += parseFloat(entry.expected_value || 0);
-      });
-    }
-
-    let equipmentTotal = 0;
-    let equipmentExpected = 0;
-    if (equipment) {
-      equipment.forEach((entry) => {
-        equipmentTotal += parseFloat(entry.actual_price || 0);
-        equipmentExpected += parseFloat(entry.expected_price || 0);
-      });
-    }
+    // Totals and profit use the shared financial rules (same as dashboard and goals)
+    const totals = projectFinancials.sumProjectExpenses({
+      subcontractorFees: subcontractorFees || [],
+      materials: materials || [],
+      additionalExpenses: additionalExpenses || [],
+      equipment: equipment || [],
+    });
+    const milestonesTotal = projectFinancials.resolveMilestonesTotal(project, milestones);
+    const financials = projectFinancials.buildProjectFinancials(project, milestonesTotal, totals);
 
-    const totalExpenses = subcontractorTotal + materialsTotal + additionalTotal + equipmentTotal;
-    const totalExpected = subcontractorExpected + materialsExpected + additionalExpected + equipmentExpected;
-    const estValue = parseFloat(project.est_value || 0);
-    const closingPrice = parseFloat(project.closing_price || 0);
-    // Revenue for profit: closing_price > milestones total > est_value (matches dashboard logic)
-    const revenueForProfit = closingPrice > 0 ? closingPrice : (milestonesTotal > 0 ? milestonesTotal : estValue);
-    const profit = revenueForProfit - totalExpenses;
-    const expectedProfit = revenueForProfit - totalExpected;
+    // Invoiced and paid so far (void invoices excluded)
+    const billing = await invoices.getProjectBilling(companyID, id);
 
     res.json({
       subcontractorFees: subcontractorFees || [],
       materials: materials || [],
       additionalExpenses: additionalExpenses || [],
       equipment: equipment || [],
-      totals: {
-        subcontractors: subcontractorTotal,
-        subcontractorsExpected: subcontractorExpected,
-        materials: materialsTotal,
-        materialsExpected: materialsExpected,
-        additional: additionalTotal,
-        additionalExpected: additionalExpected,
-        equipment: equipmentTotal,
-        equipmentExpected: equipmentExpected,
-        total: totalExpenses,
-        totalExpected: totalExpected,
-      },
+      totals,
       project: {
-        estValue: estValue,
-        closingPrice: closingPrice,
-        milestonesTotal: milestonesTotal,
-        profit: profit,
-        expectedProfit: expectedProfit,
+        estValue: financials.estValue,
+        closingPrice: financials.closingPrice,
+        milestonesTotal: financials.milestonesTotal,
+        profit: financials.profit,
+        expectedProfit: financials.expectedProfit,
+        invoiced: billing.invoiced,
+        paid: billing.paid,
+        balanceDue: billing.balanceDue,
+        unbilled: Math.max(0, Math.round((financials.revenue - billing.invoiced) * 100) / 100),
+        // Contract value: original contract plus approved change orders
+        contractPrice: parseFloat(project.customer_price || 0),
+        originalContractPrice: parseFloat(project.original_contract_price ?? project.customer_price ?? 0),
+        scheduleExtensionDays: project.schedule_extension_days || 0,
       },
     });
   } catch (error) {
@@ -3033,7 +3034,7 @@ app.get('/api/projects/:id/expenses', async (req, res) => {
 });
 
 // Apply template to project
-app.post('/api/projects/:id/expenses/apply-template', async (req, res) => {
+app.post('/api/projects/:id/expenses/apply-template', requirePermission('edit_expenses'), async (req, res) => {
   try {
     const auth = await getAuthUserAndCompany(req);
     if (auth.error) return res.status(auth.status).json({ error: auth.error });
@@ -3089,9 +3090,12 @@ app.post('/api/projects/:id/expenses/apply-template', async (req, res) => {
     const today = new Date().toISOString().split('T')[0];
     let created = { subcontractors: 0, materials: 0, equipment: 0, additional: 0 };
 
-    const subFees = (template.expense_template_subcontractor_fees || []).filter(
+    const templateFees = (template.expense_template_subcontractor_fees || []).filter(
       (f) => subcontractorIds.has(f.subcontractor_id)
     );
+    // Subcontractors with an expired COI are left out when the company blocks them, otherwise added with a warning
+    const coiCheck = await subcontractorCoi.checkAssignments(companyID, templateFees.map((f) => f.subcontractor_id));
+    const subFees = templateFees.filter((f) => !coiCheck.blockedIds.has(f.subcontractor_id));
     if (subFees.length > 0) {
       const rows = subFees.map((f) => ({
         project_id: id,
@@ -3182,7 +3186,15 @@ app.post('/api/projects/:id/expenses/apply-template', async (req, res) => {
       created.additional = (inserted || []).length;
     }
 
-    res.json({ success: true, created });
+    await auditLog.recordAudit({
+      auth,
+      entityType: 'expense',
+      entityId: id,
+      action: 'create',
+      metadata: { project_id: id, template_id: templateId, applied_template: true, created },
+    });
+
+    res.json({ success: true, created, coiWarnings: coiCheck.warnings });
   } catch (error) {
     console.error('Apply template error:', error);
     res.status(500).json({ error: 'Internal server error' });
@@ -3190,7 +3202,7 @@ app.post('/api/projects/:id/expenses/apply-template', async (req, res) => {
 });
 
 // Add subcontractor fee
-app.post('/api/projects/:id/expenses/subcontractor-fees', async (req, res) => {
+app.post('/api/projects/:id/expenses/subcontractor-fees', requirePermission('edit_expenses'), async (req, res) => {
   try {
     const auth = await getAuthUserAndCompany(req);
     if (auth.error) return res.status(auth.status).json({ error: auth.error });
@@ -3215,6 +3227,14 @@ app.post('/api/projects/:id/expenses/subcontractor-fees', async (req, res) => {
       return res.status(400).json({ error: 'subcontractor_id and date_added are required' });
     }
 
+    const coiCheck = await subcontractorCoi.checkAssignment(companyID, subcontractor_id);
+    if (!coiCheck) {
+      return res.status(404).json({ error: 'Subcontractor not found' });
+    }
+    if (coiCheck.blocked) {
+      return res.status(409).json({ error: coiCheck.warning, coi: coiCheck.coi });
+    }
+
     const { data, error } = await supabase
       .from('project_subcontractor_fees')
       .insert([{
@@ -3240,16 +3260,132 @@ app.post('/api/projects/:id/expenses/subcontractor-fees', async (req, res) => {
       return res.status(500).json({ error: error.message });
     }
 
-    res.status(201).json({ subcontractorFee: data });
+    await auditLog.recordAudit({ auth, entityType: 'expense', entityId: data.id, action: 'create', after: data, metadata: { project_id: id, expense_type: 'subcontractor_fee' } });
+
+    res.status(201).json({ subcontractorFee: data, coiWarning: coiCheck.warning });
   } catch (error) {
     console.error('Add subcontractor fee error:', error);
     res.status(500).json({ error: 'Internal server error' });
   }
 });
 
+// Payments made against a subcontractor fee, with the fee amount and balance still owed
+app.get('/api/projects/:id/expenses/subcontractor-fees/:feeId/payments', requirePermission('view_costs'), uuidParam('id'), uuidParam('feeId'), handleValidationErrors, async (req, res) => {
+  try {
+    const auth = await getAuthUserAndCompany(req);
+    if (auth.error) return res.status(auth.status).json({ error: auth.error });
+    const { companyID } = auth;
+    const { id, feeId } = req.params;
+
+    const result = await subcontractorPayments.listPayments(companyID, id, feeId);
+    if (!result) {
+      return res.status(404).json({ error: 'Expense not found' });
+    }
+
+    res.json(result);
+  } catch (error) {
+    console.error('Get subcontractor payments error:', error);
+    res.status(500).json({ error: 'Internal server error' });
+  }
+});
+
+// Record a payment to a subcontractor (date, method, check number, amount, lien waivers)
+app.post('/api/projects/:id/expenses/subcontractor-fees/:feeId/payments', requirePermission('edit_expenses'), subcontractorPaymentPostValidation, handleValidationErrors, async (req, res) => {
+  try {
+    const auth = await getAuthUserAndCompany(req);
+    if (auth.error) return res.status(auth.status).json({ error: auth.error });
+    const { companyID } = auth;
+    const { id, feeId } = req.params;
+
+    const payment = await subcontractorPayments.createPayment({
+      companyID,
+      projectId: id,
+      feeId,
+      paymentDate: req.body.payment_date,
+      method: req.body.method,
+      checkNumber: req.body.check_number,
+      amount: parseFloat(req.body.amount),
+      notes: req.body.notes,
+      conditionalWaiverDocumentId: req.body.conditional_waiver_document_id,
+      unconditionalWaiverDocumentId: req.body.unconditional_waiver_document_id,
+      employeeId: auth.employee?.id || null,
+    });
+
+    if (!payment) {
+      return res.status(404).json({ error: 'Expense not found' });
+    }
+    if (payment.error) {
+      return res.status(payment.status).json({ error: payment.error });
+    }
+
+    await auditLog.recordAudit({ auth, entityType: 'expense', entityId: payment.id, action: 'create', after: payment, metadata: { project_id: id, expense_type: 'subcontractor_payment', fee_id: feeId } });
+
+    res.status(201).json({ payment });
+  } catch (error) {
+    console.error('Add subcontractor payment error:', error);
+    res.status(500).json({ error: 'Internal server error' });
+  }
+});
+
+// Update a subcontractor payment or attach its lien waivers
+app.put('/api/projects/:id/expenses/subcontractor-fees/:feeId/payments/:paymentId', requirePermission('edit_expenses'), subcontractorPaymentPutValidation, handleValidationErrors, async (req, res) => {
+  try {
+    const auth = await getAuthUserAndCompany(req);
+    if (auth.error) return res.status(auth.status).json({ error: auth.error });
+    const { companyID } = auth;
+    const { id, feeId, paymentId } = req.params;
+
+    const result = await subcontractorPayments.updatePayment(companyID, id, feeId, paymentId, {
+      paymentDate: req.body.payment_date,
+      method: req.body.method,
+      checkNumber: req.body.check_number,
+      amount: req.body.amount !== undefined ? parseFloat(req.body.amount) : undefined,
+      notes: req.body.notes,
+      conditionalWaiverDocumentId: req.body.conditional_waiver_document_id,
+      unconditionalWaiverDocumentId: req.body.unconditional_waiver_document_id,
+    });
+
+    if (!result) {
+      return res.status(404).json({ error: 'Payment not found' });
+    }
+    if (result.error) {
+      return res.status(result.status).json({ error: result.error });
+    }
+
+    await auditLog.recordAudit({ auth, entityType: 'expense', entityId: paymentId, action: 'update', before: result.before, after: result.after, metadata: { project_id: id, expense_type: 'subcontractor_payment', fee_id: feeId } });
+
+    res.json({ payment: result.after });
+  } catch (error) {
+    console.error('Update subcontractor payment error:', error);
+    res.status(500).json({ error: 'Internal server error' });
+  }
+});
+
+// Delete a subcontractor payment recorded by mistake
+app.delete('/api/projects/:id/expenses/subcontractor-fees/:feeId/payments/:paymentId', requirePermission('edit_expenses'), uuidParam('id'), uuidParam('feeId'), uuidParam('paymentId'), handleValidationErrors, async (req, res) => {
+  try {
+    const auth = await getAuthUserAndCompany(req);
+    if (auth.error) return res.status(auth.status).json({ error: auth.error });
+    const { companyID } = auth;
+    const { id, feeId, paymentId } = req.params;
+
+    const deleted = await subcontractorPayments.deletePayment(companyID, id, feeId, paymentId);
+    if (!deleted) {
+      return res.status(404).json({ error: 'Payment not found' });
+    }
+
+    await auditLog.recordAudit({ auth, entityType: 'expense', entityId: paymentId, action: 'delete', before: deleted, metadata: { project_id: id, expense_type: 'subcontractor_payment', fee_id: feeId } });
+
+    res.json({ success: true });
+  } catch (error) {
+    console.error('Delete subcontractor payment error:', error);
+    res.status(500).json({ error: 'Internal server error' });
+  }
+});
+
 // Batch update customer prices for subcontractor fees
 // NOTE: This route MUST be before the /:feeId route to avoid matching 'batch-update-prices' as a feeId
-app.put('/api/projects/:id/expenses/subcontractor-fees/batch-update-prices', async (req, res) => {
+app.put('/api/projects/:id/expenses/subcontractor-fees/batch-update-prices', requirePermission('edit_expenses'), async (req, res) => {
   try {
     const auth = await getAuthUserAndCompany(req);
     if (auth.error) return res.status(auth.status).json({ error: auth.error });
@@ -3286,7 +3422,7 @@ app.put('/api/projects/:id/expenses/subcontractor-fees/batch-update-prices', asy
 });
 
 // Update subcontractor fee
-app.put('/api/projects/:id/expenses/subcontractor-fees/:feeId', async (req, res) => {
+app.put('/api/projects/:id/expenses/subcontractor-fees/:feeId', requirePermission('edit_expenses'), async (req, res) => {
   try {
     const auth = await getAuthUserAndCompany(req);
     if (auth.error) return res.status(auth.status).json({ error: auth.error });
@@ -3307,6 +3443,17 @@ app.put('/api/projects/:id/expenses/subcontractor-fees/:feeId', async (req, res)
       return res.status(404).json({ error: 'Project not found' });
     }
 
+    const { data: existing } = await supabase
+      .from('project_subcontractor_fees')
+      .select('*')
+      .eq('id', feeId)
+      .eq('project_id', id)
+      .maybeSingle();
+
+    if (!existing) {
+      return res.status(404).json({ error: 'Expense not found' });
+    }
+
     const updateData = {
       updated_at: new Date().toISOString(),
     };
@@ -3336,6 +3483,8 @@ app.put('/api/projects/:id/expenses/subcontractor-fees/:feeId', async (req, res)
       return res.status(500).json({ error: error.message });
     }
 
+    await auditLog.recordAudit({ auth, entityType: 'expense', entityId: feeId, action: 'update', before: existing, after: data, metadata: { project_id: id, expense_type: 'subcontractor_fee' } });
+
     res.json({ subcontractorFee: data });
   } catch (error) {
     console.error('Update subcontractor fee error:', error);
@@ -3344,7 +3493,7 @@ app.put('/api/projects/:id/expenses/subcontractor-fees/:feeId', async (req, res)
 });
 
 // Delete subcontractor fee
-app.delete('/api/projects/:id/expenses/subcontractor-fees/:feeId', async (req, res) => {
+app.delete('/api/projects/:id/expenses/subcontractor-fees/:feeId', requirePermission('edit_expenses'), async (req, res) => {
   try {
     const auth = await getAuthUserAndCompany(req);
     if (auth.error) return res.status(auth.status).json({ error: auth.error });
@@ -3364,16 +3513,21 @@ app.delete('/api/projects/:id/expenses/subcontractor-fees/:feeId', async (req, r
       return res.status(404).json({ error: 'Project not found' });
     }
 
-    const { error } = await supabase
+    const { data: deletedRows, error } = await supabase
       .from('project_subcontractor_fees')
       .delete()
       .eq('id', feeId)
-      .eq('project_id', id);
+      .eq('project_id', id)
+      .select();
 
     if (error) {
       return res.status(500).json({ error: error.message });
     }
 
+    if (deletedRows?.length) {
+      await auditLog.recordAudit({ auth, entityType: 'expense', entityId: feeId, action: 'delete', before: deletedRows[0], metadata: { project_id: id, expense_type: 'subcontractor_fee' } });
+    }
+
     res.json({ success: true });
   } catch (error) {
     console.error('Delete subcontractor fee error:', error);
@@ -3382,7 +3536,7 @@ app.delete('/api/projects/:id/expenses/subcontractor-fees/:feeId', async (req, r
 });
 
 // Add material
-app.post('/api/projects/:id/expenses/materials', async (req, res) => {
+app.post('/api/projects/:id/expenses/materials', requirePermission('edit_expenses'), async (req, res) => {
   try {
     const auth = await getAuthUserAndCompany(req);
     if (auth.error) return res.status(auth.status).json({ error: auth.error });
@@ -3434,6 +3588,9 @@ app.post('/api/projects/:id/expenses/materials', async (req, res) => {
       return res.status(500).json({ error: error.message });
     }
 
+    await auditLog.recordAudit({ auth, entityType: 'expense', entityId: data.id, action: 'create', after: data, metadata: { project_id: id, expense_type: 'material' } });
+    await inventoryLedger.syncProjectAllocation({ companyID, sourceTable: 'project_materials', sourceId: data.id, row: data, employeeId: auth.employee?.id });
+
     res.status(201).json({ material: data });
   } catch (error) {
     console.error('Add material error:', error);
@@ -3442,7 +3599,7 @@ app.post('/api/projects/:id/expenses/materials', async (req, res) => {
 });
 
 // Update material
-app.put('/api/projects/:id/expenses/materials/:materialId', async (req, res) => {
+app.put('/api/projects/:id/expenses/materials/:materialId', requirePermission('edit_expenses'), async (req, res) => {
   try {
     const auth = await getAuthUserAndCompany(req);
     if (auth.error) return res.status(auth.status).json({ error: auth.error });
@@ -3463,6 +3620,17 @@ app.put('/api/projects/:id/expenses/materials/:materialId', async (req, res) =>
       return res.status(404).json({ error: 'Project not found' });
     }
 
+    const { data: existing } = await supabase
+      .from('project_materials')
+      .select('*')
+      .eq('id', materialId)
+      .eq('project_id', id)
+      .maybeSingle();
+
+    if (!existing) {
+      return res.status(404).json({ error: 'Expense not found' });
+    }
+
     const updateData = {
       updated_at: new Date().toISOString(),
     };
@@ -3495,6 +3663,9 @@ app.put('/api/projects/:id/expenses/materials/:materialId', async (req, res) =>
       return res.status(500).json({ error: error.message });
     }
 
+    await auditLog.recordAudit({ auth, entityType: 'expense', entityId: materialId, action: 'update', before: existing, after: data, metadata: { project_id: id, expense_type: 'material' } });
+    await inventoryLedger.syncProjectAllocation({ companyID, sourceTable: 'project_materials', sourceId: materialId, row: data, employeeId: auth.employee?.id });
+
     res.json({ material: data });
   } catch (error) {
     console.error('Update material error:', error);
@@ -3503,7 +3674,7 @@ app.put('/api/projects/:id/expenses/materials/:materialId', async (req, res) =>
 });
 
 // Delete material
-app.delete('/api/projects/:id/expenses/materials/:materialId', async (req, res) => {
+app.delete('/api/projects/:id/expenses/materials/:materialId', requirePermission('edit_expenses'), async (req, res) => {
   try {
     const auth = await getAuthUserAndCompany(req);
     if (auth.error) return res.status(auth.status).json({ error: auth.error });
@@ -3523,16 +3694,23 @@ app.delete('/api/projects/:id/expenses/materials/:materialId', async (req, res)
       return res.status(404).json({ error: 'Project not found' });
     }
 
-    const { error } = await supabase
+    const { data: deletedRows, error } = await supabase
       .from('project_materials')
       .delete()
       .eq('id', materialId)
-      .eq('project_id', id);
+      .eq('project_id', id)
+      .select();
 
     if (error) {
       return res.status(500).json({ error: error.message });
     }
 
+    if (deletedRows?.length) {
+      await auditLog.recordAudit({ auth, entityType: 'expense', entityId: materialId, action: 'delete', before: deletedRows[0], metadata: { project_id: id, expense_type: 'material' } });
+    }
+    // Anything the row held out of stock goes back
+    await inventoryLedger.syncProjectAllocation({ companyID, sourceTable: 'project_materials', sourceId: materialId, row: null, projectId: id, employeeId: auth.employee?.id });
+
     res.json({ success: true });
   } catch (error) {
     console.error('Delete material error:', error);
@@ -3541,7 +3719,7 @@ app.delete('/api/projects/:id/expenses/materials/:materialId', async (req, res)
 });
 
 // Add additional expense
-app.post('/api/projects/:id/expenses/additional', async (req, res) => {
+app.post('/api/projects/:id/expenses/additional', requirePermission('edit_expenses'), async (req, res) => {
   try {
     const auth = await getAuthUserAndCompany(req);
     if (auth.error) return res.status(auth.status).json({ error: auth.error });
@@ -3585,6 +3763,8 @@ app.post('/api/projects/:id/expenses/additional', async (req, res) => {
       return res.status(500).json({ error: error.message });
     }
 
+    await auditLog.recordAudit({ auth, entityType: 'expense', entityId: data.id, action: 'create', after: data, metadata: { project_id: id, expense_type: 'additional' } });
+
     res.status(201).json({ expense: data });
   } catch (error) {
     console.error('Add additional expense error:', error);
@@ -3593,7 +3773,7 @@ app.post('/api/projects/:id/expenses/additional', async (req, res) => {
 });
 
 // Update additional expense
-app.put('/api/projects/:id/expenses/additional/:expenseId', async (req, res) => {
+app.put('/api/projects/:id/expenses/additional/:expenseId', requirePermission('edit_expenses'), async (req, res) => {
   try {
     const auth = await getAuthUserAndCompany(req);
     if (auth.error) return res.status(auth.status).json({ error: auth.error });
@@ -3614,6 +3794,17 @@ app.put('/api/projects/:id/expenses/additional/:expenseId', async (req, res) =>
       return res.status(404).json({ error: 'Project not found' });
     }
 
+    const { data: existing } = await supabase
+      .from('project_additional_expenses')
+      .select('*')
+      .eq('id', expenseId)
+      .eq('project_id', id)
+      .maybeSingle();
+
+    if (!existing) {
+      return res.status(404).json({ error: 'Expense not found' });
+    }
+
     const updateData = {
       updated_at: new Date().toISOString(),
     };
@@ -3638,6 +3829,8 @@ app.put('/api/projects/:id/expenses/additional/:expenseId', async (req, res) =>
       return res.status(500).json({ error: error.message });
     }
 
+    await auditLog.recordAudit({ auth, entityType: 'expense', entityId: expenseId, action: 'update', before: existing, after: data, metadata: { project_id: id, expense_type: 'additional' } });
+
     res.json({ expense: data });
   } catch (error) {
     console.error('Update additional expense error:', error);
@@ -3646,7 +3839,7 @@ app.put('/api/projects/:id/expenses/additional/:expenseId', async (req, res) =>
 });
 
 // Delete additional expense
-app.delete('/api/projects/:id/expenses/additional/:expenseId', async (req, res) => {
+app.delete('/api/projects/:id/expenses/additional/:expenseId', requirePermission('edit_expenses'), async (req, res) => {
   try {
     const auth = await getAuthUserAndCompany(req);
     if (auth.error) return res.status(auth.status).json({ error: auth.error });
@@ -3666,16 +3859,21 @@ app.delete('/api/projects/:id/expenses/additional/:expenseId', async (req, res)
       return res.status(404).json({ error: 'Project not found' });
     }
 
-    const { error } = await supabase
+    const { data: deletedRows, error } = await supabase
       .from('project_additional_expenses')
       .delete()
       .eq('id', expenseId)
-      .eq('project_id', id);
+      .eq('project_id', id)
+      .select();
 
     if (error) {
       return res.status(500).json({ error: error.message });
     }
 
+    if (deletedRows?.length) {
+      await auditLog.recordAudit({ auth, entityType: 'expense', entityId: expenseId, action: 'delete', before: deletedRows[0], metadata: { project_id: id, expense_type: 'additional' } });
+    }
+
     res.json({ success: true });
   } catch (error) {
     console.error('Delete additional expense error:', error);
@@ -3686,7 +3884,7 @@ app.delete('/api/projects/:id/expenses/additional/:expenseId', async (req, res)
 // ========== EQUIPMENT EXPENSE ENDPOINTS ==========
 
 // Add equipment expense
-app.post('/api/projects/:id/expenses/equipment', async (req, res) => {
+app.post('/api/projects/:id/expenses/equipment', requirePermission('edit_expenses'), async (req, res) => {
   try {
     const auth = await getAuthUserAndCompany(req);
     if (auth.error) return res.status(auth.status).json({ error: auth.error });
@@ -3745,6 +3943,9 @@ app.post('/api/projects/:id/expenses/equipment', async (req, res) => {
       return res.status(500).json({ error: error.message });
     }
 
+    await auditLog.recordAudit({ auth, entityType: 'expense', entityId: data.id, action: 'create', after: data, metadata: { project_id: id, expense_type: 'equipment' } });
+    await inventoryLedger.syncProjectAllocation({ companyID, sourceTable: 'project_equipment', sourceId: data.id, row: data, employeeId: auth.employee?.id });
+
     res.status(201).json({ equipment: data });
   } catch (error) {
     console.error('Add equipment error:', error);
@@ -3753,7 +3954,7 @@ app.post('/api/projects/:id/expenses/equipment', async (req, res) => {
 });
 
 // Update equipment expense
-app.put('/api/projects/:id/expenses/equipment/:equipmentId', async (req, res) => {
+app.put('/api/projects/:id/expenses/equipment/:equipmentId', requirePermission('edit_expenses'), async (req, res) => {
   try {
     const auth = await getAuthUserAndCompany(req);
     if (auth.error) return res.status(auth.status).json({ error: auth.error });
@@ -3774,6 +3975,18 @@ app.put('/api/projects/:id/expenses/equipment/:equipmentId', async (req, res) =>
       return res.status(404).json({ error: 'Project not found' });
     }
 
+    const { data: existing } = await supabase
+      .from('project_equipment')
+      .select('*')
+      .eq('id', equipmentId)
+      .eq('project_id', id)
+      .eq('company_id', companyID)
+      .maybeSingle();
+
+    if (!existing) {
+      return res.status(404).json({ error: 'Expense not found' });
+    }
+
     const updateData = {
       updated_at: new Date().toISOString(),
     };
@@ -3818,6 +4031,9 @@ app.put('/api/projects/:id/expenses/equipment/:equipmentId', async (req, res) =>
       return res.status(500).json({ error: error.message });
     }
 
+    await auditLog.recordAudit({ auth, entityType: 'expense', entityId: equipmentId, action: 'update', before: existing, after: data, metadata: { project_id: id, expense_type: 'equipment' } });
+    await inventoryLedger.syncProjectAllocation({ companyID, sourceTable: 'project_equipment', sourceId: equipmentId, row: data, employeeId: auth.employee?.id });
+
     res.json({ equipment: data });
   } catch (error) {
     console.error('Update equipment error:', error);
@@ -3826,7 +4042,7 @@ app.put('/api/projects/:id/expenses/equipment/:equipmentId', async (req, res) =>
 });
 
 // Delete equipment expense
-app.delete('/api/projects/:id/expenses/equipment/:equipmentId', async (req, res) => {
+app.delete('/api/projects/:id/expenses/equipment/:equipmentId', requirePermission('edit_expenses'), async (req, res) => {
   try {
     const auth = await getAuthUserAndCompany(req);
     if (auth.error) return res.status(auth.status).json({ error: auth.error });
@@ -3846,17 +4062,24 @@ app.delete('/api/projects/:id/expenses/equipment/:equipmentId', async (req, res)
       return res.status(404).json({ error: 'Project not found' });
     }
 
-    const { error } = await supabase
+    const { data: deletedRows, error } = await supabase
       .from('project_equipment')
       .delete()
       .eq('id', equipmentId)
       .eq('project_id', id)
-      .eq('company_id', companyID);
+      .eq('company_id', companyID)
+      .select();
 
     if (error) {
       return res.status(500).json({ error: error.message });
     }
 
+    if (deletedRows?.length) {
+      await auditLog.recordAudit({ auth, entityType: 'expense', entityId: equipmentId, action: 'delete', before: deletedRows[0], metadata: { project_id: id, expense_type: 'equipment' } });
+    }
+    // Anything the row held out of stock goes back
+    await inventoryLedger.syncProjectAllocation({ companyID, sourceTable: 'project_equipment', sourceId: equipmentId, row: null, projectId: id, employeeId: auth.employee?.id });
+
     res.json({ success: true });
   } catch (error) {
     console.error('Delete equipment error:', error);
@@ -3864,202 +4087,235 @@ app.delete('/api/projects/:id/expenses/equipment/:equipmentId', async (req, res)
   }
 });
 
-// ========== DOCUMENT GENERATION ENDPOINTS ==========
+// ==================== POOL ESTIMATING ENDPOINTS ====================
 
-// Generate a document (contract/proposal/change_order) for a project
-app.post('/api/projects/:id/contract', async (req, res) => {
+// A project's pool spec (null until one is saved)
+app.get('/api/projects/:id/pool-spec', uuidParam('id'), handleValidationErrors, async (req, res) => {
   try {
     const auth = await getAuthUserAndCompany(req);
     if (auth.error) return res.status(auth.status).json({ error: auth.error });
-    const { user, companyID } = auth;
-
-    const { id } = req.params;
-    const { document_type = 'contract' } = req.body; // 'contract', 'proposal', or 'change_order'
-
-    // Verify project belongs to user's company and get full project data with customer
-    const { data: project, error: projectError } = await supabase
-      .from('projects')
-      .select(`
-        *,
-        customers (
-          id,
-          first_name,
-          last_name,
-          email,
-          phone,
-          address_line1,
-          address_line2,
-          city,
-          state,
-          zip_code,
-          country
-        )
-      `)
-      .eq('id', id)
-      .eq('company_id', companyID)
-      .single();
+    const { companyID } = auth;
 
-    if (projectError || !project) {
+    const result = await poolEstimating.getSpec(companyID, req.params.id);
+    if (!result) {
       return res.status(404).json({ error: 'Project not found' });
     }
 
-    // Get company info and current document number
-    const { data: company, error: companyError } = await supabase
-      .from('companies')
-      .select('*')
-      .eq('company_id', companyID)
-      .single();
-
-    if (companyError) {
-      console.error('Error fetching company:', companyError);
-      return res.status(500).json({ error: 'Failed to fetch company info' });
-    }
-
-    // Return current next document number (only incremented when document is actually generated/uploaded)
-    const documentNumber = company.next_document_number || 1;
-    const documentDate = new Date().toISOString().split('T')[0];
-    const formattedNumber = String(documentNumber).padStart(5, '0');
-
-    // Create document type labels for the name
-    const typeLabels = {
-      contract: 'Contract',
-      proposal: 'Proposal',
-      change_order: 'Change Order',
-    };
-    const typeName = typeLabels[document_type] || 'Document';
-
-    // Get expenses for the project
-    const { data: subcontractorFees } = await supabase
-      .from('project_subcontractor_fees')
-      .select(`
-        *,
-        subcontractors (
-          id,
-          name
-        )
-      `)
-      .eq('project_id', id)
-      .order('created_at', { ascending: false });
-
-    const { data: materials } = await supabase
-      .from('project_materials')
-      .select(`
-        *,
-        inventory (
-          id,
-          name,
-          unit
-        )
-      `)
-      .eq('project_id', id)
-      .order('created_at', { ascending: false });
-
-    const { data: additionalExpenses } = await supabase
-      .from('project_additional_expenses')
-      .select('*')
-      .eq('project_id', id)
-      .order('created_at', { ascending: false });
-
-    // Get equipment expenses with inventory join (same as expenses endpoint)
-    const { data: equipment, error: equipmentError } = await supabase
-      .from('project_equipment')
-      .select('*, inventory(id, name, unit_price)')
-      .eq('project_id', id)
-      .order('created_at', { ascending: false });
-
-    if (equipmentError) {
-      console.error('Error fetching equipment for contract:', equipmentError);
-      // Don't fail - return empty array, but log the error
-    }
-
-    // Calculate totals
-    let subcontractorTotal = 0;
-    if (subcontractorFees) {
-      subcontractorFees.forEach((entry) => {
-        subcontractorTotal += parseFloat(entry.expected_value || entry.flat_fee || 0);
-      });
-    }
+    res.json(result);
+  } catch (error) {
+    console.error('Get pool spec error:', error);
+    res.status(500).json({ error: 'Internal server error' });
+  }
+});
 
-    let materialsTotal = 0;
-    let materialsExpectedTotal = 0;
-    if (materials) {
-      materials.forEach((entry) => {
-        materialsTotal += parseFloat(entry.actual_price || 0);
-        materialsExpectedTotal += parseFloat(entry.expected_price || entry.actual_price || 0);
-      });
-    }
+// Create or update a project's pool spec
+app.put('/api/projects/:id/pool-spec', poolSpecPutValidation, handleValidationErrors, async (req, res) => {
+  try {
+    const auth = await getAuthUserAndCompany(req);
+    if (auth.error) return res.status(auth.status).json({ error: auth.error });
+    const { companyID } = auth;
 
-    let additionalTotal = 0;
-    if (additionalExpenses) {
-      additionalExpenses.forEach((entry) => {
-        additionalTotal += parseFloat(entry.expected_value || entry.amount || 0);
-      });
+    const { id } = req.params;
+    const result = await poolEstimating.saveSpec(companyID, id, req.body);
+    if (!result) {
+      return res.status(404).json({ error: 'Project not found' });
     }
-
-    let equipmentTotal = 0;
-    let equipmentExpectedTotal = 0;
-    if (equipment) {
-      equipment.forEach((entry) => {
-        // Match expenses endpoint calculation: prices are totals, not per-unit
-        equipmentTotal += parseFloat(entry.actual_price || 0);
-        equipmentExpectedTotal += parseFloat(entry.expected_price || 0);
-      });
+    if (result.error) {
+      return res.status(result.status).json({ error: result.error });
     }
 
-    // Get saved milestones for this project filtered by document type
-    const { data: savedMilestones } = await supabase
-      .from('milestones')
-      .select('*')
-      .eq('project_id', id)
-      .eq('document_type', document_type)
-      .order('sort_order', { ascending: true });
-
-    // Get saved scope of work items for this project filtered by document type
-    const { data: savedScopeOfWork } = await supabase
-      .from('scope_of_work')
-      .select('*')
-      .eq('project_id', id)
-      .eq('document_type', document_type)
-      .order('sort_order', { ascending: true });
-
-    res.json({
-      documentNumber: formattedNumber,
-      documentDate,
-      documentType: document_type,
-      company: company || {},
-      project,
-      customer: project.customers || null,
-      expenses: {
-        subcontractorFees: subcontractorFees || [],
-        materials: materials || [],
-        additionalExpenses: additionalExpenses || [],
-        equipment: equipment || [],
-      },
-      totals: {
-        subcontractors: subcontractorTotal,
-        materials: materialsTotal,
-        materialsExpected: materialsExpectedTotal,
-        additional: additionalTotal,
-        equipment: equipmentTotal,
-        equipmentExpected: equipmentExpectedTotal,
-        initialFee: 1000,
-        finalInspection: 1000,
-        grandTotal: parseFloat(project.est_value || 0),
-      },
-      savedMilestones: savedMilestones || [], // Previously saved customer prices for this project
-      savedScopeOfWork: savedScopeOfWork || [], // Previously saved scope of work items for this project
-      savedCustomerPrice: project.customer_price ? parseFloat(project.customer_price) : null, // Total customer price from project
+    await auditLog.recordAudit({
+      auth,
+      entityType: 'project',
+      entityId: id,
+      action: result.before ? 'update' : 'create',
+      before: result.before,
+      after: result.after,
+      metadata: { pool_spec: true },
     });
+
+    res.json({ spec: result.after });
   } catch (error) {
-    console.error('Generate document error:', error);
+    console.error('Save pool spec error:', error);
     res.status(500).json({ error: 'Internal server error' });
   }
 });
 
-// ==================== MILESTONES ENDPOINTS ====================
-
-// Get milestones for a project (optionally filtered by document type)
-app.get('/api/projects/:id/milestones', async (req, res) => {
+// Quantities and priced expense lines estimated from the project's pool spec
+app.get('/api/projects/:id/pool-estimate', requirePermission('view_costs'), uuidParam('id'), handleValidationErrors, async (req, res) => {
+  try {
+    const auth = await getAuthUserAndCompany(req);
+    if (auth.error) return res.status(auth.status).json({ error: auth.error });
+    const { companyID } = auth;
+
+    const estimate = await poolEstimating.getEstimate(companyID, req.params.id);
+    if (!estimate) {
+      return res.status(404).json({ error: 'Project not found' });
+    }
+
+    res.json(estimate);
+  } catch (error) {
+    console.error('Get pool estimate error:', error);
+    res.status(500).json({ error: 'Internal server error' });
+  }
+});
+
+// Write the estimate into the project's expected expenses (replacing lines from an earlier estimate)
+app.post('/api/projects/:id/pool-estimate/apply', requirePermission('edit_expenses'), uuidParam('id'), handleValidationErrors, async (req, res) => {
+  try {
+    const auth = await getAuthUserAndCompany(req);
+    if (auth.error) return res.status(auth.status).json({ error: auth.error });
+    const { companyID } = auth;
+
+    const { id } = req.params;
+    const result = await poolEstimating.applyEstimate(companyID, id, { employeeId: auth.employee?.id });
+    if (!result) {
+      return res.status(404).json({ error: 'Project not found' });
+    }
+    if (result.error) {
+      return res.status(result.status).json({ error: result.error });
+    }
+
+    await auditLog.recordAudit({
+      auth,
+      entityType: 'expense',
+      entityId: id,
+      action: 'create',
+      metadata: { project_id: id, applied_pool_estimate: true, created: result.created, total: result.total },
+    });
+
+    res.json(result);
+  } catch (error) {
+    console.error('Apply pool estimate error:', error);
+    res.status(500).json({ error: 'Internal server error' });
+  }
+});
+
+// Company estimating rates, with the quantities they price
+app.get('/api/estimating-rates', requirePermission('view_costs'), async (req, res) => {
+  try {
+    const auth = await getAuthUserAndCompany(req);
+    if (auth.error) return res.status(auth.status).json({ error: auth.error });
+    const { companyID } = auth;
+
+    const rates = await poolEstimating.getRates(companyID);
+    res.json({ rates, quantities: poolEstimating.ESTIMATE_QUANTITIES });
+  } catch (error) {
+    console.error('Get estimating rates error:', error);
+    res.status(500).json({ error: 'Internal server error' });
+  }
+});
+
+// Replace the company's estimating rates
+app.put('/api/estimating-rates', requirePermission('manage_company'), estimatingRatesPutValidation, handleValidationErrors, async (req, res) => {
+  try {
+    const auth = await getAuthUserAndCompany(req);
+    if (auth.error) return res.status(auth.status).json({ error: auth.error });
+    const { companyID } = auth;
+
+    const result = await poolEstimating.setRates(companyID, req.body.rates);
+    if (result.error) {
+      return res.status(result.status).json({ error: result.error });
+    }
+
+    await auditLog.recordAudit({
+      auth,
+      entityType: 'company',
+      entityId: companyID,
+      action: 'update',
+      before: { estimating_rates: result.before },
+      after: { estimating_rates: result.after },
+    });
+
+    res.json({ rates: result.after });
+  } catch (error) {
+    console.error('Update estimating rates error:', error);
+    res.status(500).json({ error: 'Internal server error' });
+  }
+});
+
+// ========== DOCUMENT GENERATION ENDPOINTS ==========
+
+// Data to generate a document (contract/proposal/change_order) for a project. The browser renders it with
+// backend/pdf/contractDocument.js; POST /api/projects/:id/documents/generate renders the same thing server-side.
+app.post('/api/projects/:id/contract', requirePermission('view_costs'), contractDataValidation, handleValidationErrors, async (req, res) => {
+  try {
+    const auth = await getAuthUserAndCompany(req);
+    if (auth.error) return res.status(auth.status).json({ error: auth.error });
+    const { companyID } = auth;
+
+    const { id } = req.params;
+    const { document_type = 'contract', time_zone } = req.body;
+
+    const contractData = await contractDocuments.getContractData(companyID, id, document_type, { timeZone: time_zone });
+    if (!contractData) {
+      return res.status(404).json({ error: 'Project not found' });
+    }
+
+    res.json(contractData);
+  } catch (error) {
+    console.error('Generate document error:', error);
+    res.status(500).json({ error: 'Internal server error' });
+  }
+});
+
+// Render a proposal/contract/change order from the saved milestones and scope of work and store it under the
+// company's next document number (for automations, the portal and scheduled jobs as well as the UI)
+app.post('/api/projects/:id/documents/generate', generateDocumentValidation, handleValidationErrors, async (req, res) => {
+  try {
+    const auth = await getAuthUserAndCompany(req);
+    if (auth.error) return res.status(auth.status).json({ error: auth.error });
+    const { companyID } = auth;
+
+    const { id } = req.params;
+    const { document_type, name, time_zone } = req.body;
+
+    const result = await contractDocuments.generateProjectDocument({
+      companyID,
+      projectId: id,
+      documentType: document_type,
+      name,
+      timeZone: time_zone,
+    });
+    if (!result) {
+      return res.status(404).json({ error: 'Project not found' });
+    }
+    const { document } = result;
+
+    await auditLog.recordAudit({
+      auth,
+      entityType: 'document',
+      entityId: document.file_path,
+      action: 'create',
+      after: {
+        name: document.name,
+        document_type: document.document_type,
+        document_number: document.document_number,
+        file_name: document.file_name,
+        file_path: document.file_path,
+        file_size: document.file_size,
+        mime_type: document.mime_type,
+      },
+      metadata: { entity_type: 'projects', entity_id: id, generated: true },
+    });
+
+    try {
+      await documentSnapshots.createSnapshot({ companyID, document, employeeId: auth.employee?.id || null });
+    } catch (snapshotError) {
+      console.error('Error saving document snapshot:', snapshotError);
+    }
+
+    res.status(201).json({ document });
+  } catch (error) {
+    console.error('Render document error:', error);
+    res.status(500).json({ error: 'Internal server error' });
+  }
+});
+
+// ==================== MILESTONES ENDPOINTS ====================
+
+// Get milestones for a project (optionally filtered by document type)
+app.get('/api/projects/:id/milestones', requirePermission('view_costs'), async (req, res) => {
   try {
     const auth = await getAuthUserAndCompany(req);
     if (auth.error) return res.status(auth.status).json({ error: auth.error });
@@ -4105,7 +4361,7 @@ app.get('/api/projects/:id/milestones', async (req, res) => {
 });
 
 // Save/update milestones for a project (batch operation)
-app.put('/api/projects/:id/milestones', async (req, res) => {
+app.put('/api/projects/:id/milestones', requirePermission('edit_expenses'), async (req, res) => {
   try {
     const auth = await getAuthUserAndCompany(req);
     if (auth.error) return res.status(auth.status).json({ error: auth.error });
@@ -4130,7 +4386,7 @@ app.put('/api/projects/:id/milestones', async (req, res) => {
     // Verify project belongs to user's company
     const { data: project, error: projectError } = await supabase
       .from('projects')
-      .select('id')
+      .select('id, customer_price')
       .eq('id', id)
       .eq('company_id', companyID)
       .single();
@@ -4141,32 +4397,9 @@ app.put('/api/projects/:id/milestones', async (req, res) => {
 
     const roundTo2 = (n) => Math.round(Number(n) * 100) / 100;
 
-    // If customer_price is provided, update the project's customer_price
-    if (customer_price !== undefined && customer_price !== null) {
-      const { error: updateError } = await supabase
-        .from('projects')
-        .update({ 
-          customer_price: roundTo2(customer_price) || 0,
-          updated_at: new Date().toISOString(),
-        })
-        .eq('id', id)
-        .eq('company_id', companyID);
-
-      if (updateError) {
-        console.error('Error updating project customer_price:', updateError);
-      }
-    }
-
-    // Delete existing milestones for this project AND document type only
-    await supabase
-      .from('milestones')
-      .delete()
-      .eq('project_id', id)
-      .eq('company_id', companyID)
-      .eq('document_type', docType);
-
-    // Insert new milestones with all fields (support both snake_case and camelCase from client)
-    const milestonesToInsert = milestones.map((m, index) => {
+    // Milestones are saved in place (support both snake_case and camelCase from client); rows with the id of an
+    // existing milestone keep it so invoice items still point at the draws they billed
+    const milestonesToSave = milestones.map((m) => {
       const cost = roundTo2(Math.max(0, Number(m.cost) || 0));
       const customerPrice = roundTo2(Math.max(0, Number(m.customer_price) || 0));
       const flatPrice = m.flat_price !== undefined && m.flat_price !== null && m.flat_price !== ''
@@ -4176,8 +4409,7 @@ app.put('/api/projects/:id/milestones', async (req, res) => {
         ? roundTo2(Math.max(0, Number(m.markup_percent) || 0))
         : 0;
       return {
-        company_id: companyID,
-        project_id: id,
+        id: m.id || null,
         name: m.name,
         description: m.description || null,
         milestone_type: m.milestone_type || m.milestoneType || 'custom',
@@ -4187,24 +4419,52 @@ app.put('/api/projects/:id/milestones', async (req, res) => {
         markup_percent: markupPercent,
         subcontractor_fee_id: m.subcontractor_fee_id || m.subcontractorFeeId || null,
         additional_expense_id: m.additional_expense_id || m.additionalExpenseId || null,
-        sort_order: index,
-        document_type: docType,
       };
     });
 
-    const { data: savedMilestones, error: insertError } = await supabase
-      .from('milestones')
-      .insert(milestonesToInsert)
-      .select();
+    const schedule = await invoices.saveMilestoneSchedule(companyID, id, docType, milestonesToSave);
+    if (schedule.error) {
+      return res.status(schedule.status).json({ error: schedule.error });
+    }
+    const { previous: previousMilestones, saved: savedMilestones } = schedule;
 
-    if (insertError) {
-      console.error('Error inserting milestones:', insertError);
-      return res.status(500).json({ error: insertError.message });
+    // A contract/proposal schedule sets the original contract price; the project's customer_price is that plus
+    // approved change orders. Change order schedules are priced by their change_orders rows instead.
+    const hasCustomerPrice = customer_price !== undefined && customer_price !== null && docType !== 'change_order';
+    let contractSummary = null;
+    if (hasCustomerPrice) {
+      try {
+        contractSummary = await changeOrders.recalculateContractTotals(companyID, id, customer_price);
+      } catch (updateError) {
+        console.error('Error updating project customer_price:', updateError);
+      }
     }
 
     // Calculate grand total from customer prices (rounded to 2 decimals)
     const grandTotal = roundTo2(savedMilestones.reduce((sum, m) => sum + parseFloat(m.customer_price || 0), 0));
 
+    const summarizeMilestones = (rows) => (rows || [])
+      .slice()
+      .sort((a, b) => (a.sort_order ?? 0) - (b.sort_order ?? 0))
+      .map(({ name, milestone_type, cost, customer_price, flat_price, markup_percent }) => ({
+        name, milestone_type, cost, customer_price, flat_price, markup_percent,
+      }));
+    await auditLog.recordAudit({
+      auth,
+      entityType: 'milestone',
+      entityId: id,
+      action: 'update',
+      before: {
+        milestones: summarizeMilestones(previousMilestones),
+        ...(hasCustomerPrice && { customer_price: project.customer_price }),
+      },
+      after: {
+        milestones: summarizeMilestones(savedMilestones),
+        ...(contractSummary && { customer_price: contractSummary.currentContractPrice }),
+      },
+      metadata: { project_id: id, document_type: docType },
+    });
+
     res.json({ 
       milestones: savedMilestones,
       grandTotal,
@@ -4215,164 +4475,1814 @@ app.put('/api/projects/:id/milestones', async (req, res) => {
   }
 });
 
-// ==================== SCOPE OF WORK ENDPOINTS ====================
+// ==================== CHANGE ORDER ENDPOINTS ====================
 
-// Get scope of work items for a project (optionally filtered by document type)
-app.get('/api/projects/:id/scope-of-work', async (req, res) => {
+// Change orders for a project and its running contract value (original contract + approved change orders)
+app.get('/api/projects/:id/change-orders', uuidParam('id'), handleValidationErrors, async (req, res) => {
   try {
     const auth = await getAuthUserAndCompany(req);
     if (auth.error) return res.status(auth.status).json({ error: auth.error });
-    const { user, companyID } = auth;
-
-    const { id } = req.params;
-    const { document_type } = req.query; // Optional filter by document type
-
-    // Verify project belongs to user's company
-    const { data: project, error: projectError } = await supabase
-      .from('projects')
-      .select('id')
-      .eq('id', id)
-      .eq('company_id', companyID)
-      .single();
+    const { companyID } = auth;
 
-    if (projectError || !project) {
+    const result = await changeOrders.listProjectChangeOrders(companyID, req.params.id);
+    if (!result) {
       return res.status(404).json({ error: 'Project not found' });
     }
 
-    // Build query for scope of work items
-    let query = supabase
-      .from('scope_of_work')
-      .select('*')
-      .eq('project_id', id);
-
-    // Filter by document type if provided
-    if (document_type) {
-      query = query.eq('document_type', document_type);
-    }
-
-    const { data: scopeOfWork, error } = await query.order('sort_order', { ascending: true });
-
-    if (error) {
-      return res.status(500).json({ error: error.message });
-    }
-
-    res.json({ scopeOfWork: scopeOfWork || [] });
+    res.json(result);
   } catch (error) {
-    console.error('Get scope of work error:', error);
+    console.error('Get change orders error:', error);
     res.status(500).json({ error: 'Internal server error' });
   }
 });
 
-// Save/update scope of work items for a project (batch operation)
-app.put('/api/projects/:id/scope-of-work', async (req, res) => {
+// Create a draft change order amending the project's contract
+app.post('/api/projects/:id/change-orders', requirePermission('manage_change_orders'), changeOrderPostValidation, handleValidationErrors, async (req, res) => {
   try {
     const auth = await getAuthUserAndCompany(req);
     if (auth.error) return res.status(auth.status).json({ error: auth.error });
-    const { user, companyID } = auth;
+    const { companyID } = auth;
 
     const { id } = req.params;
-    const { scopeOfWork, document_type } = req.body;
-
-    if (!scopeOfWork || !Array.isArray(scopeOfWork)) {
-      return res.status(400).json({ error: 'scopeOfWork array is required' });
-    }
-
-    // Default to 'contract' if no document_type provided
-    const docType = document_type || 'contract';
-
-    // Validate document_type
-    const validDocTypes = ['proposal', 'contract', 'change_order'];
-    if (!validDocTypes.includes(docType)) {
-      return res.status(400).json({ error: 'Invalid document_type. Must be proposal, contract, or change_order' });
-    }
-
-    // Verify project belongs to user's company
-    const { data: project, error: projectError } = await supabase
-      .from('projects')
-      .select('id')
-      .eq('id', id)
-      .eq('company_id', companyID)
-      .single();
+    const { title, description, contract_document_id, document_id, price_delta, schedule_delta_days } = req.body;
 
-    if (projectError || !project) {
+    const changeOrder = await changeOrders.createChangeOrder({
+      companyID,
+      projectId: id,
+      title,
+      description,
+      contractDocumentId: contract_document_id,
+      documentId: document_id,
+      priceDelta: price_delta != null ? parseFloat(price_delta) : 0,
+      scheduleDeltaDays: schedule_delta_days,
+      employeeId: auth.employee?.id,
+    });
+    if (!changeOrder) {
       return res.status(404).json({ error: 'Project not found' });
     }
-
-    // Delete existing scope of work items for this project AND document type only
-    await supabase
-      .from('scope_of_work')
-      .delete()
-      .eq('project_id', id)
-      .eq('company_id', companyID)
-      .eq('document_type', docType);
-
-    // Filter to items with titles; items are in preorder (parent before children)
-    const items = scopeOfWork.filter(item => item.title && item.title.trim());
-    if (items.length === 0) {
-      return res.json({ scopeOfWork: [] });
+    if (changeOrder.error) {
+      return res.status(changeOrder.status).json({ error: changeOrder.error });
     }
 
-    // Insert in order so we can resolve parent_id (client id -> uuid)
-    const idToUuid = {};
-    const savedItems = [];
-    for (let i = 0; i < items.length; i++) {
-      const item = items[i];
-      const parentUuid = (item.parent_id && idToUuid[item.parent_id]) || null;
-      const { data: inserted, error: insertError } = await supabase
-        .from('scope_of_work')
-        .insert({
-          company_id: companyID,
-          project_id: id,
-          title: item.title,
-          description: item.description || null,
-          sort_order: i,
-          document_type: docType,
-          parent_id: parentUuid,
-        })
-        .select()
-        .single();
-
-      if (insertError) {
-        console.error('Error inserting scope of work:', insertError);
-        return res.status(500).json({ error: insertError.message });
-      }
-      if (item.id) idToUuid[item.id] = inserted.id;
-      savedItems.push(inserted);
-    }
+    await auditLog.recordAudit({
+      auth,
+      entityType: 'change_order',
+      entityId: changeOrder.id,
+      action: 'create',
+      after: changeOrder,
+      metadata: { project_id: id, change_order_number: changeOrder.change_order_number },
+    });
 
-    res.json({ scopeOfWork: savedItems });
+    res.status(201).json({ changeOrder });
   } catch (error) {
-    console.error('Save scope of work error:', error);
+    console.error('Create change order error:', error);
     res.status(500).json({ error: 'Internal server error' });
   }
 });
 
-// Get all inventory items for a company
-app.get('/api/inventory', async (req, res) => {
+// Edit a draft change order (or link its document while it is out for approval)
+app.put('/api/change-orders/:id', requirePermission('manage_change_orders'), changeOrderPutValidation, handleValidationErrors, async (req, res) => {
   try {
     const auth = await getAuthUserAndCompany(req);
     if (auth.error) return res.status(auth.status).json({ error: auth.error });
-    const { user, companyID } = auth;
+    const { companyID } = auth;
 
-    const { data, error } = await supabase
-      .from('inventory')
-      .select('*')
-      .eq('company_id', companyID)
-      .order('created_at', { ascending: false });
+    const { id } = req.params;
+    const { title, description, contract_document_id, document_id, price_delta, schedule_delta_days } = req.body;
 
-    if (error) {
-      return res.status(500).json({ error: error.message });
+    const result = await changeOrders.updateChangeOrder(companyID, id, {
+      title,
+      description,
+      contractDocumentId: contract_document_id,
+      documentId: document_id,
+      priceDelta: price_delta != null ? parseFloat(price_delta) : price_delta,
+      scheduleDeltaDays: schedule_delta_days,
+    });
+    if (!result) {
+      return res.status(404).json({ error: 'Change order not found' });
+    }
+    if (result.error) {
+      return res.status(result.status).json({ error: result.error });
     }
 
-    res.json({ materials: data || [] });
+    await auditLog.recordAudit({
+      auth,
+      entityType: 'change_order',
+      entityId: id,
+      action: 'update',
+      before: result.before,
+      after: result.after,
+      metadata: { project_id: result.after.project_id, change_order_number: result.after.change_order_number },
+    });
+
+    res.json({ changeOrder: await changeOrders.getChangeOrder(companyID, id) });
+  } catch (error) {
+    console.error('Update change order error:', error);
+    res.status(500).json({ error: 'Internal server error' });
+  }
+});
+
+// Mark a change order sent, approved or rejected (approval updates the project's contracted total)
+app.post('/api/change-orders/:id/status', requirePermission('manage_change_orders'), changeOrderStatusValidation, handleValidationErrors, async (req, res) => {
+  try {
+    const auth = await getAuthUserAndCompany(req);
+    if (auth.error) return res.status(auth.status).json({ error: auth.error });
+    const { companyID } = auth;
+
+    const { id } = req.params;
+    const { status, note } = req.body;
+
+    const result = await changeOrders.setChangeOrderStatus(companyID, id, status, {
+      employeeId: auth.employee?.id,
+      note,
+    });
+    if (!result) {
+      return res.status(404).json({ error: 'Change order not found' });
+    }
+    if (result.error) {
+      return res.status(result.status).json({ error: result.error });
+    }
+
+    await auditLog.recordAudit({
+      auth,
+      entityType: 'change_order',
+      entityId: id,
+      action: 'update',
+      before: result.before,
+      after: result.after,
+      metadata: { project_id: result.after.project_id, change_order_number: result.after.change_order_number },
+    });
+
+    res.json({ changeOrder: await changeOrders.getChangeOrder(companyID, id), summary: result.summary });
+  } catch (error) {
+    console.error('Change order status error:', error);
+    res.status(500).json({ error: 'Internal server error' });
+  }
+});
+
+// Delete a change order that was never approved
+app.delete('/api/change-orders/:id', requirePermission('manage_change_orders'), uuidParam('id'), handleValidationErrors, async (req, res) => {
+  try {
+    const auth = await getAuthUserAndCompany(req);
+    if (auth.error) return res.status(auth.status).json({ error: auth.error });
+    const { companyID } = auth;
+
+    const { id } = req.params;
+    const deleted = await changeOrders.deleteChangeOrder(companyID, id);
+    if (!deleted) {
+      return res.status(404).json({ error: 'Change order not found' });
+    }
+    if (deleted.error) {
+      return res.status(deleted.status).json({ error: deleted.error });
+    }
+
+    await auditLog.recordAudit({
+      auth,
+      entityType: 'change_order',
+      entityId: id,
+      action: 'delete',
+      before: deleted,
+      metadata: { project_id: deleted.project_id, change_order_number: deleted.change_order_number },
+    });
+
+    res.json({ success: true });
+  } catch (error) {
+    console.error('Delete change order error:', error);
+    res.status(500).json({ error: 'Internal server error' });
+  }
+});
+
+// ==================== CONSTRUCTION SCHEDULE ENDPOINTS ====================
+
+// Mirror a project's schedule tasks to their assignees' synced Google calendars; the CRM save stands even if Google fails
+const publishScheduleToGoogle = async (companyID, projectId) => {
+  try {
+    await googleCalendarSync.publishProjectTasks(companyID, projectId);
+  } catch (syncError) {
+    console.warn('Google Calendar schedule publish failed (non-fatal):', syncError.message);
+  }
+};
+
+// The project's schedule tasks with dependencies, planned/actual/forecast dates, and fees not yet scheduled
+app.get('/api/projects/:id/schedule', uuidParam('id'), handleValidationErrors, async (req, res) => {
+  try {
+    const auth = await getAuthUserAndCompany(req);
+    if (auth.error) return res.status(auth.status).json({ error: auth.error });
+    const { companyID } = auth;
+
+    const schedule = await projectSchedule.getSchedule(companyID, req.params.id);
+    if (!schedule) {
+      return res.status(404).json({ error: 'Project not found' });
+    }
+
+    res.json(schedule);
+  } catch (error) {
+    console.error('Get schedule error:', error);
+    res.status(500).json({ error: 'Internal server error' });
+  }
+});
+
+// Add tasks for the subcontractor fees not yet scheduled (or the standard phases for an empty project)
+app.post('/api/projects/:id/schedule/generate', requirePermission('manage_schedule'), scheduleGenerateValidation, handleValidationErrors, async (req, res) => {
+  try {
+    const auth = await getAuthUserAndCompany(req);
+    if (auth.error) return res.status(auth.status).json({ error: auth.error });
+    const { companyID } = auth;
+
+    const { id } = req.params;
+    const result = await projectSchedule.generateSchedule({
+      companyID,
+      projectId: id,
+      startDate: req.body.start_date || null,
+      employeeId: auth.employee?.id,
+    });
+    if (!result) {
+      return res.status(404).json({ error: 'Project not found' });
+    }
+    if (result.error) {
+      return res.status(result.status).json({ error: result.error });
+    }
+
+    for (const task of result.created) {
+      await auditLog.recordAudit({
+        auth,
+        entityType: 'schedule_task',
+        entityId: task.id,
+        action: 'create',
+        after: task,
+        metadata: { project_id: id, generated: true },
+      });
+    }
+    await publishScheduleToGoogle(companyID, id);
+
+    res.status(201).json({ created: result.created.length, moved: result.moved });
+  } catch (error) {
+    console.error('Generate schedule error:', error);
+    res.status(500).json({ error: 'Internal server error' });
+  }
+});
+
+app.post('/api/projects/:id/schedule/tasks', requirePermission('manage_schedule'), scheduleTaskPostValidation, handleValidationErrors, async (req, res) => {
+  try {
+    const auth = await getAuthUserAndCompany(req);
+    if (auth.error) return res.status(auth.status).json({ error: auth.error });
+    const { companyID } = auth;
+
+    const { id } = req.params;
+    const { name, duration_days, planned_start, subcontractor_fee_id, subcontractor_id, employee_id, notes, depends_on } = req.body;
+
+    const result = await projectSchedule.createTask({
+      companyID,
+      projectId: id,
+      name,
+      durationDays: duration_days,
+      plannedStart: planned_start,
+      subcontractorFeeId: subcontractor_fee_id,
+      subcontractorId: subcontractor_id,
+      employeeId: employee_id,
+      notes,
+      dependsOn: depends_on,
+      createdBy: auth.employee?.id,
+    });
+    if (!result) {
+      return res.status(404).json({ error: 'Project not found' });
+    }
+    if (result.error) {
+      return res.status(result.status).json({ error: result.error, coi: result.coi });
+    }
+
+    await auditLog.recordAudit({
+      auth,
+      entityType: 'schedule_task',
+      entityId: result.task.id,
+      action: 'create',
+      after: result.task,
+      metadata: { project_id: id, rescheduled_tasks: result.moved },
+    });
+    await publishScheduleToGoogle(companyID, id);
+
+    res.status(201).json(result);
+  } catch (error) {
+    console.error('Create schedule task error:', error);
+    res.status(500).json({ error: 'Internal server error' });
+  }
+});
+
+// Change a task, record its actual dates, or replace its dependencies. Dependent tasks are rescheduled.
+app.put('/api/projects/:id/schedule/tasks/:taskId', requirePermission('manage_schedule'), scheduleTaskPutValidation, handleValidationErrors, async (req, res) => {
+  try {
+    const auth = await getAuthUserAndCompany(req);
+    if (auth.error) return res.status(auth.status).json({ error: auth.error });
+    const { companyID } = auth;
+
+    const { id, taskId } = req.params;
+    const { name, duration_days, planned_start, actual_start, actual_end, subcontractor_fee_id, subcontractor_id, employee_id, notes, depends_on } = req.body;
+
+    const result = await projectSchedule.updateTask(companyID, id, taskId, {
+      name,
+      durationDays: duration_days,
+      plannedStart: planned_start,
+      actualStart: actual_start,
+      actualEnd: actual_end,
+      subcontractorFeeId: subcontractor_fee_id,
+      subcontractorId: subcontractor_id,
+      employeeId: employee_id,
+      notes,
+      dependsOn: depends_on,
+    });
+    if (!result) {
+      return res.status(404).json({ error: 'Task not found' });
+    }
+    if (result.error) {
+      return res.status(result.status).json({ error: result.error, coi: result.coi });
+    }
+
+    await auditLog.recordAudit({
+      auth,
+      entityType: 'schedule_task',
+      entityId: taskId,
+      action: 'update',
+      before: result.before,
+      after: result.after,
+      metadata: { project_id: id, rescheduled_tasks: result.moved },
+    });
+    await publishScheduleToGoogle(companyID, id);
+
+    res.json({ task: result.after, moved: result.moved, coiWarning: result.coiWarning });
+  } catch (error) {
+    console.error('Update schedule task error:', error);
+    res.status(500).json({ error: 'Internal server error' });
+  }
+});
+
+app.delete('/api/projects/:id/schedule/tasks/:taskId', requirePermission('manage_schedule'), uuidParam('id'), uuidParam('taskId'), handleValidationErrors, async (req, res) => {
+  try {
+    const auth = await getAuthUserAndCompany(req);
+    if (auth.error) return res.status(auth.status).json({ error: auth.error });
+    const { companyID } = auth;
+
+    const { id, taskId } = req.params;
+    // Before deleting: the Google links are removed with the task
+    try {
+      await googleCalendarSync.unpublishScheduleTask(companyID, taskId);
+    } catch (syncError) {
+      console.warn('Google Calendar unpublish failed (non-fatal):', syncError.message);
+    }
+    const result = await projectSchedule.deleteTask(companyID, id, taskId);
+    if (!result) {
+      return res.status(404).json({ error: 'Task not found' });
+    }
+
+    await auditLog.recordAudit({
+      auth,
+      entityType: 'schedule_task',
+      entityId: taskId,
+      action: 'delete',
+      before: result.task,
+      metadata: { project_id: id, rescheduled_tasks: result.moved },
+    });
+    await publishScheduleToGoogle(companyID, id);
+
+    res.json({ success: true, moved: result.moved });
+  } catch (error) {
+    console.error('Delete schedule task error:', error);
+    res.status(500).json({ error: 'Internal server error' });
+  }
+});
+
+// ==================== PROPOSAL OPTION ENDPOINTS ====================
+
+// Audit a signed proposal's chosen option replacing the contract milestones and scope
+const recordOptionCarryOver = async (applied, auth) => {
+  if (!applied) return;
+  await auditLog.recordAudit({
+    auth,
+    entityType: 'milestone',
+    entityId: applied.projectId,
+    action: 'update',
+    before: applied.before,
+    after: applied.after,
+    metadata: {
+      project_id: applied.projectId,
+      document_type: 'contract',
+      via: 'proposal_option',
+      proposal_document_id: applied.documentId,
+      option_name: applied.option.name,
+    },
+  });
+};
+
+// Good/better/best packages on a project's proposal, each with its price
+app.get('/api/projects/:id/proposal-options', uuidParam('id'), handleValidationErrors, async (req, res) => {
+  try {
+    const auth = await getAuthUserAndCompany(req);
+    if (auth.error) return res.status(auth.status).json({ error: auth.error });
+    const { companyID } = auth;
+
+    const options = await proposalOptions.listOptions(companyID, req.params.id);
+    if (!options) {
+      return res.status(404).json({ error: 'Project not found' });
+    }
+
+    res.json({ options, maxOptions: proposalOptions.MAX_OPTIONS });
+  } catch (error) {
+    console.error('Get proposal options error:', error);
+    res.status(500).json({ error: 'Internal server error' });
+  }
+});
+
+// Add an option package
+app.post('/api/projects/:id/proposal-options', proposalOptionPostValidation, handleValidationErrors, async (req, res) => {
+  try {
+    const auth = await getAuthUserAndCompany(req);
+    if (auth.error) return res.status(auth.status).json({ error: auth.error });
+    const { companyID } = auth;
+
+    const { id } = req.params;
+    const { name, description, milestones, scope_of_work } = req.body;
+    const option = await proposalOptions.createOption(companyID, id, { name, description, milestones, scope_of_work });
+    if (!option) {
+      return res.status(404).json({ error: 'Project not found' });
+    }
+    if (option.error) {
+      return res.status(option.status).json({ error: option.error });
+    }
+
+    await auditLog.recordAudit({
+      auth,
+      entityType: 'proposal_option',
+      entityId: option.id,
+      action: 'create',
+      after: option,
+      metadata: { project_id: id },
+    });
+
+    res.status(201).json({ option });
+  } catch (error) {
+    console.error('Create proposal option error:', error);
+    res.status(500).json({ error: 'Internal server error' });
+  }
+});
+
+// Edit an option's name, description, payments, included scope or position
+app.put('/api/proposal-options/:id', proposalOptionPutValidation, handleValidationErrors, async (req, res) => {
+  try {
+    const auth = await getAuthUserAndCompany(req);
+    if (auth.error) return res.status(auth.status).json({ error: auth.error });
+    const { companyID } = auth;
+
+    const { name, description, milestones, scope_of_work, sort_order } = req.body;
+    const result = await proposalOptions.updateOption(companyID, req.params.id, { name, description, milestones, scope_of_work, sort_order });
+    if (!result) {
+      return res.status(404).json({ error: 'Option not found' });
+    }
+
+    await auditLog.recordAudit({
+      auth,
+      entityType: 'proposal_option',
+      entityId: req.params.id,
+      action: 'update',
+      before: result.before,
+      after: result.after,
+      metadata: { project_id: result.after.project_id },
+    });
+
+    res.json({ option: result.after });
+  } catch (error) {
+    console.error('Update proposal option error:', error);
+    res.status(500).json({ error: 'Internal server error' });
+  }
+});
+
+// Delete an option package
+app.delete('/api/proposal-options/:id', uuidParam('id'), handleValidationErrors, async (req, res) => {
+  try {
+    const auth = await getAuthUserAndCompany(req);
+    if (auth.error) return res.status(auth.status).json({ error: auth.error });
+    const { companyID } = auth;
+
+    const option = await proposalOptions.deleteOption(companyID, req.params.id);
+    if (!option) {
+      return res.status(404).json({ error: 'Option not found' });
+    }
+
+    await auditLog.recordAudit({
+      auth,
+      entityType: 'proposal_option',
+      entityId: req.params.id,
+      action: 'delete',
+      before: option,
+      metadata: { project_id: option.project_id },
+    });
+
+    res.json({ success: true });
+  } catch (error) {
+    console.error('Delete proposal option error:', error);
+    res.status(500).json({ error: 'Internal server error' });
+  }
+});
+
+// Record the option the customer chose on a proposal (carried into the contract once the proposal is signed)
+app.put('/api/documents/by-id/:documentId/selected-option', proposalOptionSelectValidation, handleValidationErrors, async (req, res) => {
+  try {
+    const auth = await getAuthUserAndCompany(req);
+    if (auth.error) return res.status(auth.status).json({ error: auth.error });
+    const { companyID } = auth;
+
+    const { documentId } = req.params;
+    const result = await proposalOptions.selectOption(companyID, documentId, req.body.option_id || null);
+    if (!result) {
+      return res.status(404).json({ error: 'Proposal not found' });
+    }
+    if (result.error) {
+      return res.status(result.status).json({ error: result.error });
+    }
+
+    await auditLog.recordAudit({
+      auth,
+      entityType: 'document',
+      entityId: documentId,
+      action: 'update',
+      before: result.before,
+      after: result.after,
+    });
+    await recordOptionCarryOver(result.applied, auth);
+
+    res.json({ selectedOptionId: result.after.selected_option_id, applied: !!result.applied });
+  } catch (error) {
+    console.error('Select proposal option error:', error);
+    res.status(500).json({ error: 'Internal server error' });
+  }
+});
+
+// ==================== INVOICE ENDPOINTS ====================
+
+// Invoices for a project (with items and payments) and which milestones are already billed
+app.get('/api/projects/:id/invoices', requirePermission('view_costs'), async (req, res) => {
+  try {
+    const auth = await getAuthUserAndCompany(req);
+    if (auth.error) return res.status(auth.status).json({ error: auth.error });
+    const { companyID } = auth;
+
+    const { id } = req.params;
+
+    // Verify project belongs to user's company
+    const { data: project, error: projectError } = await supabase
+      .from('projects')
+      .select('id')
+      .eq('id', id)
+      .eq('company_id', companyID)
+      .is('deleted_at', null)
+      .single();
+
+    if (projectError || !project) {
+      return res.status(404).json({ error: 'Project not found' });
+    }
+
+    const { invoices: projectInvoices, billedMilestoneIds } = await invoices.listProjectInvoices(companyID, id);
+    res.json({ invoices: projectInvoices, billedMilestoneIds });
+  } catch (error) {
+    console.error('Get invoices error:', error);
+    res.status(500).json({ error: 'Internal server error' });
+  }
+});
+
+// Create an invoice from one or more milestones
+app.post('/api/projects/:id/invoices', requirePermission('manage_invoices'), invoicePostValidation, handleValidationErrors, async (req, res) => {
+  try {
+    const auth = await getAuthUserAndCompany(req);
+    if (auth.error) return res.status(auth.status).json({ error: auth.error });
+    const { companyID } = auth;
+
+    const { id } = req.params;
+    const { milestone_ids, invoice_date, due_date, notes } = req.body;
+
+    // Verify project belongs to user's company
+    const { data: project, error: projectError } = await supabase
+      .from('projects')
+      .select('id')
+      .eq('id', id)
+      .eq('company_id', companyID)
+      .is('deleted_at', null)
+      .single();
+
+    if (projectError || !project) {
+      return res.status(404).json({ error: 'Project not found' });
+    }
+
+    const invoice = await invoices.createInvoice({
+      companyID,
+      projectId: id,
+      milestoneIds: milestone_ids,
+      invoiceDate: invoice_date,
+      dueDate: due_date,
+      notes,
+      employeeId: auth.employee?.id,
+    });
+    if (invoice.error) {
+      return res.status(invoice.status).json({ error: invoice.error });
+    }
+
+    await auditLog.recordAudit({
+      auth,
+      entityType: 'invoice',
+      entityId: invoice.id,
+      action: 'create',
+      after: invoice,
+      metadata: { project_id: id, invoice_number: invoice.invoice_number },
+    });
+
+    res.status(201).json({ invoice });
+  } catch (error) {
+    console.error('Create invoice error:', error);
+    res.status(500).json({ error: 'Internal server error' });
+  }
+});
+
+// One invoice with everything needed to render its PDF
+app.get('/api/invoices/:id', requirePermission('view_costs'), uuidParam('id'), handleValidationErrors, async (req, res) => {
+  try {
+    const auth = await getAuthUserAndCompany(req);
+    if (auth.error) return res.status(auth.status).json({ error: auth.error });
+    const { companyID } = auth;
+
+    const invoice = await invoices.getInvoice(companyID, req.params.id);
+    if (!invoice) {
+      return res.status(404).json({ error: 'Invoice not found' });
+    }
+
+    const [projectResult, companyResult] = await Promise.all([
+      supabase
+        .from('projects')
+        .select('id, project_name, address, customers (id, first_name, last_name, email, phone, address_line1, address_line2, city, state, zip_code)')
+        .eq('id', invoice.project_id)
+        .eq('company_id', companyID)
+        .single(),
+      supabase
+        .from('companies')
+        .select('company_name, logo_url, phone, email, website, address_line1, address_line2, city, state, zip_code, license_numbers')
+        .eq('company_id', companyID)
+        .single(),
+    ]);
+
+    if (projectResult.error || companyResult.error) {
+      console.error('Error fetching invoice context:', projectResult.error || companyResult.error);
+      return res.status(500).json({ error: 'Failed to load invoice' });
+    }
+
+    const { customers: customer, ...project } = projectResult.data;
+    res.json({ invoice, project, customer: customer || null, company: companyResult.data });
+  } catch (error) {
+    console.error('Get invoice error:', error);
+    res.status(500).json({ error: 'Internal server error' });
+  }
+});
+
+// Void an invoice (frees its milestones to be billed again)
+app.post('/api/invoices/:id/void', requirePermission('manage_invoices'), uuidParam('id'), handleValidationErrors, async (req, res) => {
+  try {
+    const auth = await getAuthUserAndCompany(req);
+    if (auth.error) return res.status(auth.status).json({ error: auth.error });
+    const { companyID } = auth;
+
+    const { id } = req.params;
+    const result = await invoices.voidInvoice(companyID, id);
+    if (!result) {
+      return res.status(404).json({ error: 'Invoice not found' });
+    }
+    if (result.error) {
+      return res.status(result.status).json({ error: result.error });
+    }
+
+    await auditLog.recordAudit({
+      auth,
+      entityType: 'invoice',
+      entityId: id,
+      action: 'update',
+      before: result.before,
+      after: result.after,
+      metadata: { project_id: result.after.project_id, invoice_number: result.after.invoice_number },
+    });
+
+    res.json({ invoice: result.after });
+  } catch (error) {
+    console.error('Void invoice error:', error);
+    res.status(500).json({ error: 'Internal server error' });
+  }
+});
+
+// Record a payment received against an invoice (partial payments allowed)
+app.post('/api/invoices/:id/payments', requirePermission('manage_invoices'), invoicePaymentPostValidation, handleValidationErrors, async (req, res) => {
+  try {
+    const auth = await getAuthUserAndCompany(req);
+    if (auth.error) return res.status(auth.status).json({ error: auth.error });
+    const { companyID } = auth;
+
+    const { id } = req.params;
+    const { amount, method, reference, paid_on, notes } = req.body;
+
+    const result = await invoices.recordPayment({
+      companyID,
+      invoiceId: id,
+      amount: parseFloat(amount),
+      method,
+      reference,
+      paidOn: paid_on,
+      notes,
+      employeeId: auth.employee?.id,
+    });
+    if (!result) {
+      return res.status(404).json({ error: 'Invoice not found' });
+    }
+    if (result.error) {
+      return res.status(result.status).json({ error: result.error });
+    }
+
+    await auditLog.recordAudit({
+      auth,
+      entityType: 'payment',
+      entityId: result.payment.id,
+      action: 'create',
+      after: result.payment,
+      metadata: { invoice_id: id, invoice_number: result.invoice.invoice_number, project_id: result.invoice.project_id },
+    });
+
+    res.status(201).json(result);
+  } catch (error) {
+    console.error('Record payment error:', error);
+    res.status(500).json({ error: 'Internal server error' });
+  }
+});
+
+// Remove a payment recorded by mistake
+app.delete('/api/invoices/:id/payments/:paymentId', requirePermission('manage_invoices'), uuidParam('id'), uuidParam('paymentId'), handleValidationErrors, async (req, res) => {
+  try {
+    const auth = await getAuthUserAndCompany(req);
+    if (auth.error) return res.status(auth.status).json({ error: auth.error });
+    const { companyID } = auth;
+
+    const { id, paymentId } = req.params;
+    const result = await invoices.deletePayment(companyID, id, paymentId);
+    if (!result) {
+      return res.status(404).json({ error: 'Payment not found' });
+    }
+
+    await auditLog.recordAudit({
+      auth,
+      entityType: 'payment',
+      entityId: paymentId,
+      action: 'delete',
+      before: result.payment,
+      metadata: { invoice_id: id, invoice_number: result.invoice.invoice_number, project_id: result.invoice.project_id },
+    });
+
+    res.json({ invoice: result.invoice });
+  } catch (error) {
+    console.error('Delete payment error:', error);
+    res.status(500).json({ error: 'Internal server error' });
+  }
+});
+
+// ==================== RECEIVABLES ENDPOINTS ====================
+
+// AR aging: unpaid invoice balances per customer and project in current / 1-30 / 31-60 / 61-90 / 90+ day buckets
+app.get('/api/receivables/aging', requirePermission('view_costs'), async (req, res) => {
+  try {
+    const auth = await getAuthUserAndCompany(req);
+    if (auth.error) return res.status(auth.status).json({ error: auth.error });
+    const { companyID } = auth;
+
+    const [report, settings] = await Promise.all([
+      receivables.getAgingReport(companyID),
+      receivables.getReminderSettings(companyID),
+    ]);
+
+    res.json({ ...report, settings });
+  } catch (error) {
+    console.error('Get AR aging error:', error);
+    res.status(500).json({ error: 'Internal server error' });
+  }
+});
+
+// Log of payment reminders sent (scheduled and manual), newest first
+app.get('/api/receivables/reminders', requirePermission('view_costs'), reminderLogQueryValidation, handleValidationErrors, async (req, res) => {
+  try {
+    const auth = await getAuthUserAndCompany(req);
+    if (auth.error) return res.status(auth.status).json({ error: auth.error });
+    const { companyID } = auth;
+
+    const reminders = await receivables.listReminders(companyID, {
+      invoiceId: req.query.invoice_id || undefined,
+      limit: req.query.limit || undefined,
+    });
+
+    res.json({ reminders });
+  } catch (error) {
+    console.error('Get payment reminders error:', error);
+    res.status(500).json({ error: 'Internal server error' });
+  }
+});
+
+// Turn scheduled overdue reminders on/off and set the re-reminder interval and time zone
+app.put('/api/receivables/settings', requirePermission('manage_invoices'), reminderSettingsPutValidation, handleValidationErrors, async (req, res) => {
+  try {
+    const auth = await getAuthUserAndCompany(req);
+    if (auth.error) return res.status(auth.status).json({ error: auth.error });
+    const { companyID } = auth;
+
+    const { before, after } = await receivables.setReminderSettings(companyID, {
+      enabled: req.body.enabled ?? undefined,
+      intervalDays: req.body.interval_days ?? undefined,
+      timeZone: req.body.time_zone || undefined,
+    });
+
+    await auditLog.recordAudit({
+      auth,
+      entityType: 'company',
+      entityId: companyID,
+      action: 'update',
+      before: { payment_reminders_enabled: before.enabled, payment_reminder_interval_days: before.intervalDays, payment_reminder_time_zone: before.timeZone },
+      after: { payment_reminders_enabled: after.enabled, payment_reminder_interval_days: after.intervalDays, payment_reminder_time_zone: after.timeZone },
+    });
+
+    res.json({ settings: after });
+  } catch (error) {
+    console.error('Update reminder settings error:', error);
+    res.status(500).json({ error: 'Internal server error' });
+  }
+});
+
+// Send an overdue invoice's reminder now (SMS and/or email, respecting the customer's opt-outs)
+app.post('/api/invoices/:id/remind', requirePermission('manage_invoices'), invoiceReminderPostValidation, handleValidationErrors, async (req, res) => {
+  try {
+    const auth = await getAuthUserAndCompany(req);
+    if (auth.error) return res.status(auth.status).json({ error: auth.error });
+    const { companyID } = auth;
+
+    const result = await receivables.sendInvoiceReminder(companyID, req.params.id, auth.employee?.id);
+    if (!result) {
+      return res.status(404).json({ error: 'Invoice not found' });
+    }
+    if (result.error) {
+      return res.status(result.status).json({ error: result.error });
+    }
+
+    res.json(result);
+  } catch (error) {
+    console.error('Send invoice reminder error:', error);
+    res.status(500).json({ error: 'Internal server error' });
+  }
+});
+
+// ==================== CONTRACT CLAUSE ENDPOINTS ====================
+
+// Clause library, each document type's clause set and the merge fields clauses can use
+app.get('/api/contract-clauses', async (req, res) => {
+  try {
+    const auth = await getAuthUserAndCompany(req);
+    if (auth.error) return res.status(auth.status).json({ error: auth.error });
+    const { companyID } = auth;
+
+    const { clauses, layouts } = await contractClauses.listClauses(companyID);
+    res.json({ clauses, layouts, mergeFields: MERGE_FIELDS });
+  } catch (error) {
+    console.error('Get contract clauses error:', error);
+    res.status(500).json({ error: 'Internal server error' });
+  }
+});
+
+// Add a clause to the library (requires manage_company)
+app.post('/api/contract-clauses', requirePermission('manage_company'), contractClauseValidation, handleValidationErrors, async (req, res) => {
+  try {
+    const auth = await getAuthUserAndCompany(req);
+    if (auth.error) return res.status(auth.status).json({ error: auth.error });
+    const { companyID } = auth;
+
+    const { title, body } = req.body;
+    const clause = await contractClauses.createClause(companyID, { title, body }, auth.employee?.id);
+    if (clause.error) {
+      return res.status(clause.status).json({ error: clause.error });
+    }
+
+    await auditLog.recordAudit({
+      auth,
+      entityType: 'contract_clause',
+      entityId: clause.id,
+      action: 'create',
+      after: clause,
+    });
+
+    res.status(201).json({ clause });
+  } catch (error) {
+    console.error('Create contract clause error:', error);
+    res.status(500).json({ error: 'Internal server error' });
+  }
+});
+
+// Edit a clause (requires manage_company)
+app.put('/api/contract-clauses/:id', requirePermission('manage_company'), contractClausePutValidation, handleValidationErrors, async (req, res) => {
+  try {
+    const auth = await getAuthUserAndCompany(req);
+    if (auth.error) return res.status(auth.status).json({ error: auth.error });
+    const { companyID } = auth;
+
+    const { title, body } = req.body;
+    const result = await contractClauses.updateClause(companyID, req.params.id, { title, body });
+    if (!result) {
+      return res.status(404).json({ error: 'Clause not found' });
+    }
+    if (result.error) {
+      return res.status(result.status).json({ error: result.error });
+    }
+
+    await auditLog.recordAudit({
+      auth,
+      entityType: 'contract_clause',
+      entityId: req.params.id,
+      action: 'update',
+      before: result.before,
+      after: result.after,
+    });
+
+    res.json({ clause: result.after });
+  } catch (error) {
+    console.error('Update contract clause error:', error);
+    res.status(500).json({ error: 'Internal server error' });
+  }
+});
+
+// Delete a clause; it drops out of every document type's clause set (requires manage_company)
+app.delete('/api/contract-clauses/:id', requirePermission('manage_company'), uuidParam('id'), handleValidationErrors, async (req, res) => {
+  try {
+    const auth = await getAuthUserAndCompany(req);
+    if (auth.error) return res.status(auth.status).json({ error: auth.error });
+    const { companyID } = auth;
+
+    const clause = await contractClauses.deleteClause(companyID, req.params.id);
+    if (!clause) {
+      return res.status(404).json({ error: 'Clause not found' });
+    }
+
+    await auditLog.recordAudit({
+      auth,
+      entityType: 'contract_clause',
+      entityId: req.params.id,
+      action: 'delete',
+      before: clause,
+    });
+
+    res.json({ success: true });
+  } catch (error) {
+    console.error('Delete contract clause error:', error);
+    res.status(500).json({ error: 'Internal server error' });
+  }
+});
+
+// Set which clauses a proposal, contract or change order includes and their order (requires manage_company)
+app.put('/api/contract-clause-layouts/:documentType', requirePermission('manage_company'), clauseLayoutValidation, handleValidationErrors, async (req, res) => {
+  try {
+    const auth = await getAuthUserAndCompany(req);
+    if (auth.error) return res.status(auth.status).json({ error: auth.error });
+    const { companyID } = auth;
+
+    const { documentType } = req.params;
+    const result = await contractClauses.setLayout(companyID, documentType, req.body.clause_ids);
+    if (result.error) {
+      return res.status(result.status).json({ error: result.error });
+    }
+
+    await auditLog.recordAudit({
+      auth,
+      entityType: 'company',
+      entityId: companyID,
+      action: 'update',
+      before: { clauses: result.before },
+      after: { clauses: result.after },
+      metadata: { document_type: documentType },
+    });
+
+    const { layouts } = await contractClauses.listClauses(companyID);
+    res.json({ layouts });
+  } catch (error) {
+    console.error('Update clause layout error:', error);
+    res.status(500).json({ error: 'Internal server error' });
+  }
+});
+
+// ==================== DOCUMENT SNAPSHOT ENDPOINTS ====================
+
+// Snapshots of a project's proposals, contracts and change orders (oldest first, without bodies)
+app.get('/api/projects/:id/snapshots', uuidParam('id'), handleValidationErrors, async (req, res) => {
+  try {
+    const auth = await getAuthUserAndCompany(req);
+    if (auth.error) return res.status(auth.status).json({ error: auth.error });
+    const { companyID } = auth;
+
+    const { id } = req.params;
+    const { data: project, error: projectError } = await supabase
+      .from('projects')
+      .select('id')
+      .eq('id', id)
+      .eq('company_id', companyID)
+      .single();
+
+    if (projectError || !project) {
+      return res.status(404).json({ error: 'Project not found' });
+    }
+
+    const snapshots = await documentSnapshots.listProjectSnapshots(companyID, id);
+    res.json({ snapshots });
+  } catch (error) {
+    console.error('Get document snapshots error:', error);
+    res.status(500).json({ error: 'Internal server error' });
+  }
+});
+
+// Compare two snapshots of the same project
+app.get('/api/projects/:id/snapshots/diff', snapshotDiffQueryValidation, handleValidationErrors, async (req, res) => {
+  try {
+    const auth = await getAuthUserAndCompany(req);
+    if (auth.error) return res.status(auth.status).json({ error: auth.error });
+    const { companyID } = auth;
+
+    const pair = await documentSnapshots.getSnapshotPair(companyID, req.params.id, req.query.from, req.query.to);
+    if (!pair) {
+      return res.status(404).json({ error: 'Snapshot not found' });
+    }
+
+    const { snapshot: fromSnapshot, ...from } = pair.from;
+    const { snapshot: toSnapshot, ...to } = pair.to;
+    res.json({ from, to, diff: documentSnapshots.diffSnapshots(fromSnapshot, toSnapshot) });
+  } catch (error) {
+    console.error('Diff document snapshots error:', error);
+    res.status(500).json({ error: 'Internal server error' });
+  }
+});
+
+// The frozen snapshot stored for one project document
+app.get('/api/documents/by-id/:documentId/snapshot', uuidParam('documentId'), handleValidationErrors, async (req, res) => {
+  try {
+    const auth = await getAuthUserAndCompany(req);
+    if (auth.error) return res.status(auth.status).json({ error: auth.error });
+    const { companyID } = auth;
+
+    const snapshot = await documentSnapshots.getDocumentSnapshot(companyID, req.params.documentId);
+    if (!snapshot) {
+      return res.status(404).json({ error: 'No snapshot for this document' });
+    }
+
+    res.json({ snapshot });
+  } catch (error) {
+    console.error('Get document snapshot error:', error);
+    res.status(500).json({ error: 'Internal server error' });
+  }
+});
+
+// ==================== SCOPE OF WORK ENDPOINTS ====================
+
+// Get scope of work items for a project (optionally filtered by document type)
+app.get('/api/projects/:id/scope-of-work', async (req, res) => {
+  try {
+    const auth = await getAuthUserAndCompany(req);
+    if (auth.error) return res.status(auth.status).json({ error: auth.error });
+    const { user, companyID } = auth;
+
+    const { id } = req.params;
+    const { document_type } = req.query; // Optional filter by document type
+
+    // Verify project belongs to user's company
+    const { data: project, error: projectError } = await supabase
+      .from('projects')
+      .select('id')
+      .eq('id', id)
+      .eq('company_id', companyID)
+      .single();
+
+    if (projectError || !project) {
+      return res.status(404).json({ error: 'Project not found' });
+    }
+
+    // Build query for scope of work items
+    let query = supabase
+      .from('scope_of_work')
+      .select('*')
+      .eq('project_id', id);
+
+    // Filter by document type if provided
+    if (document_type) {
+      query = query.eq('document_type', document_type);
+    }
+
+    const { data: scopeOfWork, error } = await query.order('sort_order', { ascending: true });
+
+    if (error) {
+      return res.status(500).json({ error: error.message });
+    }
+
+    res.json({ scopeOfWork: scopeOfWork || [] });
+  } catch (error) {
+    console.error('Get scope of work error:', error);
+    res.status(500).json({ error: 'Internal server error' });
+  }
+});
+
+// Save/update scope of work items for a project (batch operation)
+app.put('/api/projects/:id/scope-of-work', async (req, res) => {
+  try {
+    const auth = await getAuthUserAndCompany(req);
+    if (auth.error) return res.status(auth.status).json({ error: auth.error });
+    const { user, companyID } = auth;
+
+    const { id } = req.params;
+    const { scopeOfWork, document_type } = req.body;
+
+    if (!scopeOfWork || !Array.isArray(scopeOfWork)) {
+      return res.status(400).json({ error: 'scopeOfWork array is required' });
+    }
+
+    // Default to 'contract' if no document_type provided
+    const docType = document_type || 'contract';
+
+    // Validate document_type
+    const validDocTypes = ['proposal', 'contract', 'change_order'];
+    if (!validDocTypes.includes(docType)) {
+      return res.status(400).json({ error: 'Invalid document_type. Must be proposal, contract, or change_order' });
+    }
+
+    // Verify project belongs to user's company
+    const { data: project, error: projectError } = await supabase
+      .from('projects')
+      .select('id')
+      .eq('id', id)
+      .eq('company_id', companyID)
+      .single();
+
+    if (projectError || !project) {
+      return res.status(404).json({ error: 'Project not found' });
+    }
+
+    // Delete existing scope of work items for this project AND document type only
+    await supabase
+      .from('scope_of_work')
+      .delete()
+      .eq('project_id', id)
+      .eq('company_id', companyID)
+      .eq('document_type', docType);
+
+    // Filter to items with titles; items are in preorder (parent before children)
+    const items = scopeOfWork.filter(item => item.title && item.title.trim());
+    if (items.length === 0) {
+      return res.json({ scopeOfWork: [] });
+    }
+
+    // Insert in order so we can resolve parent_id (client id -> uuid)
+    const idToUuid = {};
+    const savedItems = [];
+    for (let i = 0; i < items.length; i++) {
+      const item = items[i];
+      const parentUuid = (item.parent_id && idToUuid[item.parent_id]) || null;
+      const { data: inserted, error: insertError } = await supabase
+        .from('scope_of_work')
+        .insert({
+          company_id: companyID,
+          project_id: id,
+          title: item.title,
+          description: item.description || null,
+          sort_order: i,
+          document_type: docType,
+          parent_id: parentUuid,
+        })
+        .select()
+        .single();
+
+      if (insertError) {
+        console.error('Error inserting scope of work:', insertError);
+        return res.status(500).json({ error: insertError.message });
+      }
+      if (item.id) idToUuid[item.id] = inserted.id;
+      savedItems.push(inserted);
+    }
+
+    res.json({ scopeOfWork: savedItems });
+  } catch (error) {
+    console.error('Save scope of work error:', error);
+    res.status(500).json({ error: 'Internal server error' });
+  }
+});
+
+/**
+ * Supplier row if it belongs to the company
+ * @param {string} companyID
+ * @param {string} supplierId
+ * @returns {Promise<Object|null>}
+ */
+async function findSupplier(companyID, supplierId) {
+  const { data, error } = await supabase
+    .from('suppliers')
+    .select('*')
+    .eq('id', supplierId)
+    .eq('company_id', companyID)
+    .maybeSingle();
+  if (error) throw new Error(error.message);
+  return data;
+}
+
+// Blank reorder levels are stored as null (no reorder point)
+const toNullableQuantity = (value) => (value === undefined || value === null || value === '' ? null : parseFloat(value));
+
+// Get all inventory items for a company
+app.get('/api/inventory', listQueryValidation, handleValidationErrors, async (req, res) => {
+  try {
+    const auth = await getAuthUserAndCompany(req);
+    if (auth.error) return res.status(auth.status).json({ error: auth.error });
+    const { user, companyID } = auth;
+
+    const listConfig = listQuery.LIST_CONFIGS.inventory;
+    const params = listQuery.parseListParams(req.query, listConfig);
+
+    const { data, error, count } = await listQuery.applyListParams(
+      supabase
+        .from('inventory')
+        .select('*', params.paged ? { count: 'exact' } : undefined)
+        .eq('company_id', companyID),
+      params,
+      listConfig
+    );
+
+    if (error) {
+      return res.status(500).json({ error: error.message });
+    }
+
+    if (!params.paged) {
+      return res.json({ materials: data || [] });
+    }
+
+    // Company-wide count and stock value per type for the summary cards (independent of search)
+    const summary = await listQuery.getListSummary('inventory', companyID, {
+      groupBy: 'type',
+      sumColumn: 'stock',
+      sumFactorColumn: 'unit_price',
+    });
+
+    res.json({
+      materials: data || [],
+      total: count || 0,
+      limit: params.limit,
+      offset: params.offset,
+      summary: { total: summary.total, typeCounts: summary.counts, stockValueByType: summary.sums },
+    });
   } catch (error) {
     console.error('Get inventory error:', error);
     res.status(500).json({ error: 'Internal server error' });
   }
 });
 
-// Get a single inventory item
-app.get('/api/inventory/:id', async (req, res) => {
+// Items at or below their reorder point once upcoming projects' unreceived materials are taken out of stock
+app.get('/api/inventory/reorder-report', async (req, res) => {
+  try {
+    const auth = await getAuthUserAndCompany(req);
+    if (auth.error) return res.status(auth.status).json({ error: auth.error });
+    const { companyID } = auth;
+
+    const items = await inventoryLedger.getReorderReport(companyID);
+    res.json({ items });
+  } catch (error) {
+    console.error('Get reorder report error:', error);
+    res.status(500).json({ error: 'Internal server error' });
+  }
+});
+
+// Get a single inventory item
+app.get('/api/inventory/:id', async (req, res) => {
+  try {
+    const auth = await getAuthUserAndCompany(req);
+    if (auth.error) return res.status(auth.status).json({ error: auth.error });
+    const { user, companyID } = auth;
+
+    const { id } = req.params;
+
+    const { data, error } = await supabase
+      .from('inventory')
+      .select('*')
+      .eq('id', id)
+      .eq('company_id', companyID)
+      .single();
+
+    if (error || !data) {
+      return res.status(404).json({ error: 'Material not found' });
+    }
+
+    res.json({ material: data });
+  } catch (error) {
+    console.error('Get inventory item error:', error);
+    res.status(500).json({ error: 'Internal server error' });
+  }
+});
+
+// Create a new inventory item
+app.post('/api/inventory', inventoryPostValidation, handleValidationErrors, async (req, res) => {
+  try {
+    const auth = await getAuthUserAndCompany(req);
+    if (auth.error) return res.status(auth.status).json({ error: auth.error });
+    const { user, companyID } = auth;
+
+    const {
+      name,
+      stock,
+      unit,
+      brand,
+      model,
+      sku,
+      color,
+      unit_price,
+      type,
+      reorder_point,
+      reorder_quantity,
+      preferred_supplier_id,
+    } = req.body;
+
+    if (preferred_supplier_id && !(await findSupplier(companyID, preferred_supplier_id))) {
+      return res.status(404).json({ error: 'Supplier not found' });
+    }
+
+    const { data, error } = await supabase
+      .from('inventory')
+      .insert([
+        {
+          company_id: companyID,
+          name,
+          // Opening stock goes through the ledger below
+          stock: 0,
+          unit,
+          brand: brand || null,
+          model: model || null,
+          sku: sku || null,
+          color: color || null,
+          unit_price: unit_price ? parseFloat(unit_price) : 0,
+          type: type || 'material',
+          reorder_point: toNullableQuantity(reorder_point),
+          reorder_quantity: toNullableQuantity(reorder_quantity),
+          preferred_supplier_id: preferred_supplier_id || null,
+        },
+      ])
+      .select()
+      .single();
+
+    if (error) {
+      return res.status(500).json({ error: error.message });
+    }
+
+    let material = data;
+    const openingStock = stock ? parseFloat(stock) : 0;
+    if (openingStock > 0) {
+      await inventoryLedger.recordMovement({
+        companyID,
+        inventoryId: data.id,
+        movementType: 'adjustment',
+        quantity: openingStock,
+        note: 'Opening stock',
+        employeeId: auth.employee?.id,
+      });
+      const { data: refreshed } = await supabase.from('inventory').select('*').eq('id', data.id).single();
+      if (refreshed) material = refreshed;
+    }
+
+    if (parseFloat(data.unit_price) > 0) {
+      await priceLists.recordPriceChange({
+        companyID,
+        inventoryId: data.id,
+        previousPrice: null,
+        unitPrice: data.unit_price,
+        source: 'manual',
+        employeeId: auth.employee?.id,
+      });
+    }
+
+    await auditLog.recordAudit({ auth, entityType: 'inventory', entityId: data.id, action: 'create', after: material });
+
+    res.json({ material });
+  } catch (error) {
+    console.error('Create inventory item error:', error);
+    res.status(500).json({ error: 'Internal server error' });
+  }
+});
+
+// Update an inventory item
+app.put('/api/inventory/:id', inventoryPutValidation, handleValidationErrors, async (req, res) => {
+  try {
+    const auth = await getAuthUserAndCompany(req);
+    if (auth.error) return res.status(auth.status).json({ error: auth.error });
+    const { user, companyID } = auth;
+
+    const { id } = req.params;
+    const {
+      name,
+      stock,
+      loaded_stock,
+      unit,
+      brand,
+      model,
+      sku,
+      color,
+      unit_price,
+      type,
+      reorder_point,
+      reorder_quantity,
+      preferred_supplier_id,
+    } = req.body;
+
+    if (preferred_supplier_id && !(await findSupplier(companyID, preferred_supplier_id))) {
+      return res.status(404).json({ error: 'Supplier not found' });
+    }
+
+    // Verify inventory item belongs to user's company
+    const { data: existing, error: checkError } = await supabase
+      .from('inventory')
+      .select('*')
+      .eq('id', id)
+      .eq('company_id', companyID)
+      .single();
+
+    if (checkError || !existing) {
+      return res.status(404).json({ error: 'Material not found' });
+    }
+
+    const { data, error } = await supabase
+      .from('inventory')
+      .update({
+        name,
+        unit,
+        brand: brand || null,
+        model: model || null,
+        sku: sku || null,
+        color: color || null,
+        unit_price: unit_price ? parseFloat(unit_price) : 0,
+        type: type || 'material',
+        reorder_point: toNullableQuantity(reorder_point),
+        reorder_quantity: toNullableQuantity(reorder_quantity),
+        preferred_supplier_id: preferred_supplier_id || null,
+        updated_at: new Date().toISOString(),
+      })
+      .eq('id', id)
+      .eq('company_id', companyID)
+      .select()
+      .single();
+
+    if (error) {
+      return res.status(500).json({ error: error.message });
+    }
+
+    await priceLists.recordPriceChange({
+      companyID,
+      inventoryId: id,
+      previousPrice: existing.unit_price,
+      unitPrice: data.unit_price,
+      source: 'manual',
+      employeeId: auth.employee?.id,
+    });
+
+    // A changed stock figure is a count: record the difference so the ledger still adds up. The form sends back
+    // the stock it loaded (loaded_stock), so an edit that leaves the figure alone doesn't undo movements recorded
+    // since the form was opened.
+    let material = data;
+    const hasValue = (value) => value !== undefined && value !== null && value !== '';
+    const currentStock = parseFloat(existing.stock) || 0;
+    const baseline = hasValue(loaded_stock) ? parseFloat(loaded_stock) : currentStock;
+    if (hasValue(stock) && parseFloat(stock) !== baseline) {
+      const delta = parseFloat(stock) - currentStock;
+      const movement = await inventoryLedger.recordMovement({
+        companyID,
+        inventoryId: id,
+        movementType: 'adjustment',
+        quantity: delta,
+        note: 'Stock count',
+        employeeId: auth.employee?.id,
+      });
+      if (movement) {
+        const { data: refreshed } = await supabase.from('inventory').select('*').eq('id', id).single();
+        if (refreshed) material = refreshed;
+      }
+    }
+
+    await auditLog.recordAudit({ auth, entityType: 'inventory', entityId: id, action: 'update', before: existing, after: material });
+
+    res.json({ material });
+  } catch (error) {
+    console.error('Update inventory item error:', error);
+    res.status(500).json({ error: 'Internal server error' });
+  }
+});
+
+// Stock ledger for an inventory item, newest first with the running on-hand quantity
+app.get('/api/inventory/:id/movements', uuidParam('id'), handleValidationErrors, async (req, res) => {
+  try {
+    const auth = await getAuthUserAndCompany(req);
+    if (auth.error) return res.status(auth.status).json({ error: auth.error });
+    const { companyID } = auth;
+
+    const history = await inventoryLedger.getItemHistory(companyID, req.params.id);
+    if (!history) return res.status(404).json({ error: 'Material not found' });
+
+    res.json(history);
+  } catch (error) {
+    console.error('Get inventory movements error:', error);
+    res.status(500).json({ error: 'Internal server error' });
+  }
+});
+
+// Record a receipt, allocation, return or adjustment by hand
+app.post('/api/inventory/:id/movements', inventoryMovementValidation, handleValidationErrors, async (req, res) => {
+  try {
+    const auth = await getAuthUserAndCompany(req);
+    if (auth.error) return res.status(auth.status).json({ error: auth.error });
+    const { companyID } = auth;
+
+    const { id } = req.params;
+    const result = await inventoryLedger.addMovement(companyID, id, req.body, auth.employee?.id);
+    if (!result) return res.status(404).json({ error: 'Material not found' });
+    if (result.error) return res.status(result.status).json({ error: result.error });
+
+    await auditLog.recordAudit({
+      auth,
+      entityType: 'inventory',
+      entityId: id,
+      action: 'update',
+      after: result,
+      metadata: { movement_type: result.movement_type, quantity: result.quantity },
+    });
+
+    res.status(201).json({ movement: result });
+  } catch (error) {
+    console.error('Record inventory movement error:', error);
+    res.status(500).json({ error: 'Internal server error' });
+  }
+});
+
+// Unit price history for an inventory item, newest first
+app.get('/api/inventory/:id/price-history', uuidParam('id'), handleValidationErrors, async (req, res) => {
+  try {
+    const auth = await getAuthUserAndCompany(req);
+    if (auth.error) return res.status(auth.status).json({ error: auth.error });
+    const { companyID } = auth;
+
+    const result = await priceLists.getPriceHistory(companyID, req.params.id);
+    if (!result) return res.status(404).json({ error: 'Material not found' });
+
+    res.json(result);
+  } catch (error) {
+    console.error('Get inventory price history error:', error);
+    res.status(500).json({ error: 'Internal server error' });
+  }
+});
+
+// Delete an inventory item
+app.delete('/api/inventory/:id', requirePermission('delete_records'), async (req, res) => {
+  try {
+    const auth = await getAuthUserAndCompany(req);
+    if (auth.error) return res.status(auth.status).json({ error: auth.error });
+    const { user, companyID } = auth;
+
+    const { id } = req.params;
+
+    // Verify inventory item belongs to user's company
+    const { data: existing, error: checkError } = await supabase
+      .from('inventory')
+      .select('*')
+      .eq('id', id)
+      .eq('company_id', companyID)
+      .single();
+
+    if (checkError || !existing) {
+      return res.status(404).json({ error: 'Material not found' });
+    }
+
+    const { error } = await supabase
+      .from('inventory')
+      .delete()
+      .eq('id', id)
+      .eq('company_id', companyID);
+
+    if (error) {
+      return res.status(500).json({ error: error.message });
+    }
+
+    await auditLog.recordAudit({ auth, entityType: 'inventory', entityId: id, action: 'delete', before: existing });
+
+    res.json({ success: true });
+  } catch (error) {
+    console.error('Delete inventory item error:', error);
+    res.status(500).json({ error: 'Internal server error' });
+  }
+});
+
+// Get all subcontractors for a company
+// Subcontractor tax IDs (SSN/EIN) only go to those who can run the 1099 report or manage the company
+async function canSeeTaxIds(auth) {
+  const permissions = await getAuthPermissions(auth);
+  return permissions.has('view_costs') || permissions.has('manage_company');
+}
+
+const withoutTaxId = ({ tax_id, ...subcontractor }) => subcontractor;
+
+app.get('/api/subcontractors', listQueryValidation, handleValidationErrors, async (req, res) => {
+  try {
+    const auth = await getAuthUserAndCompany(req);
+    if (auth.error) return res.status(auth.status).json({ error: auth.error });
+    const { user, companyID } = auth;
+
+    const listConfig = listQuery.LIST_CONFIGS.subcontractors;
+    const params = listQuery.parseListParams(req.query, listConfig);
+
+    const { data, error, count } = await listQuery.applyListParams(
+      supabase
+        .from('subcontractors')
+        .select('*', params.paged ? { count: 'exact' } : undefined)
+        .eq('company_id', companyID),
+      params,
+      listConfig
+    );
+
+    if (error) {
+      return res.status(500).json({ error: error.message });
+    }
+
+    const subcontractors = (await canSeeTaxIds(auth)) ? data || [] : (data || []).map(withoutTaxId);
+    if (!params.paged) {
+      return res.json({ subcontractors });
+    }
+
+    // Company-wide count for the summary cards (independent of search)
+    const summary = await listQuery.getListSummary('subcontractors', companyID, {});
+
+    res.json({
+      subcontractors,
+      total: count || 0,
+      limit: params.limit,
+      offset: params.offset,
+      summary: { total: summary.total },
+    });
+  } catch (error) {
+    console.error('Get subcontractors error:', error);
+    res.status(500).json({ error: 'Internal server error' });
+  }
+});
+
+// Year-end 1099 report: payments per subcontractor in a calendar year and who reaches the filing threshold
+app.get('/api/subcontractors/1099-report', requirePermission('view_costs'), report1099QueryValidation, handleValidationErrors, async (req, res) => {
+  try {
+    const auth = await getAuthUserAndCompany(req);
+    if (auth.error) return res.status(auth.status).json({ error: auth.error });
+    const { companyID } = auth;
+
+    const { year, threshold } = req.query;
+    const report = await subcontractorPayments.get1099Report(companyID, year, threshold || undefined);
+    res.json(report);
+  } catch (error) {
+    console.error('Get 1099 report error:', error);
+    res.status(500).json({ error: 'Internal server error' });
+  }
+});
+
+// Subcontractors whose COI has expired or falls inside the alert window, with the company's COI settings
+app.get('/api/subcontractors/coi-report', async (req, res) => {
+  try {
+    const auth = await getAuthUserAndCompany(req);
+    if (auth.error) return res.status(auth.status).json({ error: auth.error });
+    const { companyID } = auth;
+
+    const report = await subcontractorCoi.getCoiReport(companyID);
+    res.json(report);
+  } catch (error) {
+    console.error('Get COI report error:', error);
+    res.status(500).json({ error: 'Internal server error' });
+  }
+});
+
+// COI alert window, daily alerts on/off, and whether expired subcontractors can be added to projects
+app.put('/api/subcontractors/coi-settings', requirePermission('manage_company'), coiSettingsPutValidation, handleValidationErrors, async (req, res) => {
+  try {
+    const auth = await getAuthUserAndCompany(req);
+    if (auth.error) return res.status(auth.status).json({ error: auth.error });
+    const { companyID } = auth;
+
+    const { before, after } = await subcontractorCoi.setCoiSettings(companyID, {
+      alertsEnabled: req.body.alerts_enabled,
+      alertDays: req.body.alert_days,
+      expiredAssignment: req.body.expired_assignment,
+    });
+
+    await auditLog.recordAudit({
+      auth,
+      entityType: 'company',
+      entityId: companyID,
+      action: 'update',
+      before: { coi_alerts_enabled: before.alertsEnabled, coi_alert_days: before.alertDays, coi_expired_assignment: before.expiredAssignment },
+      after: { coi_alerts_enabled: after.alertsEnabled, coi_alert_days: after.alertDays, coi_expired_assignment: after.expiredAssignment },
+    });
+
+    res.json({ settings: after });
+  } catch (error) {
+    console.error('Update COI settings error:', error);
+    res.status(500).json({ error: 'Internal server error' });
+  }
+});
+
+// A subcontractor's COI renewals (latest first) and the expiration alerts sent about them
+app.get('/api/subcontractors/:id/coi-renewals', uuidParam('id'), handleValidationErrors, async (req, res) => {
+  try {
+    const auth = await getAuthUserAndCompany(req);
+    if (auth.error) return res.status(auth.status).json({ error: auth.error });
+    const { companyID } = auth;
+
+    const renewals = await subcontractorCoi.listRenewals(companyID, req.params.id);
+    if (!renewals) {
+      return res.status(404).json({ error: 'Subcontractor not found' });
+    }
+    const alerts = await subcontractorCoi.listAlerts(companyID, req.params.id);
+
+    res.json({ renewals, alerts });
+  } catch (error) {
+    console.error('Get COI renewals error:', error);
+    res.status(500).json({ error: 'Internal server error' });
+  }
+});
+
+// Record a COI renewal (optionally linked to the uploaded certificate); a later expiration becomes the current one
+app.post('/api/subcontractors/:id/coi-renewals', coiRenewalPostValidation, handleValidationErrors, async (req, res) => {
+  try {
+    const auth = await getAuthUserAndCompany(req);
+    if (auth.error) return res.status(auth.status).json({ error: auth.error });
+    const { companyID } = auth;
+    const { id } = req.params;
+
+    const result = await subcontractorCoi.addRenewal({
+      companyID,
+      subcontractorId: id,
+      documentId: req.body.document_id,
+      carrier: req.body.carrier,
+      policyNumber: req.body.policy_number,
+      effectiveDate: req.body.effective_date,
+      expirationDate: req.body.expiration_date,
+      notes: req.body.notes,
+      employeeId: auth.employee?.id || null,
+    });
+
+    if (!result) {
+      return res.status(404).json({ error: 'Subcontractor not found' });
+    }
+    if (result.error) {
+      return res.status(result.status).json({ error: result.error });
+    }
+
+    await auditLog.recordAudit({
+      auth,
+      entityType: 'subcontractor',
+      entityId: id,
+      action: 'update',
+      before: result.before,
+      after: result.after,
+      metadata: { coi_renewal: result.renewal },
+    });
+
+    res.status(201).json({ renewal: result.renewal, subcontractor: result.after });
+  } catch (error) {
+    console.error('Add COI renewal error:', error);
+    res.status(500).json({ error: 'Internal server error' });
+  }
+});
+
+// Remove a COI renewal recorded by mistake
+app.delete('/api/subcontractors/:id/coi-renewals/:renewalId', requirePermission('delete_records'), uuidParam('id'), uuidParam('renewalId'), handleValidationErrors, async (req, res) => {
+  try {
+    const auth = await getAuthUserAndCompany(req);
+    if (auth.error) return res.status(auth.status).json({ error: auth.error });
+    const { companyID } = auth;
+    const { id, renewalId } = req.params;
+
+    const result = await subcontractorCoi.deleteRenewal(companyID, id, renewalId);
+    if (!result) {
+      return res.status(404).json({ error: 'COI renewal not found' });
+    }
+
+    await auditLog.recordAudit({
+      auth,
+      entityType: 'subcontractor',
+      entityId: id,
+      action: 'update',
+      before: result.before,
+      after: result.after,
+      metadata: { coi_renewal_deleted: result.renewal },
+    });
+
+    res.json({ success: true, subcontractor: result.after });
+  } catch (error) {
+    console.error('Delete COI renewal error:', error);
+    res.status(500).json({ error: 'Internal server error' });
+  }
+});
+
+// Get a single subcontractor
+app.get('/api/subcontractors/:id', async (req, res) => {
   try {
     const auth = await getAuthUserAndCompany(req);
     if (auth.error) return res.status(auth.status).json({ error: auth.error });
@@ -4381,25 +6291,25 @@ app.get('/api/inventory/:id', async (req, res) => {
     const { id } = req.params;
 
     const { data, error } = await supabase
-      .from('inventory')
+      .from('subcontractors')
       .select('*')
       .eq('id', id)
       .eq('company_id', companyID)
       .single();
 
     if (error || !data) {
-      return res.status(404).json({ error: 'Material not found' });
+      return res.status(404).json({ error: 'Subcontractor not found' });
     }
 
-    res.json({ material: data });
+    res.json({ subcontractor: (await canSeeTaxIds(auth)) ? data : withoutTaxId(data) });
   } catch (error) {
-    console.error('Get inventory item error:', error);
+    console.error('Get subcontractor error:', error);
     res.status(500).json({ error: 'Internal server error' });
   }
 });
 
-// Create a new inventory item
-app.post('/api/inventory', inventoryPostValidation, handleValidationErrors, async (req, res) => {
+// Create a new subcontractor
+app.post('/api/subcontractors', subcontractorPostValidation, handleValidationErrors, async (req, res) => {
   try {
     const auth = await getAuthUserAndCompany(req);
     if (auth.error) return res.status(auth.status).json({ error: auth.error });
@@ -4407,28 +6317,31 @@ app.post('/api/inventory', inventoryPostValidation, handleValidationErrors, asyn
 
     const {
       name,
-      stock,
-      unit,
-      brand,
-      model,
-      color,
-      unit_price,
-      type,
+      primary_contact_name,
+      primary_contact_phone,
+      primary_contact_email,
+      coi_expiration,
+      coi_documents,
+      tax_id,
+      mailing_address,
+      notes,
     } = req.body;
+    const showTaxId = await canSeeTaxIds(auth);
 
     const { data, error } = await supabase
-      .from('inventory')
+      .from('subcontractors')
       .insert([
         {
           company_id: companyID,
           name,
-          stock: stock ? parseInt(stock) : 0,
-          unit,
-          brand: brand || null,
-          model: model || null,
-          color: color || null,
-          unit_price: unit_price ? parseFloat(unit_price) : 0,
-          type: type || 'material',
+          primary_contact_name: primary_contact_name || null,
+          primary_contact_phone: primary_contact_phone || null,
+          primary_contact_email: primary_contact_email || null,
+          coi_expiration: coi_expiration || null,
+          coi_documents: coi_documents || [],
+          tax_id: showTaxId ? tax_id || null : null,
+          mailing_address: mailing_address || null,
+          notes: notes || null,
         },
       ])
       .select()
@@ -4438,15 +6351,17 @@ app.post('/api/inventory', inventoryPostValidation, handleValidationErrors, asyn
       return res.status(500).json({ error: error.message });
     }
 
-    res.json({ material: data });
+    await auditLog.recordAudit({ auth, entityType: 'subcontractor', entityId: data.id, action: 'create', after: data });
+
+    res.json({ subcontractor: showTaxId ? data : withoutTaxId(data) });
   } catch (error) {
-    console.error('Create inventory item error:', error);
+    console.error('Create subcontractor error:', error);
     res.status(500).json({ error: 'Internal server error' });
   }
 });
 
-// Update an inventory item
-app.put('/api/inventory/:id', inventoryPutValidation, handleValidationErrors, async (req, res) => {
+// Update a subcontractor
+app.put('/api/subcontractors/:id', subcontractorPutValidation, handleValidationErrors, async (req, res) => {
   try {
     const auth = await getAuthUserAndCompany(req);
     if (auth.error) return res.status(auth.status).json({ error: auth.error });
@@ -4455,40 +6370,190 @@ app.put('/api/inventory/:id', inventoryPutValidation, handleValidationErrors, as
     const { id } = req.params;
     const {
       name,
-      stock,
-      unit,
-      brand,
-      model,
-      color,
-      unit_price,
-      type,
+      primary_contact_name,
+      primary_contact_phone,
+      primary_contact_email,
+      coi_expiration,
+      coi_documents,
+      tax_id,
+      mailing_address,
+      notes,
     } = req.body;
 
-    // Verify inventory item belongs to user's company
-    const { data: existing, error: checkError } = await supabase
-      .from('inventory')
-      .select('*')
-      .eq('id', id)
-      .eq('company_id', companyID)
-      .single();
+    // Verify subcontractor belongs to user's company
+    const { data: existing, error: checkError } = await supabase
+      .from('subcontractors')
+      .select('*')
+      .eq('id', id)
+      .eq('company_id', companyID)
+      .single();
+
+    if (checkError || !existing) {
+      return res.status(404).json({ error: 'Subcontractor not found' });
+    }
+
+    // Callers who never see the tax ID can't change it either
+    const showTaxId = await canSeeTaxIds(auth);
+
+    const { data, error } = await supabase
+      .from('subcontractors')
+      .update({
+        name,
+        primary_contact_name: primary_contact_name || null,
+        primary_contact_phone: primary_contact_phone || null,
+        primary_contact_email: primary_contact_email || null,
+        coi_expiration: coi_expiration || null,
+        coi_documents: coi_documents || [],
+        tax_id: showTaxId && tax_id !== undefined ? (tax_id || null) : existing.tax_id,
+        mailing_address: mailing_address !== undefined ? (mailing_address || null) : existing.mailing_address,
+        notes: notes || null,
+        updated_at: new Date().toISOString(),
+      })
+      .eq('id', id)
+      .eq('company_id', companyID)
+      .select()
+      .single();
+
+    if (error) {
+      return res.status(500).json({ error: error.message });
+    }
+
+    await auditLog.recordAudit({ auth, entityType: 'subcontractor', entityId: id, action: 'update', before: existing, after: data });
+
+    res.json({ subcontractor: showTaxId ? data : withoutTaxId(data) });
+  } catch (error) {
+    console.error('Update subcontractor error:', error);
+    res.status(500).json({ error: 'Internal server error' });
+  }
+});
+
+// Delete a subcontractor
+app.delete('/api/subcontractors/:id', requirePermission('delete_records'), async (req, res) => {
+  try {
+    const auth = await getAuthUserAndCompany(req);
+    if (auth.error) return res.status(auth.status).json({ error: auth.error });
+    const { user, companyID } = auth;
+
+    const { id } = req.params;
+
+    // Verify subcontractor belongs to user's company
+    const { data: existing, error: checkError } = await supabase
+      .from('subcontractors')
+      .select('*')
+      .eq('id', id)
+      .eq('company_id', companyID)
+      .single();
+
+    if (checkError || !existing) {
+      return res.status(404).json({ error: 'Subcontractor not found' });
+    }
+
+    const { error } = await supabase
+      .from('subcontractors')
+      .delete()
+      .eq('id', id)
+      .eq('company_id', companyID);
+
+    if (error) {
+      return res.status(500).json({ error: error.message });
+    }
+
+    await auditLog.recordAudit({ auth, entityType: 'subcontractor', entityId: id, action: 'delete', before: existing });
+
+    res.json({ success: true });
+  } catch (error) {
+    console.error('Delete subcontractor error:', error);
+    res.status(500).json({ error: 'Internal server error' });
+  }
+});
+
+// ==================== SUPPLIERS & PURCHASE ORDERS ENDPOINTS ====================
+
+const SUPPLIER_FIELDS = ['name', 'contact_name', 'phone', 'email', 'address', 'account_number', 'notes'];
+
+// Get all suppliers for a company
+app.get('/api/suppliers', listQueryValidation, handleValidationErrors, async (req, res) => {
+  try {
+    const auth = await getAuthUserAndCompany(req);
+    if (auth.error) return res.status(auth.status).json({ error: auth.error });
+    const { companyID } = auth;
+
+    const listConfig = listQuery.LIST_CONFIGS.suppliers;
+    const params = listQuery.parseListParams(req.query, listConfig);
+
+    const { data, error, count } = await listQuery.applyListParams(
+      supabase
+        .from('suppliers')
+        .select('*', params.paged ? { count: 'exact' } : undefined)
+        .eq('company_id', companyID),
+      params,
+      listConfig
+    );
+
+    if (error) {
+      return res.status(500).json({ error: error.message });
+    }
+
+    if (!params.paged) {
+      return res.json({ suppliers: data || [] });
+    }
+    res.json({ suppliers: data || [], total: count || 0, limit: params.limit, offset: params.offset });
+  } catch (error) {
+    console.error('Get suppliers error:', error);
+    res.status(500).json({ error: 'Internal server error' });
+  }
+});
+
+// Create a new supplier
+app.post('/api/suppliers', supplierPostValidation, handleValidationErrors, async (req, res) => {
+  try {
+    const auth = await getAuthUserAndCompany(req);
+    if (auth.error) return res.status(auth.status).json({ error: auth.error });
+    const { companyID } = auth;
+
+    const row = { company_id: companyID };
+    for (const field of SUPPLIER_FIELDS) row[field] = req.body[field] || null;
+
+    const { data, error } = await supabase
+      .from('suppliers')
+      .insert([row])
+      .select()
+      .single();
+
+    if (error) {
+      return res.status(500).json({ error: error.message });
+    }
+
+    await auditLog.recordAudit({ auth, entityType: 'supplier', entityId: data.id, action: 'create', after: data });
+
+    res.status(201).json({ supplier: data });
+  } catch (error) {
+    console.error('Create supplier error:', error);
+    res.status(500).json({ error: 'Internal server error' });
+  }
+});
+
+// Update a supplier (fields left out of the body are unchanged)
+app.put('/api/suppliers/:id', supplierPutValidation, handleValidationErrors, async (req, res) => {
+  try {
+    const auth = await getAuthUserAndCompany(req);
+    if (auth.error) return res.status(auth.status).json({ error: auth.error });
+    const { companyID } = auth;
 
-    if (checkError || !existing) {
-      return res.status(404).json({ error: 'Material not found' });
+    const { id } = req.params;
+    const existing = await findSupplier(companyID, id);
+    if (!existing) {
+      return res.status(404).json({ error: 'Supplier not found' });
+    }
+
+    const updates = { updated_at: new Date().toISOString() };
+    for (const field of SUPPLIER_FIELDS) {
+      if (req.body[field] !== undefined) updates[field] = req.body[field] || null;
     }
 
     const { data, error } = await supabase
-      .from('inventory')
-      .update({
-        name,
-        stock: stock ? parseInt(stock) : 0,
-        unit,
-        brand: brand || null,
-        model: model || null,
-        color: color || null,
-        unit_price: unit_price ? parseFloat(unit_price) : 0,
-        type: type || 'material',
-        updated_at: new Date().toISOString(),
-      })
+      .from('suppliers')
+      .update(updates)
       .eq('id', id)
       .eq('company_id', companyID)
       .select()
@@ -4498,36 +6563,42 @@ app.put('/api/inventory/:id', inventoryPutValidation, handleValidationErrors, as
       return res.status(500).json({ error: error.message });
     }
 
-    res.json({ material: data });
+    await auditLog.recordAudit({ auth, entityType: 'supplier', entityId: id, action: 'update', before: existing, after: data });
+
+    res.json({ supplier: data });
   } catch (error) {
-    console.error('Update inventory item error:', error);
+    console.error('Update supplier error:', error);
     res.status(500).json({ error: 'Internal server error' });
   }
 });
 
-// Delete an inventory item
-app.delete('/api/inventory/:id', async (req, res) => {
+// Delete a supplier that has no purchase orders
+app.delete('/api/suppliers/:id', requirePermission('delete_records'), uuidParam('id'), handleValidationErrors, async (req, res) => {
   try {
     const auth = await getAuthUserAndCompany(req);
     if (auth.error) return res.status(auth.status).json({ error: auth.error });
-    const { user, companyID } = auth;
+    const { companyID } = auth;
 
     const { id } = req.params;
+    const existing = await findSupplier(companyID, id);
+    if (!existing) {
+      return res.status(404).json({ error: 'Supplier not found' });
+    }
 
-    // Verify inventory item belongs to user's company
-    const { data: existing, error: checkError } = await supabase
-      .from('inventory')
-      .select('*')
-      .eq('id', id)
+    const { count, error: ordersError } = await supabase
+      .from('purchase_orders')
+      .select('id', { count: 'exact', head: true })
       .eq('company_id', companyID)
-      .single();
-
-    if (checkError || !existing) {
-      return res.status(404).json({ error: 'Material not found' });
+      .eq('supplier_id', id);
+    if (ordersError) {
+      return res.status(500).json({ error: ordersError.message });
+    }
+    if (count > 0) {
+      return res.status(409).json({ error: 'This supplier has purchase orders and can\'t be deleted' });
     }
 
     const { error } = await supabase
-      .from('inventory')
+      .from('suppliers')
       .delete()
       .eq('id', id)
       .eq('company_id', companyID);
@@ -4536,201 +6607,301 @@ app.delete('/api/inventory/:id', async (req, res) => {
       return res.status(500).json({ error: error.message });
     }
 
+    await auditLog.recordAudit({ auth, entityType: 'supplier', entityId: id, action: 'delete', before: existing });
+
     res.json({ success: true });
   } catch (error) {
-    console.error('Delete inventory item error:', error);
+    console.error('Delete supplier error:', error);
     res.status(500).json({ error: 'Internal server error' });
   }
 });
 
-// Get all subcontractors for a company
-app.get('/api/subcontractors', async (req, res) => {
+// Match a supplier price list to inventory and report what applying it would change, without saving anything
+app.post('/api/suppliers/:id/price-list/preview', requirePermission('edit_expenses'), supplierPriceListValidation, handleValidationErrors, async (req, res) => {
   try {
     const auth = await getAuthUserAndCompany(req);
     if (auth.error) return res.status(auth.status).json({ error: auth.error });
-    const { user, companyID } = auth;
-
-    const { data, error } = await supabase
-      .from('subcontractors')
-      .select('*')
-      .eq('company_id', companyID)
-      .order('created_at', { ascending: false });
+    const { companyID } = auth;
 
-    if (error) {
-      return res.status(500).json({ error: error.message });
-    }
+    const { rows, reprice_projects, reprice_templates } = req.body;
+    const preview = await priceLists.previewPriceList(companyID, req.params.id, rows, {
+      repriceProjects: reprice_projects === true || reprice_projects === 'true',
+      repriceTemplates: reprice_templates === true || reprice_templates === 'true',
+    });
+    if (!preview) return res.status(404).json({ error: 'Supplier not found' });
 
-    res.json({ subcontractors: data || [] });
+    const { repriced, ...result } = preview;
+    res.json({ ...result, repriced: { projectLines: repriced.projectLines.length, templateLines: repriced.templateLines.length } });
   } catch (error) {
-    console.error('Get subcontractors error:', error);
+    console.error('Preview price list error:', error);
     res.status(500).json({ error: 'Internal server error' });
   }
 });
 
-// Get a single subcontractor
-app.get('/api/subcontractors/:id', async (req, res) => {
+// Apply a supplier price list: new unit prices (with price history) and, optionally, re-priced open project and
+// expense template lines
+app.post('/api/suppliers/:id/price-list', requirePermission('edit_expenses'), supplierPriceListValidation, handleValidationErrors, async (req, res) => {
   try {
     const auth = await getAuthUserAndCompany(req);
     if (auth.error) return res.status(auth.status).json({ error: auth.error });
-    const { user, companyID } = auth;
+    const { companyID } = auth;
 
     const { id } = req.params;
-
-    const { data, error } = await supabase
-      .from('subcontractors')
-      .select('*')
-      .eq('id', id)
-      .eq('company_id', companyID)
-      .single();
-
-    if (error || !data) {
-      return res.status(404).json({ error: 'Subcontractor not found' });
+    const { rows, file_name, effective_date, reprice_projects, reprice_templates } = req.body;
+    const result = await priceLists.applyPriceList({
+      companyID,
+      supplierId: id,
+      rows,
+      fileName: file_name,
+      effectiveDate: effective_date,
+      repriceProjects: reprice_projects === true || reprice_projects === 'true',
+      repriceTemplates: reprice_templates === true || reprice_templates === 'true',
+      employeeId: auth.employee?.id,
+    });
+    if (!result) return res.status(404).json({ error: 'Supplier not found' });
+    if (result.error) return res.status(result.status).json({ error: result.error });
+
+    const metadata = { supplier_id: id, price_list_import_id: result.import.id };
+    for (const item of result.changedItems) {
+      await auditLog.recordAudit({
+        auth,
+        entityType: 'inventory',
+        entityId: item.inventory_id,
+        action: 'update',
+        before: { unit_price: item.previous_price },
+        after: { unit_price: item.unit_price },
+        metadata,
+      });
+    }
+    for (const line of result.repriced.projectLines) {
+      await auditLog.recordAudit({
+        auth,
+        entityType: 'expense',
+        entityId: line.id,
+        action: 'update',
+        before: { expected_price: line.expected_before },
+        after: { expected_price: line.expected_after },
+        metadata: { ...metadata, project_id: line.project_id, expense_type: line.table === 'project_equipment' ? 'equipment' : 'material' },
+      });
     }
 
-    res.json({ subcontractor: data });
+    res.status(201).json({ import: result.import, summary: result.summary, impact: result.impact });
   } catch (error) {
-    console.error('Get subcontractor error:', error);
+    console.error('Apply price list error:', error);
     res.status(500).json({ error: 'Internal server error' });
   }
 });
 
-// Create a new subcontractor
-app.post('/api/subcontractors', subcontractorPostValidation, handleValidationErrors, async (req, res) => {
+// A supplier's past price list imports, newest first, with the margin impact each produced
+app.get('/api/suppliers/:id/price-lists', requirePermission('view_costs'), uuidParam('id'), handleValidationErrors, async (req, res) => {
   try {
     const auth = await getAuthUserAndCompany(req);
     if (auth.error) return res.status(auth.status).json({ error: auth.error });
-    const { user, companyID } = auth;
+    const { companyID } = auth;
 
-    const {
-      name,
-      primary_contact_name,
-      primary_contact_phone,
-      primary_contact_email,
-      coi_expiration,
-      coi_documents,
-      notes,
-    } = req.body;
+    const imports = await priceLists.listImports(companyID, req.params.id);
+    res.json({ imports });
+  } catch (error) {
+    console.error('Get price list imports error:', error);
+    res.status(500).json({ error: 'Internal server error' });
+  }
+});
 
-    const { data, error } = await supabase
-      .from('subcontractors')
-      .insert([
-        {
-          company_id: companyID,
-          name,
-          primary_contact_name: primary_contact_name || null,
-          primary_contact_phone: primary_contact_phone || null,
-          primary_contact_email: primary_contact_email || null,
-          coi_expiration: coi_expiration || null,
-          coi_documents: coi_documents || [],
-          notes: notes || null,
-        },
-      ])
-      .select()
-      .single();
+// List purchase orders, optionally by status, supplier or project
+app.get('/api/purchase-orders', requirePermission('view_costs'), purchaseOrderListValidation, handleValidationErrors, async (req, res) => {
+  try {
+    const auth = await getAuthUserAndCompany(req);
+    if (auth.error) return res.status(auth.status).json({ error: auth.error });
+    const { companyID } = auth;
 
-    if (error) {
-      return res.status(500).json({ error: error.message });
-    }
+    const { status, supplier_id, project_id } = req.query;
+    const orders = await purchaseOrders.listPurchaseOrders(companyID, { status, supplierId: supplier_id, projectId: project_id });
+    res.json({ purchaseOrders: orders });
+  } catch (error) {
+    console.error('Get purchase orders error:', error);
+    res.status(500).json({ error: 'Internal server error' });
+  }
+});
+
+// A project's material and equipment lines that aren't received or on an open purchase order yet
+app.get('/api/projects/:id/orderable-lines', requirePermission('view_costs'), uuidParam('id'), handleValidationErrors, async (req, res) => {
+  try {
+    const auth = await getAuthUserAndCompany(req);
+    if (auth.error) return res.status(auth.status).json({ error: auth.error });
+    const { companyID } = auth;
 
-    res.json({ subcontractor: data });
+    const lines = await purchaseOrders.listOrderableLines(companyID, req.params.id);
+    res.json({ lines });
   } catch (error) {
-    console.error('Create subcontractor error:', error);
+    console.error('Get orderable lines error:', error);
     res.status(500).json({ error: 'Internal server error' });
   }
 });
 
-// Update a subcontractor
-app.put('/api/subcontractors/:id', subcontractorPutValidation, handleValidationErrors, async (req, res) => {
+// Create draft purchase orders from project lines, one per supplier
+app.post('/api/purchase-orders', requirePermission('edit_expenses'), purchaseOrderPostValidation, handleValidationErrors, async (req, res) => {
   try {
     const auth = await getAuthUserAndCompany(req);
     if (auth.error) return res.status(auth.status).json({ error: auth.error });
-    const { user, companyID } = auth;
+    const { companyID } = auth;
 
-    const { id } = req.params;
-    const {
-      name,
-      primary_contact_name,
-      primary_contact_phone,
-      primary_contact_email,
-      coi_expiration,
-      coi_documents,
+    const { lines, order_date, expected_date, notes } = req.body;
+    const result = await purchaseOrders.createPurchaseOrders({
+      companyID,
+      lines,
+      orderDate: order_date,
+      expectedDate: expected_date,
       notes,
-    } = req.body;
+      employeeId: auth.employee?.id,
+    });
+    if (result.error) {
+      return res.status(result.status).json({ error: result.error });
+    }
+
+    for (const po of result.purchaseOrders) {
+      await auditLog.recordAudit({
+        auth,
+        entityType: 'purchase_order',
+        entityId: po.id,
+        action: 'create',
+        after: purchaseOrders.auditFields(po),
+        metadata: { po_number: po.po_number, supplier_id: po.supplier_id },
+      });
+    }
 
-    // Verify subcontractor belongs to user's company
-    const { data: existing, error: checkError } = await supabase
-      .from('subcontractors')
-      .select('*')
-      .eq('id', id)
-      .eq('company_id', companyID)
-      .single();
+    res.status(201).json({ purchaseOrders: result.purchaseOrders });
+  } catch (error) {
+    console.error('Create purchase orders error:', error);
+    res.status(500).json({ error: 'Internal server error' });
+  }
+});
 
-    if (checkError || !existing) {
-      return res.status(404).json({ error: 'Subcontractor not found' });
+// One purchase order with its supplier and lines, plus the company details for the PDF
+app.get('/api/purchase-orders/:id', requirePermission('view_costs'), uuidParam('id'), handleValidationErrors, async (req, res) => {
+  try {
+    const auth = await getAuthUserAndCompany(req);
+    if (auth.error) return res.status(auth.status).json({ error: auth.error });
+    const { companyID } = auth;
+
+    const po = await purchaseOrders.getPurchaseOrder(companyID, req.params.id);
+    if (!po) {
+      return res.status(404).json({ error: 'Purchase order not found' });
     }
 
-    const { data, error } = await supabase
-      .from('subcontractors')
-      .update({
-        name,
-        primary_contact_name: primary_contact_name || null,
-        primary_contact_phone: primary_contact_phone || null,
-        primary_contact_email: primary_contact_email || null,
-        coi_expiration: coi_expiration || null,
-        coi_documents: coi_documents || [],
-        notes: notes || null,
-        updated_at: new Date().toISOString(),
-      })
-      .eq('id', id)
+    const { data: company, error: companyError } = await supabase
+      .from('companies')
+      .select('company_name, logo_url, phone, email, website, address_line1, address_line2, city, state, zip_code, license_numbers')
       .eq('company_id', companyID)
-      .select()
       .single();
-
-    if (error) {
-      return res.status(500).json({ error: error.message });
+    if (companyError) {
+      return res.status(500).json({ error: companyError.message });
     }
 
-    res.json({ subcontractor: data });
+    res.json({ purchaseOrder: po, company });
   } catch (error) {
-    console.error('Update subcontractor error:', error);
+    console.error('Get purchase order error:', error);
     res.status(500).json({ error: 'Internal server error' });
   }
 });
 
-// Delete a subcontractor
-app.delete('/api/subcontractors/:id', async (req, res) => {
+// Change a purchase order's expected date or notes
+app.put('/api/purchase-orders/:id', requirePermission('edit_expenses'), purchaseOrderPutValidation, handleValidationErrors, async (req, res) => {
   try {
     const auth = await getAuthUserAndCompany(req);
     if (auth.error) return res.status(auth.status).json({ error: auth.error });
-    const { user, companyID } = auth;
+    const { companyID } = auth;
 
     const { id } = req.params;
+    const result = await purchaseOrders.updatePurchaseOrder(companyID, id, req.body);
+    if (!result) {
+      return res.status(404).json({ error: 'Purchase order not found' });
+    }
+
+    await auditLog.recordAudit({
+      auth,
+      entityType: 'purchase_order',
+      entityId: id,
+      action: 'update',
+      before: purchaseOrders.auditFields(result.before),
+      after: purchaseOrders.auditFields(result.after),
+      metadata: { po_number: result.after.po_number },
+    });
 
-    // Verify subcontractor belongs to user's company
-    const { data: existing, error: checkError } = await supabase
-      .from('subcontractors')
-      .select('*')
-      .eq('id', id)
-      .eq('company_id', companyID)
-      .single();
+    res.json({ purchaseOrder: result.after });
+  } catch (error) {
+    console.error('Update purchase order error:', error);
+    res.status(500).json({ error: 'Internal server error' });
+  }
+});
 
-    if (checkError || !existing) {
-      return res.status(404).json({ error: 'Subcontractor not found' });
-    }
+// Mark a purchase order sent (stamps date_ordered on its project lines), back to draft, or cancelled
+app.post('/api/purchase-orders/:id/status', requirePermission('edit_expenses'), purchaseOrderStatusValidation, handleValidationErrors, async (req, res) => {
+  try {
+    const auth = await getAuthUserAndCompany(req);
+    if (auth.error) return res.status(auth.status).json({ error: auth.error });
+    const { companyID } = auth;
 
-    const { error } = await supabase
-      .from('subcontractors')
-      .delete()
-      .eq('id', id)
-      .eq('company_id', companyID);
+    const { id } = req.params;
+    const result = await purchaseOrders.setPurchaseOrderStatus(companyID, id, req.body.status);
+    if (!result) {
+      return res.status(404).json({ error: 'Purchase order not found' });
+    }
+    if (result.error) {
+      return res.status(result.status).json({ error: result.error });
+    }
+
+    await auditLog.recordAudit({
+      auth,
+      entityType: 'purchase_order',
+      entityId: id,
+      action: 'update',
+      before: purchaseOrders.auditFields(result.before),
+      after: purchaseOrders.auditFields(result.after),
+      metadata: { po_number: result.after.po_number },
+    });
 
-    if (error) {
-      return res.status(500).json({ error: error.message });
+    res.json({ purchaseOrder: result.after });
+  } catch (error) {
+    console.error('Purchase order status error:', error);
+    res.status(500).json({ error: 'Internal server error' });
+  }
+});
+
+// Receive quantities against a sent purchase order (stamps date_received and actual_price on fully received lines)
+app.post('/api/purchase-orders/:id/receive', requirePermission('edit_expenses'), purchaseOrderReceiveValidation, handleValidationErrors, async (req, res) => {
+  try {
+    const auth = await getAuthUserAndCompany(req);
+    if (auth.error) return res.status(auth.status).json({ error: auth.error });
+    const { companyID } = auth;
+
+    const { id } = req.params;
+    const result = await purchaseOrders.receiveLines({
+      companyID,
+      purchaseOrderId: id,
+      lines: req.body.lines,
+      receivedOn: req.body.received_on,
+      employeeId: auth.employee?.id,
+    });
+    if (!result) {
+      return res.status(404).json({ error: 'Purchase order not found' });
+    }
+    if (result.error) {
+      return res.status(result.status).json({ error: result.error });
     }
 
-    res.json({ success: true });
+    await auditLog.recordAudit({
+      auth,
+      entityType: 'purchase_order',
+      entityId: id,
+      action: 'update',
+      before: purchaseOrders.auditFields(result.before),
+      after: purchaseOrders.auditFields(result.after),
+      metadata: { po_number: result.after.po_number, received: req.body.lines.length },
+    });
+
+    res.json({ purchaseOrder: result.after });
   } catch (error) {
-    console.error('Delete subcontractor error:', error);
+    console.error('Receive purchase order error:', error);
     res.status(500).json({ error: 'Internal server error' });
   }
 });
@@ -4738,23 +6909,42 @@ app.delete('/api/subcontractors/:id', async (req, res) => {
 // ==================== EMPLOYEES ENDPOINTS ====================
 
 // Get all employees for a company
-app.get('/api/employees', async (req, res) => {
+app.get('/api/employees', listQueryValidation, handleValidationErrors, async (req, res) => {
   try {
     const auth = await getAuthUserAndCompany(req);
     if (auth.error) return res.status(auth.status).json({ error: auth.error });
     const { user, companyID } = auth;
 
-    const { data, error } = await supabase
-      .from('employees')
-      .select('*')
-      .eq('company_id', companyID)
-      .order('created_at', { ascending: false });
+    const listConfig = listQuery.LIST_CONFIGS.employees;
+    const params = listQuery.parseListParams(req.query, listConfig);
+
+    const { data, error, count } = await listQuery.applyListParams(
+      supabase
+        .from('employees')
+        .select('*', params.paged ? { count: 'exact' } : undefined)
+        .eq('company_id', companyID),
+      params,
+      listConfig
+    );
 
     if (error) {
       return res.status(500).json({ error: error.message });
     }
 
-    res.json({ employees: data || [] });
+    if (!params.paged) {
+      return res.json({ employees: data || [] });
+    }
+
+    // Company-wide count, so an empty search result isn't mistaken for an empty company
+    const summary = await listQuery.getListSummary('employees', companyID, {});
+
+    res.json({
+      employees: data || [],
+      total: count || 0,
+      limit: params.limit,
+      offset: params.offset,
+      summary: { total: summary.total },
+    });
   } catch (error) {
     console.error('Get employees error:', error);
     res.status(500).json({ error: 'Internal server error' });
@@ -4789,7 +6979,7 @@ app.get('/api/employees/:id', async (req, res) => {
 });
 
 // Create a new employee
-app.post('/api/employees', employeePostValidation, handleValidationErrors, async (req, res) => {
+app.post('/api/employees', requirePermission('manage_employees'), employeePostValidation, handleValidationErrors, async (req, res) => {
   try {
     const auth = await getAuthUserAndCompany(req);
     if (auth.error) return res.status(auth.status).json({ error: auth.error });
@@ -4858,6 +7048,8 @@ app.post('/api/employees', employeePostValidation, handleValidationErrors, async
       return res.status(500).json({ error: error.message });
     }
 
+    await auditLog.recordAudit({ auth, entityType: 'employee', entityId: data.id, action: 'create', after: data });
+
     res.status(201).json({ employee: data });
   } catch (error) {
     console.error('Create employee error:', error);
@@ -4886,17 +7078,8 @@ app.put('/api/employees/:id', employeePutValidation, handleValidationErrors, asy
       return res.status(404).json({ error: 'Employee not found' });
     }
 
-    // Get requesting user's employee record
-    const userEmail = user.email?.toLowerCase();
-    const { data: requesterEmployee } = await supabase
-      .from('employees')
-      .select('id, user_type')
-      .eq('company_id', companyID)
-      .eq('email_address', userEmail)
-      .maybeSingle();
-
-    const isEditingSelf = requesterEmployee && existingEmployee.id === requesterEmployee.id;
-    const isAdminOrManager = requesterEmployee && ['admin', 'manager', 'owner'].includes(requesterEmployee.user_type);
+    const isEditingSelf = existingEmployee.id === auth.employee.id;
+    const isAdminOrManager = (await getAuthPermissions(auth)).has('manage_employees');
 
     if (!isEditingSelf && !isAdminOrManager) {
       return res.status(403).json({ error: 'You can only edit your own basic information. Contact an admin or manager to update other employees.' });
@@ -4971,6 +7154,8 @@ app.put('/api/employees/:id', employeePutValidation, handleValidationErrors, asy
       return res.status(500).json({ error: error.message });
     }
 
+    await auditLog.recordAudit({ auth, entityType: 'employee', entityId: id, action: 'update', before: existingEmployee, after: data });
+
     res.json({ employee: data });
   } catch (error) {
     console.error('Update employee error:', error);
@@ -4979,7 +7164,7 @@ app.put('/api/employees/:id', employeePutValidation, handleValidationErrors, asy
 });
 
 // Delete an employee
-app.delete('/api/employees/:id', async (req, res) => {
+app.delete('/api/employees/:id', requirePermission('delete_records'), async (req, res) => {
   try {
     const auth = await getAuthUserAndCompany(req);
     if (auth.error) return res.status(auth.status).json({ error: auth.error });
@@ -5009,6 +7194,8 @@ app.delete('/api/employees/:id', async (req, res) => {
       return res.status(500).json({ error: error.message });
     }
 
+    await auditLog.recordAudit({ auth, entityType: 'employee', entityId: id, action: 'delete', before: existingEmployee });
+
     res.json({ message: 'Employee deleted successfully' });
   } catch (error) {
     console.error('Delete employee error:', error);
@@ -5018,6 +7205,31 @@ app.delete('/api/employees/:id', async (req, res) => {
 
 // ========== DOCUMENT MANAGEMENT ENDPOINTS ==========
 
+// Metadata table and parent column for each document entity type (employee documents live in storage only)
+const DOCUMENT_TABLES = {
+  projects: { table: 'project_documents', parentColumn: 'project_id' },
+  subcontractors: { table: 'subcontractor_documents', parentColumn: 'subcontractor_id' },
+  customers: { table: 'customer_documents', parentColumn: 'customer_id' },
+  inventory: { table: 'inventory_documents', parentColumn: 'inventory_id' },
+};
+
+/**
+ * Load a document metadata row (used for audit before-images)
+ * Returns null for entity types without a metadata table or when the row doesn't exist.
+ */
+async function getDocumentRecord(entityType, entityId, documentId, companyID) {
+  const config = DOCUMENT_TABLES[entityType];
+  if (!config || !documentId) return null;
+  const { data } = await supabase
+    .from(config.table)
+    .select('*')
+    .eq('id', documentId)
+    .eq('company_id', companyID)
+    .eq(config.parentColumn, entityId)
+    .maybeSingle();
+  return data || null;
+}
+
 // List documents for an entity
 app.get('/api/documents/:entityType/:entityId', async (req, res) => {
   try {
@@ -5052,6 +7264,7 @@ app.get('/api/documents/:entityType/:entityId', async (req, res) => {
         .select('*')
         .eq('project_id', entityId)
         .eq('company_id', companyID)
+        .is('deleted_at', null)
         .order('created_at', { ascending: false });
 
       if (docsError) {
@@ -5077,6 +7290,9 @@ app.get('/api/documents/:entityType/:entityId', async (req, res) => {
         esign_status: doc.esign_status,
         esign_contract_id: doc.esign_contract_id,
         esign_completed_at: doc.esign_completed_at,
+        shared_with_customer: doc.shared_with_customer === true,
+        selected_option_id: doc.selected_option_id || null,
+        option_applied_at: doc.option_applied_at || null,
       }));
 
       return res.json({ documents });
@@ -5089,6 +7305,7 @@ app.get('/api/documents/:entityType/:entityId', async (req, res) => {
         .select('*')
         .eq('subcontractor_id', entityId)
         .eq('company_id', companyID)
+        .is('deleted_at', null)
         .order('created_at', { ascending: false });
 
       if (docsError) {
@@ -5119,6 +7336,7 @@ app.get('/api/documents/:entityType/:entityId', async (req, res) => {
         .select('*')
         .eq('customer_id', entityId)
         .eq('company_id', companyID)
+        .is('deleted_at', null)
         .order('created_at', { ascending: false });
 
       if (docsError) {
@@ -5149,6 +7367,7 @@ app.get('/api/documents/:entityType/:entityId', async (req, res) => {
         .select('*')
         .eq('inventory_id', entityId)
         .eq('company_id', companyID)
+        .is('deleted_at', null)
         .order('created_at', { ascending: false });
 
       if (docsError) {
@@ -5238,16 +7457,10 @@ app.post('/api/documents/:entityType/:entityId/upload', upload.single('file'), a
       return res.status(404).json({ error: 'Entity not found' });
     }
 
-    // For employees: only managers/admin/owner or the employee themselves can upload
+    // For employees: only those with manage_employees or the employee themselves can upload
     if (entityType === 'employees') {
-      const { data: currentEmployee } = await supabase
-        .from('employees')
-        .select('id, user_type')
-        .eq('company_id', companyID)
-        .eq('email_address', user.email?.toLowerCase())
-        .maybeSingle();
-      const canManage = currentEmployee?.user_type === 'admin' || currentEmployee?.user_type === 'manager' || currentEmployee?.user_type === 'owner';
-      const isOwnDocs = entityId === currentEmployee?.id;
+      const canManage = (await getAuthPermissions(auth)).has('manage_employees');
+      const isOwnDocs = entityId === auth.employee.id;
       if (!canManage && !isOwnDocs) {
         return res.status(403).json({ error: 'Only managers and admins can upload documents for other employees. You can only upload documents for yourself.' });
       }
@@ -5276,6 +7489,22 @@ app.post('/api/documents/:entityType/:entityId/upload', upload.single('file'), a
       return res.status(500).json({ error: uploadError.message });
     }
 
+    await auditLog.recordAudit({
+      auth,
+      entityType: 'document',
+      entityId: storagePath,
+      action: 'create',
+      after: {
+        name: name || req.file.originalname,
+        document_type,
+        file_name: req.file.originalname,
+        file_path: storagePath,
+        file_size: req.file.size,
+        mime_type: req.file.mimetype,
+      },
+      metadata: { entity_type: entityType, entity_id: entityId },
+    });
+
     // For projects, save document metadata to project_documents table
     if (entityType === 'projects') {
       const validDocTypes = ['contract', 'proposal', 'change_order', 'receipt', 'insurance', 'other'];
@@ -5305,12 +7534,21 @@ app.post('/api/documents/:entityType/:entityId/upload', upload.single('file'), a
       if (docError) {
         console.error('Error saving document metadata:', docError);
         // Don't fail the upload, just log the error
-      } else if (docNumber != null && !Number.isNaN(docNumber)) {
-        // Document was actually generated with this number: increment company counter
-        await supabase
-          .from('companies')
-          .update({ next_document_number: docNumber + 1 })
-          .eq('company_id', companyID);
+      } else {
+        if (docNumber != null && !Number.isNaN(docNumber)) {
+          // Document was actually generated with this number: increment company counter
+          await supabase
+            .from('companies')
+            .update({ next_document_number: docNumber + 1 })
+            .eq('company_id', companyID);
+        }
+
+        // Freeze the milestones, scope, totals, terms and customer this document was generated from
+        try {
+          await documentSnapshots.createSnapshot({ companyID, document: docRecord, employeeId: auth.employee?.id || null });
+        } catch (snapshotError) {
+          console.error('Error saving document snapshot:', snapshotError);
+        }
       }
 
       return res.json({ 
@@ -5323,7 +7561,7 @@ app.post('/api/documents/:entityType/:entityId/upload', upload.single('file'), a
 
     // For subcontractors, save document metadata to subcontractor_documents table
     if (entityType === 'subcontractors') {
-      const validDocTypes = ['coi', 'license', 'insurance', 'contract', 'other'];
+      const validDocTypes = ['coi', 'license', 'insurance', 'contract', 'lien_waiver', 'other'];
       const docType = validDocTypes.includes(document_type) ? document_type : 'other';
       
       const { data: docRecord, error: docError } = await supabase
@@ -5442,6 +7680,8 @@ app.put('/api/documents/:entityType/:entityId/:documentId/notes', async (req, re
     const { entityType, entityId, documentId } = req.params;
     const { notes } = req.body;
 
+    const previousDoc = await getDocumentRecord(entityType, entityId, documentId, companyID);
+
     if (entityType === 'projects') {
       // Verify project belongs to user's company
       const { data: project, error: projectError } = await supabase
@@ -5470,6 +7710,8 @@ app.put('/api/documents/:entityType/:entityId/:documentId/notes', async (req, re
         return res.status(500).json({ error: updateError.message });
       }
 
+      await auditLog.recordAudit({ auth, entityType: 'document', entityId: documentId, action: 'update', before: previousDoc, after: updatedDoc, metadata: { entity_type: entityType, entity_id: entityId } });
+
       return res.json({ success: true, document: updatedDoc });
     } else if (entityType === 'subcontractors') {
       // Verify subcontractor belongs to user's company
@@ -5499,6 +7741,8 @@ app.put('/api/documents/:entityType/:entityId/:documentId/notes', async (req, re
         return res.status(500).json({ error: updateError.message });
       }
 
+      await auditLog.recordAudit({ auth, entityType: 'document', entityId: documentId, action: 'update', before: previousDoc, after: updatedDoc, metadata: { entity_type: entityType, entity_id: entityId } });
+
       return res.json({ success: true, document: updatedDoc });
     } else if (entityType === 'customers') {
       // Verify customer belongs to user's company
@@ -5528,6 +7772,8 @@ app.put('/api/documents/:entityType/:entityId/:documentId/notes', async (req, re
         return res.status(500).json({ error: updateError.message });
       }
 
+      await auditLog.recordAudit({ auth, entityType: 'document', entityId: documentId, action: 'update', before: previousDoc, after: updatedDoc, metadata: { entity_type: entityType, entity_id: entityId } });
+
       return res.json({ success: true, document: updatedDoc });
     } else if (entityType === 'inventory') {
       // Verify inventory item belongs to user's company
@@ -5557,6 +7803,8 @@ app.put('/api/documents/:entityType/:entityId/:documentId/notes', async (req, re
         return res.status(500).json({ error: updateError.message });
       }
 
+      await auditLog.recordAudit({ auth, entityType: 'document', entityId: documentId, action: 'update', before: previousDoc, after: updatedDoc, metadata: { entity_type: entityType, entity_id: entityId } });
+
       return res.json({ success: true, document: updatedDoc });
     } else {
       return res.status(400).json({ error: 'Notes can only be updated for projects, subcontractors, customers, and inventory' });
@@ -5575,7 +7823,7 @@ app.put('/api/documents/projects/:projectId/:documentId', async (req, res) => {
     const { user, companyID } = auth;
 
     const { projectId, documentId } = req.params;
-    const { name, document_type, status } = req.body;
+    const { name, document_type, status, shared_with_customer } = req.body;
 
     // Verify project belongs to user's company
     const { data: project, error: projectError } = await supabase
@@ -5604,6 +7852,9 @@ app.put('/api/documents/projects/:projectId/:documentId', async (req, res) => {
     if (name !== undefined) updateData.name = name;
     if (docType !== undefined) updateData.document_type = docType;
     if (docStatus !== undefined) updateData.status = docStatus;
+    if (typeof shared_with_customer === 'boolean') updateData.shared_with_customer = shared_with_customer;
+
+    const previousDoc = await getDocumentRecord('projects', projectId, documentId, companyID);
 
     // Update the document
     const { data: updatedDoc, error: updateError } = await supabase
@@ -5620,6 +7871,8 @@ app.put('/api/documents/projects/:projectId/:documentId', async (req, res) => {
       return res.status(500).json({ error: updateError.message });
     }
 
+    await auditLog.recordAudit({ auth, entityType: 'document', entityId: documentId, action: 'update', before: previousDoc, after: updatedDoc, metadata: { entity_type: 'projects', entity_id: projectId } });
+
     res.json({ success: true, document: updatedDoc });
   } catch (error) {
     console.error('Update document error:', error);
@@ -5654,22 +7907,43 @@ app.delete('/api/documents/:entityType/:entityId/:fileName', async (req, res) =>
       return res.status(404).json({ error: 'Entity not found' });
     }
 
-    // For employees: only managers/admin/owner or the employee themselves can delete
+    // For employees: only those with manage_employees or the employee themselves can delete
+    const permissions = await getAuthPermissions(auth);
+    const isOwnDocs = entityType === 'employees' && entityId === auth.employee.id;
     if (entityType === 'employees') {
-      const { data: currentEmployee } = await supabase
-        .from('employees')
-        .select('id, user_type')
-        .eq('company_id', companyID)
-        .eq('email_address', user.email?.toLowerCase())
-        .maybeSingle();
-      const canManage = currentEmployee?.user_type === 'admin' || currentEmployee?.user_type === 'manager' || currentEmployee?.user_type === 'owner';
-      const isOwnDocs = entityId === currentEmployee?.id;
+      const canManage = permissions.has('manage_employees');
       if (!canManage && !isOwnDocs) {
         return res.status(403).json({ error: 'Only managers and admins can delete documents for other employees. You can only delete your own documents.' });
       }
     }
+    // Everyone can remove their own employee documents; anything else needs delete_records
+    if (!isOwnDocs && !permissions.has('delete_records')) {
+      return res.status(403).json({ error: 'You do not have permission to perform this action' });
+    }
 
     const { documentId } = req.query;
+    const previousDoc = await getDocumentRecord(entityType, entityId, documentId, companyID);
+
+    // Documents with a metadata row go to the Trash; the file stays in storage until the purge
+    const trashType = trash.DOCUMENT_TRASH_TYPES[entityType];
+    if (documentId && trashType) {
+      // previousDoc is only found when the document belongs to this entity
+      const trashed = previousDoc && await trash.moveToTrash(trashType, documentId, companyID, auth.employee?.id);
+      if (!trashed) {
+        return res.status(404).json({ error: 'Document not found' });
+      }
+
+      await auditLog.recordAudit({
+        auth,
+        entityType: 'document',
+        entityId: documentId,
+        action: 'delete',
+        before: previousDoc,
+        metadata: { entity_type: entityType, entity_id: entityId, trashed: true },
+      });
+
+      return res.json({ success: true, message: 'Document moved to trash' });
+    }
 
     // Delete file from Supabase Storage
     // IMPORTANT: Do NOT include "documents" in the path - .from('documents') already specifies the bucket
@@ -5746,6 +8020,15 @@ app.delete('/api/documents/:entityType/:entityId/:fileName', async (req, res) =>
       }
     }
 
+    await auditLog.recordAudit({
+      auth,
+      entityType: 'document',
+      entityId: documentId || storagePath,
+      action: 'delete',
+      before: previousDoc || { file_name: fileName, file_path: storagePath },
+      metadata: { entity_type: entityType, entity_id: entityId },
+    });
+
     res.json({ success: true, message: 'Document deleted successfully' });
   } catch (error) {
     console.error('Delete document error:', error);
@@ -5852,167 +8135,14 @@ app.get('/api/documents/:entityType/:entityId/:fileName/download', async (req, r
 async function calculateDataPointValue(dataPointType, companyID, startDate) {
   switch (dataPointType) {
     case 'profit': {
-      // Get projects marked as sold or complete from status history (consistent with dashboard)
-      let soldQuery = supabase
-        .from('project_status_history')
-        .select('project_id, projects!inner(id, est_value, closing_price)')
-        .eq('company_id', companyID)
-        .eq('status', 'sold');
-
-      let completeQuery = supabase
-        .from('project_status_history')
-        .select('project_id, projects!inner(id, est_value, closing_price)')
-        .eq('company_id', companyID)
-        .eq('status', 'complete');
-
-      if (startDate) {
-        soldQuery = soldQuery.gte('changed_at', startDate.toISOString());
-        completeQuery = completeQuery.gte('changed_at', startDate.toISOString());
-      }
-
-      const [{ data: soldHistory }, { data: completeHistory }] = await Promise.all([
-        soldQuery,
-        completeQuery,
-      ]);
-
-      // Combine sold and complete, avoiding duplicates
-      const processedProjectIds = new Set();
-      const allProjects = [
-        ...(soldHistory || []),
-        ...(completeHistory || []),
-      ];
-
-      if (allProjects.length === 0) return 0;
-
-      let totalRevenue = 0;
-      let totalExpenses = 0;
-
-      for (const record of allProjects) {
-        // Skip duplicates
-        if (processedProjectIds.has(record.project_id)) continue;
-        processedProjectIds.add(record.project_id);
-
-        const estValue = parseFloat(record.projects?.est_value || 0);
-        const closingPrice = parseFloat(record.projects?.closing_price || 0);
-
-        // Revenue: closing_price > milestones > est_value (same as dashboard)
-        let projectRevenue = 0;
-        if (closingPrice > 0) {
-          projectRevenue = closingPrice;
-        } else {
-          const { data: milestones } = await supabase
-            .from('milestones')
-            .select('customer_price')
-            .eq('project_id', record.project_id);
-          if (milestones) {
-            milestones.forEach((milestone) => {
-              projectRevenue += parseFloat(milestone.customer_price || 0);
-            });
-          }
-          if (projectRevenue === 0) {
-            projectRevenue = estValue;
-          }
-        }
-        totalRevenue += projectRevenue;
-
-        // Get expenses for this project
-        const { data: subcontractorFees } = await supabase
-          .from('project_subcontractor_fees')
-          .select('flat_fee')
-          .eq('project_id', record.project_id);
-
-        const { data: materials } = await supabase
-          .from('project_materials')
-          .select('actual_price')
-          .eq('project_id', record.project_id);
-
-        const { data: additionalExpenses } = await supabase
-          .from('project_additional_expenses')
-          .select('amount')
-          .eq('project_id', record.project_id);
-
-        const { data: equipment } = await supabase
-          .from('project_equipment')
-          .select('actual_price')
-          .eq('project_id', record.project_id);
-
-        // Calculate subcontractor costs
-        let subcontractorTotal = 0;
-        if (subcontractorFees) {
-          subcontractorFees.forEach((entry) => {
-            subcontractorTotal += parseFloat(entry.flat_fee || 0);
-          });
-        }
-
-        // Calculate materials costs
-        let materialsTotal = 0;
-        if (materials) {
-          materials.forEach((entry) => {
-            materialsTotal += parseFloat(entry.actual_price || 0);
-          });
-        }
-
-        // Calculate additional expenses
-        let additionalTotal = 0;
-        if (additionalExpenses) {
-          additionalExpenses.forEach((entry) => {
-            additionalTotal += parseFloat(entry.amount || 0);
-          });
-        }
-
-        // Calculate equipment costs
-        let equipmentTotal = 0;
-        if (equipment) {
-          equipment.forEach((entry) => {
-            equipmentTotal += parseFloat(entry.actual_price || 0);
-          });
-        }
-
-        totalExpenses += subcontractorTotal + materialsTotal + additionalTotal + equipmentTotal;
-      }
-
-      return totalRevenue - totalExpenses;
+      // Projects sold or completed since startDate (same rollup as the dashboard)
+      const summary = await projectFinancials.summarizeClosedProjects(companyID, startDate);
+      return summary.totalProfit;
     }
 
     case 'est_value': {
-      // Get projects marked as sold or complete from status history (consistent with dashboard)
-      let soldQuery = supabase
-        .from('project_status_history')
-        .select('project_id, projects!inner(est_value)')
-        .eq('company_id', companyID)
-        .eq('status', 'sold');
-
-      let completeQuery = supabase
-        .from('project_status_history')
-        .select('project_id, projects!inner(est_value)')
-        .eq('company_id', companyID)
-        .eq('status', 'complete');
-
-      if (startDate) {
-        soldQuery = soldQuery.gte('changed_at', startDate.toISOString());
-        completeQuery = completeQuery.gte('changed_at', startDate.toISOString());
-      }
-
-      const [{ data: soldHistory }, { data: completeHistory }] = await Promise.all([
-        soldQuery,
-        completeQuery,
-      ]);
-
-      // Combine sold and complete, avoiding duplicates
-      const processedProjectIds = new Set();
-      const allProjects = [
-        ...(soldHistory || []),
-        ...(completeHistory || []),
-      ];
-
-      let total = 0;
-      for (const record of allProjects) {
-        if (processedProjectIds.has(record.project_id)) continue;
-        processedProjectIds.add(record.project_id);
-        total += parseFloat(record.projects?.est_value || 0);
-      }
-
-      return total;
+      const summary = await projectFinancials.summarizeClosedProjects(companyID, startDate);
+      return summary.totalEstValue;
     }
 
     case 'leads': {
@@ -6037,9 +8167,10 @@ async function calculateDataPointValue(dataPointType, companyID, startDate) {
     case 'projects_sold': {
       let soldQuery = supabase
         .from('project_status_history')
-        .select('project_id')
+        .select('project_id, projects!inner (deleted_at)')
         .eq('company_id', companyID)
-        .eq('status', 'sold');
+        .eq('status', 'sold')
+        .is('projects.deleted_at', null);
 
       if (startDate) {
         soldQuery = soldQuery.gte('changed_at', startDate.toISOString());
@@ -6056,7 +8187,8 @@ async function calculateDataPointValue(dataPointType, companyID, startDate) {
       let customersQuery = supabase
         .from('customers')
         .select('id, created_at')
-        .eq('company_id', companyID);
+        .eq('company_id', companyID)
+        .is('deleted_at', null);
 
       if (startDate) {
         customersQuery = customersQuery.gte('created_at', startDate.toISOString());
@@ -6073,6 +8205,7 @@ async function calculateDataPointValue(dataPointType, companyID, startDate) {
         .from('projects')
         .select('id, status, created_at')
         .eq('company_id', companyID)
+        .is('deleted_at', null)
         .in('status', ['signed', 'in_progress']);
 
       if (startDate) {
@@ -6088,9 +8221,10 @@ async function calculateDataPointValue(dataPointType, companyID, startDate) {
     case 'completed_projects': {
       let completeQuery = supabase
         .from('project_status_history')
-        .select('project_id')
+        .select('project_id, projects!inner (deleted_at)')
         .eq('company_id', companyID)
-        .eq('status', 'complete');
+        .eq('status', 'complete')
+        .is('projects.deleted_at', null);
 
       if (startDate) {
         completeQuery = completeQuery.gte('changed_at', startDate.toISOString());
@@ -6108,19 +8242,31 @@ async function calculateDataPointValue(dataPointType, companyID, startDate) {
   }
 }
 
+// Goal types that report costs or profit; only employees with view_costs see or set them
+const COST_GOAL_TYPES = ['profit'];
+
 // Get available data point types
 app.get('/api/goals/data-points', async (req, res) => {
-  res.json({
-    dataPoints: [
-      { value: 'profit', label: 'Profit', icon: '💰', format: 'currency' },
-      { value: 'est_value', label: 'Estimated Value', icon: '📊', format: 'currency' },
-      { value: 'leads', label: 'Leads', icon: '🎯', format: 'number' },
-      { value: 'projects_sold', label: 'Projects Sold', icon: '✅', format: 'number' },
-      { value: 'total_customers', label: 'Total Customers', icon: '👥', format: 'number' },
-      { value: 'active_projects', label: 'Active Projects', icon: '🚧', format: 'number' },
-      { value: 'completed_projects', label: 'Completed Projects', icon: '🏁', format: 'number' },
-    ],
-  });
+  try {
+    const auth = await getAuthUserAndCompany(req);
+    if (auth.error) return res.status(auth.status).json({ error: auth.error });
+    const canViewCosts = (await getAuthPermissions(auth)).has('view_costs');
+
+    res.json({
+      dataPoints: [
+        { value: 'profit', label: 'Profit', icon: '💰', format: 'currency' },
+        { value: 'est_value', label: 'Estimated Value', icon: '📊', format: 'currency' },
+        { value: 'leads', label: 'Leads', icon: '🎯', format: 'number' },
+        { value: 'projects_sold', label: 'Projects Sold', icon: '✅', format: 'number' },
+        { value: 'total_customers', label: 'Total Customers', icon: '👥', format: 'number' },
+        { value: 'active_projects', label: 'Active Projects', icon: '🚧', format: 'number' },
+        { value: 'completed_projects', label: 'Completed Projects', icon: '🏁', format: 'number' },
+      ].filter((point) => canViewCosts || !COST_GOAL_TYPES.includes(point.value)),
+    });
+  } catch (error) {
+    console.error('Get goal data points error:', error);
+    res.status(500).json({ error: 'Internal server error' });
+  }
 });
 
 // Goals endpoints
@@ -6142,9 +8288,12 @@ app.get('/api/goals', async (req, res) => {
       return res.status(500).json({ error: goalsError.message });
     }
 
+    const canViewCosts = (await getAuthPermissions(auth)).has('view_costs');
+    const visibleGoals = (goals || []).filter((goal) => canViewCosts || !COST_GOAL_TYPES.includes(goal.data_point_type));
+
     // Calculate progress for each goal
     const goalsWithProgress = await Promise.all(
-      (goals || []).map(async (goal) => {
+      visibleGoals.map(async (goal) => {
         // Use start_date if provided, otherwise use all time (null)
         const startDate = goal.start_date ? new Date(goal.start_date) : null;
         
@@ -6187,6 +8336,10 @@ app.post('/api/goals', goalPostValidation, handleValidationErrors, async (req, r
 
     const { goal_name, data_point_type, target_value, start_date, target_date } = req.body;
 
+    if (COST_GOAL_TYPES.includes(data_point_type) && !(await getAuthPermissions(auth)).has('view_costs')) {
+      return res.status(403).json({ error: 'You do not have permission to perform this action' });
+    }
+
     const insertData = {
       company_id: companyID,
       goal_name,
@@ -6242,6 +8395,11 @@ app.put('/api/goals/:id', goalPutValidation, handleValidationErrors, async (req,
       return res.status(404).json({ error: 'Goal not found' });
     }
 
+    if ((COST_GOAL_TYPES.includes(existingGoal.data_point_type) || COST_GOAL_TYPES.includes(data_point_type))
+      && !(await getAuthPermissions(auth)).has('view_costs')) {
+      return res.status(403).json({ error: 'You do not have permission to perform this action' });
+    }
+
     const updateData = {};
     if (goal_name !== undefined) updateData.goal_name = goal_name;
     if (data_point_type !== undefined) updateData.data_point_type = data_point_type;
@@ -6285,7 +8443,7 @@ app.delete('/api/goals/:id', async (req, res) => {
     // Verify goal belongs to company
     const { data: existingGoal, error: checkError } = await supabase
       .from('goals')
-      .select('id')
+      .select('id, data_point_type')
       .eq('id', id)
       .eq('company_id', companyID)
       .single();
@@ -6294,6 +8452,10 @@ app.delete('/api/goals/:id', async (req, res) => {
       return res.status(404).json({ error: 'Goal not found' });
     }
 
+    if (COST_GOAL_TYPES.includes(existingGoal.data_point_type) && !(await getAuthPermissions(auth)).has('view_costs')) {
+      return res.status(403).json({ error: 'You do not have permission to perform this action' });
+    }
+
     const { error: deleteError } = await supabase
       .from('goals')
       .delete()
@@ -6312,8 +8474,47 @@ app.delete('/api/goals/:id', async (req, res) => {
 
 // ==================== ESIGNATURES ENDPOINTS ====================
 
+// Move a change order along with its document's e-signature (sent, then approved on completion or rejected on decline)
+const syncChangeOrderWithEsign = async (documentId, esignStatus, user = null) => {
+  try {
+    const result = await changeOrders.applyEsignStatus(documentId, esignStatus);
+    if (!result) return;
+    await auditLog.recordAudit({
+      auth: { companyID: result.companyID, user },
+      entityType: 'change_order',
+      entityId: result.after.id,
+      action: 'update',
+      before: result.before,
+      after: result.after,
+      metadata: { project_id: result.after.project_id, change_order_number: result.after.change_order_number, via: 'esign' },
+    });
+  } catch (error) {
+    console.error('Change order e-sign update failed:', error);
+  }
+};
+
+// A signed proposal carries the customer's chosen option into the contract milestones and scope
+const applyProposalOptionOnSign = async (documentId, esignStatus, user = null) => {
+  if (esignStatus !== 'completed') return;
+  try {
+    const applied = await proposalOptions.applySelectedOption(documentId);
+    if (applied) await recordOptionCarryOver(applied, { companyID: applied.companyID, user });
+  } catch (error) {
+    console.error('Proposal option carry-over failed:', error);
+  }
+};
+
+// A signed copy says exactly what the document that was sent said
+const copySignedDocumentSnapshot = async (sourceDocumentId, signedDocument) => {
+  try {
+    await documentSnapshots.copySnapshot(sourceDocumentId, signedDocument);
+  } catch (error) {
+    console.error('Error copying document snapshot to signed copy:', error);
+  }
+};
+
 // Send document via eSignatures.com for e-signature
-app.post('/api/esign/send', async (req, res) => {
+app.post('/api/esign/send', requirePermission('send_esign'), async (req, res) => {
   try {
     const auth = await getAuthUserAndCompany(req);
     if (auth.error) return res.status(auth.status).json({ error: auth.error });
@@ -6398,6 +8599,8 @@ app.post('/api/esign/send', async (req, res) => {
       if (updateError) {
         console.error('Error updating document with contract ID:', updateError);
         // Don't fail the request if update fails
+      } else {
+        await syncChangeOrderWithEsign(documentId, 'sent', user);
       }
     }
 
@@ -6461,6 +8664,9 @@ app.post('/api/esign/sync/:documentId', async (req, res) => {
       .update(updateData)
       .eq('id', document.id);
 
+    await syncChangeOrderWithEsign(document.id, statusResult.status, user);
+    await applyProposalOptionOnSign(document.id, statusResult.status, user);
+
     // If completed, download and upload signed document
     if (statusResult.status === 'completed') {
       try {
@@ -6523,6 +8729,8 @@ app.post('/api/esign/sync/:documentId', async (req, res) => {
 
           if (signedDocError) {
             console.error('Error creating signed document record:', signedDocError);
+          } else {
+            await copySignedDocumentSnapshot(document.id, signedDocRecord);
           }
         }
 
@@ -6628,6 +8836,9 @@ app.post('/api/esign/webhook', async (req, res) => {
         return res.status(200).json({ received: true, error: 'Update failed' });
       }
 
+      await syncChangeOrderWithEsign(document.id, normalizedStatus);
+      await applyProposalOptionOnSign(document.id, normalizedStatus);
+
 
       // If document is completed (both parties signed), download and upload signed copy
       if (normalizedStatus === 'completed') {
@@ -6687,6 +8898,8 @@ app.post('/api/esign/webhook', async (req, res) => {
 
               if (signedDocError) {
                 console.error('Error creating signed document record:', signedDocError);
+              } else {
+                await copySignedDocumentSnapshot(fullDoc.id, signedDocRecord);
               }
             }
           }
@@ -6708,6 +8921,232 @@ app.post('/api/esign/webhook', async (req, res) => {
   }
 });
 
+// ==================== CALENDAR EVENTS ENDPOINTS ====================
+
+// Occurrences of the company's events in a window (repeating events expanded), optionally for one project,
+// customer or assignee
+app.get('/api/calendar/events', calendarEventListValidation, handleValidationErrors, async (req, res) => {
+  try {
+    const auth = await getAuthUserAndCompany(req);
+    if (auth.error) return res.status(auth.status).json({ error: auth.error });
+    const { companyID } = auth;
+
+    const { start, end, project_id, customer_id, employee_id } = req.query;
+    const result = await calendarEvents.listEvents(companyID, {
+      start,
+      end,
+      projectId: project_id || null,
+      customerId: customer_id || null,
+      employeeId: employee_id || null,
+    });
+    if (result.error) {
+      return res.status(result.status).json({ error: result.error });
+    }
+
+    res.json(result);
+  } catch (error) {
+    console.error('Get calendar events error:', error);
+    res.status(500).json({ error: 'Internal server error' });
+  }
+});
+
+// Mirror a project event to its assignees' synced Google calendars; the CRM save stands even if Google fails
+const publishToGoogle = async (companyID, eventId) => {
+  try {
+    await googleCalendarSync.publishEvent(companyID, eventId);
+  } catch (syncError) {
+    console.warn('Google Calendar publish failed (non-fatal):', syncError.message);
+  }
+};
+
+app.post('/api/calendar/events', calendarEventPostValidation, handleValidationErrors, async (req, res) => {
+  try {
+    const auth = await getAuthUserAndCompany(req);
+    if (auth.error) return res.status(auth.status).json({ error: auth.error });
+    const { companyID } = auth;
+
+    const { title, description, location, event_type, project_id, customer_id, all_day, starts_at, ends_at, time_zone, recurrence, assignee_ids } = req.body;
+    const result = await calendarEvents.createEvent({
+      companyID,
+      title,
+      description,
+      location,
+      eventType: event_type,
+      projectId: project_id,
+      customerId: customer_id,
+      allDay: all_day,
+      startsAt: starts_at,
+      endsAt: ends_at,
+      timeZone: time_zone,
+      recurrence,
+      assigneeIds: assignee_ids,
+      createdBy: auth.employee?.id,
+    });
+    if (result.error) {
+      return res.status(result.status).json({ error: result.error });
+    }
+
+    await auditLog.recordAudit({
+      auth,
+      entityType: 'calendar_event',
+      entityId: result.event.id,
+      action: 'create',
+      after: calendarEvents.auditFields(result.event),
+      metadata: { project_id: result.event.project_id },
+    });
+    await publishToGoogle(companyID, result.event.id);
+
+    res.status(201).json(result);
+  } catch (error) {
+    console.error('Create calendar event error:', error);
+    res.status(500).json({ error: 'Internal server error' });
+  }
+});
+
+// Changes apply to every occurrence of a repeating event
+app.put('/api/calendar/events/:id', calendarEventPutValidation, handleValidationErrors, async (req, res) => {
+  try {
+    const auth = await getAuthUserAndCompany(req);
+    if (auth.error) return res.status(auth.status).json({ error: auth.error });
+    const { companyID } = auth;
+
+    const { id } = req.params;
+    const { title, description, location, event_type, project_id, customer_id, all_day, starts_at, ends_at, time_zone, recurrence, assignee_ids } = req.body;
+    const result = await calendarEvents.updateEvent(companyID, id, {
+      title,
+      description,
+      location,
+      eventType: event_type,
+      projectId: project_id,
+      customerId: customer_id,
+      allDay: all_day,
+      startsAt: starts_at,
+      endsAt: ends_at,
+      timeZone: time_zone,
+      recurrence,
+      assigneeIds: assignee_ids,
+    });
+    if (!result) {
+      return res.status(404).json({ error: 'Event not found' });
+    }
+    if (result.error) {
+      return res.status(result.status).json({ error: result.error });
+    }
+
+    await auditLog.recordAudit({
+      auth,
+      entityType: 'calendar_event',
+      entityId: id,
+      action: 'update',
+      before: result.before,
+      after: result.after,
+      metadata: { project_id: result.after.project_id },
+    });
+    await publishToGoogle(companyID, id);
+
+    res.json({ event: await calendarEvents.getEvent(companyID, id) });
+  } catch (error) {
+    console.error('Update calendar event error:', error);
+    res.status(500).json({ error: 'Internal server error' });
+  }
+});
+
+app.delete('/api/calendar/events/:id', uuidParam('id'), handleValidationErrors, async (req, res) => {
+  try {
+    const auth = await getAuthUserAndCompany(req);
+    if (auth.error) return res.status(auth.status).json({ error: auth.error });
+    const { companyID } = auth;
+
+    const { id } = req.params;
+    // Before deleting: the Google links are removed with the event
+    try {
+      await googleCalendarSync.unpublishEvent(companyID, id);
+    } catch (syncError) {
+      console.warn('Google Calendar unpublish failed (non-fatal):', syncError.message);
+    }
+    const event = await calendarEvents.deleteEvent(companyID, id);
+    if (!event) {
+      return res.status(404).json({ error: 'Event not found' });
+    }
+
+    await auditLog.recordAudit({ auth, entityType: 'calendar_event', entityId: id, action: 'delete', before: event, metadata: { project_id: event.project_id } });
+
+    res.json({ success: true });
+  } catch (error) {
+    console.error('Delete calendar event error:', error);
+    res.status(500).json({ error: 'Internal server error' });
+  }
+});
+
+// The signed-in employee's iCal feed (never includes the URL; it is only shown when created)
+app.get('/api/calendar/feed', async (req, res) => {
+  try {
+    const auth = await getAuthUserAndCompany(req);
+    if (auth.error) return res.status(auth.status).json({ error: auth.error });
+    const { companyID } = auth;
+
+    const feed = await calendarEvents.getFeed(companyID, auth.employee.id);
+    res.json({ feed });
+  } catch (error) {
+    console.error('Get calendar feed error:', error);
+    res.status(500).json({ error: 'Internal server error' });
+  }
+});
+
+// Create the employee's feed, or reset it so the previous URL stops working
+app.post('/api/calendar/feed', async (req, res) => {
+  try {
+    const auth = await getAuthUserAndCompany(req);
+    if (auth.error) return res.status(auth.status).json({ error: auth.error });
+    const { companyID } = auth;
+
+    const { feed, token } = await calendarEvents.createFeed(companyID, auth.employee.id);
+
+    // Served through the frontend's /api proxy, like the portal links
+    const frontendUrl = process.env.FRONTEND_URL || 'http://localhost:3000';
+    res.status(201).json({ feed, url: `${frontendUrl}/api/calendar/feeds/${token}.ics` });
+  } catch (error) {
+    console.error('Create calendar feed error:', error);
+    res.status(500).json({ error: 'Internal server error' });
+  }
+});
+
+app.delete('/api/calendar/feed', async (req, res) => {
+  try {
+    const auth = await getAuthUserAndCompany(req);
+    if (auth.error) return res.status(auth.status).json({ error: auth.error });
+    const { companyID } = auth;
+
+    const removed = await calendarEvents.deleteFeed(companyID, auth.employee.id);
+    if (!removed) {
+      return res.status(404).json({ error: 'Calendar feed not found' });
+    }
+
+    res.json({ success: true });
+  } catch (error) {
+    console.error('Delete calendar feed error:', error);
+    res.status(500).json({ error: 'Internal server error' });
+  }
+});
+
+// Public: read-only iCal feed for calendar apps to subscribe to (no Supabase session)
+app.get('/api/calendar/feeds/:token.ics', calendarFeedTokenValidation, handleValidationErrors, async (req, res) => {
+  try {
+    const ics = await calendarEvents.renderFeed(req.params.token);
+    if (!ics) {
+      return res.status(404).json({ error: 'This calendar feed is invalid or has been reset' });
+    }
+
+    res.set('Content-Type', 'text/calendar; charset=utf-8');
+    res.set('Content-Disposition', 'inline; filename="calendar.ics"');
+    res.set('Cache-Control', 'private, max-age=300');
+    res.send(ics);
+  } catch (error) {
+    console.error('Render calendar feed error:', error);
+    res.status(500).json({ error: 'Internal server error' });
+  }
+});
+
 // ==================== Google Calendar OAuth Endpoints ====================
 
 // Initiate Google OAuth flow
@@ -6930,6 +9369,84 @@ app.delete('/api/google/calendar/events/:eventId', async (req, res) => {
   }
 });
 
+// Calendars the signed-in user can choose as their sync target
+app.get('/api/google/calendar/calendars', async (req, res) => {
+  try {
+    const auth = await getAuthUserAndCompany(req);
+    if (auth.error) return res.status(auth.status).json({ error: auth.error });
+
+    if (!(await googleCalendarService.isConnected(auth.user.id))) {
+      return res.status(400).json({ error: 'Google Calendar is not connected' });
+    }
+
+    const calendars = await googleCalendarService.listWritableCalendars(auth.user.id);
+    res.json({ calendars });
+  } catch (error) {
+    console.error('List Google calendars error:', error);
+    res.status(500).json({ error: error.message || 'Failed to list calendars' });
+  }
+});
+
+// Project event sync settings for the signed-in employee, with their recent conflicts
+app.get('/api/google/calendar/sync', async (req, res) => {
+  try {
+    const auth = await getAuthUserAndCompany(req);
+    if (auth.error) return res.status(auth.status).json({ error: auth.error });
+
+    const result = await googleCalendarSync.getSyncSettings(auth.companyID, auth.employee.id);
+    res.json(result);
+  } catch (error) {
+    console.error('Get Google Calendar sync error:', error);
+    res.status(500).json({ error: 'Internal server error' });
+  }
+});
+
+// Turn project event sync on/off or change the target calendar. Turning it on copies the employee's project events.
+app.put('/api/google/calendar/sync', googleCalendarSyncPutValidation, handleValidationErrors, async (req, res) => {
+  try {
+    const auth = await getAuthUserAndCompany(req);
+    if (auth.error) return res.status(auth.status).json({ error: auth.error });
+    const { companyID } = auth;
+
+    const { enabled, calendar_id, calendar_name } = req.body;
+    if (enabled && !(await googleCalendarService.isConnected(auth.user.id))) {
+      return res.status(400).json({ error: 'Connect Google Calendar before turning on sync' });
+    }
+
+    const { pushed, applied } = await googleCalendarSync.updateSyncSettings({
+      companyID,
+      employeeId: auth.employee.id,
+      userId: auth.user.id,
+      enabled,
+      calendarId: calendar_id,
+      calendarName: calendar_name,
+    });
+
+    res.json({ ...(await googleCalendarSync.getSyncSettings(companyID, auth.employee.id)), pushed, applied });
+  } catch (error) {
+    console.error('Update Google Calendar sync error:', error);
+    res.status(500).json({ error: 'Internal server error' });
+  }
+});
+
+// Pull the signed-in employee's Google changes now instead of waiting for the scheduled sync
+app.post('/api/google/calendar/sync/run', async (req, res) => {
+  try {
+    const auth = await getAuthUserAndCompany(req);
+    if (auth.error) return res.status(auth.status).json({ error: auth.error });
+
+    const result = await googleCalendarSync.syncNow(auth.companyID, auth.employee.id);
+    if (!result) {
+      return res.status(400).json({ error: 'Google Calendar sync is not turned on' });
+    }
+
+    res.json(result);
+  } catch (error) {
+    console.error('Run Google Calendar sync error:', error);
+    res.status(500).json({ error: error.message || 'Failed to sync' });
+  }
+});
+
 // Disconnect Google Calendar
 app.post('/api/google/calendar/disconnect', async (req, res) => {
   try {
@@ -6945,6 +9462,12 @@ app.post('/api/google/calendar/disconnect', async (req, res) => {
       return res.status(401).json({ error: 'Invalid token' });
     }
 
+    // Remove synced copies while the tokens still work
+    try {
+      await googleCalendarSync.stopSyncForUser(user.id);
+    } catch (syncError) {
+      console.warn('Stopping Google Calendar sync failed (non-fatal):', syncError.message);
+    }
     await googleCalendarService.disconnect(user.id);
 
     res.json({ success: true });
@@ -7344,6 +9867,432 @@ app.get('/api/twilio/status', async (req, res) => {
   res.redirect(307, '/api/sms/status');
 });
 
+// ========== CUSTOMER PORTAL ENDPOINTS ==========
+
+// Portal links for a customer (staff)
+app.get('/api/customers/:id/portal-links', requirePermission('send_esign'), async (req, res) => {
+  try {
+    const auth = await getAuthUserAndCompany(req);
+    if (auth.error) return res.status(auth.status).json({ error: auth.error });
+    const { companyID } = auth;
+
+    const links = await customerPortal.listPortalLinks(companyID, req.params.id);
+    res.json({ links });
+  } catch (error) {
+    console.error('Get portal links error:', error);
+    res.status(500).json({ error: 'Internal server error' });
+  }
+});
+
+// Create a portal link; the full URL is only returned here
+app.post('/api/customers/:id/portal-links', requirePermission('send_esign'), portalLinkPostValidation, handleValidationErrors, async (req, res) => {
+  try {
+    const auth = await getAuthUserAndCompany(req);
+    if (auth.error) return res.status(auth.status).json({ error: auth.error });
+    const { companyID } = auth;
+
+    const { id } = req.params;
+
+    // Verify customer belongs to user's company
+    const { data: customer, error: customerError } = await supabase
+      .from('customers')
+      .select('id')
+      .eq('id', id)
+      .eq('company_id', companyID)
+      .is('deleted_at', null)
+      .single();
+
+    if (customerError || !customer) {
+      return res.status(404).json({ error: 'Customer not found' });
+    }
+
+    const { link, token } = await customerPortal.createPortalLink({
+      companyID,
+      customerId: id,
+      employeeId: auth.employee?.id,
+      expiresInDays: req.body.expires_in_days,
+    });
+
+    await auditLog.recordAudit({ auth, entityType: 'portal_link', entityId: link.id, action: 'create', after: link, metadata: { customer_id: id } });
+
+    const frontendUrl = process.env.FRONTEND_URL || 'http://localhost:3000';
+    res.status(201).json({ link, url: `${frontendUrl}/portal/${token}` });
+  } catch (error) {
+    console.error('Create portal link error:', error);
+    res.status(500).json({ error: 'Internal server error' });
+  }
+});
+
+// Revoke a portal link
+app.delete('/api/customers/:id/portal-links/:linkId', requirePermission('send_esign'), async (req, res) => {
+  try {
+    const auth = await getAuthUserAndCompany(req);
+    if (auth.error) return res.status(auth.status).json({ error: auth.error });
+    const { companyID } = auth;
+
+    const { id, linkId } = req.params;
+    const revoked = await customerPortal.revokePortalLink(companyID, id, linkId);
+    if (!revoked) {
+      return res.status(404).json({ error: 'Portal link not found' });
+    }
+
+    await auditLog.recordAudit({ auth, entityType: 'portal_link', entityId: linkId, action: 'update', before: revoked.before, after: revoked.after, metadata: { customer_id: id } });
+
+    res.json({ success: true });
+  } catch (error) {
+    console.error('Revoke portal link error:', error);
+    res.status(500).json({ error: 'Internal server error' });
+  }
+});
+
+// Public: the customer's projects, documents, payment schedule and shared photos (no Supabase session)
+app.get('/api/portal/:token', portalTokenValidation, handleValidationErrors, async (req, res) => {
+  try {
+    const link = await customerPortal.resolvePortalToken(req.params.token);
+    if (!link) {
+      return res.status(404).json({ error: 'This link is invalid or has expired. Please ask us for a new one.' });
+    }
+
+    const overview = await customerPortal.getPortalOverview(link);
+    res.json(overview);
+  } catch (error) {
+    console.error('Get portal error:', error);
+    res.status(500).json({ error: 'Internal server error' });
+  }
+});
+
+// Public: short-lived download URL for a portal document
+app.get('/api/portal/:token/documents/:documentId', portalTokenValidation, handleValidationErrors, async (req, res) => {
+  try {
+    const link = await customerPortal.resolvePortalToken(req.params.token);
+    if (!link) {
+      return res.status(404).json({ error: 'This link is invalid or has expired. Please ask us for a new one.' });
+    }
+
+    const document = await customerPortal.getPortalDocumentUrl(link, req.params.documentId);
+    if (!document) {
+      return res.status(404).json({ error: 'Document not found' });
+    }
+
+    res.json(document);
+  } catch (error) {
+    console.error('Get portal document error:', error);
+    res.status(500).json({ error: 'Internal server error' });
+  }
+});
+
+// Public: the customer chooses an option package on one of their proposals
+app.post('/api/portal/:token/documents/:documentId/option', portalOptionSelectValidation, handleValidationErrors, async (req, res) => {
+  try {
+    const link = await customerPortal.resolvePortalToken(req.params.token);
+    if (!link) {
+      return res.status(404).json({ error: 'This link is invalid or has expired. Please ask us for a new one.' });
+    }
+
+    const { documentId } = req.params;
+    const result = await customerPortal.selectPortalOption(link, documentId, req.body.option_id);
+    if (!result) {
+      return res.status(404).json({ error: 'Proposal not found' });
+    }
+    if (result.error) {
+      return res.status(result.status).json({ error: result.error });
+    }
+
+    const auth = { companyID: link.company_id, user: null };
+    await auditLog.recordAudit({
+      auth,
+      entityType: 'document',
+      entityId: documentId,
+      action: 'update',
+      before: result.before,
+      after: result.after,
+      metadata: { via: 'customer_portal', portal_link_id: link.id },
+    });
+    await recordOptionCarryOver(result.applied, auth);
+
+    res.json({ selectedOptionId: result.after.selected_option_id, applied: !!result.applied });
+  } catch (error) {
+    console.error('Portal option selection error:', error);
+    res.status(500).json({ error: 'Internal server error' });
+  }
+});
+
+// ========== SEARCH ENDPOINTS ==========
+
+// Ranked matches across customers, projects, documents, inventory and subcontractors (Dashboard header search)
+app.get('/api/search', searchQueryValidation, handleValidationErrors, async (req, res) => {
+  try {
+    const auth = await getAuthUserAndCompany(req);
+    if (auth.error) return res.status(auth.status).json({ error: auth.error });
+    const { companyID } = auth;
+
+    const results = await globalSearch.searchCompany(companyID, req.query.q, { limit: req.query.limit });
+    res.json({ results });
+  } catch (error) {
+    console.error('Global search error:', error);
+    res.status(500).json({ error: 'Internal server error' });
+  }
+});
+
+// ========== TRASH ENDPOINTS ==========
+
+// Trashed customers, projects and documents with their purge dates (requires delete_records)
+app.get('/api/trash', requirePermission('delete_records'), async (req, res) => {
+  try {
+    const auth = await getAuthUserAndCompany(req);
+    if (auth.error) return res.status(auth.status).json({ error: auth.error });
+    const { companyID } = auth;
+
+    const { items, retentionDays } = await trash.listTrash(companyID);
+    const permissions = await getAuthPermissions(auth);
+
+    res.json({
+      items,
+      retentionDays,
+      minRetentionDays: trash.MIN_RETENTION_DAYS,
+      maxRetentionDays: trash.MAX_RETENTION_DAYS,
+      canEditRetention: permissions.has('manage_company'),
+    });
+  } catch (error) {
+    console.error('Get trash error:', error);
+    res.status(500).json({ error: 'Internal server error' });
+  }
+});
+
+// Restore a trashed record
+app.post('/api/trash/:type/:id/restore', requirePermission('delete_records'), trashItemValidation, handleValidationErrors, async (req, res) => {
+  try {
+    const auth = await getAuthUserAndCompany(req);
+    if (auth.error) return res.status(auth.status).json({ error: auth.error });
+    const { companyID } = auth;
+
+    const { type, id } = req.params;
+    const restored = await trash.restoreFromTrash(type, id, companyID);
+    if (!restored) {
+      return res.status(404).json({ error: 'Item not found in trash' });
+    }
+    if (restored.error) {
+      return res.status(restored.status).json({ error: restored.error });
+    }
+
+    await auditLog.recordAudit({
+      auth,
+      entityType: trash.TRASH_TYPES[type].auditType,
+      entityId: id,
+      action: 'restore',
+      before: restored.before,
+      after: restored.after,
+      metadata: restored.restoredChildIds.length ? { project_ids: restored.restoredChildIds } : null,
+    });
+    for (const projectId of restored.restoredChildIds) {
+      await auditLog.recordAudit({ auth, entityType: 'project', entityId: projectId, action: 'restore', metadata: { customer_id: id } });
+    }
+
+    res.json({ success: true });
+  } catch (error) {
+    console.error('Restore from trash error:', error);
+    res.status(500).json({ error: 'Internal server error' });
+  }
+});
+
+// Permanently delete a trashed record (and everything that cascades from it)
+app.delete('/api/trash/:type/:id', requirePermission('delete_records'), trashItemValidation, handleValidationErrors, async (req, res) => {
+  try {
+    const auth = await getAuthUserAndCompany(req);
+    if (auth.error) return res.status(auth.status).json({ error: auth.error });
+    const { companyID } = auth;
+
+    const { type, id } = req.params;
+    const purged = await trash.purgeRecord(type, id, companyID);
+    if (!purged) {
+      return res.status(404).json({ error: 'Item not found in trash' });
+    }
+
+    await auditLog.recordAudit({
+      auth,
+      entityType: trash.TRASH_TYPES[type].auditType,
+      entityId: id,
+      action: 'purge',
+      before: purged,
+    });
+
+    res.json({ success: true });
+  } catch (error) {
+    console.error('Purge from trash error:', error);
+    res.status(500).json({ error: 'Internal server error' });
+  }
+});
+
+// Change how long trashed records are kept (requires manage_company)
+app.put('/api/trash/settings', requirePermission('manage_company'), trashSettingsValidation, handleValidationErrors, async (req, res) => {
+  try {
+    const auth = await getAuthUserAndCompany(req);
+    if (auth.error) return res.status(auth.status).json({ error: auth.error });
+    const { companyID } = auth;
+
+    const before = await trash.getRetentionDays(companyID);
+    const retentionDays = await trash.setRetentionDays(companyID, req.body.retention_days);
+
+    await auditLog.recordAudit({
+      auth,
+      entityType: 'company',
+      entityId: companyID,
+      action: 'update',
+      before: { trash_retention_days: before },
+      after: { trash_retention_days: retentionDays },
+    });
+
+    res.json({ retentionDays });
+  } catch (error) {
+    console.error('Update trash settings error:', error);
+    res.status(500).json({ error: 'Internal server error' });
+  }
+});
+
+// ========== AUDIT LOG ENDPOINTS ==========
+
+// Get audit log entries for the company (requires view_audit_log)
+app.get('/api/audit-log', requirePermission('view_audit_log'), auditLogQueryValidation, handleValidationErrors, async (req, res) => {
+  try {
+    const auth = await getAuthUserAndCompany(req);
+    if (auth.error) return res.status(auth.status).json({ error: auth.error });
+    const { companyID } = auth;
+
+    const { entity_type, entity_id, action, actor, from, to, limit, offset } = req.query;
+
+    const { entries, total } = await auditLog.getAuditLog(companyID, {
+      entityType: entity_type,
+      entityId: entity_id,
+      action,
+      actorEmployeeId: actor,
+      from,
+      to,
+      limit,
+      offset,
+    });
+
+    res.json({ entries, total });
+  } catch (error) {
+    console.error('Get audit log error:', error);
+    res.status(500).json({ error: 'Internal server error' });
+  }
+});
+
+// ========== PERMISSION ENDPOINTS ==========
+
+// Current user's effective permissions, plus the company matrix (for Settings) for those who manage employees or
+// the company
+app.get('/api/permissions', async (req, res) => {
+  try {
+    const auth = await getAuthUserAndCompany(req);
+    if (auth.error) return res.status(auth.status).json({ error: auth.error });
+    const { companyID, employee } = auth;
+
+    const matrix = await permissionsService.getCompanyPermissionMatrix(companyID);
+    const permissions = permissionsService.resolvePermissions(employee, matrix);
+    const canViewMatrix = permissions.has('manage_employees') || permissions.has('manage_company');
+
+    res.json({
+      permissions: [...permissions],
+      ...(canViewMatrix && {
+        matrix,
+        definitions: permissionsService.PERMISSIONS,
+        userTypes: permissionsService.USER_TYPES,
+        roles: permissionsService.USER_ROLES,
+      }),
+      canEdit: permissionsService.hasFullAccess(employee),
+      employeeId: employee?.id || null,
+    });
+  } catch (error) {
+    console.error('Get permissions error:', error);
+    res.status(500).json({ error: 'Internal server error' });
+  }
+});
+
+// Update the company permission matrix (admins and owners only)
+app.put('/api/permissions', permissionsPutValidation, handleValidationErrors, async (req, res) => {
+  try {
+    const auth = await getAuthUserAndCompany(req);
+    if (auth.error) return res.status(auth.status).json({ error: auth.error });
+    const { companyID, employee } = auth;
+
+    if (!permissionsService.hasFullAccess(employee)) {
+      return res.status(403).json({ error: 'Only admins and owners can change permissions' });
+    }
+
+    const previousMatrix = await permissionsService.getCompanyPermissionMatrix(companyID);
+    const matrix = await permissionsService.saveCompanyPermissionMatrix(companyID, req.body.matrix);
+
+    await auditLog.recordAudit({
+      auth,
+      entityType: 'company',
+      entityId: companyID,
+      action: 'update',
+      before: { permission_matrix: previousMatrix },
+      after: { permission_matrix: matrix },
+    });
+
+    res.json({ matrix });
+  } catch (error) {
+    console.error('Update permissions error:', error);
+    res.status(500).json({ error: 'Internal server error' });
+  }
+});
+
+// Purge trashed records past their company's retention period at startup and every 6 hours
+const TRASH_PURGE_INTERVAL_MS = 6 * 60 * 60 * 1000;
+const runTrashPurge = async () => {
+  try {
+    const purged = await trash.purgeExpiredTrash();
+    if (purged > 0) console.log(`Trash purge: removed ${purged} expired record(s)`);
+  } catch (error) {
+    console.error('Trash purge error:', error);
+  }
+};
+
+// Text/email customers about overdue invoices for companies that turned reminders on (hourly, during the
+// day in each company's time zone; each invoice is only re-reminded after its company's interval has passed)
+const PAYMENT_REMINDER_INTERVAL_MS = 60 * 60 * 1000;
+const runPaymentReminders = async () => {
+  try {
+    const reminded = await receivables.runPaymentReminders();
+    if (reminded > 0) console.log(`Payment reminders: reminded ${reminded} overdue invoice(s)`);
+  } catch (error) {
+    console.error('Payment reminders error:', error);
+  }
+};
+
+// Tell office staff about subcontractor COIs that entered the alert window or expired (daily; each certificate is
+// alerted once per stage)
+const COI_ALERT_INTERVAL_MS = 24 * 60 * 60 * 1000;
+const runCoiAlerts = async () => {
+  try {
+    const alerted = await subcontractorCoi.runCoiAlerts();
+    if (alerted > 0) console.log(`COI alerts: alerted on ${alerted} subcontractor(s)`);
+  } catch (error) {
+    console.error('COI alerts error:', error);
+  }
+};
+
+// Bring edits made in synced Google calendars back into the CRM (every 10 minutes, incremental via sync tokens)
+const GOOGLE_CALENDAR_SYNC_INTERVAL_MS = 10 * 60 * 1000;
+const runGoogleCalendarSync = async () => {
+  try {
+    const changed = await googleCalendarSync.runGoogleCalendarSync();
+    if (changed > 0) console.log(`Google Calendar sync: updated ${changed} event(s) from Google`);
+  } catch (error) {
+    console.error('Google Calendar sync error:', error);
+  }
+};
+
 app.listen(PORT, '0.0.0.0', () => {
   console.log(`Backend listening on http://localhost:${PORT}`);
+  runTrashPurge();
+  setInterval(runTrashPurge, TRASH_PURGE_INTERVAL_MS).unref();
+  runPaymentReminders();
+  setInterval(runPaymentReminders, PAYMENT_REMINDER_INTERVAL_MS).unref();
+  runCoiAlerts();
+  setInterval(runCoiAlerts, COI_ALERT_INTERVAL_MS).unref();
+  runGoogleCalendarSync();
+  setInterval(runGoogleCalendarSync, GOOGLE_CALENDAR_SYNC_INTERVAL_MS).unref();
 });
\ No newline at end of file
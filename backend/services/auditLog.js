@@ -0,0 +1,160 @@
+import dotenv from 'dotenv';
+import { fileURLToPath } from 'url';
+import { dirname, join } from 'path';
+import { createClient } from '@supabase/supabase-js';
+
+const __filename = fileURLToPath(import.meta.url);
+const __dirname = dirname(__filename);
+
+// Load .env from root directory (two levels up from backend/services/)
+dotenv.config({ path: join(__dirname, '..', '..', '.env') });
+
+const supabaseUrl = process.env.SUPABASE_URL;
+const supabaseServiceKey = process.env.SUPABASE_SERVICE_ROLE_KEY;
+
+const supabase = createClient(supabaseUrl || '', supabaseServiceKey || '');
+
+export const AUDIT_ENTITY_TYPES = [
+  'customer',
+  'project',
+  'expense',
+  'milestone',
+  'inventory',
+  'subcontractor',
+  'employee',
+  'document',
+  'company',
+  'whitelist',
+  'portal_link',
+  'invoice',
+  'payment',
+  'change_order',
+  'contract_clause',
+  'proposal_option',
+  'supplier',
+  'purchase_order',
+  'schedule_task',
+  'calendar_event',
+];
+
+export const AUDIT_ACTIONS = ['create', 'update', 'delete', 'restore', 'purge'];
+
+// Bookkeeping columns that change on every write and would only add noise to a diff
+const IGNORED_FIELDS = new Set(['updated_at', 'created_at']);
+
+const MAX_PAGE_SIZE = 200;
+
+const isEqualValue = (a, b) => {
+  if (a === b) return true;
+  if (a == null && b == null) return true;
+  return JSON.stringify(a) === JSON.stringify(b);
+};
+
+/**
+ * Field-level diff between two versions of a record
+ * Pass null for `before` on create or for `after` on delete to capture the whole row.
+ * @param {Object|null} before - Row before the change
+ * @param {Object|null} after - Row after the change
+ * @returns {Object} { field: { before, after } } for every field that changed
+ */
+export function diffRecords(before, after) {
+  const changes = {};
+  const keys = new Set([...Object.keys(before || {}), ...Object.keys(after || {})]);
+  for (const key of keys) {
+    if (IGNORED_FIELDS.has(key)) continue;
+    const from = before ? before[key] ?? null : null;
+    // On updates, only compare columns present on both sides (joined relations, partial rows)
+    if (before && after && (!(key in before) || !(key in after))) continue;
+    const to = after ? after[key] ?? null : null;
+    if (!isEqualValue(from, to)) {
+      changes[key] = { before: from, after: to };
+    }
+  }
+  return changes;
+}
+
+/**
+ * Record one audit entry. Failures are logged and swallowed so auditing never breaks the request.
+ * @param {Object} entry
+ * @param {Object} entry.auth - Result of getAuthUserAndCompany ({ user, companyID, employee })
+ * @param {string} entry.entityType - One of AUDIT_ENTITY_TYPES
+ * @param {string} entry.entityId - ID of the affected row
+ * @param {string} entry.action - One of AUDIT_ACTIONS
+ * @param {Object|null} [entry.before] - Row before the change
+ * @param {Object|null} [entry.after] - Row after the change
+ * @param {Object} [entry.metadata] - Extra context (parent project, file name, ...)
+ */
+export async function recordAudit({ auth, entityType, entityId, action, before = null, after = null, metadata = null }) {
+  try {
+    const changes = diffRecords(before, after);
+    // Nothing actually changed (e.g. a save with identical values)
+    if (action === 'update' && Object.keys(changes).length === 0) return;
+
+    const { error } = await supabase
+      .from('audit_log')
+      .insert({
+        company_id: auth.companyID,
+        actor_user_id: auth.user?.id || null,
+        actor_employee_id: auth.employee?.id || null,
+        actor_name: auth.employee?.name || null,
+        actor_email: auth.user?.email || null,
+        entity_type: entityType,
+        entity_id: entityId != null ? String(entityId) : null,
+        action,
+        changes,
+        metadata,
+      });
+
+    if (error) {
+      console.warn('audit_log insert failed (non-fatal):', error.message);
+    }
+  } catch (err) {
+    console.warn('audit_log error (non-fatal):', err);
+  }
+}
+
+/**
+ * Fetch audit entries for a company, newest first
+ * @param {string} companyID
+ * @param {Object} [filters]
+ * @param {string} [filters.entityType]
+ * @param {string} [filters.entityId]
+ * @param {string} [filters.action]
+ * @param {string} [filters.actorEmployeeId]
+ * @param {string} [filters.from] - Inclusive lower bound on created_at (ISO date)
+ * @param {string} [filters.to] - Inclusive upper bound on created_at (ISO date)
+ * @param {number} [filters.limit]
+ * @param {number} [filters.offset]
+ * @returns {Promise<Object>} { entries, total }
+ */
+export async function getAuditLog(companyID, { entityType, entityId, action, actorEmployeeId, from, to, limit = 50, offset = 0 } = {}) {
+  const pageSize = Math.min(Math.max(parseInt(limit, 10) || 50, 1), MAX_PAGE_SIZE);
+  const start = Math.max(parseInt(offset, 10) || 0, 0);
+
+  let query = supabase
+    .from('audit_log')
+    .select('*', { count: 'exact' })
+    .eq('company_id', companyID);
+
+  if (entityType) query = query.eq('entity_type', entityType);
+  if (entityId) query = query.eq('entity_id', entityId);
+  if (action) query = query.eq('action', action);
+  if (actorEmployeeId) query = query.eq('actor_employee_id', actorEmployeeId);
+  if (from) query = query.gte('created_at', from);
+  if (to) query = query.lte('created_at', to);
+
+  const { data, error, count } = await query
+    .order('created_at', { ascending: false })
+    .range(start, start + pageSize - 1);
+
+  if (error) throw new Error(error.message);
+  return { entries: data || [], total: count || 0 };
+}
+
+export default {
+  AUDIT_ENTITY_TYPES,
+  AUDIT_ACTIONS,
+  diffRecords,
+  recordAudit,
+  getAuditLog,
+};
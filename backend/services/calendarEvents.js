@@ -0,0 +1,771 @@
+import dotenv from 'dotenv';
+import crypto from 'crypto';
+import { fileURLToPath } from 'url';
+import { dirname, join } from 'path';
+import { createClient } from '@supabase/supabase-js';
+import { hashToken } from './customerPortal.js';
+
+const __filename = fileURLToPath(import.meta.url);
+const __dirname = dirname(__filename);
+
+// Load .env from root directory (two levels up from backend/services/)
+dotenv.config({ path: join(__dirname, '..', '..', '.env') });
+
+const supabaseUrl = process.env.SUPABASE_URL;
+const supabaseServiceKey = process.env.SUPABASE_SERVICE_ROLE_KEY;
+
+const supabase = createClient(supabaseUrl || '', supabaseServiceKey || '');
+
+const DAY_MS = 24 * 60 * 60 * 1000;
+const HOUR_MS = 60 * 60 * 1000;
+
+// Must match calendarEventTypes in validation.js and EVENT_TYPES in frontend/src/components/CalendarEventModal.jsx
+export const EVENT_TYPES = [
+  { key: 'site_visit', label: 'Site visit' },
+  { key: 'inspection', label: 'Inspection' },
+  { key: 'meeting', label: 'Meeting' },
+  { key: 'delivery', label: 'Delivery' },
+  { key: 'subcontractor', label: 'Subcontractor' },
+  { key: 'other', label: 'Other' },
+];
+
+export const RECURRENCE_FREQUENCIES = ['daily', 'weekly', 'monthly', 'yearly'];
+
+// Longest window the calendar view can ask for at once, and a cap on occurrences per series in that window
+export const MAX_RANGE_DAYS = 400;
+const MAX_OCCURRENCES_PER_EVENT = 500;
+// Safety net for series whose rule never reaches the window (e.g. the 31st of every second month)
+const MAX_RECURRENCE_STEPS = 5000;
+
+// What the iCal feed covers. Calendar apps poll it, so recent history plus the coming year is plenty.
+const FEED_PAST_DAYS = 60;
+const FEED_FUTURE_DAYS = 365;
+
+const DEFAULT_TIME_ZONE = 'America/New_York';
+
+const EVENT_SELECT = `
+  *,
+  project:project_id (id, project_name, address),
+  customer:customer_id (id, first_name, last_name),
+  assignees:calendar_event_assignees (employee:employee_id (id, name))
+`;
+
+const customerName = (c) => [c?.first_name, c?.last_name].filter(Boolean).join(' ');
+
+/**
+ * Flatten the joined project, customer and assignees onto the event row
+ * @param {Object} row - calendar_events row selected with EVENT_SELECT
+ * @returns {Object}
+ */
+function shapeEvent({ project, customer, assignees, ...event }) {
+  const employees = (assignees || []).map((a) => a.employee).filter(Boolean);
+  return {
+    ...event,
+    project_name: project?.project_name || null,
+    project_address: project?.address || null,
+    customer_name: customerName(customer) || null,
+    assignees: employees.map((e) => ({ id: e.id, name: e.name })),
+    assignee_ids: employees.map((e) => e.id),
+  };
+}
+
+/**
+ * Plain columns plus assignee ids, for audit diffs
+ * @param {Object|null} event - Shaped event
+ * @returns {Object|null}
+ */
+export const auditFields = (event) => {
+  if (!event) return null;
+  const { project_name, project_address, customer_name, assignees, ...rest } = event;
+  return rest;
+};
+
+// ---------------------------------------------------------------------------
+// Time zones and recurrence
+// ---------------------------------------------------------------------------
+
+const zoneFormatters = new Map();
+
+/**
+ * Wall-clock parts of an instant in a time zone
+ * @param {number} ms - Epoch milliseconds
+ * @param {string} timeZone - IANA zone
+ * @returns {Object} { year, month (1-12), day, hour, minute, second }
+ */
+function zoneParts(ms, timeZone) {
+  if (!zoneFormatters.has(timeZone)) {
+    zoneFormatters.set(timeZone, new Intl.DateTimeFormat('en-US', {
+      timeZone,
+      hourCycle: 'h23',
+      year: 'numeric',
+      month: 'numeric',
+      day: 'numeric',
+      hour: 'numeric',
+      minute: 'numeric',
+      second: 'numeric',
+    }));
+  }
+  const parts = {};
+  for (const { type, value } of zoneFormatters.get(timeZone).formatToParts(new Date(ms))) {
+    if (type !== 'literal') parts[type] = parseInt(value, 10);
+  }
+  return { year: parts.year, month: parts.month, day: parts.day, hour: parts.hour, minute: parts.minute, second: parts.second };
+}
+
+const partsToUtcMs = (p) => Date.UTC(p.year, p.month - 1, p.day, p.hour, p.minute, p.second);
+
+/**
+ * The instant a wall-clock time happens in a time zone. Times skipped by a daylight saving jump shift by an hour.
+ * @param {Object} parts - { year, month, day, hour, minute, second }
+ * @param {string} timeZone
+ * @returns {number} Epoch milliseconds
+ */
+export function zonedTimeToUtc(parts, timeZone) {
+  const wallAsUtc = partsToUtcMs(parts);
+  const offsetAt = (ms) => partsToUtcMs(zoneParts(ms, timeZone)) - Math.floor(ms / 1000) * 1000;
+  const firstGuess = wallAsUtc - offsetAt(wallAsUtc);
+  return wallAsUtc - offsetAt(firstGuess);
+}
+
+/**
+ * Wall-clock start of the nth step of a series, or null when that date doesn't exist
+ * (a monthly event on the 31st skips shorter months, a yearly one on Feb 29 skips non-leap years)
+ * @returns {Object|null}
+ */
+function stepWallTime(base, frequency, steps) {
+  const next = { ...base };
+  if (frequency === 'daily') next.day += steps;
+  else if (frequency === 'weekly') next.day += steps * 7;
+  else if (frequency === 'monthly') next.month += steps;
+  else if (frequency === 'yearly') next.year += steps;
+
+  // Let Date normalise day/month overflow, then reject dates that rolled into the next month
+  const normalized = new Date(Date.UTC(next.year, next.month - 1, next.day));
+  if ((frequency === 'monthly' || frequency === 'yearly') && normalized.getUTCDate() !== base.day) return null;
+  return {
+    ...next,
+    year: normalized.getUTCFullYear(),
+    month: normalized.getUTCMonth() + 1,
+    day: normalized.getUTCDate(),
+  };
+}
+
+const wallDate = (p) => `${p.year}-${String(p.month).padStart(2, '0')}-${String(p.day).padStart(2, '0')}`;
+
+/**
+ * Occurrences of an event that overlap [rangeStart, rangeEnd). A one-off event yields itself when it overlaps.
+ * Timed repeats keep their wall-clock time in the event's zone; all-day repeats step whole UTC days.
+ * @param {Object} event - calendar_events row
+ * @param {Date|string|number} rangeStart
+ * @param {Date|string|number} rangeEnd
+ * @returns {Object[]} { ...event, occurrence_start, occurrence_end, occurrence_key }
+ */
+export function expandOccurrences(event, rangeStart, rangeEnd) {
+  const windowStart = new Date(rangeStart).getTime();
+  const windowEnd = new Date(rangeEnd).getTime();
+  const seriesStart = new Date(event.starts_at).getTime();
+  const duration = new Date(event.ends_at).getTime() - seriesStart;
+
+  const occurrence = (startMs) => {
+    const start = new Date(startMs).toISOString();
+    return {
+      ...event,
+      occurrence_start: start,
+      occurrence_end: new Date(startMs + duration).toISOString(),
+      occurrence_key: `${event.id}:${start}`,
+    };
+  };
+
+  if (!event.recurrence_frequency) {
+    return seriesStart < windowEnd && seriesStart + duration > windowStart ? [occurrence(seriesStart)] : [];
+  }
+
+  const frequency = event.recurrence_frequency;
+  const interval = Math.max(parseInt(event.recurrence_interval, 10) || 1, 1);
+  const timeZone = event.all_day ? 'UTC' : event.time_zone || DEFAULT_TIME_ZONE;
+  const base = zoneParts(seriesStart, timeZone);
+  const count = event.recurrence_count || null;
+  const until = event.recurrence_until || null;
+
+  // Daily and weekly series without a count can jump close to the window instead of walking from the first
+  // occurrence (one step early to absorb daylight saving shifts)
+  let step = 0;
+  if (!count && (frequency === 'daily' || frequency === 'weekly')) {
+    const stepMs = (frequency === 'daily' ? 1 : 7) * interval * DAY_MS;
+    step = Math.max(Math.floor((windowStart - duration - seriesStart) / stepMs) - 1, 0);
+  }
+
+  const occurrences = [];
+  let produced = 0;
+  for (let i = 0; i < MAX_RECURRENCE_STEPS; i += 1, step += 1) {
+    const wall = stepWallTime(base, frequency, step * interval);
+    if (!wall) continue;
+    if (until && wallDate(wall) > until) break;
+    if (count && produced >= count) break;
+    produced += 1;
+
+    const startMs = event.all_day ? partsToUtcMs(wall) : zonedTimeToUtc(wall, timeZone);
+    if (startMs >= windowEnd) break;
+    if (startMs + duration > windowStart) {
+      occurrences.push(occurrence(startMs));
+      if (occurrences.length >= MAX_OCCURRENCES_PER_EVENT) break;
+    }
+  }
+  return occurrences;
+}
+
+// ---------------------------------------------------------------------------
+// iCal output
+// ---------------------------------------------------------------------------
+
+// TEXT values escape backslashes, separators and newlines (RFC 5545 3.3.11)
+const icsText = (value) => String(value ?? '')
+  .replace(/\\/g, '\\\\')
+  .replace(/;/g, '\\;')
+  .replace(/,/g, '\\,')
+  .replace(/\r?\n/g, '\\n');
+
+const icsDateTime = (iso) => new Date(iso).toISOString().replace(/[-:]/g, '').replace(/\.\d{3}/, '');
+const icsDate = (iso) => new Date(iso).toISOString().slice(0, 10).replace(/-/g, '');
+
+// Content lines are folded at 75 octets, continuation lines start with a space
+function foldLine(line) {
+  const bytes = Buffer.from(line, 'utf8');
+  if (bytes.length <= 75) return line;
+
+  const chunks = [];
+  let current = '';
+  let currentBytes = 0;
+  for (const char of line) {
+    const size = Buffer.byteLength(char, 'utf8');
+    const limit = chunks.length === 0 ? 75 : 74;
+    if (currentBytes + size > limit) {
+      chunks.push(current);
+      current = '';
+      currentBytes = 0;
+    }
+    current += char;
+    currentBytes += size;
+  }
+  chunks.push(current);
+  return chunks.join('\r\n ');
+}
+
+/**
+ * Render occurrences as an iCalendar document. Repeating events are written out occurrence by occurrence
+ * (each with its own UID) so every calendar app shows them in the right zone without VTIMEZONE blocks.
+ * @param {Object} params
+ * @param {string} params.calendarName
+ * @param {Object[]} params.occurrences - From expandOccurrences, shaped with shapeEvent
+ * @returns {string}
+ */
+export function buildIcs({ calendarName, occurrences }) {
+  const typeLabels = Object.fromEntries(EVENT_TYPES.map((t) => [t.key, t.label]));
+  const lines = [
+    'BEGIN:VCALENDAR',
+    'VERSION:2.0',
+    'PRODID:-//Tovyalla CRM//Calendar//EN',
+    'CALSCALE:GREGORIAN',
+    'METHOD:PUBLISH',
+    `X-WR-CALNAME:${icsText(calendarName)}`,
+    'X-PUBLISHED-TTL:PT1H',
+    'REFRESH-INTERVAL;VALUE=DURATION:PT1H',
+  ];
+
+  for (const occ of occurrences) {
+    const details = [
+      occ.description,
+      occ.project_name && `Project: ${occ.project_name}`,
+      occ.customer_name && `Customer: ${occ.customer_name}`,
+    ].filter(Boolean).join('\n\n');
+
+    lines.push(
+      'BEGIN:VEVENT',
+      `UID:${occ.recurrence_frequency ? `${occ.id}-${icsDateTime(occ.occurrence_start)}` : occ.id}@tovyalla-crm`,
+      `DTSTAMP:${icsDateTime(occ.updated_at || occ.created_at || new Date().toISOString())}`,
+      ...(occ.all_day
+        ? [`DTSTART;VALUE=DATE:${icsDate(occ.occurrence_start)}`, `DTEND;VALUE=DATE:${icsDate(occ.occurrence_end)}`]
+        : [`DTSTART:${icsDateTime(occ.occurrence_start)}`, `DTEND:${icsDateTime(occ.occurrence_end)}`]),
+      `SUMMARY:${icsText(occ.title)}`,
+      ...(details ? [`DESCRIPTION:${icsText(details)}`] : []),
+      ...(occ.location || occ.project_address ? [`LOCATION:${icsText(occ.location || occ.project_address)}`] : []),
+      `CATEGORIES:${icsText(typeLabels[occ.event_type] || 'Other')}`,
+      'END:VEVENT',
+    );
+  }
+
+  lines.push('END:VCALENDAR');
+  return `${lines.map(foldLine).join('\r\n')}\r\n`;
+}
+
+// ---------------------------------------------------------------------------
+// Events
+// ---------------------------------------------------------------------------
+
+/**
+ * Ids of the events an employee is assigned to
+ * @returns {Promise<string[]>}
+ */
+async function assignedEventIds(companyID, employeeId) {
+  const { data, error } = await supabase
+    .from('calendar_event_assignees')
+    .select('event_id')
+    .eq('company_id', companyID)
+    .eq('employee_id', employeeId);
+  if (error) throw new Error(error.message);
+  return (data || []).map((row) => row.event_id);
+}
+
+/**
+ * Events (one-off or repeating) that could have an occurrence in the window, shaped
+ * @returns {Promise<Object[]>}
+ */
+async function loadEventsInWindow(companyID, start, end, { projectId, customerId, eventIds } = {}) {
+  let query = supabase
+    .from('calendar_events')
+    .select(EVENT_SELECT)
+    .eq('company_id', companyID)
+    .lt('starts_at', end)
+    .or(`ends_at.gt.${start},recurrence_frequency.not.is.null`)
+    .order('starts_at', { ascending: true });
+  if (projectId) query = query.eq('project_id', projectId);
+  if (customerId) query = query.eq('customer_id', customerId);
+  if (eventIds) query = query.in('id', eventIds);
+
+  const { data, error } = await query;
+  if (error) throw new Error(error.message);
+
+  const startDate = start.slice(0, 10);
+  return (data || [])
+    .filter((event) => !event.recurrence_until || event.recurrence_until >= startDate)
+    .map(shapeEvent);
+}
+
+/**
+ * Occurrences of the company's events in a window, soonest first
+ * @param {string} companyID
+ * @param {Object} filters
+ * @param {string} filters.start - ISO timestamp
+ * @param {string} filters.end - ISO timestamp
+ * @param {string} [filters.projectId]
+ * @param {string} [filters.customerId]
+ * @param {string} [filters.employeeId] - Only events assigned to this employee
+ * @returns {Promise<Object>} { events } or { error, status }
+ */
+export async function listEvents(companyID, { start, end, projectId, customerId, employeeId }) {
+  const startMs = new Date(start).getTime();
+  const endMs = new Date(end).getTime();
+  if (!(endMs > startMs)) {
+    return { error: 'end must be after start', status: 400 };
+  }
+  if (endMs - startMs > MAX_RANGE_DAYS * DAY_MS) {
+    return { error: `The calendar can load at most ${MAX_RANGE_DAYS} days at a time`, status: 400 };
+  }
+
+  let eventIds;
+  if (employeeId) {
+    eventIds = await assignedEventIds(companyID, employeeId);
+    if (eventIds.length === 0) return { events: [] };
+  }
+
+  const startIso = new Date(startMs).toISOString();
+  const endIso = new Date(endMs).toISOString();
+  const events = await loadEventsInWindow(companyID, startIso, endIso, { projectId, customerId, eventIds });
+  const occurrences = events
+    .flatMap((event) => expandOccurrences(event, startIso, endIso))
+    .sort((a, b) => a.occurrence_start.localeCompare(b.occurrence_start));
+
+  return { events: occurrences };
+}
+
+/**
+ * One event, shaped
+ * @returns {Promise<Object|null>}
+ */
+export async function getEvent(companyID, eventId) {
+  const { data, error } = await supabase
+    .from('calendar_events')
+    .select(EVENT_SELECT)
+    .eq('id', eventId)
+    .eq('company_id', companyID)
+    .maybeSingle();
+  if (error) throw new Error(error.message);
+  return data ? shapeEvent(data) : null;
+}
+
+/**
+ * Check the project, customer and assignees belong to the company
+ * @returns {Promise<Object>} { project } or { error, status }
+ */
+async function validateReferences(companyID, { projectId, customerId, assigneeIds }) {
+  let project = null;
+  if (projectId) {
+    const { data, error } = await supabase
+      .from('projects')
+      .select('id, customer_id')
+      .eq('id', projectId)
+      .eq('company_id', companyID)
+      .is('deleted_at', null)
+      .maybeSingle();
+    if (error) throw new Error(error.message);
+    if (!data) return { error: 'Project not found', status: 400 };
+    project = data;
+  }
+
+  if (customerId) {
+    const { data, error } = await supabase
+      .from('customers')
+      .select('id')
+      .eq('id', customerId)
+      .eq('company_id', companyID)
+      .is('deleted_at', null)
+      .maybeSingle();
+    if (error) throw new Error(error.message);
+    if (!data) return { error: 'Customer not found', status: 400 };
+  }
+
+  if (assigneeIds?.length) {
+    const { data, error } = await supabase
+      .from('employees')
+      .select('id')
+      .eq('company_id', companyID)
+      .in('id', assigneeIds);
+    if (error) throw new Error(error.message);
+    if ((data || []).length !== assigneeIds.length) return { error: 'Assignee not found', status: 400 };
+  }
+
+  return { project };
+}
+
+/**
+ * Turn submitted start/end into stored timestamps. All-day events take the date part of each value as the
+ * first and last day (inclusive) and are stored as midnight UTC to midnight UTC after the last day.
+ * Timed events default to one hour.
+ * @returns {Object} { starts_at, ends_at } or { error, status }
+ */
+function normalizeTimes({ allDay, startsAt, endsAt }) {
+  if (allDay) {
+    const firstDay = String(startsAt).slice(0, 10);
+    const lastDay = endsAt ? String(endsAt).slice(0, 10) : firstDay;
+    if (lastDay < firstDay) return { error: 'The last day cannot be before the first day', status: 400 };
+    const endMs = new Date(`${lastDay}T00:00:00Z`).getTime() + DAY_MS;
+    return { starts_at: `${firstDay}T00:00:00.000Z`, ends_at: new Date(endMs).toISOString() };
+  }
+
+  const startMs = new Date(startsAt).getTime();
+  const endMs = endsAt ? new Date(endsAt).getTime() : startMs + HOUR_MS;
+  if (!(endMs > startMs)) return { error: 'The event must end after it starts', status: 400 };
+  return { starts_at: new Date(startMs).toISOString(), ends_at: new Date(endMs).toISOString() };
+}
+
+// Inclusive last day of a stored all-day event, as the client submits it
+const lastAllDayDate = (event) => new Date(new Date(event.ends_at).getTime() - DAY_MS).toISOString().slice(0, 10);
+
+/**
+ * Recurrence columns from submitted values (clears the rule when there is no frequency)
+ * @returns {Object} recurrence columns or { error, status }
+ */
+function normalizeRecurrence({ frequency, interval, until, count }, startsAt) {
+  if (!frequency) {
+    return { recurrence_frequency: null, recurrence_interval: 1, recurrence_until: null, recurrence_count: null };
+  }
+  if (until && count) return { error: 'Choose an end date or a number of occurrences, not both', status: 400 };
+  if (until && until < startsAt.slice(0, 10)) return { error: 'The repeat end date is before the event', status: 400 };
+  return {
+    recurrence_frequency: frequency,
+    recurrence_interval: parseInt(interval, 10) || 1,
+    recurrence_until: until || null,
+    recurrence_count: count ? parseInt(count, 10) : null,
+  };
+}
+
+/**
+ * Replace an event's assignees
+ */
+async function saveAssignees(companyID, eventId, assigneeIds) {
+  const { error: deleteError } = await supabase
+    .from('calendar_event_assignees')
+    .delete()
+    .eq('event_id', eventId)
+    .eq('company_id', companyID);
+  if (deleteError) throw new Error(deleteError.message);
+
+  if (assigneeIds.length === 0) return;
+  const { error } = await supabase
+    .from('calendar_event_assignees')
+    .insert(assigneeIds.map((employeeId) => ({ event_id: eventId, employee_id: employeeId, company_id: companyID })));
+  if (error) throw new Error(error.message);
+}
+
+/**
+ * Create an event. A project's customer is filled in when no customer is given.
+ * @param {Object} params
+ * @param {string} params.companyID
+ * @param {string} params.title
+ * @param {string} [params.description]
+ * @param {string} [params.location]
+ * @param {string} [params.eventType]
+ * @param {string} [params.projectId]
+ * @param {string} [params.customerId]
+ * @param {boolean} [params.allDay]
+ * @param {string} params.startsAt - ISO timestamp, or YYYY-MM-DD for all-day events
+ * @param {string} [params.endsAt] - ISO timestamp, or the last day (inclusive) for all-day events
+ * @param {string} [params.timeZone] - IANA zone the times were entered in
+ * @param {Object} [params.recurrence] - { frequency, interval, until, count }
+ * @param {string[]} [params.assigneeIds]
+ * @param {string} [params.createdBy] - Employee id
+ * @returns {Promise<Object>} { event } or { error, status }
+ */
+export async function createEvent({
+  companyID, title, description, location, eventType, projectId, customerId, allDay, startsAt, endsAt, timeZone,
+  recurrence, assigneeIds, createdBy,
+}) {
+  const assignees = [...new Set(assigneeIds || [])];
+  const check = await validateReferences(companyID, { projectId, customerId, assigneeIds: assignees });
+  if (check.error) return check;
+
+  const times = normalizeTimes({ allDay: !!allDay, startsAt, endsAt });
+  if (times.error) return times;
+  const rule = normalizeRecurrence(recurrence || {}, times.starts_at);
+  if (rule.error) return rule;
+
+  const { data, error } = await supabase
+    .from('calendar_events')
+    .insert({
+      company_id: companyID,
+      title: title.trim(),
+      description: description || null,
+      location: location || null,
+      event_type: eventType || 'other',
+      project_id: projectId || null,
+      customer_id: customerId || check.project?.customer_id || null,
+      all_day: !!allDay,
+      ...times,
+      time_zone: timeZone || DEFAULT_TIME_ZONE,
+      ...rule,
+      created_by: createdBy || null,
+    })
+    .select('id')
+    .single();
+  if (error) throw new Error(error.message);
+
+  await saveAssignees(companyID, data.id, assignees);
+  return { event: await getEvent(companyID, data.id) };
+}
+
+/**
+ * Update an event (every occurrence of a repeating one). Fields left undefined are unchanged.
+ * @param {string} companyID
+ * @param {string} eventId
+ * @param {Object} fields - Same names as createEvent
+ * @returns {Promise<Object|null>} { before, after }, { error, status }, or null when not found
+ */
+export async function updateEvent(companyID, eventId, fields) {
+  const before = await getEvent(companyID, eventId);
+  if (!before) return null;
+
+  const { title, description, location, eventType, projectId, customerId, allDay, startsAt, endsAt, timeZone, recurrence, assigneeIds } = fields;
+  const assignees = assigneeIds !== undefined ? [...new Set(assigneeIds || [])] : undefined;
+
+  const check = await validateReferences(companyID, { projectId: projectId || null, customerId: customerId || null, assigneeIds: assignees });
+  if (check.error) return check;
+
+  const update = { updated_at: new Date().toISOString() };
+
+  if (allDay !== undefined || startsAt !== undefined || endsAt !== undefined) {
+    const nextAllDay = allDay !== undefined ? !!allDay : before.all_day;
+    const times = normalizeTimes({
+      allDay: nextAllDay,
+      startsAt: startsAt !== undefined ? startsAt : before.starts_at,
+      endsAt: endsAt !== undefined ? endsAt : before.all_day ? lastAllDayDate(before) : before.ends_at,
+    });
+    if (times.error) return times;
+    Object.assign(update, times, { all_day: nextAllDay });
+  }
+
+  if (recurrence !== undefined) {
+    const rule = normalizeRecurrence(recurrence || {}, update.starts_at || before.starts_at);
+    if (rule.error) return rule;
+    Object.assign(update, rule);
+  } else if (update.starts_at && before.recurrence_until && before.recurrence_until < update.starts_at.slice(0, 10)) {
+    return { error: 'The repeat end date is before the event', status: 400 };
+  }
+
+  if (title !== undefined) update.title = title.trim();
+  if (description !== undefined) update.description = description || null;
+  if (location !== undefined) update.location = location || null;
+  if (eventType !== undefined) update.event_type = eventType || 'other';
+  if (projectId !== undefined) {
+    update.project_id = projectId || null;
+    if (projectId && customerId === undefined && !before.customer_id) {
+      update.customer_id = check.project?.customer_id || null;
+    }
+  }
+  if (customerId !== undefined) update.customer_id = customerId || null;
+  if (timeZone !== undefined) update.time_zone = timeZone || DEFAULT_TIME_ZONE;
+
+  const { error } = await supabase
+    .from('calendar_events')
+    .update(update)
+    .eq('id', eventId)
+    .eq('company_id', companyID);
+  if (error) throw new Error(error.message);
+
+  if (assignees !== undefined) await saveAssignees(companyID, eventId, assignees);
+
+  const after = await getEvent(companyID, eventId);
+  return { before: auditFields(before), after: auditFields(after) };
+}
+
+/**
+ * Take one employee off an event (used when they delete their synced copy in Google)
+ * @returns {Promise<Object|null>} { before, after }, or null when the event isn't found or they weren't assigned
+ */
+export async function removeAssignee(companyID, eventId, employeeId) {
+  const before = await getEvent(companyID, eventId);
+  if (!before || !before.assignee_ids.includes(employeeId)) return null;
+
+  const { error } = await supabase
+    .from('calendar_event_assignees')
+    .delete()
+    .eq('event_id', eventId)
+    .eq('employee_id', employeeId)
+    .eq('company_id', companyID);
+  if (error) throw new Error(error.message);
+
+  const after = await getEvent(companyID, eventId);
+  return { before: auditFields(before), after: auditFields(after) };
+}
+
+/**
+ * Delete an event (every occurrence of a repeating one)
+ * @returns {Promise<Object|null>} The deleted event (audit fields), or null when not found
+ */
+export async function deleteEvent(companyID, eventId) {
+  const event = await getEvent(companyID, eventId);
+  if (!event) return null;
+
+  const { error } = await supabase
+    .from('calendar_events')
+    .delete()
+    .eq('id', eventId)
+    .eq('company_id', companyID);
+  if (error) throw new Error(error.message);
+
+  return auditFields(event);
+}
+
+// ---------------------------------------------------------------------------
+// iCal feeds
+// ---------------------------------------------------------------------------
+
+// Never send token_hash back to the client
+const toPublicFeed = ({ token_hash, ...feed }) => feed;
+
+/**
+ * An employee's feed (without the token), or null when they haven't created one
+ * @returns {Promise<Object|null>}
+ */
+export async function getFeed(companyID, employeeId) {
+  const { data, error } = await supabase
+    .from('calendar_feed_tokens')
+    .select('*')
+    .eq('company_id', companyID)
+    .eq('employee_id', employeeId)
+    .maybeSingle();
+  if (error) throw new Error(error.message);
+  return data ? toPublicFeed(data) : null;
+}
+
+/**
+ * Create an employee's feed, or replace its token so the old URL stops working
+ * @returns {Promise<Object>} { feed, token } - token is only available here
+ */
+export async function createFeed(companyID, employeeId) {
+  const token = crypto.randomBytes(32).toString('base64url');
+  const { data, error } = await supabase
+    .from('calendar_feed_tokens')
+    .upsert({
+      employee_id: employeeId,
+      company_id: companyID,
+      token_hash: hashToken(token),
+      created_at: new Date().toISOString(),
+      last_accessed_at: null,
+    }, { onConflict: 'employee_id' })
+    .select()
+    .single();
+  if (error) throw new Error(error.message);
+  return { feed: toPublicFeed(data), token };
+}
+
+/**
+ * Turn off an employee's feed
+ * @returns {Promise<boolean>} Whether there was a feed to remove
+ */
+export async function deleteFeed(companyID, employeeId) {
+  const { data, error } = await supabase
+    .from('calendar_feed_tokens')
+    .delete()
+    .eq('company_id', companyID)
+    .eq('employee_id', employeeId)
+    .select('employee_id');
+  if (error) throw new Error(error.message);
+  return (data || []).length > 0;
+}
+
+/**
+ * The iCal document for a feed token: the employee's assigned events from a little in the past to a year ahead.
+ * Feeds of employees who have left the company stop working.
+ * @param {string} token
+ * @returns {Promise<string|null>} null when the token is unknown
+ */
+export async function renderFeed(token) {
+  const { data: feed, error } = await supabase
+    .from('calendar_feed_tokens')
+    .select('employee_id, company_id, employees:employee_id (name, current), companies:company_id (company_name)')
+    .eq('token_hash', hashToken(token))
+    .maybeSingle();
+  if (error) throw new Error(error.message);
+  if (!feed || feed.employees?.current === false) return null;
+
+  const now = Date.now();
+  const start = new Date(now - FEED_PAST_DAYS * DAY_MS).toISOString();
+  const end = new Date(now + FEED_FUTURE_DAYS * DAY_MS).toISOString();
+
+  const eventIds = await assignedEventIds(feed.company_id, feed.employee_id);
+  const events = eventIds.length
+    ? await loadEventsInWindow(feed.company_id, start, end, { eventIds })
+    : [];
+  const occurrences = events
+    .flatMap((event) => expandOccurrences(event, start, end))
+    .sort((a, b) => a.occurrence_start.localeCompare(b.occurrence_start));
+
+  const { error: touchError } = await supabase
+    .from('calendar_feed_tokens')
+    .update({ last_accessed_at: new Date().toISOString() })
+    .eq('employee_id', feed.employee_id);
+  if (touchError) throw new Error(touchError.message);
+
+  const calendarName = [feed.companies?.company_name, feed.employees?.name].filter(Boolean).join(' - ') || 'Calendar';
+  return buildIcs({ calendarName, occurrences });
+}
+
+export default {
+  EVENT_TYPES,
+  RECURRENCE_FREQUENCIES,
+  MAX_RANGE_DAYS,
+  auditFields,
+  zonedTimeToUtc,
+  expandOccurrences,
+  buildIcs,
+  listEvents,
+  getEvent,
+  createEvent,
+  updateEvent,
+  removeAssignee,
+  deleteEvent,
+  getFeed,
+  createFeed,
+  deleteFeed,
+  renderFeed,
+};
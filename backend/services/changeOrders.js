@@ -0,0 +1,419 @@
+import dotenv from 'dotenv';
+import { fileURLToPath } from 'url';
+import { dirname, join } from 'path';
+import { createClient } from '@supabase/supabase-js';
+
+const __filename = fileURLToPath(import.meta.url);
+const __dirname = dirname(__filename);
+
+// Load .env from root directory (two levels up from backend/services/)
+dotenv.config({ path: join(__dirname, '..', '..', '.env') });
+
+const supabaseUrl = process.env.SUPABASE_URL;
+const supabaseServiceKey = process.env.SUPABASE_SERVICE_ROLE_KEY;
+
+const supabase = createClient(supabaseUrl || '', supabaseServiceKey || '');
+
+export const CHANGE_ORDER_STATUSES = ['draft', 'sent', 'approved', 'rejected'];
+
+// Allowed status moves. Approved is final: reverse one with a new change order carrying the opposite delta.
+export const STATUS_TRANSITIONS = {
+  draft: ['sent', 'approved', 'rejected'],
+  sent: ['draft', 'approved', 'rejected'],
+  rejected: ['draft'],
+  approved: [],
+};
+
+// Concurrent creates can race for the same number; the unique index rejects the loser, which retries
+const MAX_NUMBER_ATTEMPTS = 5;
+const UNIQUE_VIOLATION = '23505';
+
+const roundTo2 = (n) => Math.round(Number(n) * 100) / 100;
+const toNumber = (value) => parseFloat(value || 0) || 0;
+
+const CHANGE_ORDER_SELECT = `
+  *,
+  contract_document:contract_document_id (id, name, document_number),
+  document:document_id (id, name, document_number, esign_status),
+  creator:created_by (name),
+  decider:decided_by (name)
+`;
+
+const shapeChangeOrder = ({ creator, decider, ...row }) => ({
+  ...row,
+  price_delta: toNumber(row.price_delta),
+  created_by_name: creator?.name || null,
+  decided_by_name: decider?.name || null,
+});
+
+// Plain columns only, for audit diffs
+const auditFields = (row) => {
+  if (!row) return null;
+  const { contract_document, document, creator, decider, created_by_name, decided_by_name, ...rest } = row;
+  return rest;
+};
+
+/**
+ * Project row if it belongs to the company and isn't in the Trash
+ * @param {string} companyID
+ * @param {string} projectId
+ * @returns {Promise<Object|null>}
+ */
+async function findProject(companyID, projectId) {
+  const { data, error } = await supabase
+    .from('projects')
+    .select('id, customer_price, original_contract_price, schedule_extension_days')
+    .eq('id', projectId)
+    .eq('company_id', companyID)
+    .is('deleted_at', null)
+    .maybeSingle();
+  if (error) throw new Error(error.message);
+  return data;
+}
+
+/**
+ * Check that linked documents are on the project and of the right type, and that the change order document
+ * isn't already another change order's (e-sign updates find the change order by it)
+ * @param {string} [exceptId] - The change order being edited
+ * @returns {Promise<string|null>} Error message, or null when the links are valid
+ */
+async function validateDocumentLinks(companyID, projectId, { contractDocumentId, documentId }, exceptId = null) {
+  const ids = [contractDocumentId, documentId].filter(Boolean);
+  if (!ids.length) return null;
+
+  const { data, error } = await supabase
+    .from('project_documents')
+    .select('id, document_type')
+    .eq('company_id', companyID)
+    .eq('project_id', projectId)
+    .is('deleted_at', null)
+    .in('id', ids);
+  if (error) throw new Error(error.message);
+
+  const byId = new Map((data || []).map((doc) => [doc.id, doc]));
+  if (contractDocumentId && byId.get(contractDocumentId)?.document_type !== 'contract') {
+    return 'The amended document must be a contract on this project';
+  }
+  if (documentId && byId.get(documentId)?.document_type !== 'change_order') {
+    return 'The change order document must be a change order on this project';
+  }
+
+  if (documentId) {
+    let query = supabase
+      .from('change_orders')
+      .select('id')
+      .eq('company_id', companyID)
+      .eq('document_id', documentId);
+    if (exceptId) query = query.neq('id', exceptId);
+    const { data: linked, error: linkedError } = await query.limit(1);
+    if (linkedError) throw new Error(linkedError.message);
+    if (linked?.length) return 'That document already belongs to another change order';
+  }
+  return null;
+}
+
+/**
+ * Original contract price, approved/pending change order deltas and the running contract value
+ * @param {Object} project - projects row (original_contract_price, customer_price, schedule_extension_days)
+ * @param {Array} changeOrders - change_orders rows for the project
+ * @returns {Object}
+ */
+export function summarizeContract(project, changeOrders) {
+  const approved = changeOrders.filter((co) => co.status === 'approved');
+  const pending = changeOrders.filter((co) => co.status === 'draft' || co.status === 'sent');
+  const originalContractPrice = roundTo2(toNumber(project.original_contract_price ?? project.customer_price));
+  const approvedPriceDelta = roundTo2(approved.reduce((sum, co) => sum + toNumber(co.price_delta), 0));
+
+  return {
+    originalContractPrice,
+    approvedPriceDelta,
+    approvedCount: approved.length,
+    pendingPriceDelta: roundTo2(pending.reduce((sum, co) => sum + toNumber(co.price_delta), 0)),
+    pendingCount: pending.length,
+    currentContractPrice: roundTo2(originalContractPrice + approvedPriceDelta),
+    scheduleExtensionDays: approved.reduce((sum, co) => sum + (co.schedule_delta_days || 0), 0),
+  };
+}
+
+/**
+ * Recompute the project's contracted total and schedule extension from its approved change orders
+ * @param {string} companyID
+ * @param {string} projectId
+ * @param {number} [originalContractPrice] - New original contract price (when the contract schedule is saved)
+ * @returns {Promise<Object>} summarizeContract result
+ */
+export async function recalculateContractTotals(companyID, projectId, originalContractPrice) {
+  const [{ data: project, error: projectError }, { data: changeOrders, error }] = await Promise.all([
+    supabase
+      .from('projects')
+      .select('id, customer_price, original_contract_price, schedule_extension_days')
+      .eq('id', projectId)
+      .eq('company_id', companyID)
+      .single(),
+    supabase
+      .from('change_orders')
+      .select('status, price_delta, schedule_delta_days')
+      .eq('company_id', companyID)
+      .eq('project_id', projectId),
+  ]);
+  if (projectError) throw new Error(projectError.message);
+  if (error) throw new Error(error.message);
+
+  if (originalContractPrice !== undefined) project.original_contract_price = roundTo2(originalContractPrice) || 0;
+  const summary = summarizeContract(project, changeOrders || []);
+
+  const { error: updateError } = await supabase
+    .from('projects')
+    .update({
+      original_contract_price: summary.originalContractPrice,
+      customer_price: summary.currentContractPrice,
+      schedule_extension_days: summary.scheduleExtensionDays,
+      updated_at: new Date().toISOString(),
+    })
+    .eq('id', projectId)
+    .eq('company_id', companyID);
+  if (updateError) throw new Error(updateError.message);
+
+  return summary;
+}
+
+/**
+ * A project's change orders (by number) and its running contract value
+ * @param {string} companyID
+ * @param {string} projectId
+ * @returns {Promise<Object|null>} { changeOrders, summary }, or null when the project doesn't exist
+ */
+export async function listProjectChangeOrders(companyID, projectId) {
+  const project = await findProject(companyID, projectId);
+  if (!project) return null;
+
+  const { data, error } = await supabase
+    .from('change_orders')
+    .select(CHANGE_ORDER_SELECT)
+    .eq('company_id', companyID)
+    .eq('project_id', projectId)
+    .order('change_order_number', { ascending: true });
+  if (error) throw new Error(error.message);
+
+  const changeOrders = (data || []).map(shapeChangeOrder);
+  return { changeOrders, summary: summarizeContract(project, changeOrders) };
+}
+
+/**
+ * One change order
+ * @param {string} companyID
+ * @param {string} id
+ * @returns {Promise<Object|null>}
+ */
+export async function getChangeOrder(companyID, id) {
+  const { data, error } = await supabase
+    .from('change_orders')
+    .select(CHANGE_ORDER_SELECT)
+    .eq('id', id)
+    .eq('company_id', companyID)
+    .maybeSingle();
+  if (error) throw new Error(error.message);
+  return data ? shapeChangeOrder(data) : null;
+}
+
+/**
+ * Create a draft change order under the project's next change order number
+ * @param {Object} options
+ * @param {string} options.companyID
+ * @param {string} options.projectId
+ * @param {string} options.title
+ * @param {string} [options.description]
+ * @param {string} [options.contractDocumentId] - Contract document being amended
+ * @param {string} [options.documentId] - The change order's own document
+ * @param {number} [options.priceDelta]
+ * @param {number} [options.scheduleDeltaDays]
+ * @param {string|null} [options.employeeId]
+ * @returns {Promise<Object|null>} The change order, { error, status }, or null when the project doesn't exist
+ */
+export async function createChangeOrder({ companyID, projectId, title, description, contractDocumentId, documentId, priceDelta, scheduleDeltaDays, employeeId }) {
+  const project = await findProject(companyID, projectId);
+  if (!project) return null;
+
+  const linkError = await validateDocumentLinks(companyID, projectId, { contractDocumentId, documentId });
+  if (linkError) return { error: linkError, status: 400 };
+
+  const { data: last, error: lastError } = await supabase
+    .from('change_orders')
+    .select('change_order_number')
+    .eq('project_id', projectId)
+    .order('change_order_number', { ascending: false })
+    .limit(1)
+    .maybeSingle();
+  if (lastError) throw new Error(lastError.message);
+
+  let number = (last?.change_order_number || 0) + 1;
+  for (let attempt = 0; attempt < MAX_NUMBER_ATTEMPTS; attempt++, number++) {
+    const { data, error } = await supabase
+      .from('change_orders')
+      .insert({
+        company_id: companyID,
+        project_id: projectId,
+        change_order_number: number,
+        title: title.trim(),
+        description: description || null,
+        contract_document_id: contractDocumentId || null,
+        document_id: documentId || null,
+        price_delta: roundTo2(priceDelta || 0),
+        schedule_delta_days: parseInt(scheduleDeltaDays, 10) || 0,
+        created_by: employeeId || null,
+      })
+      .select('id')
+      .single();
+
+    if (error?.code === UNIQUE_VIOLATION) continue;
+    if (error) throw new Error(error.message);
+    return getChangeOrder(companyID, data.id);
+  }
+  throw new Error('Could not allocate a change order number');
+}
+
+/**
+ * Edit a draft change order. The linked change order document can also be set while it is out for approval.
+ * @param {string} companyID
+ * @param {string} id
+ * @param {Object} fields - title, description, contractDocumentId, documentId, priceDelta, scheduleDeltaDays
+ * @returns {Promise<Object|null>} { before, after }, { error, status }, or null when not found
+ */
+export async function updateChangeOrder(companyID, id, { title, description, contractDocumentId, documentId, priceDelta, scheduleDeltaDays }) {
+  const before = await getChangeOrder(companyID, id);
+  if (!before) return null;
+
+  const update = {};
+  if (title !== undefined) update.title = title.trim();
+  if (description !== undefined) update.description = description || null;
+  if (contractDocumentId !== undefined) update.contract_document_id = contractDocumentId || null;
+  if (documentId !== undefined) update.document_id = documentId || null;
+  if (priceDelta !== undefined) update.price_delta = roundTo2(priceDelta || 0);
+  if (scheduleDeltaDays !== undefined) update.schedule_delta_days = parseInt(scheduleDeltaDays, 10) || 0;
+
+  const onlyDocument = Object.keys(update).every((key) => key === 'document_id');
+  if (before.status !== 'draft' && !(before.status === 'sent' && onlyDocument)) {
+    return { error: 'Only draft change orders can be edited', status: 409 };
+  }
+
+  const linkError = await validateDocumentLinks(companyID, before.project_id, {
+    contractDocumentId: update.contract_document_id,
+    documentId: update.document_id,
+  }, id);
+  if (linkError) return { error: linkError, status: 400 };
+
+  const { error } = await supabase
+    .from('change_orders')
+    .update({ ...update, updated_at: new Date().toISOString() })
+    .eq('id', id)
+    .eq('company_id', companyID);
+  if (error) throw new Error(error.message);
+
+  return { before: auditFields(before), after: auditFields(await getChangeOrder(companyID, id)) };
+}
+
+/**
+ * Move a change order to a new status. Approving it (or reopening a rejection) updates the project's contract totals.
+ * @param {string} companyID
+ * @param {string} id
+ * @param {string} status - One of CHANGE_ORDER_STATUSES
+ * @param {Object} [options]
+ * @param {string|null} [options.employeeId] - Staff member deciding, null for e-signature
+ * @param {string} [options.note] - Reason or approval note
+ * @param {'manual'|'esign'} [options.via]
+ * @returns {Promise<Object|null>} { before, after, summary }, { error, status }, or null when not found
+ */
+export async function setChangeOrderStatus(companyID, id, status, { employeeId = null, note, via = 'manual' } = {}) {
+  const before = await getChangeOrder(companyID, id);
+  if (!before) return null;
+  if (before.status === status) return { before: auditFields(before), after: auditFields(before), summary: null };
+  if (!STATUS_TRANSITIONS[before.status].includes(status)) {
+    return { error: `A ${before.status} change order can't be marked ${status}`, status: 409 };
+  }
+
+  const now = new Date().toISOString();
+  const update = { status, updated_at: now };
+  if (status === 'sent') update.sent_at = now;
+  if (status === 'approved' || status === 'rejected') {
+    Object.assign(update, { decided_at: now, decided_by: employeeId || null, decided_via: via, decision_note: note || null });
+  } else {
+    Object.assign(update, { decided_at: null, decided_by: null, decided_via: null, decision_note: null });
+  }
+
+  const { error } = await supabase
+    .from('change_orders')
+    .update(update)
+    .eq('id', id)
+    .eq('company_id', companyID)
+    .eq('status', before.status);
+  if (error) throw new Error(error.message);
+
+  const summary = status === 'approved'
+    ? await recalculateContractTotals(companyID, before.project_id)
+    : null;
+
+  return { before: auditFields(before), after: auditFields(await getChangeOrder(companyID, id)), summary };
+}
+
+/**
+ * Delete a change order that was never approved
+ * @param {string} companyID
+ * @param {string} id
+ * @returns {Promise<Object|null>} Deleted row, { error, status }, or null when not found
+ */
+export async function deleteChangeOrder(companyID, id) {
+  const before = await getChangeOrder(companyID, id);
+  if (!before) return null;
+  if (before.status === 'approved') {
+    return { error: 'Approved change orders can\'t be deleted; add a change order that reverses it instead', status: 409 };
+  }
+
+  const { error } = await supabase
+    .from('change_orders')
+    .delete()
+    .eq('id', id)
+    .eq('company_id', companyID);
+  if (error) throw new Error(error.message);
+  return auditFields(before);
+}
+
+/**
+ * Follow a change order document through e-signature: sent -> sent, completed -> approved, declined -> rejected
+ * @param {string} documentId - project_documents id that was sent for signature
+ * @param {string} esignStatus - Normalized e-sign status (sent, delivered, completed, declined, ...)
+ * @returns {Promise<Object|null>} setChangeOrderStatus result plus companyID, or null when nothing changed
+ */
+export async function applyEsignStatus(documentId, esignStatus) {
+  const nextStatus = { sent: 'sent', delivered: 'sent', completed: 'approved', declined: 'rejected' }[esignStatus];
+  if (!documentId || !nextStatus) return null;
+
+  const { data: changeOrder, error } = await supabase
+    .from('change_orders')
+    .select('id, company_id, status')
+    .eq('document_id', documentId)
+    .in('status', ['draft', 'sent'])
+    .maybeSingle();
+  if (error) throw new Error(error.message);
+  if (!changeOrder || changeOrder.status === nextStatus) return null;
+
+  const result = await setChangeOrderStatus(changeOrder.company_id, changeOrder.id, nextStatus, {
+    via: 'esign',
+    note: nextStatus === 'rejected' ? 'Declined by e-signature' : null,
+  });
+  if (!result || result.error) return null;
+  return { ...result, companyID: changeOrder.company_id };
+}
+
+export default {
+  CHANGE_ORDER_STATUSES,
+  STATUS_TRANSITIONS,
+  summarizeContract,
+  recalculateContractTotals,
+  listProjectChangeOrders,
+  getChangeOrder,
+  createChangeOrder,
+  updateChangeOrder,
+  setChangeOrderStatus,
+  deleteChangeOrder,
+  applyEsignStatus,
+};
@@ -0,0 +1,209 @@
+import dotenv from 'dotenv';
+import { fileURLToPath } from 'url';
+import { dirname, join } from 'path';
+import { createClient } from '@supabase/supabase-js';
+import { findUnknownMergeFields } from '../pdf/mergeFields.js';
+
+const __filename = fileURLToPath(import.meta.url);
+const __dirname = dirname(__filename);
+
+// Load .env from root directory (two levels up from backend/services/)
+dotenv.config({ path: join(__dirname, '..', '..', '.env') });
+
+const supabaseUrl = process.env.SUPABASE_URL;
+const supabaseServiceKey = process.env.SUPABASE_SERVICE_ROLE_KEY;
+
+const supabase = createClient(supabaseUrl || '', supabaseServiceKey || '');
+
+// Document types with their own ordered clause set (document_clause_layouts)
+export const CLAUSE_DOCUMENT_TYPES = ['proposal', 'contract', 'change_order'];
+
+const CLAUSE_SELECT = 'id, title, body, created_at, updated_at';
+
+// { error, status } when the title or body uses a merge field that doesn't exist
+function checkMergeFields(...texts) {
+  const unknown = [...new Set(texts.flatMap((text) => findUnknownMergeFields(text)))];
+  if (unknown.length === 0) return null;
+  return { error: `Unknown merge field${unknown.length > 1 ? 's' : ''} ${unknown.map((key) => `{{${key}}}`).join(', ')}`, status: 400 };
+}
+
+async function getClause(companyID, clauseId) {
+  const { data, error } = await supabase
+    .from('contract_clauses')
+    .select(CLAUSE_SELECT)
+    .eq('id', clauseId)
+    .eq('company_id', companyID)
+    .maybeSingle();
+  if (error) throw new Error(error.message);
+  return data;
+}
+
+/**
+ * A document type's clauses in print order
+ * @param {string} companyID
+ * @param {string} documentType - proposal, contract or change_order
+ * @returns {Promise<Array>} [{ id, title, body }]
+ */
+export async function getClausesForDocument(companyID, documentType) {
+  const { data, error } = await supabase
+    .from('document_clause_layouts')
+    .select('sort_order, clause:clause_id (id, title, body)')
+    .eq('company_id', companyID)
+    .eq('document_type', documentType)
+    .order('sort_order', { ascending: true });
+  if (error) throw new Error(error.message);
+  return (data || []).map((row) => row.clause).filter(Boolean);
+}
+
+/**
+ * The company's clause library and each document type's clause ids in order
+ * @param {string} companyID
+ * @returns {Promise<Object>} { clauses, layouts: { proposal: [ids], contract: [ids], change_order: [ids] } }
+ */
+export async function listClauses(companyID) {
+  const [clausesResult, layoutsResult] = await Promise.all([
+    supabase
+      .from('contract_clauses')
+      .select(CLAUSE_SELECT)
+      .eq('company_id', companyID)
+      .order('title', { ascending: true }),
+    supabase
+      .from('document_clause_layouts')
+      .select('document_type, clause_id, sort_order')
+      .eq('company_id', companyID)
+      .order('sort_order', { ascending: true }),
+  ]);
+  const failed = [clausesResult, layoutsResult].find((result) => result.error);
+  if (failed) throw new Error(failed.error.message);
+
+  const layouts = Object.fromEntries(CLAUSE_DOCUMENT_TYPES.map((type) => [type, []]));
+  for (const row of layoutsResult.data || []) {
+    layouts[row.document_type]?.push(row.clause_id);
+  }
+  return { clauses: clausesResult.data || [], layouts };
+}
+
+/**
+ * Add a clause to the library
+ * @param {string} companyID
+ * @param {Object} fields - { title, body }
+ * @param {string|null} [employeeId]
+ * @returns {Promise<Object>} The clause, or { error, status } for an unknown merge field
+ */
+export async function createClause(companyID, { title, body }, employeeId = null) {
+  const invalid = checkMergeFields(title, body);
+  if (invalid) return invalid;
+
+  const { data, error } = await supabase
+    .from('contract_clauses')
+    .insert([{ company_id: companyID, title: title.trim(), body, created_by: employeeId }])
+    .select(CLAUSE_SELECT)
+    .single();
+  if (error) throw new Error(error.message);
+  return data;
+}
+
+/**
+ * Edit a clause. Documents already generated keep the text they were printed with.
+ * @param {string} companyID
+ * @param {string} clauseId
+ * @param {Object} fields - { title?, body? }
+ * @returns {Promise<Object|null>} { before, after }, { error, status } for an unknown merge field, or null when not found
+ */
+export async function updateClause(companyID, clauseId, fields) {
+  const before = await getClause(companyID, clauseId);
+  if (!before) return null;
+
+  const updates = {};
+  if (fields.title !== undefined) updates.title = fields.title.trim();
+  if (fields.body !== undefined) updates.body = fields.body;
+  const invalid = checkMergeFields(updates.title, updates.body);
+  if (invalid) return invalid;
+
+  const { data: after, error } = await supabase
+    .from('contract_clauses')
+    .update({ ...updates, updated_at: new Date().toISOString() })
+    .eq('id', clauseId)
+    .eq('company_id', companyID)
+    .select(CLAUSE_SELECT)
+    .single();
+  if (error) throw new Error(error.message);
+  return { before, after };
+}
+
+/**
+ * Delete a clause; it drops out of every document type's layout
+ * @param {string} companyID
+ * @param {string} clauseId
+ * @returns {Promise<Object|null>} The deleted clause, or null when not found
+ */
+export async function deleteClause(companyID, clauseId) {
+  const clause = await getClause(companyID, clauseId);
+  if (!clause) return null;
+
+  const { error } = await supabase
+    .from('contract_clauses')
+    .delete()
+    .eq('id', clauseId)
+    .eq('company_id', companyID);
+  if (error) throw new Error(error.message);
+  return clause;
+}
+
+/**
+ * Replace a document type's clause set
+ * @param {string} companyID
+ * @param {string} documentType - proposal, contract or change_order
+ * @param {Array<string>} clauseIds - Library clause ids in print order (duplicates are dropped)
+ * @returns {Promise<Object>} { before, after } as clause title lists, or { error, status } for a clause that isn't
+ * in the company's library
+ */
+export async function setLayout(companyID, documentType, clauseIds) {
+  const ids = [...new Set(clauseIds)];
+  if (ids.length > 0) {
+    const { data: found, error } = await supabase
+      .from('contract_clauses')
+      .select('id')
+      .eq('company_id', companyID)
+      .in('id', ids);
+    if (error) throw new Error(error.message);
+    if ((found || []).length !== ids.length) return { error: 'Clause not found', status: 404 };
+  }
+
+  const before = await getClausesForDocument(companyID, documentType);
+
+  const { error: deleteError } = await supabase
+    .from('document_clause_layouts')
+    .delete()
+    .eq('company_id', companyID)
+    .eq('document_type', documentType);
+  if (deleteError) throw new Error(deleteError.message);
+
+  if (ids.length > 0) {
+    const { error: insertError } = await supabase
+      .from('document_clause_layouts')
+      .insert(ids.map((clauseId, idx) => ({
+        company_id: companyID,
+        document_type: documentType,
+        clause_id: clauseId,
+        sort_order: idx,
+      })));
+    if (insertError) throw new Error(insertError.message);
+  }
+
+  const after = await getClausesForDocument(companyID, documentType);
+  return {
+    before: before.map((clause) => clause.title),
+    after: after.map((clause) => clause.title),
+  };
+}
+
+export default {
+  CLAUSE_DOCUMENT_TYPES,
+  getClausesForDocument,
+  listClauses,
+  createClause,
+  updateClause,
+  deleteClause,
+  setLayout,
+};
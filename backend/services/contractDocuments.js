@@ -0,0 +1,347 @@
+import dotenv from 'dotenv';
+import { fileURLToPath } from 'url';
+import { dirname, join } from 'path';
+import { createClient } from '@supabase/supabase-js';
+import PdfPrinter from 'pdfmake';
+import pdfFonts from 'pdfmake/build/vfs_fonts.js';
+import { buildContractDocDefinition, contractDocumentName } from '../pdf/contractDocument.js';
+import { getClausesForDocument } from './contractClauses.js';
+import { getOptionsForDocument } from './proposalOptions.js';
+
+const __filename = fileURLToPath(import.meta.url);
+const __dirname = dirname(__filename);
+
+// Load .env from root directory (two levels up from backend/services/)
+dotenv.config({ path: join(__dirname, '..', '..', '.env') });
+
+const supabaseUrl = process.env.SUPABASE_URL;
+const supabaseServiceKey = process.env.SUPABASE_SERVICE_ROLE_KEY;
+
+const supabase = createClient(supabaseUrl || '', supabaseServiceKey || '');
+
+export const CONTRACT_DOCUMENT_TYPES = ['contract', 'proposal', 'change_order'];
+
+const STORAGE_BUCKET = 'documents';
+
+// Concurrent generations can read the same next_document_number; the compare-and-set update lets one win
+const MAX_NUMBER_ATTEMPTS = 5;
+
+// Same Roboto files the browser build of pdfmake embeds (vfs_fonts), so glyph metrics and subsets match
+const vfs = pdfFonts.pdfMake?.vfs || pdfFonts.vfs || pdfFonts;
+const fontFile = (name) => Buffer.from(vfs[name], 'base64');
+const printer = new PdfPrinter({
+  Roboto: {
+    normal: fontFile('Roboto-Regular.ttf'),
+    bold: fontFile('Roboto-Medium.ttf'),
+    italics: fontFile('Roboto-Italic.ttf'),
+    bolditalics: fontFile('Roboto-MediumItalic.ttf'),
+  },
+});
+
+/**
+ * Everything needed to render a proposal, contract or change order: company, project, customer, expenses and
+ * totals, plus the document type's saved milestones, scope of work and clauses (and option packages for proposals)
+ * @param {string} companyID
+ * @param {string} projectId
+ * @param {string} documentType - contract, proposal or change_order
+ * @param {Object} [options]
+ * @param {number} [options.documentNumber] - Defaults to the company's next document number
+ * @param {string} [options.timeZone] - IANA time zone for the "generated" timestamp
+ * @returns {Promise<Object|null>} Contract data, or null when the project doesn't exist
+ */
+export async function getContractData(companyID, projectId, documentType, { documentNumber, timeZone } = {}) {
+  // Verify project belongs to the company and get full project data with customer
+  const { data: project, error: projectError } = await supabase
+    .from('projects')
+    .select(`
+      *,
+      customers (
+        id,
+        first_name,
+        last_name,
+        email,
+        phone,
+        address_line1,
+        address_line2,
+        city,
+        state,
+        zip_code,
+        country
+      )
+    `)
+    .eq('id', projectId)
+    .eq('company_id', companyID)
+    .single();
+
+  if (projectError || !project) return null;
+
+  // Get company info and current document number
+  const { data: company, error: companyError } = await supabase
+    .from('companies')
+    .select('*')
+    .eq('company_id', companyID)
+    .single();
+  if (companyError) throw new Error(companyError.message);
+
+  // Current next document number (only incremented when a document is actually generated/uploaded)
+  const number = documentNumber ?? (company.next_document_number || 1);
+  const generatedAt = new Date().toISOString();
+
+  const [
+    { data: subcontractorFees },
+    { data: materials },
+    { data: additionalExpenses },
+    { data: equipment, error: equipmentError },
+    { data: savedMilestones },
+    { data: savedScopeOfWork },
+    clauses,
+    proposalOptions,
+  ] = await Promise.all([
+    supabase
+      .from('project_subcontractor_fees')
+      .select(`
+        *,
+        subcontractors (
+          id,
+          name
+        )
+      `)
+      .eq('project_id', projectId)
+      .order('created_at', { ascending: false }),
+    supabase
+      .from('project_materials')
+      .select(`
+        *,
+        inventory (
+          id,
+          name,
+          unit
+        )
+      `)
+      .eq('project_id', projectId)
+      .order('created_at', { ascending: false }),
+    supabase
+      .from('project_additional_expenses')
+      .select('*')
+      .eq('project_id', projectId)
+      .order('created_at', { ascending: false }),
+    // Equipment expenses with inventory join (same as expenses endpoint)
+    supabase
+      .from('project_equipment')
+      .select('*, inventory(id, name, unit_price)')
+      .eq('project_id', projectId)
+      .order('created_at', { ascending: false }),
+    // Saved milestones and scope of work for this document type
+    supabase
+      .from('milestones')
+      .select('*')
+      .eq('project_id', projectId)
+      .eq('document_type', documentType)
+      .order('sort_order', { ascending: true }),
+    supabase
+      .from('scope_of_work')
+      .select('*')
+      .eq('project_id', projectId)
+      .eq('document_type', documentType)
+      .order('sort_order', { ascending: true }),
+    getClausesForDocument(companyID, documentType),
+    documentType === 'proposal' ? getOptionsForDocument(companyID, projectId) : [],
+  ]);
+
+  if (equipmentError) {
+    // Don't fail - render without equipment, but log the error
+    console.error('Error fetching equipment for contract:', equipmentError);
+  }
+
+  // Calculate totals
+  let subcontractorTotal = 0;
+  (subcontractorFees || []).forEach((entry) => {
+    subcontractorTotal += parseFloat(entry.expected_value || entry.flat_fee || 0);
+  });
+
+  let materialsTotal = 0;
+  let materialsExpectedTotal = 0;
+  (materials || []).forEach((entry) => {
+    materialsTotal += parseFloat(entry.actual_price || 0);
+    materialsExpectedTotal += parseFloat(entry.expected_price || entry.actual_price || 0);
+  });
+
+  let additionalTotal = 0;
+  (additionalExpenses || []).forEach((entry) => {
+    additionalTotal += parseFloat(entry.expected_value || entry.amount || 0);
+  });
+
+  let equipmentTotal = 0;
+  let equipmentExpectedTotal = 0;
+  (equipment || []).forEach((entry) => {
+    // Match expenses endpoint calculation: prices are totals, not per-unit
+    equipmentTotal += parseFloat(entry.actual_price || 0);
+    equipmentExpectedTotal += parseFloat(entry.expected_price || 0);
+  });
+
+  return {
+    documentNumber: String(number).padStart(5, '0'),
+    documentDate: generatedAt.split('T')[0],
+    documentType,
+    generatedAt,
+    timeZone: timeZone || null,
+    company: company || {},
+    project,
+    customer: project.customers || null,
+    expenses: {
+      subcontractorFees: subcontractorFees || [],
+      materials: materials || [],
+      additionalExpenses: additionalExpenses || [],
+      equipment: equipment || [],
+    },
+    totals: {
+      subcontractors: subcontractorTotal,
+      materials: materialsTotal,
+      materialsExpected: materialsExpectedTotal,
+      additional: additionalTotal,
+      equipment: equipmentTotal,
+      equipmentExpected: equipmentExpectedTotal,
+      initialFee: 1000,
+      finalInspection: 1000,
+      grandTotal: parseFloat(project.est_value || 0),
+    },
+    savedMilestones: savedMilestones || [], // Previously saved customer prices for this document type
+    savedScopeOfWork: savedScopeOfWork || [], // Previously saved scope of work items for this document type
+    clauses: clauses.map(({ title, body }) => ({ title, body })), // Clause set for this document type, merge fields unfilled
+    proposalOptions, // Good/better/best packages printed side by side (proposals only)
+    savedCustomerPrice: project.customer_price ? parseFloat(project.customer_price) : null, // Total customer price from project
+  };
+}
+
+// Company logo as a data URL, the same bytes the browser embeds
+async function fetchLogoAsBase64(url) {
+  try {
+    const response = await fetch(url);
+    if (!response.ok) throw new Error(`HTTP ${response.status}`);
+    const contentType = response.headers.get('content-type') || 'application/octet-stream';
+    const buffer = Buffer.from(await response.arrayBuffer());
+    return `data:${contentType};base64,${buffer.toString('base64')}`;
+  } catch (error) {
+    console.error('Error loading logo:', error.message);
+    return null;
+  }
+}
+
+/**
+ * Render contract data to a PDF. Byte-identical to frontend/src/utils/contractPdfGenerator.js for the same data.
+ * @param {Object} contractData - getContractData result (optionally with the preview's schedule/scope overrides)
+ * @returns {Promise<Buffer>}
+ */
+export async function renderContractPdf(contractData) {
+  const logoBase64 = contractData.company?.logo_url ? await fetchLogoAsBase64(contractData.company.logo_url) : null;
+  const pdfDoc = printer.createPdfKitDocument(buildContractDocDefinition(contractData, { logoBase64 }));
+
+  return new Promise((resolve, reject) => {
+    const chunks = [];
+    pdfDoc.on('data', (chunk) => chunks.push(chunk));
+    pdfDoc.on('end', () => resolve(Buffer.concat(chunks)));
+    pdfDoc.on('error', reject);
+    pdfDoc.end();
+  });
+}
+
+/**
+ * Take the company's next document number
+ * @param {string} companyID
+ * @returns {Promise<number>}
+ */
+async function claimDocumentNumber(companyID) {
+  for (let attempt = 0; attempt < MAX_NUMBER_ATTEMPTS; attempt++) {
+    const { data: company, error } = await supabase
+      .from('companies')
+      .select('next_document_number')
+      .eq('company_id', companyID)
+      .single();
+    if (error) throw new Error(error.message);
+
+    const current = company.next_document_number;
+    const number = current || 1;
+    let claim = supabase
+      .from('companies')
+      .update({ next_document_number: number + 1 })
+      .eq('company_id', companyID);
+    claim = current == null ? claim.is('next_document_number', null) : claim.eq('next_document_number', current);
+    const { data: claimed, error: claimError } = await claim.select('company_id');
+    if (claimError) throw new Error(claimError.message);
+    if (claimed?.length) return number;
+  }
+  throw new Error('Could not allocate a document number');
+}
+
+/**
+ * Render a proposal, contract or change order from the project's saved milestones and scope of work, store it in
+ * the documents bucket and project_documents under the company's next document number
+ * @param {Object} options
+ * @param {string} options.companyID
+ * @param {string} options.projectId
+ * @param {string} options.documentType - contract, proposal or change_order
+ * @param {string} [options.name] - Document name (defaults to e.g. Contract_00042_123_Main_St)
+ * @param {string} [options.timeZone] - IANA time zone for the "generated" timestamp
+ * @returns {Promise<Object|null>} { document, contractData }, or null when the project doesn't exist
+ */
+export async function generateProjectDocument({ companyID, projectId, documentType, name, timeZone }) {
+  // Check the project before taking a number so a bad id doesn't burn one
+  const { data: project, error: projectError } = await supabase
+    .from('projects')
+    .select('id')
+    .eq('id', projectId)
+    .eq('company_id', companyID)
+    .is('deleted_at', null)
+    .maybeSingle();
+  if (projectError) throw new Error(projectError.message);
+  if (!project) return null;
+
+  const documentNumber = await claimDocumentNumber(companyID);
+  const contractData = await getContractData(companyID, projectId, documentType, { documentNumber, timeZone });
+  if (!contractData) return null;
+
+  const pdf = await renderContractPdf(contractData);
+  const documentName = (name && name.trim()) || contractDocumentName(contractData);
+  const fileName = `${documentName.replace(/[^a-zA-Z0-9_-]/g, '_')}.pdf`;
+  const storagePath = `projects/${companyID}/${projectId}/${fileName}`;
+
+  const { error: uploadError } = await supabase.storage
+    .from(STORAGE_BUCKET)
+    .upload(storagePath, pdf, {
+      contentType: 'application/pdf',
+      cacheControl: '3600',
+      upsert: false,
+    });
+  if (uploadError) throw new Error(uploadError.message);
+
+  const { data: document, error: insertError } = await supabase
+    .from('project_documents')
+    .insert([{
+      company_id: companyID,
+      project_id: projectId,
+      name: documentName,
+      document_type: documentType,
+      file_name: fileName,
+      file_path: storagePath,
+      file_size: pdf.length,
+      mime_type: 'application/pdf',
+      document_number: documentNumber,
+      document_date: contractData.documentDate,
+    }])
+    .select()
+    .single();
+  if (insertError) {
+    // Don't leave an orphaned file behind
+    await supabase.storage.from(STORAGE_BUCKET).remove([storagePath]);
+    throw new Error(insertError.message);
+  }
+
+  return { document, contractData };
+}
+
+export default {
+  CONTRACT_DOCUMENT_TYPES,
+  getContractData,
+  renderContractPdf,
+  generateProjectDocument,
+};
@@ -0,0 +1,350 @@
+import dotenv from 'dotenv';
+import crypto from 'crypto';
+import { fileURLToPath } from 'url';
+import { dirname, join } from 'path';
+import { createClient } from '@supabase/supabase-js';
+import { selectOption } from './proposalOptions.js';
+
+const __filename = fileURLToPath(import.meta.url);
+const __dirname = dirname(__filename);
+
+// Load .env from root directory (two levels up from backend/services/)
+dotenv.config({ path: join(__dirname, '..', '..', '.env') });
+
+const supabaseUrl = process.env.SUPABASE_URL;
+const supabaseServiceKey = process.env.SUPABASE_SERVICE_ROLE_KEY;
+
+const supabase = createClient(supabaseUrl || '', supabaseServiceKey || '');
+
+export const DEFAULT_LINK_DAYS = 30;
+export const MAX_LINK_DAYS = 180;
+
+// Project documents customers always see; other documents need shared_with_customer
+export const PORTAL_DOCUMENT_TYPES = ['proposal', 'contract', 'change_order'];
+
+// Signed storage URLs handed to the portal (documents and photo thumbnails)
+const SIGNED_URL_SECONDS = 60 * 60;
+const STORAGE_BUCKET = 'documents';
+const DAY_MS = 24 * 60 * 60 * 1000;
+
+/**
+ * SHA-256 of a portal token (only the hash is stored)
+ * @param {string} token
+ * @returns {string}
+ */
+export const hashToken = (token) => crypto.createHash('sha256').update(String(token)).digest('hex');
+
+/**
+ * Link state for the staff UI
+ * @param {Object} link - customer_portal_links row
+ * @returns {'active'|'expired'|'revoked'}
+ */
+export function getLinkStatus(link) {
+  if (link.revoked_at) return 'revoked';
+  if (new Date(link.expires_at).getTime() <= Date.now()) return 'expired';
+  return 'active';
+}
+
+// Never send token_hash back to the client
+const toPublicLink = ({ token_hash, ...link }) => ({ ...link, status: getLinkStatus(link) });
+
+/**
+ * Create a portal link for a customer
+ * @param {Object} options
+ * @param {string} options.companyID
+ * @param {string} options.customerId
+ * @param {string|null} options.employeeId - Staff member creating the link
+ * @param {number} [options.expiresInDays]
+ * @returns {Promise<Object>} { link, token } - token is only available here
+ */
+export async function createPortalLink({ companyID, customerId, employeeId, expiresInDays = DEFAULT_LINK_DAYS }) {
+  const days = Math.min(Math.max(parseInt(expiresInDays, 10) || DEFAULT_LINK_DAYS, 1), MAX_LINK_DAYS);
+  const token = crypto.randomBytes(32).toString('base64url');
+
+  const { data, error } = await supabase
+    .from('customer_portal_links')
+    .insert({
+      company_id: companyID,
+      customer_id: customerId,
+      token_hash: hashToken(token),
+      expires_at: new Date(Date.now() + days * DAY_MS).toISOString(),
+      created_by: employeeId || null,
+    })
+    .select()
+    .single();
+
+  if (error) throw new Error(error.message);
+  return { link: toPublicLink(data), token };
+}
+
+/**
+ * All portal links for a customer, newest first
+ * @param {string} companyID
+ * @param {string} customerId
+ * @returns {Promise<Array>}
+ */
+export async function listPortalLinks(companyID, customerId) {
+  const { data, error } = await supabase
+    .from('customer_portal_links')
+    .select('*, creator:created_by (name)')
+    .eq('company_id', companyID)
+    .eq('customer_id', customerId)
+    .order('created_at', { ascending: false });
+
+  if (error) throw new Error(error.message);
+  return (data || []).map(({ creator, ...link }) => ({ ...toPublicLink(link), created_by_name: creator?.name || null }));
+}
+
+/**
+ * Revoke a link so it stops working immediately
+ * @param {string} companyID
+ * @param {string} customerId
+ * @param {string} linkId
+ * @returns {Promise<Object|null>} { before, after }, or null when the link doesn't exist or was already revoked
+ */
+export async function revokePortalLink(companyID, customerId, linkId) {
+  const { data: before, error: findError } = await supabase
+    .from('customer_portal_links')
+    .select('*')
+    .eq('id', linkId)
+    .eq('company_id', companyID)
+    .eq('customer_id', customerId)
+    .is('revoked_at', null)
+    .maybeSingle();
+
+  if (findError) throw new Error(findError.message);
+  if (!before) return null;
+
+  const { data, error } = await supabase
+    .from('customer_portal_links')
+    .update({ revoked_at: new Date().toISOString() })
+    .eq('id', linkId)
+    .select()
+    .single();
+
+  if (error) throw new Error(error.message);
+  return { before: toPublicLink(before), after: toPublicLink(data) };
+}
+
+/**
+ * Look up a portal token
+ * Returns null for unknown, revoked or expired links and for customers that were moved to the Trash.
+ * Successful lookups bump last_accessed_at / access_count.
+ * @param {string} token
+ * @returns {Promise<Object|null>} customer_portal_links row
+ */
+export async function resolvePortalToken(token) {
+  if (!token || typeof token !== 'string' || token.length > 200) return null;
+
+  const { data: link, error } = await supabase
+    .from('customer_portal_links')
+    .select('*, customers:customer_id (id, deleted_at)')
+    .eq('token_hash', hashToken(token))
+    .maybeSingle();
+
+  if (error) throw new Error(error.message);
+  if (!link || getLinkStatus(link) !== 'active' || !link.customers || link.customers.deleted_at) return null;
+
+  const { error: touchError } = await supabase
+    .from('customer_portal_links')
+    .update({ last_accessed_at: new Date().toISOString(), access_count: (link.access_count || 0) + 1 })
+    .eq('id', link.id);
+  if (touchError) {
+    console.warn('Portal link access update failed (non-fatal):', touchError.message);
+  }
+
+  const { customers, ...row } = link;
+  return row;
+}
+
+// Proposals, contracts and change orders show once they've left draft; anything else only when shared by hand
+const isPortalDocument = (doc) => (PORTAL_DOCUMENT_TYPES.includes(doc.document_type)
+  ? doc.status !== 'draft'
+  : doc.shared_with_customer === true);
+const isImage = (doc) => (doc.mime_type || '').startsWith('image/');
+
+/**
+ * Everything the customer sees in the portal
+ * @param {Object} link - Result of resolvePortalToken
+ * @returns {Promise<Object>} { company, customer, projects: [{ ..., milestones, options, documents, photos }], expires_at }
+ */
+export async function getPortalOverview(link) {
+  const { company_id: companyID, customer_id: customerId } = link;
+
+  const [companyResult, customerResult, projectsResult] = await Promise.all([
+    supabase
+      .from('companies')
+      .select('company_name, logo_url, phone, email, website')
+      .eq('company_id', companyID)
+      .maybeSingle(),
+    supabase
+      .from('customers')
+      .select('first_name, last_name')
+      .eq('id', customerId)
+      .single(),
+    supabase
+      .from('projects')
+      .select('id, project_name, address, status, project_types, created_at, updated_at')
+      .eq('company_id', companyID)
+      .eq('customer_id', customerId)
+      .is('deleted_at', null)
+      .order('created_at', { ascending: false }),
+  ]);
+
+  for (const result of [companyResult, customerResult, projectsResult]) {
+    if (result.error) throw new Error(result.error.message);
+  }
+
+  const projects = projectsResult.data || [];
+  const projectIds = projects.map((p) => p.id);
+
+  let milestones = [];
+  let options = [];
+  let documents = [];
+  if (projectIds.length) {
+    const [milestonesResult, optionsResult, documentsResult] = await Promise.all([
+      supabase
+        .from('milestones')
+        .select('id, project_id, document_type, name, milestone_type, customer_price, sort_order')
+        .eq('company_id', companyID)
+        .in('project_id', projectIds)
+        .in('document_type', ['contract', 'proposal'])
+        .order('sort_order', { ascending: true }),
+      supabase
+        .from('proposal_options')
+        .select('id, project_id, name, description, milestones, scope_of_work, sort_order')
+        .eq('company_id', companyID)
+        .in('project_id', projectIds)
+        .order('sort_order', { ascending: true }),
+      supabase
+        .from('project_documents')
+        .select('id, project_id, name, document_type, document_number, document_date, status, file_path, mime_type, esign_status, esign_completed_at, shared_with_customer, selected_option_id, option_applied_at, created_at')
+        .eq('company_id', companyID)
+        .in('project_id', projectIds)
+        .is('deleted_at', null)
+        .order('created_at', { ascending: false }),
+    ]);
+    if (milestonesResult.error) throw new Error(milestonesResult.error.message);
+    if (optionsResult.error) throw new Error(optionsResult.error.message);
+    if (documentsResult.error) throw new Error(documentsResult.error.message);
+    milestones = milestonesResult.data || [];
+    options = optionsResult.data || [];
+    documents = (documentsResult.data || []).filter(isPortalDocument);
+  }
+
+  // Photos get signed thumbnail URLs up front; other documents are opened through the download endpoint
+  const photos = documents.filter(isImage);
+  const photoUrls = new Map();
+  if (photos.length) {
+    const { data: signed, error: signError } = await supabase.storage
+      .from(STORAGE_BUCKET)
+      .createSignedUrls(photos.map((p) => p.file_path), SIGNED_URL_SECONDS);
+    if (signError) {
+      console.warn('Portal photo URLs failed (non-fatal):', signError.message);
+    }
+    (signed || []).forEach((entry, i) => {
+      if (entry?.signedUrl) photoUrls.set(photos[i].id, entry.signedUrl);
+    });
+  }
+
+  const toPortalDocument = ({ file_path, shared_with_customer, project_id, ...doc }) => doc;
+
+  // The payment schedule is the contract's once the customer has been sent one, otherwise the proposal's
+  const hasDocument = (projectId, documentType) => documents.some((d) => d.project_id === projectId && d.document_type === documentType);
+  const scheduleFor = (projectId) => {
+    const ofType = (documentType) => (hasDocument(projectId, documentType)
+      ? milestones.filter((m) => m.project_id === projectId && m.document_type === documentType)
+      : []);
+    const contract = ofType('contract');
+    return contract.length ? contract : ofType('proposal');
+  };
+
+  return {
+    company: companyResult.data || null,
+    customer: customerResult.data,
+    expires_at: link.expires_at,
+    projects: projects.map((project) => ({
+      ...project,
+      milestones: scheduleFor(project.id)
+        .map(({ project_id, document_type, ...m }) => ({ ...m, customer_price: parseFloat(m.customer_price || 0) || 0 })),
+      options: options
+        .filter((o) => o.project_id === project.id && hasDocument(project.id, 'proposal'))
+        .map(({ project_id, sort_order, ...o }) => ({
+          ...o,
+          price: Math.round((o.milestones || []).reduce((sum, m) => sum + (Number(m.customer_price) || 0), 0) * 100) / 100,
+        })),
+      documents: documents
+        .filter((d) => d.project_id === project.id && !isImage(d))
+        .map(toPortalDocument),
+      photos: photos
+        .filter((d) => d.project_id === project.id && photoUrls.has(d.id))
+        .map((d) => ({ ...toPortalDocument(d), url: photoUrls.get(d.id) })),
+    })),
+  };
+}
+
+/**
+ * Signed download URL for a document the portal customer is allowed to see
+ * @param {Object} link - Result of resolvePortalToken
+ * @param {string} documentId
+ * @returns {Promise<Object|null>} { url, name }, or null when the document isn't visible to this customer
+ */
+export async function getPortalDocumentUrl(link, documentId) {
+  const { data: doc, error } = await supabase
+    .from('project_documents')
+    .select('id, name, file_path, document_type, status, shared_with_customer, projects:project_id (customer_id, deleted_at)')
+    .eq('id', documentId)
+    .eq('company_id', link.company_id)
+    .is('deleted_at', null)
+    .maybeSingle();
+
+  if (error) throw new Error(error.message);
+  if (!doc || !doc.projects || doc.projects.customer_id !== link.customer_id || doc.projects.deleted_at) return null;
+  if (!isPortalDocument(doc) || !doc.file_path) return null;
+
+  const { data: signed, error: signError } = await supabase.storage
+    .from(STORAGE_BUCKET)
+    .createSignedUrl(doc.file_path, SIGNED_URL_SECONDS);
+
+  if (signError) throw new Error(signError.message);
+  return { url: signed.signedUrl, name: doc.name };
+}
+
+/**
+ * The customer picks an option package on one of their proposals
+ * @param {Object} link - Result of resolvePortalToken
+ * @param {string} documentId - Proposal project_documents id
+ * @param {string} optionId
+ * @returns {Promise<Object|null>} proposalOptions.selectOption result, or null when the proposal isn't visible to
+ * this customer
+ */
+export async function selectPortalOption(link, documentId, optionId) {
+  const { data: doc, error } = await supabase
+    .from('project_documents')
+    .select('id, document_type, status, projects:project_id (customer_id, deleted_at)')
+    .eq('id', documentId)
+    .eq('company_id', link.company_id)
+    .is('deleted_at', null)
+    .maybeSingle();
+
+  if (error) throw new Error(error.message);
+  if (!doc || doc.document_type !== 'proposal' || !isPortalDocument(doc) || !doc.projects || doc.projects.customer_id !== link.customer_id || doc.projects.deleted_at) {
+    return null;
+  }
+  return selectOption(link.company_id, documentId, optionId);
+}
+
+export default {
+  DEFAULT_LINK_DAYS,
+  MAX_LINK_DAYS,
+  PORTAL_DOCUMENT_TYPES,
+  hashToken,
+  getLinkStatus,
+  createPortalLink,
+  listPortalLinks,
+  revokePortalLink,
+  resolvePortalToken,
+  getPortalOverview,
+  getPortalDocumentUrl,
+  selectPortalOption,
+};
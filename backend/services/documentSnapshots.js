@@ -0,0 +1,326 @@
+import dotenv from 'dotenv';
+import { fileURLToPath } from 'url';
+import { dirname, join } from 'path';
+import { createClient } from '@supabase/supabase-js';
+import { getClausesForDocument } from './contractClauses.js';
+import { getOptionsForDocument } from './proposalOptions.js';
+
+const __filename = fileURLToPath(import.meta.url);
+const __dirname = dirname(__filename);
+
+// Load .env from root directory (two levels up from backend/services/)
+dotenv.config({ path: join(__dirname, '..', '..', '.env') });
+
+const supabaseUrl = process.env.SUPABASE_URL;
+const supabaseServiceKey = process.env.SUPABASE_SERVICE_ROLE_KEY;
+
+const supabase = createClient(supabaseUrl || '', supabaseServiceKey || '');
+
+// Document types whose milestones and scope of work are edited per document (see PUT /api/projects/:id/milestones)
+export const SNAPSHOT_DOCUMENT_TYPES = ['proposal', 'contract', 'change_order'];
+
+const PROJECT_FIELDS = ['project_name', 'address', 'original_contract_price', 'customer_price', 'schedule_extension_days'];
+const CUSTOMER_FIELDS = ['first_name', 'last_name', 'email', 'phone', 'address_line1', 'address_line2', 'city', 'state', 'zip_code'];
+const COMPANY_FIELDS = ['company_name', 'phone', 'email', 'website', 'address_line1', 'address_line2', 'city', 'state', 'zip_code', 'license_numbers', 'terms_of_service'];
+const MILESTONE_FIELDS = ['name', 'description', 'milestone_type', 'cost', 'customer_price', 'flat_price', 'markup_percent'];
+const OPTION_FIELDS = ['description', 'price', 'milestones', 'scopeOfWork'];
+const TOTAL_FIELDS = ['milestoneCount', 'milestonesCost', 'milestonesTotal', 'originalContractPrice', 'contractPrice', 'scheduleExtensionDays'];
+
+const LIST_SELECT = 'id, document_id, document_type, created_at, document:document_id (name, document_number, document_date, status), creator:created_by (name)';
+
+const roundTo2 = (n) => Math.round(Number(n) * 100) / 100;
+const toNumber = (value) => parseFloat(value || 0) || 0;
+
+const pick = (row, fields) => Object.fromEntries(fields.map((field) => [field, row?.[field] ?? null]));
+
+const shapeListRow = ({ document, creator, ...row }) => ({
+  ...row,
+  name: document?.name || null,
+  document_number: document?.document_number ?? null,
+  document_date: document?.document_date || null,
+  status: document?.status || null,
+  created_by_name: creator?.name || null,
+});
+
+/**
+ * Nest flat scope_of_work rows (parent_id) into a tree ordered by sort_order
+ * @param {Array} rows
+ * @returns {Array} [{ title, description, children }]
+ */
+function buildScopeTree(rows) {
+  const sorted = (rows || []).slice().sort((a, b) => (a.sort_order ?? 0) - (b.sort_order ?? 0));
+  const nodes = new Map(sorted.map((row) => [row.id, { title: row.title, description: row.description || null, children: [] }]));
+  const roots = [];
+  for (const row of sorted) {
+    const parent = row.parent_id && nodes.get(row.parent_id);
+    (parent ? parent.children : roots).push(nodes.get(row.id));
+  }
+  return roots;
+}
+
+/**
+ * Freeze what a project document says right now: its type's milestones, scope tree and clauses (and option
+ * packages for proposals), totals, company terms and customer info
+ * @param {string} companyID
+ * @param {string} projectId
+ * @param {string} documentType - proposal, contract or change_order
+ * @returns {Promise<Object|null>} Snapshot body, or null when the project doesn't exist
+ */
+export async function buildSnapshot(companyID, projectId, documentType) {
+  const [projectResult, companyResult, milestonesResult, scopeResult, clauses, options] = await Promise.all([
+    supabase
+      .from('projects')
+      .select(`id, ${PROJECT_FIELDS.join(', ')}, customers (${CUSTOMER_FIELDS.join(', ')})`)
+      .eq('id', projectId)
+      .eq('company_id', companyID)
+      .maybeSingle(),
+    supabase
+      .from('companies')
+      .select(COMPANY_FIELDS.join(', '))
+      .eq('company_id', companyID)
+      .single(),
+    supabase
+      .from('milestones')
+      .select(`${MILESTONE_FIELDS.join(', ')}, sort_order`)
+      .eq('project_id', projectId)
+      .eq('company_id', companyID)
+      .eq('document_type', documentType)
+      .order('sort_order', { ascending: true }),
+    supabase
+      .from('scope_of_work')
+      .select('id, parent_id, title, description, sort_order')
+      .eq('project_id', projectId)
+      .eq('company_id', companyID)
+      .eq('document_type', documentType)
+      .order('sort_order', { ascending: true }),
+    getClausesForDocument(companyID, documentType),
+    documentType === 'proposal' ? getOptionsForDocument(companyID, projectId) : [],
+  ]);
+  const failed = [projectResult, companyResult, milestonesResult, scopeResult].find((result) => result.error);
+  if (failed) throw new Error(failed.error.message);
+  if (!projectResult.data) return null;
+
+  const { customers: customer, ...project } = projectResult.data;
+  const milestones = (milestonesResult.data || []).map((m) => ({
+    ...pick(m, MILESTONE_FIELDS),
+    cost: roundTo2(toNumber(m.cost)),
+    customer_price: roundTo2(toNumber(m.customer_price)),
+    flat_price: m.flat_price != null ? roundTo2(toNumber(m.flat_price)) : null,
+    markup_percent: roundTo2(toNumber(m.markup_percent)),
+  }));
+  const originalContractPrice = roundTo2(toNumber(project.original_contract_price ?? project.customer_price));
+
+  return {
+    capturedAt: new Date().toISOString(),
+    documentType,
+    project: pick(project, PROJECT_FIELDS),
+    customer: customer ? pick(customer, CUSTOMER_FIELDS) : null,
+    company: pick(companyResult.data, COMPANY_FIELDS),
+    milestones,
+    scopeOfWork: buildScopeTree(scopeResult.data),
+    clauses: clauses.map(({ title, body }) => ({ title, body })),
+    options,
+    totals: {
+      milestoneCount: milestones.length,
+      milestonesCost: roundTo2(milestones.reduce((sum, m) => sum + m.cost, 0)),
+      milestonesTotal: roundTo2(milestones.reduce((sum, m) => sum + m.customer_price, 0)),
+      originalContractPrice,
+      contractPrice: roundTo2(toNumber(project.customer_price)),
+      scheduleExtensionDays: project.schedule_extension_days || 0,
+    },
+  };
+}
+
+/**
+ * Snapshot a newly created project document. Documents of other types (receipts, insurance, ...) have no
+ * milestones or scope and are skipped.
+ * @param {Object} options
+ * @param {string} options.companyID
+ * @param {Object} options.document - project_documents row (id, project_id, document_type)
+ * @param {string|null} [options.employeeId]
+ * @returns {Promise<Object|null>} document_snapshots row, or null when the document type isn't snapshotted
+ */
+export async function createSnapshot({ companyID, document, employeeId = null }) {
+  if (!document?.id || !SNAPSHOT_DOCUMENT_TYPES.includes(document.document_type)) return null;
+
+  const snapshot = await buildSnapshot(companyID, document.project_id, document.document_type);
+  if (!snapshot) return null;
+
+  const { data, error } = await supabase
+    .from('document_snapshots')
+    .insert([{
+      company_id: companyID,
+      project_id: document.project_id,
+      document_id: document.id,
+      document_type: document.document_type,
+      snapshot,
+      created_by: employeeId,
+    }])
+    .select()
+    .single();
+  if (error) throw new Error(error.message);
+  return data;
+}
+
+/**
+ * Give a signed copy the snapshot of the document that was sent for signature, so both say the same thing
+ * @param {string} sourceDocumentId - project_documents id that was sent
+ * @param {Object} document - The new signed project_documents row
+ * @returns {Promise<Object|null>} document_snapshots row, or null when the source has no snapshot
+ */
+export async function copySnapshot(sourceDocumentId, document) {
+  const { data: source, error } = await supabase
+    .from('document_snapshots')
+    .select('company_id, project_id, document_type, snapshot, created_by')
+    .eq('document_id', sourceDocumentId)
+    .maybeSingle();
+  if (error) throw new Error(error.message);
+  if (!source || !document?.id) return null;
+
+  const { data, error: insertError } = await supabase
+    .from('document_snapshots')
+    .insert([{ ...source, document_id: document.id }])
+    .select()
+    .single();
+  if (insertError) throw new Error(insertError.message);
+  return data;
+}
+
+/**
+ * A project's snapshots, oldest first, without their bodies
+ * @param {string} companyID
+ * @param {string} projectId
+ * @returns {Promise<Array>}
+ */
+export async function listProjectSnapshots(companyID, projectId) {
+  const { data, error } = await supabase
+    .from('document_snapshots')
+    .select(LIST_SELECT)
+    .eq('company_id', companyID)
+    .eq('project_id', projectId)
+    .order('created_at', { ascending: true });
+  if (error) throw new Error(error.message);
+  return (data || []).map(shapeListRow);
+}
+
+/**
+ * The snapshot stored for a document
+ * @param {string} companyID
+ * @param {string} documentId - project_documents id
+ * @returns {Promise<Object|null>}
+ */
+export async function getDocumentSnapshot(companyID, documentId) {
+  const { data, error } = await supabase
+    .from('document_snapshots')
+    .select(`${LIST_SELECT}, project_id, snapshot`)
+    .eq('company_id', companyID)
+    .eq('document_id', documentId)
+    .maybeSingle();
+  if (error) throw new Error(error.message);
+  return data ? shapeListRow(data) : null;
+}
+
+/**
+ * Two snapshots of the same project
+ * @param {string} companyID
+ * @param {string} projectId
+ * @param {string} fromId - document_snapshots id
+ * @param {string} toId - document_snapshots id
+ * @returns {Promise<Object|null>} { from, to }, or null when either isn't on the project
+ */
+export async function getSnapshotPair(companyID, projectId, fromId, toId) {
+  const { data, error } = await supabase
+    .from('document_snapshots')
+    .select(`${LIST_SELECT}, snapshot`)
+    .eq('company_id', companyID)
+    .eq('project_id', projectId)
+    .in('id', [fromId, toId]);
+  if (error) throw new Error(error.message);
+
+  const byId = new Map((data || []).map((row) => [row.id, shapeListRow(row)]));
+  if (!byId.has(fromId) || !byId.has(toId)) return null;
+  return { from: byId.get(fromId), to: byId.get(toId) };
+}
+
+// [{ field, from, to }] for every field whose value differs
+function fieldChanges(before, after, fields) {
+  return fields
+    .filter((field) => JSON.stringify(before?.[field] ?? null) !== JSON.stringify(after?.[field] ?? null))
+    .map((field) => ({ field, from: before?.[field] ?? null, to: after?.[field] ?? null }));
+}
+
+/**
+ * Match two lists by key (duplicates pair up in order) into added, removed and changed entries
+ * @param {Array} before
+ * @param {Array} after
+ * @param {Function} keyOf - item => key
+ * @param {Array<string>} fields - Fields compared on matched items
+ * @returns {Object} { added, removed, changed: [{ key, before, after, changes }] }
+ */
+function diffLists(before, after, keyOf, fields) {
+  const remaining = new Map();
+  for (const item of before) {
+    const key = keyOf(item);
+    if (!remaining.has(key)) remaining.set(key, []);
+    remaining.get(key).push(item);
+  }
+
+  const added = [];
+  const changed = [];
+  for (const item of after) {
+    const key = keyOf(item);
+    const previous = remaining.get(key)?.shift();
+    if (!previous) {
+      added.push(item);
+      continue;
+    }
+    const changes = fieldChanges(previous, item, fields);
+    if (changes.length) changed.push({ key, before: previous, after: item, changes });
+  }
+  const removed = [...remaining.values()].flat();
+  return { added, removed, changed };
+}
+
+// Scope tree as a flat list of { path, title, description } so nested items compare by their position
+function flattenScope(nodes, parents = []) {
+  return (nodes || []).flatMap((node) => {
+    const path = [...parents, node.title];
+    return [{ path: path.join(' › '), title: node.title, description: node.description }, ...flattenScope(node.children, path)];
+  });
+}
+
+/**
+ * What changed between two snapshot bodies
+ * @param {Object} from - Older snapshot body
+ * @param {Object} to - Newer snapshot body
+ * @returns {Object} { milestones, scopeOfWork, clauses, options, totals, project, customer, company, hasChanges }
+ */
+export function diffSnapshots(from, to) {
+  const milestoneKey = (m) => String(m.name || '').trim().toLowerCase();
+  const diff = {
+    milestones: diffLists(from.milestones || [], to.milestones || [], milestoneKey, MILESTONE_FIELDS),
+    scopeOfWork: diffLists(flattenScope(from.scopeOfWork), flattenScope(to.scopeOfWork), (item) => item.path, ['description']),
+    // Snapshots taken before the clause library have no clauses
+    clauses: diffLists(from.clauses || [], to.clauses || [], (clause) => clause.title, ['body']),
+    options: diffLists(from.options || [], to.options || [], (option) => option.name, OPTION_FIELDS),
+    totals: fieldChanges(from.totals, to.totals, TOTAL_FIELDS),
+    project: fieldChanges(from.project, to.project, PROJECT_FIELDS),
+    customer: fieldChanges(from.customer, to.customer, CUSTOMER_FIELDS),
+    company: fieldChanges(from.company, to.company, COMPANY_FIELDS),
+  };
+  const listChanged = (list) => list.added.length + list.removed.length + list.changed.length > 0;
+  diff.hasChanges = listChanged(diff.milestones) || listChanged(diff.scopeOfWork) || listChanged(diff.clauses) || listChanged(diff.options)
+    || [diff.totals, diff.project, diff.customer, diff.company].some((changes) => changes.length > 0);
+  return diff;
+}
+
+export default {
+  SNAPSHOT_DOCUMENT_TYPES,
+  buildSnapshot,
+  createSnapshot,
+  copySnapshot,
+  listProjectSnapshots,
+  getDocumentSnapshot,
+  getSnapshotPair,
+  diffSnapshots,
+};
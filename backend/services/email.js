@@ -65,3 +65,121 @@ export async function sendRegistrationWelcome({ to, companyId, companyName, owne
     return { sent: false };
   }
 }
+
+const getReminderConfig = () => ({
+  serviceId: (process.env.EMAILJS_SERVICE_ID || '').trim(),
+  templateId: (process.env.EMAILJS_REMINDER_TEMPLATE_ID || '').trim(),
+  publicKey: (process.env.EMAILJS_PUBLIC_KEY || '').trim(),
+  privateKey: (process.env.EMAILJS_PRIVATE_KEY || '').trim(),
+});
+
+/**
+ * Whether payment reminder emails can be sent (EMAILJS_REMINDER_TEMPLATE_ID plus the shared EmailJS keys)
+ * @returns {boolean}
+ */
+export function isPaymentReminderConfigured() {
+  const { serviceId, templateId, publicKey, privateKey } = getReminderConfig();
+  return !!(serviceId && templateId && publicKey && privateKey);
+}
+
+/**
+ * Send an overdue invoice reminder
+ * Uses EmailJS - create a template with variables: {{to_email}}, {{customer_name}}, {{company_name}}, {{company_phone}},
+ * {{invoice_number}}, {{project_name}}, {{balance_due}}, {{due_date}}, {{days_overdue}}, {{message}}
+ * @param {Object} options
+ * @param {string} options.to - Recipient email
+ * @param {string} options.customerName
+ * @param {string} options.companyName
+ * @param {string} [options.companyPhone]
+ * @param {number} options.invoiceNumber
+ * @param {string} options.projectName
+ * @param {string} options.balanceDue - Formatted amount, e.g. "$1,250.00"
+ * @param {string} options.dueDate - Formatted due date
+ * @param {number} options.daysOverdue
+ * @param {string} options.message - Plain-text reminder (same wording as the SMS)
+ * @returns {Promise<Object>} { sent, error }
+ */
+export async function sendPaymentReminder({ to, customerName, companyName, companyPhone, invoiceNumber, projectName, balanceDue, dueDate, daysOverdue, message }) {
+  const { serviceId, templateId, publicKey, privateKey } = getReminderConfig();
+  if (!isPaymentReminderConfigured()) {
+    return { sent: false, error: 'Reminder email is not configured (EMAILJS_REMINDER_TEMPLATE_ID)' };
+  }
+
+  try {
+    await emailjs.send(serviceId, templateId, {
+      to_email: to,
+      customer_name: customerName || '',
+      company_name: companyName || '',
+      company_phone: companyPhone || '',
+      invoice_number: String(invoiceNumber),
+      project_name: projectName || '',
+      balance_due: balanceDue,
+      due_date: dueDate,
+      days_overdue: String(daysOverdue),
+      message,
+    }, {
+      publicKey,
+      privateKey,
+    });
+    return { sent: true };
+  } catch (err) {
+    const errMsg = err?.message || err?.text || err?.statusText || String(err);
+    console.error('[EmailJS] Payment reminder failed:', errMsg);
+    return { sent: false, error: errMsg };
+  }
+}
+
+const getCoiAlertConfig = () => ({
+  serviceId: (process.env.EMAILJS_SERVICE_ID || '').trim(),
+  templateId: (process.env.EMAILJS_COI_TEMPLATE_ID || '').trim(),
+  publicKey: (process.env.EMAILJS_PUBLIC_KEY || '').trim(),
+  privateKey: (process.env.EMAILJS_PRIVATE_KEY || '').trim(),
+});
+
+/**
+ * Whether COI expiration alert emails can be sent (EMAILJS_COI_TEMPLATE_ID plus the shared EmailJS keys)
+ * @returns {boolean}
+ */
+export function isCoiAlertConfigured() {
+  const { serviceId, templateId, publicKey, privateKey } = getCoiAlertConfig();
+  return !!(serviceId && templateId && publicKey && privateKey);
+}
+
+/**
+ * Send the office a list of subcontractors whose certificate of insurance has expired or is about to
+ * Uses EmailJS - create a template with variables: {{to_email}}, {{employee_name}}, {{company_name}},
+ * {{expired_count}}, {{expiring_count}}, {{message}}
+ * @param {Object} options
+ * @param {string} options.to - Recipient email
+ * @param {string} options.employeeName
+ * @param {string} options.companyName
+ * @param {number} options.expiredCount
+ * @param {number} options.expiringCount
+ * @param {string} options.message - Plain-text list, one subcontractor per line
+ * @returns {Promise<Object>} { sent, error }
+ */
+export async function sendCoiExpirationAlert({ to, employeeName, companyName, expiredCount, expiringCount, message }) {
+  const { serviceId, templateId, publicKey, privateKey } = getCoiAlertConfig();
+  if (!isCoiAlertConfigured()) {
+    return { sent: false, error: 'COI alert email is not configured (EMAILJS_COI_TEMPLATE_ID)' };
+  }
+
+  try {
+    await emailjs.send(serviceId, templateId, {
+      to_email: to,
+      employee_name: employeeName || '',
+      company_name: companyName || '',
+      expired_count: String(expiredCount),
+      expiring_count: String(expiringCount),
+      message,
+    }, {
+      publicKey,
+      privateKey,
+    });
+    return { sent: true };
+  } catch (err) {
+    const errMsg = err?.message || err?.text || err?.statusText || String(err);
+    console.error('[EmailJS] COI alert failed:', errMsg);
+    return { sent: false, error: errMsg };
+  }
+}
@@ -0,0 +1,280 @@
+import dotenv from 'dotenv';
+import { fileURLToPath } from 'url';
+import { dirname, join } from 'path';
+import { createClient } from '@supabase/supabase-js';
+import { buildSearchFilter } from './listQuery.js';
+
+const __filename = fileURLToPath(import.meta.url);
+const __dirname = dirname(__filename);
+
+// Load .env from root directory (two levels up from backend/services/)
+dotenv.config({ path: join(__dirname, '..', '..', '.env') });
+
+const supabaseUrl = process.env.SUPABASE_URL;
+const supabaseServiceKey = process.env.SUPABASE_SERVICE_ROLE_KEY;
+
+const supabase = createClient(supabaseUrl || '', supabaseServiceKey || '');
+
+// Candidates pulled per source before ranking; the final list is cut to `limit`
+const CANDIDATES_PER_SOURCE = 25;
+export const MAX_RESULTS = 50;
+
+// Filler words in queries like "the Martinez pool on Elm St"
+const STOP_WORDS = new Set(['the', 'a', 'an', 'and', 'on', 'in', 'at', 'of', 'for', 'to']);
+
+const digitsOnly = (value) => String(value || '').replace(/\D/g, '');
+
+/**
+ * Split a query into search tokens (lowercased, stop words and 1-char noise removed)
+ * Falls back to the whole query when every word is a stop word.
+ * @param {string} q
+ * @returns {string[]}
+ */
+export function tokenizeQuery(q) {
+  const words = String(q || '').toLowerCase().split(/\s+/).filter(Boolean);
+  const tokens = words.filter((w) => w.length > 1 && !STOP_WORDS.has(w));
+  return [...new Set(tokens.length ? tokens : words)];
+}
+
+/**
+ * or() clauses matching any token in any column; phone columns also match digits typed without formatting
+ * @param {string[]} columns
+ * @param {string[]} phoneColumns
+ * @param {string[]} tokens
+ * @returns {string}
+ */
+function buildTokenFilter(columns, phoneColumns, tokens) {
+  const clauses = [];
+  for (const token of tokens) {
+    clauses.push(buildSearchFilter(columns, token));
+    const digits = digitsOnly(token);
+    // "5551234" should match "(555) 123-4567"
+    if (phoneColumns.length && digits.length >= 4 && digits.length === token.length) {
+      clauses.push(buildSearchFilter(phoneColumns, digits.split('').join('%')));
+    }
+  }
+  return clauses.join(',');
+}
+
+/**
+ * Score one record against the query
+ * Per token: exact field match 5, word-prefix match 3, substring 1 (best field wins).
+ * Bonuses: every token matched +5, whole query found in one field +4.
+ * @param {string[]} fields - Searchable text for the record
+ * @param {string[]} tokens
+ * @param {string} phrase - Full normalized query
+ * @returns {number} 0 when nothing matched
+ */
+export function scoreRecord(fields, tokens, phrase) {
+  const values = fields.filter(Boolean).map((f) => String(f).toLowerCase());
+  const digitValues = values.map(digitsOnly).filter(Boolean);
+  let score = 0;
+  let matchedTokens = 0;
+
+  for (const token of tokens) {
+    let best = 0;
+    for (const value of values) {
+      if (value === token) best = Math.max(best, 5);
+      else if (value.startsWith(token) || value.includes(` ${token}`)) best = Math.max(best, 3);
+      else if (value.includes(token)) best = Math.max(best, 1);
+    }
+    const tokenDigits = digitsOnly(token);
+    if (!best && tokenDigits.length >= 4 && tokenDigits.length === token.length && digitValues.some((d) => d.includes(tokenDigits))) {
+      best = 3;
+    }
+    if (best) matchedTokens++;
+    score += best;
+  }
+
+  if (score === 0) return 0;
+  if (tokens.length > 1 && matchedTokens === tokens.length) score += 5;
+  if (phrase.includes(' ') && values.some((v) => v.includes(phrase))) score += 4;
+  return score;
+}
+
+const customerName = (c) => (c ? [c.first_name, c.last_name].filter(Boolean).join(' ') : '');
+
+async function searchCustomers(companyID, tokens) {
+  const { data, error } = await supabase
+    .from('customers')
+    .select('id, first_name, last_name, email, phone, address_line1, city, state, zip_code, pipeline_status, updated_at')
+    .eq('company_id', companyID)
+    .is('deleted_at', null)
+    .or(buildTokenFilter(['first_name', 'last_name', 'email', 'phone', 'address_line1', 'city', 'zip_code'], ['phone'], tokens))
+    .limit(CANDIDATES_PER_SOURCE);
+  if (error) throw new Error(error.message);
+
+  return (data || []).map((c) => ({
+    type: 'customer',
+    id: c.id,
+    title: customerName(c) || c.email || 'Customer',
+    subtitle: [c.email, c.phone, [c.address_line1, c.city].filter(Boolean).join(', ')].filter(Boolean).join(' · '),
+    fields: [customerName(c), c.first_name, c.last_name, c.email, c.phone, c.address_line1, c.city, c.zip_code],
+    updated_at: c.updated_at,
+  }));
+}
+
+async function searchProjects(companyID, tokens) {
+  // Projects also match on their customer's name ("Martinez pool")
+  const { data: customers, error: customerError } = await supabase
+    .from('customers')
+    .select('id')
+    .eq('company_id', companyID)
+    .is('deleted_at', null)
+    .or(buildTokenFilter(['first_name', 'last_name'], [], tokens))
+    .limit(CANDIDATES_PER_SOURCE);
+  if (customerError) throw new Error(customerError.message);
+
+  const clauses = [buildTokenFilter(['project_name', 'address', 'project_manager'], [], tokens)];
+  if (customers?.length) clauses.push(`customer_id.in.(${customers.map((c) => c.id).join(',')})`);
+
+  const { data, error } = await supabase
+    .from('projects')
+    .select('id, project_name, address, project_manager, status, project_types, updated_at, customers:customer_id (id, first_name, last_name)')
+    .eq('company_id', companyID)
+    .is('deleted_at', null)
+    .or(clauses.join(','))
+    .limit(CANDIDATES_PER_SOURCE * 2);
+  if (error) throw new Error(error.message);
+
+  return (data || []).map((p) => ({
+    type: 'project',
+    id: p.id,
+    title: p.project_name || p.address || 'Project',
+    subtitle: [customerName(p.customers), p.address].filter(Boolean).join(' · '),
+    fields: [
+      p.project_name,
+      p.address,
+      p.project_manager,
+      customerName(p.customers),
+      p.customers?.first_name,
+      p.customers?.last_name,
+      ...(Array.isArray(p.project_types) ? p.project_types : []),
+    ],
+    updated_at: p.updated_at,
+  }));
+}
+
+// Document metadata tables and how to label their parent record
+const DOCUMENT_SOURCES = [
+  { table: 'project_documents', entityType: 'projects', parentColumn: 'project_id', parentSelect: 'projects:project_id (id, project_name, address, deleted_at)', parentKey: 'projects', parentName: (p) => p?.project_name || p?.address, numbered: true },
+  { table: 'customer_documents', entityType: 'customers', parentColumn: 'customer_id', parentSelect: 'customers:customer_id (id, first_name, last_name, deleted_at)', parentKey: 'customers', parentName: customerName },
+  { table: 'subcontractor_documents', entityType: 'subcontractors', parentColumn: 'subcontractor_id', parentSelect: 'subcontractors:subcontractor_id (id, name)', parentKey: 'subcontractors', parentName: (s) => s?.name },
+  { table: 'inventory_documents', entityType: 'inventory', parentColumn: 'inventory_id', parentSelect: 'inventory:inventory_id (id, name)', parentKey: 'inventory', parentName: (i) => i?.name },
+];
+
+async function searchDocuments(companyID, tokens) {
+  const results = await Promise.all(DOCUMENT_SOURCES.map(async (source) => {
+    const clauses = [buildTokenFilter(['name', 'file_name'], [], tokens)];
+    // "#00042" or "42" finds document number 42
+    if (source.numbered) {
+      for (const token of tokens) {
+        const number = parseInt(token.replace(/^#/, ''), 10);
+        if (/^#?\d+$/.test(token) && !Number.isNaN(number)) clauses.push(`document_number.eq.${number}`);
+      }
+    }
+
+    const { data, error } = await supabase
+      .from(source.table)
+      .select(`id, name, file_name, document_type, ${source.numbered ? 'document_number, ' : ''}${source.parentColumn}, updated_at, ${source.parentSelect}`)
+      .eq('company_id', companyID)
+      .is('deleted_at', null)
+      .or(clauses.join(','))
+      .limit(CANDIDATES_PER_SOURCE);
+    if (error) throw new Error(error.message);
+
+    // Documents of a trashed customer or project go with it
+    return (data || []).filter((doc) => !doc[source.parentKey]?.deleted_at).map((doc) => {
+      const parentName = source.parentName(doc[source.parentKey]) || '';
+      const number = doc.document_number ? `#${String(doc.document_number).padStart(5, '0')}` : null;
+      return {
+        type: 'document',
+        id: doc.id,
+        title: doc.name || doc.file_name,
+        subtitle: [number, doc.document_type, parentName].filter(Boolean).join(' · '),
+        fields: [doc.name, doc.file_name, doc.document_number != null ? String(doc.document_number) : null, number],
+        entity_type: source.entityType,
+        entity_id: doc[source.parentColumn],
+        entity_name: parentName,
+        updated_at: doc.updated_at,
+      };
+    });
+  }));
+  return results.flat();
+}
+
+async function searchInventory(companyID, tokens) {
+  const { data, error } = await supabase
+    .from('inventory')
+    .select('id, name, brand, model, sku, color, type, updated_at')
+    .eq('company_id', companyID)
+    .or(buildTokenFilter(['name', 'brand', 'model', 'sku', 'color'], [], tokens))
+    .limit(CANDIDATES_PER_SOURCE);
+  if (error) throw new Error(error.message);
+
+  return (data || []).map((item) => ({
+    type: 'inventory',
+    id: item.id,
+    title: item.name,
+    subtitle: [item.type === 'equipment' ? 'Equipment' : 'Material', item.brand, item.model, item.sku, item.color].filter(Boolean).join(' · '),
+    fields: [item.name, item.brand, item.model, item.sku, item.color],
+    inventory_type: item.type || 'material',
+    updated_at: item.updated_at,
+  }));
+}
+
+async function searchSubcontractors(companyID, tokens) {
+  const { data, error } = await supabase
+    .from('subcontractors')
+    .select('id, name, primary_contact_name, primary_contact_email, primary_contact_phone, updated_at')
+    .eq('company_id', companyID)
+    .or(buildTokenFilter(['name', 'primary_contact_name', 'primary_contact_email', 'primary_contact_phone'], ['primary_contact_phone'], tokens))
+    .limit(CANDIDATES_PER_SOURCE);
+  if (error) throw new Error(error.message);
+
+  return (data || []).map((s) => ({
+    type: 'subcontractor',
+    id: s.id,
+    title: s.name,
+    subtitle: [s.primary_contact_name, s.primary_contact_phone, s.primary_contact_email].filter(Boolean).join(' · '),
+    fields: [s.name, s.primary_contact_name, s.primary_contact_email, s.primary_contact_phone],
+    updated_at: s.updated_at,
+  }));
+}
+
+/**
+ * Search customers, projects, documents, inventory and subcontractors for one company
+ * @param {string} companyID
+ * @param {string} q - Free-text query
+ * @param {Object} [options]
+ * @param {number} [options.limit] - Max results (default 20, capped at MAX_RESULTS)
+ * @returns {Promise<Array>} Ranked results: { type, id, title, subtitle, score, ...type-specific fields }
+ */
+export async function searchCompany(companyID, q, { limit = 20 } = {}) {
+  const tokens = tokenizeQuery(q);
+  if (tokens.length === 0) return [];
+  const phrase = tokens.join(' ');
+  const max = Math.min(Math.max(parseInt(limit, 10) || 20, 1), MAX_RESULTS);
+
+  const groups = await Promise.all([
+    searchCustomers(companyID, tokens),
+    searchProjects(companyID, tokens),
+    searchDocuments(companyID, tokens),
+    searchInventory(companyID, tokens),
+    searchSubcontractors(companyID, tokens),
+  ]);
+
+  return groups
+    .flat()
+    .map(({ fields, ...result }) => ({ ...result, score: scoreRecord(fields, tokens, phrase) }))
+    .filter((result) => result.score > 0)
+    .sort((a, b) => b.score - a.score || String(b.updated_at || '').localeCompare(String(a.updated_at || '')))
+    .slice(0, max);
+}
+
+export default {
+  MAX_RESULTS,
+  tokenizeQuery,
+  scoreRecord,
+  searchCompany,
+};
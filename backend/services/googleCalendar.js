@@ -152,8 +152,9 @@ export async function getCalendarClient(userId) {
     throw new Error('Google Calendar not connected. Please connect your Google account.');
   }
 
-  // Set credentials
-  oauth2Client.setCredentials({
+  // A client per call: background sync works through several users' calendars, so credentials can't be shared
+  const client = new google.auth.OAuth2(GOOGLE_CLIENT_ID, GOOGLE_CLIENT_SECRET, GOOGLE_REDIRECT_URI);
+  client.setCredentials({
     refresh_token: refreshToken,
     access_token: accessToken,
     expiry_date: tokenExpiry,
@@ -162,7 +163,7 @@ export async function getCalendarClient(userId) {
   // Refresh token if needed
   if (!accessToken || (tokenExpiry && Date.now() >= tokenExpiry)) {
     try {
-      const { credentials } = await oauth2Client.refreshAccessToken();
+      const { credentials } = await client.refreshAccessToken();
       
       // Update stored access token
       const updatedMetadata = {
@@ -175,14 +176,14 @@ export async function getCalendarClient(userId) {
         user_metadata: updatedMetadata,
       });
 
-      oauth2Client.setCredentials(credentials);
+      client.setCredentials(credentials);
     } catch (error) {
       console.error('Error refreshing token:', error);
       throw new Error('Failed to refresh access token. Please reconnect your Google account.');
     }
   }
 
-  return google.calendar({ version: 'v3', auth: oauth2Client });
+  return google.calendar({ version: 'v3', auth: client });
 }
 
 /**
@@ -244,6 +245,24 @@ export async function getEvents(userId, timeMin, timeMax) {
   return response.data.items || [];
 }
 
+/**
+ * Calendars the user can add events to (their primary calendar first)
+ */
+export async function listWritableCalendars(userId) {
+  const calendar = await getCalendarClient(userId);
+
+  const response = await calendar.calendarList.list({ minAccessRole: 'writer' });
+
+  return (response.data.items || [])
+    .map((item) => ({
+      id: item.primary ? 'primary' : item.id,
+      summary: item.summaryOverride || item.summary || item.id,
+      primary: !!item.primary,
+      backgroundColor: item.backgroundColor || null,
+    }))
+    .sort((a, b) => Number(b.primary) - Number(a.primary) || a.summary.localeCompare(b.summary));
+}
+
 /**
  * Create event in Google Calendar
  */
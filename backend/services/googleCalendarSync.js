@@ -0,0 +1,950 @@
+import dotenv from 'dotenv';
+import { fileURLToPath } from 'url';
+import { dirname, join } from 'path';
+import { createClient } from '@supabase/supabase-js';
+import { getCalendarClient } from './googleCalendar.js';
+import { getEvent, updateEvent, removeAssignee, zonedTimeToUtc } from './calendarEvents.js';
+import { recordAudit } from './auditLog.js';
+
+const __filename = fileURLToPath(import.meta.url);
+const __dirname = dirname(__filename);
+
+// Load .env from root directory (two levels up from backend/services/)
+dotenv.config({ path: join(__dirname, '..', '..', '.env') });
+
+const supabaseUrl = process.env.SUPABASE_URL;
+const supabaseServiceKey = process.env.SUPABASE_SERVICE_ROLE_KEY;
+
+const supabase = createClient(supabaseUrl || '', supabaseServiceKey || '');
+
+const DAY_MS = 24 * 60 * 60 * 1000;
+
+// Private extended properties on every Google copy, so pulls can tell our events from the user's own
+const EVENT_ID_PROPERTY = 'tovyallaEventId';
+const TASK_ID_PROPERTY = 'tovyallaTaskId';
+const COMPANY_ID_PROPERTY = 'tovyallaCompanyId';
+
+// Project and customer details are appended to the Google description under this line and stripped on the way back
+const DESCRIPTION_FOOTER = '-- Tovyalla CRM --';
+
+// When sync is turned on, events that ended longer ago than this (and don't repeat) aren't copied
+const INITIAL_PUSH_PAST_DAYS = 30;
+const PAGE_SIZE = 250;
+const RECENT_CONFLICTS = 10;
+
+const FREQUENCIES = { DAILY: 'daily', WEEKLY: 'weekly', MONTHLY: 'monthly', YEARLY: 'yearly' };
+
+const SYNC_SELECT = '*, employee:employee_id (id, name)';
+
+const TASK_SELECT = `
+  id, company_id, project_id, name, notes, duration_days, planned_start, planned_end, actual_start, actual_end,
+  employee_id, updated_at,
+  project:project_id (project_name, address, deleted_at, customers (first_name, last_name))
+`;
+
+const errorStatus = (err) => err?.code || err?.response?.status;
+const isGone = (err) => [404, 410].includes(errorStatus(err));
+
+// ---------------------------------------------------------------------------
+// Converting between CRM and Google events
+// ---------------------------------------------------------------------------
+
+const addDays = (date, days) => new Date(new Date(`${date}T00:00:00Z`).getTime() + days * DAY_MS).toISOString().slice(0, 10);
+
+/**
+ * RRULE line for an event's repeat rule. UNTIL is the last day an occurrence may start, so timed events use the
+ * end of that day in the event's zone.
+ * @returns {string|null}
+ */
+function toRrule(event) {
+  if (!event.recurrence_frequency) return null;
+  const parts = [`FREQ=${event.recurrence_frequency.toUpperCase()}`];
+  if (event.recurrence_interval > 1) parts.push(`INTERVAL=${event.recurrence_interval}`);
+  if (event.recurrence_until) {
+    if (event.all_day) {
+      parts.push(`UNTIL=${event.recurrence_until.replace(/-/g, '')}`);
+    } else {
+      const [year, month, day] = event.recurrence_until.split('-').map(Number);
+      const untilMs = zonedTimeToUtc({ year, month, day, hour: 23, minute: 59, second: 59 }, event.time_zone);
+      parts.push(`UNTIL=${new Date(untilMs).toISOString().replace(/[-:]/g, '').replace(/\.\d{3}/, '')}`);
+    }
+  }
+  if (event.recurrence_count) parts.push(`COUNT=${event.recurrence_count}`);
+  return `RRULE:${parts.join(';')}`;
+}
+
+/**
+ * Google Calendar resource for a CRM event. Fields are null rather than missing so a patch clears them.
+ * @param {Object} event - Shaped event from calendarEvents.getEvent
+ * @returns {Object}
+ */
+export function toGoogleEvent(event) {
+  const footer = [
+    DESCRIPTION_FOOTER,
+    event.project_name && `Project: ${event.project_name}`,
+    event.customer_name && `Customer: ${event.customer_name}`,
+  ].filter(Boolean).join('\n');
+  const rule = toRrule(event);
+
+  return {
+    summary: event.title,
+    description: event.description ? `${event.description}\n\n${footer}` : footer,
+    location: event.location || event.project_address || null,
+    start: event.all_day
+      ? { date: event.starts_at.slice(0, 10) }
+      : { dateTime: new Date(event.starts_at).toISOString(), timeZone: event.time_zone },
+    end: event.all_day
+      ? { date: new Date(event.ends_at).toISOString().slice(0, 10) }
+      : { dateTime: new Date(event.ends_at).toISOString(), timeZone: event.time_zone },
+    recurrence: rule ? [rule] : null,
+    extendedProperties: {
+      private: { [EVENT_ID_PROPERTY]: event.id, [COMPANY_ID_PROPERTY]: event.company_id },
+    },
+  };
+}
+
+/**
+ * The days a schedule task covers: its actual dates once started (the expected finish while it's under way),
+ * otherwise its planned dates
+ * @returns {Object} { start, end } as YYYY-MM-DD, start null when the task isn't scheduled yet
+ */
+function taskDates(task) {
+  const duration = Math.max(1, task.duration_days || 1);
+  if (task.actual_start) {
+    return { start: task.actual_start, end: task.actual_end || addDays(task.actual_start, duration - 1) };
+  }
+  if (!task.planned_start) return { start: null, end: null };
+  return { start: task.planned_start, end: task.planned_end || addDays(task.planned_start, duration - 1) };
+}
+
+/**
+ * All-day Google Calendar resource for a project schedule task (selected with TASK_SELECT)
+ * @returns {Object}
+ */
+export function toGoogleTask(task) {
+  const { start, end } = taskDates(task);
+  const customer = [task.project?.customers?.first_name, task.project?.customers?.last_name].filter(Boolean).join(' ');
+  const footer = [
+    DESCRIPTION_FOOTER,
+    task.project?.project_name && `Project: ${task.project.project_name}`,
+    customer && `Customer: ${customer}`,
+    'Schedule task: change it on the project schedule in the CRM',
+  ].filter(Boolean).join('\n');
+
+  return {
+    summary: task.name,
+    description: task.notes ? `${task.notes}\n\n${footer}` : footer,
+    location: task.project?.address || null,
+    start: { date: start },
+    // Google's all-day end is exclusive
+    end: { date: addDays(end, 1) },
+    extendedProperties: {
+      private: { [TASK_ID_PROPERTY]: task.id, [COMPANY_ID_PROPERTY]: task.company_id },
+    },
+  };
+}
+
+// Tasks get a Google copy once they have dates, unless their project is in the Trash
+const isPublishable = (task) => !!taskDates(task).start && !task.project?.deleted_at;
+
+/**
+ * Read a Google recurrence back into our repeat fields. Only rules we can represent are accepted: one RRULE with
+ * FREQ, INTERVAL, UNTIL or COUNT, plus a single BYDAY/BYMONTHDAY as Google's own editor adds.
+ * @param {string[]|undefined} lines - Google's recurrence array
+ * @param {string} timeZone - Zone an UNTIL timestamp is read in
+ * @returns {Object|null|undefined} repeat fields, null for no repeat, or undefined when the rule can't be represented
+ */
+function fromRrule(lines, timeZone) {
+  if (!lines || lines.length === 0) return null;
+  if (lines.length > 1 || !lines[0].startsWith('RRULE:')) return undefined;
+
+  const rule = Object.fromEntries(lines[0].slice(6).split(';').map((part) => part.split('=')));
+  const allowed = ['FREQ', 'INTERVAL', 'UNTIL', 'COUNT', 'WKST', 'BYDAY', 'BYMONTHDAY'];
+  if (Object.keys(rule).some((key) => !allowed.includes(key))) return undefined;
+  if ((rule.BYDAY && (rule.FREQ !== 'WEEKLY' || rule.BYDAY.includes(',')))
+    || (rule.BYMONTHDAY && (rule.FREQ !== 'MONTHLY' || rule.BYMONTHDAY.includes(',')))) {
+    return undefined;
+  }
+  if (!FREQUENCIES[rule.FREQ]) return undefined;
+
+  let until = null;
+  if (rule.UNTIL) {
+    const raw = rule.UNTIL;
+    until = raw.length === 8
+      ? `${raw.slice(0, 4)}-${raw.slice(4, 6)}-${raw.slice(6, 8)}`
+      : new Intl.DateTimeFormat('en-CA', { timeZone, year: 'numeric', month: '2-digit', day: '2-digit' })
+        .format(new Date(`${raw.slice(0, 4)}-${raw.slice(4, 6)}-${raw.slice(6, 8)}T${raw.slice(9, 11)}:${raw.slice(11, 13)}:${raw.slice(13, 15)}Z`));
+  }
+
+  return {
+    frequency: FREQUENCIES[rule.FREQ],
+    interval: parseInt(rule.INTERVAL, 10) || 1,
+    until,
+    count: rule.COUNT ? parseInt(rule.COUNT, 10) : null,
+  };
+}
+
+/**
+ * updateEvent fields from an edited Google copy. The project/customer footer is dropped from the description;
+ * a repeat rule we can't represent leaves the CRM rule as it was.
+ * @returns {Object}
+ */
+function fromGoogleEvent(item, event) {
+  let description = item.description || '';
+  const footerAt = description.indexOf(DESCRIPTION_FOOTER);
+  if (footerAt >= 0) description = description.slice(0, footerAt);
+
+  const fields = {
+    title: item.summary?.trim() || event.title,
+    description: description.trim(),
+    // Unchanged means we sent it, possibly filled in from the project address, so keep what the CRM has
+    location: item.location === (event.location || event.project_address) ? event.location : item.location || null,
+  };
+
+  if (item.start?.date) {
+    fields.allDay = true;
+    fields.startsAt = item.start.date;
+    fields.endsAt = addDays(item.end?.date || addDays(item.start.date, 1), -1);
+  } else {
+    fields.allDay = false;
+    fields.startsAt = item.start.dateTime;
+    fields.endsAt = item.end?.dateTime;
+    fields.timeZone = item.start.timeZone || event.time_zone;
+  }
+
+  const recurrence = fromRrule(item.recurrence, fields.timeZone || event.time_zone);
+  if (recurrence !== undefined) fields.recurrence = recurrence;
+  return fields;
+}
+
+// What each side looked like when they conflicted, for calendar_sync_conflicts
+const crmSnapshot = (event) => ({
+  title: event.title,
+  description: event.description,
+  location: event.location,
+  all_day: event.all_day,
+  starts_at: event.starts_at,
+  ends_at: event.ends_at,
+  recurrence_frequency: event.recurrence_frequency,
+  recurrence_interval: event.recurrence_interval,
+  recurrence_until: event.recurrence_until,
+  recurrence_count: event.recurrence_count,
+  updated_at: event.updated_at,
+});
+
+const googleSnapshot = (item) => ({
+  summary: item.summary || null,
+  description: item.description || null,
+  location: item.location || null,
+  start: item.start || null,
+  end: item.end || null,
+  recurrence: item.recurrence || null,
+  updated: item.updated || null,
+});
+
+// ---------------------------------------------------------------------------
+// Sync state
+// ---------------------------------------------------------------------------
+
+// Audit actor for changes that came from an employee's Google calendar
+const syncAuth = (sync) => ({
+  companyID: sync.company_id,
+  user: { id: sync.user_id },
+  employee: sync.employee || { id: sync.employee_id },
+});
+
+async function getSyncRow(companyID, employeeId) {
+  const { data, error } = await supabase
+    .from('google_calendar_sync')
+    .select(SYNC_SELECT)
+    .eq('company_id', companyID)
+    .eq('employee_id', employeeId)
+    .maybeSingle();
+  if (error) throw new Error(error.message);
+  return data;
+}
+
+async function updateSyncRow(employeeId, fields) {
+  const { error } = await supabase
+    .from('google_calendar_sync')
+    .update({ ...fields, updated_at: new Date().toISOString() })
+    .eq('employee_id', employeeId);
+  if (error) throw new Error(error.message);
+}
+
+// Keep the latest failure on the settings row so the user can see why their calendar is behind
+async function recordSyncError(sync, err) {
+  console.warn(`Google Calendar sync error for employee ${sync.employee_id}:`, err?.message || err);
+  try {
+    await updateSyncRow(sync.employee_id, { last_error: String(err?.message || err).slice(0, 500) });
+  } catch (updateErr) {
+    console.warn('Failed to record Google Calendar sync error:', updateErr.message);
+  }
+}
+
+async function recordConflict(sync, event, item, resolution) {
+  const { error } = await supabase
+    .from('calendar_sync_conflicts')
+    .insert({
+      company_id: sync.company_id,
+      employee_id: sync.employee_id,
+      event_id: event.id,
+      event_title: event.title,
+      resolution,
+      crm_version: crmSnapshot(event),
+      google_version: googleSnapshot(item),
+    });
+  if (error) console.warn('calendar_sync_conflicts insert failed (non-fatal):', error.message);
+}
+
+async function saveLink(sync, event, data) {
+  const { error } = await supabase
+    .from('calendar_event_google_links')
+    .upsert({
+      event_id: event.id,
+      employee_id: sync.employee_id,
+      company_id: sync.company_id,
+      google_calendar_id: sync.calendar_id,
+      google_event_id: data.id,
+      etag: data.etag || null,
+      google_updated_at: data.updated || null,
+      event_updated_at: event.updated_at,
+      synced_at: new Date().toISOString(),
+    }, { onConflict: 'event_id,employee_id' });
+  if (error) throw new Error(error.message);
+}
+
+async function deleteLink(link) {
+  const { error } = await supabase
+    .from('calendar_event_google_links')
+    .delete()
+    .eq('event_id', link.event_id)
+    .eq('employee_id', link.employee_id);
+  if (error) throw new Error(error.message);
+}
+
+// ---------------------------------------------------------------------------
+// Pushing CRM events to Google
+// ---------------------------------------------------------------------------
+
+/**
+ * Create or update one employee's Google copy of an event. A copy edited in Google since the last sync
+ * (etag mismatch) is overwritten, since this CRM edit is the later one, and the conflict is recorded.
+ * A copy deleted in Google is recreated.
+ */
+async function pushCopy(sync, event, link) {
+  const calendar = await getCalendarClient(sync.user_id);
+  const requestBody = toGoogleEvent(event);
+  let data = null;
+
+  if (link && link.google_calendar_id === sync.calendar_id) {
+    const params = { calendarId: sync.calendar_id, eventId: link.google_event_id, requestBody };
+    try {
+      ({ data } = await calendar.events.patch(params, link.etag ? { headers: { 'If-Match': link.etag } } : {}));
+    } catch (err) {
+      if (errorStatus(err) === 412) {
+        const { data: current } = await calendar.events.get({ calendarId: sync.calendar_id, eventId: link.google_event_id });
+        await recordConflict(sync, event, current, 'kept_crm');
+        ({ data } = await calendar.events.patch(params));
+      } else if (!isGone(err)) {
+        throw err;
+      }
+    }
+  } else if (link) {
+    await deleteGoogleCopy(sync, link);
+  }
+
+  if (!data) {
+    const { recurrence, location, ...rest } = requestBody;
+    ({ data } = await calendar.events.insert({
+      calendarId: sync.calendar_id,
+      requestBody: { ...rest, ...(recurrence && { recurrence }), ...(location && { location }) },
+    }));
+  }
+
+  await saveLink(sync, event, data);
+}
+
+// Delete a Google copy; one that's already gone is fine
+async function deleteGoogleCopy(sync, link) {
+  try {
+    const calendar = await getCalendarClient(sync.user_id);
+    await calendar.events.delete({ calendarId: link.google_calendar_id, eventId: link.google_event_id });
+  } catch (err) {
+    if (!isGone(err)) throw err;
+  }
+}
+
+async function removeCopy(sync, link) {
+  if (sync) {
+    try {
+      await deleteGoogleCopy(sync, link);
+    } catch (err) {
+      await recordSyncError(sync, err);
+    }
+  }
+  await deleteLink(link);
+}
+
+async function loadLinks(column, value) {
+  const { data, error } = await supabase
+    .from('calendar_event_google_links')
+    .select('*')
+    .eq(column, value);
+  if (error) throw new Error(error.message);
+  return data || [];
+}
+
+/**
+ * Bring every Google copy of an event in line with the CRM: update or create copies for assignees with sync
+ * turned on, and remove copies for anyone no longer assigned (or when the event lost its project).
+ * Failures for one assignee are recorded on their sync row and don't stop the others.
+ * @param {string} companyID
+ * @param {string} eventId
+ * @param {Object} [options]
+ * @param {string} [options.exceptEmployeeId] - Skip this assignee (their copy is where the change came from)
+ * @returns {Promise<number>} Number of copies written
+ */
+export async function publishEvent(companyID, eventId, { exceptEmployeeId } = {}) {
+  const event = await getEvent(companyID, eventId);
+  if (!event) return 0;
+
+  const links = await loadLinks('event_id', eventId);
+  let targets = [];
+  if (event.project_id && event.assignee_ids.length > 0) {
+    const { data, error } = await supabase
+      .from('google_calendar_sync')
+      .select(SYNC_SELECT)
+      .eq('company_id', companyID)
+      .eq('enabled', true)
+      .in('employee_id', event.assignee_ids);
+    if (error) throw new Error(error.message);
+    targets = data || [];
+  }
+
+  const targetIds = new Set(targets.map((sync) => sync.employee_id));
+  for (const link of links.filter((l) => !targetIds.has(l.employee_id))) {
+    await removeCopy(await getSyncRow(companyID, link.employee_id), link);
+  }
+
+  let pushed = 0;
+  for (const sync of targets) {
+    if (sync.employee_id === exceptEmployeeId) continue;
+    try {
+      await pushCopy(sync, event, links.find((l) => l.employee_id === sync.employee_id));
+      pushed += 1;
+    } catch (err) {
+      await recordSyncError(sync, err);
+    }
+  }
+  return pushed;
+}
+
+/**
+ * Remove every Google copy of an event. Call before deleting it, since the links go with the event.
+ */
+export async function unpublishEvent(companyID, eventId) {
+  const links = await loadLinks('event_id', eventId);
+  for (const link of links) {
+    await removeCopy(await getSyncRow(companyID, link.employee_id), link);
+  }
+}
+
+// Copy every current project event assigned to the employee into their calendar
+async function publishAssignedEvents(sync) {
+  const { data: assigned, error: assignedError } = await supabase
+    .from('calendar_event_assignees')
+    .select('event_id')
+    .eq('company_id', sync.company_id)
+    .eq('employee_id', sync.employee_id);
+  if (assignedError) throw new Error(assignedError.message);
+  const eventIds = (assigned || []).map((row) => row.event_id);
+  if (eventIds.length === 0) return 0;
+
+  const since = new Date(Date.now() - INITIAL_PUSH_PAST_DAYS * DAY_MS).toISOString();
+  const { data: events, error } = await supabase
+    .from('calendar_events')
+    .select('id')
+    .eq('company_id', sync.company_id)
+    .in('id', eventIds)
+    .not('project_id', 'is', null)
+    .or(`ends_at.gte.${since},recurrence_frequency.not.is.null`);
+  if (error) throw new Error(error.message);
+
+  const links = await loadLinks('employee_id', sync.employee_id);
+  let pushed = 0;
+  for (const { id } of events || []) {
+    try {
+      const event = await getEvent(sync.company_id, id);
+      await pushCopy(sync, event, links.find((l) => l.event_id === id));
+      pushed += 1;
+    } catch (err) {
+      await recordSyncError(sync, err);
+    }
+  }
+  return pushed;
+}
+
+async function removeAllCopies(sync) {
+  const links = await loadLinks('employee_id', sync.employee_id);
+  for (const link of links) await removeCopy(sync, link);
+  const taskLinks = await loadTaskLinks('employee_id', [sync.employee_id]);
+  for (const link of taskLinks) await removeTaskCopy(sync, link);
+}
+
+// ---------------------------------------------------------------------------
+// Pushing schedule tasks to Google
+// ---------------------------------------------------------------------------
+
+async function loadTaskLinks(column, values) {
+  const { data, error } = await supabase
+    .from('schedule_task_google_links')
+    .select('*')
+    .in(column, values);
+  if (error) throw new Error(error.message);
+  return data || [];
+}
+
+async function deleteTaskLink(link) {
+  const { error } = await supabase
+    .from('schedule_task_google_links')
+    .delete()
+    .eq('task_id', link.task_id)
+    .eq('employee_id', link.employee_id);
+  if (error) throw new Error(error.message);
+}
+
+async function removeTaskCopy(sync, link) {
+  if (sync) {
+    try {
+      await deleteGoogleCopy(sync, link);
+    } catch (err) {
+      await recordSyncError(sync, err);
+    }
+  }
+  await deleteTaskLink(link);
+}
+
+/**
+ * Create or update the assignee's Google copy of a task. Tasks only go one way, so a copy edited in Google is
+ * simply overwritten, and one deleted there is recreated.
+ */
+async function pushTaskCopy(sync, task, link) {
+  const calendar = await getCalendarClient(sync.user_id);
+  const requestBody = toGoogleTask(task);
+  let data = null;
+
+  if (link && link.google_calendar_id === sync.calendar_id) {
+    try {
+      ({ data } = await calendar.events.patch({ calendarId: sync.calendar_id, eventId: link.google_event_id, requestBody }));
+    } catch (err) {
+      if (!isGone(err)) throw err;
+    }
+  } else if (link) {
+    await deleteGoogleCopy(sync, link);
+  }
+
+  if (!data) {
+    const { location, ...rest } = requestBody;
+    ({ data } = await calendar.events.insert({
+      calendarId: sync.calendar_id,
+      requestBody: { ...rest, ...(location && { location }) },
+    }));
+  }
+
+  const { error } = await supabase
+    .from('schedule_task_google_links')
+    .upsert({
+      task_id: task.id,
+      employee_id: sync.employee_id,
+      company_id: sync.company_id,
+      google_calendar_id: sync.calendar_id,
+      google_event_id: data.id,
+      task_updated_at: task.updated_at,
+      synced_at: new Date().toISOString(),
+    }, { onConflict: 'task_id,employee_id' });
+  if (error) throw new Error(error.message);
+}
+
+/**
+ * Bring the Google copies of a project's schedule tasks in line with the CRM. Call after any schedule change,
+ * since one task moving can reschedule the others. Each dated task goes to its assigned employee when they have
+ * sync turned on; copies of tasks that were reassigned or lost their dates are removed, and tasks that haven't
+ * changed since their last push are left alone. Failures for one employee don't stop the others.
+ * @param {string} companyID
+ * @param {string} projectId
+ * @returns {Promise<number>} Number of copies written
+ */
+export async function publishProjectTasks(companyID, projectId) {
+  const { data, error } = await supabase
+    .from('project_schedule_tasks')
+    .select(TASK_SELECT)
+    .eq('company_id', companyID)
+    .eq('project_id', projectId);
+  if (error) throw new Error(error.message);
+  const tasks = data || [];
+  if (tasks.length === 0) return 0;
+
+  const links = await loadTaskLinks('task_id', tasks.map((t) => t.id));
+  const assigneeIds = [...new Set(tasks.map((t) => t.employee_id).filter(Boolean))];
+  let syncs = [];
+  if (assigneeIds.length > 0) {
+    const { data: rows, error: syncError } = await supabase
+      .from('google_calendar_sync')
+      .select(SYNC_SELECT)
+      .eq('company_id', companyID)
+      .eq('enabled', true)
+      .in('employee_id', assigneeIds);
+    if (syncError) throw new Error(syncError.message);
+    syncs = rows || [];
+  }
+  const syncByEmployee = new Map(syncs.map((sync) => [sync.employee_id, sync]));
+
+  for (const link of links) {
+    const task = tasks.find((t) => t.id === link.task_id);
+    if (task.employee_id === link.employee_id && syncByEmployee.has(link.employee_id) && isPublishable(task)) continue;
+    await removeTaskCopy(await getSyncRow(companyID, link.employee_id), link);
+  }
+
+  let pushed = 0;
+  for (const task of tasks) {
+    const sync = syncByEmployee.get(task.employee_id);
+    if (!sync || !isPublishable(task)) continue;
+    const link = links.find((l) => l.task_id === task.id && l.employee_id === task.employee_id);
+    if (link?.google_calendar_id === sync.calendar_id && link.task_updated_at
+      && new Date(link.task_updated_at) >= new Date(task.updated_at)) {
+      continue;
+    }
+    try {
+      await pushTaskCopy(sync, task, link);
+      pushed += 1;
+    } catch (err) {
+      await recordSyncError(sync, err);
+    }
+  }
+  return pushed;
+}
+
+/**
+ * Remove the Google copies of a schedule task. Call before deleting it, since the links go with the task.
+ */
+export async function unpublishScheduleTask(companyID, taskId) {
+  const links = await loadTaskLinks('task_id', [taskId]);
+  for (const link of links.filter((l) => l.company_id === companyID)) {
+    await removeTaskCopy(await getSyncRow(companyID, link.employee_id), link);
+  }
+}
+
+// Copy the employee's current schedule tasks into their calendar
+async function publishAssignedTasks(sync) {
+  const { data, error } = await supabase
+    .from('project_schedule_tasks')
+    .select(TASK_SELECT)
+    .eq('company_id', sync.company_id)
+    .eq('employee_id', sync.employee_id);
+  if (error) throw new Error(error.message);
+
+  const since = new Date(Date.now() - INITIAL_PUSH_PAST_DAYS * DAY_MS).toISOString().slice(0, 10);
+  const links = await loadTaskLinks('employee_id', [sync.employee_id]);
+  let pushed = 0;
+  for (const task of data || []) {
+    if (!isPublishable(task) || taskDates(task).end < since) continue;
+    try {
+      await pushTaskCopy(sync, task, links.find((l) => l.task_id === task.id));
+      pushed += 1;
+    } catch (err) {
+      await recordSyncError(sync, err);
+    }
+  }
+  return pushed;
+}
+
+// ---------------------------------------------------------------------------
+// Pulling Google changes into the CRM
+// ---------------------------------------------------------------------------
+
+/**
+ * Apply one changed Google copy. Deleting the copy takes the employee off the event; edits update the event.
+ * When the CRM event also changed since the last sync, the later edit wins and both versions are recorded.
+ * @returns {Promise<string|null>} 'applied', 'conflict' or null when nothing changed
+ */
+async function applyGoogleChange(sync, item, link) {
+  // Edits to a single occurrence of a repeating event have no CRM equivalent
+  if (item.recurringEventId) return null;
+
+  if (item.status === 'cancelled') {
+    const result = await removeAssignee(sync.company_id, link.event_id, sync.employee_id);
+    await deleteLink(link);
+    if (!result) return null;
+    await recordAudit({
+      auth: syncAuth(sync),
+      entityType: 'calendar_event',
+      entityId: link.event_id,
+      action: 'update',
+      before: result.before,
+      after: result.after,
+      metadata: { project_id: result.after?.project_id || null, source: 'google_calendar', deleted_in_google: true },
+    });
+    return 'applied';
+  }
+
+  if (item.etag && item.etag === link.etag) return null;
+
+  const event = await getEvent(sync.company_id, link.event_id);
+  if (!event) {
+    await deleteLink(link);
+    return null;
+  }
+
+  const changedInCrm = link.event_updated_at && new Date(event.updated_at) > new Date(link.event_updated_at);
+  if (changedInCrm) {
+    const googleIsLater = new Date(item.updated) > new Date(event.updated_at);
+    await recordConflict(sync, event, item, googleIsLater ? 'kept_google' : 'kept_crm');
+    if (!googleIsLater) {
+      await pushCopy(sync, event, { ...link, etag: item.etag });
+      return 'conflict';
+    }
+  }
+
+  const result = await updateEvent(sync.company_id, event.id, fromGoogleEvent(item, event));
+  if (!result) return null;
+  if (result.error) {
+    // Google allows things we don't (e.g. a repeat end before the start); put the CRM version back
+    await recordSyncError(sync, new Error(`"${event.title}" was not updated from Google: ${result.error}`));
+    await pushCopy(sync, event, { ...link, etag: item.etag });
+    return null;
+  }
+
+  await recordAudit({
+    auth: syncAuth(sync),
+    entityType: 'calendar_event',
+    entityId: event.id,
+    action: 'update',
+    before: result.before,
+    after: result.after,
+    metadata: { project_id: event.project_id, source: 'google_calendar' },
+  });
+  await saveLink(sync, result.after, item);
+  await publishEvent(sync.company_id, event.id, { exceptEmployeeId: sync.employee_id });
+  return changedInCrm ? 'conflict' : 'applied';
+}
+
+/**
+ * Fetch what changed in the employee's calendar since the last pull (everything when there's no sync token yet,
+ * or Google expired it) and apply changes to our copies. The user's own events are ignored.
+ * @param {Object} sync - google_calendar_sync row
+ * @returns {Promise<Object>} { applied, conflicts }
+ */
+export async function pullChanges(sync) {
+  const calendar = await getCalendarClient(sync.user_id);
+  let syncToken = sync.sync_token;
+  let pageToken;
+  let items = [];
+  let nextSyncToken = null;
+
+  for (;;) {
+    try {
+      const { data } = await calendar.events.list({
+        calendarId: sync.calendar_id,
+        showDeleted: true,
+        maxResults: PAGE_SIZE,
+        ...(pageToken && { pageToken }),
+        ...(syncToken && { syncToken }),
+      });
+      items.push(...(data.items || []));
+      if (data.nextPageToken) {
+        pageToken = data.nextPageToken;
+        continue;
+      }
+      nextSyncToken = data.nextSyncToken || null;
+      break;
+    } catch (err) {
+      // Google invalidated the token: start over with a full sync
+      if (errorStatus(err) === 410 && syncToken) {
+        syncToken = null;
+        pageToken = undefined;
+        items = [];
+        continue;
+      }
+      throw err;
+    }
+  }
+
+  const links = new Map((await loadLinks('employee_id', sync.employee_id)).map((link) => [link.google_event_id, link]));
+  let applied = 0;
+  let conflicts = 0;
+  let lastError = null;
+  for (const item of items) {
+    const link = links.get(item.id);
+    // Deleted items come back without their properties, so the link is what identifies our copies
+    if (!link || (item.status !== 'cancelled' && item.extendedProperties?.private?.[EVENT_ID_PROPERTY] !== link.event_id)) continue;
+    try {
+      const outcome = await applyGoogleChange(sync, item, link);
+      if (outcome === 'applied') applied += 1;
+      if (outcome === 'conflict') conflicts += 1;
+    } catch (err) {
+      console.warn(`Google Calendar sync error for employee ${sync.employee_id}:`, err?.message || err);
+      lastError = String(err?.message || err).slice(0, 500);
+    }
+  }
+
+  // A change that failed to apply is fetched again next time: the token only moves on once everything went in.
+  // Changes already applied come back as no-ops (their etag matches the link).
+  await updateSyncRow(sync.employee_id, {
+    sync_token: lastError ? syncToken : nextSyncToken,
+    last_synced_at: new Date().toISOString(),
+    last_error: lastError,
+  });
+  return { applied, conflicts };
+}
+
+// ---------------------------------------------------------------------------
+// Settings
+// ---------------------------------------------------------------------------
+
+/**
+ * An employee's sync settings and their most recent conflicts
+ * @returns {Promise<Object>} { sync, conflicts } (sync is null when they never turned it on)
+ */
+export async function getSyncSettings(companyID, employeeId) {
+  const row = await getSyncRow(companyID, employeeId);
+  let sync = null;
+  if (row) {
+    const { sync_token, employee, ...rest } = row;
+    sync = rest;
+  }
+
+  const { data: conflicts, error } = await supabase
+    .from('calendar_sync_conflicts')
+    .select('id, event_id, event_title, resolution, crm_version, google_version, created_at')
+    .eq('company_id', companyID)
+    .eq('employee_id', employeeId)
+    .order('created_at', { ascending: false })
+    .limit(RECENT_CONFLICTS);
+  if (error) throw new Error(error.message);
+
+  return { sync, conflicts: conflicts || [] };
+}
+
+/**
+ * Turn sync on or off, or move it to another calendar. Moving or turning off removes the copies from the old
+ * calendar; turning on copies the employee's project events and schedule tasks and takes a first sync token.
+ * @param {Object} params
+ * @param {string} params.companyID
+ * @param {string} params.employeeId
+ * @param {string} params.userId - Auth user whose Google connection is used
+ * @param {boolean} params.enabled
+ * @param {string} [params.calendarId] - Google calendar id ('primary' by default)
+ * @param {string} [params.calendarName]
+ * @returns {Promise<Object>} { pushed, applied }
+ */
+export async function updateSyncSettings({ companyID, employeeId, userId, enabled, calendarId, calendarName }) {
+  const before = await getSyncRow(companyID, employeeId);
+  const targetCalendar = calendarId || before?.calendar_id || 'primary';
+
+  if (!enabled) {
+    if (before?.enabled) await removeAllCopies(before);
+    if (before) await updateSyncRow(employeeId, { enabled: false, sync_token: null });
+    return { pushed: 0, applied: 0 };
+  }
+
+  const moved = before && (before.calendar_id !== targetCalendar || before.user_id !== userId);
+  if (moved && before.enabled) await removeAllCopies(before);
+
+  const { error } = await supabase
+    .from('google_calendar_sync')
+    .upsert({
+      employee_id: employeeId,
+      company_id: companyID,
+      user_id: userId,
+      enabled: true,
+      calendar_id: targetCalendar,
+      calendar_name: calendarName !== undefined ? calendarName || null : before?.calendar_name || null,
+      sync_token: moved || !before?.enabled ? null : before.sync_token,
+      last_error: null,
+      updated_at: new Date().toISOString(),
+    }, { onConflict: 'employee_id' });
+  if (error) throw new Error(error.message);
+
+  const sync = await getSyncRow(companyID, employeeId);
+  const pushed = await publishAssignedEvents(sync) + await publishAssignedTasks(sync);
+  try {
+    const { applied } = await pullChanges(await getSyncRow(companyID, employeeId));
+    return { pushed, applied };
+  } catch (err) {
+    // Settings are saved; the scheduled sync will retry the pull
+    await recordSyncError(sync, err);
+    return { pushed, applied: 0 };
+  }
+}
+
+/**
+ * Turn off sync for everyone using this user's Google connection and remove their copies (best effort).
+ * Call before disconnecting Google, while the tokens still work.
+ */
+export async function stopSyncForUser(userId) {
+  const { data, error } = await supabase
+    .from('google_calendar_sync')
+    .select(SYNC_SELECT)
+    .eq('user_id', userId)
+    .eq('enabled', true);
+  if (error) throw new Error(error.message);
+
+  for (const sync of data || []) {
+    await removeAllCopies(sync);
+    await updateSyncRow(sync.employee_id, { enabled: false, sync_token: null });
+  }
+}
+
+/**
+ * Pull one employee's Google changes now
+ * @returns {Promise<Object|null>} { applied, conflicts }, or null when sync is off
+ */
+export async function syncNow(companyID, employeeId) {
+  const sync = await getSyncRow(companyID, employeeId);
+  if (!sync?.enabled) return null;
+  try {
+    return await pullChanges(sync);
+  } catch (err) {
+    await recordSyncError(sync, err);
+    throw err;
+  }
+}
+
+/**
+ * Pull changes for every employee with sync turned on (scheduled job)
+ * @returns {Promise<number>} Number of events changed from Google
+ */
+export async function runGoogleCalendarSync() {
+  const { data, error } = await supabase
+    .from('google_calendar_sync')
+    .select(SYNC_SELECT)
+    .eq('enabled', true);
+  if (error) throw new Error(error.message);
+
+  let changed = 0;
+  for (const sync of data || []) {
+    try {
+      const { applied, conflicts } = await pullChanges(sync);
+      changed += applied + conflicts;
+    } catch (err) {
+      await recordSyncError(sync, err);
+    }
+  }
+  return changed;
+}
+
+export default {
+  toGoogleEvent,
+  toGoogleTask,
+  publishEvent,
+  unpublishEvent,
+  publishProjectTasks,
+  unpublishScheduleTask,
+  pullChanges,
+  getSyncSettings,
+  updateSyncSettings,
+  stopSyncForUser,
+  syncNow,
+  runGoogleCalendarSync,
+};
@@ -0,0 +1,319 @@
+import dotenv from 'dotenv';
+import { fileURLToPath } from 'url';
+import { dirname, join } from 'path';
+import { createClient } from '@supabase/supabase-js';
+import { fetchAllRows } from './projectFinancials.js';
+
+const __filename = fileURLToPath(import.meta.url);
+const __dirname = dirname(__filename);
+
+// Load .env from root directory (two levels up from backend/services/)
+dotenv.config({ path: join(__dirname, '..', '..', '.env') });
+
+const supabaseUrl = process.env.SUPABASE_URL;
+const supabaseServiceKey = process.env.SUPABASE_SERVICE_ROLE_KEY;
+
+const supabase = createClient(supabaseUrl || '', supabaseServiceKey || '');
+
+export const MOVEMENT_TYPES = ['receipt', 'allocation', 'return', 'adjustment'];
+
+// Project expense tables whose rows allocate stock once received
+export const ALLOCATING_TABLES = ['project_materials', 'project_equipment'];
+
+// Projects whose unreceived material lines count as committed stock: signed or sold work that hasn't finished
+export const COMMITTING_STATUSES = ['proposal_signed', 'contract_sent', 'sold', 'in_progress'];
+
+const roundTo2 = (n) => Math.round(Number(n) * 100) / 100;
+const toNumber = (value) => parseFloat(value || 0) || 0;
+
+const MOVEMENT_SELECT = `
+  id, inventory_id, movement_type, quantity, project_id, source_table, source_id, note, created_at,
+  project:project_id (project_name, address),
+  creator:created_by (name)
+`;
+
+const shapeMovement = ({ project, creator, ...row }) => ({
+  ...row,
+  quantity: toNumber(row.quantity),
+  project_name: project ? project.project_name || project.address || null : null,
+  created_by_name: creator?.name || null,
+});
+
+/**
+ * Signed stock change for a movement entered by hand. Receipts and returns add stock, allocations remove it and
+ * adjustments keep their sign.
+ * @param {string} movementType
+ * @param {number} quantity
+ * @returns {number}
+ */
+export function signedQuantity(movementType, quantity) {
+  const amount = roundTo2(quantity);
+  if (movementType === 'adjustment') return amount;
+  return movementType === 'allocation' ? -Math.abs(amount) : Math.abs(amount);
+}
+
+/**
+ * Append a movement; the database trigger applies it to inventory.stock
+ * @param {Object} movement
+ * @param {string} movement.companyID
+ * @param {string} movement.inventoryId
+ * @param {string} movement.movementType - One of MOVEMENT_TYPES
+ * @param {number} movement.quantity - Signed change to stock
+ * @param {string|null} [movement.projectId]
+ * @param {string|null} [movement.sourceTable] - One of ALLOCATING_TABLES for automatic movements
+ * @param {string|null} [movement.sourceId]
+ * @param {string|null} [movement.note]
+ * @param {string|null} [movement.employeeId]
+ * @returns {Promise<Object|null>} The movement, or null for a zero quantity (nothing to record)
+ */
+export async function recordMovement({ companyID, inventoryId, movementType, quantity, projectId = null, sourceTable = null, sourceId = null, note = null, employeeId = null }) {
+  const amount = roundTo2(quantity);
+  if (!amount) return null;
+
+  const { data, error } = await supabase
+    .from('inventory_movements')
+    .insert([{
+      company_id: companyID,
+      inventory_id: inventoryId,
+      movement_type: movementType,
+      quantity: amount,
+      project_id: projectId,
+      source_table: sourceTable,
+      source_id: sourceId,
+      note: note || null,
+      created_by: employeeId || null,
+    }])
+    .select(MOVEMENT_SELECT)
+    .single();
+  if (error) throw new Error(error.message);
+  return shapeMovement(data);
+}
+
+/**
+ * Bring a project material or equipment row's allocations in line with the row: a received row with an inventory
+ * item holds its quantity out of stock, anything else holds nothing. Differences are recorded as allocations (more
+ * out) or returns (back in), per inventory item, so changing the item moves stock between both.
+ * @param {Object} options
+ * @param {string} options.companyID
+ * @param {string} options.sourceTable - One of ALLOCATING_TABLES
+ * @param {string} options.sourceId - Row id
+ * @param {Object|null} options.row - The row as saved (inventory_id, quantity, date_received, project_id), or null
+ * once deleted
+ * @param {string|null} [options.projectId] - Project for the movements when the row is gone
+ * @param {string|null} [options.employeeId]
+ * @returns {Promise<Array>} Movements recorded
+ */
+export async function syncProjectAllocation({ companyID, sourceTable, sourceId, row, projectId = null, employeeId = null }) {
+  const { data: existing, error } = await supabase
+    .from('inventory_movements')
+    .select('inventory_id, quantity')
+    .eq('company_id', companyID)
+    .eq('source_table', sourceTable)
+    .eq('source_id', sourceId);
+  if (error) throw new Error(error.message);
+
+  // Net stock change this row has caused so far, and should cause now, per inventory item
+  const current = new Map();
+  for (const movement of existing || []) {
+    current.set(movement.inventory_id, (current.get(movement.inventory_id) || 0) + toNumber(movement.quantity));
+  }
+  const target = new Map();
+  if (row?.inventory_id && row.date_received) {
+    const { data: item, error: itemError } = await supabase
+      .from('inventory')
+      .select('id')
+      .eq('id', row.inventory_id)
+      .eq('company_id', companyID)
+      .maybeSingle();
+    if (itemError) throw new Error(itemError.message);
+    const quantity = toNumber(row.quantity) || (sourceTable === 'project_equipment' ? 1 : 0);
+    if (item && quantity > 0) target.set(row.inventory_id, -quantity);
+  }
+
+  const movements = [];
+  for (const inventoryId of new Set([...current.keys(), ...target.keys()])) {
+    const delta = roundTo2((target.get(inventoryId) || 0) - (current.get(inventoryId) || 0));
+    if (!delta) continue;
+    const movement = await recordMovement({
+      companyID,
+      inventoryId,
+      movementType: delta < 0 ? 'allocation' : 'return',
+      quantity: delta,
+      projectId: row?.project_id || projectId,
+      sourceTable,
+      sourceId,
+      note: row ? null : 'Project expense removed',
+      employeeId,
+    });
+    if (movement) movements.push(movement);
+  }
+  return movements;
+}
+
+/**
+ * An inventory item's ledger, newest first, with the on-hand quantity after each movement
+ * @param {string} companyID
+ * @param {string} inventoryId
+ * @returns {Promise<Object|null>} { item, onHand, movements }, or null when the item doesn't exist
+ */
+export async function getItemHistory(companyID, inventoryId) {
+  const [{ data: item, error: itemError }, { data, error }] = await Promise.all([
+    supabase
+      .from('inventory')
+      .select('id, name, unit, type, stock, unit_price')
+      .eq('id', inventoryId)
+      .eq('company_id', companyID)
+      .maybeSingle(),
+    supabase
+      .from('inventory_movements')
+      .select(MOVEMENT_SELECT)
+      .eq('company_id', companyID)
+      .eq('inventory_id', inventoryId)
+      .order('created_at', { ascending: true }),
+  ]);
+  if (itemError) throw new Error(itemError.message);
+  if (error) throw new Error(error.message);
+  if (!item) return null;
+
+  let onHand = 0;
+  const movements = (data || []).map((row) => {
+    const movement = shapeMovement(row);
+    onHand = roundTo2(onHand + movement.quantity);
+    return { ...movement, on_hand: onHand };
+  });
+
+  return { item: { ...item, stock: toNumber(item.stock) }, onHand: toNumber(item.stock), movements: movements.reverse() };
+}
+
+/**
+ * Record a movement entered by hand (stock received, counted, or moved to or from a project)
+ * @param {string} companyID
+ * @param {string} inventoryId
+ * @param {Object} fields - { movement_type, quantity, project_id?, note? }
+ * @param {string|null} [employeeId]
+ * @returns {Promise<Object|null>} The movement, { error, status } for a project that doesn't exist, or null when the
+ * item doesn't exist
+ */
+export async function addMovement(companyID, inventoryId, { movement_type, quantity, project_id, note }, employeeId = null) {
+  const { data: item, error } = await supabase
+    .from('inventory')
+    .select('id')
+    .eq('id', inventoryId)
+    .eq('company_id', companyID)
+    .maybeSingle();
+  if (error) throw new Error(error.message);
+  if (!item) return null;
+
+  if (project_id) {
+    const { data: project, error: projectError } = await supabase
+      .from('projects')
+      .select('id')
+      .eq('id', project_id)
+      .eq('company_id', companyID)
+      .maybeSingle();
+    if (projectError) throw new Error(projectError.message);
+    if (!project) return { error: 'Project not found', status: 404 };
+  }
+
+  const amount = signedQuantity(movement_type, quantity);
+  if (!amount) return { error: 'Quantity must not be zero', status: 400 };
+
+  return recordMovement({
+    companyID,
+    inventoryId,
+    movementType: movement_type,
+    quantity: amount,
+    projectId: project_id || null,
+    note,
+    employeeId,
+  });
+}
+
+/**
+ * Items to reorder: stock less what upcoming projects have committed (unreceived material lines on projects in
+ * COMMITTING_STATUSES, outside the Trash) at or below the item's reorder point, or below zero for items without
+ * one. The suggested order covers the shortfall, and is at least the item's reorder quantity.
+ * @param {string} companyID
+ * @returns {Promise<Array>} [{ id, name, unit, type, stock, committed, available, reorder_point, reorder_quantity,
+ * suggested_quantity, estimated_cost, projects: [{ project_id, project_name, quantity }] }], shortest first
+ */
+export async function getReorderReport(companyID) {
+  const [items, commitments] = await Promise.all([
+    fetchAllRows(() => supabase
+      .from('inventory')
+      .select('id, name, unit, type, stock, unit_price, reorder_point, reorder_quantity')
+      .eq('company_id', companyID)
+      .order('id')),
+    fetchAllRows(() => supabase
+      .from('project_materials')
+      .select('inventory_id, quantity, project_id, projects!inner (project_name, address, status, company_id, deleted_at)')
+      .eq('projects.company_id', companyID)
+      .in('projects.status', COMMITTING_STATUSES)
+      .is('projects.deleted_at', null)
+      .not('inventory_id', 'is', null)
+      .is('date_received', null)
+      .order('id')),
+  ]);
+
+  const committedByItem = new Map();
+  for (const line of commitments) {
+    const quantity = toNumber(line.quantity);
+    if (quantity <= 0) continue;
+    const entry = committedByItem.get(line.inventory_id) || { total: 0, projects: new Map() };
+    entry.total = roundTo2(entry.total + quantity);
+    const project = entry.projects.get(line.project_id) || {
+      project_id: line.project_id,
+      project_name: line.projects.project_name || line.projects.address || null,
+      quantity: 0,
+    };
+    project.quantity = roundTo2(project.quantity + quantity);
+    entry.projects.set(line.project_id, project);
+    committedByItem.set(line.inventory_id, entry);
+  }
+
+  const report = [];
+  for (const item of items) {
+    const stock = toNumber(item.stock);
+    const commitment = committedByItem.get(item.id);
+    const committed = commitment?.total || 0;
+    const available = roundTo2(stock - committed);
+    const reorderPoint = item.reorder_point == null ? null : toNumber(item.reorder_point);
+    const reorderQuantity = item.reorder_quantity == null ? null : toNumber(item.reorder_quantity);
+
+    const low = reorderPoint == null ? available < 0 : available <= reorderPoint;
+    if (!low) continue;
+
+    const shortfall = roundTo2((reorderPoint || 0) - available);
+    const suggested = Math.max(reorderQuantity || 0, shortfall);
+    report.push({
+      id: item.id,
+      name: item.name,
+      unit: item.unit,
+      type: item.type,
+      stock,
+      committed,
+      available,
+      reorder_point: reorderPoint,
+      reorder_quantity: reorderQuantity,
+      suggested_quantity: suggested,
+      estimated_cost: roundTo2(suggested * toNumber(item.unit_price)),
+      projects: commitment ? [...commitment.projects.values()] : [],
+    });
+  }
+
+  // Furthest below the reorder point first
+  const gap = (row) => row.available - (row.reorder_point || 0);
+  return report.sort((a, b) => gap(a) - gap(b));
+}
+
+export default {
+  MOVEMENT_TYPES,
+  ALLOCATING_TABLES,
+  COMMITTING_STATUSES,
+  signedQuantity,
+  recordMovement,
+  syncProjectAllocation,
+  getItemHistory,
+  addMovement,
+  getReorderReport,
+};
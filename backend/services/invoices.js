@@ -0,0 +1,505 @@
+import dotenv from 'dotenv';
+import { fileURLToPath } from 'url';
+import { dirname, join } from 'path';
+import { createClient } from '@supabase/supabase-js';
+import { fetchAllRows } from './projectFinancials.js';
+
+const __filename = fileURLToPath(import.meta.url);
+const __dirname = dirname(__filename);
+
+// Load .env from root directory (two levels up from backend/services/)
+dotenv.config({ path: join(__dirname, '..', '..', '.env') });
+
+const supabaseUrl = process.env.SUPABASE_URL;
+const supabaseServiceKey = process.env.SUPABASE_SERVICE_ROLE_KEY;
+
+const supabase = createClient(supabaseUrl || '', supabaseServiceKey || '');
+
+export const INVOICE_STATUSES = ['open', 'partial', 'paid', 'void'];
+export const PAYMENT_METHODS = ['check', 'ach', 'card', 'cash'];
+
+// Due date when none is given: invoice date + DEFAULT_DUE_DAYS
+export const DEFAULT_DUE_DAYS = 30;
+
+// Concurrent invoices can race for the same number; the unique index rejects the loser, which retries
+const MAX_NUMBER_ATTEMPTS = 5;
+const UNIQUE_VIOLATION = '23505';
+const DAY_MS = 24 * 60 * 60 * 1000;
+
+const roundTo2 = (n) => Math.round(Number(n) * 100) / 100;
+const toNumber = (value) => parseFloat(value || 0) || 0;
+const today = () => new Date().toISOString().split('T')[0];
+const addDays = (isoDate, days) => new Date(new Date(`${isoDate}T00:00:00Z`).getTime() + days * DAY_MS).toISOString().split('T')[0];
+
+/**
+ * Status for an invoice from its total and payments
+ * @param {number} total
+ * @param {number} amountPaid
+ * @returns {'open'|'partial'|'paid'}
+ */
+export function getInvoiceStatus(total, amountPaid) {
+  if (amountPaid <= 0) return 'open';
+  if (amountPaid + 0.005 >= total) return 'paid';
+  return 'partial';
+}
+
+const withBalance = (invoice) => ({
+  ...invoice,
+  total: toNumber(invoice.total),
+  amount_paid: toNumber(invoice.amount_paid),
+  balance_due: invoice.status === 'void' ? 0 : roundTo2(toNumber(invoice.total) - toNumber(invoice.amount_paid)),
+});
+
+/**
+ * Insert an invoice under the company's next invoice number
+ * @param {Object} row - invoices row without invoice_number
+ * @returns {Promise<Object>} Inserted row
+ */
+async function insertWithNextNumber(row) {
+  const { data: company, error: companyError } = await supabase
+    .from('companies')
+    .select('next_invoice_number')
+    .eq('company_id', row.company_id)
+    .single();
+  if (companyError) throw new Error(companyError.message);
+
+  let number = company.next_invoice_number || 1;
+  for (let attempt = 0; attempt < MAX_NUMBER_ATTEMPTS; attempt++, number++) {
+    const { data, error } = await supabase
+      .from('invoices')
+      .insert({ ...row, invoice_number: number })
+      .select()
+      .single();
+
+    if (error?.code === UNIQUE_VIOLATION) continue;
+    if (error) throw new Error(error.message);
+
+    // Only ever move the counter forward (another invoice may already have pushed it further)
+    const { error: counterError } = await supabase
+      .from('companies')
+      .update({ next_invoice_number: number + 1 })
+      .eq('company_id', row.company_id)
+      .lt('next_invoice_number', number + 1);
+    if (counterError) {
+      console.warn('Invoice counter update failed (non-fatal):', counterError.message);
+    }
+    return data;
+  }
+  throw new Error('Could not allocate an invoice number');
+}
+
+/**
+ * IDs of milestones already billed on a non-void invoice
+ * @param {string} companyID
+ * @param {string[]} milestoneIds
+ * @returns {Promise<Set<string>>}
+ */
+export async function findBilledMilestoneIds(companyID, milestoneIds) {
+  if (!milestoneIds.length) return new Set();
+  const { data, error } = await supabase
+    .from('invoice_items')
+    .select('milestone_id, invoices!inner (status)')
+    .eq('company_id', companyID)
+    .in('milestone_id', milestoneIds)
+    .neq('invoices.status', 'void');
+  if (error) throw new Error(error.message);
+  return new Set((data || []).map((row) => row.milestone_id));
+}
+
+/**
+ * Save one document type's payment schedule in place. Rows carrying the id of an existing milestone update it,
+ * rows without one are added and existing milestones left out are deleted, so invoice items keep pointing at the
+ * draws they billed. A milestone on a non-void invoice can't be removed or repriced.
+ * @param {string} companyID
+ * @param {string} projectId
+ * @param {string} documentType - proposal, contract or change_order
+ * @param {Object[]} rows - milestones columns in schedule order, plus id for existing milestones
+ * @returns {Promise<Object>} { previous, saved } or { error, status }
+ */
+export async function saveMilestoneSchedule(companyID, projectId, documentType, rows) {
+  const { data: previous, error: previousError } = await supabase
+    .from('milestones')
+    .select('*')
+    .eq('company_id', companyID)
+    .eq('project_id', projectId)
+    .eq('document_type', documentType)
+    .order('sort_order', { ascending: true });
+  if (previousError) throw new Error(previousError.message);
+
+  const existing = new Map((previous || []).map((m) => [m.id, m]));
+  const kept = new Set(rows.map((row) => row.id).filter((id) => existing.has(id)));
+  const billed = await findBilledMilestoneIds(companyID, [...existing.keys()]);
+
+  const removedBilled = [...billed].filter((id) => !kept.has(id)).map((id) => existing.get(id).name);
+  if (removedBilled.length) {
+    return { error: `Already invoiced, so it can't be removed: ${removedBilled.join(', ')}. Void the invoice first.`, status: 409 };
+  }
+  const repriced = rows
+    .filter((row) => billed.has(row.id) && roundTo2(row.customer_price) !== roundTo2(existing.get(row.id).customer_price))
+    .map((row) => existing.get(row.id).name);
+  if (repriced.length) {
+    return { error: `Already invoiced, so the price can't change: ${repriced.join(', ')}. Void the invoice first.`, status: 409 };
+  }
+
+  const removedIds = [...existing.keys()].filter((id) => !kept.has(id));
+  if (removedIds.length) {
+    const { error } = await supabase
+      .from('milestones')
+      .delete()
+      .eq('company_id', companyID)
+      .in('id', removedIds);
+    if (error) throw new Error(error.message);
+  }
+
+  const columns = (row, index) => {
+    const { id, ...fields } = row;
+    return { ...fields, company_id: companyID, project_id: projectId, document_type: documentType, sort_order: index };
+  };
+  for (const [index, row] of rows.entries()) {
+    if (!kept.has(row.id)) continue;
+    const { error } = await supabase
+      .from('milestones')
+      .update({ ...columns(row, index), updated_at: new Date().toISOString() })
+      .eq('id', row.id)
+      .eq('company_id', companyID);
+    if (error) throw new Error(error.message);
+  }
+
+  const added = rows.map((row, index) => (kept.has(row.id) ? null : columns(row, index))).filter(Boolean);
+  if (added.length) {
+    const { error } = await supabase.from('milestones').insert(added);
+    if (error) throw new Error(error.message);
+  }
+
+  const { data: saved, error: savedError } = await supabase
+    .from('milestones')
+    .select('*')
+    .eq('company_id', companyID)
+    .eq('project_id', projectId)
+    .eq('document_type', documentType)
+    .order('sort_order', { ascending: true });
+  if (savedError) throw new Error(savedError.message);
+
+  return { previous: previous || [], saved: saved || [] };
+}
+
+/**
+ * Create an invoice billing one or more of a project's milestones
+ * @param {Object} options
+ * @param {string} options.companyID
+ * @param {string} options.projectId
+ * @param {string[]} options.milestoneIds
+ * @param {string} [options.invoiceDate] - YYYY-MM-DD, defaults to today
+ * @param {string} [options.dueDate] - YYYY-MM-DD, defaults to invoiceDate + DEFAULT_DUE_DAYS
+ * @param {string} [options.notes]
+ * @param {string|null} [options.employeeId] - Staff member creating the invoice
+ * @returns {Promise<Object>} The invoice with items, or { error, status } when the milestones can't be billed
+ */
+export async function createInvoice({ companyID, projectId, milestoneIds, invoiceDate, dueDate, notes, employeeId }) {
+  const ids = [...new Set(milestoneIds || [])];
+
+  const { data: milestones, error: milestonesError } = await supabase
+    .from('milestones')
+    .select('id, name, customer_price, sort_order')
+    .eq('company_id', companyID)
+    .eq('project_id', projectId)
+    .in('id', ids)
+    .order('sort_order', { ascending: true });
+  if (milestonesError) throw new Error(milestonesError.message);
+
+  if (!milestones || milestones.length !== ids.length) {
+    return { error: 'One or more milestones were not found on this project', status: 400 };
+  }
+
+  const billed = await findBilledMilestoneIds(companyID, ids);
+  const alreadyBilled = milestones.filter((m) => billed.has(m.id));
+  if (alreadyBilled.length) {
+    return { error: `Already invoiced: ${alreadyBilled.map((m) => m.name).join(', ')}`, status: 409 };
+  }
+
+  const total = roundTo2(milestones.reduce((sum, m) => sum + toNumber(m.customer_price), 0));
+  if (total <= 0) {
+    return { error: 'Invoice total must be greater than zero', status: 400 };
+  }
+
+  const date = invoiceDate || today();
+  const invoice = await insertWithNextNumber({
+    company_id: companyID,
+    project_id: projectId,
+    invoice_date: date,
+    due_date: dueDate || addDays(date, DEFAULT_DUE_DAYS),
+    status: 'open',
+    total,
+    amount_paid: 0,
+    notes: notes || null,
+    created_by: employeeId || null,
+  });
+
+  const { data: items, error: itemsError } = await supabase
+    .from('invoice_items')
+    .insert(milestones.map((m, index) => ({
+      company_id: companyID,
+      invoice_id: invoice.id,
+      milestone_id: m.id,
+      description: m.name,
+      amount: roundTo2(toNumber(m.customer_price)),
+      sort_order: index,
+    })))
+    .select();
+
+  if (itemsError) {
+    // Don't leave an empty invoice behind (its number is simply skipped)
+    await supabase.from('invoices').delete().eq('id', invoice.id);
+    throw new Error(itemsError.message);
+  }
+
+  return { ...withBalance(invoice), items: items || [], payments: [] };
+}
+
+const INVOICE_SELECT = `
+  *,
+  items:invoice_items (id, milestone_id, description, amount, sort_order),
+  payments:invoice_payments (id, amount, method, reference, paid_on, notes, created_at, recorder:recorded_by (name))
+`;
+
+const shapeInvoice = ({ items, payments, ...invoice }) => ({
+  ...withBalance(invoice),
+  items: (items || [])
+    .slice()
+    .sort((a, b) => (a.sort_order ?? 0) - (b.sort_order ?? 0))
+    .map((item) => ({ ...item, amount: toNumber(item.amount) })),
+  payments: (payments || [])
+    .slice()
+    .sort((a, b) => String(a.paid_on).localeCompare(String(b.paid_on)) || String(a.created_at).localeCompare(String(b.created_at)))
+    .map(({ recorder, ...payment }) => ({ ...payment, amount: toNumber(payment.amount), recorded_by_name: recorder?.name || null })),
+});
+
+/**
+ * One invoice with its items and payments
+ * @param {string} companyID
+ * @param {string} invoiceId
+ * @returns {Promise<Object|null>}
+ */
+export async function getInvoice(companyID, invoiceId) {
+  const { data, error } = await supabase
+    .from('invoices')
+    .select(INVOICE_SELECT)
+    .eq('id', invoiceId)
+    .eq('company_id', companyID)
+    .maybeSingle();
+
+  if (error) throw new Error(error.message);
+  return data ? shapeInvoice(data) : null;
+}
+
+/**
+ * All invoices for a project, newest number first
+ * @param {string} companyID
+ * @param {string} projectId
+ * @returns {Promise<Object>} { invoices, billedMilestoneIds }
+ */
+export async function listProjectInvoices(companyID, projectId) {
+  const { data, error } = await supabase
+    .from('invoices')
+    .select(INVOICE_SELECT)
+    .eq('company_id', companyID)
+    .eq('project_id', projectId)
+    .order('invoice_number', { ascending: false });
+
+  if (error) throw new Error(error.message);
+  const invoices = (data || []).map(shapeInvoice);
+  const billedMilestoneIds = invoices
+    .filter((invoice) => invoice.status !== 'void')
+    .flatMap((invoice) => invoice.items.map((item) => item.milestone_id))
+    .filter(Boolean);
+  return { invoices, billedMilestoneIds };
+}
+
+/**
+ * Void an invoice so its milestones can be billed again
+ * Invoices with payments must have their payments removed first.
+ * @param {string} companyID
+ * @param {string} invoiceId
+ * @returns {Promise<Object|null>} { before, after }, { error, status }, or null when not found
+ */
+export async function voidInvoice(companyID, invoiceId) {
+  const before = await getInvoice(companyID, invoiceId);
+  if (!before) return null;
+  if (before.status === 'void') return { error: 'Invoice is already void', status: 409 };
+  if (before.payments.length) return { error: 'Remove the payments on this invoice before voiding it', status: 409 };
+
+  const { error } = await supabase
+    .from('invoices')
+    .update({ status: 'void', voided_at: new Date().toISOString(), updated_at: new Date().toISOString() })
+    .eq('id', invoiceId)
+    .eq('company_id', companyID);
+
+  if (error) throw new Error(error.message);
+  return { before, after: await getInvoice(companyID, invoiceId) };
+}
+
+/**
+ * Recalculate amount_paid and status from the payments ledger
+ * @param {string} companyID
+ * @param {string} invoiceId
+ * @returns {Promise<Object>} The refreshed invoice
+ */
+async function refreshInvoiceTotals(companyID, invoiceId) {
+  const invoice = await getInvoice(companyID, invoiceId);
+  const amountPaid = roundTo2(invoice.payments.reduce((sum, p) => sum + p.amount, 0));
+  const status = invoice.status === 'void' ? 'void' : getInvoiceStatus(invoice.total, amountPaid);
+
+  const { error } = await supabase
+    .from('invoices')
+    .update({ amount_paid: amountPaid, status, updated_at: new Date().toISOString() })
+    .eq('id', invoiceId)
+    .eq('company_id', companyID);
+
+  if (error) throw new Error(error.message);
+  return withBalance({ ...invoice, amount_paid: amountPaid, status });
+}
+
+/**
+ * Record a (possibly partial) payment against an invoice
+ * @param {Object} options
+ * @param {string} options.companyID
+ * @param {string} options.invoiceId
+ * @param {number} options.amount
+ * @param {string} options.method - One of PAYMENT_METHODS
+ * @param {string} [options.reference] - Check number, transaction ID, ...
+ * @param {string} [options.paidOn] - YYYY-MM-DD, defaults to today
+ * @param {string} [options.notes]
+ * @param {string|null} [options.employeeId]
+ * @returns {Promise<Object|null>} { payment, invoice }, { error, status }, or null when the invoice doesn't exist
+ */
+export async function recordPayment({ companyID, invoiceId, amount, method, reference, paidOn, notes, employeeId }) {
+  const invoice = await getInvoice(companyID, invoiceId);
+  if (!invoice) return null;
+  if (invoice.status === 'void') return { error: 'Payments cannot be recorded on a void invoice', status: 409 };
+
+  const value = roundTo2(amount);
+  if (value > invoice.balance_due + 0.005) {
+    return { error: `Payment is more than the balance due ($${invoice.balance_due.toFixed(2)})`, status: 400 };
+  }
+
+  const { data: payment, error } = await supabase
+    .from('invoice_payments')
+    .insert({
+      company_id: companyID,
+      invoice_id: invoiceId,
+      amount: value,
+      method,
+      reference: reference || null,
+      paid_on: paidOn || today(),
+      notes: notes || null,
+      recorded_by: employeeId || null,
+    })
+    .select()
+    .single();
+
+  if (error) throw new Error(error.message);
+  return { payment: { ...payment, amount: toNumber(payment.amount) }, invoice: await refreshInvoiceTotals(companyID, invoiceId) };
+}
+
+/**
+ * Remove a payment recorded by mistake
+ * @param {string} companyID
+ * @param {string} invoiceId
+ * @param {string} paymentId
+ * @returns {Promise<Object|null>} { payment, invoice }, or null when the payment doesn't exist
+ */
+export async function deletePayment(companyID, invoiceId, paymentId) {
+  const { data: payment, error } = await supabase
+    .from('invoice_payments')
+    .delete()
+    .eq('id', paymentId)
+    .eq('invoice_id', invoiceId)
+    .eq('company_id', companyID)
+    .select()
+    .maybeSingle();
+
+  if (error) throw new Error(error.message);
+  if (!payment) return null;
+  return { payment: { ...payment, amount: toNumber(payment.amount) }, invoice: await refreshInvoiceTotals(companyID, invoiceId) };
+}
+
+/**
+ * Billing totals for one project (void invoices excluded)
+ * @param {string} companyID
+ * @param {string} projectId
+ * @returns {Promise<Object>} { invoiced, paid, balanceDue }
+ */
+export async function getProjectBilling(companyID, projectId) {
+  const { data, error } = await supabase
+    .from('invoices')
+    .select('total, amount_paid')
+    .eq('company_id', companyID)
+    .eq('project_id', projectId)
+    .neq('status', 'void');
+
+  if (error) throw new Error(error.message);
+  const invoiced = roundTo2((data || []).reduce((sum, i) => sum + toNumber(i.total), 0));
+  const paid = roundTo2((data || []).reduce((sum, i) => sum + toNumber(i.amount_paid), 0));
+  return { invoiced, paid, balanceDue: roundTo2(invoiced - paid) };
+}
+
+/**
+ * Company-wide receivables for the Dashboard
+ * Invoices on projects in the Trash are left out.
+ * @param {string} companyID
+ * @param {Date|null} [since] - Start of the period for paymentsReceived (null for all time)
+ * @returns {Promise<Object>} { balanceDue, overdue, openInvoiceCount, paymentsReceived }
+ */
+export async function getReceivablesSummary(companyID, since = null) {
+  const [openInvoices, payments] = await Promise.all([
+    fetchAllRows(() => supabase
+      .from('invoices')
+      .select('total, amount_paid, due_date, projects!inner (deleted_at)')
+      .eq('company_id', companyID)
+      .in('status', ['open', 'partial'])
+      .is('projects.deleted_at', null)
+      .order('id')),
+    fetchAllRows(() => {
+      let query = supabase
+        .from('invoice_payments')
+        .select('amount, invoices!inner (projects!inner (deleted_at))')
+        .eq('company_id', companyID)
+        .is('invoices.projects.deleted_at', null);
+      if (since) query = query.gte('paid_on', since.toISOString().split('T')[0]);
+      return query.order('id');
+    }),
+  ]);
+
+  const todayIso = today();
+  let balanceDue = 0;
+  let overdue = 0;
+  for (const invoice of openInvoices) {
+    const balance = toNumber(invoice.total) - toNumber(invoice.amount_paid);
+    balanceDue += balance;
+    if (invoice.due_date && invoice.due_date < todayIso) overdue += balance;
+  }
+
+  return {
+    balanceDue: roundTo2(balanceDue),
+    overdue: roundTo2(overdue),
+    openInvoiceCount: openInvoices.length,
+    paymentsReceived: roundTo2(payments.reduce((sum, p) => sum + toNumber(p.amount), 0)),
+  };
+}
+
+export default {
+  INVOICE_STATUSES,
+  PAYMENT_METHODS,
+  DEFAULT_DUE_DAYS,
+  getInvoiceStatus,
+  createInvoice,
+  getInvoice,
+  listProjectInvoices,
+  voidInvoice,
+  recordPayment,
+  deletePayment,
+  getProjectBilling,
+  getReceivablesSummary,
+  findBilledMilestoneIds,
+  saveMilestoneSchedule,
+};
@@ -0,0 +1,223 @@
+import dotenv from 'dotenv';
+import { fileURLToPath } from 'url';
+import { dirname, join } from 'path';
+import { createClient } from '@supabase/supabase-js';
+
+const __filename = fileURLToPath(import.meta.url);
+const __dirname = dirname(__filename);
+
+// Load .env from root directory (two levels up from backend/services/)
+dotenv.config({ path: join(__dirname, '..', '..', '.env') });
+
+const supabaseUrl = process.env.SUPABASE_URL;
+const supabaseServiceKey = process.env.SUPABASE_SERVICE_ROLE_KEY;
+
+const supabase = createClient(supabaseUrl || '', supabaseServiceKey || '');
+
+export const DEFAULT_PAGE_SIZE = 25;
+export const MAX_PAGE_SIZE = 200;
+// PostgREST puts .in() filters in the URL, so cap ID lists pulled from related-table searches
+const MAX_RELATED_IDS = 100;
+
+/**
+ * Per-resource list options for the GET /api/<resource> endpoints
+ * searchColumns: columns matched (case-insensitive, substring) by ?search=
+ * sortColumns: columns accepted by ?sort= (first entry is the default, newest first)
+ * filters: query param -> column; comma-separated values match any of them
+ * booleanFilters: query param -> boolean column (?current=true)
+ * softDelete: rows with deleted_at set are in the Trash and never listed (see services/trash.js)
+ */
+export const LIST_CONFIGS = {
+  customers: {
+    searchColumns: ['first_name', 'last_name', 'email', 'phone', 'address_line1', 'address_line2', 'city', 'state', 'zip_code'],
+    sortColumns: ['created_at', 'updated_at', 'first_name', 'last_name', 'email', 'city', 'pipeline_status', 'estimated_value'],
+    filters: { status: 'pipeline_status' },
+    softDelete: true,
+  },
+  projects: {
+    searchColumns: ['project_name', 'address', 'project_manager'],
+    sortColumns: ['created_at', 'updated_at', 'project_name', 'status', 'property_type', 'project_manager', 'est_value', 'closing_price'],
+    filters: { status: 'status', property_type: 'property_type', project_manager: 'project_manager', customer_id: 'customer_id' },
+    softDelete: true,
+  },
+  inventory: {
+    searchColumns: ['name', 'brand', 'model', 'sku', 'color'],
+    sortColumns: ['created_at', 'updated_at', 'name', 'brand', 'model', 'type', 'unit_price'],
+    filters: { type: 'type' },
+  },
+  subcontractors: {
+    searchColumns: ['name', 'primary_contact_name', 'primary_contact_email', 'primary_contact_phone'],
+    sortColumns: ['created_at', 'updated_at', 'name', 'primary_contact_name'],
+    filters: {},
+  },
+  suppliers: {
+    searchColumns: ['name', 'contact_name', 'email', 'phone', 'account_number'],
+    sortColumns: ['name', 'created_at', 'updated_at', 'contact_name'],
+    filters: {},
+  },
+  employees: {
+    searchColumns: ['name', 'email_address', 'phone', 'user_type', 'user_role'],
+    sortColumns: ['created_at', 'updated_at', 'name', 'email_address', 'user_type'],
+    filters: { user_type: 'user_type' },
+    booleanFilters: { current: 'current' },
+  },
+};
+
+/**
+ * Quote a value for a PostgREST or() filter so commas, dots and parentheses in user input stay literal
+ * @param {string} value
+ * @returns {string}
+ */
+const quoteFilterValue = (value) => `"${String(value).replace(/\\/g, '\\\\').replace(/"/g, '\\"')}"`;
+
+/**
+ * Build an or() filter string matching `term` against each column
+ * @param {string[]} columns
+ * @param {string} term
+ * @returns {string}
+ */
+export function buildSearchFilter(columns, term) {
+  const pattern = quoteFilterValue(`%${term}%`);
+  return columns.map((column) => `${column}.ilike.${pattern}`).join(',');
+}
+
+/**
+ * Read list options from req.query
+ * Paging is opt-in: without ?limit or ?offset the endpoint keeps returning every matching row.
+ * @param {Object} query - req.query
+ * @param {Object} config - Entry from LIST_CONFIGS
+ * @returns {Object} { paged, limit, offset, search, sort, ascending, filters: [{ column, values }], booleanFilters: [{ column, value }] }
+ */
+export function parseListParams(query = {}, config) {
+  const paged = query.limit !== undefined || query.offset !== undefined;
+  const limit = Math.min(Math.max(parseInt(query.limit, 10) || DEFAULT_PAGE_SIZE, 1), MAX_PAGE_SIZE);
+  const offset = Math.max(parseInt(query.offset, 10) || 0, 0);
+  const search = typeof query.search === 'string' ? query.search.trim() : '';
+  const sort = config.sortColumns.includes(query.sort) ? query.sort : config.sortColumns[0];
+  // Default order is newest first for dates, A-Z for everything else
+  const ascending = query.order ? query.order === 'asc' : !['created_at', 'updated_at'].includes(sort);
+
+  const filters = [];
+  for (const [param, column] of Object.entries(config.filters || {})) {
+    const raw = query[param];
+    if (typeof raw !== 'string' || raw.trim() === '' || raw === 'all') continue;
+    const values = raw.split(',').map((v) => v.trim()).filter(Boolean);
+    if (values.length) filters.push({ column, values });
+  }
+
+  const booleanFilters = [];
+  for (const [param, column] of Object.entries(config.booleanFilters || {})) {
+    if (query[param] === 'true' || query[param] === 'false') {
+      booleanFilters.push({ column, value: query[param] === 'true' });
+    }
+  }
+
+  return { paged, limit, offset, search, sort, ascending, filters, booleanFilters };
+}
+
+/**
+ * Apply search, filters, sort and (when paged) range to a Supabase select
+ * @param {Object} builder - Query builder already scoped to the company
+ * @param {Object} params - Result of parseListParams
+ * @param {Object} config - Entry from LIST_CONFIGS
+ * @param {Object} [options]
+ * @param {string[]} [options.extraSearchFilters] - Additional or() clauses (e.g. matches on a related table)
+ * @returns {Object} Query builder
+ */
+export function applyListParams(builder, params, config, { extraSearchFilters = [] } = {}) {
+  let query = builder;
+
+  if (config.softDelete) {
+    query = query.is('deleted_at', null);
+  }
+  if (params.search) {
+    const clauses = [buildSearchFilter(config.searchColumns, params.search), ...extraSearchFilters].filter(Boolean);
+    query = query.or(clauses.join(','));
+  }
+  for (const { column, values } of params.filters) {
+    query = values.length === 1 ? query.eq(column, values[0]) : query.in(column, values);
+  }
+  for (const { column, value } of params.booleanFilters) {
+    query = query.eq(column, value);
+  }
+
+  // Secondary sort on id keeps page boundaries stable when the sort column has ties
+  query = query
+    .order(params.sort, { ascending: params.ascending, nullsFirst: false })
+    .order('id', { ascending: true });
+
+  if (params.paged) {
+    query = query.range(params.offset, params.offset + params.limit - 1);
+  }
+  return query;
+}
+
+/**
+ * IDs of the company's customers whose name matches a search term
+ * "Jane Smith" also matches first_name Jane + last_name Smith.
+ * @param {string} companyID
+ * @param {string} term
+ * @returns {Promise<string[]>}
+ */
+export async function findCustomerIdsByName(companyID, term) {
+  const clauses = [buildSearchFilter(['first_name', 'last_name'], term)];
+  const [first, ...rest] = term.split(/\s+/);
+  if (rest.length) {
+    clauses.push(`and(first_name.ilike.${quoteFilterValue(`%${first}%`)},last_name.ilike.${quoteFilterValue(`%${rest.join(' ')}%`)})`);
+  }
+
+  const { data, error } = await supabase
+    .from('customers')
+    .select('id')
+    .eq('company_id', companyID)
+    .is('deleted_at', null)
+    .or(clauses.join(','))
+    .limit(MAX_RELATED_IDS);
+
+  if (error) throw new Error(error.message);
+  return (data || []).map((row) => row.id);
+}
+
+/**
+ * Lightweight company-wide rollup for the summary cards above a paged list
+ * Aggregated in the database by the list_summary function (migration 074), so no rows are read into the backend.
+ * @param {string} table
+ * @param {string} companyID
+ * @param {Object} options
+ * @param {string} [options.groupBy] - Column to count rows by (e.g. status)
+ * @param {string} [options.sumColumn] - Numeric column to total
+ * @param {string} [options.sumFactorColumn] - Multiply sumColumn by this column before totalling (stock * unit_price)
+ * @param {string} [options.distinctColumn] - Column to collect distinct non-empty values from
+ * @returns {Promise<Object>} { total, counts: { value: n }, sums: { value: total }, sum, distinct: [] }
+ */
+export async function getListSummary(table, companyID, { groupBy, sumColumn, sumFactorColumn, distinctColumn }) {
+  const { data, error } = await supabase.rpc('list_summary', {
+    p_table: table,
+    p_company_id: companyID,
+    p_group_by: groupBy || null,
+    p_sum_column: sumColumn || null,
+    p_distinct_column: distinctColumn || null,
+    p_soft_delete: !!LIST_CONFIGS[table]?.softDelete,
+    p_sum_factor_column: sumFactorColumn || null,
+  });
+  if (error) throw new Error(error.message);
+
+  return {
+    total: data?.total || 0,
+    counts: data?.counts || {},
+    sums: Object.fromEntries(Object.entries(data?.sums || {}).map(([key, value]) => [key, parseFloat(value) || 0])),
+    sum: parseFloat(data?.sum || 0) || 0,
+    distinct: data?.distinct || [],
+  };
+}
+
+export default {
+  DEFAULT_PAGE_SIZE,
+  MAX_PAGE_SIZE,
+  LIST_CONFIGS,
+  buildSearchFilter,
+  parseListParams,
+  applyListParams,
+  findCustomerIdsByName,
+  getListSummary,
+};
@@ -0,0 +1,176 @@
+import dotenv from 'dotenv';
+import { fileURLToPath } from 'url';
+import { dirname, join } from 'path';
+import { createClient } from '@supabase/supabase-js';
+
+const __filename = fileURLToPath(import.meta.url);
+const __dirname = dirname(__filename);
+
+// Load .env from root directory (two levels up from backend/services/)
+dotenv.config({ path: join(__dirname, '..', '..', '.env') });
+
+const supabaseUrl = process.env.SUPABASE_URL;
+const supabaseServiceKey = process.env.SUPABASE_SERVICE_ROLE_KEY;
+
+const supabase = createClient(supabaseUrl || '', supabaseServiceKey || '');
+
+// Everything a company can grant or withhold. Keys are stored in companies.permission_matrix.
+export const PERMISSIONS = [
+  { key: 'view_costs', label: 'View costs & profit', description: 'Project expenses, expense templates, revenue and profit statistics and goals, and milestone costs' },
+  { key: 'edit_expenses', label: 'Edit expenses', description: 'Add, change and remove project expenses and expense templates, set closing prices, and price proposals, contracts and change orders' },
+  { key: 'manage_invoices', label: 'Manage invoices', description: 'Create and void invoices and record customer payments' },
+  { key: 'manage_change_orders', label: 'Manage change orders', description: 'Create change orders and mark them sent, approved or rejected' },
+  { key: 'manage_schedule', label: 'Manage construction schedule', description: 'Plan schedule tasks, dependencies and assignments, and record actual start and finish dates' },
+  { key: 'delete_records', label: 'Delete records', description: 'Delete customers, projects, inventory, subcontractors, employees and documents, and restore or purge items in the Trash' },
+  { key: 'send_esign', label: 'Send for e-signature', description: 'Send contracts and proposals for signature and share customer portal links' },
+  { key: 'manage_employees', label: 'Manage employees', description: 'Add employees and change other employees\' details, type and roles' },
+  { key: 'manage_whitelist', label: 'Manage email whitelist', description: 'Add and remove whitelisted sign-up emails' },
+  { key: 'manage_company', label: 'Manage company settings', description: 'Company info, logo, document preferences, contract clauses and estimating rates' },
+  { key: 'manage_billing', label: 'Manage billing', description: 'Cancel the subscription and delete the company' },
+  { key: 'view_audit_log', label: 'View audit log', description: 'See who changed what across the company' },
+];
+
+const PERMISSION_KEYS = PERMISSIONS.map((p) => p.key);
+
+// Must match USER_TYPES / USER_ROLES in frontend/src/components/Employees.jsx
+export const USER_TYPES = ['admin', 'manager', 'employee'];
+export const USER_ROLES = ['owner', 'project_manager', 'sales', 'office_staff', 'other'];
+
+// Admins and owners always hold every permission so a company can never lock itself out.
+// They are also the only ones who can edit the matrix.
+const FULL_ACCESS_USER_TYPES = ['admin', 'owner'];
+const FULL_ACCESS_ROLES = ['owner'];
+
+// Used for any company that hasn't customised its matrix, and for subjects missing from a saved matrix
+export const DEFAULT_PERMISSION_MATRIX = {
+  user_types: {
+    manager: ['view_costs', 'edit_expenses', 'manage_invoices', 'manage_change_orders', 'manage_schedule', 'delete_records', 'send_esign', 'manage_employees', 'manage_whitelist', 'manage_company'],
+    employee: [],
+  },
+  roles: {
+    project_manager: ['view_costs', 'edit_expenses', 'manage_change_orders', 'manage_schedule', 'send_esign'],
+    sales: ['send_esign'],
+    office_staff: ['view_costs', 'edit_expenses', 'manage_invoices', 'manage_change_orders', 'manage_schedule'],
+    other: [],
+  },
+};
+
+/**
+ * Parse employees.user_role ("sales, project_manager") into a list of role keys
+ * @param {string|null} userRole
+ * @returns {string[]}
+ */
+export function parseUserRoles(userRole) {
+  return String(userRole || '')
+    .split(',')
+    .map((r) => r.trim().toLowerCase())
+    .filter(Boolean);
+}
+
+/**
+ * Whether this employee bypasses the matrix entirely
+ * @param {Object} employee - employees row (user_type, user_role)
+ * @returns {boolean}
+ */
+export function hasFullAccess(employee) {
+  if (!employee) return false;
+  if (FULL_ACCESS_USER_TYPES.includes(employee.user_type)) return true;
+  return parseUserRoles(employee.user_role).some((r) => FULL_ACCESS_ROLES.includes(r));
+}
+
+/**
+ * Keep only known subjects and permissions; fill gaps from the defaults
+ * @param {Object|null} matrix - Saved or submitted matrix
+ * @returns {Object} { user_types: { type: [perm] }, roles: { role: [perm] } }
+ */
+export function normalizePermissionMatrix(matrix) {
+  const clean = (list) => [...new Set((Array.isArray(list) ? list : []).filter((p) => PERMISSION_KEYS.includes(p)))];
+  const normalized = { user_types: {}, roles: {} };
+
+  for (const type of USER_TYPES) {
+    if (FULL_ACCESS_USER_TYPES.includes(type)) continue;
+    const saved = matrix?.user_types?.[type];
+    normalized.user_types[type] = clean(saved !== undefined ? saved : DEFAULT_PERMISSION_MATRIX.user_types[type]);
+  }
+  for (const role of USER_ROLES) {
+    if (FULL_ACCESS_ROLES.includes(role)) continue;
+    const saved = matrix?.roles?.[role];
+    normalized.roles[role] = clean(saved !== undefined ? saved : DEFAULT_PERMISSION_MATRIX.roles[role]);
+  }
+  return normalized;
+}
+
+/**
+ * Load a company's permission matrix (defaults when none has been saved)
+ * @param {string} companyID
+ * @returns {Promise<Object>} Normalized matrix
+ */
+export async function getCompanyPermissionMatrix(companyID) {
+  const { data, error } = await supabase
+    .from('companies')
+    .select('permission_matrix')
+    .eq('company_id', companyID)
+    .maybeSingle();
+
+  if (error) throw new Error(error.message);
+  return normalizePermissionMatrix(data?.permission_matrix || null);
+}
+
+/**
+ * Save a company's permission matrix
+ * @param {string} companyID
+ * @param {Object} matrix - Submitted matrix (normalized before saving)
+ * @returns {Promise<Object>} Normalized matrix as saved
+ */
+export async function saveCompanyPermissionMatrix(companyID, matrix) {
+  const normalized = normalizePermissionMatrix(matrix);
+  const { error } = await supabase
+    .from('companies')
+    .update({ permission_matrix: normalized, updated_at: new Date().toISOString() })
+    .eq('company_id', companyID);
+
+  if (error) throw new Error(error.message);
+  return normalized;
+}
+
+/**
+ * Effective permissions for an employee: everything granted to their user type or to any of their roles
+ * @param {Object} employee - employees row (user_type, user_role)
+ * @param {Object} matrix - Normalized matrix
+ * @returns {Set<string>}
+ */
+export function resolvePermissions(employee, matrix) {
+  if (hasFullAccess(employee)) return new Set(PERMISSION_KEYS);
+
+  const granted = new Set(matrix.user_types[employee?.user_type] || []);
+  for (const role of parseUserRoles(employee?.user_role)) {
+    for (const permission of matrix.roles[role] || []) granted.add(permission);
+  }
+  return granted;
+}
+
+/**
+ * Effective permissions for an employee in a company
+ * @param {string} companyID
+ * @param {Object} employee - employees row (user_type, user_role)
+ * @returns {Promise<Set<string>>}
+ */
+export async function getEmployeePermissions(companyID, employee) {
+  if (hasFullAccess(employee)) return new Set(PERMISSION_KEYS);
+  const matrix = await getCompanyPermissionMatrix(companyID);
+  return resolvePermissions(employee, matrix);
+}
+
+export default {
+  PERMISSIONS,
+  USER_TYPES,
+  USER_ROLES,
+  DEFAULT_PERMISSION_MATRIX,
+  parseUserRoles,
+  hasFullAccess,
+  normalizePermissionMatrix,
+  getCompanyPermissionMatrix,
+  saveCompanyPermissionMatrix,
+  resolvePermissions,
+  getEmployeePermissions,
+};
@@ -0,0 +1,476 @@
+import dotenv from 'dotenv';
+import { fileURLToPath } from 'url';
+import { dirname, join } from 'path';
+import { createClient } from '@supabase/supabase-js';
+import { syncProjectAllocation } from './inventoryLedger.js';
+
+const __filename = fileURLToPath(import.meta.url);
+const __dirname = dirname(__filename);
+
+// Load .env from root directory (two levels up from backend/services/)
+dotenv.config({ path: join(__dirname, '..', '..', '.env') });
+
+const supabaseUrl = process.env.SUPABASE_URL;
+const supabaseServiceKey = process.env.SUPABASE_SERVICE_ROLE_KEY;
+
+const supabase = createClient(supabaseUrl || '', supabaseServiceKey || '');
+
+// Surface area and perimeter of each shape relative to a rectangle of the same length x width
+export const POOL_SHAPES = {
+  rectangle: { label: 'Rectangle', areaFactor: 1, perimeterFactor: 1 },
+  l_shape: { label: 'L-shape', areaFactor: 0.8, perimeterFactor: 1 },
+  kidney: { label: 'Kidney', areaFactor: 0.8, perimeterFactor: 0.95 },
+  freeform: { label: 'Freeform', areaFactor: 0.85, perimeterFactor: 1 },
+  oval: { label: 'Oval / round', areaFactor: Math.PI / 4, perimeterFactor: Math.PI / 4 },
+};
+
+// Quantities the engine produces; company estimating_rates are keyed by these
+export const ESTIMATE_QUANTITIES = [
+  { key: 'excavation', label: 'Excavation', unit: 'cu yd' },
+  { key: 'gunite', label: 'Gunite', unit: 'cu yd' },
+  { key: 'plaster', label: 'Plaster', unit: 'sq ft' },
+  { key: 'tile', label: 'Waterline tile', unit: 'lin ft' },
+  { key: 'coping', label: 'Coping', unit: 'lin ft' },
+  { key: 'raised_wall', label: 'Raised wall', unit: 'sq ft' },
+];
+const QUANTITY_KEYS = ESTIMATE_QUANTITIES.map((q) => q.key);
+
+// Construction allowances (feet)
+const OVERDIG_FT = 1; // dug past the finished shell on every side and below
+const SHELL_THICKNESS_FT = 0.75; // 9" gunite shell
+const RAISED_WALL_THICKNESS_FT = 0.67; // 8" wall
+const DEFAULT_SPA_DEPTH_FT = 3.5;
+const CUBIC_FEET_PER_YARD = 27;
+const GALLONS_PER_CUBIC_FOOT = 7.48;
+
+const SPEC_FIELDS = [
+  'shape', 'length_ft', 'width_ft', 'shallow_depth_ft', 'deep_depth_ft', 'has_spa', 'spa_length_ft', 'spa_width_ft',
+  'spa_depth_ft', 'raised_wall_length_ft', 'raised_wall_height_ft', 'tile_linear_ft', 'coping_linear_ft', 'equipment',
+];
+const SPEC_SELECT = `project_id, ${SPEC_FIELDS.join(', ')}, updated_at`;
+
+const roundTo2 = (n) => Math.round(Number(n) * 100) / 100;
+const toNumber = (value) => parseFloat(value || 0) || 0;
+const toNullableNumber = (value) => (value === null || value === undefined || value === '' ? null : toNumber(value));
+
+const cleanEquipment = (items) => {
+  const byId = new Map();
+  for (const item of items || []) {
+    if (!item?.inventory_id) continue;
+    const quantity = Math.max(1, parseInt(item.quantity, 10) || 1);
+    byId.set(item.inventory_id, (byId.get(item.inventory_id) || 0) + quantity);
+  }
+  return [...byId].map(([inventory_id, quantity]) => ({ inventory_id, quantity }));
+};
+
+// Numbers come back from Postgres NUMERIC columns as strings
+const normalizeSpec = (row) => ({
+  shape: row.shape,
+  length_ft: toNumber(row.length_ft),
+  width_ft: toNumber(row.width_ft),
+  shallow_depth_ft: toNumber(row.shallow_depth_ft),
+  deep_depth_ft: toNumber(row.deep_depth_ft),
+  has_spa: !!row.has_spa,
+  spa_length_ft: toNullableNumber(row.spa_length_ft),
+  spa_width_ft: toNullableNumber(row.spa_width_ft),
+  spa_depth_ft: toNullableNumber(row.spa_depth_ft),
+  raised_wall_length_ft: toNullableNumber(row.raised_wall_length_ft),
+  raised_wall_height_ft: toNullableNumber(row.raised_wall_height_ft),
+  tile_linear_ft: toNullableNumber(row.tile_linear_ft),
+  coping_linear_ft: toNullableNumber(row.coping_linear_ft),
+  equipment: row.equipment || [],
+});
+
+/**
+ * Turn a pool spec into measurements and priceable quantities
+ * @param {Object} spec - project_pool_specs row (see normalizeSpec)
+ * @returns {Object} { measurements: { surfaceArea, perimeter, averageDepth, gallons }, quantities: { [key]: number } }
+ */
+export function computeQuantities(spec) {
+  const shape = POOL_SHAPES[spec.shape] || POOL_SHAPES.rectangle;
+  const length = toNumber(spec.length_ft);
+  const width = toNumber(spec.width_ft);
+  const averageDepth = (toNumber(spec.shallow_depth_ft) + toNumber(spec.deep_depth_ft)) / 2;
+
+  const surfaceArea = length * width * shape.areaFactor;
+  const perimeter = 2 * (length + width) * shape.perimeterFactor;
+  const waterVolume = surfaceArea * averageDepth;
+  // Floor plus walls
+  let interiorArea = surfaceArea + perimeter * averageDepth;
+  let excavationCubicFeet = (length + 2 * OVERDIG_FT) * (width + 2 * OVERDIG_FT) * shape.areaFactor * (averageDepth + OVERDIG_FT);
+  let edgeLength = perimeter;
+  let spaVolume = 0;
+
+  if (spec.has_spa) {
+    const spaLength = toNumber(spec.spa_length_ft);
+    const spaWidth = toNumber(spec.spa_width_ft);
+    const spaDepth = toNumber(spec.spa_depth_ft) || DEFAULT_SPA_DEPTH_FT;
+    const spaArea = spaLength * spaWidth;
+    const spaPerimeter = 2 * (spaLength + spaWidth);
+    spaVolume = spaArea * spaDepth;
+    interiorArea += spaArea + spaPerimeter * spaDepth;
+    excavationCubicFeet += (spaLength + 2 * OVERDIG_FT) * (spaWidth + 2 * OVERDIG_FT) * (spaDepth + OVERDIG_FT);
+    edgeLength += spaPerimeter;
+  }
+
+  const raisedWallArea = toNumber(spec.raised_wall_length_ft) * toNumber(spec.raised_wall_height_ft);
+  const shellCubicFeet = interiorArea * SHELL_THICKNESS_FT + raisedWallArea * RAISED_WALL_THICKNESS_FT;
+
+  return {
+    measurements: {
+      surfaceArea: roundTo2(surfaceArea),
+      perimeter: roundTo2(perimeter),
+      averageDepth: roundTo2(averageDepth),
+      gallons: Math.round((waterVolume + spaVolume) * GALLONS_PER_CUBIC_FOOT),
+    },
+    quantities: {
+      excavation: roundTo2(excavationCubicFeet / CUBIC_FEET_PER_YARD),
+      gunite: roundTo2(shellCubicFeet / CUBIC_FEET_PER_YARD),
+      plaster: roundTo2(interiorArea),
+      tile: roundTo2(spec.tile_linear_ft ?? edgeLength),
+      coping: roundTo2(spec.coping_linear_ft ?? edgeLength),
+      raised_wall: roundTo2(raisedWallArea),
+    },
+  };
+}
+
+/**
+ * Price quantities and the spec's equipment list into expected expense lines
+ * @param {Object} quantities - From computeQuantities
+ * @param {Array} equipment - [{ inventory_id, quantity }]
+ * @param {Object} rates - companies.estimating_rates
+ * @param {Map} inventoryById - inventory rows (id, name, unit, unit_price, type)
+ * @returns {Object} { lines: [{ key, label, quantity, unit, source, inventory_id, inventory_type, unit_cost, amount }], total }
+ * where source is 'inventory', 'rate' or null (no rate set; amount is null and the line isn't applied)
+ */
+export function priceQuantities(quantities, equipment, rates, inventoryById) {
+  const lines = [];
+
+  for (const { key, label, unit } of ESTIMATE_QUANTITIES) {
+    const quantity = quantities[key];
+    if (!quantity) continue;
+    const rate = rates?.[key] || {};
+    const item = rate.inventory_id ? inventoryById.get(rate.inventory_id) : null;
+    let source = null;
+    let unitCost = null;
+    if (item) {
+      source = 'inventory';
+      unitCost = toNumber(item.unit_price);
+    } else if (rate.unit_cost != null) {
+      source = 'rate';
+      unitCost = toNumber(rate.unit_cost);
+    }
+    lines.push({
+      key,
+      label: item ? `${label} - ${item.name}` : label,
+      quantity,
+      unit,
+      source,
+      inventory_id: item?.id || null,
+      inventory_type: item?.type || null,
+      unit_cost: unitCost,
+      amount: unitCost == null ? null : roundTo2(quantity * unitCost),
+    });
+  }
+
+  for (const { inventory_id, quantity } of equipment || []) {
+    const item = inventoryById.get(inventory_id);
+    if (!item) continue;
+    const unitCost = toNumber(item.unit_price);
+    lines.push({
+      key: `equipment:${inventory_id}`,
+      label: item.name,
+      quantity,
+      unit: item.unit || 'ea',
+      source: 'inventory',
+      inventory_id,
+      inventory_type: item.type || 'equipment',
+      unit_cost: unitCost,
+      amount: roundTo2(quantity * unitCost),
+    });
+  }
+
+  const total = roundTo2(lines.reduce((sum, line) => sum + (line.amount || 0), 0));
+  return { lines, total };
+}
+
+async function projectExists(companyID, projectId) {
+  const { data, error } = await supabase
+    .from('projects')
+    .select('id')
+    .eq('id', projectId)
+    .eq('company_id', companyID)
+    .is('deleted_at', null)
+    .maybeSingle();
+  if (error) throw new Error(error.message);
+  return !!data;
+}
+
+async function getInventoryById(companyID, ids) {
+  const unique = [...new Set(ids.filter(Boolean))];
+  if (unique.length === 0) return new Map();
+  const { data, error } = await supabase
+    .from('inventory')
+    .select('id, name, unit, unit_price, type')
+    .eq('company_id', companyID)
+    .in('id', unique);
+  if (error) throw new Error(error.message);
+  return new Map((data || []).map((item) => [item.id, item]));
+}
+
+const rateInventoryIds = (rates) => Object.values(rates || {}).map((rate) => rate?.inventory_id);
+
+/**
+ * A project's pool spec
+ * @param {string} companyID
+ * @param {string} projectId
+ * @returns {Promise<Object|null>} { spec } (spec is null until one is saved), or null when the project doesn't exist
+ */
+export async function getSpec(companyID, projectId) {
+  if (!(await projectExists(companyID, projectId))) return null;
+  const { data, error } = await supabase
+    .from('project_pool_specs')
+    .select(SPEC_SELECT)
+    .eq('project_id', projectId)
+    .eq('company_id', companyID)
+    .maybeSingle();
+  if (error) throw new Error(error.message);
+  return { spec: data ? { ...normalizeSpec(data), updated_at: data.updated_at } : null };
+}
+
+/**
+ * Create or replace a project's pool spec
+ * @param {string} companyID
+ * @param {string} projectId
+ * @param {Object} fields - Any of SPEC_FIELDS
+ * @returns {Promise<Object|null>} { before, after }, { error, status } for equipment that isn't in inventory, or null
+ * when the project doesn't exist
+ */
+export async function saveSpec(companyID, projectId, fields) {
+  const current = await getSpec(companyID, projectId);
+  if (!current) return null;
+
+  const row = {};
+  for (const field of SPEC_FIELDS) {
+    if (fields[field] !== undefined) row[field] = fields[field];
+  }
+  if (row.equipment !== undefined) {
+    row.equipment = cleanEquipment(row.equipment);
+    const inventoryById = await getInventoryById(companyID, row.equipment.map((item) => item.inventory_id));
+    if (row.equipment.some((item) => !inventoryById.has(item.inventory_id))) {
+      return { error: 'Equipment item not found in inventory', status: 404 };
+    }
+  }
+  if (row.has_spa === false) {
+    row.spa_length_ft = null;
+    row.spa_width_ft = null;
+    row.spa_depth_ft = null;
+  }
+
+  const { data, error } = await supabase
+    .from('project_pool_specs')
+    .upsert({ ...row, project_id: projectId, company_id: companyID, updated_at: new Date().toISOString() }, { onConflict: 'project_id' })
+    .select(SPEC_SELECT)
+    .single();
+  if (error) throw new Error(error.message);
+  return { before: current.spec, after: { ...normalizeSpec(data), updated_at: data.updated_at } };
+}
+
+/**
+ * The company's estimating rates
+ * @param {string} companyID
+ * @returns {Promise<Object>} { [quantity key]: { inventory_id, unit_cost } }
+ */
+export async function getRates(companyID) {
+  const { data, error } = await supabase
+    .from('companies')
+    .select('estimating_rates')
+    .eq('company_id', companyID)
+    .maybeSingle();
+  if (error) throw new Error(error.message);
+  return data?.estimating_rates || {};
+}
+
+/**
+ * Replace the company's estimating rates. Keys not in ESTIMATE_QUANTITIES are dropped, as are rates with neither an
+ * inventory item nor a unit cost.
+ * @param {string} companyID
+ * @param {Object} rates - { [quantity key]: { inventory_id?, unit_cost? } }
+ * @returns {Promise<Object>} { before, after }, or { error, status } for an inventory item that doesn't exist
+ */
+export async function setRates(companyID, rates) {
+  const cleaned = {};
+  for (const key of QUANTITY_KEYS) {
+    const rate = rates?.[key];
+    if (!rate) continue;
+    const inventoryId = rate.inventory_id || null;
+    const unitCost = rate.unit_cost === null || rate.unit_cost === undefined || rate.unit_cost === '' ? null : roundTo2(rate.unit_cost);
+    if (!inventoryId && unitCost == null) continue;
+    cleaned[key] = { inventory_id: inventoryId, unit_cost: unitCost };
+  }
+
+  const inventoryIds = rateInventoryIds(cleaned).filter(Boolean);
+  const inventoryById = await getInventoryById(companyID, inventoryIds);
+  if (inventoryIds.some((id) => !inventoryById.has(id))) {
+    return { error: 'Inventory item not found', status: 404 };
+  }
+
+  const before = await getRates(companyID);
+  const { error } = await supabase
+    .from('companies')
+    .update({ estimating_rates: cleaned })
+    .eq('company_id', companyID);
+  if (error) throw new Error(error.message);
+  return { before, after: cleaned };
+}
+
+/**
+ * Estimate a project from its pool spec
+ * @param {string} companyID
+ * @param {string} projectId
+ * @returns {Promise<Object|null>} { spec, measurements, quantities, lines, total } (spec and the rest are null/empty
+ * until a spec is saved), or null when the project doesn't exist
+ */
+export async function getEstimate(companyID, projectId) {
+  const current = await getSpec(companyID, projectId);
+  if (!current) return null;
+  if (!current.spec) return { spec: null, measurements: null, quantities: null, lines: [], total: 0 };
+
+  const { spec } = current;
+  const rates = await getRates(companyID);
+  const inventoryById = await getInventoryById(companyID, [
+    ...rateInventoryIds(rates),
+    ...spec.equipment.map((item) => item.inventory_id),
+  ]);
+  const { measurements, quantities } = computeQuantities(spec);
+  const { lines, total } = priceQuantities(quantities, spec.equipment, rates, inventoryById);
+  return { spec, measurements, quantities, lines, total };
+}
+
+// Estimate-tagged expense rows, split into those re-estimating may replace and those with actual costs recorded
+async function getEstimateRows(table, actualField, projectId) {
+  const { data, error } = await supabase
+    .from(table)
+    .select(`id, pool_estimate_key, ${actualField}`)
+    .eq('project_id', projectId)
+    .not('pool_estimate_key', 'is', null);
+  if (error) throw new Error(error.message);
+  const rows = data || [];
+  return {
+    replaceable: rows.filter((row) => row[actualField] == null).map((row) => row.id),
+    kept: rows.filter((row) => row[actualField] != null).map((row) => row.pool_estimate_key),
+  };
+}
+
+/**
+ * Write the estimate into the project's expected expenses: inventory-priced lines become materials or equipment,
+ * flat-rate lines become additional expenses. Lines from an earlier estimate are replaced unless they already have
+ * an actual cost, in which case they are kept and not duplicated.
+ * @param {string} companyID
+ * @param {string} projectId
+ * @param {Object} [options]
+ * @param {string|null} [options.employeeId] - Who applied it (for stock ledger entries)
+ * @returns {Promise<Object|null>} { created: { materials, equipment, additional }, kept, unpriced, total }, { error,
+ * status } when the project has no pool spec, or null when the project doesn't exist
+ */
+export async function applyEstimate(companyID, projectId, { employeeId = null } = {}) {
+  const estimate = await getEstimate(companyID, projectId);
+  if (!estimate) return null;
+  if (!estimate.spec) return { error: 'Save a pool spec before estimating', status: 400 };
+
+  const tables = [
+    ['project_materials', 'actual_price'],
+    ['project_equipment', 'actual_price'],
+    ['project_additional_expenses', 'amount'],
+  ];
+  const existing = await Promise.all(tables.map(([table, actualField]) => getEstimateRows(table, actualField, projectId)));
+  const kept = new Set(existing.flatMap((rows) => rows.kept));
+
+  await Promise.all(tables.map(async ([table], idx) => {
+    const ids = existing[idx].replaceable;
+    if (ids.length === 0) return;
+    const { error } = await supabase.from(table).delete().in('id', ids);
+    if (error) throw new Error(error.message);
+    // A replaced material or equipment row that was already received gives its allocated stock back
+    if (table === 'project_additional_expenses') return;
+    for (const id of ids) {
+      await syncProjectAllocation({ companyID, sourceTable: table, sourceId: id, row: null, projectId, employeeId });
+    }
+  }));
+
+  const today = new Date().toISOString().split('T')[0];
+  const lines = estimate.lines.filter((line) => line.amount != null && !kept.has(line.key));
+  const note = (line) => `Pool estimate: ${line.quantity} ${line.unit}`;
+
+  const materials = lines
+    .filter((line) => line.source === 'inventory' && line.inventory_type !== 'equipment')
+    .map((line) => ({
+      project_id: projectId,
+      inventory_id: line.inventory_id,
+      quantity: line.quantity,
+      status: 'incomplete',
+      expected_price: line.amount,
+      actual_price: null,
+      notes: note(line),
+      pool_estimate_key: line.key,
+    }));
+  const equipment = lines
+    .filter((line) => line.source === 'inventory' && line.inventory_type === 'equipment')
+    .map((line) => ({
+      project_id: projectId,
+      company_id: companyID,
+      inventory_id: line.inventory_id,
+      name: line.label,
+      quantity: Math.ceil(line.quantity),
+      status: 'pending',
+      expected_price: line.amount,
+      actual_price: null,
+      notes: note(line),
+      pool_estimate_key: line.key,
+    }));
+  const additional = lines
+    .filter((line) => line.source === 'rate')
+    .map((line) => ({
+      project_id: projectId,
+      name: line.label,
+      amount: null,
+      expected_value: line.amount,
+      expense_date: today,
+      status: 'incomplete',
+      description: `${line.quantity} ${line.unit} @ $${line.unit_cost.toFixed(2)}/${line.unit}`,
+      notes: null,
+      pool_estimate_key: line.key,
+    }));
+
+  const insert = async (table, rows) => {
+    if (rows.length === 0) return 0;
+    const { data, error } = await supabase.from(table).insert(rows).select('id');
+    if (error) throw new Error(error.message);
+    return (data || []).length;
+  };
+  const [materialsCreated, equipmentCreated, additionalCreated] = await Promise.all([
+    insert('project_materials', materials),
+    insert('project_equipment', equipment),
+    insert('project_additional_expenses', additional),
+  ]);
+
+  return {
+    created: { materials: materialsCreated, equipment: equipmentCreated, additional: additionalCreated },
+    kept: [...kept],
+    unpriced: estimate.lines.filter((line) => line.amount == null).map((line) => line.key),
+    total: roundTo2(lines.reduce((sum, line) => sum + line.amount, 0)),
+  };
+}
+
+export default {
+  POOL_SHAPES,
+  ESTIMATE_QUANTITIES,
+  computeQuantities,
+  priceQuantities,
+  getSpec,
+  saveSpec,
+  getRates,
+  setRates,
+  getEstimate,
+  applyEstimate,
+};
@@ -0,0 +1,479 @@
+import dotenv from 'dotenv';
+import { fileURLToPath } from 'url';
+import { dirname, join } from 'path';
+import { createClient } from '@supabase/supabase-js';
+import { fetchAllRows, getProjectFinancials } from './projectFinancials.js';
+
+const __filename = fileURLToPath(import.meta.url);
+const __dirname = dirname(__filename);
+
+// Load .env from root directory (two levels up from backend/services/)
+dotenv.config({ path: join(__dirname, '..', '..', '.env') });
+
+const supabaseUrl = process.env.SUPABASE_URL;
+const supabaseServiceKey = process.env.SUPABASE_SERVICE_ROLE_KEY;
+
+const supabase = createClient(supabaseUrl || '', supabaseServiceKey || '');
+
+// Projects whose lines are never re-priced: the work is finished or off
+export const FINISHED_PROJECT_STATUSES = ['complete', 'completed', 'cancelled'];
+
+// Project and template tables whose expected_price follows the inventory item's unit price
+const PROJECT_LINE_TABLES = ['project_materials', 'project_equipment'];
+const TEMPLATE_LINE_TABLES = ['expense_template_materials', 'expense_template_equipment'];
+
+// Keeps .in() filters well inside URL length limits
+const ID_CHUNK_SIZE = 100;
+
+const roundTo2 = (n) => Math.round(Number(n) * 100) / 100;
+const toNumber = (value) => parseFloat(value || 0) || 0;
+const today = () => new Date().toISOString().split('T')[0];
+
+const chunk = (ids) => {
+  const chunks = [];
+  for (let i = 0; i < ids.length; i += ID_CHUNK_SIZE) chunks.push(ids.slice(i, i + ID_CHUNK_SIZE));
+  return chunks;
+};
+
+// SKUs and model numbers compare without case or surrounding and repeated spaces
+const normalizeKey = (value) => String(value ?? '').trim().replace(/\s+/g, ' ').toUpperCase();
+
+// "$1,234.50" and "1234.5" are both 1234.5; anything else is null
+const parsePrice = (value) => {
+  const cleaned = String(value ?? '').replace(/[$,\s]/g, '');
+  if (!/^\d+(\.\d+)?$/.test(cleaned)) return null;
+  return roundTo2(cleaned);
+};
+
+// Quantity a line is priced on; equipment without one is a single unit
+const lineQuantity = (row, table) => toNumber(row.quantity) || (table.endsWith('equipment') ? 1 : 0);
+
+/**
+ * Match price list rows to inventory items: on SKU first, then on model number. Rows that match nothing, match more
+ * than one item, repeat an item matched by an earlier row, or carry no usable price are reported and not applied, as
+ * are items whose preferred supplier is someone else.
+ * @param {Array} items - inventory rows (id, name, sku, model, unit, unit_price, preferred_supplier_id)
+ * @param {Array} rows - [{ sku?, model?, description?, unit_price }]
+ * @param {string} supplierId - Supplier the price list is from
+ * @returns {Array} One entry per row: { row, sku, model, description, unit_price, status, matched_on, inventory_id,
+ * name, unit, previous_price, change, change_percent }; status is changed, unchanged, unmatched, ambiguous, duplicate,
+ * other_supplier or invalid
+ */
+export function matchPriceList(items, rows, supplierId) {
+  const index = (field) => {
+    const map = new Map();
+    for (const item of items) {
+      const key = normalizeKey(item[field]);
+      if (!key) continue;
+      if (!map.has(key)) map.set(key, []);
+      map.get(key).push(item);
+    }
+    return map;
+  };
+  const bySku = index('sku');
+  const byModel = index('model');
+  const seen = new Set();
+
+  return rows.map((row, i) => {
+    const entry = {
+      row: i + 1,
+      sku: row.sku || null,
+      model: row.model || null,
+      description: row.description || null,
+      unit_price: parsePrice(row.unit_price),
+      status: null,
+      matched_on: null,
+      inventory_id: null,
+      name: null,
+      unit: null,
+      previous_price: null,
+      change: null,
+      change_percent: null,
+    };
+    if (entry.unit_price == null) return { ...entry, status: 'invalid' };
+
+    let candidates = bySku.get(normalizeKey(row.sku)) || [];
+    entry.matched_on = candidates.length ? 'sku' : null;
+    if (!candidates.length) {
+      candidates = byModel.get(normalizeKey(row.model)) || [];
+      entry.matched_on = candidates.length ? 'model' : null;
+    }
+    if (!candidates.length) return { ...entry, status: 'unmatched' };
+    if (candidates.length > 1) return { ...entry, status: 'ambiguous' };
+
+    const [item] = candidates;
+    const previous = toNumber(item.unit_price);
+    const matched = {
+      ...entry,
+      inventory_id: item.id,
+      name: item.name,
+      unit: item.unit,
+      previous_price: previous,
+      change: roundTo2(entry.unit_price - previous),
+      change_percent: previous > 0 ? roundTo2(((entry.unit_price - previous) / previous) * 100) : null,
+    };
+    if (seen.has(item.id)) return { ...matched, status: 'duplicate' };
+    seen.add(item.id);
+    if (item.preferred_supplier_id && item.preferred_supplier_id !== supplierId) return { ...matched, status: 'other_supplier' };
+    return { ...matched, status: matched.change === 0 ? 'unchanged' : 'changed' };
+  });
+}
+
+/**
+ * Count price list entries by status
+ * @param {Array} lines - Result of matchPriceList
+ * @returns {Object} { rows, matched, changed, unchanged, unmatched, ambiguous, duplicate, other_supplier, invalid }
+ */
+export function summarizeMatches(lines) {
+  const summary = { rows: lines.length, matched: 0, changed: 0, unchanged: 0, unmatched: 0, ambiguous: 0, duplicate: 0, other_supplier: 0, invalid: 0 };
+  for (const line of lines) {
+    summary[line.status] += 1;
+    if (line.status === 'changed' || line.status === 'unchanged') summary.matched += 1;
+  }
+  return summary;
+}
+
+/**
+ * Project and template lines whose expected price would move with the new unit prices. Project lines count while
+ * the project is open (not finished, not in the Trash) and the line has been neither ordered nor received.
+ * @param {string} companyID
+ * @param {Map<string, number>} priceByItem - Inventory ID to new unit price
+ * @param {Object} options - { projects: boolean, templates: boolean }
+ * @returns {Promise<Object>} { projectLines, templateLines }, each [{ table, id, inventory_id, quantity,
+ * expected_before, expected_after, ... }] with project_id and project details or template_id and template_name
+ */
+async function findRepricedLines(companyID, priceByItem, { projects, templates }) {
+  const itemIds = [...priceByItem.keys()];
+  const projectLines = [];
+  const templateLines = [];
+  if (!itemIds.length) return { projectLines, templateLines };
+
+  const reprice = (row, table) => {
+    const quantity = lineQuantity(row, table);
+    if (quantity <= 0) return null;
+    const before = row.expected_price == null ? null : roundTo2(row.expected_price);
+    const after = roundTo2(quantity * priceByItem.get(row.inventory_id));
+    return before === after ? null : { table, id: row.id, inventory_id: row.inventory_id, quantity, expected_before: before, expected_after: after };
+  };
+
+  if (projects) {
+    for (const table of PROJECT_LINE_TABLES) {
+      for (const ids of chunk(itemIds)) {
+        const rows = await fetchAllRows(() => supabase
+          .from(table)
+          .select('id, project_id, inventory_id, quantity, expected_price, projects!inner (company_id, project_name, address, status, deleted_at)')
+          .eq('projects.company_id', companyID)
+          .not('projects.status', 'in', `(${FINISHED_PROJECT_STATUSES.join(',')})`)
+          .is('projects.deleted_at', null)
+          .in('inventory_id', ids)
+          .is('date_ordered', null)
+          .is('date_received', null)
+          .order('id'));
+        for (const row of rows) {
+          const line = reprice(row, table);
+          if (line) {
+            projectLines.push({
+              ...line,
+              project_id: row.project_id,
+              project_name: row.projects.project_name || row.projects.address || null,
+              project_status: row.projects.status,
+            });
+          }
+        }
+      }
+    }
+  }
+
+  if (templates) {
+    for (const table of TEMPLATE_LINE_TABLES) {
+      for (const ids of chunk(itemIds)) {
+        const rows = await fetchAllRows(() => supabase
+          .from(table)
+          .select('id, template_id, inventory_id, quantity, expected_price, expense_templates!inner (company_id, name)')
+          .eq('expense_templates.company_id', companyID)
+          .in('inventory_id', ids)
+          .order('id'));
+        for (const row of rows) {
+          const line = reprice(row, table);
+          if (line) templateLines.push({ ...line, template_id: row.template_id, template_name: row.expense_templates.name });
+        }
+      }
+    }
+  }
+
+  return { projectLines, templateLines };
+}
+
+/**
+ * Expected cost and margin before and after re-pricing, per project and per template
+ * @param {string} companyID
+ * @param {Object} repriced - Result of findRepricedLines
+ * @returns {Promise<Object>} { projects: [{ project_id, project_name, status, lines, revenue, expected_cost_before,
+ * expected_cost_after, change, expected_profit_before, expected_profit_after, margin_before, margin_after }],
+ * templates: [{ template_id, template_name, lines, expected_before, expected_after, change }], total_change }
+ */
+async function buildMarginImpact(companyID, { projectLines, templateLines }) {
+  const byProject = new Map();
+  for (const line of projectLines) {
+    const entry = byProject.get(line.project_id) || { project_id: line.project_id, project_name: line.project_name, status: line.project_status, lines: 0, change: 0 };
+    entry.lines += 1;
+    entry.change = roundTo2(entry.change + line.expected_after - (line.expected_before || 0));
+    byProject.set(line.project_id, entry);
+  }
+
+  const financials = await getProjectFinancials(companyID, [...byProject.keys()]);
+  const marginOf = (revenue, profit) => (revenue > 0 ? roundTo2((profit / revenue) * 100) : null);
+  const projects = [...byProject.values()].map((entry) => {
+    const summary = financials.get(entry.project_id);
+    const revenue = roundTo2(summary?.revenue || 0);
+    const costBefore = roundTo2(summary?.expectedExpenses || 0);
+    const costAfter = roundTo2(costBefore + entry.change);
+    return {
+      ...entry,
+      revenue,
+      expected_cost_before: costBefore,
+      expected_cost_after: costAfter,
+      expected_profit_before: roundTo2(revenue - costBefore),
+      expected_profit_after: roundTo2(revenue - costAfter),
+      margin_before: marginOf(revenue, revenue - costBefore),
+      margin_after: marginOf(revenue, revenue - costAfter),
+    };
+  }).sort((a, b) => b.change - a.change);
+
+  const byTemplate = new Map();
+  for (const line of templateLines) {
+    const entry = byTemplate.get(line.template_id) || { template_id: line.template_id, template_name: line.template_name, lines: 0, expected_before: 0, expected_after: 0 };
+    entry.lines += 1;
+    entry.expected_before = roundTo2(entry.expected_before + (line.expected_before || 0));
+    entry.expected_after = roundTo2(entry.expected_after + line.expected_after);
+    byTemplate.set(line.template_id, entry);
+  }
+  const templates = [...byTemplate.values()]
+    .map((entry) => ({ ...entry, change: roundTo2(entry.expected_after - entry.expected_before) }))
+    .sort((a, b) => b.change - a.change);
+
+  return { projects, templates, total_change: roundTo2(projects.reduce((sum, project) => sum + project.change, 0)) };
+}
+
+async function findSupplier(companyID, supplierId) {
+  const { data, error } = await supabase
+    .from('suppliers')
+    .select('id, name')
+    .eq('id', supplierId)
+    .eq('company_id', companyID)
+    .maybeSingle();
+  if (error) throw new Error(error.message);
+  return data;
+}
+
+/**
+ * Match a price list and work out what applying it would change, without writing anything
+ * @param {string} companyID
+ * @param {string} supplierId
+ * @param {Array} rows - [{ sku?, model?, description?, unit_price }]
+ * @param {Object} [options]
+ * @param {boolean} [options.repriceProjects] - Include open project lines in the margin impact
+ * @param {boolean} [options.repriceTemplates] - Include expense template lines
+ * @returns {Promise<Object|null>} { supplier, lines, summary, impact, repriced }, or null when the supplier doesn't
+ * exist
+ */
+export async function previewPriceList(companyID, supplierId, rows, { repriceProjects = false, repriceTemplates = false } = {}) {
+  const supplier = await findSupplier(companyID, supplierId);
+  if (!supplier) return null;
+
+  const items = await fetchAllRows(() => supabase
+    .from('inventory')
+    .select('id, name, sku, model, unit, unit_price, preferred_supplier_id')
+    .eq('company_id', companyID)
+    .order('id'));
+
+  const lines = matchPriceList(items, rows, supplierId);
+  const priceByItem = new Map(lines.filter((line) => line.status === 'changed').map((line) => [line.inventory_id, line.unit_price]));
+  const repriced = await findRepricedLines(companyID, priceByItem, { projects: repriceProjects, templates: repriceTemplates });
+  const impact = await buildMarginImpact(companyID, repriced);
+
+  return { supplier, lines, summary: summarizeMatches(lines), impact, repriced };
+}
+
+/**
+ * Record a unit price change in an item's price history
+ * @param {Object} change
+ * @param {string} change.companyID
+ * @param {string} change.inventoryId
+ * @param {number|null} change.previousPrice
+ * @param {number} change.unitPrice
+ * @param {string} [change.effectiveDate] - YYYY-MM-DD, defaults to today
+ * @param {string} change.source - manual or import
+ * @param {string|null} [change.supplierId]
+ * @param {string|null} [change.importId]
+ * @param {string|null} [change.employeeId]
+ * @returns {Promise<Object|null>} The history row, or null when the price didn't change
+ */
+export async function recordPriceChange({ companyID, inventoryId, previousPrice, unitPrice, effectiveDate, source, supplierId = null, importId = null, employeeId = null }) {
+  const previous = previousPrice == null ? null : roundTo2(previousPrice);
+  const price = roundTo2(unitPrice || 0);
+  if (previous === price) return null;
+
+  const { data, error } = await supabase
+    .from('inventory_price_history')
+    .insert([{
+      company_id: companyID,
+      inventory_id: inventoryId,
+      supplier_id: supplierId,
+      import_id: importId,
+      previous_price: previous,
+      unit_price: price,
+      effective_date: effectiveDate || today(),
+      source,
+      created_by: employeeId || null,
+    }])
+    .select()
+    .single();
+  if (error) throw new Error(error.message);
+  return data;
+}
+
+/**
+ * Apply a price list: set the new unit prices on matched items (recording price history), optionally re-price open
+ * project and expense template lines, and keep the import with its margin impact report
+ * @param {Object} options
+ * @param {string} options.companyID
+ * @param {string} options.supplierId
+ * @param {Array} options.rows - [{ sku?, model?, description?, unit_price }]
+ * @param {string} [options.fileName]
+ * @param {string} [options.effectiveDate] - YYYY-MM-DD, defaults to today
+ * @param {boolean} [options.repriceProjects]
+ * @param {boolean} [options.repriceTemplates]
+ * @param {string|null} [options.employeeId]
+ * @returns {Promise<Object|null>} { import, lines, summary, impact, changedItems, repriced }, { error, status } when
+ * nothing would change, or null when the supplier doesn't exist
+ */
+export async function applyPriceList({ companyID, supplierId, rows, fileName, effectiveDate, repriceProjects = false, repriceTemplates = false, employeeId = null }) {
+  const preview = await previewPriceList(companyID, supplierId, rows, { repriceProjects, repriceTemplates });
+  if (!preview) return null;
+
+  const changed = preview.lines.filter((line) => line.status === 'changed');
+  if (!changed.length) return { error: 'No prices in this list differ from inventory', status: 400 };
+
+  const { projectLines, templateLines } = preview.repriced;
+  const { data: importRow, error: importError } = await supabase
+    .from('supplier_price_imports')
+    .insert([{
+      company_id: companyID,
+      supplier_id: supplierId,
+      file_name: fileName || null,
+      effective_date: effectiveDate || today(),
+      row_count: preview.summary.rows,
+      matched_count: preview.summary.matched,
+      changed_count: changed.length,
+      repriced_project_lines: projectLines.length,
+      repriced_template_lines: templateLines.length,
+      margin_impact: { projects: preview.impact.projects, templates: preview.impact.templates },
+      created_by: employeeId || null,
+    }])
+    .select()
+    .single();
+  if (importError) throw new Error(importError.message);
+
+  const now = new Date().toISOString();
+  for (const line of changed) {
+    const { error } = await supabase
+      .from('inventory')
+      .update({ unit_price: line.unit_price, updated_at: now })
+      .eq('id', line.inventory_id)
+      .eq('company_id', companyID);
+    if (error) throw new Error(error.message);
+    await recordPriceChange({
+      companyID,
+      inventoryId: line.inventory_id,
+      previousPrice: line.previous_price,
+      unitPrice: line.unit_price,
+      effectiveDate: importRow.effective_date,
+      source: 'import',
+      supplierId,
+      importId: importRow.id,
+      employeeId,
+    });
+  }
+
+  for (const line of [...projectLines, ...templateLines]) {
+    const { error } = await supabase
+      .from(line.table)
+      .update({ expected_price: line.expected_after, updated_at: now })
+      .eq('id', line.id);
+    if (error) throw new Error(error.message);
+  }
+
+  return {
+    import: importRow,
+    lines: preview.lines,
+    summary: preview.summary,
+    impact: preview.impact,
+    changedItems: changed,
+    repriced: preview.repriced,
+  };
+}
+
+/**
+ * An inventory item's unit price history, newest first
+ * @param {string} companyID
+ * @param {string} inventoryId
+ * @returns {Promise<Object|null>} { item, history }, or null when the item doesn't exist
+ */
+export async function getPriceHistory(companyID, inventoryId) {
+  const [{ data: item, error: itemError }, { data, error }] = await Promise.all([
+    supabase
+      .from('inventory')
+      .select('id, name, sku, model, unit, unit_price')
+      .eq('id', inventoryId)
+      .eq('company_id', companyID)
+      .maybeSingle(),
+    supabase
+      .from('inventory_price_history')
+      .select('*, supplier:supplier_id (name), creator:created_by (name)')
+      .eq('company_id', companyID)
+      .eq('inventory_id', inventoryId)
+      .order('effective_date', { ascending: false })
+      .order('created_at', { ascending: false }),
+  ]);
+  if (itemError) throw new Error(itemError.message);
+  if (error) throw new Error(error.message);
+  if (!item) return null;
+
+  const history = (data || []).map(({ supplier, creator, ...row }) => ({
+    ...row,
+    unit_price: toNumber(row.unit_price),
+    previous_price: row.previous_price == null ? null : toNumber(row.previous_price),
+    supplier_name: supplier?.name || null,
+    created_by_name: creator?.name || null,
+  }));
+  return { item: { ...item, unit_price: toNumber(item.unit_price) }, history };
+}
+
+/**
+ * A supplier's price list imports, newest first
+ * @param {string} companyID
+ * @param {string} supplierId
+ * @returns {Promise<Array>}
+ */
+export async function listImports(companyID, supplierId) {
+  const { data, error } = await supabase
+    .from('supplier_price_imports')
+    .select('*, creator:created_by (name)')
+    .eq('company_id', companyID)
+    .eq('supplier_id', supplierId)
+    .order('created_at', { ascending: false });
+  if (error) throw new Error(error.message);
+  return (data || []).map(({ creator, ...row }) => ({ ...row, created_by_name: creator?.name || null }));
+}
+
+export default {
+  FINISHED_PROJECT_STATUSES,
+  matchPriceList,
+  summarizeMatches,
+  previewPriceList,
+  recordPriceChange,
+  applyPriceList,
+  getPriceHistory,
+  listImports,
+};
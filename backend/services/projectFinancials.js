@@ -0,0 +1,267 @@
+import dotenv from 'dotenv';
+import { fileURLToPath } from 'url';
+import { dirname, join } from 'path';
+import { createClient } from '@supabase/supabase-js';
+
+const __filename = fileURLToPath(import.meta.url);
+const __dirname = dirname(__filename);
+
+// Load .env from root directory (two levels up from backend/services/)
+dotenv.config({ path: join(__dirname, '..', '..', '.env') });
+
+const supabaseUrl = process.env.SUPABASE_URL;
+const supabaseServiceKey = process.env.SUPABASE_SERVICE_ROLE_KEY;
+
+const supabase = createClient(supabaseUrl || '', supabaseServiceKey || '');
+
+// PostgREST puts .in() filters in the URL, so keep ID lists short enough to stay under URL limits
+const ID_CHUNK_SIZE = 100;
+// Supabase caps responses at 1000 rows by default; page through anything larger
+const PAGE_SIZE = 1000;
+
+// Statuses that count a project as closed revenue (dashboard, goals)
+export const CLOSED_PROJECT_STATUSES = ['sold', 'complete'];
+
+const toNumber = (value) => parseFloat(value || 0) || 0;
+
+/**
+ * Run a query page by page until every row has been read
+ * @param {Function} buildQuery - Returns a fresh Supabase query builder (range is applied per page)
+ * @returns {Promise<Array>} All rows
+ */
+export async function fetchAllRows(buildQuery) {
+  const rows = [];
+  for (let from = 0; ; from += PAGE_SIZE) {
+    const { data, error } = await buildQuery().range(from, from + PAGE_SIZE - 1);
+    if (error) throw new Error(error.message);
+    rows.push(...(data || []));
+    if (!data || data.length < PAGE_SIZE) break;
+  }
+  return rows;
+}
+
+/**
+ * Fetch rows from a project-scoped table for many projects at once
+ * @param {string} table - Table name
+ * @param {string} columns - Columns to select (must include project_id)
+ * @param {string[]} projectIds - Project IDs
+ * @returns {Promise<Array>} Rows for all projects
+ */
+async function fetchRowsForProjects(table, columns, projectIds) {
+  const chunks = [];
+  for (let i = 0; i < projectIds.length; i += ID_CHUNK_SIZE) {
+    chunks.push(projectIds.slice(i, i + ID_CHUNK_SIZE));
+  }
+  const results = await Promise.all(
+    chunks.map((chunk) => fetchAllRows(() => supabase
+      .from(table)
+      .select(columns)
+      .in('project_id', chunk)
+      .order('id', { ascending: true })))
+  );
+  return results.flat();
+}
+
+const groupByProject = (rows) => {
+  const grouped = new Map();
+  for (const row of rows) {
+    if (!grouped.has(row.project_id)) grouped.set(row.project_id, []);
+    grouped.get(row.project_id).push(row);
+  }
+  return grouped;
+};
+
+/**
+ * Sum the four expense tables for one project (actual and expected)
+ * Shape matches the `totals` object returned by GET /api/projects/:id/expenses.
+ * @param {Object} rows
+ * @param {Array} [rows.subcontractorFees] - project_subcontractor_fees rows (flat_fee, expected_value)
+ * @param {Array} [rows.materials] - project_materials rows (actual_price, expected_price)
+ * @param {Array} [rows.equipment] - project_equipment rows (actual_price, expected_price)
+ * @param {Array} [rows.additionalExpenses] - project_additional_expenses rows (amount, expected_value)
+ * @returns {Object} Expense totals
+ */
+export function sumProjectExpenses({ subcontractorFees = [], materials = [], equipment = [], additionalExpenses = [] }) {
+  const sum = (rows, field) => rows.reduce((total, row) => total + toNumber(row[field]), 0);
+
+  const totals = {
+    subcontractors: sum(subcontractorFees, 'flat_fee'),
+    subcontractorsExpected: sum(subcontractorFees, 'expected_value'),
+    materials: sum(materials, 'actual_price'),
+    materialsExpected: sum(materials, 'expected_price'),
+    additional: sum(additionalExpenses, 'amount'),
+    additionalExpected: sum(additionalExpenses, 'expected_value'),
+    equipment: sum(equipment, 'actual_price'),
+    equipmentExpected: sum(equipment, 'expected_price'),
+  };
+  totals.total = totals.subcontractors + totals.materials + totals.additional + totals.equipment;
+  totals.totalExpected = totals.subcontractorsExpected + totals.materialsExpected + totals.additionalExpected + totals.equipmentExpected;
+  return totals;
+}
+
+/**
+ * Total customer price from milestones: the project's saved customer_price when set,
+ * otherwise the sum of its milestone rows.
+ * @param {Object} project - Project row (customer_price)
+ * @param {Array} [milestones] - milestones rows (customer_price)
+ * @returns {number}
+ */
+export function resolveMilestonesTotal(project, milestones = []) {
+  const savedCustomerPrice = toNumber(project?.customer_price);
+  if (savedCustomerPrice > 0) return savedCustomerPrice;
+  return milestones.reduce((total, m) => total + toNumber(m.customer_price), 0);
+}
+
+/**
+ * Revenue used for profit: closing_price > milestones total > est_value
+ * @param {Object} values
+ * @param {number} values.closingPrice
+ * @param {number} values.milestonesTotal
+ * @param {number} values.estValue
+ * @returns {number}
+ */
+export function resolveProjectRevenue({ closingPrice, milestonesTotal, estValue }) {
+  if (closingPrice > 0) return closingPrice;
+  if (milestonesTotal > 0) return milestonesTotal;
+  return estValue || 0;
+}
+
+/**
+ * Build the financial summary for one project from already-loaded rows
+ * @param {Object} project - Project row (est_value, closing_price, customer_price)
+ * @param {number} milestonesTotal - Result of resolveMilestonesTotal
+ * @param {Object} totals - Result of sumProjectExpenses
+ * @returns {Object} { estValue, closingPrice, milestonesTotal, revenue, expenses, expectedExpenses, profit, expectedProfit, totals }
+ */
+export function buildProjectFinancials(project, milestonesTotal, totals) {
+  const estValue = toNumber(project?.est_value);
+  const closingPrice = toNumber(project?.closing_price);
+  const revenue = resolveProjectRevenue({ closingPrice, milestonesTotal, estValue });
+
+  return {
+    estValue,
+    closingPrice,
+    milestonesTotal,
+    revenue,
+    expenses: totals.total,
+    expectedExpenses: totals.totalExpected,
+    profit: revenue - totals.total,
+    expectedProfit: revenue - totals.totalExpected,
+    totals,
+  };
+}
+
+/**
+ * Compute financials for any number of projects with a handful of set-based queries
+ * Projects in the Trash are skipped, so they drop out of every rollup until restored.
+ * @param {string} companyID - Company the projects must belong to
+ * @param {string[]} projectIds - Project IDs
+ * @returns {Promise<Map<string, Object>>} Map of project ID to buildProjectFinancials result
+ */
+export async function getProjectFinancials(companyID, projectIds) {
+  const ids = [...new Set((projectIds || []).filter(Boolean))];
+  const financials = new Map();
+  if (ids.length === 0) return financials;
+
+  const projectChunks = [];
+  for (let i = 0; i < ids.length; i += ID_CHUNK_SIZE) {
+    projectChunks.push(ids.slice(i, i + ID_CHUNK_SIZE));
+  }
+
+  const [projectResults, milestones, subcontractorFees, materials, equipment, additionalExpenses] = await Promise.all([
+    Promise.all(projectChunks.map((chunk) => fetchAllRows(() => supabase
+      .from('projects')
+      .select('id, est_value, closing_price, customer_price')
+      .eq('company_id', companyID)
+      .is('deleted_at', null)
+      .in('id', chunk)))),
+    fetchRowsForProjects('milestones', 'project_id, customer_price', ids),
+    fetchRowsForProjects('project_subcontractor_fees', 'project_id, flat_fee, expected_value', ids),
+    fetchRowsForProjects('project_materials', 'project_id, actual_price, expected_price', ids),
+    fetchRowsForProjects('project_equipment', 'project_id, actual_price, expected_price', ids),
+    fetchRowsForProjects('project_additional_expenses', 'project_id, amount, expected_value', ids),
+  ]);
+
+  const milestonesByProject = groupByProject(milestones);
+  const feesByProject = groupByProject(subcontractorFees);
+  const materialsByProject = groupByProject(materials);
+  const equipmentByProject = groupByProject(equipment);
+  const additionalByProject = groupByProject(additionalExpenses);
+
+  for (const project of projectResults.flat()) {
+    const milestonesTotal = resolveMilestonesTotal(project, milestonesByProject.get(project.id));
+    const totals = sumProjectExpenses({
+      subcontractorFees: feesByProject.get(project.id),
+      materials: materialsByProject.get(project.id),
+      equipment: equipmentByProject.get(project.id),
+      additionalExpenses: additionalByProject.get(project.id),
+    });
+    financials.set(project.id, buildProjectFinancials(project, milestonesTotal, totals));
+  }
+
+  return financials;
+}
+
+/**
+ * Status history rows for projects that became sold or complete in a date range
+ * @param {string} companyID
+ * @param {Object} [range]
+ * @param {Date|string} [range.start] - Inclusive lower bound on changed_at
+ * @param {Date|string} [range.end] - Inclusive upper bound on changed_at
+ * @returns {Promise<Array>} Rows of { project_id, status, changed_at } (projects in the Trash are left out)
+ */
+export async function getClosedProjectHistory(companyID, { start, end } = {}) {
+  const toIso = (value) => (value instanceof Date ? value.toISOString() : value);
+  return fetchAllRows(() => {
+    let query = supabase
+      .from('project_status_history')
+      .select('project_id, status, changed_at, projects!inner (deleted_at)')
+      .eq('company_id', companyID)
+      .in('status', CLOSED_PROJECT_STATUSES)
+      // Projects in the Trash don't count
+      .is('projects.deleted_at', null);
+    if (start) query = query.gte('changed_at', toIso(start));
+    if (end) query = query.lte('changed_at', toIso(end));
+    return query.order('changed_at', { ascending: true });
+  });
+}
+
+/**
+ * Roll up revenue, expenses and profit for every project sold or completed since startDate
+ * Each project is counted once even if it was both sold and completed in the range.
+ * @param {string} companyID
+ * @param {Date|null} startDate - null for all time
+ * @returns {Promise<Object>} { projectCount, totalEstValue, totalRevenue, totalExpenses, totalProfit }
+ */
+export async function summarizeClosedProjects(companyID, startDate) {
+  const history = await getClosedProjectHistory(companyID, { start: startDate });
+  const financials = await getProjectFinancials(companyID, history.map((h) => h.project_id));
+
+  const summary = {
+    projectCount: 0,
+    totalEstValue: 0,
+    totalRevenue: 0,
+    totalExpenses: 0,
+    totalProfit: 0,
+  };
+  for (const projectFinancials of financials.values()) {
+    summary.projectCount++;
+    summary.totalEstValue += projectFinancials.estValue;
+    summary.totalRevenue += projectFinancials.revenue;
+    summary.totalExpenses += projectFinancials.expenses;
+  }
+  summary.totalProfit = summary.totalRevenue - summary.totalExpenses;
+  return summary;
+}
+
+export default {
+  CLOSED_PROJECT_STATUSES,
+  fetchAllRows,
+  sumProjectExpenses,
+  resolveMilestonesTotal,
+  resolveProjectRevenue,
+  buildProjectFinancials,
+  getProjectFinancials,
+  getClosedProjectHistory,
+  summarizeClosedProjects,
+};
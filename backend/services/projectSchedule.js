@@ -0,0 +1,732 @@
+import dotenv from 'dotenv';
+import { fileURLToPath } from 'url';
+import { dirname, join } from 'path';
+import { createClient } from '@supabase/supabase-js';
+import { checkAssignment } from './subcontractorCoi.js';
+
+const __filename = fileURLToPath(import.meta.url);
+const __dirname = dirname(__filename);
+
+// Load .env from root directory (two levels up from backend/services/)
+dotenv.config({ path: join(__dirname, '..', '..', '.env') });
+
+const supabaseUrl = process.env.SUPABASE_URL;
+const supabaseServiceKey = process.env.SUPABASE_SERVICE_ROLE_KEY;
+
+const supabase = createClient(supabaseUrl || '', supabaseServiceKey || '');
+
+const DAY_MS = 24 * 60 * 60 * 1000;
+
+// Typical pool build order. Generated schedules follow it, and subcontractor fees are matched to a phase by keyword
+// to pick their place in the chain, a default duration, and the wait after the previous phase (gunite has to cure).
+export const DEFAULT_PHASES = [
+  { name: 'Excavation', durationDays: 3, lagDays: 0, keywords: ['excavat', 'dig'] },
+  { name: 'Steel', durationDays: 2, lagDays: 0, keywords: ['steel', 'rebar'] },
+  { name: 'Plumbing', durationDays: 2, lagDays: 0, keywords: ['plumb'] },
+  { name: 'Gunite', durationDays: 1, lagDays: 0, keywords: ['gunite', 'shotcrete'] },
+  { name: 'Tile & Coping', durationDays: 4, lagDays: 7, keywords: ['tile', 'coping'] },
+  { name: 'Plaster', durationDays: 1, lagDays: 0, keywords: ['plaster', 'pebble', 'quartz'] },
+  { name: 'Startup', durationDays: 3, lagDays: 0, keywords: ['startup', 'start-up', 'start up'] },
+];
+
+// Duration for a fee that doesn't match any phase
+const DEFAULT_DURATION_DAYS = 3;
+
+// Fee status that mirrors each task status, so the expense list and timeline follow the schedule
+const FEE_STATUS_BY_TASK_STATUS = { not_started: 'incomplete', in_progress: 'in_progress', complete: 'complete' };
+
+const TASK_SELECT = `
+  *,
+  subcontractor:subcontractor_id (id, name),
+  employee:employee_id (id, name),
+  fee:subcontractor_fee_id (id, job_description, status)
+`;
+
+const todayString = () => new Date().toISOString().split('T')[0];
+
+/**
+ * Shift a YYYY-MM-DD date by whole days
+ * @param {string} date
+ * @param {number} days
+ * @returns {string}
+ */
+export function addDays(date, days) {
+  const d = new Date(`${String(date).split('T')[0]}T00:00:00Z`);
+  return new Date(d.getTime() + days * DAY_MS).toISOString().split('T')[0];
+}
+
+/**
+ * Whole days from one YYYY-MM-DD date to another (positive when `to` is later)
+ * @returns {number}
+ */
+export function daysBetween(from, to) {
+  return Math.round((new Date(`${to}T00:00:00Z`).getTime() - new Date(`${from}T00:00:00Z`).getTime()) / DAY_MS);
+}
+
+const laterOf = (a, b) => (!a ? b : !b ? a : a > b ? a : b);
+
+/**
+ * Where a task stands, from its actual dates
+ * @param {Object} task - project_schedule_tasks row
+ * @returns {string} 'not_started', 'in_progress' or 'complete'
+ */
+export function taskStatus(task) {
+  if (task.actual_end) return 'complete';
+  if (task.actual_start) return 'in_progress';
+  return 'not_started';
+}
+
+/**
+ * Phase a subcontractor fee belongs to, by its job description or subcontractor name
+ * @param {Object} fee - project_subcontractor_fees row with subcontractors (name)
+ * @returns {number} Index into DEFAULT_PHASES, or -1
+ */
+export function matchPhase(fee) {
+  const text = `${fee.job_description || ''} ${fee.subcontractors?.name || ''}`.toLowerCase();
+  return DEFAULT_PHASES.findIndex((phase) => phase.keywords.some((keyword) => text.includes(keyword)));
+}
+
+/**
+ * Tasks ordered so every task comes after the tasks it depends on (ties by sort_order).
+ * Anything left in a cycle is appended in sort_order so a bad row can't stall the whole schedule.
+ */
+function topologicalOrder(tasks, dependencies) {
+  const bySortOrder = [...tasks].sort((a, b) => a.sort_order - b.sort_order);
+  const pending = new Map(bySortOrder.map((t) => [t.id, 0]));
+  for (const dep of dependencies) {
+    if (pending.has(dep.task_id) && pending.has(dep.depends_on_task_id)) {
+      pending.set(dep.task_id, pending.get(dep.task_id) + 1);
+    }
+  }
+
+  const ordered = [];
+  const placed = new Set();
+  let progress = true;
+  while (progress) {
+    progress = false;
+    for (const task of bySortOrder) {
+      if (placed.has(task.id) || pending.get(task.id) > 0) continue;
+      ordered.push(task);
+      placed.add(task.id);
+      progress = true;
+      for (const dep of dependencies) {
+        if (dep.depends_on_task_id === task.id && pending.has(dep.task_id)) {
+          pending.set(dep.task_id, pending.get(dep.task_id) - 1);
+        }
+      }
+      break;
+    }
+  }
+  return [...ordered, ...bySortOrder.filter((t) => !placed.has(t.id))];
+}
+
+/**
+ * Work out planned and forecast dates for every task.
+ * A task that hasn't started and has dependencies starts the day after its latest predecessor finishes (plus lag);
+ * one without dependencies keeps its own planned start. Started tasks keep their planned dates (that's the baseline
+ * the actuals are compared to) but successors follow their actual dates, and a task still running past its planned
+ * length is forecast to finish today at the earliest, so everything after it slips with it. Likewise a task that
+ * should already have started but hasn't is forecast to start today; its planned dates stay as they were.
+ * @param {Array} tasks - project_schedule_tasks rows
+ * @param {Array} dependencies - project_schedule_dependencies rows
+ * @param {string} [today] - YYYY-MM-DD
+ * @returns {Map<string, Object>} task id -> { planned_start, planned_end, forecast_start, forecast_end }
+ */
+export function computeSchedule(tasks, dependencies, today = todayString()) {
+  const predecessors = new Map(tasks.map((t) => [t.id, []]));
+  for (const dep of dependencies) predecessors.get(dep.task_id)?.push(dep);
+
+  const result = new Map();
+  const started = new Set();
+  for (const task of topologicalOrder(tasks, dependencies)) {
+    const duration = Math.max(1, task.duration_days || 1);
+
+    if (task.actual_start) {
+      started.add(task.id);
+      const expectedEnd = addDays(task.actual_start, duration - 1);
+      result.set(task.id, {
+        planned_start: task.planned_start,
+        planned_end: task.planned_end,
+        forecast_start: task.actual_start,
+        forecast_end: task.actual_end || laterOf(expectedEnd, today),
+      });
+      continue;
+    }
+
+    // The plan follows started predecessors' forecasts and the others' plans; the forecast follows forecasts only
+    let start = null;
+    let forecastStart = null;
+    const deps = predecessors.get(task.id) || [];
+    for (const dep of deps) {
+      const before = result.get(dep.depends_on_task_id);
+      if (!before) continue;
+      const lag = 1 + (dep.lag_days || 0);
+      const plannedFinish = started.has(dep.depends_on_task_id) ? before.forecast_end : before.planned_end;
+      if (plannedFinish) start = laterOf(start, addDays(plannedFinish, lag));
+      if (before.forecast_end) forecastStart = laterOf(forecastStart, addDays(before.forecast_end, lag));
+    }
+    // With no scheduled predecessor the task keeps whatever start it was given
+    if (!start) start = task.planned_start || null;
+    if (!forecastStart) forecastStart = start;
+    if (forecastStart) forecastStart = laterOf(forecastStart, today);
+    result.set(task.id, {
+      planned_start: start,
+      planned_end: start ? addDays(start, duration - 1) : null,
+      forecast_start: forecastStart,
+      forecast_end: forecastStart ? addDays(forecastStart, duration - 1) : null,
+    });
+  }
+  return result;
+}
+
+/**
+ * Whether making taskId depend on predecessorIds would close a loop
+ * @param {Array} dependencies - Existing project_schedule_dependencies rows (taskId's own rows are ignored)
+ * @param {string} taskId
+ * @param {string[]} predecessorIds
+ * @returns {boolean}
+ */
+export function createsCycle(dependencies, taskId, predecessorIds) {
+  const edges = new Map();
+  for (const dep of dependencies) {
+    if (dep.task_id === taskId) continue;
+    if (!edges.has(dep.task_id)) edges.set(dep.task_id, []);
+    edges.get(dep.task_id).push(dep.depends_on_task_id);
+  }
+
+  const seen = new Set();
+  const stack = [...predecessorIds];
+  while (stack.length) {
+    const id = stack.pop();
+    if (id === taskId) return true;
+    if (seen.has(id)) continue;
+    seen.add(id);
+    stack.push(...(edges.get(id) || []));
+  }
+  return false;
+}
+
+/**
+ * Project row if it belongs to the company and isn't in the Trash
+ * @returns {Promise<Object|null>}
+ */
+async function findProject(companyID, projectId) {
+  const { data, error } = await supabase
+    .from('projects')
+    .select('id, project_name, status, schedule_extension_days')
+    .eq('id', projectId)
+    .eq('company_id', companyID)
+    .is('deleted_at', null)
+    .maybeSingle();
+  if (error) throw new Error(error.message);
+  return data;
+}
+
+/**
+ * A project's tasks (with assignee and fee) and the dependencies between them
+ * @returns {Promise<Object>} { tasks, dependencies }
+ */
+async function loadTasks(companyID, projectId) {
+  const { data: tasks, error } = await supabase
+    .from('project_schedule_tasks')
+    .select(TASK_SELECT)
+    .eq('company_id', companyID)
+    .eq('project_id', projectId)
+    .order('sort_order', { ascending: true })
+    .order('created_at', { ascending: true });
+  if (error) throw new Error(error.message);
+
+  const ids = (tasks || []).map((t) => t.id);
+  if (ids.length === 0) return { tasks: [], dependencies: [] };
+
+  const { data: dependencies, error: depError } = await supabase
+    .from('project_schedule_dependencies')
+    .select('task_id, depends_on_task_id, lag_days')
+    .eq('company_id', companyID)
+    .in('task_id', ids);
+  if (depError) throw new Error(depError.message);
+
+  return { tasks: tasks || [], dependencies: dependencies || [] };
+}
+
+/**
+ * Write recomputed planned dates for every task whose dates moved
+ * @param {string} companyID
+ * @param {string} projectId
+ * @returns {Promise<number>} How many tasks were moved
+ */
+export async function rescheduleProject(companyID, projectId) {
+  const { tasks, dependencies } = await loadTasks(companyID, projectId);
+  const computed = computeSchedule(tasks, dependencies);
+
+  const moved = tasks.filter((task) => {
+    const dates = computed.get(task.id);
+    return dates && (dates.planned_start !== task.planned_start || dates.planned_end !== task.planned_end);
+  });
+
+  const now = new Date().toISOString();
+  await Promise.all(moved.map(async (task) => {
+    const { planned_start, planned_end } = computed.get(task.id);
+    const { error } = await supabase
+      .from('project_schedule_tasks')
+      .update({ planned_start, planned_end, updated_at: now })
+      .eq('id', task.id);
+    if (error) throw new Error(error.message);
+  }));
+
+  return moved.length;
+}
+
+/**
+ * Keep a linked subcontractor fee's status in step with its task
+ */
+async function syncFeeStatus(task) {
+  if (!task.subcontractor_fee_id) return;
+  const status = FEE_STATUS_BY_TASK_STATUS[taskStatus(task)];
+  if (task.fee?.status === status) return;
+
+  const { error } = await supabase
+    .from('project_subcontractor_fees')
+    .update({ status })
+    .eq('id', task.subcontractor_fee_id);
+  if (error) throw new Error(error.message);
+}
+
+/**
+ * Check the ids a task points at: its fee is on this project and not already scheduled, and the subcontractor,
+ * employee and predecessor tasks belong to the company/project. A subcontractor being assigned goes through the same
+ * COI check as adding them to the project's expenses.
+ * @returns {Promise<Object>} { error, status, coi } when something is wrong, otherwise { fee, coiWarning }
+ */
+async function validateReferences(companyID, projectId, taskId, { subcontractorFeeId, subcontractorId, employeeId, predecessorIds }) {
+  let fee = null;
+  if (subcontractorFeeId) {
+    const { data, error } = await supabase
+      .from('project_subcontractor_fees')
+      .select('id, subcontractor_id, project_schedule_tasks (id)')
+      .eq('id', subcontractorFeeId)
+      .eq('project_id', projectId)
+      .maybeSingle();
+    if (error) throw new Error(error.message);
+    if (!data) return { error: 'Subcontractor fee not found on this project', status: 400 };
+    if ((data.project_schedule_tasks || []).some((t) => t.id !== taskId)) {
+      return { error: 'That subcontractor fee is already on the schedule', status: 409 };
+    }
+    fee = data;
+  }
+
+  let coiWarning = null;
+  if (subcontractorId) {
+    const coiCheck = await checkAssignment(companyID, subcontractorId);
+    if (!coiCheck) return { error: 'Subcontractor not found', status: 400 };
+    if (coiCheck.blocked) return { error: coiCheck.warning, status: 409, coi: coiCheck.coi };
+    coiWarning = coiCheck.warning;
+  }
+
+  if (employeeId) {
+    const { data, error } = await supabase
+      .from('employees')
+      .select('id')
+      .eq('id', employeeId)
+      .eq('company_id', companyID)
+      .maybeSingle();
+    if (error) throw new Error(error.message);
+    if (!data) return { error: 'Employee not found', status: 400 };
+  }
+
+  if (predecessorIds?.length) {
+    if (predecessorIds.includes(taskId)) return { error: 'A task cannot depend on itself', status: 400 };
+    const { data, error } = await supabase
+      .from('project_schedule_tasks')
+      .select('id')
+      .eq('company_id', companyID)
+      .eq('project_id', projectId)
+      .in('id', predecessorIds);
+    if (error) throw new Error(error.message);
+    if ((data || []).length !== new Set(predecessorIds).size) {
+      return { error: 'Dependencies must be tasks on this project', status: 400 };
+    }
+  }
+
+  return { fee, coiWarning };
+}
+
+/**
+ * Replace a task's dependencies
+ */
+async function saveDependencies(companyID, taskId, dependsOn) {
+  const { error: deleteError } = await supabase
+    .from('project_schedule_dependencies')
+    .delete()
+    .eq('task_id', taskId);
+  if (deleteError) throw new Error(deleteError.message);
+
+  if (!dependsOn.length) return;
+  const { error } = await supabase
+    .from('project_schedule_dependencies')
+    .insert(dependsOn.map((dep) => ({
+      task_id: taskId,
+      depends_on_task_id: dep.task_id,
+      company_id: companyID,
+      lag_days: parseInt(dep.lag_days, 10) || 0,
+    })));
+  if (error) throw new Error(error.message);
+}
+
+// Collapse repeated predecessors, keeping the last lag given
+const normalizeDependsOn = (dependsOn) => [
+  ...new Map((dependsOn || []).map((dep) => [dep.task_id, dep])).values(),
+];
+
+/**
+ * The project's schedule: tasks in display order with status, dependencies, forecast and slip, the subcontractor
+ * fees not yet on the schedule, and overall start/finish
+ * @param {string} companyID
+ * @param {string} projectId
+ * @returns {Promise<Object|null>} { project, tasks, unscheduledFees, summary } or null when not found
+ */
+export async function getSchedule(companyID, projectId) {
+  const project = await findProject(companyID, projectId);
+  if (!project) return null;
+
+  const [{ tasks, dependencies }, { data: fees, error: feesError }] = await Promise.all([
+    loadTasks(companyID, projectId),
+    supabase
+      .from('project_subcontractor_fees')
+      .select('id, job_description, status, subcontractor_id, subcontractors (id, name)')
+      .eq('project_id', projectId)
+      .order('date_added', { ascending: true }),
+  ]);
+  if (feesError) throw new Error(feesError.message);
+
+  const computed = computeSchedule(tasks, dependencies);
+  const shaped = tasks.map(({ subcontractor, employee, fee, ...task }) => {
+    const dates = computed.get(task.id) || {};
+    return {
+      ...task,
+      status: taskStatus(task),
+      subcontractor_name: subcontractor?.name || null,
+      employee_name: employee?.name || null,
+      fee_description: fee?.job_description || null,
+      depends_on: dependencies
+        .filter((dep) => dep.task_id === task.id)
+        .map((dep) => ({ task_id: dep.depends_on_task_id, lag_days: dep.lag_days })),
+      forecast_start: dates.forecast_start || null,
+      forecast_end: dates.forecast_end || null,
+      // Positive when the task is finishing later than planned
+      slip_days: dates.forecast_end && task.planned_end ? daysBetween(task.planned_end, dates.forecast_end) : 0,
+    };
+  });
+
+  const scheduledFeeIds = new Set(tasks.map((t) => t.subcontractor_fee_id).filter(Boolean));
+  const starts = shaped.map((t) => t.planned_start).filter(Boolean).sort();
+  const plannedEnds = shaped.map((t) => t.planned_end).filter(Boolean).sort();
+  const forecastEnds = shaped.map((t) => t.forecast_end).filter(Boolean).sort();
+  const plannedEnd = plannedEnds[plannedEnds.length - 1] || null;
+  const forecastEnd = forecastEnds[forecastEnds.length - 1] || null;
+
+  return {
+    project,
+    tasks: shaped,
+    unscheduledFees: (fees || []).filter((fee) => !scheduledFeeIds.has(fee.id)),
+    summary: {
+      start: starts[0] || null,
+      planned_end: plannedEnd,
+      forecast_end: forecastEnd,
+      slip_days: plannedEnd && forecastEnd ? daysBetween(plannedEnd, forecastEnd) : 0,
+      completed: shaped.filter((t) => t.status === 'complete').length,
+      total: shaped.length,
+    },
+  };
+}
+
+/**
+ * One task row (plain columns) for audit diffs
+ * @returns {Promise<Object|null>}
+ */
+async function getTask(companyID, projectId, taskId) {
+  const { data, error } = await supabase
+    .from('project_schedule_tasks')
+    .select(TASK_SELECT)
+    .eq('id', taskId)
+    .eq('company_id', companyID)
+    .eq('project_id', projectId)
+    .maybeSingle();
+  if (error) throw new Error(error.message);
+  return data;
+}
+
+const auditFields = (task) => {
+  if (!task) return null;
+  const { subcontractor, employee, fee, ...rest } = task;
+  return rest;
+};
+
+/**
+ * Build the schedule from the project's subcontractor fees: one task per fee not yet scheduled, placed in the
+ * usual pool build order and chained finish-to-start after the existing tasks. A project with no tasks and no
+ * fees gets the standard phases.
+ * @param {Object} params
+ * @param {string} params.companyID
+ * @param {string} params.projectId
+ * @param {string} [params.startDate] - First task's start when the schedule is empty (defaults to today)
+ * @param {string} [params.employeeId] - Who generated it
+ * @returns {Promise<Object|null>} { created, moved }, { error, status }, or null when the project isn't found
+ */
+export async function generateSchedule({ companyID, projectId, startDate, employeeId }) {
+  const project = await findProject(companyID, projectId);
+  if (!project) return null;
+
+  const [{ tasks, dependencies }, { data: fees, error: feesError }] = await Promise.all([
+    loadTasks(companyID, projectId),
+    supabase
+      .from('project_subcontractor_fees')
+      .select('id, job_description, subcontractor_id, date_added, created_at, subcontractors (name)')
+      .eq('project_id', projectId)
+      .order('date_added', { ascending: true })
+      .order('created_at', { ascending: true }),
+  ]);
+  if (feesError) throw new Error(feesError.message);
+
+  const scheduledFeeIds = new Set(tasks.map((t) => t.subcontractor_fee_id).filter(Boolean));
+  const newFees = (fees || []).filter((fee) => !scheduledFeeIds.has(fee.id));
+
+  let drafts;
+  if (newFees.length > 0) {
+    // Phase order first; fees that match no phase keep the order they were added in, after the others
+    drafts = newFees
+      .map((fee, index) => ({ fee, index, phase: matchPhase(fee) }))
+      .sort((a, b) => (a.phase < 0 ? 99 : a.phase) - (b.phase < 0 ? 99 : b.phase) || a.index - b.index)
+      .map(({ fee, phase }) => ({
+        name: fee.job_description || fee.subcontractors?.name || 'Subcontractor work',
+        duration_days: phase >= 0 ? DEFAULT_PHASES[phase].durationDays : DEFAULT_DURATION_DAYS,
+        lag_days: phase >= 0 ? DEFAULT_PHASES[phase].lagDays : 0,
+        subcontractor_fee_id: fee.id,
+        subcontractor_id: fee.subcontractor_id || null,
+      }));
+  } else if (tasks.length === 0) {
+    drafts = DEFAULT_PHASES.map((phase) => ({
+      name: phase.name,
+      duration_days: phase.durationDays,
+      lag_days: phase.lagDays,
+      subcontractor_fee_id: null,
+      subcontractor_id: null,
+    }));
+  } else {
+    return { error: 'Every subcontractor fee on this project is already scheduled', status: 400 };
+  }
+
+  // New tasks follow the task that currently finishes last
+  const computed = computeSchedule(tasks, dependencies);
+  let previousId = null;
+  let latestEnd = null;
+  for (const task of tasks) {
+    const end = computed.get(task.id)?.forecast_end;
+    if (end && (!latestEnd || end >= latestEnd)) {
+      latestEnd = end;
+      previousId = task.id;
+    }
+  }
+  if (!previousId && tasks.length > 0) previousId = tasks[tasks.length - 1].id;
+
+  const firstStart = startDate || todayString();
+  let sortOrder = tasks.reduce((max, t) => Math.max(max, t.sort_order), -1) + 1;
+  const created = [];
+  for (const { lag_days, ...draft } of drafts) {
+    const { data, error } = await supabase
+      .from('project_schedule_tasks')
+      .insert({
+        ...draft,
+        company_id: companyID,
+        project_id: projectId,
+        sort_order: sortOrder++,
+        planned_start: previousId ? null : firstStart,
+        created_by: employeeId || null,
+      })
+      .select('id, name, subcontractor_fee_id')
+      .single();
+    if (error) throw new Error(error.message);
+
+    if (previousId) {
+      await saveDependencies(companyID, data.id, [{ task_id: previousId, lag_days }]);
+    }
+    created.push(data);
+    previousId = data.id;
+  }
+
+  const moved = await rescheduleProject(companyID, projectId);
+  return { created, moved };
+}
+
+/**
+ * Add a task. Without dependencies it starts on plannedStart (today when not given).
+ * @param {Object} params
+ * @param {string} params.companyID
+ * @param {string} params.projectId
+ * @param {string} params.name
+ * @param {number} params.durationDays
+ * @param {string} [params.plannedStart]
+ * @param {string} [params.subcontractorFeeId] - Also assigns the fee's subcontractor unless one is given
+ * @param {string} [params.subcontractorId]
+ * @param {string} [params.employeeId] - Assigned employee
+ * @param {string} [params.notes]
+ * @param {Array} [params.dependsOn] - [{ task_id, lag_days }]
+ * @param {string} [params.createdBy] - Employee id
+ * @returns {Promise<Object|null>} { task, moved, coiWarning }, { error, status }, or null when the project isn't found
+ */
+export async function createTask({ companyID, projectId, name, durationDays, plannedStart, subcontractorFeeId, subcontractorId, employeeId, notes, dependsOn, createdBy }) {
+  const project = await findProject(companyID, projectId);
+  if (!project) return null;
+
+  const deps = normalizeDependsOn(dependsOn);
+  const check = await validateReferences(companyID, projectId, null, {
+    subcontractorFeeId,
+    subcontractorId,
+    employeeId,
+    predecessorIds: deps.map((dep) => dep.task_id),
+  });
+  if (check.error) return check;
+
+  const { data: last, error: lastError } = await supabase
+    .from('project_schedule_tasks')
+    .select('sort_order')
+    .eq('project_id', projectId)
+    .order('sort_order', { ascending: false })
+    .limit(1)
+    .maybeSingle();
+  if (lastError) throw new Error(lastError.message);
+
+  const { data, error } = await supabase
+    .from('project_schedule_tasks')
+    .insert({
+      company_id: companyID,
+      project_id: projectId,
+      name: name.trim(),
+      sort_order: (last?.sort_order ?? -1) + 1,
+      duration_days: parseInt(durationDays, 10) || 1,
+      planned_start: plannedStart || (deps.length ? null : todayString()),
+      subcontractor_fee_id: subcontractorFeeId || null,
+      subcontractor_id: subcontractorId || check.fee?.subcontractor_id || null,
+      employee_id: employeeId || null,
+      notes: notes || null,
+      created_by: createdBy || null,
+    })
+    .select('id')
+    .single();
+  if (error) throw new Error(error.message);
+
+  await saveDependencies(companyID, data.id, deps);
+  const moved = await rescheduleProject(companyID, projectId);
+  return { task: auditFields(await getTask(companyID, projectId, data.id)), moved, coiWarning: check.coiWarning };
+}
+
+/**
+ * Change a task. Only the fields given are touched; dependsOn replaces the task's dependencies.
+ * Dependent tasks are rescheduled, and a linked subcontractor fee follows the task's status.
+ * @param {string} companyID
+ * @param {string} projectId
+ * @param {string} taskId
+ * @param {Object} fields - name, durationDays, plannedStart, actualStart, actualEnd, subcontractorFeeId,
+ *   subcontractorId, employeeId, notes, dependsOn
+ * @returns {Promise<Object|null>} { before, after, moved, coiWarning }, { error, status }, or null when not found
+ */
+export async function updateTask(companyID, projectId, taskId, fields) {
+  const before = await getTask(companyID, projectId, taskId);
+  if (!before) return null;
+
+  const { name, durationDays, plannedStart, actualStart, actualEnd, subcontractorFeeId, subcontractorId, employeeId, notes, dependsOn } = fields;
+  const deps = dependsOn !== undefined ? normalizeDependsOn(dependsOn) : undefined;
+
+  const check = await validateReferences(companyID, projectId, taskId, {
+    subcontractorFeeId: subcontractorFeeId || null,
+    // Only a newly assigned subcontractor is checked; one already on the task keeps its place
+    subcontractorId: subcontractorId && subcontractorId !== before.subcontractor_id ? subcontractorId : null,
+    employeeId: employeeId || null,
+    predecessorIds: deps?.map((dep) => dep.task_id),
+  });
+  if (check.error) return check;
+
+  if (deps?.length) {
+    const { dependencies } = await loadTasks(companyID, projectId);
+    if (createsCycle(dependencies, taskId, deps.map((dep) => dep.task_id))) {
+      return { error: 'Those dependencies would make the schedule loop back on itself', status: 400 };
+    }
+  }
+
+  const nextActualStart = actualStart !== undefined ? actualStart || null : before.actual_start;
+  const nextActualEnd = actualEnd !== undefined ? actualEnd || null : before.actual_end;
+  if (nextActualEnd && !nextActualStart) {
+    return { error: 'Record the actual start before the actual finish', status: 400 };
+  }
+  if (nextActualEnd && nextActualEnd < nextActualStart) {
+    return { error: 'Actual finish cannot be before the actual start', status: 400 };
+  }
+
+  const update = { updated_at: new Date().toISOString() };
+  if (name !== undefined) update.name = name.trim();
+  if (durationDays !== undefined) update.duration_days = parseInt(durationDays, 10) || 1;
+  if (plannedStart !== undefined) update.planned_start = plannedStart || null;
+  if (actualStart !== undefined) update.actual_start = nextActualStart;
+  if (actualEnd !== undefined) update.actual_end = nextActualEnd;
+  if (subcontractorFeeId !== undefined) {
+    update.subcontractor_fee_id = subcontractorFeeId || null;
+    if (subcontractorFeeId && subcontractorId === undefined && !before.subcontractor_id) {
+      update.subcontractor_id = check.fee?.subcontractor_id || null;
+    }
+  }
+  if (subcontractorId !== undefined) update.subcontractor_id = subcontractorId || null;
+  if (employeeId !== undefined) update.employee_id = employeeId || null;
+  if (notes !== undefined) update.notes = notes || null;
+
+  const { error } = await supabase
+    .from('project_schedule_tasks')
+    .update(update)
+    .eq('id', taskId)
+    .eq('company_id', companyID);
+  if (error) throw new Error(error.message);
+
+  if (deps !== undefined) await saveDependencies(companyID, taskId, deps);
+  const moved = await rescheduleProject(companyID, projectId);
+
+  const after = await getTask(companyID, projectId, taskId);
+  if (actualStart !== undefined || actualEnd !== undefined || subcontractorFeeId !== undefined) {
+    await syncFeeStatus(after);
+  }
+
+  return { before: auditFields(before), after: auditFields(after), moved, coiWarning: check.coiWarning };
+}
+
+/**
+ * Remove a task. Tasks that depended only on it keep their current dates.
+ * @returns {Promise<Object|null>} { task, moved } or null when not found
+ */
+export async function deleteTask(companyID, projectId, taskId) {
+  const task = await getTask(companyID, projectId, taskId);
+  if (!task) return null;
+
+  const { error } = await supabase
+    .from('project_schedule_tasks')
+    .delete()
+    .eq('id', taskId)
+    .eq('company_id', companyID);
+  if (error) throw new Error(error.message);
+
+  const moved = await rescheduleProject(companyID, projectId);
+  return { task: auditFields(task), moved };
+}
+
+export default {
+  DEFAULT_PHASES,
+  addDays,
+  daysBetween,
+  taskStatus,
+  matchPhase,
+  computeSchedule,
+  createsCycle,
+  rescheduleProject,
+  getSchedule,
+  generateSchedule,
+  createTask,
+  updateTask,
+  deleteTask,
+};
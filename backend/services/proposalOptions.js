@@ -0,0 +1,340 @@
+import dotenv from 'dotenv';
+import { fileURLToPath } from 'url';
+import { dirname, join } from 'path';
+import { createClient } from '@supabase/supabase-js';
+import { recalculateContractTotals } from './changeOrders.js';
+import { findBilledMilestoneIds, saveMilestoneSchedule } from './invoices.js';
+
+const __filename = fileURLToPath(import.meta.url);
+const __dirname = dirname(__filename);
+
+// Load .env from root directory (two levels up from backend/services/)
+dotenv.config({ path: join(__dirname, '..', '..', '.env') });
+
+const supabaseUrl = process.env.SUPABASE_URL;
+const supabaseServiceKey = process.env.SUPABASE_SERVICE_ROLE_KEY;
+
+const supabase = createClient(supabaseUrl || '', supabaseServiceKey || '');
+
+// Options print side by side in the proposal, so keep them to what fits across a page
+export const MAX_OPTIONS = 4;
+
+const OPTION_SELECT = 'id, project_id, name, description, milestones, scope_of_work, sort_order, created_at, updated_at';
+
+const roundTo2 = (n) => Math.round(Number(n) * 100) / 100;
+
+// Stored JSON shapes: milestones [{ name, customer_price }], scope_of_work [{ title, description }]
+const cleanMilestones = (milestones) => (milestones || [])
+  .filter((m) => m && String(m.name || '').trim())
+  .map((m) => ({ name: String(m.name).trim(), customer_price: roundTo2(Math.max(0, Number(m.customer_price) || 0)) }));
+const cleanScope = (items) => (items || [])
+  .filter((item) => item && String(item.title || '').trim())
+  .map((item) => ({ title: String(item.title).trim(), description: item.description ? String(item.description) : '' }));
+
+const withPrice = (option) => ({
+  ...option,
+  price: roundTo2((option.milestones || []).reduce((sum, m) => sum + (Number(m.customer_price) || 0), 0)),
+});
+
+const isSigned = (doc) => doc.esign_status === 'completed' || doc.esign_status === 'signed' || doc.status === 'signed';
+
+async function getOption(companyID, optionId) {
+  const { data, error } = await supabase
+    .from('proposal_options')
+    .select(OPTION_SELECT)
+    .eq('id', optionId)
+    .eq('company_id', companyID)
+    .maybeSingle();
+  if (error) throw new Error(error.message);
+  return data ? withPrice(data) : null;
+}
+
+/**
+ * A project's proposal options in print order, each with its price (sum of its milestones)
+ * @param {string} companyID
+ * @param {string} projectId
+ * @returns {Promise<Array|null>} Options, or null when the project doesn't exist
+ */
+export async function listOptions(companyID, projectId) {
+  const [{ data: project, error: projectError }, { data, error }] = await Promise.all([
+    supabase
+      .from('projects')
+      .select('id')
+      .eq('id', projectId)
+      .eq('company_id', companyID)
+      .maybeSingle(),
+    supabase
+      .from('proposal_options')
+      .select(OPTION_SELECT)
+      .eq('company_id', companyID)
+      .eq('project_id', projectId)
+      .order('sort_order', { ascending: true })
+      .order('created_at', { ascending: true }),
+  ]);
+  if (projectError) throw new Error(projectError.message);
+  if (error) throw new Error(error.message);
+  if (!project) return null;
+  return (data || []).map(withPrice);
+}
+
+/**
+ * Options as the proposal PDF prints them (see buildContractDocDefinition)
+ * @param {string} companyID
+ * @param {string} projectId
+ * @returns {Promise<Array>} [{ name, description, price, milestones, scopeOfWork }]
+ */
+export async function getOptionsForDocument(companyID, projectId) {
+  const options = await listOptions(companyID, projectId);
+  return (options || []).map((option) => ({
+    name: option.name,
+    description: option.description || '',
+    price: option.price,
+    milestones: option.milestones || [],
+    scopeOfWork: option.scope_of_work || [],
+  }));
+}
+
+/**
+ * Add an option package to a project's proposal
+ * @param {string} companyID
+ * @param {string} projectId
+ * @param {Object} fields - { name, description?, milestones?, scope_of_work? }
+ * @returns {Promise<Object|null>} The option, { error, status } when the project already has MAX_OPTIONS, or null
+ * when the project doesn't exist
+ */
+export async function createOption(companyID, projectId, { name, description, milestones, scope_of_work }) {
+  const existing = await listOptions(companyID, projectId);
+  if (!existing) return null;
+  if (existing.length >= MAX_OPTIONS) {
+    return { error: `A proposal can have at most ${MAX_OPTIONS} options`, status: 400 };
+  }
+
+  const { data, error } = await supabase
+    .from('proposal_options')
+    .insert([{
+      company_id: companyID,
+      project_id: projectId,
+      name: name.trim(),
+      description: description || null,
+      milestones: cleanMilestones(milestones),
+      scope_of_work: cleanScope(scope_of_work),
+      sort_order: existing.length ? Math.max(...existing.map((o) => o.sort_order ?? 0)) + 1 : 0,
+    }])
+    .select(OPTION_SELECT)
+    .single();
+  if (error) throw new Error(error.message);
+  return withPrice(data);
+}
+
+/**
+ * Edit an option's name, description, milestones, scope or position
+ * @param {string} companyID
+ * @param {string} optionId
+ * @param {Object} fields - { name?, description?, milestones?, scope_of_work?, sort_order? }
+ * @returns {Promise<Object|null>} { before, after }, or null when not found
+ */
+export async function updateOption(companyID, optionId, fields) {
+  const before = await getOption(companyID, optionId);
+  if (!before) return null;
+
+  const updates = {};
+  if (fields.name !== undefined) updates.name = fields.name.trim();
+  if (fields.description !== undefined) updates.description = fields.description || null;
+  if (fields.milestones !== undefined) updates.milestones = cleanMilestones(fields.milestones);
+  if (fields.scope_of_work !== undefined) updates.scope_of_work = cleanScope(fields.scope_of_work);
+  if (fields.sort_order !== undefined) updates.sort_order = fields.sort_order;
+
+  const { data, error } = await supabase
+    .from('proposal_options')
+    .update({ ...updates, updated_at: new Date().toISOString() })
+    .eq('id', optionId)
+    .eq('company_id', companyID)
+    .select(OPTION_SELECT)
+    .single();
+  if (error) throw new Error(error.message);
+  return { before, after: withPrice(data) };
+}
+
+/**
+ * Delete an option; proposals that recorded it as the customer's choice lose the selection
+ * @param {string} companyID
+ * @param {string} optionId
+ * @returns {Promise<Object|null>} The deleted option, or null when not found
+ */
+export async function deleteOption(companyID, optionId) {
+  const option = await getOption(companyID, optionId);
+  if (!option) return null;
+
+  const { error } = await supabase
+    .from('proposal_options')
+    .delete()
+    .eq('id', optionId)
+    .eq('company_id', companyID);
+  if (error) throw new Error(error.message);
+  return option;
+}
+
+/**
+ * Carry a signed proposal's chosen option into the contract: its milestones and scope replace the project's
+ * contract milestones and scope, and its price becomes the original contract price. Runs once per proposal.
+ * @param {string} documentId - Proposal project_documents id
+ * @returns {Promise<Object|null>} { companyID, projectId, documentId, option, before, after }, or null when the
+ * proposal isn't signed, has no selection or was already carried over
+ */
+export async function applySelectedOption(documentId) {
+  const { data: doc, error } = await supabase
+    .from('project_documents')
+    .select('id, company_id, project_id, document_type, status, esign_status, selected_option_id, option_applied_at')
+    .eq('id', documentId)
+    .maybeSingle();
+  if (error) throw new Error(error.message);
+  if (!doc || doc.document_type !== 'proposal' || !doc.selected_option_id || doc.option_applied_at || !isSigned(doc)) {
+    return null;
+  }
+
+  const { company_id: companyID, project_id: projectId } = doc;
+  const option = await getOption(companyID, doc.selected_option_id);
+  if (!option) return null;
+
+  // Claim the carry-over so a webhook and a status check running together don't both apply it
+  const { data: claimed, error: claimError } = await supabase
+    .from('project_documents')
+    .update({ option_applied_at: new Date().toISOString() })
+    .eq('id', documentId)
+    .is('option_applied_at', null)
+    .select('id');
+  if (claimError) throw new Error(claimError.message);
+  if (!claimed?.length) return null;
+
+  // Anything failing after the claim releases it, so the next webhook or status check can carry it over again
+  try {
+    // Contract draws already on an invoice stay as they are (ahead of the option's) so they can't be billed twice
+    const { data: contractMilestones, error: contractError } = await supabase
+      .from('milestones')
+      .select('*')
+      .eq('project_id', projectId)
+      .eq('company_id', companyID)
+      .eq('document_type', 'contract')
+      .order('sort_order', { ascending: true });
+    if (contractError) throw new Error(contractError.message);
+    const billed = await findBilledMilestoneIds(companyID, (contractMilestones || []).map((m) => m.id));
+
+    const schedule = await saveMilestoneSchedule(companyID, projectId, 'contract', [
+      ...(contractMilestones || [])
+        .filter((m) => billed.has(m.id))
+        .map(({ company_id, project_id, document_type, sort_order, created_at, updated_at, ...m }) => m),
+      ...(option.milestones || []).map((m) => ({
+        name: m.name,
+        milestone_type: 'custom',
+        cost: 0,
+        customer_price: m.customer_price,
+        flat_price: m.customer_price,
+        markup_percent: 0,
+      })),
+    ]);
+    if (schedule.error) throw new Error(schedule.error);
+    const previousMilestones = schedule.previous;
+
+    const { error: scopeDeleteError } = await supabase
+      .from('scope_of_work')
+      .delete()
+      .eq('project_id', projectId)
+      .eq('company_id', companyID)
+      .eq('document_type', 'contract');
+    if (scopeDeleteError) throw new Error(scopeDeleteError.message);
+
+    const scope = option.scope_of_work || [];
+    if (scope.length > 0) {
+      const { error: scopeInsertError } = await supabase
+        .from('scope_of_work')
+        .insert(scope.map((item, index) => ({
+          company_id: companyID,
+          project_id: projectId,
+          title: item.title,
+          description: item.description || null,
+          sort_order: index,
+          document_type: 'contract',
+          parent_id: null,
+        })));
+      if (scopeInsertError) throw new Error(scopeInsertError.message);
+    }
+
+    const contract = await recalculateContractTotals(companyID, projectId, option.price);
+
+    const summarize = (rows) => (rows || [])
+      .slice()
+      .sort((a, b) => (a.sort_order ?? 0) - (b.sort_order ?? 0))
+      .map(({ name, customer_price }) => ({ name, customer_price }));
+    return {
+      companyID,
+      projectId,
+      documentId,
+      option,
+      before: { milestones: summarize(previousMilestones) },
+      after: { milestones: summarize(schedule.saved), customer_price: contract.currentContractPrice },
+    };
+  } catch (err) {
+    const { error: releaseError } = await supabase
+      .from('project_documents')
+      .update({ option_applied_at: null })
+      .eq('id', documentId);
+    if (releaseError) console.error('Failed to release proposal option carry-over:', releaseError.message);
+    throw err;
+  }
+}
+
+/**
+ * Record which option the customer chose on a proposal. If the proposal is already signed the choice is carried
+ * into the contract right away; otherwise it is when the signature completes.
+ * @param {string} companyID
+ * @param {string} documentId - Proposal project_documents id
+ * @param {string|null} optionId - null clears the selection
+ * @returns {Promise<Object|null>} { before, after, applied }, { error, status } for an option from another project
+ * or a selection that was already carried over, or null when the proposal doesn't exist
+ */
+export async function selectOption(companyID, documentId, optionId) {
+  const { data: doc, error } = await supabase
+    .from('project_documents')
+    .select('id, project_id, document_type, selected_option_id, option_applied_at')
+    .eq('id', documentId)
+    .eq('company_id', companyID)
+    .is('deleted_at', null)
+    .maybeSingle();
+  if (error) throw new Error(error.message);
+  if (!doc || doc.document_type !== 'proposal') return null;
+  if (doc.option_applied_at) {
+    return { error: 'The chosen option was already carried into the contract', status: 409 };
+  }
+
+  if (optionId) {
+    const option = await getOption(companyID, optionId);
+    if (!option || option.project_id !== doc.project_id) return { error: 'Option not found', status: 404 };
+  }
+
+  const { data: after, error: updateError } = await supabase
+    .from('project_documents')
+    .update({ selected_option_id: optionId || null })
+    .eq('id', documentId)
+    .eq('company_id', companyID)
+    .select('id, project_id, selected_option_id, option_applied_at')
+    .single();
+  if (updateError) throw new Error(updateError.message);
+
+  const applied = optionId ? await applySelectedOption(documentId) : null;
+  return {
+    before: { selected_option_id: doc.selected_option_id },
+    after: { selected_option_id: after.selected_option_id },
+    applied,
+  };
+}
+
+export default {
+  MAX_OPTIONS,
+  listOptions,
+  getOptionsForDocument,
+  createOption,
+  updateOption,
+  deleteOption,
+  applySelectedOption,
+  selectOption,
+};
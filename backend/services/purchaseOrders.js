@@ -0,0 +1,536 @@
+import dotenv from 'dotenv';
+import { fileURLToPath } from 'url';
+import { dirname, join } from 'path';
+import { createClient } from '@supabase/supabase-js';
+import { recordMovement, syncProjectAllocation, ALLOCATING_TABLES } from './inventoryLedger.js';
+
+const __filename = fileURLToPath(import.meta.url);
+const __dirname = dirname(__filename);
+
+// Load .env from root directory (two levels up from backend/services/)
+dotenv.config({ path: join(__dirname, '..', '..', '.env') });
+
+const supabaseUrl = process.env.SUPABASE_URL;
+const supabaseServiceKey = process.env.SUPABASE_SERVICE_ROLE_KEY;
+
+const supabase = createClient(supabaseUrl || '', supabaseServiceKey || '');
+
+export const PO_STATUSES = ['draft', 'sent', 'partially_received', 'received', 'cancelled'];
+
+// Status changes made by hand; partially_received and received follow from receiving lines
+export const STATUS_TRANSITIONS = {
+  draft: ['sent', 'cancelled'],
+  sent: ['draft', 'cancelled'],
+  partially_received: [],
+  received: [],
+  cancelled: ['draft'],
+};
+
+// Statuses whose lines can still be received
+const RECEIVABLE_STATUSES = ['sent', 'partially_received'];
+
+// Concurrent creates can race for the same number; the unique index rejects the loser, which retries
+const MAX_NUMBER_ATTEMPTS = 5;
+const UNIQUE_VIOLATION = '23505';
+
+const roundTo2 = (n) => Math.round(Number(n) * 100) / 100;
+const toNumber = (value) => parseFloat(value || 0) || 0;
+const today = () => new Date().toISOString().split('T')[0];
+
+// Project line columns read when ordering and receiving
+const SOURCE_SELECT = {
+  project_materials: 'id, project_id, inventory_id, quantity, expected_price, actual_price, date_ordered, date_received, inventory (name, unit, unit_price, preferred_supplier_id)',
+  project_equipment: 'id, project_id, inventory_id, name, quantity, expected_price, actual_price, date_ordered, date_received, status, inventory (name, unit, unit_price, preferred_supplier_id)',
+};
+
+const PO_SELECT = `
+  *,
+  supplier:supplier_id (id, name, contact_name, phone, email, address, account_number),
+  lines:purchase_order_lines (*, project:project_id (project_name, address)),
+  creator:created_by (name)
+`;
+
+const shapePurchaseOrder = ({ lines, creator, ...po }) => ({
+  ...po,
+  total: toNumber(po.total),
+  created_by_name: creator?.name || null,
+  lines: (lines || [])
+    .slice()
+    .sort((a, b) => (a.sort_order ?? 0) - (b.sort_order ?? 0))
+    .map(({ project, ...line }) => ({
+      ...line,
+      quantity: toNumber(line.quantity),
+      unit_cost: toNumber(line.unit_cost),
+      line_total: toNumber(line.line_total),
+      quantity_received: toNumber(line.quantity_received),
+      actual_price: line.actual_price == null ? null : toNumber(line.actual_price),
+      project_name: project ? project.project_name || project.address || null : null,
+    })),
+});
+
+// Plain columns only, for audit diffs
+export const auditFields = (po) => {
+  if (!po) return null;
+  const { supplier, lines, created_by_name, ...rest } = po;
+  return { ...rest, line_count: lines?.length || 0 };
+};
+
+/**
+ * Ordered quantity and cost for a project line: its expected price spread over its quantity, or the inventory
+ * item's unit price when no expected price was entered
+ * @param {Object} row - project_materials or project_equipment row with inventory
+ * @param {string} sourceTable
+ * @returns {Object} { description, unit, quantity, unit_cost, line_total }
+ */
+export function lineFromSource(row, sourceTable) {
+  const quantity = toNumber(row.quantity) || (sourceTable === 'project_equipment' ? 1 : 0);
+  const expected = row.expected_price == null ? null : toNumber(row.expected_price);
+  const unitCost = expected != null && quantity > 0 ? roundTo2(expected / quantity) : toNumber(row.inventory?.unit_price);
+  return {
+    description: row.inventory?.name || row.name || 'Item',
+    unit: row.inventory?.unit || (sourceTable === 'project_equipment' ? 'unit' : null),
+    quantity,
+    unit_cost: unitCost,
+    line_total: expected != null ? roundTo2(expected) : roundTo2(quantity * unitCost),
+  };
+}
+
+/**
+ * Status that follows from how much of each line has been received
+ * @param {Array} lines
+ * @returns {'sent'|'partially_received'|'received'}
+ */
+export function getReceivingStatus(lines) {
+  const received = lines.filter((line) => toNumber(line.quantity_received) > 0);
+  if (!received.length) return 'sent';
+  return lines.every((line) => toNumber(line.quantity_received) >= toNumber(line.quantity)) ? 'received' : 'partially_received';
+}
+
+/**
+ * Keys (`table:id`) of project lines already on a purchase order that isn't cancelled
+ * @param {string} companyID
+ * @param {string[]} sourceIds
+ * @returns {Promise<Set<string>>}
+ */
+async function findOrderedSourceKeys(companyID, sourceIds) {
+  if (!sourceIds.length) return new Set();
+  const { data, error } = await supabase
+    .from('purchase_order_lines')
+    .select('source_table, source_id, purchase_orders!inner (status)')
+    .eq('company_id', companyID)
+    .in('source_id', sourceIds)
+    .neq('purchase_orders.status', 'cancelled');
+  if (error) throw new Error(error.message);
+  return new Set((data || []).map((row) => `${row.source_table}:${row.source_id}`));
+}
+
+/**
+ * Project lines of one table, scoped to the company through their project
+ * @param {string} companyID
+ * @param {string} sourceTable
+ * @param {Object} filter - { projectId } or { ids }
+ * @returns {Promise<Array>}
+ */
+async function fetchSourceRows(companyID, sourceTable, { projectId, ids }) {
+  let query = supabase
+    .from(sourceTable)
+    .select(`${SOURCE_SELECT[sourceTable]}, projects!inner (company_id, project_name, address, deleted_at)`)
+    .eq('projects.company_id', companyID)
+    .is('projects.deleted_at', null);
+  if (projectId) query = query.eq('project_id', projectId);
+  if (ids) query = query.in('id', ids);
+  const { data, error } = await query;
+  if (error) throw new Error(error.message);
+  return data || [];
+}
+
+/**
+ * A project's material and equipment lines that can go on a purchase order: not yet received and not on an order
+ * that's still open
+ * @param {string} companyID
+ * @param {string} projectId
+ * @returns {Promise<Array>} [{ source_table, source_id, project_id, inventory_id, description, unit, quantity,
+ * unit_cost, line_total, preferred_supplier_id }]
+ */
+export async function listOrderableLines(companyID, projectId) {
+  const rowsByTable = await Promise.all(ALLOCATING_TABLES.map((table) => fetchSourceRows(companyID, table, { projectId })));
+  const ordered = await findOrderedSourceKeys(companyID, rowsByTable.flat().map((row) => row.id));
+
+  return ALLOCATING_TABLES.flatMap((table, index) => rowsByTable[index]
+    .filter((row) => !row.date_received && !ordered.has(`${table}:${row.id}`))
+    .map((row) => ({
+      source_table: table,
+      source_id: row.id,
+      project_id: row.project_id,
+      inventory_id: row.inventory_id,
+      ...lineFromSource(row, table),
+      preferred_supplier_id: row.inventory?.preferred_supplier_id || null,
+    })));
+}
+
+/**
+ * Insert a purchase order under the company's next PO number
+ * @param {Object} row - purchase_orders row without po_number
+ * @returns {Promise<Object>} Inserted row
+ */
+async function insertWithNextNumber(row) {
+  const { data: company, error: companyError } = await supabase
+    .from('companies')
+    .select('next_po_number')
+    .eq('company_id', row.company_id)
+    .single();
+  if (companyError) throw new Error(companyError.message);
+
+  let number = company.next_po_number || 1;
+  for (let attempt = 0; attempt < MAX_NUMBER_ATTEMPTS; attempt++, number++) {
+    const { data, error } = await supabase
+      .from('purchase_orders')
+      .insert({ ...row, po_number: number })
+      .select()
+      .single();
+
+    if (error?.code === UNIQUE_VIOLATION) continue;
+    if (error) throw new Error(error.message);
+
+    // Only ever move the counter forward (another order may already have pushed it further)
+    const { error: counterError } = await supabase
+      .from('companies')
+      .update({ next_po_number: number + 1 })
+      .eq('company_id', row.company_id)
+      .lt('next_po_number', number + 1);
+    if (counterError) {
+      console.warn('PO counter update failed (non-fatal):', counterError.message);
+    }
+    return data;
+  }
+  throw new Error('Could not allocate a PO number');
+}
+
+/**
+ * Create draft purchase orders from project lines, one per supplier
+ * @param {Object} options
+ * @param {string} options.companyID
+ * @param {Array} options.lines - [{ source_table, source_id, supplier_id }]
+ * @param {string} [options.orderDate] - YYYY-MM-DD, defaults to today
+ * @param {string} [options.expectedDate] - YYYY-MM-DD
+ * @param {string} [options.notes]
+ * @param {string|null} [options.employeeId]
+ * @returns {Promise<Object>} { purchaseOrders }, or { error, status } when a line or supplier can't be used
+ */
+export async function createPurchaseOrders({ companyID, lines, orderDate, expectedDate, notes, employeeId }) {
+  const requested = new Map();
+  for (const line of lines || []) requested.set(`${line.source_table}:${line.source_id}`, line);
+  if (!requested.size) return { error: 'Choose at least one line to order', status: 400 };
+
+  const supplierIds = [...new Set([...requested.values()].map((line) => line.supplier_id))];
+  const { data: suppliers, error: suppliersError } = await supabase
+    .from('suppliers')
+    .select('id')
+    .eq('company_id', companyID)
+    .in('id', supplierIds);
+  if (suppliersError) throw new Error(suppliersError.message);
+  if ((suppliers || []).length !== supplierIds.length) return { error: 'Supplier not found', status: 404 };
+
+  const sources = new Map();
+  for (const table of ALLOCATING_TABLES) {
+    const ids = [...requested.values()].filter((line) => line.source_table === table).map((line) => line.source_id);
+    if (!ids.length) continue;
+    for (const row of await fetchSourceRows(companyID, table, { ids })) sources.set(`${table}:${row.id}`, row);
+  }
+  if (sources.size !== requested.size) return { error: 'One or more project lines were not found', status: 400 };
+
+  const received = [...sources.values()].filter((row) => row.date_received);
+  if (received.length) return { error: 'One or more lines have already been received', status: 409 };
+  const ordered = await findOrderedSourceKeys(companyID, [...sources.values()].map((row) => row.id));
+  if ([...requested.keys()].some((key) => ordered.has(key))) {
+    return { error: 'One or more lines are already on an open purchase order', status: 409 };
+  }
+
+  // One order per supplier, lines in the order they were chosen
+  const bySupplier = new Map();
+  for (const [key, line] of requested) {
+    const row = sources.get(key);
+    const orderLine = {
+      company_id: companyID,
+      source_table: line.source_table,
+      source_id: row.id,
+      project_id: row.project_id,
+      inventory_id: row.inventory_id,
+      ...lineFromSource(row, line.source_table),
+    };
+    if (orderLine.quantity <= 0) return { error: `${orderLine.description} has no quantity to order`, status: 400 };
+    if (!bySupplier.has(line.supplier_id)) bySupplier.set(line.supplier_id, []);
+    bySupplier.get(line.supplier_id).push(orderLine);
+  }
+
+  const purchaseOrders = [];
+  for (const [supplierId, orderLines] of bySupplier) {
+    const po = await insertWithNextNumber({
+      company_id: companyID,
+      supplier_id: supplierId,
+      status: 'draft',
+      order_date: orderDate || today(),
+      expected_date: expectedDate || null,
+      total: roundTo2(orderLines.reduce((sum, line) => sum + line.line_total, 0)),
+      notes: notes || null,
+      created_by: employeeId || null,
+    });
+
+    const { error: linesError } = await supabase
+      .from('purchase_order_lines')
+      .insert(orderLines.map((line, index) => ({ ...line, purchase_order_id: po.id, sort_order: index })));
+    if (linesError) {
+      // Don't leave an empty order behind (its number is simply skipped)
+      await supabase.from('purchase_orders').delete().eq('id', po.id);
+      throw new Error(linesError.message);
+    }
+    purchaseOrders.push(await getPurchaseOrder(companyID, po.id));
+  }
+
+  return { purchaseOrders };
+}
+
+/**
+ * One purchase order with its supplier and lines
+ * @param {string} companyID
+ * @param {string} purchaseOrderId
+ * @returns {Promise<Object|null>}
+ */
+export async function getPurchaseOrder(companyID, purchaseOrderId) {
+  const { data, error } = await supabase
+    .from('purchase_orders')
+    .select(PO_SELECT)
+    .eq('id', purchaseOrderId)
+    .eq('company_id', companyID)
+    .maybeSingle();
+  if (error) throw new Error(error.message);
+  return data ? shapePurchaseOrder(data) : null;
+}
+
+/**
+ * Purchase orders, newest number first
+ * @param {string} companyID
+ * @param {Object} [filters]
+ * @param {string} [filters.status]
+ * @param {string} [filters.supplierId]
+ * @param {string} [filters.projectId] - Orders with at least one line for the project
+ * @returns {Promise<Array>}
+ */
+export async function listPurchaseOrders(companyID, { status, supplierId, projectId } = {}) {
+  let query = supabase
+    .from('purchase_orders')
+    .select(PO_SELECT)
+    .eq('company_id', companyID)
+    .order('po_number', { ascending: false });
+  if (status) query = query.eq('status', status);
+  if (supplierId) query = query.eq('supplier_id', supplierId);
+  if (projectId) {
+    const { data: projectLines, error: linesError } = await supabase
+      .from('purchase_order_lines')
+      .select('purchase_order_id')
+      .eq('company_id', companyID)
+      .eq('project_id', projectId);
+    if (linesError) throw new Error(linesError.message);
+    const ids = [...new Set((projectLines || []).map((line) => line.purchase_order_id))];
+    if (!ids.length) return [];
+    query = query.in('id', ids);
+  }
+
+  const { data, error } = await query;
+  if (error) throw new Error(error.message);
+  return (data || []).map(shapePurchaseOrder);
+}
+
+/**
+ * Change a purchase order's expected date or notes
+ * @param {string} companyID
+ * @param {string} purchaseOrderId
+ * @param {Object} fields - { expected_date?, notes? }
+ * @returns {Promise<Object|null>} { before, after }, or null when not found
+ */
+export async function updatePurchaseOrder(companyID, purchaseOrderId, fields) {
+  const before = await getPurchaseOrder(companyID, purchaseOrderId);
+  if (!before) return null;
+
+  const updates = { updated_at: new Date().toISOString() };
+  if (fields.expected_date !== undefined) updates.expected_date = fields.expected_date || null;
+  if (fields.notes !== undefined) updates.notes = fields.notes || null;
+
+  const { error } = await supabase
+    .from('purchase_orders')
+    .update(updates)
+    .eq('id', purchaseOrderId)
+    .eq('company_id', companyID);
+  if (error) throw new Error(error.message);
+  return { before, after: await getPurchaseOrder(companyID, purchaseOrderId) };
+}
+
+/**
+ * Mark a purchase order sent, back to draft, or cancelled. Sending stamps the order date as date_ordered on project
+ * lines that don't have one, and moves pending equipment to ordered.
+ * @param {string} companyID
+ * @param {string} purchaseOrderId
+ * @param {string} status - draft, sent or cancelled
+ * @returns {Promise<Object|null>} { before, after }, { error, status }, or null when not found
+ */
+export async function setPurchaseOrderStatus(companyID, purchaseOrderId, status) {
+  const before = await getPurchaseOrder(companyID, purchaseOrderId);
+  if (!before) return null;
+  if (!(STATUS_TRANSITIONS[before.status] || []).includes(status)) {
+    return { error: `A ${before.status.replace('_', ' ')} purchase order can't be marked ${status}`, status: 409 };
+  }
+
+  if (status === 'draft' && before.status === 'cancelled') {
+    // Reopening must not put a project line on two open orders
+    const ordered = await findOrderedSourceKeys(companyID, before.lines.map((line) => line.source_id).filter(Boolean));
+    if (before.lines.some((line) => ordered.has(`${line.source_table}:${line.source_id}`))) {
+      return { error: 'Some of these lines have been ordered again since this order was cancelled', status: 409 };
+    }
+  }
+
+  const now = new Date().toISOString();
+  const { error } = await supabase
+    .from('purchase_orders')
+    .update({ status, sent_at: status === 'sent' ? now : before.sent_at, updated_at: now })
+    .eq('id', purchaseOrderId)
+    .eq('company_id', companyID);
+  if (error) throw new Error(error.message);
+
+  if (status === 'sent') {
+    for (const table of ALLOCATING_TABLES) {
+      const ids = before.lines.filter((line) => line.source_table === table && line.source_id).map((line) => line.source_id);
+      if (!ids.length) continue;
+      const { error: orderedError } = await supabase
+        .from(table)
+        .update({ date_ordered: before.order_date })
+        .in('id', ids)
+        .is('date_ordered', null);
+      if (orderedError) throw new Error(orderedError.message);
+      if (table === 'project_equipment') {
+        const { error: statusError } = await supabase
+          .from(table)
+          .update({ status: 'ordered' })
+          .in('id', ids)
+          .eq('status', 'pending');
+        if (statusError) throw new Error(statusError.message);
+      }
+    }
+  }
+
+  return { before, after: await getPurchaseOrder(companyID, purchaseOrderId) };
+}
+
+/**
+ * Receive quantities against a sent purchase order's lines. Received stock with an inventory item is booked into
+ * the inventory ledger; a line received in full stamps date_received and actual_price on its project line (which
+ * allocates the stock to the project). The order moves to partially received or received.
+ * @param {Object} options
+ * @param {string} options.companyID
+ * @param {string} options.purchaseOrderId
+ * @param {Array} options.lines - [{ line_id, quantity, actual_price? }]; actual_price is the line's final cost,
+ * defaulting to its ordered total
+ * @param {string} [options.receivedOn] - YYYY-MM-DD, defaults to today
+ * @param {string|null} [options.employeeId]
+ * @returns {Promise<Object|null>} { before, after }, { error, status }, or null when not found
+ */
+export async function receiveLines({ companyID, purchaseOrderId, lines, receivedOn, employeeId }) {
+  const before = await getPurchaseOrder(companyID, purchaseOrderId);
+  if (!before) return null;
+  if (!RECEIVABLE_STATUSES.includes(before.status)) {
+    return { error: 'Only a sent purchase order can be received', status: 409 };
+  }
+
+  const linesById = new Map(before.lines.map((line) => [line.id, line]));
+  // Each receipt is checked against what its line has left, so a line may only appear once
+  const seen = new Set();
+  for (const receipt of lines) {
+    const line = linesById.get(receipt.line_id);
+    if (!line) return { error: 'Purchase order line not found', status: 400 };
+    if (seen.has(line.id)) return { error: `${line.description} is listed more than once`, status: 400 };
+    seen.add(line.id);
+    if (roundTo2(line.quantity_received + toNumber(receipt.quantity)) > line.quantity) {
+      return { error: `Only ${roundTo2(line.quantity - line.quantity_received)} of ${line.description} left to receive`, status: 400 };
+    }
+  }
+
+  const date = receivedOn || today();
+  for (const receipt of lines) {
+    const line = linesById.get(receipt.line_id);
+    const quantity = roundTo2(toNumber(receipt.quantity));
+    if (quantity <= 0) continue;
+    const quantityReceived = roundTo2(line.quantity_received + quantity);
+    const complete = quantityReceived >= line.quantity;
+    const actualPrice = receipt.actual_price == null || receipt.actual_price === ''
+      ? line.actual_price ?? line.line_total
+      : roundTo2(receipt.actual_price);
+
+    const { error: lineError } = await supabase
+      .from('purchase_order_lines')
+      .update({
+        quantity_received: quantityReceived,
+        received_on: complete ? date : line.received_on,
+        actual_price: complete ? actualPrice : line.actual_price,
+      })
+      .eq('id', line.id)
+      .eq('company_id', companyID);
+    if (lineError) throw new Error(lineError.message);
+
+    if (line.inventory_id) {
+      await recordMovement({
+        companyID,
+        inventoryId: line.inventory_id,
+        movementType: 'receipt',
+        quantity,
+        projectId: line.project_id,
+        note: `PO #${before.po_number}`,
+        employeeId,
+      });
+    }
+
+    if (complete && line.source_id) {
+      const updates = { date_received: date, actual_price: actualPrice };
+      if (line.source_table === 'project_equipment') updates.status = 'received';
+      const { data: row, error: sourceError } = await supabase
+        .from(line.source_table)
+        .update(updates)
+        .eq('id', line.source_id)
+        .select('id, project_id, inventory_id, quantity, date_received')
+        .maybeSingle();
+      if (sourceError) throw new Error(sourceError.message);
+      if (row) {
+        await syncProjectAllocation({ companyID, sourceTable: line.source_table, sourceId: row.id, row, employeeId });
+      }
+    }
+  }
+
+  const { data: refreshed, error: refreshError } = await supabase
+    .from('purchase_order_lines')
+    .select('quantity, quantity_received')
+    .eq('purchase_order_id', purchaseOrderId);
+  if (refreshError) throw new Error(refreshError.message);
+
+  const status = getReceivingStatus(refreshed || []);
+  const { error } = await supabase
+    .from('purchase_orders')
+    .update({ status, received_at: status === 'received' ? new Date().toISOString() : null, updated_at: new Date().toISOString() })
+    .eq('id', purchaseOrderId)
+    .eq('company_id', companyID);
+  if (error) throw new Error(error.message);
+
+  return { before, after: await getPurchaseOrder(companyID, purchaseOrderId) };
+}
+
+export default {
+  PO_STATUSES,
+  STATUS_TRANSITIONS,
+  auditFields,
+  lineFromSource,
+  getReceivingStatus,
+  listOrderableLines,
+  createPurchaseOrders,
+  getPurchaseOrder,
+  listPurchaseOrders,
+  updatePurchaseOrder,
+  setPurchaseOrderStatus,
+  receiveLines,
+};
@@ -0,0 +1,475 @@
+import dotenv from 'dotenv';
+import { fileURLToPath } from 'url';
+import { dirname, join } from 'path';
+import { createClient } from '@supabase/supabase-js';
+import { fetchAllRows } from './projectFinancials.js';
+import * as smsService from './infobip.js';
+import * as emailService from './email.js';
+
+const __filename = fileURLToPath(import.meta.url);
+const __dirname = dirname(__filename);
+
+// Load .env from root directory (two levels up from backend/services/)
+dotenv.config({ path: join(__dirname, '..', '..', '.env') });
+
+const supabaseUrl = process.env.SUPABASE_URL;
+const supabaseServiceKey = process.env.SUPABASE_SERVICE_ROLE_KEY;
+
+const supabase = createClient(supabaseUrl || '', supabaseServiceKey || '');
+
+// Aging buckets by days past the due date (current = not yet due)
+export const AGING_BUCKETS = [
+  { key: 'current', label: 'Current', maxDays: 0 },
+  { key: 'days_1_30', label: '1-30 days', maxDays: 30 },
+  { key: 'days_31_60', label: '31-60 days', maxDays: 60 },
+  { key: 'days_61_90', label: '61-90 days', maxDays: 90 },
+  { key: 'over_90', label: '90+ days', maxDays: Infinity },
+];
+
+export const REMINDER_CHANNELS = ['sms', 'email'];
+export const DEFAULT_REMINDER_INTERVAL_DAYS = 7;
+export const MIN_REMINDER_INTERVAL_DAYS = 1;
+export const MAX_REMINDER_INTERVAL_DAYS = 90;
+
+const DAY_MS = 24 * 60 * 60 * 1000;
+const OPEN_STATUSES = ['open', 'partial'];
+// Scheduled reminders are only sent between these local hours (start inclusive, end exclusive)
+const REMINDER_SEND_HOURS = { start: 9, end: 20 };
+const DEFAULT_TIME_ZONE = 'America/New_York';
+
+const roundTo2 = (n) => Math.round(Number(n) * 100) / 100;
+const toNumber = (value) => parseFloat(value || 0) || 0;
+const customerName = (c) => [c?.first_name, c?.last_name].filter(Boolean).join(' ');
+const formatMoney = (value) => `$${value.toLocaleString('en-US', { minimumFractionDigits: 2, maximumFractionDigits: 2 })}`;
+const formatDay = (isoDate) => new Date(`${isoDate}T00:00:00Z`).toLocaleDateString('en-US', { month: 'short', day: 'numeric', year: 'numeric', timeZone: 'UTC' });
+
+/**
+ * Whole days an invoice is past due (0 or negative when not yet due)
+ * @param {string|null} dueDate - YYYY-MM-DD
+ * @param {Date} [asOf]
+ * @returns {number}
+ */
+export function daysOverdue(dueDate, asOf = new Date()) {
+  if (!dueDate) return 0;
+  const today = Date.UTC(asOf.getUTCFullYear(), asOf.getUTCMonth(), asOf.getUTCDate());
+  return Math.floor((today - new Date(`${dueDate}T00:00:00Z`).getTime()) / DAY_MS);
+}
+
+/**
+ * Aging bucket key for a number of days overdue
+ * @param {number} days
+ * @returns {string}
+ */
+export function bucketFor(days) {
+  return AGING_BUCKETS.find((bucket) => days <= bucket.maxDays).key;
+}
+
+const emptyBuckets = () => Object.fromEntries([...AGING_BUCKETS.map((b) => [b.key, 0]), ['total', 0]]);
+
+const addToBuckets = (buckets, key, amount) => {
+  buckets[key] = roundTo2(buckets[key] + amount);
+  buckets.total = roundTo2(buckets.total + amount);
+};
+
+const OPEN_INVOICE_SELECT = `
+  id, invoice_number, invoice_date, due_date, total, amount_paid, status, last_reminder_at,
+  projects!inner (
+    id, project_name, address, deleted_at,
+    customers (id, first_name, last_name, email, phone, reminder_sms_opt_out, reminder_email_opt_out, deleted_at)
+  )
+`;
+
+/**
+ * Unpaid invoices on projects that aren't in the Trash
+ * @param {string} companyID
+ * @returns {Promise<Array>}
+ */
+async function fetchOpenInvoices(companyID) {
+  return fetchAllRows(() => supabase
+    .from('invoices')
+    .select(OPEN_INVOICE_SELECT)
+    .eq('company_id', companyID)
+    .in('status', OPEN_STATUSES)
+    .is('projects.deleted_at', null)
+    .order('due_date', { ascending: true })
+    .order('id', { ascending: true }));
+}
+
+/**
+ * Accounts receivable aging: unpaid balances per customer and project, bucketed by days past due
+ * @param {string} companyID
+ * @param {Date} [asOf]
+ * @returns {Promise<Object>} { asOf, buckets, totals, customers: [{ ..., buckets, projects: [{ ..., buckets, invoices }] }] }
+ */
+export async function getAgingReport(companyID, asOf = new Date()) {
+  const invoices = await fetchOpenInvoices(companyID);
+
+  const totals = emptyBuckets();
+  const customers = new Map();
+
+  for (const invoice of invoices) {
+    const project = invoice.projects;
+    const customer = project.customers && !project.customers.deleted_at ? project.customers : null;
+    const balance = roundTo2(toNumber(invoice.total) - toNumber(invoice.amount_paid));
+    if (balance <= 0) continue;
+
+    const overdue = daysOverdue(invoice.due_date || invoice.invoice_date, asOf);
+    const bucket = bucketFor(overdue);
+
+    const customerKey = customer?.id || 'none';
+    if (!customers.has(customerKey)) {
+      customers.set(customerKey, {
+        customer_id: customer?.id || null,
+        name: customer ? customerName(customer) || customer.email || 'Customer' : 'No customer',
+        email: customer?.email || null,
+        phone: customer?.phone || null,
+        reminder_sms_opt_out: !!customer?.reminder_sms_opt_out,
+        reminder_email_opt_out: !!customer?.reminder_email_opt_out,
+        buckets: emptyBuckets(),
+        projects: new Map(),
+      });
+    }
+    const customerRow = customers.get(customerKey);
+
+    if (!customerRow.projects.has(project.id)) {
+      customerRow.projects.set(project.id, {
+        project_id: project.id,
+        name: project.project_name || project.address || 'Project',
+        buckets: emptyBuckets(),
+        invoices: [],
+      });
+    }
+    const projectRow = customerRow.projects.get(project.id);
+
+    addToBuckets(totals, bucket, balance);
+    addToBuckets(customerRow.buckets, bucket, balance);
+    addToBuckets(projectRow.buckets, bucket, balance);
+    projectRow.invoices.push({
+      id: invoice.id,
+      invoice_number: invoice.invoice_number,
+      invoice_date: invoice.invoice_date,
+      due_date: invoice.due_date,
+      status: invoice.status,
+      balance_due: balance,
+      days_overdue: Math.max(0, overdue),
+      bucket,
+      last_reminder_at: invoice.last_reminder_at,
+    });
+  }
+
+  return {
+    asOf: asOf.toISOString(),
+    buckets: AGING_BUCKETS.map(({ key, label }) => ({ key, label })),
+    totals,
+    customers: [...customers.values()]
+      .map((c) => ({ ...c, projects: [...c.projects.values()].sort((a, b) => b.buckets.total - a.buckets.total) }))
+      .sort((a, b) => b.buckets.total - a.buckets.total),
+  };
+}
+
+const clampInterval = (days) => Math.min(
+  Math.max(parseInt(days, 10) || DEFAULT_REMINDER_INTERVAL_DAYS, MIN_REMINDER_INTERVAL_DAYS),
+  MAX_REMINDER_INTERVAL_DAYS
+);
+
+/**
+ * Reminder settings for a company, and which channels the server can actually send on
+ * @param {string} companyID
+ * @returns {Promise<Object>} { enabled, intervalDays, smsConfigured, emailConfigured }
+ */
+export async function getReminderSettings(companyID) {
+  const { data, error } = await supabase
+    .from('companies')
+    .select('payment_reminders_enabled, payment_reminder_interval_days, payment_reminder_time_zone')
+    .eq('company_id', companyID)
+    .single();
+
+  if (error) throw new Error(error.message);
+  return {
+    enabled: !!data.payment_reminders_enabled,
+    intervalDays: clampInterval(data.payment_reminder_interval_days),
+    timeZone: data.payment_reminder_time_zone || DEFAULT_TIME_ZONE,
+    smsConfigured: smsService.isConfigured(),
+    emailConfigured: emailService.isPaymentReminderConfigured(),
+  };
+}
+
+/**
+ * Turn the scheduled reminders on or off, set how often an invoice is re-reminded and the time zone they're sent in
+ * @param {string} companyID
+ * @param {Object} settings
+ * @param {boolean} [settings.enabled]
+ * @param {number} [settings.intervalDays]
+ * @param {string} [settings.timeZone] - IANA zone name
+ * @returns {Promise<Object>} { before, after } in getReminderSettings shape
+ */
+export async function setReminderSettings(companyID, { enabled, intervalDays, timeZone }) {
+  const before = await getReminderSettings(companyID);
+  const update = {};
+  if (typeof enabled === 'boolean') update.payment_reminders_enabled = enabled;
+  if (intervalDays !== undefined) update.payment_reminder_interval_days = clampInterval(intervalDays);
+  if (timeZone) update.payment_reminder_time_zone = timeZone;
+
+  const { error } = await supabase
+    .from('companies')
+    .update(update)
+    .eq('company_id', companyID);
+
+  if (error) throw new Error(error.message);
+  return { before, after: await getReminderSettings(companyID) };
+}
+
+/**
+ * Reminder text (SMS body, and the message variable in the email template)
+ * @returns {string}
+ */
+export function buildReminderMessage({ customer, companyName, companyPhone, invoiceNumber, projectName, balance, dueDate }) {
+  const greeting = customer?.first_name ? `Hi ${customer.first_name}, ` : '';
+  const contact = companyPhone ? ` Questions? Call us at ${companyPhone}.` : '';
+  return `${greeting}this is a reminder from ${companyName || 'us'} that invoice #${invoiceNumber}${projectName ? ` for ${projectName}` : ''} ` +
+    `has a balance of ${formatMoney(balance)} that was due ${formatDay(dueDate)}.${contact} Thank you!`;
+}
+
+/**
+ * Send one invoice's reminder on every channel the customer hasn't opted out of, and log each attempt
+ * @param {Object} company - companies row (company_id, company_name, phone)
+ * @param {Object} invoice - Row from fetchOpenInvoices
+ * @param {string|null} employeeId - Staff member for manual sends, null for the scheduled job
+ * @returns {Promise<Array>} payment_reminders rows written
+ */
+async function remindInvoice(company, invoice, employeeId) {
+  const project = invoice.projects;
+  const customer = project.customers && !project.customers.deleted_at ? project.customers : null;
+  const balance = roundTo2(toNumber(invoice.total) - toNumber(invoice.amount_paid));
+  const dueDate = invoice.due_date || invoice.invoice_date;
+  const overdue = Math.max(0, daysOverdue(dueDate));
+  const projectName = project.project_name || project.address || '';
+  const message = buildReminderMessage({
+    customer,
+    companyName: company.company_name,
+    companyPhone: company.phone,
+    invoiceNumber: invoice.invoice_number,
+    projectName,
+    balance,
+    dueDate,
+  });
+
+  const attempts = [];
+
+  // SMS (same path as the Messages tab, so the reminder shows in the customer's conversation)
+  if (!customer?.phone) {
+    attempts.push({ channel: 'sms', status: 'skipped', detail: 'No phone number' });
+  } else if (customer.reminder_sms_opt_out) {
+    attempts.push({ channel: 'sms', recipient: customer.phone, status: 'skipped', detail: 'Customer opted out of SMS reminders' });
+  } else if (!smsService.isConfigured()) {
+    attempts.push({ channel: 'sms', recipient: customer.phone, status: 'skipped', detail: 'SMS service is not configured' });
+  } else {
+    try {
+      const sent = await smsService.sendSMS(customer.phone, message);
+      const { error: smsLogError } = await supabase.from('sms_messages').insert({
+        company_id: company.company_id,
+        customer_id: customer.id,
+        phone_number: customer.phone,
+        message_body: message,
+        direction: 'outbound',
+        twilio_sid: sent.sid,
+        status: sent.status,
+        is_read: true,
+      });
+      if (smsLogError) console.warn('Reminder SMS message log failed (non-fatal):', smsLogError.message);
+      attempts.push({ channel: 'sms', recipient: customer.phone, status: 'sent' });
+    } catch (err) {
+      attempts.push({ channel: 'sms', recipient: customer.phone, status: 'failed', detail: err.message });
+    }
+  }
+
+  // Email
+  if (!customer?.email) {
+    attempts.push({ channel: 'email', status: 'skipped', detail: 'No email address' });
+  } else if (customer.reminder_email_opt_out) {
+    attempts.push({ channel: 'email', recipient: customer.email, status: 'skipped', detail: 'Customer opted out of email reminders' });
+  } else {
+    const result = await emailService.sendPaymentReminder({
+      to: customer.email,
+      customerName: customerName(customer),
+      companyName: company.company_name,
+      companyPhone: company.phone,
+      invoiceNumber: invoice.invoice_number,
+      projectName,
+      balanceDue: formatMoney(balance),
+      dueDate: formatDay(dueDate),
+      daysOverdue: overdue,
+      message,
+    });
+    attempts.push({ channel: 'email', recipient: customer.email, status: result.sent ? 'sent' : 'failed', detail: result.error || null });
+  }
+
+  const { data: logged, error: logError } = await supabase
+    .from('payment_reminders')
+    .insert(attempts.map((attempt) => ({
+      company_id: company.company_id,
+      invoice_id: invoice.id,
+      customer_id: customer?.id || null,
+      channel: attempt.channel,
+      recipient: attempt.recipient || null,
+      status: attempt.status,
+      detail: attempt.detail || null,
+      message: attempt.status === 'skipped' ? null : message,
+      days_overdue: overdue,
+      balance_due: balance,
+      sent_by: employeeId || null,
+    })))
+    .select();
+  if (logError) console.error('Payment reminder log failed:', logError.message);
+
+  const { error: touchError } = await supabase
+    .from('invoices')
+    .update({ last_reminder_at: new Date().toISOString() })
+    .eq('id', invoice.id);
+  if (touchError) console.warn('Invoice last_reminder_at update failed (non-fatal):', touchError.message);
+
+  return logged || attempts;
+}
+
+/**
+ * Send a reminder for one overdue invoice now (staff action; ignores the reminder interval)
+ * @param {string} companyID
+ * @param {string} invoiceId
+ * @param {string|null} employeeId
+ * @returns {Promise<Object|null>} { reminders }, { error, status }, or null when the invoice doesn't exist
+ */
+export async function sendInvoiceReminder(companyID, invoiceId, employeeId) {
+  const [{ data: invoice, error }, { data: company, error: companyError }] = await Promise.all([
+    supabase
+      .from('invoices')
+      .select(OPEN_INVOICE_SELECT)
+      .eq('id', invoiceId)
+      .eq('company_id', companyID)
+      .is('projects.deleted_at', null)
+      .maybeSingle(),
+    supabase
+      .from('companies')
+      .select('company_id, company_name, phone')
+      .eq('company_id', companyID)
+      .single(),
+  ]);
+
+  if (error) throw new Error(error.message);
+  if (companyError) throw new Error(companyError.message);
+  if (!invoice) return null;
+  if (!OPEN_STATUSES.includes(invoice.status)) return { error: 'Only unpaid invoices can be reminded', status: 409 };
+  if (daysOverdue(invoice.due_date || invoice.invoice_date) <= 0) return { error: 'This invoice is not overdue yet', status: 409 };
+
+  return { reminders: await remindInvoice(company, invoice, employeeId) };
+}
+
+/**
+ * Whether it's currently daytime (REMINDER_SEND_HOURS) in a time zone
+ * @param {string} timeZone - IANA zone name; unknown zones fall back to DEFAULT_TIME_ZONE
+ * @param {Date} [now]
+ * @returns {boolean}
+ */
+function isWithinSendHours(timeZone, now = new Date()) {
+  let formatter;
+  try {
+    formatter = new Intl.DateTimeFormat('en-US', { timeZone: timeZone || DEFAULT_TIME_ZONE, hour: 'numeric', hourCycle: 'h23' });
+  } catch {
+    formatter = new Intl.DateTimeFormat('en-US', { timeZone: DEFAULT_TIME_ZONE, hour: 'numeric', hourCycle: 'h23' });
+  }
+  const hour = parseInt(formatter.format(now), 10);
+  return hour >= REMINDER_SEND_HOURS.start && hour < REMINDER_SEND_HOURS.end;
+}
+
+/**
+ * Remind every overdue invoice whose last reminder is older than its company's interval (run periodically by the server)
+ * Companies where it's currently outside daytime hours are skipped until a later run.
+ * Customers who can't be reached on any channel (opted out or no contact details) are left alone.
+ * @returns {Promise<number>} Number of invoices reminded
+ */
+export async function runPaymentReminders() {
+  const { data: companies, error } = await supabase
+    .from('companies')
+    .select('company_id, company_name, phone, payment_reminder_interval_days, payment_reminder_time_zone')
+    .eq('payment_reminders_enabled', true);
+
+  if (error) throw new Error(error.message);
+  let reminded = 0;
+
+  for (const company of companies || []) {
+    if (!isWithinSendHours(company.payment_reminder_time_zone)) continue;
+
+    const cutoff = Date.now() - clampInterval(company.payment_reminder_interval_days) * DAY_MS;
+    let invoices;
+    try {
+      invoices = await fetchOpenInvoices(company.company_id);
+    } catch (err) {
+      console.error(`Payment reminders: could not load invoices for ${company.company_id}:`, err.message);
+      continue;
+    }
+
+    for (const invoice of invoices) {
+      if (daysOverdue(invoice.due_date || invoice.invoice_date) <= 0) continue;
+      if (invoice.last_reminder_at && new Date(invoice.last_reminder_at).getTime() > cutoff) continue;
+
+      const customer = invoice.projects.customers;
+      if (!customer || customer.deleted_at) continue;
+      const reachableBySms = customer.phone && !customer.reminder_sms_opt_out;
+      const reachableByEmail = customer.email && !customer.reminder_email_opt_out;
+      if (!reachableBySms && !reachableByEmail) continue;
+
+      try {
+        await remindInvoice(company, invoice, null);
+        reminded++;
+      } catch (err) {
+        console.error(`Payment reminder failed for invoice ${invoice.id}:`, err.message);
+      }
+    }
+  }
+
+  return reminded;
+}
+
+/**
+ * Reminder log, newest first
+ * @param {string} companyID
+ * @param {Object} [options]
+ * @param {string} [options.invoiceId] - Only this invoice
+ * @param {number} [options.limit]
+ * @returns {Promise<Array>}
+ */
+export async function listReminders(companyID, { invoiceId, limit = 100 } = {}) {
+  let query = supabase
+    .from('payment_reminders')
+    .select('*, invoices:invoice_id (invoice_number), customers:customer_id (first_name, last_name), sender:sent_by (name)')
+    .eq('company_id', companyID)
+    .order('created_at', { ascending: false })
+    .limit(limit);
+  if (invoiceId) query = query.eq('invoice_id', invoiceId);
+
+  const { data, error } = await query;
+  if (error) throw new Error(error.message);
+  return (data || []).map(({ invoices, customers, sender, ...row }) => ({
+    ...row,
+    balance_due: row.balance_due === null ? null : toNumber(row.balance_due),
+    invoice_number: invoices?.invoice_number ?? null,
+    customer_name: customerName(customers) || null,
+    sent_by_name: sender?.name || null,
+  }));
+}
+
+export default {
+  AGING_BUCKETS,
+  REMINDER_CHANNELS,
+  DEFAULT_REMINDER_INTERVAL_DAYS,
+  MIN_REMINDER_INTERVAL_DAYS,
+  MAX_REMINDER_INTERVAL_DAYS,
+  daysOverdue,
+  bucketFor,
+  getAgingReport,
+  getReminderSettings,
+  setReminderSettings,
+  buildReminderMessage,
+  sendInvoiceReminder,
+  runPaymentReminders,
+  listReminders,
+};
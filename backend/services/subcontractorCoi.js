@@ -0,0 +1,576 @@
+import dotenv from 'dotenv';
+import { fileURLToPath } from 'url';
+import { dirname, join } from 'path';
+import { createClient } from '@supabase/supabase-js';
+import { hasFullAccess, parseUserRoles } from './permissions.js';
+import * as smsService from './infobip.js';
+import * as emailService from './email.js';
+
+const __filename = fileURLToPath(import.meta.url);
+const __dirname = dirname(__filename);
+
+// Load .env from root directory (two levels up from backend/services/)
+dotenv.config({ path: join(__dirname, '..', '..', '.env') });
+
+const supabaseUrl = process.env.SUPABASE_URL;
+const supabaseServiceKey = process.env.SUPABASE_SERVICE_ROLE_KEY;
+
+const supabase = createClient(supabaseUrl || '', supabaseServiceKey || '');
+
+// What adding an expired subcontractor to a project does (companies.coi_expired_assignment)
+export const EXPIRED_ASSIGNMENT_MODES = ['warn', 'block'];
+export const DEFAULT_ALERT_DAYS = 30;
+export const MIN_ALERT_DAYS = 1;
+export const MAX_ALERT_DAYS = 180;
+
+// Besides admins and owners, employees with these roles receive COI alerts
+const ALERT_ROLES = ['office_staff'];
+
+const DAY_MS = 24 * 60 * 60 * 1000;
+const SETTINGS_SELECT = 'coi_alerts_enabled, coi_alert_days, coi_expired_assignment';
+const RENEWAL_SELECT = '*, document:document_id (id, name, file_name, file_path, deleted_at), creator:created_by (name)';
+
+const clampAlertDays = (days) => Math.min(MAX_ALERT_DAYS, Math.max(MIN_ALERT_DAYS, parseInt(days, 10) || DEFAULT_ALERT_DAYS));
+const formatDay = (isoDate) => new Date(`${isoDate}T00:00:00Z`).toLocaleDateString('en-US', { month: 'short', day: 'numeric', year: 'numeric', timeZone: 'UTC' });
+
+/**
+ * Whole days until a COI expires (negative once expired, 0 on the expiration day)
+ * @param {string} expiration - YYYY-MM-DD
+ * @param {Date} [asOf]
+ * @returns {number}
+ */
+export function daysUntilExpiration(expiration, asOf = new Date()) {
+  const today = Date.UTC(asOf.getUTCFullYear(), asOf.getUTCMonth(), asOf.getUTCDate());
+  return Math.floor((new Date(`${String(expiration).split('T')[0]}T00:00:00Z`).getTime() - today) / DAY_MS);
+}
+
+/**
+ * Where a subcontractor's COI stands: missing, expired, expiring (within alertDays) or valid
+ * @param {string|null} expiration - subcontractors.coi_expiration
+ * @param {number} alertDays
+ * @param {Date} [asOf]
+ * @returns {Object} { status, days_until_expiration }
+ */
+export function getCoiStatus(expiration, alertDays, asOf = new Date()) {
+  if (!expiration) return { status: 'missing', days_until_expiration: null };
+  const days = daysUntilExpiration(expiration, asOf);
+  if (days < 0) return { status: 'expired', days_until_expiration: days };
+  if (days <= alertDays) return { status: 'expiring', days_until_expiration: days };
+  return { status: 'valid', days_until_expiration: days };
+}
+
+const shapeSettings = (row) => ({
+  alertsEnabled: row.coi_alerts_enabled !== false,
+  alertDays: clampAlertDays(row.coi_alert_days),
+  expiredAssignment: EXPIRED_ASSIGNMENT_MODES.includes(row.coi_expired_assignment) ? row.coi_expired_assignment : 'warn',
+});
+
+/**
+ * Company COI alert and assignment settings
+ * @param {string} companyID
+ * @returns {Promise<Object>} { alertsEnabled, alertDays, expiredAssignment, emailConfigured, smsConfigured }
+ */
+export async function getCoiSettings(companyID) {
+  const { data, error } = await supabase
+    .from('companies')
+    .select(SETTINGS_SELECT)
+    .eq('company_id', companyID)
+    .single();
+
+  if (error) throw new Error(error.message);
+  return {
+    ...shapeSettings(data),
+    emailConfigured: emailService.isCoiAlertConfigured(),
+    smsConfigured: smsService.isConfigured(),
+  };
+}
+
+/**
+ * Change the COI alert window, turn the daily alerts on or off, and choose whether expired subcontractors are blocked
+ * @param {string} companyID
+ * @param {Object} settings
+ * @param {boolean} [settings.alertsEnabled]
+ * @param {number} [settings.alertDays]
+ * @param {string} [settings.expiredAssignment] - 'warn' or 'block'
+ * @returns {Promise<Object>} { before, after } in getCoiSettings shape
+ */
+export async function setCoiSettings(companyID, { alertsEnabled, alertDays, expiredAssignment }) {
+  const before = await getCoiSettings(companyID);
+  const update = {};
+  if (typeof alertsEnabled === 'boolean') update.coi_alerts_enabled = alertsEnabled;
+  if (alertDays !== undefined) update.coi_alert_days = clampAlertDays(alertDays);
+  if (EXPIRED_ASSIGNMENT_MODES.includes(expiredAssignment)) update.coi_expired_assignment = expiredAssignment;
+
+  const { error } = await supabase
+    .from('companies')
+    .update(update)
+    .eq('company_id', companyID);
+
+  if (error) throw new Error(error.message);
+  return { before, after: await getCoiSettings(companyID) };
+}
+
+/**
+ * Subcontractors whose COI has expired or expires within the company's alert window, soonest first
+ * @param {string} companyID
+ * @returns {Promise<Object>} { settings, subcontractors: [{ id, name, coi_expiration, status, days_until_expiration, ... }] }
+ */
+export async function getCoiReport(companyID) {
+  const settings = await getCoiSettings(companyID);
+  const cutoff = new Date(Date.now() + settings.alertDays * DAY_MS).toISOString().split('T')[0];
+
+  const { data, error } = await supabase
+    .from('subcontractors')
+    .select('id, name, primary_contact_name, primary_contact_phone, primary_contact_email, coi_expiration')
+    .eq('company_id', companyID)
+    .not('coi_expiration', 'is', null)
+    .lte('coi_expiration', cutoff)
+    .order('coi_expiration', { ascending: true });
+
+  if (error) throw new Error(error.message);
+  return {
+    settings,
+    subcontractors: (data || []).map((sub) => ({ ...sub, ...getCoiStatus(sub.coi_expiration, settings.alertDays) })),
+  };
+}
+
+/**
+ * Decide whether a subcontractor may be added to a project given their COI and the company setting
+ * @param {string} companyID
+ * @param {string} subcontractorId
+ * @returns {Promise<Object|null>} { subcontractor, coi, blocked, warning } or null when the subcontractor isn't found
+ */
+export async function checkAssignment(companyID, subcontractorId) {
+  const [settings, { data: subcontractor, error }] = await Promise.all([
+    getCoiSettings(companyID),
+    supabase
+      .from('subcontractors')
+      .select('id, name, coi_expiration')
+      .eq('id', subcontractorId)
+      .eq('company_id', companyID)
+      .maybeSingle(),
+  ]);
+
+  if (error) throw new Error(error.message);
+  if (!subcontractor) return null;
+
+  const coi = getCoiStatus(subcontractor.coi_expiration, settings.alertDays);
+  if (coi.status !== 'expired') {
+    return { subcontractor, coi, blocked: false, warning: null };
+  }
+
+  const blocked = settings.expiredAssignment === 'block';
+  return {
+    subcontractor,
+    coi,
+    blocked,
+    warning: `${subcontractor.name}'s certificate of insurance expired on ${formatDay(subcontractor.coi_expiration)}` +
+      (blocked ? '. Record a renewed COI before adding them to a project.' : '.'),
+  };
+}
+
+/**
+ * Check several subcontractors at once (applying an expense template)
+ * @param {string} companyID
+ * @param {string[]} subcontractorIds
+ * @returns {Promise<Object>} { blockedIds: Set, warnings: string[] }
+ */
+export async function checkAssignments(companyID, subcontractorIds) {
+  const ids = [...new Set(subcontractorIds)];
+  if (ids.length === 0) return { blockedIds: new Set(), warnings: [] };
+
+  const [settings, { data, error }] = await Promise.all([
+    getCoiSettings(companyID),
+    supabase
+      .from('subcontractors')
+      .select('id, name, coi_expiration')
+      .eq('company_id', companyID)
+      .in('id', ids),
+  ]);
+
+  if (error) throw new Error(error.message);
+  const blockedIds = new Set();
+  const warnings = [];
+  for (const sub of data || []) {
+    if (getCoiStatus(sub.coi_expiration, settings.alertDays).status !== 'expired') continue;
+    if (settings.expiredAssignment === 'block') {
+      blockedIds.add(sub.id);
+      warnings.push(`${sub.name} was not added: certificate of insurance expired on ${formatDay(sub.coi_expiration)}`);
+    } else {
+      warnings.push(`${sub.name}'s certificate of insurance expired on ${formatDay(sub.coi_expiration)}`);
+    }
+  }
+  return { blockedIds, warnings };
+}
+
+const shapeRenewal = ({ document, creator, ...renewal }) => ({
+  ...renewal,
+  document: document && !document.deleted_at
+    ? { id: document.id, name: document.name, file_name: document.file_name, path: document.file_path }
+    : null,
+  created_by_name: creator?.name || null,
+});
+
+async function getSubcontractor(companyID, subcontractorId) {
+  const { data, error } = await supabase
+    .from('subcontractors')
+    .select('*')
+    .eq('id', subcontractorId)
+    .eq('company_id', companyID)
+    .maybeSingle();
+
+  if (error) throw new Error(error.message);
+  return data;
+}
+
+/**
+ * A subcontractor's recorded COI renewals, latest expiration first
+ * @param {string} companyID
+ * @param {string} subcontractorId
+ * @returns {Promise<Array|null>} null when the subcontractor isn't found
+ */
+export async function listRenewals(companyID, subcontractorId) {
+  const subcontractor = await getSubcontractor(companyID, subcontractorId);
+  if (!subcontractor) return null;
+
+  const { data, error } = await supabase
+    .from('subcontractor_coi_renewals')
+    .select(RENEWAL_SELECT)
+    .eq('company_id', companyID)
+    .eq('subcontractor_id', subcontractorId)
+    .order('expiration_date', { ascending: false })
+    .order('created_at', { ascending: false });
+
+  if (error) throw new Error(error.message);
+  return (data || []).map(shapeRenewal);
+}
+
+/**
+ * Record a COI renewal. When it runs past the subcontractor's current COI expiration it becomes the new one.
+ * @param {Object} options
+ * @param {string} options.companyID
+ * @param {string} options.subcontractorId
+ * @param {string} [options.documentId] - Uploaded certificate (subcontractor_documents row of this subcontractor)
+ * @param {string} [options.carrier]
+ * @param {string} [options.policyNumber]
+ * @param {string} [options.effectiveDate]
+ * @param {string} options.expirationDate
+ * @param {string} [options.notes]
+ * @param {string|null} options.employeeId
+ * @returns {Promise<Object|null>} { renewal, before, after } (subcontractor rows), { error, status }, or null when the subcontractor isn't found
+ */
+export async function addRenewal({ companyID, subcontractorId, documentId, carrier, policyNumber, effectiveDate, expirationDate, notes, employeeId }) {
+  const subcontractor = await getSubcontractor(companyID, subcontractorId);
+  if (!subcontractor) return null;
+
+  if (effectiveDate && effectiveDate > expirationDate) {
+    return { error: 'The effective date must be on or before the expiration date', status: 400 };
+  }
+
+  if (documentId) {
+    const { data: document, error: documentError } = await supabase
+      .from('subcontractor_documents')
+      .select('id')
+      .eq('id', documentId)
+      .eq('company_id', companyID)
+      .eq('subcontractor_id', subcontractorId)
+      .is('deleted_at', null)
+      .maybeSingle();
+
+    if (documentError) throw new Error(documentError.message);
+    if (!document) return { error: 'Document not found for this subcontractor', status: 400 };
+  }
+
+  const { data: renewal, error } = await supabase
+    .from('subcontractor_coi_renewals')
+    .insert({
+      company_id: companyID,
+      subcontractor_id: subcontractorId,
+      document_id: documentId || null,
+      carrier: carrier || null,
+      policy_number: policyNumber || null,
+      effective_date: effectiveDate || null,
+      expiration_date: expirationDate,
+      notes: notes || null,
+      created_by: employeeId || null,
+    })
+    .select(RENEWAL_SELECT)
+    .single();
+
+  if (error) throw new Error(error.message);
+
+  let after = subcontractor;
+  const current = subcontractor.coi_expiration ? String(subcontractor.coi_expiration).split('T')[0] : null;
+  if (!current || expirationDate > current) {
+    const { data: updated, error: updateError } = await supabase
+      .from('subcontractors')
+      .update({ coi_expiration: expirationDate, updated_at: new Date().toISOString() })
+      .eq('id', subcontractorId)
+      .eq('company_id', companyID)
+      .select()
+      .single();
+
+    if (updateError) throw new Error(updateError.message);
+    after = updated;
+  }
+
+  return { renewal: shapeRenewal(renewal), before: subcontractor, after };
+}
+
+/**
+ * Remove a COI renewal recorded by mistake. If it set the current COI expiration, the latest remaining renewal
+ * takes its place; with none left the expiration is kept.
+ * @param {string} companyID
+ * @param {string} subcontractorId
+ * @param {string} renewalId
+ * @returns {Promise<Object|null>} { renewal, before, after } or null when not found
+ */
+export async function deleteRenewal(companyID, subcontractorId, renewalId) {
+  const subcontractor = await getSubcontractor(companyID, subcontractorId);
+  if (!subcontractor) return null;
+
+  const { data: renewal, error: findError } = await supabase
+    .from('subcontractor_coi_renewals')
+    .select('*')
+    .eq('id', renewalId)
+    .eq('company_id', companyID)
+    .eq('subcontractor_id', subcontractorId)
+    .maybeSingle();
+
+  if (findError) throw new Error(findError.message);
+  if (!renewal) return null;
+
+  const { error } = await supabase
+    .from('subcontractor_coi_renewals')
+    .delete()
+    .eq('id', renewalId)
+    .eq('company_id', companyID);
+
+  if (error) throw new Error(error.message);
+
+  let after = subcontractor;
+  const current = subcontractor.coi_expiration ? String(subcontractor.coi_expiration).split('T')[0] : null;
+  if (current === renewal.expiration_date) {
+    const { data: latest, error: latestError } = await supabase
+      .from('subcontractor_coi_renewals')
+      .select('expiration_date')
+      .eq('company_id', companyID)
+      .eq('subcontractor_id', subcontractorId)
+      .order('expiration_date', { ascending: false })
+      .limit(1);
+
+    if (latestError) throw new Error(latestError.message);
+    const next = latest?.[0]?.expiration_date;
+    if (next && next !== current) {
+      const { data: updated, error: updateError } = await supabase
+        .from('subcontractors')
+        .update({ coi_expiration: next, updated_at: new Date().toISOString() })
+        .eq('id', subcontractorId)
+        .eq('company_id', companyID)
+        .select()
+        .single();
+
+      if (updateError) throw new Error(updateError.message);
+      after = updated;
+    }
+  }
+
+  return { renewal, before: subcontractor, after };
+}
+
+/**
+ * Alert text: one line per subcontractor, expired ones first
+ * @param {Array} alerts - { name, coi_expiration, stage, days_until_expiration }
+ * @returns {string}
+ */
+export function buildAlertMessage(alerts) {
+  const lines = alerts
+    .slice()
+    .sort((a, b) => a.days_until_expiration - b.days_until_expiration)
+    .map((a) => {
+      if (a.stage === 'expired') return `- ${a.name}: expired ${formatDay(a.coi_expiration)}`;
+      if (a.days_until_expiration === 0) return `- ${a.name}: expires today`;
+      return `- ${a.name}: expires ${formatDay(a.coi_expiration)} (${a.days_until_expiration} day${a.days_until_expiration === 1 ? '' : 's'})`;
+    });
+  return `Subcontractor certificates of insurance needing renewal:\n${lines.join('\n')}`;
+}
+
+/**
+ * Current employees who receive COI alerts: admins, owners and office staff
+ * @param {string} companyID
+ * @returns {Promise<Array>}
+ */
+async function getAlertRecipients(companyID) {
+  const { data, error } = await supabase
+    .from('employees')
+    .select('id, name, email_address, phone, user_type, user_role, current, sms_opt_in')
+    .eq('company_id', companyID);
+
+  if (error) throw new Error(error.message);
+  return (data || []).filter((employee) =>
+    employee.current !== false &&
+    (hasFullAccess(employee) || parseUserRoles(employee.user_role).some((role) => ALERT_ROLES.includes(role)))
+  );
+}
+
+/**
+ * Email (and text, for staff who opted in) one company's office about newly expiring or expired COIs
+ * @returns {Promise<Object>} { reached, failures }
+ */
+async function notifyOffice(company, alerts) {
+  const recipients = await getAlertRecipients(company.company_id);
+  const message = buildAlertMessage(alerts);
+  const expiredCount = alerts.filter((a) => a.stage === 'expired').length;
+  const failures = [];
+  let reached = 0;
+
+  for (const employee of recipients) {
+    let sent = false;
+
+    if (employee.email_address) {
+      const result = await emailService.sendCoiExpirationAlert({
+        to: employee.email_address,
+        employeeName: employee.name,
+        companyName: company.company_name,
+        expiredCount,
+        expiringCount: alerts.length - expiredCount,
+        message,
+      });
+      if (result.sent) sent = true;
+      else failures.push(`${employee.name} (email): ${result.error}`);
+    }
+
+    if (employee.sms_opt_in && employee.phone && smsService.isConfigured()) {
+      try {
+        await smsService.sendSMS(employee.phone, `${company.company_name || 'COI alert'}: ${message}`);
+        sent = true;
+      } catch (err) {
+        failures.push(`${employee.name} (SMS): ${err.message}`);
+      }
+    }
+
+    if (sent) reached++;
+  }
+
+  return { reached, failures };
+}
+
+/**
+ * Daily job: for each company with COI alerts on, tell the office about subcontractors whose COI entered the alert
+ * window or expired since the last run. Each certificate is alerted once as expiring and once as expired; nothing is
+ * recorded when no one could be reached, so the next run tries again.
+ * @returns {Promise<number>} Subcontractors alerted
+ */
+export async function runCoiAlerts() {
+  const { data: companies, error } = await supabase
+    .from('companies')
+    .select(`company_id, company_name, ${SETTINGS_SELECT}`)
+    .eq('coi_alerts_enabled', true);
+
+  if (error) throw new Error(error.message);
+  let alerted = 0;
+
+  for (const company of companies || []) {
+    try {
+      const { alertDays } = shapeSettings(company);
+      const cutoff = new Date(Date.now() + alertDays * DAY_MS).toISOString().split('T')[0];
+
+      const { data: subcontractors, error: subsError } = await supabase
+        .from('subcontractors')
+        .select('id, name, coi_expiration')
+        .eq('company_id', company.company_id)
+        .not('coi_expiration', 'is', null)
+        .lte('coi_expiration', cutoff);
+      if (subsError) throw new Error(subsError.message);
+      if (!subcontractors?.length) continue;
+
+      const { data: sentAlerts, error: sentError } = await supabase
+        .from('subcontractor_coi_alerts')
+        .select('subcontractor_id, coi_expiration, stage')
+        .eq('company_id', company.company_id)
+        .in('subcontractor_id', subcontractors.map((s) => s.id));
+      if (sentError) throw new Error(sentError.message);
+      const alreadySent = new Set((sentAlerts || []).map((a) => `${a.subcontractor_id}:${a.coi_expiration}:${a.stage}`));
+
+      const pending = subcontractors
+        .map((sub) => {
+          const coi = getCoiStatus(sub.coi_expiration, alertDays);
+          const coiExpiration = String(sub.coi_expiration).split('T')[0];
+          return {
+            subcontractor_id: sub.id,
+            name: sub.name,
+            coi_expiration: coiExpiration,
+            stage: coi.status,
+            days_until_expiration: coi.days_until_expiration,
+          };
+        })
+        .filter((a) => ['expiring', 'expired'].includes(a.stage))
+        .filter((a) => !alreadySent.has(`${a.subcontractor_id}:${a.coi_expiration}:${a.stage}`));
+      if (pending.length === 0) continue;
+
+      const { reached, failures } = await notifyOffice(company, pending);
+      if (reached === 0) {
+        console.warn(`COI alerts: no office staff reached for ${company.company_id}${failures.length ? ` (${failures.join('; ')})` : ''}`);
+        continue;
+      }
+
+      const { error: logError } = await supabase
+        .from('subcontractor_coi_alerts')
+        .upsert(pending.map((a) => ({
+          company_id: company.company_id,
+          subcontractor_id: a.subcontractor_id,
+          coi_expiration: a.coi_expiration,
+          stage: a.stage,
+          days_until_expiration: a.days_until_expiration,
+          recipient_count: reached,
+          detail: failures.length ? failures.join('; ') : null,
+        })), { onConflict: 'subcontractor_id,coi_expiration,stage', ignoreDuplicates: true });
+      if (logError) console.error('COI alert log failed:', logError.message);
+
+      alerted += pending.length;
+    } catch (err) {
+      console.error(`COI alerts failed for ${company.company_id}:`, err.message);
+    }
+  }
+
+  return alerted;
+}
+
+/**
+ * COI alerts sent for a subcontractor, newest first
+ * @param {string} companyID
+ * @param {string} subcontractorId
+ * @returns {Promise<Array>}
+ */
+export async function listAlerts(companyID, subcontractorId) {
+  const { data, error } = await supabase
+    .from('subcontractor_coi_alerts')
+    .select('*')
+    .eq('company_id', companyID)
+    .eq('subcontractor_id', subcontractorId)
+    .order('created_at', { ascending: false })
+    .limit(50);
+
+  if (error) throw new Error(error.message);
+  return data || [];
+}
+
+export default {
+  EXPIRED_ASSIGNMENT_MODES,
+  DEFAULT_ALERT_DAYS,
+  MIN_ALERT_DAYS,
+  MAX_ALERT_DAYS,
+  daysUntilExpiration,
+  getCoiStatus,
+  getCoiSettings,
+  setCoiSettings,
+  getCoiReport,
+  checkAssignment,
+  checkAssignments,
+  listRenewals,
+  addRenewal,
+  deleteRenewal,
+  buildAlertMessage,
+  runCoiAlerts,
+  listAlerts,
+};
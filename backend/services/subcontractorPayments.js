@@ -0,0 +1,351 @@
+import dotenv from 'dotenv';
+import { fileURLToPath } from 'url';
+import { dirname, join } from 'path';
+import { createClient } from '@supabase/supabase-js';
+import { fetchAllRows } from './projectFinancials.js';
+
+const __filename = fileURLToPath(import.meta.url);
+const __dirname = dirname(__filename);
+
+// Load .env from root directory (two levels up from backend/services/)
+dotenv.config({ path: join(__dirname, '..', '..', '.env') });
+
+const supabaseUrl = process.env.SUPABASE_URL;
+const supabaseServiceKey = process.env.SUPABASE_SERVICE_ROLE_KEY;
+
+const supabase = createClient(supabaseUrl || '', supabaseServiceKey || '');
+
+export const PAYMENT_METHODS = ['check', 'ach', 'wire', 'cash', 'card', 'other'];
+
+// Card payments are reported by the card processor on 1099-K, so they are left out of the 1099-NEC total
+const NON_REPORTABLE_METHODS = ['card'];
+
+/**
+ * Default 1099-NEC reporting threshold for a tax year ($600 through 2025, $2,000 for payments from 2026)
+ * @param {number} year
+ * @returns {number}
+ */
+export function defaultThreshold(year) {
+  return year >= 2026 ? 2000 : 600;
+}
+
+const roundTo2 = (n) => Math.round(Number(n) * 100) / 100;
+const toNumber = (value) => parseFloat(value || 0) || 0;
+
+const PAYMENT_SELECT = `
+  *,
+  conditional_waiver:conditional_waiver_document_id (id, name, file_name, deleted_at),
+  unconditional_waiver:unconditional_waiver_document_id (id, name, file_name, deleted_at),
+  creator:created_by (name)
+`;
+
+const shapeWaiver = (document) => (document && !document.deleted_at
+  ? { id: document.id, name: document.name, file_name: document.file_name }
+  : null);
+
+const shapePayment = ({ conditional_waiver, unconditional_waiver, creator, ...payment }) => ({
+  ...payment,
+  amount: toNumber(payment.amount),
+  conditional_waiver: shapeWaiver(conditional_waiver),
+  unconditional_waiver: shapeWaiver(unconditional_waiver),
+  created_by_name: creator?.name || null,
+});
+
+/**
+ * What a fee is worth for payment purposes: the actual fee once set, otherwise the expected value
+ * @param {Object} fee - project_subcontractor_fees row
+ * @returns {number}
+ */
+export function feeAmount(fee) {
+  return roundTo2(toNumber(fee.flat_fee) || toNumber(fee.expected_value));
+}
+
+/**
+ * Load a fee, checking its project belongs to the company
+ * @returns {Promise<Object|null>}
+ */
+async function getFee(companyID, projectId, feeId) {
+  const { data: project, error: projectError } = await supabase
+    .from('projects')
+    .select('id')
+    .eq('id', projectId)
+    .eq('company_id', companyID)
+    .maybeSingle();
+
+  if (projectError) throw new Error(projectError.message);
+  if (!project) return null;
+
+  const { data: fee, error } = await supabase
+    .from('project_subcontractor_fees')
+    .select('*, subcontractors (id, name)')
+    .eq('id', feeId)
+    .eq('project_id', projectId)
+    .maybeSingle();
+
+  if (error) throw new Error(error.message);
+  return fee;
+}
+
+/**
+ * Check that waiver documents belong to the subcontractor being paid
+ * @returns {Promise<string|null>} Error message, or null when every given document is valid
+ */
+async function validateWaivers(companyID, subcontractorId, documentIds) {
+  const ids = [...new Set(documentIds.filter(Boolean))];
+  if (ids.length === 0) return null;
+
+  const { data, error } = await supabase
+    .from('subcontractor_documents')
+    .select('id')
+    .eq('company_id', companyID)
+    .eq('subcontractor_id', subcontractorId)
+    .is('deleted_at', null)
+    .in('id', ids);
+
+  if (error) throw new Error(error.message);
+  return (data || []).length === ids.length ? null : 'Lien waiver document not found for this subcontractor';
+}
+
+/**
+ * Payments on one fee, oldest first, with how much of the fee is still owed
+ * @param {string} companyID
+ * @param {string} projectId
+ * @param {string} feeId
+ * @returns {Promise<Object|null>} { fee, payments, summary: { fee_amount, paid, balance } } or null when not found
+ */
+export async function listPayments(companyID, projectId, feeId) {
+  const fee = await getFee(companyID, projectId, feeId);
+  if (!fee) return null;
+
+  const { data, error } = await supabase
+    .from('subcontractor_payments')
+    .select(PAYMENT_SELECT)
+    .eq('company_id', companyID)
+    .eq('fee_id', feeId)
+    .order('payment_date', { ascending: true })
+    .order('created_at', { ascending: true });
+
+  if (error) throw new Error(error.message);
+  const payments = (data || []).map(shapePayment);
+  const paid = roundTo2(payments.reduce((sum, p) => sum + p.amount, 0));
+  const amount = feeAmount(fee);
+
+  return {
+    fee,
+    payments,
+    summary: { fee_amount: amount, paid, balance: roundTo2(amount - paid) },
+  };
+}
+
+/**
+ * Record a payment to a subcontractor against one of their project fees
+ * @param {Object} options
+ * @param {string} options.companyID
+ * @param {string} options.projectId
+ * @param {string} options.feeId
+ * @param {string} options.paymentDate - YYYY-MM-DD
+ * @param {string} options.method - One of PAYMENT_METHODS
+ * @param {string} [options.checkNumber]
+ * @param {number} options.amount
+ * @param {string} [options.notes]
+ * @param {string} [options.conditionalWaiverDocumentId]
+ * @param {string} [options.unconditionalWaiverDocumentId]
+ * @param {string|null} options.employeeId
+ * @returns {Promise<Object|null>} Payment, { error, status }, or null when the fee isn't found
+ */
+export async function createPayment({ companyID, projectId, feeId, paymentDate, method, checkNumber, amount, notes, conditionalWaiverDocumentId, unconditionalWaiverDocumentId, employeeId }) {
+  const fee = await getFee(companyID, projectId, feeId);
+  if (!fee) return null;
+
+  const waiverError = await validateWaivers(companyID, fee.subcontractor_id, [conditionalWaiverDocumentId, unconditionalWaiverDocumentId]);
+  if (waiverError) return { error: waiverError, status: 400 };
+
+  const { data, error } = await supabase
+    .from('subcontractor_payments')
+    .insert({
+      company_id: companyID,
+      fee_id: feeId,
+      subcontractor_id: fee.subcontractor_id,
+      project_id: projectId,
+      payment_date: paymentDate,
+      method,
+      check_number: method === 'check' ? (checkNumber || null) : null,
+      amount: roundTo2(amount),
+      notes: notes || null,
+      conditional_waiver_document_id: conditionalWaiverDocumentId || null,
+      unconditional_waiver_document_id: unconditionalWaiverDocumentId || null,
+      created_by: employeeId || null,
+    })
+    .select(PAYMENT_SELECT)
+    .single();
+
+  if (error) throw new Error(error.message);
+  return shapePayment(data);
+}
+
+/**
+ * Change a payment's details or attach its lien waivers
+ * @param {string} companyID
+ * @param {string} projectId
+ * @param {string} feeId
+ * @param {string} paymentId
+ * @param {Object} fields - paymentDate, method, checkNumber, amount, notes, conditionalWaiverDocumentId, unconditionalWaiverDocumentId
+ * @returns {Promise<Object|null>} { before, after }, { error, status }, or null when not found
+ */
+export async function updatePayment(companyID, projectId, feeId, paymentId, fields) {
+  const fee = await getFee(companyID, projectId, feeId);
+  if (!fee) return null;
+
+  const { data: existing, error: findError } = await supabase
+    .from('subcontractor_payments')
+    .select('*')
+    .eq('id', paymentId)
+    .eq('company_id', companyID)
+    .eq('fee_id', feeId)
+    .maybeSingle();
+
+  if (findError) throw new Error(findError.message);
+  if (!existing) return null;
+
+  const waiverError = await validateWaivers(companyID, fee.subcontractor_id, [fields.conditionalWaiverDocumentId, fields.unconditionalWaiverDocumentId]);
+  if (waiverError) return { error: waiverError, status: 400 };
+
+  const update = { updated_at: new Date().toISOString() };
+  if (fields.paymentDate !== undefined) update.payment_date = fields.paymentDate;
+  if (fields.method !== undefined) update.method = fields.method;
+  if (fields.amount !== undefined) update.amount = roundTo2(fields.amount);
+  if (fields.notes !== undefined) update.notes = fields.notes || null;
+  if (fields.checkNumber !== undefined) update.check_number = fields.checkNumber || null;
+  if ((update.method || existing.method) !== 'check') update.check_number = null;
+  if (fields.conditionalWaiverDocumentId !== undefined) update.conditional_waiver_document_id = fields.conditionalWaiverDocumentId || null;
+  if (fields.unconditionalWaiverDocumentId !== undefined) update.unconditional_waiver_document_id = fields.unconditionalWaiverDocumentId || null;
+
+  const { data, error } = await supabase
+    .from('subcontractor_payments')
+    .update(update)
+    .eq('id', paymentId)
+    .eq('company_id', companyID)
+    .select(PAYMENT_SELECT)
+    .single();
+
+  if (error) throw new Error(error.message);
+  return { before: existing, after: shapePayment(data) };
+}
+
+/**
+ * Delete a payment recorded by mistake
+ * @returns {Promise<Object|null>} Deleted row, or null when not found
+ */
+export async function deletePayment(companyID, projectId, feeId, paymentId) {
+  const fee = await getFee(companyID, projectId, feeId);
+  if (!fee) return null;
+
+  const { data, error } = await supabase
+    .from('subcontractor_payments')
+    .delete()
+    .eq('id', paymentId)
+    .eq('company_id', companyID)
+    .eq('fee_id', feeId)
+    .select();
+
+  if (error) throw new Error(error.message);
+  return data?.[0] || null;
+}
+
+/**
+ * Year-end 1099 report: each subcontractor paid during the calendar year, with their reportable total
+ * (everything except card payments) and whether it reaches the filing threshold
+ * @param {string} companyID
+ * @param {number} year
+ * @param {number} [threshold] - Defaults to defaultThreshold(year)
+ * @returns {Promise<Object>} { year, threshold, subcontractors, totals }
+ */
+export async function get1099Report(companyID, year, threshold = defaultThreshold(year)) {
+  const payments = await fetchAllRows(() =>
+    supabase
+      .from('subcontractor_payments')
+      .select('id, subcontractor_id, project_id, payment_date, method, amount, conditional_waiver_document_id, unconditional_waiver_document_id')
+      .eq('company_id', companyID)
+      .gte('payment_date', `${year}-01-01`)
+      .lte('payment_date', `${year}-12-31`)
+      .order('payment_date', { ascending: true })
+      // Tiebreaker so payments on the same day aren't skipped or repeated between pages
+      .order('id', { ascending: true })
+  );
+
+  const bySubcontractor = new Map();
+  for (const payment of payments) {
+    const amount = toNumber(payment.amount);
+    const entry = bySubcontractor.get(payment.subcontractor_id) || {
+      subcontractor_id: payment.subcontractor_id,
+      payment_count: 0,
+      project_ids: new Set(),
+      total_paid: 0,
+      card_total: 0,
+      reportable_total: 0,
+      missing_unconditional_waivers: 0,
+    };
+    entry.payment_count++;
+    entry.project_ids.add(payment.project_id);
+    entry.total_paid += amount;
+    if (NON_REPORTABLE_METHODS.includes(payment.method)) entry.card_total += amount;
+    else entry.reportable_total += amount;
+    if (!payment.unconditional_waiver_document_id) entry.missing_unconditional_waivers++;
+    bySubcontractor.set(payment.subcontractor_id, entry);
+  }
+
+  let details = [];
+  if (bySubcontractor.size > 0) {
+    const { data, error } = await supabase
+      .from('subcontractors')
+      .select('id, name, tax_id, mailing_address, primary_contact_name, primary_contact_email, primary_contact_phone')
+      .eq('company_id', companyID)
+      .in('id', [...bySubcontractor.keys()]);
+    if (error) throw new Error(error.message);
+    details = data || [];
+  }
+  const detailsById = new Map(details.map((s) => [s.id, s]));
+
+  const subcontractors = [...bySubcontractor.values()]
+    .map(({ project_ids, ...entry }) => {
+      const sub = detailsById.get(entry.subcontractor_id) || {};
+      const reportable = roundTo2(entry.reportable_total);
+      return {
+        ...entry,
+        name: sub.name || 'Unknown subcontractor',
+        tax_id: sub.tax_id || null,
+        mailing_address: sub.mailing_address || null,
+        primary_contact_name: sub.primary_contact_name || null,
+        primary_contact_email: sub.primary_contact_email || null,
+        project_count: project_ids.size,
+        total_paid: roundTo2(entry.total_paid),
+        card_total: roundTo2(entry.card_total),
+        reportable_total: reportable,
+        requires_1099: reportable >= threshold,
+      };
+    })
+    .sort((a, b) => b.reportable_total - a.reportable_total || a.name.localeCompare(b.name));
+
+  return {
+    year,
+    threshold,
+    subcontractors,
+    totals: {
+      total_paid: roundTo2(subcontractors.reduce((sum, s) => sum + s.total_paid, 0)),
+      reportable_total: roundTo2(subcontractors.reduce((sum, s) => sum + s.reportable_total, 0)),
+      requires_1099: subcontractors.filter((s) => s.requires_1099).length,
+      missing_tax_id: subcontractors.filter((s) => s.requires_1099 && !s.tax_id).length,
+    },
+  };
+}
+
+export default {
+  PAYMENT_METHODS,
+  defaultThreshold,
+  feeAmount,
+  listPayments,
+  createPayment,
+  updatePayment,
+  deletePayment,
+  get1099Report,
+};
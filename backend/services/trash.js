@@ -0,0 +1,428 @@
+import dotenv from 'dotenv';
+import { fileURLToPath } from 'url';
+import { dirname, join } from 'path';
+import { createClient } from '@supabase/supabase-js';
+
+const __filename = fileURLToPath(import.meta.url);
+const __dirname = dirname(__filename);
+
+// Load .env from root directory (two levels up from backend/services/)
+dotenv.config({ path: join(__dirname, '..', '..', '.env') });
+
+const supabaseUrl = process.env.SUPABASE_URL;
+const supabaseServiceKey = process.env.SUPABASE_SERVICE_ROLE_KEY;
+
+const supabase = createClient(supabaseUrl || '', supabaseServiceKey || '');
+
+export const DEFAULT_RETENTION_DAYS = 30;
+export const MIN_RETENTION_DAYS = 1;
+export const MAX_RETENTION_DAYS = 365;
+
+const DAY_MS = 24 * 60 * 60 * 1000;
+const STORAGE_BUCKET = 'documents';
+
+const customerName = (c) => [c?.first_name, c?.last_name].filter(Boolean).join(' ');
+
+/**
+ * Record types that go to the Trash instead of being deleted
+ * auditType: entity_type used in the audit log
+ * entityType / parentColumn (documents only): the /api/documents/:entityType the document belongs to
+ * storageFolder (documents only): top-level folder in the documents bucket
+ * children: records that go to the Trash with this one and come back with it ({ type, column })
+ * owner: the record this one can't be restored without ({ type, column })
+ */
+export const TRASH_TYPES = {
+  customer: {
+    table: 'customers',
+    auditType: 'customer',
+    select: 'id, first_name, last_name, email, deleted_at, deleted_by',
+    label: (row) => customerName(row) || row.email || 'Customer',
+    children: { type: 'project', column: 'customer_id' },
+  },
+  project: {
+    table: 'projects',
+    auditType: 'project',
+    select: 'id, project_name, address, deleted_at, deleted_by, customers:customer_id (first_name, last_name)',
+    label: (row) => row.project_name || row.address || 'Project',
+    detail: (row) => customerName(row.customers),
+    owner: { type: 'customer', column: 'customer_id' },
+  },
+  project_document: {
+    table: 'project_documents',
+    auditType: 'document',
+    entityType: 'projects',
+    parentColumn: 'project_id',
+    storageFolder: 'projects',
+    select: 'id, name, file_name, file_path, project_id, deleted_at, deleted_by, projects:project_id (project_name, address)',
+    label: (row) => row.name || row.file_name,
+    detail: (row) => row.projects?.project_name || row.projects?.address || '',
+  },
+  customer_document: {
+    table: 'customer_documents',
+    auditType: 'document',
+    entityType: 'customers',
+    parentColumn: 'customer_id',
+    storageFolder: 'customers',
+    select: 'id, name, file_name, file_path, customer_id, deleted_at, deleted_by, customers:customer_id (first_name, last_name)',
+    label: (row) => row.name || row.file_name,
+    detail: (row) => customerName(row.customers),
+  },
+  subcontractor_document: {
+    table: 'subcontractor_documents',
+    auditType: 'document',
+    entityType: 'subcontractors',
+    parentColumn: 'subcontractor_id',
+    storageFolder: 'subcontractor',
+    select: 'id, name, file_name, file_path, subcontractor_id, deleted_at, deleted_by, subcontractors:subcontractor_id (name)',
+    label: (row) => row.name || row.file_name,
+    detail: (row) => row.subcontractors?.name || '',
+  },
+  inventory_document: {
+    table: 'inventory_documents',
+    auditType: 'document',
+    entityType: 'inventory',
+    parentColumn: 'inventory_id',
+    storageFolder: 'inventory',
+    select: 'id, name, file_name, file_path, inventory_id, deleted_at, deleted_by, inventory:inventory_id (name)',
+    label: (row) => row.name || row.file_name,
+    detail: (row) => row.inventory?.name || '',
+  },
+};
+
+// Document trash type for each /api/documents/:entityType
+export const DOCUMENT_TRASH_TYPES = Object.fromEntries(
+  Object.entries(TRASH_TYPES)
+    .filter(([, config]) => config.entityType)
+    .map(([type, config]) => [config.entityType, type])
+);
+
+const getTrashConfig = (type) => {
+  const config = TRASH_TYPES[type];
+  if (!config) throw new Error(`Unknown trash type: ${type}`);
+  return config;
+};
+
+const clampRetention = (days) =>
+  Math.min(Math.max(parseInt(days, 10) || DEFAULT_RETENTION_DAYS, MIN_RETENTION_DAYS), MAX_RETENTION_DAYS);
+
+/**
+ * Days trashed records are kept before the automatic purge
+ * @param {string} companyID
+ * @returns {Promise<number>}
+ */
+export async function getRetentionDays(companyID) {
+  const { data, error } = await supabase
+    .from('companies')
+    .select('trash_retention_days')
+    .eq('company_id', companyID)
+    .maybeSingle();
+
+  if (error) throw new Error(error.message);
+  return clampRetention(data?.trash_retention_days);
+}
+
+/**
+ * @param {string} companyID
+ * @param {number} days - MIN_RETENTION_DAYS..MAX_RETENTION_DAYS
+ * @returns {Promise<number>} Saved value
+ */
+export async function setRetentionDays(companyID, days) {
+  const value = clampRetention(days);
+  const { error } = await supabase
+    .from('companies')
+    .update({ trash_retention_days: value })
+    .eq('company_id', companyID);
+
+  if (error) throw new Error(error.message);
+  return value;
+}
+
+/**
+ * Move a record to the Trash (sets deleted_at / deleted_by). Its children (a customer's projects) go with it,
+ * stamped with the same deleted_at so restoring the record brings back exactly those.
+ * @param {string} type - Key of TRASH_TYPES
+ * @param {string} id
+ * @param {string} companyID
+ * @param {string|null} employeeId - Employee doing the delete
+ * @returns {Promise<Object|null>} Updated row (with trashedChildIds when it has children), or null when the record
+ * doesn't exist or is already trashed
+ */
+export async function moveToTrash(type, id, companyID, employeeId) {
+  const config = getTrashConfig(type);
+  const deletedAt = new Date().toISOString();
+  const { data, error } = await supabase
+    .from(config.table)
+    .update({ deleted_at: deletedAt, deleted_by: employeeId || null })
+    .eq('id', id)
+    .eq('company_id', companyID)
+    .is('deleted_at', null)
+    .select()
+    .maybeSingle();
+
+  if (error) throw new Error(error.message);
+  if (!data || !config.children) return data || null;
+
+  const { type: childType, column } = config.children;
+  const { data: children, error: childError } = await supabase
+    .from(getTrashConfig(childType).table)
+    .update({ deleted_at: deletedAt, deleted_by: employeeId || null })
+    .eq(column, id)
+    .eq('company_id', companyID)
+    .is('deleted_at', null)
+    .select('id');
+
+  if (childError) throw new Error(childError.message);
+  return { ...data, trashedChildIds: (children || []).map((child) => child.id) };
+}
+
+/**
+ * Load a trashed record
+ * @returns {Promise<Object|null>}
+ */
+async function getTrashedRow(config, id, companyID) {
+  const { data, error } = await supabase
+    .from(config.table)
+    .select('*')
+    .eq('id', id)
+    .eq('company_id', companyID)
+    .not('deleted_at', 'is', null)
+    .maybeSingle();
+
+  if (error) throw new Error(error.message);
+  return data || null;
+}
+
+/**
+ * Take a record back out of the Trash, with the children that were trashed along with it
+ * @param {string} type - Key of TRASH_TYPES
+ * @param {string} id
+ * @param {string} companyID
+ * @returns {Promise<Object|null>} { before, after, restoredChildIds }, { error, status } when its owner is still in
+ * the Trash, or null when the record isn't in the Trash
+ */
+export async function restoreFromTrash(type, id, companyID) {
+  const config = getTrashConfig(type);
+  const before = await getTrashedRow(config, id, companyID);
+  if (!before) return null;
+
+  if (config.owner && before[config.owner.column]) {
+    const owner = await getTrashedRow(getTrashConfig(config.owner.type), before[config.owner.column], companyID);
+    if (owner) return { error: `Restore the ${config.owner.type} first`, status: 409 };
+  }
+
+  const { data, error } = await supabase
+    .from(config.table)
+    .update({ deleted_at: null, deleted_by: null })
+    .eq('id', id)
+    .eq('company_id', companyID)
+    .select()
+    .single();
+
+  if (error) throw new Error(error.message);
+
+  let restoredChildIds = [];
+  if (config.children) {
+    const { type: childType, column } = config.children;
+    const { data: children, error: childError } = await supabase
+      .from(getTrashConfig(childType).table)
+      .update({ deleted_at: null, deleted_by: null })
+      .eq(column, id)
+      .eq('company_id', companyID)
+      .eq('deleted_at', before.deleted_at)
+      .select('id');
+
+    if (childError) throw new Error(childError.message);
+    restoredChildIds = (children || []).map((child) => child.id);
+  }
+
+  return { before, after: data, restoredChildIds };
+}
+
+/**
+ * Storage path of a document row (older rows have no file_path and use the upload convention)
+ */
+const documentStoragePath = (config, row, companyID) =>
+  row.file_path || (row.file_name ? `${config.storageFolder}/${companyID}/${row[config.parentColumn]}/${row.file_name}` : null);
+
+/**
+ * Remove files from the documents bucket. Missing files are not an error.
+ * @param {string[]} paths
+ */
+async function removeStorageFiles(paths) {
+  const unique = [...new Set(paths.filter(Boolean))];
+  if (unique.length === 0) return;
+  const { error } = await supabase.storage.from(STORAGE_BUCKET).remove(unique);
+  if (error) {
+    console.warn('Trash purge: storage remove failed (non-fatal):', error.message);
+  }
+}
+
+/**
+ * Storage files owned by a customer or project (its document rows cascade with it)
+ */
+async function getChildDocumentPaths(type, id, companyID) {
+  const documentType = type === 'project' ? 'project_document' : type === 'customer' ? 'customer_document' : null;
+  if (!documentType) return [];
+  const config = TRASH_TYPES[documentType];
+
+  const { data, error } = await supabase
+    .from(config.table)
+    .select(`file_path, file_name, ${config.parentColumn}`)
+    .eq(config.parentColumn, id)
+    .eq('company_id', companyID);
+
+  if (error) throw new Error(error.message);
+  return (data || []).map((row) => documentStoragePath(config, row, companyID));
+}
+
+/**
+ * Permanently delete a trashed record, its cascading rows and its stored files
+ * @param {string} type - Key of TRASH_TYPES
+ * @param {string} id
+ * @param {string} companyID
+ * @returns {Promise<Object|null>} The purged row, or null when the record isn't in the Trash
+ */
+export async function purgeRecord(type, id, companyID) {
+  const config = getTrashConfig(type);
+  const row = await getTrashedRow(config, id, companyID);
+  if (!row) return null;
+
+  // Children would cascade with the row; purge them first so their stored files go too
+  if (config.children) {
+    const { type: childType, column } = config.children;
+    const { data: children, error: childError } = await supabase
+      .from(getTrashConfig(childType).table)
+      .select('id')
+      .eq(column, id)
+      .eq('company_id', companyID)
+      .not('deleted_at', 'is', null);
+
+    if (childError) throw new Error(childError.message);
+    for (const child of children || []) await purgeRecord(childType, child.id, companyID);
+  }
+
+  const filePaths = config.storageFolder
+    ? [documentStoragePath(config, row, companyID)]
+    : await getChildDocumentPaths(type, id, companyID);
+
+  const { error } = await supabase
+    .from(config.table)
+    .delete()
+    .eq('id', id)
+    .eq('company_id', companyID);
+
+  if (error) throw new Error(error.message);
+
+  await removeStorageFiles(filePaths);
+  return row;
+}
+
+/**
+ * Everything in a company's Trash, most recently deleted first
+ * @param {string} companyID
+ * @returns {Promise<Object>} { items: [{ type, id, name, detail, deleted_at, deleted_by, deleted_by_name, purge_at, entity_type, entity_id }], retentionDays }
+ */
+export async function listTrash(companyID) {
+  const retentionDays = await getRetentionDays(companyID);
+
+  const groups = await Promise.all(Object.entries(TRASH_TYPES).map(async ([type, config]) => {
+    const { data, error } = await supabase
+      .from(config.table)
+      .select(config.select)
+      .eq('company_id', companyID)
+      .not('deleted_at', 'is', null)
+      .order('deleted_at', { ascending: false });
+
+    if (error) throw new Error(error.message);
+    return (data || []).map((row) => ({
+      type,
+      id: row.id,
+      name: config.label(row),
+      detail: config.detail ? config.detail(row) : '',
+      deleted_at: row.deleted_at,
+      deleted_by: row.deleted_by || null,
+      purge_at: new Date(new Date(row.deleted_at).getTime() + retentionDays * DAY_MS).toISOString(),
+      entity_type: config.entityType || null,
+      entity_id: config.parentColumn ? row[config.parentColumn] : null,
+    }));
+  }));
+
+  const items = groups.flat().sort((a, b) => String(b.deleted_at).localeCompare(String(a.deleted_at)));
+
+  // Who deleted it (employee names in one query)
+  const employeeIds = [...new Set(items.map((item) => item.deleted_by).filter(Boolean))];
+  const names = new Map();
+  if (employeeIds.length) {
+    const { data: employees } = await supabase
+      .from('employees')
+      .select('id, name')
+      .in('id', employeeIds);
+    for (const employee of employees || []) names.set(employee.id, employee.name);
+  }
+
+  return {
+    items: items.map((item) => ({ ...item, deleted_by_name: names.get(item.deleted_by) || null })),
+    retentionDays,
+  };
+}
+
+/**
+ * Purge every trashed record older than its company's retention period (run periodically by the server)
+ * @returns {Promise<number>} Number of records purged
+ */
+export async function purgeExpiredTrash() {
+  const { data: companies, error: companiesError } = await supabase
+    .from('companies')
+    .select('company_id, trash_retention_days');
+
+  if (companiesError) throw new Error(companiesError.message);
+  const retentionByCompany = new Map(
+    (companies || []).map((c) => [c.company_id, clampRetention(c.trash_retention_days)])
+  );
+
+  const now = Date.now();
+  // Nothing younger than the shortest allowed retention can be due
+  const earliestCutoff = new Date(now - MIN_RETENTION_DAYS * DAY_MS).toISOString();
+  let purged = 0;
+
+  // Documents first so a project purged in the same run doesn't take their rows (and file paths) with it
+  const order = Object.keys(TRASH_TYPES).sort((a, b) => Number(!!TRASH_TYPES[b].storageFolder) - Number(!!TRASH_TYPES[a].storageFolder));
+
+  for (const type of order) {
+    const config = TRASH_TYPES[type];
+    const { data, error } = await supabase
+      .from(config.table)
+      .select('id, company_id, deleted_at')
+      .not('deleted_at', 'is', null)
+      .lt('deleted_at', earliestCutoff);
+
+    if (error) throw new Error(error.message);
+
+    for (const row of data || []) {
+      const retentionDays = retentionByCompany.get(row.company_id) || DEFAULT_RETENTION_DAYS;
+      if (new Date(row.deleted_at).getTime() + retentionDays * DAY_MS > now) continue;
+      try {
+        if (await purgeRecord(type, row.id, row.company_id)) purged++;
+      } catch (err) {
+        console.error(`Trash purge failed for ${type} ${row.id}:`, err.message);
+      }
+    }
+  }
+
+  return purged;
+}
+
+export default {
+  DEFAULT_RETENTION_DAYS,
+  MIN_RETENTION_DAYS,
+  MAX_RETENTION_DAYS,
+  TRASH_TYPES,
+  DOCUMENT_TRASH_TYPES,
+  getRetentionDays,
+  setRetentionDays,
+  moveToTrash,
+  restoreFromTrash,
+  purgeRecord,
+  listTrash,
+  purgeExpiredTrash,
+};
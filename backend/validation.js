@@ -2,7 +2,8 @@
  * Input validation using express-validator.
  * Export middleware and reusable validation chains for API routes.
  */
-import { body, param, validationResult } from 'express-validator';
+import { body, param, query, validationResult } from 'express-validator';
+import { AUDIT_ACTIONS, AUDIT_ENTITY_TYPES } from './services/auditLog.js';
 
 /** Send 400 with first validation error message. Call after validations run. */
 export function handleValidationErrors(req, res, next) {
@@ -89,6 +90,8 @@ export const customerPostValidation = [
   body('phone').optional({ values: 'null' }).trim().isLength(maxStr(50)),
   body('pipeline_status').optional().trim().isLength(maxStr(100)),
   body('estimated_value').optional({ values: 'null' }).isFloat({ min: 0 }).withMessage('Estimated value must be non-negative'),
+  optionalBool('reminder_sms_opt_out'),
+  optionalBool('reminder_email_opt_out'),
 ];
 export const customerPutValidation = [
   body('first_name').optional().trim().notEmpty().withMessage('First name cannot be empty').isLength(maxStr(255)),
@@ -97,6 +100,8 @@ export const customerPutValidation = [
   body('phone').optional({ values: 'null' }).trim().isLength(maxStr(50)),
   body('pipeline_status').optional().trim().isLength(maxStr(100)),
   body('estimated_value').optional({ values: 'null' }).isFloat({ min: 0 }).withMessage('Estimated value must be non-negative'),
+  optionalBool('reminder_sms_opt_out'),
+  optionalBool('reminder_email_opt_out'),
 ];
 
 // --- Employees ---
@@ -154,25 +159,103 @@ export const projectPutValidation = [
   body('sq_feet').optional({ values: 'null' }).isFloat({ min: 0 }).withMessage('Square feet must be non-negative'),
   body('est_value').optional({ values: 'null' }).isFloat({ min: 0 }).withMessage('Estimated value must be non-negative'),
   body('closing_price').optional({ values: 'null' }).isFloat({ min: 0 }).withMessage('Closing price must be non-negative'),
+  body('status_reason').optional({ values: 'null' }).trim().isLength(maxStr(1000)),
 ];
 
 // --- Inventory ---
 export const inventoryPostValidation = [
   body('name').trim().notEmpty().withMessage('Name is required').isLength(maxStr(500)),
   body('unit').trim().notEmpty().withMessage('Unit is required').isLength(maxStr(50)),
-  body('stock').optional({ values: 'null' }).isInt({ min: 0 }).withMessage('Stock must be a non-negative integer'),
+  body('stock').optional({ values: 'null' }).isFloat({ min: 0 }).withMessage('Stock must be non-negative'),
+  body('reorder_point').optional({ values: 'falsy' }).isFloat({ min: 0 }).withMessage('Reorder point must be non-negative'),
+  body('reorder_quantity').optional({ values: 'falsy' }).isFloat({ min: 0 }).withMessage('Reorder quantity must be non-negative'),
+  body('preferred_supplier_id').optional({ values: 'falsy' }).isUUID().withMessage('Invalid supplier'),
   body('unit_price').optional({ values: 'null' }).isFloat({ min: 0 }).withMessage('Unit price must be non-negative'),
   body('type').optional().trim().isIn(['material', 'equipment']).withMessage('Type must be material or equipment'),
   body('brand').optional({ values: 'null' }).trim().isLength(maxStr(255)),
   body('model').optional({ values: 'null' }).trim().isLength(maxStr(255)),
+  body('sku').optional({ values: 'null' }).trim().isLength(maxStr(100)),
   body('color').optional({ values: 'null' }).trim().isLength(maxStr(100)),
 ];
 export const inventoryPutValidation = [
   body('name').optional().trim().notEmpty().withMessage('Name cannot be empty').isLength(maxStr(500)),
   body('unit').optional().trim().notEmpty().withMessage('Unit cannot be empty').isLength(maxStr(50)),
-  body('stock').optional({ values: 'null' }).isInt({ min: 0 }).withMessage('Stock must be a non-negative integer'),
+  // Allocations can take on-hand stock below zero, so an edit may count it there too
+  body('stock').optional({ values: 'null' }).isFloat().withMessage('Stock must be a number'),
+  body('loaded_stock').optional({ values: 'null' }).isFloat().withMessage('Loaded stock must be a number'),
+  body('reorder_point').optional({ values: 'falsy' }).isFloat({ min: 0 }).withMessage('Reorder point must be non-negative'),
+  body('reorder_quantity').optional({ values: 'falsy' }).isFloat({ min: 0 }).withMessage('Reorder quantity must be non-negative'),
+  body('preferred_supplier_id').optional({ values: 'falsy' }).isUUID().withMessage('Invalid supplier'),
   body('unit_price').optional({ values: 'null' }).isFloat({ min: 0 }).withMessage('Unit price must be non-negative'),
   body('type').optional().trim().isIn(['material', 'equipment']).withMessage('Type must be material or equipment'),
+  body('sku').optional({ values: 'null' }).trim().isLength(maxStr(100)),
+];
+export const inventoryMovementValidation = [
+  param('id').isUUID().withMessage('Invalid inventory item'),
+  body('movement_type').isIn(['receipt', 'allocation', 'return', 'adjustment']).withMessage('Movement type must be receipt, allocation, return or adjustment'),
+  body('quantity').isFloat({ min: -1000000, max: 1000000 }).withMessage('Quantity must be a number').custom((v) => Number(v) !== 0).withMessage('Quantity must not be zero'),
+  body('project_id').optional({ values: 'falsy' }).isUUID().withMessage('Invalid project'),
+  body('note').optional({ values: 'null' }).trim().isLength(maxStr(1000)),
+];
+
+// --- Suppliers & purchase orders ---
+const supplierFields = (requireName) => [
+  requireName
+    ? body('name').trim().notEmpty().withMessage('Name is required').isLength(maxStr(500))
+    : body('name').optional().trim().notEmpty().withMessage('Name cannot be empty').isLength(maxStr(500)),
+  body('contact_name').optional({ values: 'null' }).trim().isLength(maxStr(255)),
+  body('phone').optional({ values: 'null' }).trim().isLength(maxStr(50)),
+  body('email').customSanitizer(emptyStrToUndefined).optional({ values: 'null' }).trim().isEmail().withMessage('Invalid email format'),
+  body('address').optional({ values: 'null' }).trim().isLength(maxStr(1000)),
+  body('account_number').optional({ values: 'null' }).trim().isLength(maxStr(100)),
+  body('notes').optional({ values: 'null' }).trim().isLength(maxStr(5000)),
+];
+export const supplierPostValidation = supplierFields(true);
+export const supplierPutValidation = [param('id').isUUID().withMessage('Invalid supplier id'), ...supplierFields(false)];
+
+const poStatuses = ['draft', 'sent', 'partially_received', 'received', 'cancelled'];
+export const purchaseOrderListValidation = [
+  query('status').optional().isIn(poStatuses).withMessage('Invalid status'),
+  query('supplier_id').optional().isUUID().withMessage('Invalid supplier id'),
+  query('project_id').optional().isUUID().withMessage('Invalid project id'),
+];
+export const purchaseOrderPostValidation = [
+  body('lines').isArray({ min: 1, max: 200 }).withMessage('Choose at least one line to order'),
+  body('lines.*.source_table').isIn(['project_materials', 'project_equipment']).withMessage('Invalid line type'),
+  body('lines.*.source_id').isUUID().withMessage('Invalid line id'),
+  body('lines.*.supplier_id').isUUID().withMessage('Choose a supplier for every line'),
+  body('order_date').optional({ values: 'falsy' }).trim().matches(/^\d{4}-\d{2}-\d{2}$/).withMessage('Order date must be YYYY-MM-DD'),
+  body('expected_date').optional({ values: 'falsy' }).trim().matches(/^\d{4}-\d{2}-\d{2}$/).withMessage('Expected date must be YYYY-MM-DD'),
+  body('notes').optional({ values: 'null' }).isString().isLength({ max: 2000 }).withMessage('Notes are too long'),
+];
+export const purchaseOrderPutValidation = [
+  param('id').isUUID().withMessage('Invalid purchase order id'),
+  body('expected_date').optional({ values: 'falsy' }).trim().matches(/^\d{4}-\d{2}-\d{2}$/).withMessage('Expected date must be YYYY-MM-DD'),
+  body('notes').optional({ values: 'null' }).isString().isLength({ max: 2000 }).withMessage('Notes are too long'),
+];
+export const purchaseOrderStatusValidation = [
+  param('id').isUUID().withMessage('Invalid purchase order id'),
+  body('status').isIn(['draft', 'sent', 'cancelled']).withMessage('Status must be draft, sent or cancelled'),
+];
+export const purchaseOrderReceiveValidation = [
+  param('id').isUUID().withMessage('Invalid purchase order id'),
+  body('lines').isArray({ min: 1, max: 200 }).withMessage('Enter at least one quantity received'),
+  body('lines.*.line_id').isUUID().withMessage('Invalid line id'),
+  body('lines.*.quantity').isFloat({ min: 0, max: 1000000 }).withMessage('Quantity received must be zero or more'),
+  body('lines.*.actual_price').customSanitizer(emptyStrToNull).optional({ values: 'null' }).isFloat({ min: 0 }).withMessage('Actual price must be non-negative'),
+  body('received_on').optional({ values: 'falsy' }).trim().matches(/^\d{4}-\d{2}-\d{2}$/).withMessage('Received date must be YYYY-MM-DD'),
+];
+export const supplierPriceListValidation = [
+  param('id').isUUID().withMessage('Invalid supplier id'),
+  body('rows').isArray({ min: 1, max: 5000 }).withMessage('The price list must have between 1 and 5000 rows'),
+  body('rows.*.sku').optional({ values: 'null' }).isString().isLength(maxStr(100)),
+  body('rows.*.model').optional({ values: 'null' }).isString().isLength(maxStr(255)),
+  body('rows.*.description').optional({ values: 'null' }).isString().isLength(maxStr(500)),
+  body('rows.*.unit_price').exists({ values: 'null' }).withMessage('Every row needs a unit price'),
+  body('reprice_projects').optional().isBoolean().withMessage('reprice_projects must be true or false'),
+  body('reprice_templates').optional().isBoolean().withMessage('reprice_templates must be true or false'),
+  body('effective_date').optional({ values: 'falsy' }).trim().matches(/^\d{4}-\d{2}-\d{2}$/).withMessage('Effective date must be YYYY-MM-DD'),
+  body('file_name').optional({ values: 'null' }).isString().isLength(maxStr(255)),
 ];
 
 // --- Subcontractors ---
@@ -182,14 +265,63 @@ export const subcontractorPostValidation = [
   body('primary_contact_phone').optional({ values: 'null' }).trim().isLength(maxStr(50)),
   body('primary_contact_email').customSanitizer(emptyStrToUndefined).optional({ values: 'null' }).trim().isEmail().withMessage('Invalid primary contact email'),
   body('coi_expiration').optional({ values: 'null' }).trim().custom((v) => !v || /^\d{4}-\d{2}-\d{2}/.test(v)).withMessage('COI expiration must be a valid date (YYYY-MM-DD)'),
+  body('tax_id').optional({ values: 'null' }).trim().isLength(maxStr(20)),
+  body('mailing_address').optional({ values: 'null' }).trim().isLength(maxStr(1000)),
   body('notes').optional({ values: 'null' }).trim().isLength(maxStr(5000)),
 ];
 export const subcontractorPutValidation = [
   body('name').optional().trim().notEmpty().withMessage('Name cannot be empty').isLength(maxStr(500)),
   body('primary_contact_email').customSanitizer(emptyStrToUndefined).optional({ values: 'null' }).trim().isEmail().withMessage('Invalid primary contact email'),
   body('coi_expiration').optional({ values: 'null' }).trim().custom((v) => !v || /^\d{4}-\d{2}-\d{2}/.test(v)).withMessage('COI expiration must be a valid date (YYYY-MM-DD)'),
+  body('tax_id').optional({ values: 'null' }).trim().isLength(maxStr(20)),
+  body('mailing_address').optional({ values: 'null' }).trim().isLength(maxStr(1000)),
+  body('notes').optional({ values: 'null' }).trim().isLength(maxStr(5000)),
+];
+const subcontractorPaymentMethods = ['check', 'ach', 'wire', 'cash', 'card', 'other'];
+const subcontractorPaymentFields = (required) => [
+  required
+    ? body('payment_date').trim().matches(/^\d{4}-\d{2}-\d{2}$/).withMessage('Payment date is required (YYYY-MM-DD)')
+    : body('payment_date').optional().trim().matches(/^\d{4}-\d{2}-\d{2}$/).withMessage('Payment date must be YYYY-MM-DD'),
+  required
+    ? body('method').isIn(subcontractorPaymentMethods).withMessage('Invalid payment method')
+    : body('method').optional().isIn(subcontractorPaymentMethods).withMessage('Invalid payment method'),
+  required
+    ? body('amount').isFloat({ gt: 0 }).withMessage('Amount must be greater than 0')
+    : body('amount').optional().isFloat({ gt: 0 }).withMessage('Amount must be greater than 0'),
+  body('check_number').optional({ values: 'null' }).trim().isLength(maxStr(50)),
+  body('notes').optional({ values: 'null' }).trim().isLength(maxStr(5000)),
+  body('conditional_waiver_document_id').optional({ values: 'falsy' }).isUUID().withMessage('Invalid conditional waiver document'),
+  body('unconditional_waiver_document_id').optional({ values: 'falsy' }).isUUID().withMessage('Invalid unconditional waiver document'),
+];
+export const subcontractorPaymentPostValidation = [
+  param('id').isUUID().withMessage('Invalid project id'),
+  param('feeId').isUUID().withMessage('Invalid fee id'),
+  ...subcontractorPaymentFields(true),
+];
+export const subcontractorPaymentPutValidation = [
+  param('id').isUUID().withMessage('Invalid project id'),
+  param('feeId').isUUID().withMessage('Invalid fee id'),
+  param('paymentId').isUUID().withMessage('Invalid payment id'),
+  ...subcontractorPaymentFields(false),
+];
+export const report1099QueryValidation = [
+  query('year').isInt({ min: 2000, max: 2100 }).withMessage('Year is required').toInt(),
+  query('threshold').optional({ values: 'falsy' }).isFloat({ min: 0 }).withMessage('Threshold must be a positive amount').toFloat(),
+];
+export const coiRenewalPostValidation = [
+  param('id').isUUID().withMessage('Invalid subcontractor id'),
+  body('expiration_date').trim().matches(/^\d{4}-\d{2}-\d{2}$/).withMessage('Expiration date is required (YYYY-MM-DD)'),
+  body('effective_date').optional({ values: 'falsy' }).trim().matches(/^\d{4}-\d{2}-\d{2}$/).withMessage('Effective date must be YYYY-MM-DD'),
+  body('document_id').optional({ values: 'falsy' }).isUUID().withMessage('Invalid document id'),
+  body('carrier').optional({ values: 'null' }).trim().isLength(maxStr(255)),
+  body('policy_number').optional({ values: 'null' }).trim().isLength(maxStr(100)),
   body('notes').optional({ values: 'null' }).trim().isLength(maxStr(5000)),
 ];
+export const coiSettingsPutValidation = [
+  optionalBool('alerts_enabled'),
+  body('alert_days').optional({ values: 'null' }).isInt({ min: 1, max: 180 }).withMessage('Alert window must be between 1 and 180 days'),
+  body('expired_assignment').optional({ values: 'null' }).isIn(['warn', 'block']).withMessage('Expired assignment must be warn or block'),
+];
 
 // --- Goals ---
 const dataPointTypes = ['profit', 'est_value', 'leads', 'projects_sold', 'total_customers', 'active_projects', 'completed_projects'];
@@ -208,6 +340,307 @@ export const goalPutValidation = [
   body('target_date').optional({ values: 'null' }).trim().custom((v) => !v || !isNaN(Date.parse(v))).withMessage('Target date must be a valid date'),
 ];
 
+// --- Audit log ---
+export const auditLogQueryValidation = [
+  query('entity_type').optional({ values: 'falsy' }).isIn(AUDIT_ENTITY_TYPES).withMessage('Invalid entity type'),
+  query('action').optional({ values: 'falsy' }).isIn(AUDIT_ACTIONS).withMessage('Invalid action'),
+  query('actor').optional({ values: 'falsy' }).isUUID().withMessage('Invalid actor'),
+  query('entity_id').optional({ values: 'falsy' }).trim().isLength(maxStr(500)),
+  query('from').optional({ values: 'falsy' }).custom((v) => !isNaN(Date.parse(v))).withMessage('From must be a valid date'),
+  query('to').optional({ values: 'falsy' }).custom((v) => !isNaN(Date.parse(v))).withMessage('To must be a valid date'),
+  query('limit').optional({ values: 'falsy' }).isInt({ min: 1, max: 200 }).withMessage('Limit must be between 1 and 200'),
+  query('offset').optional({ values: 'falsy' }).isInt({ min: 0 }).withMessage('Offset must be non-negative'),
+];
+
+// --- List endpoints (paging, search, sort) ---
+// Sort columns and filter values are whitelisted per resource in services/listQuery.js
+export const listQueryValidation = [
+  query('limit').optional({ values: 'falsy' }).isInt({ min: 1, max: 200 }).withMessage('Limit must be between 1 and 200'),
+  query('offset').optional({ values: 'falsy' }).isInt({ min: 0 }).withMessage('Offset must be non-negative'),
+  query('search').optional({ values: 'falsy' }).isString().trim().isLength(maxStr(200)).withMessage('Search is too long'),
+  query('sort').optional({ values: 'falsy' }).matches(/^[a-z_]+$/).withMessage('Invalid sort column'),
+  query('order').optional({ values: 'falsy' }).isIn(['asc', 'desc']).withMessage('Order must be asc or desc'),
+  query(['status', 'property_type', 'project_manager', 'customer_id', 'type', 'user_type']).optional({ values: 'falsy' }).isString().isLength(maxStr(500)),
+  query('current').optional({ values: 'falsy' }).isIn(['true', 'false']).withMessage('Current must be true or false'),
+];
+
+// --- Global search ---
+export const searchQueryValidation = [
+  query('q').isString().trim().notEmpty().withMessage('Search query is required').isLength(maxStr(200)).withMessage('Search is too long'),
+  query('limit').optional({ values: 'falsy' }).isInt({ min: 1, max: 50 }).withMessage('Limit must be between 1 and 50'),
+];
+
+// --- Trash ---
+const trashTypes = ['customer', 'project', 'project_document', 'customer_document', 'subcontractor_document', 'inventory_document'];
+export const trashItemValidation = [
+  param('type').isIn(trashTypes).withMessage('Invalid trash item type'),
+  param('id').isUUID().withMessage('Invalid id'),
+];
+export const trashSettingsValidation = [
+  body('retention_days').isInt({ min: 1, max: 365 }).withMessage('Retention must be between 1 and 365 days'),
+];
+
+// --- Customer portal ---
+export const portalLinkPostValidation = [
+  param('id').isUUID().withMessage('Invalid customer id'),
+  body('expires_in_days').optional({ values: 'null' }).isInt({ min: 1, max: 180 }).withMessage('Expiry must be between 1 and 180 days'),
+];
+export const portalTokenValidation = [
+  param('token').matches(/^[A-Za-z0-9_-]{20,200}$/).withMessage('Invalid link'),
+  param('documentId').optional().isUUID().withMessage('Invalid document id'),
+];
+
+// --- Invoices & payments ---
+const paymentMethods = ['check', 'ach', 'card', 'cash'];
+const optionalIsoDate = (field, label) => body(field).optional({ values: 'falsy' }).trim().matches(/^\d{4}-\d{2}-\d{2}$/).withMessage(`${label} must be YYYY-MM-DD`);
+export const invoicePostValidation = [
+  param('id').isUUID().withMessage('Invalid project id'),
+  body('milestone_ids').isArray({ min: 1, max: 100 }).withMessage('Select at least one milestone to invoice'),
+  body('milestone_ids.*').isUUID().withMessage('Invalid milestone id'),
+  optionalIsoDate('invoice_date', 'Invoice date'),
+  optionalIsoDate('due_date', 'Due date').custom((v, { req }) => !req.body.invoice_date || v >= req.body.invoice_date).withMessage('Due date cannot be before the invoice date'),
+  body('notes').optional({ values: 'null' }).isString().isLength({ max: 2000 }).withMessage('Notes are too long'),
+];
+export const invoicePaymentPostValidation = [
+  param('id').isUUID().withMessage('Invalid invoice id'),
+  body('amount').isFloat({ gt: 0 }).withMessage('Amount must be greater than zero'),
+  body('method').trim().isIn(paymentMethods).withMessage('Method must be check, ach, card or cash'),
+  body('reference').optional({ values: 'null' }).trim().isLength({ max: 100 }).withMessage('Reference is too long'),
+  optionalIsoDate('paid_on', 'Payment date'),
+  body('notes').optional({ values: 'null' }).isString().isLength({ max: 2000 }).withMessage('Notes are too long'),
+];
+
+// --- Change orders ---
+const changeOrderStatuses = ['draft', 'sent', 'approved', 'rejected'];
+const changeOrderFields = (requireTitle) => [
+  requireTitle
+    ? body('title').trim().notEmpty().withMessage('Title is required').isLength(maxStr(255))
+    : body('title').optional().trim().notEmpty().withMessage('Title cannot be empty').isLength(maxStr(255)),
+  body('description').optional({ values: 'null' }).isString().isLength({ max: 5000 }).withMessage('Description is too long'),
+  body('contract_document_id').optional({ values: 'falsy' }).isUUID().withMessage('Invalid contract document id'),
+  body('document_id').optional({ values: 'falsy' }).isUUID().withMessage('Invalid document id'),
+  body('price_delta').optional({ values: 'null' }).isFloat({ min: -100000000, max: 100000000 }).withMessage('Price change must be a number'),
+  body('schedule_delta_days').optional({ values: 'null' }).isInt({ min: -3650, max: 3650 }).withMessage('Schedule change must be a whole number of days'),
+];
+export const changeOrderPostValidation = [
+  param('id').isUUID().withMessage('Invalid project id'),
+  ...changeOrderFields(true),
+];
+export const changeOrderPutValidation = [
+  param('id').isUUID().withMessage('Invalid change order id'),
+  ...changeOrderFields(false),
+];
+const scheduleDate = (field, label) =>
+  body(field).optional({ values: 'falsy' }).matches(/^\d{4}-\d{2}-\d{2}$/).withMessage(`${label} must be YYYY-MM-DD`);
+const scheduleTaskFields = (required) => [
+  required
+    ? body('name').trim().notEmpty().withMessage('Task name is required').isLength(maxStr(255))
+    : body('name').optional().trim().notEmpty().withMessage('Task name cannot be empty').isLength(maxStr(255)),
+  body('duration_days').optional().isInt({ min: 1, max: 365 }).withMessage('Duration must be 1-365 days').toInt(),
+  scheduleDate('planned_start', 'Planned start'),
+  scheduleDate('actual_start', 'Actual start'),
+  scheduleDate('actual_end', 'Actual finish'),
+  body('subcontractor_fee_id').optional({ values: 'falsy' }).isUUID().withMessage('Invalid subcontractor fee'),
+  body('subcontractor_id').optional({ values: 'falsy' }).isUUID().withMessage('Invalid subcontractor'),
+  body('employee_id').optional({ values: 'falsy' }).isUUID().withMessage('Invalid employee'),
+  body('notes').optional({ values: 'null' }).trim().isLength(maxStr(5000)),
+  body('depends_on').optional().isArray({ max: 50 }).withMessage('depends_on must be a list of tasks'),
+  body('depends_on.*.task_id').isUUID().withMessage('Invalid dependency task'),
+  body('depends_on.*.lag_days').optional({ values: 'null' }).isInt({ min: -90, max: 365 }).withMessage('Lag must be -90 to 365 days'),
+];
+export const scheduleTaskPostValidation = [
+  param('id').isUUID().withMessage('Invalid project id'),
+  ...scheduleTaskFields(true),
+];
+export const scheduleTaskPutValidation = [
+  param('id').isUUID().withMessage('Invalid project id'),
+  param('taskId').isUUID().withMessage('Invalid task id'),
+  ...scheduleTaskFields(false),
+];
+export const scheduleGenerateValidation = [
+  param('id').isUUID().withMessage('Invalid project id'),
+  scheduleDate('start_date', 'Start date'),
+];
+export const changeOrderStatusValidation = [
+  param('id').isUUID().withMessage('Invalid change order id'),
+  body('status').isIn(changeOrderStatuses).withMessage('Status must be draft, sent, approved or rejected'),
+  body('note').optional({ values: 'null' }).isString().isLength({ max: 2000 }).withMessage('Note is too long'),
+];
+
+// --- Generated documents (proposals, contracts, change orders) ---
+const contractDocumentTypes = ['contract', 'proposal', 'change_order'];
+const timeZoneField = () =>
+  body('time_zone').optional({ values: 'falsy' }).isString().custom((timeZone) => {
+    new Intl.DateTimeFormat('en-US', { timeZone }); // throws RangeError for unknown zones
+    return true;
+  }).withMessage('Unknown time zone');
+export const contractDataValidation = [
+  param('id').isUUID().withMessage('Invalid project id'),
+  body('document_type').optional().isIn(contractDocumentTypes).withMessage('Document type must be contract, proposal or change_order'),
+  timeZoneField(),
+];
+export const generateDocumentValidation = [
+  param('id').isUUID().withMessage('Invalid project id'),
+  body('document_type').isIn(contractDocumentTypes).withMessage('Document type must be contract, proposal or change_order'),
+  body('name').optional({ values: 'falsy' }).isString().trim().isLength(maxStr(255)),
+  timeZoneField(),
+];
+
+// --- Calendar events ---
+// Must match EVENT_TYPES / RECURRENCE_FREQUENCIES in services/calendarEvents.js
+const calendarEventTypes = ['site_visit', 'inspection', 'meeting', 'delivery', 'subcontractor', 'other'];
+const recurrenceFrequencies = ['daily', 'weekly', 'monthly', 'yearly'];
+const calendarEventFields = (required) => [
+  required
+    ? body('title').trim().notEmpty().withMessage('Title is required').isLength(maxStr(255))
+    : body('title').optional().trim().notEmpty().withMessage('Title cannot be empty').isLength(maxStr(255)),
+  body('description').optional({ values: 'null' }).trim().isLength(maxStr(5000)),
+  body('location').optional({ values: 'null' }).trim().isLength(maxStr(500)),
+  body('event_type').optional().isIn(calendarEventTypes).withMessage('Invalid event type'),
+  body('project_id').optional({ values: 'falsy' }).isUUID().withMessage('Invalid project'),
+  body('customer_id').optional({ values: 'falsy' }).isUUID().withMessage('Invalid customer'),
+  body('all_day').optional().isBoolean().withMessage('all_day must be true or false').toBoolean(),
+  required
+    ? body('starts_at').isISO8601().withMessage('Start is required')
+    : body('starts_at').optional().isISO8601().withMessage('Invalid start'),
+  body('ends_at').optional({ values: 'falsy' }).isISO8601().withMessage('Invalid end'),
+  timeZoneField(),
+  body('recurrence').optional({ values: 'null' }).isObject().withMessage('Invalid repeat settings'),
+  body('recurrence.frequency').optional({ values: 'falsy' }).isIn(recurrenceFrequencies).withMessage('Repeat must be daily, weekly, monthly or yearly'),
+  body('recurrence.interval').optional({ values: 'falsy' }).isInt({ min: 1, max: 99 }).withMessage('Repeat interval must be 1-99').toInt(),
+  body('recurrence.until').optional({ values: 'falsy' }).matches(/^\d{4}-\d{2}-\d{2}$/).withMessage('Repeat end date must be YYYY-MM-DD'),
+  body('recurrence.count').optional({ values: 'falsy' }).isInt({ min: 1, max: 999 }).withMessage('Occurrences must be 1-999').toInt(),
+  body('assignee_ids').optional().isArray({ max: 50 }).withMessage('assignee_ids must be a list of employees'),
+  body('assignee_ids.*').isUUID().withMessage('Invalid assignee'),
+];
+export const calendarEventPostValidation = calendarEventFields(true);
+export const calendarEventPutValidation = [
+  param('id').isUUID().withMessage('Invalid event id'),
+  ...calendarEventFields(false),
+];
+export const calendarEventListValidation = [
+  query('start').isISO8601().withMessage('start is required'),
+  query('end').isISO8601().withMessage('end is required'),
+  query('project_id').optional({ values: 'falsy' }).isUUID().withMessage('Invalid project id'),
+  query('customer_id').optional({ values: 'falsy' }).isUUID().withMessage('Invalid customer id'),
+  query('employee_id').optional({ values: 'falsy' }).isUUID().withMessage('Invalid employee id'),
+];
+export const calendarFeedTokenValidation = [
+  param('token').matches(/^[A-Za-z0-9_-]{20,200}$/).withMessage('Invalid feed'),
+];
+export const googleCalendarSyncPutValidation = [
+  body('enabled').isBoolean().withMessage('enabled must be true or false').toBoolean(),
+  body('calendar_id').optional({ values: 'falsy' }).isString().trim().isLength(maxStr(255)),
+  body('calendar_name').optional({ values: 'null' }).isString().trim().isLength(maxStr(255)),
+];
+
+// --- Contract clause library ---
+const clauseTitleField = () => body('title').trim().notEmpty().withMessage('Clause title is required').isLength(maxStr(255));
+const clauseBodyField = () => body('body').isString().trim().notEmpty().withMessage('Clause text is required').isLength(maxStr(20000));
+export const contractClauseValidation = [
+  clauseTitleField(),
+  clauseBodyField(),
+];
+export const contractClausePutValidation = [
+  param('id').isUUID().withMessage('Invalid clause id'),
+  clauseTitleField().optional(),
+  clauseBodyField().optional(),
+];
+export const clauseLayoutValidation = [
+  param('documentType').isIn(contractDocumentTypes).withMessage('Document type must be contract, proposal or change_order'),
+  body('clause_ids').isArray({ max: 100 }).withMessage('clause_ids must be a list of at most 100 clauses'),
+  body('clause_ids.*').isUUID().withMessage('Invalid clause id'),
+];
+
+// --- Proposal option packages ---
+const proposalOptionFields = () => [
+  body('description').optional({ values: 'null' }).isString().isLength(maxStr(2000)),
+  body('milestones').optional().isArray({ max: 50 }).withMessage('milestones must be a list of at most 50 payments'),
+  body('milestones.*.name').optional().isString().isLength(maxStr(255)),
+  body('milestones.*.customer_price').optional({ values: 'null' }).isFloat({ min: 0 }).withMessage('Milestone price must be non-negative'),
+  body('scope_of_work').optional().isArray({ max: 100 }).withMessage('scope_of_work must be a list of at most 100 items'),
+  body('scope_of_work.*.title').optional().isString().isLength(maxStr(255)),
+  body('scope_of_work.*.description').optional({ values: 'null' }).isString().isLength(maxStr(5000)),
+];
+export const proposalOptionPostValidation = [
+  param('id').isUUID().withMessage('Invalid project id'),
+  body('name').trim().notEmpty().withMessage('Option name is required').isLength(maxStr(255)),
+  ...proposalOptionFields(),
+];
+export const proposalOptionPutValidation = [
+  param('id').isUUID().withMessage('Invalid option id'),
+  body('name').optional().trim().notEmpty().withMessage('Option name cannot be empty').isLength(maxStr(255)),
+  body('sort_order').optional().isInt({ min: 0 }).withMessage('Sort order must be non-negative'),
+  ...proposalOptionFields(),
+];
+export const proposalOptionSelectValidation = [
+  param('documentId').isUUID().withMessage('Invalid document id'),
+  body('option_id').optional({ values: 'null' }).isUUID().withMessage('Invalid option id'),
+];
+export const portalOptionSelectValidation = [
+  ...portalTokenValidation,
+  body('option_id').isUUID().withMessage('Choose an option'),
+];
+
+// --- Pool specs & estimating ---
+// Must match POOL_SHAPES / ESTIMATE_QUANTITIES in services/poolEstimating.js
+const poolShapes = ['rectangle', 'l_shape', 'kidney', 'freeform', 'oval'];
+const estimatingRateKeys = ['excavation', 'gunite', 'plaster', 'tile', 'coping', 'raised_wall'];
+const feetField = (name, max) => body(name).optional({ values: 'null' }).isFloat({ min: 0, max }).withMessage(`${name} must be between 0 and ${max} feet`);
+export const poolSpecPutValidation = [
+  param('id').isUUID().withMessage('Invalid project id'),
+  body('shape').optional().isIn(poolShapes).withMessage('Invalid pool shape'),
+  feetField('length_ft', 500),
+  feetField('width_ft', 500),
+  feetField('shallow_depth_ft', 30),
+  feetField('deep_depth_ft', 30),
+  optionalBool('has_spa'),
+  feetField('spa_length_ft', 50),
+  feetField('spa_width_ft', 50),
+  feetField('spa_depth_ft', 10),
+  feetField('raised_wall_length_ft', 1000),
+  feetField('raised_wall_height_ft', 20),
+  feetField('tile_linear_ft', 5000),
+  feetField('coping_linear_ft', 5000),
+  body('equipment').optional().isArray({ max: 100 }).withMessage('equipment must be a list of at most 100 items'),
+  body('equipment.*.inventory_id').optional().isUUID().withMessage('Invalid inventory item'),
+  body('equipment.*.quantity').optional({ values: 'null' }).isInt({ min: 1, max: 1000 }).withMessage('Equipment quantity must be between 1 and 1000'),
+];
+export const estimatingRatesPutValidation = [
+  body('rates').isObject().withMessage('Rates must be an object'),
+  body('rates').custom((rates) => Object.keys(rates).every((key) => estimatingRateKeys.includes(key))).withMessage('Unknown estimating rate'),
+  body('rates.*.inventory_id').optional({ values: 'null' }).isUUID().withMessage('Invalid inventory item'),
+  body('rates.*.unit_cost').optional({ values: 'null' }).isFloat({ min: 0 }).withMessage('Unit cost must be non-negative'),
+];
+
+// --- Document snapshots ---
+export const snapshotDiffQueryValidation = [
+  param('id').isUUID().withMessage('Invalid project id'),
+  query('from').isUUID().withMessage('Choose the snapshot to compare from'),
+  query('to').isUUID().withMessage('Choose the snapshot to compare to'),
+];
+
+// --- Receivables & payment reminders ---
+export const invoiceReminderPostValidation = [
+  param('id').isUUID().withMessage('Invalid invoice id'),
+];
+export const reminderSettingsPutValidation = [
+  optionalBool('enabled'),
+  body('interval_days').optional({ values: 'null' }).isInt({ min: 1, max: 90 }).withMessage('Reminder interval must be between 1 and 90 days'),
+  timeZoneField(),
+];
+export const reminderLogQueryValidation = [
+  query('invoice_id').optional({ values: 'falsy' }).isUUID().withMessage('Invalid invoice id'),
+  query('limit').optional({ values: 'falsy' }).isInt({ min: 1, max: 500 }).withMessage('Limit must be between 1 and 500').toInt(),
+];
+
+// --- Permission matrix ---
+export const permissionsPutValidation = [
+  body('matrix').isObject().withMessage('Matrix must be an object'),
+  body('matrix.user_types').optional().isObject().withMessage('User types must be an object'),
+  body('matrix.roles').optional().isObject().withMessage('Roles must be an object'),
+];
+
 // --- Params: UUID or numeric id ---
 export const uuidParam = (name) => [param(name).isUUID().withMessage(`Invalid ${name}`)];
 export const idParam = (name) => [param(name).notEmpty().withMessage(`${name} is required`)];
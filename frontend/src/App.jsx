@@ -8,6 +8,7 @@ import TermsOfService from './pages/TermsOfService'
 import PrivacyPolicy from './pages/PrivacyPolicy'
 import RefundPolicy from './pages/RefundPolicy'
 import Contact from './pages/Contact'
+import CustomerPortal from './pages/CustomerPortal'
 import { AuthProvider } from './context/AuthContext'
 import { ThemeProvider } from './context/ThemeContext'
 import ShaderBackground from './components/ShaderBackground'
@@ -29,6 +30,7 @@ function AppContent() {
         <Route path="/privacy" element={<PrivacyPolicy />} />
         <Route path="/refund" element={<RefundPolicy />} />
         <Route path="/contact" element={<Contact />} />
+        <Route path="/portal/:token" element={<CustomerPortal />} />
         <Route path="*" element={<Navigate to="/" replace />} />
       </Routes>
     </div>
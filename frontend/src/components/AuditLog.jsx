@@ -0,0 +1,301 @@
+import { useState } from 'react'
+import { useAuditLog, useEmployees } from '../hooks/useApi'
+
+const PAGE_SIZE = 50
+
+const ENTITY_TYPES = [
+  { value: 'customer', label: 'Customer' },
+  { value: 'project', label: 'Project' },
+  { value: 'expense', label: 'Expense' },
+  { value: 'milestone', label: 'Milestones' },
+  { value: 'inventory', label: 'Inventory' },
+  { value: 'subcontractor', label: 'Subcontractor' },
+  { value: 'employee', label: 'Employee' },
+  { value: 'document', label: 'Document' },
+  { value: 'company', label: 'Company' },
+  { value: 'whitelist', label: 'Whitelist' },
+  { value: 'portal_link', label: 'Portal link' },
+  { value: 'invoice', label: 'Invoice' },
+  { value: 'payment', label: 'Payment' },
+  { value: 'change_order', label: 'Change order' },
+  { value: 'contract_clause', label: 'Contract clause' },
+  { value: 'proposal_option', label: 'Proposal option' },
+  { value: 'supplier', label: 'Supplier' },
+  { value: 'purchase_order', label: 'Purchase order' },
+  { value: 'schedule_task', label: 'Schedule task' },
+  { value: 'calendar_event', label: 'Calendar event' },
+]
+
+const ACTIONS = [
+  { value: 'create', label: 'Created' },
+  { value: 'update', label: 'Updated' },
+  { value: 'delete', label: 'Deleted' },
+  { value: 'restore', label: 'Restored' },
+  { value: 'purge', label: 'Purged' },
+]
+
+const ACTION_STYLES = {
+  create: 'bg-green-100 text-green-800 dark:bg-green-900/30 dark:text-green-300',
+  update: 'bg-blue-100 text-blue-800 dark:bg-blue-900/30 dark:text-blue-300',
+  delete: 'bg-red-100 text-red-800 dark:bg-red-900/30 dark:text-red-300',
+  restore: 'bg-amber-100 text-amber-800 dark:bg-amber-900/30 dark:text-amber-300',
+  purge: 'bg-gray-200 text-gray-800 dark:bg-gray-700 dark:text-gray-200',
+}
+
+const EMPTY_FILTERS = {
+  entity_type: '',
+  action: '',
+  actor: '',
+  entity_id: '',
+  from: '',
+  to: '',
+}
+
+const formatValue = (value) => {
+  if (value === null || value === undefined || value === '') return '—'
+  if (typeof value === 'object') return JSON.stringify(value)
+  return String(value)
+}
+
+// Best-effort label for the affected record, taken from whichever side of the diff has it
+const getEntryLabel = (entry) => {
+  const changes = entry.changes || {}
+  const pick = (field) => changes[field]?.after ?? changes[field]?.before
+  const firstLast = [pick('first_name'), pick('last_name')].filter(Boolean).join(' ')
+  return pick('project_name') || pick('name') || firstLast || pick('company_name') || pick('email') || pick('file_name') || null
+}
+
+function AuditLog() {
+  const [filters, setFilters] = useState(EMPTY_FILTERS)
+  const [page, setPage] = useState(0)
+  const [expandedId, setExpandedId] = useState(null)
+
+  const { data: employees = [] } = useEmployees()
+  const { data, isLoading, isFetching, error } = useAuditLog({
+    ...filters,
+    // Date inputs are whole days; widen them to cover the full local day
+    from: filters.from ? new Date(`${filters.from}T00:00:00`).toISOString() : '',
+    to: filters.to ? new Date(`${filters.to}T23:59:59.999`).toISOString() : '',
+    limit: PAGE_SIZE,
+    offset: page * PAGE_SIZE,
+  })
+
+  const entries = data?.entries || []
+  const total = data?.total || 0
+  const pageCount = Math.max(1, Math.ceil(total / PAGE_SIZE))
+
+  const handleFilterChange = (field, value) => {
+    setFilters((prev) => ({ ...prev, [field]: value }))
+    setPage(0)
+  }
+
+  const clearFilters = () => {
+    setFilters(EMPTY_FILTERS)
+    setPage(0)
+  }
+
+  const hasFilters = Object.values(filters).some(Boolean)
+  const inputClass = 'w-full px-3 py-2 border border-gray-300 dark:border-gray-600 rounded-md focus:outline-none focus:ring-2 focus:ring-pool-blue focus:border-transparent bg-white dark:bg-gray-700 text-sm text-gray-900 dark:text-white'
+  const labelClass = 'block text-xs font-medium text-gray-600 dark:text-gray-400 mb-1'
+
+  return (
+    <div className="space-y-6">
+      {/* Header */}
+      <div>
+        <h2 className="text-2xl font-bold text-gray-800 dark:text-white">Audit Log</h2>
+        <p className="text-gray-600 dark:text-gray-400 mt-1">Every change made in your company, who made it and what changed</p>
+      </div>
+
+      {/* Filters */}
+      <div className="bg-white dark:bg-gray-800 rounded-lg shadow p-4">
+        <div className="grid grid-cols-1 sm:grid-cols-2 lg:grid-cols-6 gap-3">
+          <div>
+            <label className={labelClass}>Record type</label>
+            <select value={filters.entity_type} onChange={(e) => handleFilterChange('entity_type', e.target.value)} className={inputClass}>
+              <option value="">All</option>
+              {ENTITY_TYPES.map((t) => (
+                <option key={t.value} value={t.value}>{t.label}</option>
+              ))}
+            </select>
+          </div>
+          <div>
+            <label className={labelClass}>Action</label>
+            <select value={filters.action} onChange={(e) => handleFilterChange('action', e.target.value)} className={inputClass}>
+              <option value="">All</option>
+              {ACTIONS.map((a) => (
+                <option key={a.value} value={a.value}>{a.label}</option>
+              ))}
+            </select>
+          </div>
+          <div>
+            <label className={labelClass}>Changed by</label>
+            <select value={filters.actor} onChange={(e) => handleFilterChange('actor', e.target.value)} className={inputClass}>
+              <option value="">Anyone</option>
+              {employees.map((emp) => (
+                <option key={emp.id} value={emp.id}>{emp.name}</option>
+              ))}
+            </select>
+          </div>
+          <div>
+            <label className={labelClass}>Record ID</label>
+            <input
+              type="text"
+              value={filters.entity_id}
+              onChange={(e) => handleFilterChange('entity_id', e.target.value.trim())}
+              placeholder="Any"
+              className={inputClass}
+            />
+          </div>
+          <div>
+            <label className={labelClass}>From</label>
+            <input type="date" value={filters.from} onChange={(e) => handleFilterChange('from', e.target.value)} className={inputClass} />
+          </div>
+          <div>
+            <label className={labelClass}>To</label>
+            <input type="date" value={filters.to} onChange={(e) => handleFilterChange('to', e.target.value)} className={inputClass} />
+          </div>
+        </div>
+        {hasFilters && (
+          <button
+            onClick={clearFilters}
+            className="mt-3 text-sm text-pool-blue hover:text-pool-dark font-medium"
+          >
+            Clear filters
+          </button>
+        )}
+      </div>
+
+      {error && (
+        <div className="p-3 bg-red-50 border border-red-200 text-red-700 rounded-md text-sm">
+          {error?.response?.data?.error || 'Failed to load audit log'}
+        </div>
+      )}
+
+      {/* Entries */}
+      <div className="bg-white dark:bg-gray-800 rounded-lg shadow overflow-hidden">
+        {isLoading ? (
+          <div className="flex items-center justify-center py-12">
+            <div className="animate-spin rounded-full h-10 w-10 border-b-2 border-pool-blue"></div>
+          </div>
+        ) : entries.length === 0 ? (
+          <p className="text-center py-12 text-gray-500 dark:text-gray-400">No audit entries found</p>
+        ) : (
+          <div className="overflow-x-auto">
+            <table className="min-w-full divide-y divide-gray-200 dark:divide-gray-700">
+              <thead className="bg-gray-50 dark:bg-gray-700">
+                <tr>
+                  <th className="px-4 py-3 text-left text-xs font-medium text-gray-500 dark:text-gray-300 uppercase tracking-wider">When</th>
+                  <th className="px-4 py-3 text-left text-xs font-medium text-gray-500 dark:text-gray-300 uppercase tracking-wider">Who</th>
+                  <th className="px-4 py-3 text-left text-xs font-medium text-gray-500 dark:text-gray-300 uppercase tracking-wider">Action</th>
+                  <th className="px-4 py-3 text-left text-xs font-medium text-gray-500 dark:text-gray-300 uppercase tracking-wider">Record</th>
+                  <th className="px-4 py-3 text-left text-xs font-medium text-gray-500 dark:text-gray-300 uppercase tracking-wider">Changes</th>
+                </tr>
+              </thead>
+              <tbody className="divide-y divide-gray-200 dark:divide-gray-700">
+                {entries.map((entry) => {
+                  const changedFields = Object.keys(entry.changes || {})
+                  const isExpanded = expandedId === entry.id
+                  const entityLabel = ENTITY_TYPES.find((t) => t.value === entry.entity_type)?.label || entry.entity_type
+                  const recordLabel = getEntryLabel(entry)
+
+                  return (
+                    <tr key={entry.id} className="align-top">
+                      <td className="px-4 py-3 text-sm text-gray-700 dark:text-gray-300 whitespace-nowrap">
+                        {new Date(entry.created_at).toLocaleString()}
+                      </td>
+                      <td className="px-4 py-3 text-sm text-gray-900 dark:text-white">
+                        <div>{entry.actor_name || 'Unknown'}</div>
+                        {entry.actor_email && (
+                          <div className="text-xs text-gray-500 dark:text-gray-400">{entry.actor_email}</div>
+                        )}
+                      </td>
+                      <td className="px-4 py-3 text-sm">
+                        <span className={`px-2 py-0.5 rounded-full text-xs font-semibold ${ACTION_STYLES[entry.action] || 'bg-gray-100 text-gray-800'}`}>
+                          {ACTIONS.find((a) => a.value === entry.action)?.label || entry.action}
+                        </span>
+                      </td>
+                      <td className="px-4 py-3 text-sm text-gray-900 dark:text-white">
+                        <div className="font-medium">{entityLabel}{recordLabel ? `: ${recordLabel}` : ''}</div>
+                        <button
+                          onClick={() => handleFilterChange('entity_id', entry.entity_id || '')}
+                          className="text-xs text-gray-500 dark:text-gray-400 hover:text-pool-blue break-all text-left"
+                          title="Show history for this record"
+                        >
+                          {entry.entity_id}
+                        </button>
+                      </td>
+                      <td className="px-4 py-3 text-sm text-gray-700 dark:text-gray-300 min-w-[16rem]">
+                        {changedFields.length === 0 && !entry.metadata ? (
+                          <span className="text-gray-400">—</span>
+                        ) : (
+                          <>
+                            <button
+                              onClick={() => setExpandedId(isExpanded ? null : entry.id)}
+                              className="text-pool-blue hover:text-pool-dark font-medium"
+                            >
+                              {isExpanded ? 'Hide' : 'Show'} {changedFields.length} field{changedFields.length === 1 ? '' : 's'}
+                            </button>
+                            {isExpanded && (
+                              <div className="mt-2 space-y-1">
+                                {changedFields.map((field) => (
+                                  <div key={field} className="text-xs break-words">
+                                    <span className="font-semibold text-gray-800 dark:text-gray-200">{field}</span>
+                                    {': '}
+                                    {entry.action !== 'create' && (
+                                      <span className="text-red-700 dark:text-red-300 line-through">{formatValue(entry.changes[field].before)}</span>
+                                    )}
+                                    {['update', 'restore'].includes(entry.action) && ' → '}
+                                    {!['delete', 'purge'].includes(entry.action) && (
+                                      <span className="text-green-700 dark:text-green-300">{formatValue(entry.changes[field].after)}</span>
+                                    )}
+                                  </div>
+                                ))}
+                                {entry.metadata && (
+                                  <div className="text-xs text-gray-500 dark:text-gray-400 break-words">
+                                    {Object.entries(entry.metadata).map(([key, value]) => `${key}: ${formatValue(value)}`).join(' · ')}
+                                  </div>
+                                )}
+                              </div>
+                            )}
+                          </>
+                        )}
+                      </td>
+                    </tr>
+                  )
+                })}
+              </tbody>
+            </table>
+          </div>
+        )}
+
+        {/* Pagination */}
+        {total > 0 && (
+          <div className="flex items-center justify-between px-4 py-3 border-t border-gray-200 dark:border-gray-700">
+            <p className="text-sm text-gray-600 dark:text-gray-400">
+              {page * PAGE_SIZE + 1}–{Math.min((page + 1) * PAGE_SIZE, total)} of {total}
+              {isFetching && !isLoading && <span className="ml-2 text-gray-400">Updating…</span>}
+            </p>
+            <div className="flex gap-2">
+              <button
+                onClick={() => setPage((p) => Math.max(0, p - 1))}
+                disabled={page === 0}
+                className="px-3 py-1.5 text-sm border border-gray-300 dark:border-gray-600 rounded-md text-gray-700 dark:text-gray-300 hover:bg-gray-50 dark:hover:bg-gray-700 disabled:opacity-50"
+              >
+                Previous
+              </button>
+              <button
+                onClick={() => setPage((p) => Math.min(pageCount - 1, p + 1))}
+                disabled={page >= pageCount - 1}
+                className="px-3 py-1.5 text-sm border border-gray-300 dark:border-gray-600 rounded-md text-gray-700 dark:text-gray-300 hover:bg-gray-50 dark:hover:bg-gray-700 disabled:opacity-50"
+              >
+                Next
+              </button>
+            </div>
+          </div>
+        )}
+      </div>
+    </div>
+  )
+}
+
+export default AuditLog
@@ -1,10 +1,14 @@
-import { useState, useEffect, useRef } from 'react'
+import { useState, useEffect, useRef, useMemo } from 'react'
 import { Calendar as BigCalendar, dateFnsLocalizer } from 'react-big-calendar'
-import { format, parse, startOfWeek, getDay } from 'date-fns'
+import { format, parse, startOfWeek, endOfWeek, startOfMonth, endOfMonth, addDays, getDay } from 'date-fns'
 import { enUS } from 'date-fns/locale'
 import { useAuth } from '../context/AuthContext'
 import axios from 'axios'
 import AddressAutocomplete from './AddressAutocomplete'
+import CalendarEventModal, { EVENT_TYPES } from './CalendarEventModal'
+import CalendarFeedModal from './CalendarFeedModal'
+import GoogleCalendarSyncPanel from './GoogleCalendarSyncPanel'
+import { useCalendarEvents, useProjects, useEmployees } from '../hooks/useApi'
 import 'react-big-calendar/lib/css/react-big-calendar.css'
 
 // Create localizer using date-fns
@@ -20,9 +24,54 @@ const localizer = dateFnsLocalizer({
   locales,
 })
 
+const GOOGLE_COLOR = '#4285F4'
+const EVENT_TYPE_COLORS = Object.fromEntries(EVENT_TYPES.map((t) => [t.value, t.color]))
+
+// Days shown by the month view around a date (whole weeks), as { start, end } with end exclusive
+const monthViewRange = (date) => ({
+  start: startOfWeek(startOfMonth(date)),
+  end: addDays(endOfWeek(endOfMonth(date)), 1),
+})
+
+// react-big-calendar passes an array of days (week/day views) or { start, end } (month/agenda, end inclusive)
+const normalizeRange = (range) => {
+  if (Array.isArray(range)) {
+    return { start: range[0], end: addDays(range[range.length - 1], 1) }
+  }
+  return { start: range.start, end: addDays(range.end, 1) }
+}
+
+// All-day events are stored midnight UTC to midnight UTC, so show them on those calendar days locally
+const utcDayToLocal = (iso) => {
+  const [year, month, day] = iso.slice(0, 10).split('-').map(Number)
+  return new Date(year, month - 1, day)
+}
+
+/**
+ * Company calendar: events stored in the CRM (linked to projects, customers and assignees, optionally repeating)
+ * merged with the user's Google Calendar when it is connected.
+ */
 function Calendar({ isActive = true }) {
   const { user, supabase, getAuthHeaders } = useAuth()
-  
+
+  // Company events state
+  const [range, setRange] = useState(() => monthViewRange(new Date()))
+  const [onlyMine, setOnlyMine] = useState(false)
+  const [projectFilter, setProjectFilter] = useState('')
+  const [showGoogle, setShowGoogle] = useState(true)
+  const [eventModal, setEventModal] = useState(null)
+  const [showFeedModal, setShowFeedModal] = useState(false)
+  const [message, setMessage] = useState('')
+  const { data: employees = [] } = useEmployees()
+  const { data: projects = [] } = useProjects()
+  const currentEmployee = employees.find((emp) => emp.email_address?.toLowerCase() === user?.email?.toLowerCase())
+  const { data: internalOccurrences = [], isFetching: internalLoading, error: internalError } = useCalendarEvents({
+    start: range.start.toISOString(),
+    end: range.end.toISOString(),
+    projectId: projectFilter || null,
+    employeeId: onlyMine ? currentEmployee?.id : null,
+  })
+
   // Google Calendar state
   const [googleConnected, setGoogleConnected] = useState(false)
   const [googleEmail, setGoogleEmail] = useState('')
@@ -236,8 +285,11 @@ function Calendar({ isActive = true }) {
         },
       })
 
+      // Synced copies of our own events are skipped; the originals are already on the calendar
+      const googleOnly = (response.data.events || []).filter((event) => !event.extendedProperties?.private?.tovyallaEventId)
+
       // Transform Google Calendar events for react-big-calendar
-      const transformedEvents = (response.data.events || []).map((event) => {
+      const transformedEvents = googleOnly.map((event) => {
         const start = event.start?.dateTime || event.start?.date
         const end = event.end?.dateTime || event.end?.date
 
@@ -448,32 +500,6 @@ function Calendar({ isActive = true }) {
     setShowGoogleForm(true)
   }
 
-  // Handle Google Calendar slot selection
-  const handleGoogleSelectSlot = ({ start }) => {
-    if (!googleConnected) return
-
-    const dateStr = `${start.getFullYear()}-${String(start.getMonth() + 1).padStart(2, '0')}-${String(start.getDate()).padStart(2, '0')}`
-    const timeStr = `${String(start.getHours()).padStart(2, '0')}:${String(start.getMinutes()).padStart(2, '0')}`
-
-    setGoogleFormData({
-      name: '',
-      date: dateStr,
-      time: timeStr,
-      duration: 60,
-      description: '',
-      location: '',
-      reminderMinutes: '',
-      reminderType: 'popup',
-      repeat: 'none',
-      repeatEndType: 'date',
-      repeatEndDate: '',
-      repeatCount: 5,
-    })
-    setEditingGoogleEvent(null)
-    setInitialFormData(null)
-    setShowGoogleForm(true)
-  }
-
   // Reset Google Calendar form
   const resetGoogleForm = () => {
     const empty = {
@@ -497,12 +523,51 @@ function Calendar({ isActive = true }) {
   // Check if form has changes (for disabling Update button when editing)
   const hasChanges = initialFormData != null && JSON.stringify(googleFormData) !== JSON.stringify(initialFormData)
 
-  if (googleLoading && !googleConnected) {
-    return (
-      <div className="flex items-center justify-center py-12">
-        <div className="animate-spin rounded-full h-12 w-12 border-b-2 border-pool-blue"></div>
-      </div>
-    )
+  // ==================== Company Events ====================
+
+  const showMessage = (text) => {
+    setMessage(text)
+    setTimeout(() => setMessage(''), 4000)
+  }
+
+  const calendarEvents = useMemo(() => {
+    const internal = internalOccurrences.map((occ) => ({
+      id: occ.occurrence_key,
+      title: occ.project_name ? `${occ.title} - ${occ.project_name}` : occ.title,
+      start: occ.all_day ? utcDayToLocal(occ.occurrence_start) : new Date(occ.occurrence_start),
+      end: occ.all_day ? utcDayToLocal(occ.occurrence_end) : new Date(occ.occurrence_end),
+      allDay: occ.all_day,
+      resource: { internalEvent: true, event: occ },
+    }))
+    return showGoogle && googleConnected && !projectFilter && !onlyMine ? [...internal, ...googleEvents] : internal
+  }, [internalOccurrences, googleEvents, showGoogle, googleConnected, projectFilter, onlyMine])
+
+  // Clicking an empty slot adds a company event at that day and time
+  const handleSelectSlot = ({ start, end }) => {
+    const timed = start.getHours() !== 0 || start.getMinutes() !== 0
+    const finish = timed && end > start ? end : new Date(start.getTime() + 60 * 60 * 1000)
+    const startDate = `${start.getFullYear()}-${String(start.getMonth() + 1).padStart(2, '0')}-${String(start.getDate()).padStart(2, '0')}`
+    setEventModal({
+      event: null,
+      defaults: {
+        start_date: startDate,
+        end_date: startDate,
+        all_day: !timed,
+        ...(timed && {
+          start_time: format(start, 'HH:mm'),
+          end_time: format(finish, 'HH:mm'),
+        }),
+        assignee_ids: currentEmployee ? [currentEmployee.id] : [],
+      },
+    })
+  }
+
+  const handleSelectEvent = (event) => {
+    if (event.resource?.internalEvent) {
+      setEventModal({ event: event.resource.event, defaults: null })
+    } else {
+      handleGoogleEventEdit(event)
+    }
   }
 
   // When not active, render only reminder modal (keeps component mounted so reminders persist)
@@ -551,22 +616,42 @@ function Calendar({ isActive = true }) {
       <div className="flex justify-between items-center">
         <div>
           <h2 className="text-2xl font-bold text-gray-800 dark:text-white">Calendar</h2>
-          <p className="text-gray-600 dark:text-gray-400 mt-1">Manage your Google Calendar events</p>
+          <p className="text-gray-600 dark:text-gray-400 mt-1">Company events, plus your Google Calendar when connected</p>
         </div>
-        {googleConnected && (
+        <div className="flex flex-wrap gap-2">
+          <button
+            onClick={() => setShowFeedModal(true)}
+            className="px-4 py-2 border border-gray-300 dark:border-gray-600 text-gray-700 dark:text-gray-300 hover:bg-gray-50 dark:hover:bg-gray-700 font-semibold rounded-md transition-colors"
+          >
+            Subscribe
+          </button>
+          {googleConnected && (
+            <button
+              onClick={() => {
+                resetGoogleForm()
+                setEditingGoogleEvent(null)
+                setShowGoogleForm(true)
+              }}
+              className="px-4 py-2 bg-blue-600 hover:bg-blue-700 text-white font-semibold rounded-md transition-colors"
+            >
+              + Google Event
+            </button>
+          )}
           <button
-            onClick={() => {
-              resetGoogleForm()
-              setEditingGoogleEvent(null)
-              setShowGoogleForm(true)
-            }}
+            onClick={() => setEventModal({ event: null, defaults: { assignee_ids: currentEmployee ? [currentEmployee.id] : [] } })}
             className="px-4 py-2 bg-pool-blue hover:bg-pool-dark text-white font-semibold rounded-md transition-colors"
           >
             + Add Event
           </button>
-        )}
+        </div>
       </div>
 
+      {message && (
+        <div className="p-3 bg-green-50 dark:bg-green-900/30 border border-green-200 dark:border-green-800 text-green-700 dark:text-green-400 rounded-md text-sm">
+          {message}
+        </div>
+      )}
+
       {/* Google Calendar Connection Section */}
       <div className="bg-white dark:bg-gray-800 rounded-lg shadow p-6">
         <div className="flex justify-between items-center mb-4">
@@ -610,57 +695,95 @@ function Calendar({ isActive = true }) {
             {googleSuccess}
           </div>
         )}
+
+        {googleConnected && <GoogleCalendarSyncPanel />}
       </div>
 
-      {/* Google Calendar */}
-      <div className="bg-white dark:bg-gray-800 rounded-lg shadow p-6">
-        {!googleConnected ? (
-          <div className="text-center py-12">
-            <svg className="w-16 h-16 mx-auto text-gray-400 mb-4" fill="none" stroke="currentColor" viewBox="0 0 24 24">
-              <path strokeLinecap="round" strokeLinejoin="round" strokeWidth={2} d="M8 7V3m8 4V3m-9 8h10M5 21h14a2 2 0 002-2V7a2 2 0 00-2-2H5a2 2 0 00-2 2v12a2 2 0 002 2z" />
-            </svg>
-            <h3 className="text-lg font-medium text-gray-900 dark:text-white mb-2">Connect Your Calendar</h3>
-            <p className="text-gray-500 dark:text-gray-400 mb-4">Connect your Google Calendar to view and manage your events</p>
-            <button
-              onClick={handleGoogleSignIn}
-              className="px-6 py-3 bg-blue-600 hover:bg-blue-700 text-white font-semibold rounded-md transition-colors inline-flex items-center gap-2"
-            >
-              <svg className="w-5 h-5" viewBox="0 0 24 24" fill="currentColor">
-                <path d="M22.56 12.25c0-.78-.07-1.53-.2-2.25H12v4.26h5.92c-.26 1.37-1.04 2.53-2.21 3.31v2.77h3.57c2.08-1.92 3.28-4.74 3.28-8.09z" fill="#4285F4"/>
-                <path d="M12 23c2.97 0 5.46-.98 7.28-2.66l-3.57-2.77c-.98.66-2.23 1.06-3.71 1.06-2.86 0-5.29-1.93-6.16-4.53H2.18v2.84C3.99 20.53 7.7 23 12 23z" fill="#34A853"/>
-                <path d="M5.84 14.09c-.22-.66-.35-1.36-.35-2.09s.13-1.43.35-2.09V7.07H2.18C1.43 8.55 1 10.22 1 12s.43 3.45 1.18 4.93l2.85-2.22.81-.62z" fill="#FBBC05"/>
-                <path d="M12 5.38c1.62 0 3.06.56 4.21 1.64l3.15-3.15C17.45 2.09 14.97 1 12 1 7.7 1 3.99 3.47 2.18 7.07l3.66 2.84c.87-2.6 3.3-4.53 6.16-4.53z" fill="#EA4335"/>
-              </svg>
-              Connect Google Calendar
-            </button>
+      {/* Calendar */}
+      <div className="bg-white dark:bg-gray-800 rounded-lg shadow p-6 space-y-4">
+        <div className="flex flex-wrap items-center gap-4 text-sm">
+          <select
+            value={projectFilter}
+            onChange={(e) => setProjectFilter(e.target.value)}
+            className="px-3 py-2 border border-gray-300 dark:border-gray-600 rounded-md focus:outline-none focus:ring-2 focus:ring-pool-blue bg-white dark:bg-gray-700 text-gray-900 dark:text-white"
+          >
+            <option value="">All projects</option>
+            {projects.map((p) => (
+              <option key={p.id} value={p.id}>{p.project_name || p.address || 'Untitled project'}</option>
+            ))}
+          </select>
+          <label className="flex items-center gap-2 text-gray-700 dark:text-gray-300">
+            <input
+              type="checkbox"
+              checked={onlyMine}
+              onChange={(e) => setOnlyMine(e.target.checked)}
+              disabled={!currentEmployee}
+              className="rounded border-gray-300 text-pool-blue focus:ring-pool-blue"
+            />
+            Only events assigned to me
+          </label>
+          {googleConnected && (
+            <label className="flex items-center gap-2 text-gray-700 dark:text-gray-300">
+              <input
+                type="checkbox"
+                checked={showGoogle}
+                onChange={(e) => setShowGoogle(e.target.checked)}
+                className="rounded border-gray-300 text-pool-blue focus:ring-pool-blue"
+              />
+              Show Google Calendar
+            </label>
+          )}
+          {(internalLoading || (googleConnected && googleLoading)) && (
+            <div className="animate-spin rounded-full h-4 w-4 border-b-2 border-pool-blue"></div>
+          )}
+          {/* Legend */}
+          <div className="flex flex-wrap items-center gap-3 ml-auto text-xs text-gray-600 dark:text-gray-400">
+            {EVENT_TYPES.map((t) => (
+              <span key={t.value} className="flex items-center gap-1">
+                <span className="w-3 h-3 rounded-sm" style={{ backgroundColor: t.color }}></span>
+                {t.label}
+              </span>
+            ))}
+            {googleConnected && showGoogle && (
+              <span className="flex items-center gap-1">
+                <span className="w-3 h-3 rounded-sm" style={{ backgroundColor: GOOGLE_COLOR }}></span>
+                Google
+              </span>
+            )}
           </div>
-        ) : googleLoading ? (
-          <div className="flex items-center justify-center py-12">
-            <div className="animate-spin rounded-full h-12 w-12 border-b-2 border-pool-blue"></div>
+        </div>
+
+        {internalError && (
+          <div className="p-3 bg-red-50 dark:bg-red-900/30 border border-red-200 dark:border-red-800 text-red-700 dark:text-red-400 rounded-md text-sm">
+            {internalError.response?.data?.error || 'Failed to load company events'}
           </div>
-        ) : (
-          <BigCalendar
-            localizer={localizer}
-            events={googleEvents}
-            startAccessor="start"
-            endAccessor="end"
-            style={{ height: 600 }}
-            onSelectSlot={handleGoogleSelectSlot}
-            onSelectEvent={handleGoogleEventEdit}
-            selectable
-            defaultView="month"
-            views={['month', 'week', 'day', 'agenda']}
-            eventPropGetter={(event) => {
-              return {
-                style: {
-                  backgroundColor: '#4285F4',
-                  borderColor: '#4285F4',
-                  color: 'white',
-                },
-              }
-            }}
-          />
         )}
+
+        <BigCalendar
+          localizer={localizer}
+          events={calendarEvents}
+          startAccessor="start"
+          endAccessor="end"
+          style={{ height: 600 }}
+          onSelectSlot={handleSelectSlot}
+          onSelectEvent={handleSelectEvent}
+          onRangeChange={(nextRange) => setRange(normalizeRange(nextRange))}
+          selectable
+          defaultView="month"
+          views={['month', 'week', 'day', 'agenda']}
+          eventPropGetter={(event) => {
+            const color = event.resource?.internalEvent
+              ? EVENT_TYPE_COLORS[event.resource.event.event_type] || EVENT_TYPE_COLORS.other
+              : GOOGLE_COLOR
+            return {
+              style: {
+                backgroundColor: color,
+                borderColor: color,
+                color: 'white',
+              },
+            }
+          }}
+        />
       </div>
 
       {/* In-app reminder popup modal */}
@@ -697,6 +820,17 @@ function Calendar({ isActive = true }) {
         </div>
       )}
 
+      {eventModal && (
+        <CalendarEventModal
+          event={eventModal.event}
+          defaults={eventModal.defaults}
+          onClose={() => setEventModal(null)}
+          onSaved={showMessage}
+        />
+      )}
+
+      {showFeedModal && <CalendarFeedModal onClose={() => setShowFeedModal(false)} />}
+
       {/* Google Calendar Event Form Modal */}
       {showGoogleForm && (
         <div className="fixed inset-0 bg-black bg-opacity-50 flex items-center justify-center z-50 p-4" onClick={() => { setShowGoogleForm(false); setEditingGoogleEvent(null); resetGoogleForm(); }}>
@@ -0,0 +1,470 @@
+import { useState, useMemo } from 'react'
+import AddressAutocomplete from './AddressAutocomplete'
+import {
+  useCreateCalendarEvent,
+  useUpdateCalendarEvent,
+  useDeleteCalendarEvent,
+  useProjects,
+  useCustomers,
+  useEmployees,
+} from '../hooks/useApi'
+
+const DAY_MS = 24 * 60 * 60 * 1000
+
+// Must match EVENT_TYPES in backend/services/calendarEvents.js
+export const EVENT_TYPES = [
+  { value: 'site_visit', label: 'Site visit', color: '#0ea5e9' },
+  { value: 'inspection', label: 'Inspection', color: '#f59e0b' },
+  { value: 'meeting', label: 'Meeting', color: '#8b5cf6' },
+  { value: 'delivery', label: 'Delivery', color: '#10b981' },
+  { value: 'subcontractor', label: 'Subcontractor', color: '#f97316' },
+  { value: 'other', label: 'Other', color: '#6b7280' },
+]
+
+const FREQUENCY_UNITS = { daily: 'day', weekly: 'week', monthly: 'month', yearly: 'year' }
+
+const pad = (n) => String(n).padStart(2, '0')
+const localDate = (d) => `${d.getFullYear()}-${pad(d.getMonth() + 1)}-${pad(d.getDate())}`
+const localTime = (d) => `${pad(d.getHours())}:${pad(d.getMinutes())}`
+const customerLabel = (c) => [c.first_name, c.last_name].filter(Boolean).join(' ') || 'Unnamed customer'
+
+const emptyForm = {
+  title: '',
+  event_type: 'site_visit',
+  all_day: false,
+  start_date: '',
+  start_time: '09:00',
+  end_date: '',
+  end_time: '10:00',
+  description: '',
+  location: '',
+  project_id: '',
+  customer_id: '',
+  assignee_ids: [],
+  frequency: '',
+  interval: 1,
+  repeat_end: 'never',
+  until: '',
+  count: 5,
+}
+
+// The series (not the clicked occurrence) is what gets edited
+const eventToForm = (event) => {
+  const start = new Date(event.starts_at)
+  const end = new Date(event.ends_at)
+  return {
+    title: event.title || '',
+    event_type: event.event_type || 'other',
+    all_day: !!event.all_day,
+    // All-day events are stored midnight UTC to midnight UTC after the last day
+    start_date: event.all_day ? event.starts_at.slice(0, 10) : localDate(start),
+    start_time: event.all_day ? '09:00' : localTime(start),
+    end_date: event.all_day ? new Date(end.getTime() - DAY_MS).toISOString().slice(0, 10) : localDate(end),
+    end_time: event.all_day ? '10:00' : localTime(end),
+    description: event.description || '',
+    location: event.location || '',
+    project_id: event.project_id || '',
+    customer_id: event.customer_id || '',
+    assignee_ids: event.assignee_ids || [],
+    frequency: event.recurrence_frequency || '',
+    interval: event.recurrence_interval || 1,
+    repeat_end: event.recurrence_until ? 'date' : event.recurrence_count ? 'count' : 'never',
+    until: event.recurrence_until || '',
+    count: event.recurrence_count || 5,
+  }
+}
+
+/**
+ * Add or edit a company calendar event: what and when, the project and customer it belongs to, who is assigned,
+ * and how it repeats. Editing a repeating event changes every occurrence.
+ * @param {Object|null} event - Event to edit, or null to add one
+ * @param {Object} [defaults] - Initial form values for a new event (e.g. the clicked day and time)
+ */
+function CalendarEventModal({ event, defaults, onClose, onSaved }) {
+  const createEvent = useCreateCalendarEvent()
+  const updateEvent = useUpdateCalendarEvent()
+  const deleteEvent = useDeleteCalendarEvent()
+  const { data: projects = [] } = useProjects()
+  const { data: customers = [] } = useCustomers()
+  const { data: employees = [] } = useEmployees()
+  const [form, setForm] = useState(() => (event ? eventToForm(event) : { ...emptyForm, ...defaults }))
+  const [error, setError] = useState('')
+
+  const activeEmployees = useMemo(
+    () => employees.filter((e) => e.current !== false || form.assignee_ids.includes(e.id)),
+    [employees, form.assignee_ids]
+  )
+  const saving = createEvent.isPending || updateEvent.isPending || deleteEvent.isPending
+
+  const set = (field, value) => setForm((prev) => ({ ...prev, [field]: value }))
+
+  const handleProjectChange = (projectId) => {
+    const project = projects.find((p) => p.id === projectId)
+    setForm((prev) => ({
+      ...prev,
+      project_id: projectId,
+      // Default the customer and address from the project
+      customer_id: prev.customer_id || project?.customer_id || '',
+      location: prev.location || project?.address || '',
+    }))
+  }
+
+  const toggleAssignee = (employeeId) => {
+    setForm((prev) => ({
+      ...prev,
+      assignee_ids: prev.assignee_ids.includes(employeeId)
+        ? prev.assignee_ids.filter((id) => id !== employeeId)
+        : [...prev.assignee_ids, employeeId],
+    }))
+  }
+
+  const buildPayload = () => {
+    const endDate = form.end_date || form.start_date
+    return {
+      title: form.title,
+      event_type: form.event_type,
+      all_day: form.all_day,
+      starts_at: form.all_day ? form.start_date : new Date(`${form.start_date}T${form.start_time}`).toISOString(),
+      ends_at: form.all_day ? endDate : new Date(`${endDate}T${form.end_time}`).toISOString(),
+      time_zone: Intl.DateTimeFormat().resolvedOptions().timeZone || 'America/New_York',
+      description: form.description || null,
+      location: form.location?.trim() || null,
+      project_id: form.project_id || null,
+      customer_id: form.customer_id || null,
+      assignee_ids: form.assignee_ids,
+      recurrence: form.frequency
+        ? {
+            frequency: form.frequency,
+            interval: Number(form.interval) || 1,
+            until: form.repeat_end === 'date' ? form.until || null : null,
+            count: form.repeat_end === 'count' ? Number(form.count) || null : null,
+          }
+        : null,
+    }
+  }
+
+  const handleSubmit = async (e) => {
+    e.preventDefault()
+    setError('')
+
+    if (form.frequency && form.repeat_end === 'date' && !form.until) {
+      setError('Choose the date the event stops repeating')
+      return
+    }
+
+    try {
+      if (event) {
+        await updateEvent.mutateAsync({ id: event.id, data: buildPayload() })
+        onSaved?.('Event updated')
+      } else {
+        await createEvent.mutateAsync(buildPayload())
+        onSaved?.('Event added')
+      }
+      onClose()
+    } catch (err) {
+      setError(err.response?.data?.error || err.response?.data?.errors?.[0]?.msg || err.message || 'Failed to save event')
+    }
+  }
+
+  const handleDelete = async () => {
+    const prompt = event.recurrence_frequency
+      ? 'Delete every occurrence of this repeating event?'
+      : 'Delete this event?'
+    if (!window.confirm(prompt)) return
+
+    try {
+      await deleteEvent.mutateAsync(event.id)
+      onSaved?.('Event deleted')
+      onClose()
+    } catch (err) {
+      setError(err.response?.data?.error || err.message || 'Failed to delete event')
+    }
+  }
+
+  const inputClass = 'w-full px-3 py-2 border border-gray-300 dark:border-gray-600 rounded-md focus:outline-none focus:ring-2 focus:ring-pool-blue focus:border-transparent bg-white dark:bg-gray-700 text-sm text-gray-900 dark:text-white'
+  const dateInputClass = `${inputClass} [color-scheme:light] dark:[color-scheme:dark]`
+  const labelClass = 'block text-sm font-medium text-gray-700 dark:text-gray-300 mb-1'
+
+  return (
+    <div className="fixed inset-0 bg-black bg-opacity-50 flex items-center justify-center z-50 p-4" onClick={onClose}>
+      <div className="bg-white dark:bg-gray-800 rounded-xl shadow-2xl max-w-2xl w-full max-h-[90vh] overflow-hidden flex flex-col" onClick={(e) => e.stopPropagation()}>
+        {/* Header */}
+        <div className="bg-gradient-to-r from-pool-blue to-pool-dark px-6 py-4 flex-shrink-0 rounded-t-xl">
+          <div className="flex justify-between items-center">
+            <div>
+              <h3 className="text-xl font-bold text-white">{event ? 'Edit Event' : 'Add Event'}</h3>
+              {event?.recurrence_frequency && (
+                <p className="text-sm text-white/80">Changes apply to every occurrence</p>
+              )}
+            </div>
+            <button
+              onClick={onClose}
+              className="text-white/80 hover:text-white p-1 transition-colors"
+            >
+              <svg className="w-5 h-5" fill="none" viewBox="0 0 24 24" stroke="currentColor">
+                <path strokeLinecap="round" strokeLinejoin="round" strokeWidth={2} d="M6 18L18 6M6 6l12 12" />
+              </svg>
+            </button>
+          </div>
+        </div>
+
+        <form onSubmit={handleSubmit} className="p-6 overflow-y-auto flex-1 space-y-4">
+          {error && (
+            <div className="p-3 rounded-md text-sm border bg-red-50 border-red-200 text-red-700">{error}</div>
+          )}
+
+          <div className="grid grid-cols-1 sm:grid-cols-3 gap-4">
+            <div className="sm:col-span-2">
+              <label className={labelClass}>Title *</label>
+              <input
+                type="text"
+                value={form.title}
+                onChange={(e) => set('title', e.target.value)}
+                required
+                maxLength={255}
+                className={inputClass}
+              />
+            </div>
+            <div>
+              <label className={labelClass}>Type</label>
+              <select value={form.event_type} onChange={(e) => set('event_type', e.target.value)} className={inputClass}>
+                {EVENT_TYPES.map((t) => (
+                  <option key={t.value} value={t.value}>{t.label}</option>
+                ))}
+              </select>
+            </div>
+          </div>
+
+          <label className="flex items-center gap-2 text-sm text-gray-700 dark:text-gray-300">
+            <input
+              type="checkbox"
+              checked={form.all_day}
+              onChange={(e) => set('all_day', e.target.checked)}
+              className="rounded border-gray-300 text-pool-blue focus:ring-pool-blue"
+            />
+            All day
+          </label>
+
+          <div className="grid grid-cols-2 sm:grid-cols-4 gap-4">
+            <div>
+              <label className={labelClass}>{form.all_day ? 'First day *' : 'Start date *'}</label>
+              <input
+                type="date"
+                value={form.start_date}
+                onChange={(e) => setForm((prev) => ({
+                  ...prev,
+                  start_date: e.target.value,
+                  end_date: !prev.end_date || prev.end_date < e.target.value ? e.target.value : prev.end_date,
+                }))}
+                required
+                className={dateInputClass}
+              />
+            </div>
+            {!form.all_day && (
+              <div>
+                <label className={labelClass}>Start time *</label>
+                <input
+                  type="time"
+                  value={form.start_time}
+                  onChange={(e) => set('start_time', e.target.value)}
+                  required
+                  className={dateInputClass}
+                />
+              </div>
+            )}
+            <div>
+              <label className={labelClass}>{form.all_day ? 'Last day' : 'End date'}</label>
+              <input
+                type="date"
+                value={form.end_date}
+                min={form.start_date || undefined}
+                onChange={(e) => set('end_date', e.target.value)}
+                className={dateInputClass}
+              />
+            </div>
+            {!form.all_day && (
+              <div>
+                <label className={labelClass}>End time *</label>
+                <input
+                  type="time"
+                  value={form.end_time}
+                  onChange={(e) => set('end_time', e.target.value)}
+                  required
+                  className={dateInputClass}
+                />
+              </div>
+            )}
+          </div>
+
+          <div className="grid grid-cols-1 sm:grid-cols-2 gap-4">
+            <div>
+              <label className={labelClass}>Project</label>
+              <select value={form.project_id} onChange={(e) => handleProjectChange(e.target.value)} className={inputClass}>
+                <option value="">No project</option>
+                {projects.map((p) => (
+                  <option key={p.id} value={p.id}>{p.project_name || p.address || 'Untitled project'}</option>
+                ))}
+              </select>
+            </div>
+            <div>
+              <label className={labelClass}>Customer</label>
+              <select value={form.customer_id} onChange={(e) => set('customer_id', e.target.value)} className={inputClass}>
+                <option value="">No customer</option>
+                {customers.map((c) => (
+                  <option key={c.id} value={c.id}>{customerLabel(c)}</option>
+                ))}
+              </select>
+            </div>
+          </div>
+
+          <div>
+            <label className={labelClass}>Location</label>
+            <AddressAutocomplete
+              value={form.location}
+              onChange={(e) => set('location', e.target.value)}
+              onSelect={(parsed) => set('location', parsed.full_address)}
+              placeholder="Start typing an address..."
+              mode="full"
+            />
+          </div>
+
+          <div>
+            <label className={labelClass}>Assigned to</label>
+            {activeEmployees.length === 0 ? (
+              <p className="text-sm text-gray-500 dark:text-gray-400">No employees yet.</p>
+            ) : (
+              <div className="grid grid-cols-2 sm:grid-cols-3 gap-2 max-h-32 overflow-y-auto border border-gray-200 dark:border-gray-600 rounded-md p-2">
+                {activeEmployees.map((emp) => (
+                  <label key={emp.id} className="flex items-center gap-2 text-sm text-gray-700 dark:text-gray-300">
+                    <input
+                      type="checkbox"
+                      checked={form.assignee_ids.includes(emp.id)}
+                      onChange={() => toggleAssignee(emp.id)}
+                      className="rounded border-gray-300 text-pool-blue focus:ring-pool-blue"
+                    />
+                    <span className="truncate">{emp.name || emp.email_address}</span>
+                  </label>
+                ))}
+              </div>
+            )}
+          </div>
+
+          <div>
+            <label className={labelClass}>Description</label>
+            <textarea
+              value={form.description}
+              onChange={(e) => set('description', e.target.value)}
+              rows={3}
+              className={inputClass}
+            />
+          </div>
+
+          {/* Repeat */}
+          <div className="space-y-3 pt-2 border-t border-gray-200 dark:border-gray-600">
+            <div className="flex flex-wrap items-end gap-4">
+              <div>
+                <label className={labelClass}>Repeat</label>
+                <select value={form.frequency} onChange={(e) => set('frequency', e.target.value)} className={inputClass}>
+                  <option value="">Does not repeat</option>
+                  <option value="daily">Daily</option>
+                  <option value="weekly">Weekly</option>
+                  <option value="monthly">Monthly</option>
+                  <option value="yearly">Yearly</option>
+                </select>
+              </div>
+              {form.frequency && (
+                <div className="flex items-center gap-2 pb-2 text-sm text-gray-700 dark:text-gray-300">
+                  <span>Every</span>
+                  <input
+                    type="number"
+                    min={1}
+                    max={99}
+                    value={form.interval}
+                    onChange={(e) => set('interval', Math.min(Math.max(parseInt(e.target.value, 10) || 1, 1), 99))}
+                    className={`${inputClass} w-20`}
+                  />
+                  <span>{FREQUENCY_UNITS[form.frequency]}{Number(form.interval) === 1 ? '' : 's'}</span>
+                </div>
+              )}
+            </div>
+            {form.frequency && (
+              <div className="flex flex-wrap items-center gap-4 text-sm text-gray-700 dark:text-gray-300">
+                {[
+                  { value: 'never', label: 'Never ends' },
+                  { value: 'date', label: 'Ends on' },
+                  { value: 'count', label: 'Ends after' },
+                ].map((option) => (
+                  <label key={option.value} className="flex items-center gap-2 cursor-pointer">
+                    <input
+                      type="radio"
+                      name="repeatEnd"
+                      checked={form.repeat_end === option.value}
+                      onChange={() => set('repeat_end', option.value)}
+                      className="text-pool-blue focus:ring-pool-blue"
+                    />
+                    {option.label}
+                  </label>
+                ))}
+                {form.repeat_end === 'date' && (
+                  <input
+                    type="date"
+                    value={form.until}
+                    min={form.start_date || undefined}
+                    onChange={(e) => set('until', e.target.value)}
+                    className={`${dateInputClass} w-auto`}
+                  />
+                )}
+                {form.repeat_end === 'count' && (
+                  <div className="flex items-center gap-2">
+                    <input
+                      type="number"
+                      min={1}
+                      max={999}
+                      value={form.count}
+                      onChange={(e) => set('count', Math.min(Math.max(parseInt(e.target.value, 10) || 1, 1), 999))}
+                      className={`${inputClass} w-24`}
+                    />
+                    <span>occurrences</span>
+                  </div>
+                )}
+              </div>
+            )}
+          </div>
+
+          <div className="flex justify-between gap-3 pt-4">
+            <div>
+              {event && (
+                <button
+                  type="button"
+                  onClick={handleDelete}
+                  disabled={saving}
+                  className="px-4 py-2 bg-red-600 hover:bg-red-700 text-white font-semibold rounded-md disabled:opacity-50 disabled:cursor-not-allowed"
+                >
+                  Delete
+                </button>
+              )}
+            </div>
+            <div className="flex gap-3">
+              <button
+                type="button"
+                onClick={onClose}
+                className="px-4 py-2 border border-gray-300 dark:border-gray-600 rounded-md text-gray-700 dark:text-gray-300 hover:bg-gray-50 dark:hover:bg-gray-700"
+              >
+                Cancel
+              </button>
+              <button
+                type="submit"
+                disabled={saving}
+                className="px-4 py-2 bg-pool-blue hover:bg-pool-dark text-white font-semibold rounded-md disabled:opacity-50 disabled:cursor-not-allowed"
+              >
+                {saving ? 'Saving...' : event ? 'Update Event' : 'Add Event'}
+              </button>
+            </div>
+          </div>
+        </form>
+      </div>
+    </div>
+  )
+}
+
+export default CalendarEventModal
@@ -0,0 +1,140 @@
+import { useState } from 'react'
+import { useCalendarFeed, useCreateCalendarFeed, useDeleteCalendarFeed } from '../hooks/useApi'
+
+/**
+ * The signed-in employee's private iCal feed of the events assigned to them.
+ * Like portal links, the URL is only shown right after it is created or reset (the server keeps a hash).
+ */
+function CalendarFeedModal({ onClose }) {
+  const { data: feed, isLoading } = useCalendarFeed()
+  const createFeed = useCreateCalendarFeed()
+  const deleteFeed = useDeleteCalendarFeed()
+  const [feedUrl, setFeedUrl] = useState('')
+  const [copied, setCopied] = useState(false)
+  const [error, setError] = useState('')
+
+  const handleCreate = async () => {
+    if (feed && !window.confirm('Reset your feed URL? Calendars subscribed to the current URL will stop updating.')) return
+    setError('')
+    setCopied(false)
+    try {
+      const result = await createFeed.mutateAsync()
+      setFeedUrl(result.url)
+    } catch (err) {
+      setError(err?.response?.data?.error || 'Failed to create calendar feed')
+    }
+  }
+
+  const handleDelete = async () => {
+    if (!window.confirm('Turn off your calendar feed? Subscribed calendars will stop updating.')) return
+    setError('')
+    try {
+      await deleteFeed.mutateAsync()
+      setFeedUrl('')
+    } catch (err) {
+      setError(err?.response?.data?.error || 'Failed to turn off calendar feed')
+    }
+  }
+
+  const handleCopy = async () => {
+    try {
+      await navigator.clipboard.writeText(feedUrl)
+      setCopied(true)
+      setTimeout(() => setCopied(false), 2000)
+    } catch {
+      setError('Could not copy the URL. Select it and copy it manually.')
+    }
+  }
+
+  return (
+    <div className="fixed inset-0 bg-black bg-opacity-50 flex items-center justify-center z-50 p-4" onClick={onClose}>
+      <div className="bg-white dark:bg-gray-800 rounded-xl shadow-2xl max-w-xl w-full max-h-[90vh] overflow-hidden flex flex-col" onClick={(e) => e.stopPropagation()}>
+        {/* Header */}
+        <div className="bg-gradient-to-r from-pool-blue to-pool-dark px-6 py-4 flex-shrink-0 rounded-t-xl">
+          <div className="flex justify-between items-center">
+            <h3 className="text-xl font-bold text-white">Subscribe to My Events</h3>
+            <button
+              onClick={onClose}
+              className="text-white/80 hover:text-white p-1 transition-colors"
+            >
+              <svg className="w-5 h-5" fill="none" viewBox="0 0 24 24" stroke="currentColor">
+                <path strokeLinecap="round" strokeLinejoin="round" strokeWidth={2} d="M6 18L18 6M6 6l12 12" />
+              </svg>
+            </button>
+          </div>
+        </div>
+
+        <div className="p-6 overflow-y-auto flex-1 space-y-4">
+          <p className="text-sm text-gray-600 dark:text-gray-400">
+            A private, read-only iCal (.ics) URL with the events you are assigned to. Add it to Google Calendar
+            (Other calendars &rarr; From URL), Apple Calendar (File &rarr; New Calendar Subscription) or Outlook
+            (Add calendar &rarr; Subscribe from web). Anyone with the URL can see these events, so don't share it.
+          </p>
+
+          {error && (
+            <div className="p-3 bg-red-50 border border-red-200 text-red-700 rounded-md text-sm">
+              {error}
+            </div>
+          )}
+
+          {isLoading ? (
+            <div className="flex items-center justify-center py-6">
+              <div className="animate-spin rounded-full h-6 w-6 border-b-2 border-pool-blue"></div>
+            </div>
+          ) : (
+            <div className="flex flex-wrap items-center justify-between gap-3 text-sm">
+              <span className="text-gray-700 dark:text-gray-300">
+                {feed
+                  ? `Feed created ${new Date(feed.created_at).toLocaleDateString()} · ${feed.last_accessed_at ? `last read ${new Date(feed.last_accessed_at).toLocaleString()}` : 'not read yet'}`
+                  : 'You have no calendar feed yet.'}
+              </span>
+              <div className="flex gap-2">
+                <button
+                  onClick={handleCreate}
+                  disabled={createFeed.isPending}
+                  className="px-4 py-2 bg-pool-blue hover:bg-pool-dark text-white text-sm font-medium rounded-md transition-colors disabled:opacity-50"
+                >
+                  {createFeed.isPending ? 'Creating...' : feed ? 'Reset URL' : 'Create Feed URL'}
+                </button>
+                {feed && (
+                  <button
+                    onClick={handleDelete}
+                    disabled={deleteFeed.isPending}
+                    className="px-4 py-2 border border-red-300 text-red-600 hover:bg-red-50 dark:hover:bg-red-900/20 text-sm font-medium rounded-md transition-colors disabled:opacity-50"
+                  >
+                    Turn Off
+                  </button>
+                )}
+              </div>
+            </div>
+          )}
+
+          {feedUrl && (
+            <div className="p-4 bg-green-50 dark:bg-green-900/20 border border-green-200 dark:border-green-800 rounded-md space-y-2">
+              <p className="text-sm font-medium text-green-800 dark:text-green-300">
+                Copy this URL now; it won't be shown again.
+              </p>
+              <div className="flex gap-2">
+                <input
+                  type="text"
+                  readOnly
+                  value={feedUrl}
+                  onFocus={(e) => e.target.select()}
+                  className="flex-1 min-w-0 px-3 py-2 border border-gray-300 dark:border-gray-600 rounded-md bg-white dark:bg-gray-700 text-xs text-gray-900 dark:text-white"
+                />
+                <button
+                  onClick={handleCopy}
+                  className="px-3 py-2 bg-white dark:bg-gray-700 border border-gray-300 dark:border-gray-600 rounded-md text-sm font-medium text-gray-700 dark:text-gray-200 hover:bg-gray-50 dark:hover:bg-gray-600"
+                >
+                  {copied ? 'Copied' : 'Copy'}
+                </button>
+              </div>
+            </div>
+          )}
+        </div>
+      </div>
+    </div>
+  )
+}
+
+export default CalendarFeedModal
@@ -0,0 +1,358 @@
+import { useState } from 'react'
+import {
+  useProjectChangeOrders,
+  useProjectDocuments,
+  useCreateChangeOrder,
+  useUpdateChangeOrder,
+  useSetChangeOrderStatus,
+  useDeleteChangeOrder,
+  useHasPermission,
+} from '../hooks/useApi'
+
+const STATUS_STYLES = {
+  draft: 'bg-gray-100 text-gray-700 dark:bg-gray-700 dark:text-gray-300',
+  sent: 'bg-blue-100 text-blue-800 dark:bg-blue-900/30 dark:text-blue-300',
+  approved: 'bg-green-100 text-green-800 dark:bg-green-900/30 dark:text-green-300',
+  rejected: 'bg-red-100 text-red-800 dark:bg-red-900/30 dark:text-red-300',
+}
+
+const formatMoney = (value) =>
+  `$${(value || 0).toLocaleString('en-US', { minimumFractionDigits: 2, maximumFractionDigits: 2 })}`
+
+const formatDelta = (value) => `${value < 0 ? '-' : '+'}${formatMoney(Math.abs(value))}`
+
+const formatDays = (days) => (days ? `${days > 0 ? '+' : ''}${days} day${Math.abs(days) === 1 ? '' : 's'}` : 'No change')
+
+const documentLabel = (doc) => `${doc.name}${doc.document_number ? ` (#${doc.document_number})` : ''}`
+
+const emptyForm = { title: '', description: '', price_delta: '', schedule_delta_days: '', contract_document_id: '', document_id: '' }
+
+const inputClass = 'w-full px-3 py-2 border border-gray-300 dark:border-gray-600 rounded-md focus:outline-none focus:ring-2 focus:ring-pool-blue bg-white dark:bg-gray-700 text-sm text-gray-900 dark:text-white'
+const labelClass = 'block text-xs font-medium text-gray-600 dark:text-gray-400 mb-1'
+
+/**
+ * Change orders amending a project's contract, and the running contract value they produce.
+ */
+function ChangeOrdersModal({ project, onClose }) {
+  const { data, isLoading } = useProjectChangeOrders(project.id)
+  const { data: documents = [] } = useProjectDocuments(project.id)
+  const createChangeOrder = useCreateChangeOrder()
+  const updateChangeOrder = useUpdateChangeOrder()
+  const setStatus = useSetChangeOrderStatus()
+  const deleteChangeOrder = useDeleteChangeOrder()
+  const canManage = useHasPermission('manage_change_orders')
+
+  const [editingId, setEditingId] = useState(null) // 'new' or a change order id
+  const [form, setForm] = useState(emptyForm)
+  const [message, setMessage] = useState({ type: '', text: '' })
+
+  const changeOrders = data?.changeOrders || []
+  const summary = data?.summary
+  const contractDocuments = documents.filter((d) => d.document_type === 'contract')
+  const changeOrderDocuments = documents.filter((d) => d.document_type === 'change_order')
+
+  const showMessage = (type, text) => {
+    setMessage({ type, text })
+    setTimeout(() => setMessage({ type: '', text: '' }), 3000)
+  }
+
+  const openForm = (changeOrder = null) => {
+    setEditingId(changeOrder?.id || 'new')
+    setForm(changeOrder
+      ? {
+          title: changeOrder.title,
+          description: changeOrder.description || '',
+          price_delta: String(changeOrder.price_delta),
+          schedule_delta_days: String(changeOrder.schedule_delta_days),
+          contract_document_id: changeOrder.contract_document_id || '',
+          document_id: changeOrder.document_id || '',
+        }
+      : { ...emptyForm, contract_document_id: contractDocuments[0]?.id || '' })
+  }
+
+  const closeForm = () => {
+    setEditingId(null)
+    setForm(emptyForm)
+  }
+
+  const handleSave = async () => {
+    const payload = {
+      title: form.title.trim(),
+      description: form.description || null,
+      price_delta: form.price_delta === '' ? 0 : parseFloat(form.price_delta),
+      schedule_delta_days: form.schedule_delta_days === '' ? 0 : parseInt(form.schedule_delta_days, 10),
+      contract_document_id: form.contract_document_id || null,
+      document_id: form.document_id || null,
+    }
+    try {
+      if (editingId === 'new') {
+        const changeOrder = await createChangeOrder.mutateAsync({ projectId: project.id, data: payload })
+        showMessage('success', `Change order #${changeOrder.change_order_number} created`)
+      } else {
+        await updateChangeOrder.mutateAsync({ id: editingId, data: payload })
+        showMessage('success', 'Change order saved')
+      }
+      closeForm()
+    } catch (err) {
+      showMessage('error', err?.response?.data?.error || 'Failed to save change order')
+    }
+  }
+
+  const handleStatus = async (changeOrder, status) => {
+    let note
+    if (status === 'approved' && !window.confirm(
+      `Approve change order #${changeOrder.change_order_number}? The contract value changes by ${formatDelta(changeOrder.price_delta)} and approval can't be undone.`
+    )) return
+    if (status === 'rejected') {
+      note = window.prompt(`Reason for rejecting change order #${changeOrder.change_order_number} (optional)`)
+      if (note === null) return
+    }
+    try {
+      await setStatus.mutateAsync({ id: changeOrder.id, status, note: note || undefined })
+      showMessage('success', `Change order #${changeOrder.change_order_number} marked ${status}`)
+    } catch (err) {
+      showMessage('error', err?.response?.data?.error || 'Failed to update change order')
+    }
+  }
+
+  const handleLinkDocument = async (changeOrder, documentId) => {
+    try {
+      await updateChangeOrder.mutateAsync({ id: changeOrder.id, data: { document_id: documentId || null } })
+    } catch (err) {
+      showMessage('error', err?.response?.data?.error || 'Failed to link document')
+    }
+  }
+
+  const handleDelete = async (changeOrder) => {
+    if (!window.confirm(`Delete change order #${changeOrder.change_order_number}?`)) return
+    try {
+      await deleteChangeOrder.mutateAsync(changeOrder.id)
+      showMessage('success', `Change order #${changeOrder.change_order_number} deleted`)
+    } catch (err) {
+      showMessage('error', err?.response?.data?.error || 'Failed to delete change order')
+    }
+  }
+
+  const priceValue = form.price_delta === '' ? 0 : parseFloat(form.price_delta)
+  const daysValue = form.schedule_delta_days === '' ? 0 : Number(form.schedule_delta_days)
+  const formValid = form.title.trim() && !Number.isNaN(priceValue) && Number.isInteger(daysValue)
+  const saving = createChangeOrder.isPending || updateChangeOrder.isPending
+
+  const renderForm = () => (
+    <div className="px-4 py-4 space-y-3 bg-gray-50 dark:bg-gray-900/30 border-t border-gray-200 dark:border-gray-700">
+      <div>
+        <label className={labelClass}>Title *</label>
+        <input type="text" maxLength={255} value={form.title} onChange={(e) => setForm({ ...form, title: e.target.value })} className={inputClass} placeholder="e.g. Add spa spillover" />
+      </div>
+      <div>
+        <label className={labelClass}>Description</label>
+        <textarea rows={2} value={form.description} onChange={(e) => setForm({ ...form, description: e.target.value })} className={inputClass} />
+      </div>
+      <div className="grid grid-cols-1 sm:grid-cols-2 gap-3">
+        <div>
+          <label className={labelClass}>Price change (negative for a credit)</label>
+          <input type="number" step="0.01" value={form.price_delta} onChange={(e) => setForm({ ...form, price_delta: e.target.value })} className={inputClass} placeholder="0.00" />
+        </div>
+        <div>
+          <label className={labelClass}>Schedule change (days)</label>
+          <input type="number" step="1" value={form.schedule_delta_days} onChange={(e) => setForm({ ...form, schedule_delta_days: e.target.value })} className={inputClass} placeholder="0" />
+        </div>
+        <div>
+          <label className={labelClass}>Amends contract</label>
+          <select value={form.contract_document_id} onChange={(e) => setForm({ ...form, contract_document_id: e.target.value })} className={inputClass}>
+            <option value="">Not linked</option>
+            {contractDocuments.map((doc) => (
+              <option key={doc.id} value={doc.id}>{documentLabel(doc)}</option>
+            ))}
+          </select>
+        </div>
+        <div>
+          <label className={labelClass}>Change order document (for e-signature)</label>
+          <select value={form.document_id} onChange={(e) => setForm({ ...form, document_id: e.target.value })} className={inputClass}>
+            <option value="">Not linked</option>
+            {changeOrderDocuments.map((doc) => (
+              <option key={doc.id} value={doc.id}>{documentLabel(doc)}</option>
+            ))}
+          </select>
+        </div>
+      </div>
+      <div className="flex justify-end gap-2">
+        <button onClick={closeForm} className="px-3 py-1.5 text-sm text-gray-700 dark:text-gray-300 hover:text-gray-900">
+          Cancel
+        </button>
+        <button
+          onClick={handleSave}
+          disabled={!formValid || saving}
+          className="px-3 py-1.5 bg-pool-blue hover:bg-pool-dark text-white text-sm font-medium rounded-md disabled:opacity-50"
+        >
+          {saving ? 'Saving...' : editingId === 'new' ? 'Create Draft' : 'Save'}
+        </button>
+      </div>
+    </div>
+  )
+
+  return (
+    <div className="fixed inset-0 bg-black bg-opacity-50 flex items-center justify-center z-50 p-4" onClick={onClose}>
+      <div className="bg-white dark:bg-gray-800 rounded-xl shadow-2xl max-w-4xl w-full max-h-[90vh] overflow-hidden flex flex-col" onClick={(e) => e.stopPropagation()}>
+        {/* Header */}
+        <div className="bg-gradient-to-r from-pool-blue to-pool-dark px-6 py-4 flex-shrink-0 rounded-t-xl">
+          <div className="flex justify-between items-center">
+            <h3 className="text-xl font-bold text-white">
+              Change Orders - {project.project_name || project.address || 'Project'}
+            </h3>
+            <button
+              onClick={onClose}
+              className="text-white/80 hover:text-white p-1 transition-colors"
+            >
+              <svg className="w-5 h-5" fill="none" viewBox="0 0 24 24" stroke="currentColor">
+                <path strokeLinecap="round" strokeLinejoin="round" strokeWidth={2} d="M6 18L18 6M6 6l12 12" />
+              </svg>
+            </button>
+          </div>
+        </div>
+
+        <div className="p-6 overflow-y-auto flex-1 space-y-6">
+          {message.text && (
+            <div className={`p-3 rounded-md text-sm border ${message.type === 'error' ? 'bg-red-50 border-red-200 text-red-700' : 'bg-green-50 border-green-200 text-green-700'}`}>
+              {message.text}
+            </div>
+          )}
+
+          {/* Running contract value */}
+          {summary && (
+            <div className="grid grid-cols-2 sm:grid-cols-4 gap-4">
+              <div className="bg-white dark:bg-gray-700 border border-gray-200 dark:border-gray-600 rounded-lg p-4">
+                <p className="text-sm text-gray-500 dark:text-gray-400">Original Contract</p>
+                <p className="text-xl font-bold text-gray-900 dark:text-white">{formatMoney(summary.originalContractPrice)}</p>
+              </div>
+              <div className="bg-white dark:bg-gray-700 border border-gray-200 dark:border-gray-600 rounded-lg p-4">
+                <p className="text-sm text-gray-500 dark:text-gray-400">Approved Changes</p>
+                <p className={`text-xl font-bold ${summary.approvedPriceDelta < 0 ? 'text-red-600' : 'text-green-600'}`}>{formatDelta(summary.approvedPriceDelta)}</p>
+                <p className="text-xs text-gray-500 dark:text-gray-400">{summary.approvedCount} approved</p>
+              </div>
+              <div className="bg-white dark:bg-gray-700 border border-pool-blue rounded-lg p-4">
+                <p className="text-sm text-gray-500 dark:text-gray-400">Current Contract Value</p>
+                <p className="text-xl font-bold text-pool-blue">{formatMoney(summary.currentContractPrice)}</p>
+                {summary.pendingCount > 0 && (
+                  <p className="text-xs text-gray-500 dark:text-gray-400">{formatDelta(summary.pendingPriceDelta)} pending ({summary.pendingCount})</p>
+                )}
+              </div>
+              <div className="bg-white dark:bg-gray-700 border border-gray-200 dark:border-gray-600 rounded-lg p-4">
+                <p className="text-sm text-gray-500 dark:text-gray-400">Schedule</p>
+                <p className="text-xl font-bold text-gray-900 dark:text-white">{formatDays(summary.scheduleExtensionDays)}</p>
+              </div>
+            </div>
+          )}
+
+          {/* Change orders */}
+          <div>
+            <div className="flex items-center justify-between mb-2">
+              <h4 className="text-sm font-semibold text-gray-800 dark:text-white">Change Orders</h4>
+              {canManage && editingId !== 'new' && (
+                <button onClick={() => openForm()} className="text-sm font-medium text-pool-blue hover:text-pool-dark">
+                  + New change order
+                </button>
+              )}
+            </div>
+
+            {editingId === 'new' && (
+              <div className="border border-gray-200 dark:border-gray-700 rounded-lg mb-3 overflow-hidden">{renderForm()}</div>
+            )}
+
+            {isLoading ? (
+              <div className="flex items-center justify-center py-6">
+                <div className="animate-spin rounded-full h-6 w-6 border-b-2 border-pool-blue"></div>
+              </div>
+            ) : changeOrders.length === 0 ? (
+              <p className="text-sm text-gray-500 dark:text-gray-400">No change orders yet</p>
+            ) : (
+              <div className="space-y-3">
+                {changeOrders.map((co) => (
+                  <div key={co.id} className="border border-gray-200 dark:border-gray-700 rounded-lg overflow-hidden">
+                    <div className="px-4 py-3 flex flex-col sm:flex-row sm:items-start sm:justify-between gap-2">
+                      <div className="min-w-0">
+                        <div className="flex items-center gap-2">
+                          <span className="font-semibold text-gray-900 dark:text-white">#{co.change_order_number} {co.title}</span>
+                          <span className={`px-2 py-0.5 rounded-full text-xs font-semibold ${STATUS_STYLES[co.status]}`}>
+                            {co.status.charAt(0).toUpperCase() + co.status.slice(1)}
+                          </span>
+                        </div>
+                        {co.description && <p className="text-sm text-gray-600 dark:text-gray-400 mt-1 whitespace-pre-line">{co.description}</p>}
+                        <div className="text-xs text-gray-500 dark:text-gray-400 mt-1 space-y-0.5">
+                          <div>
+                            Amends {co.contract_document ? documentLabel(co.contract_document) : 'the contract'}
+                            {co.created_by_name ? ` · created by ${co.created_by_name}` : ''}
+                          </div>
+                          {co.document && (
+                            <div>Document: {documentLabel(co.document)}{co.document.esign_status ? ` · e-sign ${co.document.esign_status}` : ''}</div>
+                          )}
+                          {co.decided_at && (
+                            <div>
+                              {co.status === 'approved' ? 'Approved' : 'Rejected'} {new Date(co.decided_at).toLocaleDateString()}
+                              {co.decided_via === 'esign' ? ' by e-signature' : co.decided_by_name ? ` by ${co.decided_by_name}` : ''}
+                              {co.decision_note ? ` · ${co.decision_note}` : ''}
+                            </div>
+                          )}
+                        </div>
+                      </div>
+                      <div className="text-right text-sm whitespace-nowrap">
+                        <div className={`font-medium ${co.price_delta < 0 ? 'text-red-600' : 'text-gray-900 dark:text-white'}`}>{formatDelta(co.price_delta)}</div>
+                        <div className="text-xs text-gray-500 dark:text-gray-400">{formatDays(co.schedule_delta_days)}</div>
+                      </div>
+                    </div>
+
+                    {canManage && editingId !== co.id && co.status !== 'approved' && (
+                      <div className="px-4 py-2 border-t border-gray-100 dark:border-gray-700 flex flex-wrap items-center gap-3 text-sm">
+                        {co.status === 'draft' && (
+                          <>
+                            <button onClick={() => openForm(co)} className="text-pool-blue hover:text-pool-dark font-medium">Edit</button>
+                            <button onClick={() => handleStatus(co, 'sent')} disabled={setStatus.isPending} className="text-blue-600 hover:text-blue-800 dark:text-blue-400 font-medium disabled:opacity-50">Mark Sent</button>
+                          </>
+                        )}
+                        {co.status === 'sent' && (
+                          <>
+                            <select
+                              value={co.document_id || ''}
+                              onChange={(e) => handleLinkDocument(co, e.target.value)}
+                              className="px-2 py-1 border border-gray-300 dark:border-gray-600 rounded-md bg-white dark:bg-gray-700 text-xs text-gray-900 dark:text-white"
+                              title="Change order document followed through e-signature"
+                            >
+                              <option value="">No document linked</option>
+                              {changeOrderDocuments.map((doc) => (
+                                <option key={doc.id} value={doc.id}>{documentLabel(doc)}</option>
+                              ))}
+                            </select>
+                            <button onClick={() => handleStatus(co, 'draft')} disabled={setStatus.isPending} className="text-gray-600 hover:text-gray-800 dark:text-gray-400 font-medium disabled:opacity-50">Back to Draft</button>
+                          </>
+                        )}
+                        {(co.status === 'draft' || co.status === 'sent') && (
+                          <>
+                            <button onClick={() => handleStatus(co, 'approved')} disabled={setStatus.isPending} className="text-green-600 hover:text-green-800 dark:text-green-400 font-medium disabled:opacity-50">Approve</button>
+                            <button onClick={() => handleStatus(co, 'rejected')} disabled={setStatus.isPending} className="text-red-600 hover:text-red-800 dark:text-red-400 font-medium disabled:opacity-50">Reject</button>
+                          </>
+                        )}
+                        {co.status === 'rejected' && (
+                          <button onClick={() => handleStatus(co, 'draft')} disabled={setStatus.isPending} className="text-pool-blue hover:text-pool-dark font-medium disabled:opacity-50">Reopen</button>
+                        )}
+                        <button onClick={() => handleDelete(co)} disabled={deleteChangeOrder.isPending} className="ml-auto text-gray-400 hover:text-red-600 font-medium disabled:opacity-50">Delete</button>
+                      </div>
+                    )}
+
+                    {editingId === co.id && renderForm()}
+                  </div>
+                ))}
+              </div>
+            )}
+            {canManage && (
+              <p className="text-xs text-gray-500 dark:text-gray-400 mt-3">
+                A change order linked to its document is approved automatically when the customer completes the e-signature, and rejected if they decline.
+              </p>
+            )}
+          </div>
+        </div>
+      </div>
+    </div>
+  )
+}
+
+export default ChangeOrdersModal
@@ -3,9 +3,11 @@ import { useAuth } from '../context/AuthContext'
 import axios from 'axios'
 import { formatPhoneInput } from '../utils/phoneFormat'
 import AddressAutocomplete from './AddressAutocomplete'
+import { useHasPermission } from '../hooks/useApi'
 
 function CompanyInfo() {
   const { user, currentCompanyID, supabase, getAuthHeaders } = useAuth()
+  const canManageCompany = useHasPermission('manage_company')
   const [company, setCompany] = useState(null)
   const [loading, setLoading] = useState(true)
   const [editing, setEditing] = useState(false)
@@ -321,7 +323,7 @@ function CompanyInfo() {
           <h3 className="text-xl font-semibold text-gray-800 dark:text-white">
             Company Information
           </h3>
-          {!editing && (
+          {!editing && canManageCompany && (
             <button
               onClick={() => setEditing(true)}
               className="px-4 py-2 bg-pool-blue hover:bg-pool-dark text-white font-semibold rounded-md transition-colors"
@@ -371,56 +373,58 @@ function CompanyInfo() {
               </div>
 
               {/* Upload Controls */}
-              <div className="flex-1">
-                <p className="text-sm text-gray-600 dark:text-gray-300 mb-3">
-                  Upload your company logo. Recommended size: 200x200 pixels or larger. Max file size: 5MB.
-                </p>
-                <div className="flex gap-3">
-                  <label className="cursor-pointer">
-                    <input
-                      type="file"
-                      accept="image/jpeg,image/png,image/gif,image/webp,image/svg+xml"
-                      onChange={handleLogoUpload}
-                      disabled={uploadingLogo}
-                      className="hidden"
-                    />
-                    <span className={`inline-flex items-center px-4 py-2 rounded-md text-sm font-semibold transition-colors ${
-                      uploadingLogo
-                        ? 'bg-gray-300 text-gray-500 cursor-not-allowed'
-                        : 'bg-pool-blue hover:bg-pool-dark text-white cursor-pointer'
-                    }`}>
-                      {uploadingLogo ? (
-                        <>
-                          <svg className="animate-spin -ml-1 mr-2 h-4 w-4 text-white" fill="none" viewBox="0 0 24 24">
-                            <circle className="opacity-25" cx="12" cy="12" r="10" stroke="currentColor" strokeWidth="4"></circle>
-                            <path className="opacity-75" fill="currentColor" d="M4 12a8 8 0 018-8V0C5.373 0 0 5.373 0 12h4zm2 5.291A7.962 7.962 0 014 12H0c0 3.042 1.135 5.824 3 7.938l3-2.647z"></path>
-                          </svg>
-                          Uploading...
-                        </>
-                      ) : (
-                        <>
-                          <svg className="-ml-1 mr-2 h-4 w-4" fill="none" viewBox="0 0 24 24" stroke="currentColor">
-                            <path strokeLinecap="round" strokeLinejoin="round" strokeWidth={2} d="M4 16v1a3 3 0 003 3h10a3 3 0 003-3v-1m-4-8l-4-4m0 0L8 8m4-4v12" />
-                          </svg>
-                          Upload Logo
-                        </>
-                      )}
-                    </span>
-                  </label>
-                  {company?.logo_url && (
-                    <button
-                      onClick={handleLogoDelete}
-                      disabled={uploadingLogo}
-                      className="px-4 py-2 bg-red-100 hover:bg-red-200 text-red-700 font-semibold rounded-md text-sm transition-colors disabled:opacity-50 disabled:cursor-not-allowed"
-                    >
-                      Remove Logo
-                    </button>
-                  )}
+              {canManageCompany && (
+                <div className="flex-1">
+                  <p className="text-sm text-gray-600 dark:text-gray-300 mb-3">
+                    Upload your company logo. Recommended size: 200x200 pixels or larger. Max file size: 5MB.
+                  </p>
+                  <div className="flex gap-3">
+                    <label className="cursor-pointer">
+                      <input
+                        type="file"
+                        accept="image/jpeg,image/png,image/gif,image/webp,image/svg+xml"
+                        onChange={handleLogoUpload}
+                        disabled={uploadingLogo}
+                        className="hidden"
+                      />
+                      <span className={`inline-flex items-center px-4 py-2 rounded-md text-sm font-semibold transition-colors ${
+                        uploadingLogo
+                          ? 'bg-gray-300 text-gray-500 cursor-not-allowed'
+                          : 'bg-pool-blue hover:bg-pool-dark text-white cursor-pointer'
+                      }`}>
+                        {uploadingLogo ? (
+                          <>
+                            <svg className="animate-spin -ml-1 mr-2 h-4 w-4 text-white" fill="none" viewBox="0 0 24 24">
+                              <circle className="opacity-25" cx="12" cy="12" r="10" stroke="currentColor" strokeWidth="4"></circle>
+                              <path className="opacity-75" fill="currentColor" d="M4 12a8 8 0 018-8V0C5.373 0 0 5.373 0 12h4zm2 5.291A7.962 7.962 0 014 12H0c0 3.042 1.135 5.824 3 7.938l3-2.647z"></path>
+                            </svg>
+                            Uploading...
+                          </>
+                        ) : (
+                          <>
+                            <svg className="-ml-1 mr-2 h-4 w-4" fill="none" viewBox="0 0 24 24" stroke="currentColor">
+                              <path strokeLinecap="round" strokeLinejoin="round" strokeWidth={2} d="M4 16v1a3 3 0 003 3h10a3 3 0 003-3v-1m-4-8l-4-4m0 0L8 8m4-4v12" />
+                            </svg>
+                            Upload Logo
+                          </>
+                        )}
+                      </span>
+                    </label>
+                    {company?.logo_url && (
+                      <button
+                        onClick={handleLogoDelete}
+                        disabled={uploadingLogo}
+                        className="px-4 py-2 bg-red-100 hover:bg-red-200 text-red-700 font-semibold rounded-md text-sm transition-colors disabled:opacity-50 disabled:cursor-not-allowed"
+                      >
+                        Remove Logo
+                      </button>
+                    )}
+                  </div>
+                  <p className="mt-2 text-xs text-gray-500 dark:text-gray-400">
+                    Supported formats: JPEG, PNG, GIF, WebP, SVG
+                  </p>
                 </div>
-                <p className="mt-2 text-xs text-gray-500 dark:text-gray-400">
-                  Supported formats: JPEG, PNG, GIF, WebP, SVG
-                </p>
-              </div>
+              )}
             </div>
           </div>
 
@@ -0,0 +1,343 @@
+import { useState, useEffect, useRef } from 'react'
+import {
+  useContractClauses,
+  useCreateContractClause,
+  useUpdateContractClause,
+  useDeleteContractClause,
+  useUpdateClauseLayout,
+  useHasPermission,
+} from '../hooks/useApi'
+
+const DOCUMENT_TYPES = [
+  { value: 'proposal', label: 'Proposal' },
+  { value: 'contract', label: 'Contract' },
+  { value: 'change_order', label: 'Change Order' },
+]
+
+const EMPTY_FORM = { id: null, title: '', body: '' }
+
+const inputClass = 'w-full px-3 py-2 border border-gray-300 dark:border-gray-600 rounded-md focus:outline-none focus:ring-2 focus:ring-pool-blue bg-white dark:bg-gray-700 text-sm text-gray-900 dark:text-white'
+const iconButtonClass = 'p-1 text-gray-500 hover:text-pool-blue disabled:opacity-30 disabled:hover:text-gray-500'
+
+/**
+ * Company clause library (warranty, excavation conditions, permits, ...) and the ordered clause set printed under
+ * TERMS & CONDITIONS on each proposal, contract and change order
+ */
+function ContractClauses() {
+  const { data, isLoading, error } = useContractClauses()
+  const createClause = useCreateContractClause()
+  const updateClause = useUpdateContractClause()
+  const deleteClause = useDeleteContractClause()
+  const updateLayout = useUpdateClauseLayout()
+  const canEdit = useHasPermission('manage_company')
+
+  const [form, setForm] = useState(null)
+  const [formError, setFormError] = useState('')
+  const [documentType, setDocumentType] = useState('contract')
+  const [layout, setLayout] = useState([])
+  const [addClauseId, setAddClauseId] = useState('')
+  const [saveMessage, setSaveMessage] = useState('')
+  const bodyRef = useRef(null)
+
+  const clauses = data?.clauses || []
+  const mergeFields = data?.mergeFields || []
+  const savedLayout = data?.layouts?.[documentType] || []
+  const clauseById = new Map(clauses.map((clause) => [clause.id, clause]))
+  const hasLayoutChanges = JSON.stringify(layout) !== JSON.stringify(savedLayout)
+  const available = clauses.filter((clause) => !layout.includes(clause.id))
+
+  useEffect(() => {
+    setLayout(data?.layouts?.[documentType] || [])
+    setAddClauseId('')
+  }, [data, documentType])
+
+  // Drop a merge field into the clause text at the cursor
+  const insertMergeField = (key) => {
+    const placeholder = `{{${key}}}`
+    const el = bodyRef.current
+    setForm((prev) => {
+      const start = el ? el.selectionStart : prev.body.length
+      const end = el ? el.selectionEnd : prev.body.length
+      return { ...prev, body: prev.body.slice(0, start) + placeholder + prev.body.slice(end) }
+    })
+  }
+
+  const handleSaveClause = async (e) => {
+    e.preventDefault()
+    setFormError('')
+    try {
+      const payload = { title: form.title, body: form.body }
+      if (form.id) {
+        await updateClause.mutateAsync({ id: form.id, data: payload })
+      } else {
+        await createClause.mutateAsync(payload)
+      }
+      setForm(null)
+    } catch (err) {
+      setFormError(err?.response?.data?.error || 'Error saving clause')
+    }
+  }
+
+  const handleDeleteClause = async (clause) => {
+    if (!confirm(`Delete "${clause.title}"? It will be removed from every document type.`)) return
+    try {
+      await deleteClause.mutateAsync(clause.id)
+    } catch (err) {
+      alert(err?.response?.data?.error || 'Error deleting clause')
+    }
+  }
+
+  const moveClause = (index, offset) => {
+    setLayout((prev) => {
+      const next = [...prev]
+      const [moved] = next.splice(index, 1)
+      next.splice(index + offset, 0, moved)
+      return next
+    })
+    setSaveMessage('')
+  }
+
+  const handleSaveLayout = async () => {
+    try {
+      await updateLayout.mutateAsync({ documentType, clauseIds: layout })
+      setSaveMessage('Clauses saved')
+      setTimeout(() => setSaveMessage(''), 3000)
+    } catch (err) {
+      setSaveMessage(err?.response?.data?.error || 'Error saving clauses')
+    }
+  }
+
+  const saving = createClause.isPending || updateClause.isPending
+
+  return (
+    <div className="bg-white dark:bg-gray-800 rounded-lg shadow p-6">
+      <h3 className="text-xl font-semibold text-gray-800 dark:text-white mb-4">
+        Contract Clauses
+      </h3>
+      <p className="text-sm text-gray-500 dark:text-gray-400 mb-6">
+        Reusable clauses printed under Terms &amp; Conditions, ahead of your terms of service. Use merge fields such as {'{{customer.last_name}}'} to fill in project details.
+      </p>
+
+      {isLoading ? (
+        <div className="flex items-center justify-center py-8">
+          <div className="animate-spin rounded-full h-6 w-6 border-b-2 border-pool-blue"></div>
+        </div>
+      ) : error ? (
+        <p className="text-sm text-red-600">{error?.response?.data?.error || 'Failed to load clauses'}</p>
+      ) : (
+        <div className="space-y-8">
+          {/* Clause library */}
+          <div>
+            <div className="flex items-center justify-between mb-3">
+              <h4 className="text-sm font-semibold text-gray-700 dark:text-gray-200">Clause Library</h4>
+              {canEdit && !form && (
+                <button
+                  onClick={() => { setForm(EMPTY_FORM); setFormError('') }}
+                  className="px-3 py-1.5 bg-pool-blue hover:bg-pool-dark text-white text-sm font-medium rounded-md transition-colors"
+                >
+                  + Add Clause
+                </button>
+              )}
+            </div>
+
+            {form && (
+              <form onSubmit={handleSaveClause} className="mb-4 p-4 bg-gray-50 dark:bg-gray-700 rounded-lg space-y-3">
+                <input
+                  type="text"
+                  value={form.title}
+                  onChange={(e) => setForm((prev) => ({ ...prev, title: e.target.value }))}
+                  placeholder="Title (e.g. Warranty)"
+                  maxLength={255}
+                  required
+                  className={inputClass}
+                />
+                <textarea
+                  ref={bodyRef}
+                  value={form.body}
+                  onChange={(e) => setForm((prev) => ({ ...prev, body: e.target.value }))}
+                  placeholder="Clause text"
+                  rows={6}
+                  required
+                  className={inputClass}
+                />
+                <div>
+                  <p className="text-xs text-gray-500 dark:text-gray-400 mb-1">Insert merge field:</p>
+                  <div className="flex flex-wrap gap-1">
+                    {mergeFields.map((field) => (
+                      <button
+                        key={field.key}
+                        type="button"
+                        onClick={() => insertMergeField(field.key)}
+                        title={field.label}
+                        className="px-2 py-0.5 text-xs font-mono bg-white dark:bg-gray-800 border border-gray-300 dark:border-gray-600 rounded hover:border-pool-blue text-gray-700 dark:text-gray-300"
+                      >
+                        {field.key}
+                      </button>
+                    ))}
+                  </div>
+                </div>
+                {formError && <p className="text-sm text-red-600">{formError}</p>}
+                <div className="flex items-center gap-3">
+                  <button
+                    type="submit"
+                    disabled={saving}
+                    className="px-4 py-2 bg-pool-blue hover:bg-pool-dark text-white text-sm font-medium rounded-md transition-colors disabled:opacity-50"
+                  >
+                    {saving ? 'Saving...' : form.id ? 'Save Clause' : 'Add Clause'}
+                  </button>
+                  <button
+                    type="button"
+                    onClick={() => setForm(null)}
+                    className="text-sm text-gray-600 dark:text-gray-400 hover:text-gray-800 dark:hover:text-gray-200"
+                  >
+                    Cancel
+                  </button>
+                </div>
+              </form>
+            )}
+
+            {clauses.length === 0 ? (
+              <p className="text-sm text-gray-500 dark:text-gray-400">No clauses yet.</p>
+            ) : (
+              <div className="border border-gray-200 dark:border-gray-700 rounded-lg divide-y divide-gray-200 dark:divide-gray-700">
+                {clauses.map((clause) => (
+                  <div key={clause.id} className="px-4 py-3 flex items-start justify-between gap-4">
+                    <div className="min-w-0">
+                      <p className="font-medium text-sm text-gray-900 dark:text-white">{clause.title}</p>
+                      <p className="text-xs text-gray-500 dark:text-gray-400 whitespace-pre-wrap line-clamp-3">{clause.body}</p>
+                    </div>
+                    {canEdit && (
+                      <div className="flex items-center gap-3 flex-shrink-0 text-sm">
+                        <button
+                          onClick={() => { setForm({ id: clause.id, title: clause.title, body: clause.body }); setFormError('') }}
+                          className="text-pool-blue hover:text-pool-dark"
+                        >
+                          Edit
+                        </button>
+                        <button
+                          onClick={() => handleDeleteClause(clause)}
+                          disabled={deleteClause.isPending}
+                          className="text-red-600 hover:text-red-800 disabled:opacity-50"
+                        >
+                          Delete
+                        </button>
+                      </div>
+                    )}
+                  </div>
+                ))}
+              </div>
+            )}
+          </div>
+
+          {/* Clause set per document type */}
+          <div>
+            <h4 className="text-sm font-semibold text-gray-700 dark:text-gray-200 mb-3">Clauses by Document Type</h4>
+            <div className="flex gap-2 mb-4">
+              {DOCUMENT_TYPES.map((type) => (
+                <button
+                  key={type.value}
+                  onClick={() => { setDocumentType(type.value); setSaveMessage('') }}
+                  className={`px-3 py-1.5 text-sm font-medium rounded-md transition-colors ${
+                    documentType === type.value
+                      ? 'bg-pool-blue text-white'
+                      : 'bg-gray-100 dark:bg-gray-700 text-gray-700 dark:text-gray-300 hover:bg-gray-200 dark:hover:bg-gray-600'
+                  }`}
+                >
+                  {type.label}
+                  <span className="ml-1 text-xs opacity-75">({(data?.layouts?.[type.value] || []).length})</span>
+                </button>
+              ))}
+            </div>
+
+            {layout.length === 0 ? (
+              <p className="text-sm text-gray-500 dark:text-gray-400 mb-3">No clauses on this document type.</p>
+            ) : (
+              <ol className="border border-gray-200 dark:border-gray-700 rounded-lg divide-y divide-gray-200 dark:divide-gray-700 mb-3">
+                {layout.map((clauseId, idx) => (
+                  <li key={clauseId} className="px-4 py-2 flex items-center justify-between gap-4 text-sm">
+                    <span className="text-gray-800 dark:text-gray-200">
+                      {idx + 1}. {clauseById.get(clauseId)?.title || 'Deleted clause'}
+                    </span>
+                    {canEdit && (
+                      <div className="flex items-center gap-1 flex-shrink-0">
+                        <button onClick={() => moveClause(idx, -1)} disabled={idx === 0} className={iconButtonClass} title="Move up">
+                          <svg className="w-4 h-4" fill="none" viewBox="0 0 24 24" stroke="currentColor">
+                            <path strokeLinecap="round" strokeLinejoin="round" strokeWidth={2} d="M5 15l7-7 7 7" />
+                          </svg>
+                        </button>
+                        <button onClick={() => moveClause(idx, 1)} disabled={idx === layout.length - 1} className={iconButtonClass} title="Move down">
+                          <svg className="w-4 h-4" fill="none" viewBox="0 0 24 24" stroke="currentColor">
+                            <path strokeLinecap="round" strokeLinejoin="round" strokeWidth={2} d="M19 9l-7 7-7-7" />
+                          </svg>
+                        </button>
+                        <button
+                          onClick={() => { setLayout((prev) => prev.filter((id) => id !== clauseId)); setSaveMessage('') }}
+                          className="p-1 text-gray-500 hover:text-red-600"
+                          title="Remove"
+                        >
+                          <svg className="w-4 h-4" fill="none" viewBox="0 0 24 24" stroke="currentColor">
+                            <path strokeLinecap="round" strokeLinejoin="round" strokeWidth={2} d="M6 18L18 6M6 6l12 12" />
+                          </svg>
+                        </button>
+                      </div>
+                    )}
+                  </li>
+                ))}
+              </ol>
+            )}
+
+            {canEdit ? (
+              <div className="space-y-4">
+                {available.length > 0 && (
+                  <div className="flex items-center gap-2">
+                    <select value={addClauseId} onChange={(e) => setAddClauseId(e.target.value)} className={`${inputClass} max-w-sm`}>
+                      <option value="">Add a clause...</option>
+                      {available.map((clause) => (
+                        <option key={clause.id} value={clause.id}>{clause.title}</option>
+                      ))}
+                    </select>
+                    <button
+                      onClick={() => { setLayout((prev) => [...prev, addClauseId]); setAddClauseId(''); setSaveMessage('') }}
+                      disabled={!addClauseId}
+                      className="px-3 py-2 bg-gray-100 dark:bg-gray-700 text-gray-700 dark:text-gray-300 text-sm font-medium rounded-md hover:bg-gray-200 dark:hover:bg-gray-600 disabled:opacity-50"
+                    >
+                      Add
+                    </button>
+                  </div>
+                )}
+                <div className="flex items-center gap-4 pt-4 border-t border-gray-200 dark:border-gray-700">
+                  <button
+                    onClick={handleSaveLayout}
+                    disabled={updateLayout.isPending || !hasLayoutChanges}
+                    className="px-4 py-2 bg-pool-blue hover:bg-pool-dark text-white font-medium rounded-md transition-colors disabled:opacity-50"
+                  >
+                    {updateLayout.isPending ? 'Saving...' : 'Save Clause Order'}
+                  </button>
+                  {hasLayoutChanges && (
+                    <button
+                      onClick={() => { setLayout(savedLayout); setSaveMessage('') }}
+                      className="text-sm text-gray-600 dark:text-gray-400 hover:text-gray-800 dark:hover:text-gray-200"
+                    >
+                      Discard changes
+                    </button>
+                  )}
+                  {saveMessage && (
+                    <span className={`text-sm ${saveMessage.includes('Error') ? 'text-red-600' : 'text-green-600'}`}>
+                      {saveMessage}
+                    </span>
+                  )}
+                </div>
+              </div>
+            ) : (
+              <p className="text-xs text-gray-500 dark:text-gray-400">
+                You need the Manage company settings permission to change clauses.
+              </p>
+            )}
+          </div>
+        </div>
+      )}
+    </div>
+  )
+}
+
+export default ContractClauses
@@ -21,6 +21,8 @@ import {
   verticalListSortingStrategy,
 } from '@dnd-kit/sortable'
 import { CSS } from '@dnd-kit/utilities'
+import { useProposalOptions } from '../hooks/useApi'
+import ProposalOptionsEditor from './ProposalOptionsEditor'
 
 // Round monetary values to 2 decimal places
 const roundTo2 = (n) => Math.round(Number(n) * 100) / 100
@@ -514,7 +516,9 @@ const SortableScopeRow = ({ item, index, scopeLength, removeScopeItem, updateSco
 
 function ContractPreview({ contractData, onClose, onGenerate, onDocumentUploaded }) {
   const { supabase, user, currentCompanyID, getAuthHeaders } = useAuth()
-  const [activeTab, setActiveTab] = useState('scope') // 'scope' or 'milestones'
+  const [activeTab, setActiveTab] = useState('scope') // 'scope', 'milestones' or 'options' (proposals only)
+  const isProposal = (contractData.documentType || 'contract') === 'proposal'
+  const { data: proposalOptionsData } = useProposalOptions(isProposal ? contractData.project?.id : null)
   const [milestones, setMilestones] = useState([])
   const [priceInputByMilestoneId, setPriceInputByMilestoneId] = useState({}) // raw string while editing price
   const [setAllMarkupValue, setSetAllMarkupValue] = useState('') // quick "set all markups" input in header
@@ -813,6 +817,7 @@ function ContractPreview({ contractData, onClose, onGenerate, onDocumentUploaded
         const rawCost = m.cost ?? calculateMilestoneCost(m.milestone_type, m.subcontractor_fee_id, m.additional_expense_id)
         return {
           id: `milestone-${idx + 1}`,
+          dbId: m.id,
           name: m.name || '',
           cost: roundTo2(rawCost),
           markupPercent: roundTo2(m.markup_percent ?? defaultMarkup),
@@ -1388,6 +1393,7 @@ function ContractPreview({ contractData, onClose, onGenerate, onDocumentUploaded
       const cost = roundTo2(typeof m.cost === 'number' && !Number.isNaN(m.cost) ? m.cost : (Number(m.cost) || 0))
       const price = getMilestonePrice(m)
       return {
+        id: m.dbId || null,
         name: m.name || `Milestone ${index + 1}`,
         milestone_type: m.milestoneType || 'custom',
         cost,
@@ -1402,17 +1408,27 @@ function ContractPreview({ contractData, onClose, onGenerate, onDocumentUploaded
     // Calculate the actual total (sum of milestone amounts, rounded to 2 decimals)
     const actualTotalPrice = roundTo2(milestonesToSave.reduce((sum, m) => sum + m.customer_price, 0))
 
-    const response = await axios.put(
-      `/api/projects/${contractData.project.id}/milestones`,
-      { 
-        milestones: milestonesToSave,
-        document_type: docType,
-        customer_price: actualTotalPrice, // Save actual total with min/max applied to project
-      },
-      {
-        headers: getAuthHeaders(token),
-      }
-    )
+    let response
+    try {
+      response = await axios.put(
+        `/api/projects/${contractData.project.id}/milestones`,
+        { 
+          milestones: milestonesToSave,
+          document_type: docType,
+          customer_price: actualTotalPrice, // Save actual total with min/max applied to project
+        },
+        {
+          headers: getAuthHeaders(token),
+        }
+      )
+    } catch (err) {
+      // e.g. removing or repricing a milestone that is already invoiced
+      throw new Error(err.response?.data?.error || err.message)
+    }
+
+    // Remember the saved ids so the next save updates these milestones instead of adding new ones
+    const savedIds = new Map(milestones.map((m, index) => [m.id, response.data.milestones?.[index]?.id]))
+    setMilestones(prev => prev.map(m => (savedIds.get(m.id) ? { ...m, dbId: savedIds.get(m.id) } : m)))
 
     return response.data
   }
@@ -1543,6 +1559,16 @@ function ContractPreview({ contractData, onClose, onGenerate, onDocumentUploaded
         changeOrderItems: scopeOfWorkItems,
         customScopeOfWork: scopeOfWorkItems,
       }
+      // Print the options as currently edited (same shape as the server's getOptionsForDocument)
+      if (isProposal) {
+        modifiedContractData.proposalOptions = (proposalOptionsData?.options || []).map((option) => ({
+          name: option.name,
+          description: option.description || '',
+          price: option.price,
+          milestones: option.milestones || [],
+          scopeOfWork: option.scope_of_work || [],
+        }))
+      }
 
       // Generate the PDF blob
       const blob = await getContractPdfBlob(modifiedContractData)
@@ -1621,6 +1647,19 @@ function ContractPreview({ contractData, onClose, onGenerate, onDocumentUploaded
         throw new Error(data.error || 'Upload failed')
       }
 
+      // A change order document starts a draft change order linked to it, priced from this schedule
+      if (uploadDocType === 'change_order' && data.document?.id) {
+        try {
+          await axios.post(
+            `/api/projects/${contractData.project.id}/change-orders`,
+            { title: uploadDocName.trim(), price_delta: customerTotal, document_id: data.document.id },
+            { headers: getAuthHeaders(token) }
+          )
+        } catch (err) {
+          console.warn('Could not create change order record:', err.response?.data?.error || err.message)
+        }
+      }
+
       // Close dialog and notify parent
       setShowUploadDialog(false)
       setPdfBlob(null)
@@ -1945,6 +1984,28 @@ function ContractPreview({ contractData, onClose, onGenerate, onDocumentUploaded
                   )}
                 </span>
               </button>
+              {docType === 'proposal' && (
+                <button
+                  onClick={() => setActiveTab('options')}
+                  className={`flex-1 sm:flex-none py-3 px-4 sm:px-6 text-sm font-medium border-b-2 transition-colors ${
+                    activeTab === 'options'
+                      ? 'border-pool-blue text-pool-blue'
+                      : 'border-transparent text-gray-500 dark:text-gray-400 hover:text-gray-700 dark:hover:text-gray-300 hover:border-gray-300 dark:hover:border-gray-600'
+                  }`}
+                >
+                  <span className="flex items-center justify-center gap-2">
+                    <svg className="w-4 h-4" fill="none" viewBox="0 0 24 24" stroke="currentColor">
+                      <path strokeLinecap="round" strokeLinejoin="round" strokeWidth={2} d="M4 6h16M4 10h16M4 14h16M4 18h16" />
+                    </svg>
+                    Options
+                    {proposalOptionsData?.options?.length > 0 && (
+                      <span className="ml-1 px-1.5 py-0.5 text-xs rounded-full bg-gray-100 dark:bg-gray-700 text-gray-700 dark:text-gray-300">
+                        {proposalOptionsData.options.length}
+                      </span>
+                    )}
+                  </span>
+                </button>
+              )}
             </nav>
           </div>
 
@@ -2237,6 +2298,11 @@ function ContractPreview({ contractData, onClose, onGenerate, onDocumentUploaded
             </>
           )}
 
+          {/* Options Tab */}
+          {activeTab === 'options' && docType === 'proposal' && (
+            <ProposalOptionsEditor projectId={contractData.project?.id} />
+          )}
+
           {/* Profit Summary */}
           <div className="mt-4 sm:mt-6 p-4 bg-gray-50 dark:bg-gray-700/50 rounded-lg border border-gray-200 dark:border-gray-700">
             <h3 className="font-semibold text-gray-800 dark:text-white mb-3 text-sm sm:text-base">Summary</h3>
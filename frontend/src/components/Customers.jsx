@@ -1,16 +1,20 @@
 import { useState, useEffect, useRef } from 'react'
 import { useAuth } from '../context/AuthContext'
 import axios from 'axios'
-import ActionsMenu, { DOCUMENT_ICON, EDIT_ICON, DELETE_ICON } from './ActionsMenu'
+import ActionsMenu, { DOCUMENT_ICON, EDIT_ICON, DELETE_ICON, LINK_ICON } from './ActionsMenu'
 import DocumentsModal from './DocumentsModal'
+import PortalLinksModal from './PortalLinksModal'
 import AddressAutocomplete from './AddressAutocomplete'
 import { formatPhoneInput } from '../utils/phoneFormat'
 import {
-  useCustomers,
+  useCustomersPage,
   useCreateCustomer,
   useUpdateCustomer,
   useDeleteCustomer,
+  useHasPermission,
+  useRecord,
 } from '../hooks/useApi'
+import { useDebouncedValue } from '../hooks/useDebouncedValue'
 
 const PIPELINE_STATUSES = [
   { value: 'lead', label: 'Lead', color: 'bg-gray-100 text-gray-800' },
@@ -23,6 +27,14 @@ const PIPELINE_STATUSES = [
   { value: 'on_hold', label: 'On Hold', color: 'bg-orange-100 text-orange-800' },
 ]
 
+const SORT_OPTIONS = [
+  { value: 'newest', label: 'Newest First', sort: 'created_at', order: 'desc' },
+  { value: 'oldest', label: 'Oldest First', sort: 'created_at', order: 'asc' },
+  { value: 'name_asc', label: 'Last Name (A-Z)', sort: 'last_name', order: 'asc' },
+  { value: 'name_desc', label: 'Last Name (Z-A)', sort: 'last_name', order: 'desc' },
+  { value: 'value_desc', label: 'Estimated Value (High-Low)', sort: 'estimated_value', order: 'desc' },
+]
+
 const LEAD_SOURCES = [
   { value: '', label: 'Select a source...' },
   { value: 'Google Search', label: 'Google Search' },
@@ -37,11 +49,12 @@ const LEAD_SOURCES = [
   { value: '__new__', label: '+ New Source...' },
 ]
 
-function Customers() {
+function Customers({ focusRecord, onFocusHandled }) {
   const { user, supabase, getAuthHeaders } = useAuth()
   
-  // Use cached query for customers
-  const { data: customers = [], isLoading: loading, refetch } = useCustomers()
+  const canDeleteRecords = useHasPermission('delete_records')
+  // Portal links put documents in front of the customer, like sending them for signature
+  const canSharePortal = useHasPermission('send_esign')
   
   // Mutations
   const createCustomer = useCreateCustomer()
@@ -54,14 +67,32 @@ function Customers() {
   const [success, setSuccess] = useState('')
   const [searchTerm, setSearchTerm] = useState('')
   const [filterStatus, setFilterStatus] = useState('all')
+  const [sortOption, setSortOption] = useState('newest')
   const [currentPage, setCurrentPage] = useState(1)
   const itemsPerPage = 10
+  const debouncedSearch = useDebouncedValue(searchTerm.trim())
+
+  // Search, filter, sort and paginate on the server
+  const { sort, order } = SORT_OPTIONS.find((o) => o.value === sortOption) || SORT_OPTIONS[0]
+  const { data: customerPage, isLoading: loading, refetch } = useCustomersPage({
+    page: currentPage,
+    pageSize: itemsPerPage,
+    search: debouncedSearch,
+    status: filterStatus,
+    sort,
+    order,
+  })
+  const paginatedCustomers = customerPage?.rows || []
+  const totalCustomers = customerPage?.total || 0
+  const statusCounts = customerPage?.summary?.statusCounts || {}
+  const companyCustomerCount = customerPage?.summary?.total || 0
   const [showImportModal, setShowImportModal] = useState(false)
   const [importing, setImporting] = useState(false)
   const [importProgress, setImportProgress] = useState({ success: 0, failed: 0, total: 0 })
   const [importErrors, setImportErrors] = useState([])
   const [showDocumentsModal, setShowDocumentsModal] = useState(false)
   const [selectedEntityForDocuments, setSelectedEntityForDocuments] = useState(null)
+  const [portalLinksCustomer, setPortalLinksCustomer] = useState(null)
   const [openActionsId, setOpenActionsId] = useState(null)
   const actionsMenuRef = useRef(null)
   const [isCustomLeadSource, setIsCustomLeadSource] = useState(false)
@@ -84,6 +115,8 @@ function Customers() {
     pipeline_status: 'lead',
     notes: '',
     estimated_value: '',
+    reminder_sms_opt_out: false,
+    reminder_email_opt_out: false,
   })
 
   // Get auth token for CSV import
@@ -130,13 +163,13 @@ function Customers() {
 
   // Handle delete
   const handleDelete = async (id) => {
-    if (!window.confirm('Are you sure you want to delete this customer?')) {
+    if (!window.confirm('Move this customer and their projects to the trash? They can be restored from Trash until they are purged.')) {
       return
     }
 
     try {
       await deleteCustomer.mutateAsync(id)
-      setSuccess('Customer deleted successfully!')
+      setSuccess('Customer moved to trash')
     } catch (err) {
       setError(err.response?.data?.error || err.message || 'Failed to delete customer')
     }
@@ -174,17 +207,32 @@ function Customers() {
       pipeline_status: customer.pipeline_status || 'lead',
       notes: customer.notes || '',
       estimated_value: customer.estimated_value || '',
+      reminder_sms_opt_out: !!customer.reminder_sms_opt_out,
+      reminder_email_opt_out: !!customer.reminder_email_opt_out,
     }
     setFormData(data)
     setInitialFormData({ ...data, referred_by: existingSource })
     setShowForm(true)
   }
 
+  // Open the record picked in the Dashboard header search
+  const { data: focusedRecord } = useRecord('customers', 'customer', focusRecord?.id)
+  useEffect(() => {
+    if (!focusRecord || focusedRecord?.id !== focusRecord.id) return
+    if (focusRecord.openDocuments) {
+      setSelectedEntityForDocuments({ id: focusedRecord.id, name: `${focusedRecord.first_name} ${focusedRecord.last_name}` })
+      setShowDocumentsModal(true)
+    } else {
+      handleEdit(focusedRecord)
+    }
+    onFocusHandled?.()
+  }, [focusRecord, focusedRecord])
+
   // Reset form
   const emptyForm = {
     first_name: '', last_name: '', email: '', phone: '', address_line1: '', address_line2: '',
     city: '', state: '', zip_code: '', country: 'USA', referred_by: '', pipeline_status: 'lead',
-    notes: '', estimated_value: '',
+    notes: '', estimated_value: '', reminder_sms_opt_out: false, reminder_email_opt_out: false,
   }
   const resetForm = () => {
     setFormData(emptyForm)
@@ -193,35 +241,15 @@ function Customers() {
     setCustomLeadSource('')
   }
 
-  // Filter customers
-  const filteredCustomers = customers.filter((customer) => {
-    const search = searchTerm.toLowerCase()
-    const matchesSearch =
-      searchTerm === '' ||
-      `${customer.first_name} ${customer.last_name}`.toLowerCase().includes(search) ||
-      customer.email?.toLowerCase().includes(search) ||
-      customer.phone?.includes(searchTerm) ||
-      customer.address_line1?.toLowerCase().includes(search) ||
-      customer.address_line2?.toLowerCase().includes(search) ||
-      customer.city?.toLowerCase().includes(search) ||
-      customer.state?.toLowerCase().includes(search) ||
-      customer.zip_code?.includes(searchTerm)
-    
-    const matchesStatus = filterStatus === 'all' || customer.pipeline_status === filterStatus
-    
-    return matchesSearch && matchesStatus
-  })
-
   // Pagination
-  const totalPages = Math.ceil(filteredCustomers.length / itemsPerPage)
+  const totalPages = Math.ceil(totalCustomers / itemsPerPage)
   const startIndex = (currentPage - 1) * itemsPerPage
   const endIndex = startIndex + itemsPerPage
-  const paginatedCustomers = filteredCustomers.slice(startIndex, endIndex)
 
   // Reset to page 1 when filters change
   useEffect(() => {
     setCurrentPage(1)
-  }, [searchTerm, filterStatus])
+  }, [debouncedSearch, filterStatus, sortOption])
 
   useEffect(() => {
     const handleClickOutside = (e) => {
@@ -476,7 +504,7 @@ function Customers() {
 
       {/* Filters */}
       <div className="bg-white dark:bg-gray-800 rounded-lg shadow p-4">
-        <div className="grid grid-cols-1 md:grid-cols-2 gap-4">
+        <div className="grid grid-cols-1 md:grid-cols-3 gap-4">
           <div>
             <label className="block text-sm font-medium text-gray-700 dark:text-gray-300 mb-1">Search</label>
             <input
@@ -502,6 +530,20 @@ function Customers() {
               ))}
             </select>
           </div>
+          <div>
+            <label className="block text-sm font-medium text-gray-700 dark:text-gray-300 mb-1">Sort By</label>
+            <select
+              value={sortOption}
+              onChange={(e) => setSortOption(e.target.value)}
+              className="w-full px-4 py-2 border border-gray-300 dark:border-gray-600 rounded-md focus:outline-none focus:ring-2 focus:ring-pool-blue bg-white dark:bg-gray-700 text-gray-900 dark:text-white"
+            >
+              {SORT_OPTIONS.map((option) => (
+                <option key={option.value} value={option.value}>
+                  {option.label}
+                </option>
+              ))}
+            </select>
+          </div>
         </div>
       </div>
 
@@ -911,6 +953,36 @@ Jane,Smith,jane@example.com,555-0101,Los Angeles,CA`}
                 </div>
               </div>
 
+              {/* Payment Reminders */}
+              <div className="mb-6">
+                <h4 className="text-sm font-semibold text-gray-500 dark:text-gray-400 uppercase tracking-wider mb-3 flex items-center gap-2">
+                  <svg className="w-4 h-4" fill="none" viewBox="0 0 24 24" stroke="currentColor">
+                    <path strokeLinecap="round" strokeLinejoin="round" strokeWidth={2} d="M15 17h5l-1.405-1.405A2.032 2.032 0 0118 14.158V11a6.002 6.002 0 00-4-5.659V5a2 2 0 10-4 0v.341C7.67 6.165 6 8.388 6 11v3.159c0 .538-.214 1.055-.595 1.436L4 17h5m6 0v1a3 3 0 11-6 0v-1m6 0H9" />
+                  </svg>
+                  Overdue Invoice Reminders
+                </h4>
+                <div className="bg-gray-50 dark:bg-gray-700/50 rounded-lg p-4 flex flex-col sm:flex-row gap-3 sm:gap-6">
+                  <label className="flex items-center gap-2 text-sm text-gray-700 dark:text-gray-300">
+                    <input
+                      type="checkbox"
+                      checked={formData.reminder_sms_opt_out}
+                      onChange={(e) => setFormData({ ...formData, reminder_sms_opt_out: e.target.checked })}
+                      className="h-4 w-4 text-pool-blue border-gray-300 rounded focus:ring-pool-blue"
+                    />
+                    Don't text payment reminders
+                  </label>
+                  <label className="flex items-center gap-2 text-sm text-gray-700 dark:text-gray-300">
+                    <input
+                      type="checkbox"
+                      checked={formData.reminder_email_opt_out}
+                      onChange={(e) => setFormData({ ...formData, reminder_email_opt_out: e.target.checked })}
+                      className="h-4 w-4 text-pool-blue border-gray-300 rounded focus:ring-pool-blue"
+                    />
+                    Don't email payment reminders
+                  </label>
+                </div>
+              </div>
+
               {/* Footer Actions */}
               <div className="flex justify-end gap-3 pt-4 border-t border-gray-200 dark:border-gray-700">
                 <button
@@ -978,10 +1050,10 @@ Jane,Smith,jane@example.com,555-0101,Los Angeles,CA`}
               </tr>
             </thead>
             <tbody className="bg-white dark:bg-gray-800 divide-y divide-gray-200 dark:divide-gray-700">
-              {filteredCustomers.length === 0 ? (
+              {paginatedCustomers.length === 0 ? (
                 <tr>
                   <td colSpan="7" className="px-6 py-12 text-center text-gray-500 dark:text-gray-400">
-                    {customers.length === 0
+                    {companyCustomerCount === 0
                       ? 'No customers yet. Click "Add Customer" to get started.'
                       : 'No customers match your search criteria.'}
                   </td>
@@ -1033,8 +1105,9 @@ Jane,Smith,jane@example.com,555-0101,Los Angeles,CA`}
                             onAction={() => setOpenActionsId(null)}
                             actions={[
                               { icon: DOCUMENT_ICON, label: 'Documents', iconColor: 'text-green-600 dark:text-green-400', onClick: () => { setSelectedEntityForDocuments({ id: customer.id, name: `${customer.first_name} ${customer.last_name}` }); setShowDocumentsModal(true) } },
+                              ...(canSharePortal ? [{ icon: LINK_ICON, label: 'Portal Link', iconColor: 'text-purple-600 dark:text-purple-400', onClick: () => setPortalLinksCustomer(customer) }] : []),
                               { icon: EDIT_ICON, label: 'Edit', onClick: () => handleEdit(customer) },
-                              { icon: DELETE_ICON, label: 'Delete', danger: true, disabled: deleteCustomer.isPending, onClick: () => handleDelete(customer.id) },
+                              ...(canDeleteRecords ? [{ icon: DELETE_ICON, label: 'Delete', danger: true, disabled: deleteCustomer.isPending, onClick: () => handleDelete(customer.id) }] : []),
                             ]}
                           />
                         </div>
@@ -1049,10 +1122,10 @@ Jane,Smith,jane@example.com,555-0101,Los Angeles,CA`}
       </div>
 
       {/* Pagination */}
-      {filteredCustomers.length > itemsPerPage && (
+      {totalCustomers > itemsPerPage && (
         <div className="bg-white dark:bg-gray-800 rounded-lg shadow p-4 flex items-center justify-between">
           <div className="text-sm text-gray-700 dark:text-gray-300">
-            Showing {startIndex + 1} to {Math.min(endIndex, filteredCustomers.length)} of {filteredCustomers.length} customers
+            Showing {startIndex + 1} to {Math.min(endIndex, totalCustomers)} of {totalCustomers} customers
           </div>
           <div className="flex gap-2">
             <button
@@ -1104,24 +1177,24 @@ Jane,Smith,jane@example.com,555-0101,Los Angeles,CA`}
       <div className="grid grid-cols-1 md:grid-cols-4 gap-4">
         <div className="bg-white dark:bg-gray-800 rounded-lg shadow p-4">
           <p className="text-sm text-gray-500 dark:text-gray-400">Total Customers</p>
-          <p className="text-2xl font-bold text-gray-900 dark:text-white">{customers.length}</p>
+          <p className="text-2xl font-bold text-gray-900 dark:text-white">{companyCustomerCount}</p>
         </div>
         <div className="bg-white dark:bg-gray-800 rounded-lg shadow p-4">
           <p className="text-sm text-gray-500 dark:text-gray-400">Leads</p>
           <p className="text-2xl font-bold text-gray-900 dark:text-white">
-            {customers.filter((c) => c.pipeline_status === 'lead').length}
+            {statusCounts.lead || 0}
           </p>
         </div>
         <div className="bg-white dark:bg-gray-800 rounded-lg shadow p-4">
           <p className="text-sm text-gray-500 dark:text-gray-400">Active Projects</p>
           <p className="text-2xl font-bold text-gray-900 dark:text-white">
-            {customers.filter((c) => ['signed', 'in_progress'].includes(c.pipeline_status)).length}
+            {(statusCounts.signed || 0) + (statusCounts.in_progress || 0)}
           </p>
         </div>
         <div className="bg-white dark:bg-gray-800 rounded-lg shadow p-4">
           <p className="text-sm text-gray-500 dark:text-gray-400">Completed</p>
           <p className="text-2xl font-bold text-gray-900 dark:text-white">
-            {customers.filter((c) => c.pipeline_status === 'completed').length}
+            {statusCounts.completed || 0}
           </p>
         </div>
       </div>
@@ -1138,6 +1211,14 @@ Jane,Smith,jane@example.com,555-0101,Los Angeles,CA`}
           }}
         />
       )}
+
+      {/* Customer Portal Links Modal */}
+      {portalLinksCustomer && (
+        <PortalLinksModal
+          customer={portalLinksCustomer}
+          onClose={() => setPortalLinksCustomer(null)}
+        />
+      )}
     </div>
   )
 }
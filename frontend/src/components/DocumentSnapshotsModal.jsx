@@ -0,0 +1,352 @@
+import { useState } from 'react'
+import { useProjectSnapshots, useSnapshotDiff, useDocumentSnapshot } from '../hooks/useApi'
+
+const TYPE_LABELS = {
+  proposal: 'Proposal',
+  contract: 'Contract',
+  change_order: 'Change Order',
+}
+
+const FIELD_LABELS = {
+  project_name: 'Project name',
+  address: 'Project address',
+  original_contract_price: 'Original contract price',
+  customer_price: 'Contract price',
+  schedule_extension_days: 'Schedule extension (days)',
+  first_name: 'First name',
+  last_name: 'Last name',
+  email: 'Email',
+  phone: 'Phone',
+  address_line1: 'Address line 1',
+  address_line2: 'Address line 2',
+  city: 'City',
+  state: 'State',
+  zip_code: 'ZIP',
+  company_name: 'Company name',
+  website: 'Website',
+  license_numbers: 'License numbers',
+  terms_of_service: 'Terms',
+  body: 'Text',
+  price: 'Price',
+  milestones: 'Payments',
+  scopeOfWork: 'Includes',
+  name: 'Name',
+  description: 'Description',
+  milestone_type: 'Type',
+  cost: 'Cost',
+  flat_price: 'Flat price',
+  markup_percent: 'Markup %',
+  milestoneCount: 'Milestones',
+  milestonesCost: 'Total cost',
+  milestonesTotal: 'Milestones total',
+  originalContractPrice: 'Original contract price',
+  contractPrice: 'Contract price',
+  scheduleExtensionDays: 'Schedule extension (days)',
+}
+
+const MONEY_FIELDS = ['price', 'cost', 'customer_price', 'flat_price', 'original_contract_price', 'milestonesCost', 'milestonesTotal', 'originalContractPrice', 'contractPrice']
+
+const formatMoney = (value) =>
+  `$${(Number(value) || 0).toLocaleString('en-US', { minimumFractionDigits: 2, maximumFractionDigits: 2 })}`
+
+const formatDate = (value) => (value ? new Date(value).toLocaleString() : '')
+
+// Field labels reuse 'customer_price' for milestones and the project; in a milestone row it's the price
+const fieldLabel = (field, scope) => (scope === 'milestone' && field === 'customer_price' ? 'Price' : FIELD_LABELS[field] || field)
+
+const formatValue = (field, value) => {
+  if (value === null || value === undefined || value === '') return '—'
+  if (MONEY_FIELDS.includes(field)) return formatMoney(value)
+  // Option milestones and scope items are listed by name
+  if (Array.isArray(value)) return value.length ? value.map((v) => (typeof v === 'object' && v ? v.name || v.title : v)).join(', ') : '—'
+  return String(value)
+}
+
+const snapshotLabel = (s) =>
+  `${TYPE_LABELS[s.document_type] || s.document_type}: ${s.name || 'Document'}${s.document_number ? ` #${String(s.document_number).padStart(5, '0')}` : ''} (${formatDate(s.created_at)})`
+
+const selectClass = 'w-full px-3 py-2 border border-gray-300 dark:border-gray-600 rounded-md focus:outline-none focus:ring-2 focus:ring-pool-blue bg-white dark:bg-gray-700 text-sm text-gray-900 dark:text-white'
+const labelClass = 'block text-xs font-medium text-gray-600 dark:text-gray-400 mb-1'
+const sectionTitleClass = 'text-sm font-semibold text-gray-800 dark:text-white mb-2'
+
+function FieldChanges({ title, changes, scope }) {
+  if (!changes?.length) return null
+  return (
+    <div>
+      <h4 className={sectionTitleClass}>{title}</h4>
+      <div className="border border-gray-200 dark:border-gray-700 rounded-lg divide-y divide-gray-200 dark:divide-gray-700">
+        {changes.map(({ field, from, to }) => (
+          <div key={field} className="px-3 py-2 text-sm grid grid-cols-1 sm:grid-cols-3 gap-2">
+            <span className="font-medium text-gray-700 dark:text-gray-300">{fieldLabel(field, scope)}</span>
+            <span className="text-red-700 dark:text-red-400 line-through whitespace-pre-wrap break-words">{formatValue(field, from)}</span>
+            <span className="text-green-700 dark:text-green-400 whitespace-pre-wrap break-words">{formatValue(field, to)}</span>
+          </div>
+        ))}
+      </div>
+    </div>
+  )
+}
+
+function ListChanges({ title, changes, describe, scope }) {
+  const { added = [], removed = [], changed = [] } = changes || {}
+  if (!added.length && !removed.length && !changed.length) return null
+  return (
+    <div>
+      <h4 className={sectionTitleClass}>{title}</h4>
+      <div className="border border-gray-200 dark:border-gray-700 rounded-lg divide-y divide-gray-200 dark:divide-gray-700 text-sm">
+        {removed.map((item, i) => (
+          <div key={`removed-${i}`} className="px-3 py-2 bg-red-50 dark:bg-red-900/20 text-red-800 dark:text-red-300">
+            − {describe(item)}
+          </div>
+        ))}
+        {added.map((item, i) => (
+          <div key={`added-${i}`} className="px-3 py-2 bg-green-50 dark:bg-green-900/20 text-green-800 dark:text-green-300">
+            + {describe(item)}
+          </div>
+        ))}
+        {changed.map((item, i) => (
+          <div key={`changed-${i}`} className="px-3 py-2">
+            <p className="font-medium text-gray-800 dark:text-gray-200">~ {describe(item.after)}</p>
+            <ul className="mt-1 space-y-0.5 text-xs text-gray-600 dark:text-gray-400">
+              {item.changes.map(({ field, from, to }) => (
+                <li key={field}>
+                  {fieldLabel(field, scope)}: <span className="line-through text-red-700 dark:text-red-400">{formatValue(field, from)}</span>
+                  {' → '}
+                  <span className="text-green-700 dark:text-green-400">{formatValue(field, to)}</span>
+                </li>
+              ))}
+            </ul>
+          </div>
+        ))}
+      </div>
+    </div>
+  )
+}
+
+function ScopeTree({ nodes, depth = 0 }) {
+  if (!nodes?.length) return null
+  return (
+    <ul className={depth ? 'ml-4 mt-1 space-y-1' : 'space-y-1'}>
+      {nodes.map((node, i) => (
+        <li key={i} className="text-sm text-gray-800 dark:text-gray-200">
+          <span className="font-medium">{node.title}</span>
+          {node.description && <p className="text-xs text-gray-500 dark:text-gray-400 whitespace-pre-wrap">{node.description}</p>}
+          <ScopeTree nodes={node.children} depth={depth + 1} />
+        </li>
+      ))}
+    </ul>
+  )
+}
+
+// Read-only view of one snapshot body
+function SnapshotContents({ snapshot }) {
+  const { milestones = [], scopeOfWork = [], clauses = [], options = [], totals = {}, customer, company } = snapshot
+  const customerName = customer ? [customer.first_name, customer.last_name].filter(Boolean).join(' ') : ''
+  return (
+    <div className="space-y-5">
+      <div className="grid grid-cols-2 sm:grid-cols-3 gap-4">
+        <div className="bg-white dark:bg-gray-700 border border-gray-200 dark:border-gray-600 rounded-lg p-4">
+          <p className="text-sm text-gray-500 dark:text-gray-400">Milestones Total</p>
+          <p className="text-xl font-bold text-gray-900 dark:text-white">{formatMoney(totals.milestonesTotal)}</p>
+          <p className="text-xs text-gray-500 dark:text-gray-400">{totals.milestoneCount || 0} milestones</p>
+        </div>
+        <div className="bg-white dark:bg-gray-700 border border-gray-200 dark:border-gray-600 rounded-lg p-4">
+          <p className="text-sm text-gray-500 dark:text-gray-400">Contract Price</p>
+          <p className="text-xl font-bold text-gray-900 dark:text-white">{formatMoney(totals.contractPrice)}</p>
+        </div>
+        <div className="bg-white dark:bg-gray-700 border border-gray-200 dark:border-gray-600 rounded-lg p-4">
+          <p className="text-sm text-gray-500 dark:text-gray-400">Customer</p>
+          <p className="text-sm font-medium text-gray-900 dark:text-white">{customerName || '—'}</p>
+          {customer?.email && <p className="text-xs text-gray-500 dark:text-gray-400">{customer.email}</p>}
+        </div>
+      </div>
+
+      <div>
+        <h4 className={sectionTitleClass}>Milestones</h4>
+        {milestones.length === 0 ? (
+          <p className="text-sm text-gray-500 dark:text-gray-400">No milestones.</p>
+        ) : (
+          <div className="border border-gray-200 dark:border-gray-700 rounded-lg divide-y divide-gray-200 dark:divide-gray-700">
+            {milestones.map((m, i) => (
+              <div key={i} className="px-3 py-2 flex justify-between text-sm">
+                <span className="text-gray-800 dark:text-gray-200">{m.name}</span>
+                <span className="font-medium text-gray-900 dark:text-white">{formatMoney(m.customer_price)}</span>
+              </div>
+            ))}
+          </div>
+        )}
+      </div>
+
+      <div>
+        <h4 className={sectionTitleClass}>Scope of Work</h4>
+        {scopeOfWork.length === 0
+          ? <p className="text-sm text-gray-500 dark:text-gray-400">No scope of work.</p>
+          : <ScopeTree nodes={scopeOfWork} />}
+      </div>
+
+      {options.length > 0 && (
+        <div>
+          <h4 className={sectionTitleClass}>Options</h4>
+          <div className="grid grid-cols-1 sm:grid-cols-2 gap-3">
+            {options.map((option, i) => (
+              <div key={i} className="border border-gray-200 dark:border-gray-700 rounded-lg p-3 text-sm">
+                <div className="flex justify-between gap-2">
+                  <span className="font-medium text-gray-900 dark:text-white">{option.name}</span>
+                  <span className="font-medium text-gray-900 dark:text-white">{formatMoney(option.price)}</span>
+                </div>
+                {option.description && <p className="text-xs text-gray-500 dark:text-gray-400 whitespace-pre-wrap">{option.description}</p>}
+                {option.scopeOfWork?.length > 0 && (
+                  <ul className="mt-1 text-xs text-gray-600 dark:text-gray-300 list-disc ml-4">
+                    {option.scopeOfWork.map((item, j) => <li key={j}>{item.title}</li>)}
+                  </ul>
+                )}
+              </div>
+            ))}
+          </div>
+        </div>
+      )}
+
+      {clauses.length > 0 && (
+        <div>
+          <h4 className={sectionTitleClass}>Clauses</h4>
+          <ol className="space-y-2">
+            {clauses.map((clause, i) => (
+              <li key={i} className="text-sm text-gray-800 dark:text-gray-200">
+                <span className="font-medium">{i + 1}. {clause.title}</span>
+                <p className="text-xs text-gray-500 dark:text-gray-400 whitespace-pre-wrap">{clause.body}</p>
+              </li>
+            ))}
+          </ol>
+        </div>
+      )}
+
+      {company?.terms_of_service && (
+        <div>
+          <h4 className={sectionTitleClass}>Terms</h4>
+          <p className="text-xs text-gray-600 dark:text-gray-400 whitespace-pre-wrap max-h-40 overflow-y-auto border border-gray-200 dark:border-gray-700 rounded-lg p-3">
+            {company.terms_of_service}
+          </p>
+        </div>
+      )}
+    </div>
+  )
+}
+
+/**
+ * Frozen snapshots of a project's proposals, contracts and change orders. Pick one to see what it said when it
+ * was generated, or two to see what changed between them.
+ */
+function DocumentSnapshotsModal({ projectId, projectName, initialDocumentId, onClose }) {
+  const { data: snapshots = [], isLoading } = useProjectSnapshots(projectId)
+  const [fromId, setFromId] = useState('')
+  const [toId, setToId] = useState(null)
+
+  // Default to the document the modal was opened from (or the newest snapshot)
+  const initial = snapshots.find((s) => s.document_id === initialDocumentId) || snapshots[snapshots.length - 1]
+  const selectedToId = toId ?? initial?.id ?? ''
+  const selectedTo = snapshots.find((s) => s.id === selectedToId)
+
+  const comparing = !!fromId && fromId !== selectedToId
+  const { data: diffData, isLoading: diffLoading, error: diffError } = useSnapshotDiff(projectId, comparing ? fromId : null, selectedToId)
+  const { data: single, isLoading: singleLoading, error: singleError } = useDocumentSnapshot(comparing ? null : selectedTo?.document_id)
+
+  const diff = diffData?.diff
+  const describeMilestone = (m) => `${m.name} — ${formatMoney(m.customer_price)}`
+  const describeScope = (item) => item.path
+  const describeClause = (clause) => clause.title
+  const describeOption = (option) => `${option.name} — ${formatMoney(option.price)}`
+
+  const loadError = (comparing ? diffError : singleError)?.response?.data?.error
+
+  return (
+    <div className="fixed inset-0 bg-black bg-opacity-50 flex items-center justify-center z-50 p-4" onClick={onClose}>
+      <div className="bg-white dark:bg-gray-800 rounded-xl shadow-2xl max-w-4xl w-full max-h-[90vh] overflow-hidden flex flex-col" onClick={(e) => e.stopPropagation()}>
+        {/* Header */}
+        <div className="bg-gradient-to-r from-pool-blue to-pool-dark px-6 py-4 flex-shrink-0 rounded-t-xl">
+          <div className="flex justify-between items-center">
+            <h3 className="text-xl font-bold text-white">
+              Document Snapshots - {projectName || 'Project'}
+            </h3>
+            <button
+              onClick={onClose}
+              className="text-white/80 hover:text-white p-1 transition-colors"
+            >
+              <svg className="w-5 h-5" fill="none" viewBox="0 0 24 24" stroke="currentColor">
+                <path strokeLinecap="round" strokeLinejoin="round" strokeWidth={2} d="M6 18L18 6M6 6l12 12" />
+              </svg>
+            </button>
+          </div>
+        </div>
+
+        <div className="p-6 overflow-y-auto flex-1 space-y-6">
+          {isLoading ? (
+            <div className="flex items-center justify-center py-8">
+              <div className="animate-spin rounded-full h-8 w-8 border-b-2 border-pool-blue"></div>
+            </div>
+          ) : snapshots.length === 0 ? (
+            <div className="text-center py-8 text-gray-500 dark:text-gray-400">
+              <p>No snapshots yet.</p>
+              <p className="text-sm mt-2">A snapshot is saved each time a proposal, contract or change order is generated or uploaded.</p>
+            </div>
+          ) : (
+            <>
+              <div className="grid grid-cols-1 sm:grid-cols-2 gap-3">
+                <div>
+                  <label className={labelClass}>Compare from</label>
+                  <select value={fromId} onChange={(e) => setFromId(e.target.value)} className={selectClass}>
+                    <option value="">Don&apos;t compare (show snapshot)</option>
+                    {snapshots.filter((s) => s.id !== selectedToId).map((s) => (
+                      <option key={s.id} value={s.id}>{snapshotLabel(s)}</option>
+                    ))}
+                  </select>
+                </div>
+                <div>
+                  <label className={labelClass}>{comparing ? 'To' : 'Snapshot'}</label>
+                  <select value={selectedToId} onChange={(e) => setToId(e.target.value)} className={selectClass}>
+                    {snapshots.map((s) => (
+                      <option key={s.id} value={s.id}>{snapshotLabel(s)}</option>
+                    ))}
+                  </select>
+                </div>
+              </div>
+
+              {loadError && (
+                <div className="p-3 rounded-md text-sm border bg-red-50 border-red-200 text-red-700">{loadError}</div>
+              )}
+
+              {comparing ? (
+                diffLoading ? (
+                  <p className="text-sm text-gray-500 dark:text-gray-400">Comparing...</p>
+                ) : diff && !diff.hasChanges ? (
+                  <p className="text-sm text-gray-500 dark:text-gray-400">These snapshots say the same thing.</p>
+                ) : diff && (
+                  <div className="space-y-5">
+                    <FieldChanges title="Totals" changes={diff.totals} />
+                    <ListChanges title="Milestones" changes={diff.milestones} describe={describeMilestone} scope="milestone" />
+                    <ListChanges title="Scope of Work" changes={diff.scopeOfWork} describe={describeScope} />
+                    <ListChanges title="Options" changes={diff.options} describe={describeOption} />
+                    <ListChanges title="Clauses" changes={diff.clauses} describe={describeClause} />
+                    <FieldChanges title="Customer" changes={diff.customer} />
+                    <FieldChanges title="Project" changes={diff.project} />
+                    <FieldChanges title="Company & Terms" changes={diff.company} />
+                  </div>
+                )
+              ) : singleLoading ? (
+                <p className="text-sm text-gray-500 dark:text-gray-400">Loading snapshot...</p>
+              ) : single?.snapshot && (
+                <>
+                  <p className="text-xs text-gray-500 dark:text-gray-400">
+                    Captured {formatDate(single.snapshot.capturedAt)}{single.created_by_name ? ` by ${single.created_by_name}` : ''}
+                  </p>
+                  <SnapshotContents snapshot={single.snapshot} />
+                </>
+              )}
+            </>
+          )}
+        </div>
+      </div>
+    </div>
+  )
+}
+
+export default DocumentSnapshotsModal
@@ -4,9 +4,19 @@ import axios from 'axios'
 import { openContractPdf } from '../utils/contractPdfGenerator'
 import ContractPreview from './ContractPreview'
 import SendEmailModal from './SendEmailModal'
+import DocumentSnapshotsModal from './DocumentSnapshotsModal'
+import { useHasPermission, useProposalOptions, useSelectProposalOption } from '../hooks/useApi'
 
 function DocumentsModal({ entityType, entityId, entityName, customerEmail, onClose, canUploadDocuments, canDeleteDocuments }) {
   const { user, supabase, currentCompanyID, getAuthHeaders } = useAuth()
+  const canSendEsign = useHasPermission('send_esign')
+  const canDeleteRecords = useHasPermission('delete_records')
+  // Proposals, contracts and change orders are priced from expense costs and save the milestone schedule
+  const canViewCosts = useHasPermission('view_costs')
+  const canEditExpenses = useHasPermission('edit_expenses')
+  const canCreateDocuments = canViewCosts && canEditExpenses
+  // Employee documents are gated by the caller (own documents / manage_employees); everything else needs delete_records
+  const canDelete = canDeleteDocuments !== false && (entityType === 'employees' || canDeleteRecords)
   const [documents, setDocuments] = useState([])
   const [loading, setLoading] = useState(true)
   const [uploading, setUploading] = useState(false)
@@ -21,7 +31,7 @@ function DocumentsModal({ entityType, entityId, entityName, customerEmail, onClo
   const [documentType, setDocumentType] = useState('')
   const [selectedFile, setSelectedFile] = useState(null)
   const [editingDocument, setEditingDocument] = useState(null)
-  const [editForm, setEditForm] = useState({ name: '', document_type: '', status: '' })
+  const [editForm, setEditForm] = useState({ name: '', document_type: '', status: '', shared_with_customer: false })
   const [saving, setSaving] = useState(false)
   const [showContractPreview, setShowContractPreview] = useState(false)
   const [contractData, setContractData] = useState(null)
@@ -33,6 +43,25 @@ function DocumentsModal({ entityType, entityId, entityName, customerEmail, onClo
   const [savingNotes, setSavingNotes] = useState(false)
   const [syncingDocId, setSyncingDocId] = useState(null)
   const [showUploadModal, setShowUploadModal] = useState(false)
+  const [snapshotDocumentId, setSnapshotDocumentId] = useState(null)
+  const { data: proposalOptionsData } = useProposalOptions(entityType === 'projects' ? entityId : null)
+  const proposalOptions = proposalOptionsData?.options || []
+  const selectProposalOption = useSelectProposalOption()
+
+  // Record the option package the customer chose on a proposal
+  const handleSelectProposalOption = async (doc, optionId) => {
+    setError('')
+    try {
+      const result = await selectProposalOption.mutateAsync({ documentId: doc.id, optionId })
+      if (result.applied) {
+        setSuccess('Option carried into the contract milestones and scope')
+        setTimeout(() => setSuccess(''), 3000)
+      }
+      fetchDocuments()
+    } catch (err) {
+      setError(err.response?.data?.error || 'Failed to record the customer\'s choice')
+    }
+  }
 
   // Get auth token
   const getAuthToken = async () => {
@@ -128,7 +157,7 @@ function DocumentsModal({ entityType, entityId, entityName, customerEmail, onClo
       // Fetch contract data from backend
       const response = await axios.post(
         `/api/projects/${entityId}/contract`,
-        { document_type: 'contract' },
+        { document_type: 'contract', time_zone: Intl.DateTimeFormat().resolvedOptions().timeZone },
         {
           headers: getAuthHeaders(token),
         }
@@ -162,7 +191,7 @@ function DocumentsModal({ entityType, entityId, entityName, customerEmail, onClo
       // Fetch proposal data from backend
       const response = await axios.post(
         `/api/projects/${entityId}/contract`,
-        { document_type: 'proposal' },
+        { document_type: 'proposal', time_zone: Intl.DateTimeFormat().resolvedOptions().timeZone },
         {
           headers: getAuthHeaders(token),
         }
@@ -196,7 +225,7 @@ function DocumentsModal({ entityType, entityId, entityName, customerEmail, onClo
       // Fetch contract data from backend (change orders use same data structure as contracts)
       const response = await axios.post(
         `/api/projects/${entityId}/contract`,
-        { document_type: 'change_order' },
+        { document_type: 'change_order', time_zone: Intl.DateTimeFormat().resolvedOptions().timeZone },
         {
           headers: getAuthHeaders(token),
         }
@@ -436,7 +465,12 @@ function DocumentsModal({ entityType, entityId, entityName, customerEmail, onClo
 
   // Handle file delete
   const handleDelete = async (fileName, documentId = null) => {
-    if (!window.confirm(`Are you sure you want to delete "${fileName}"?`)) {
+    // Tracked documents go to the company Trash; employee files are removed right away
+    const toTrash = !!documentId && entityType !== 'employees'
+    const prompt = toTrash
+      ? `Move "${fileName}" to the trash?`
+      : `Are you sure you want to delete "${fileName}"?`
+    if (!window.confirm(prompt)) {
       return
     }
 
@@ -456,7 +490,7 @@ function DocumentsModal({ entityType, entityId, entityName, customerEmail, onClo
         headers: getAuthHeaders(token),
       })
 
-      setSuccess('Document deleted successfully!')
+      setSuccess(toTrash ? 'Document moved to trash' : 'Document deleted successfully!')
       setTimeout(() => setSuccess(''), 3000)
       
       // Refresh documents list
@@ -564,13 +598,15 @@ function DocumentsModal({ entityType, entityId, entityName, customerEmail, onClo
       name: doc.name || '',
       document_type: doc.document_type || 'other',
       status: doc.status || 'draft',
+      shared_with_customer: doc.shared_with_customer === true,
     })
   }
 
   const hasEditChanges = editingDocument && (
     (editForm.name || '').trim() !== (editingDocument.name || editingDocument.file_name || '').trim() ||
     editForm.document_type !== (editingDocument.document_type || 'other') ||
-    editForm.status !== (editingDocument.status || 'draft')
+    editForm.status !== (editingDocument.status || 'draft') ||
+    editForm.shared_with_customer !== (editingDocument.shared_with_customer === true)
   )
   const hasNotesChanges = selectedDocumentForNotes && documentNotes !== (selectedDocumentForNotes.notes || '')
 
@@ -593,6 +629,7 @@ function DocumentsModal({ entityType, entityId, entityName, customerEmail, onClo
           name: editForm.name.trim() || editingDocument.file_name,
           document_type: editForm.document_type,
           status: editForm.status,
+          shared_with_customer: editForm.shared_with_customer,
         },
         {
           headers: getAuthHeaders(token),
@@ -688,7 +725,7 @@ function DocumentsModal({ entityType, entityId, entityName, customerEmail, onClo
             </button>
             )}
             {/* Create Document Button - Only show for projects */}
-            {entityType === 'projects' && (
+            {entityType === 'projects' && canCreateDocuments && (
               <div className="relative create-document-menu">
                 <button
                   onClick={() => setShowCreateMenu(!showCreateMenu)}
@@ -823,11 +860,23 @@ function DocumentsModal({ entityType, entityId, entityName, customerEmail, onClo
                       className={`w-full px-3 py-2 border rounded-md focus:outline-none focus:ring-2 focus:ring-pool-blue text-sm bg-white dark:bg-gray-700 text-gray-900 dark:text-white ${!documentType ? 'border-gray-300 dark:border-gray-600 text-gray-500' : 'border-gray-300 dark:border-gray-600'}`}
                     >
                       <option value="" disabled>Select document type...</option>
-                      <option value="contract">Contract</option>
-                      <option value="proposal">Proposal</option>
-                      <option value="change_order">Change Order</option>
-                      <option value="insurance">Insurance</option>
-                      <option value="receipt">Receipt</option>
+                      {entityType === 'subcontractors' ? (
+                        <>
+                          <option value="coi">Certificate of Insurance</option>
+                          <option value="license">License</option>
+                          <option value="insurance">Insurance</option>
+                          <option value="contract">Contract</option>
+                          <option value="lien_waiver">Lien Waiver</option>
+                        </>
+                      ) : (
+                        <>
+                          <option value="contract">Contract</option>
+                          <option value="proposal">Proposal</option>
+                          <option value="change_order">Change Order</option>
+                          <option value="insurance">Insurance</option>
+                          <option value="receipt">Receipt</option>
+                        </>
+                      )}
                       <option value="other">Other</option>
                     </select>
                   </div>
@@ -937,6 +986,8 @@ function DocumentsModal({ entityType, entityId, entityName, customerEmail, onClo
                     contract: 'bg-purple-100 text-purple-800',
                     proposal: 'bg-blue-100 text-blue-800',
                     change_order: 'bg-orange-100 text-orange-800',
+                    coi: 'bg-green-100 text-green-800',
+                    lien_waiver: 'bg-teal-100 text-teal-800',
                     other: 'bg-gray-100 text-gray-800',
                   }
                   
@@ -944,6 +995,9 @@ function DocumentsModal({ entityType, entityId, entityName, customerEmail, onClo
                     contract: 'Contract',
                     proposal: 'Proposal',
                     change_order: 'Change Order',
+                    coi: 'COI',
+                    license: 'License',
+                    lien_waiver: 'Lien Waiver',
                     other: 'Other',
                   }
 
@@ -1002,6 +1056,29 @@ function DocumentsModal({ entityType, entityId, entityName, customerEmail, onClo
                             </span>
                           )}
                       </div>
+                        {/* Customer's option package; carried into the contract once the proposal is signed */}
+                        {docType === 'proposal' && doc.id && proposalOptions.length > 0 && (
+                          <div className="flex items-center gap-2 mt-1 text-xs text-gray-600">
+                            <span>Customer's choice:</span>
+                            {doc.option_applied_at ? (
+                              <span className="font-medium text-green-700">
+                                {proposalOptions.find((o) => o.id === doc.selected_option_id)?.name || 'Option'} (carried into contract)
+                              </span>
+                            ) : (
+                              <select
+                                value={doc.selected_option_id || ''}
+                                onChange={(e) => handleSelectProposalOption(doc, e.target.value || null)}
+                                disabled={selectProposalOption.isPending}
+                                className="px-2 py-0.5 border border-gray-300 rounded text-xs bg-white focus:outline-none focus:ring-1 focus:ring-pool-blue"
+                              >
+                                <option value="">Not chosen yet</option>
+                                {proposalOptions.map((option) => (
+                                  <option key={option.id} value={option.id}>{option.name}</option>
+                                ))}
+                              </select>
+                            )}
+                          </div>
+                        )}
                     </div>
                     <div className="flex gap-2 ml-4 items-center">
                         {/* Notes Icon - show for projects, subcontractors, customers, and inventory */}
@@ -1020,13 +1097,25 @@ function DocumentsModal({ entityType, entityId, entityName, customerEmail, onClo
                             </svg>
                           </button>
                         )}
+                        {/* Frozen copy of the milestones, scope and terms this document was generated from */}
+                        {entityType === 'projects' && doc.id && ['proposal', 'contract', 'change_order'].includes(docType) && (
+                          <button
+                            onClick={() => setSnapshotDocumentId(doc.id)}
+                            className="p-2 rounded-md text-gray-400 hover:text-gray-600 hover:bg-gray-100 transition-colors"
+                            title="Snapshot & compare"
+                          >
+                            <svg className="w-5 h-5" fill="none" viewBox="0 0 24 24" stroke="currentColor">
+                              <path strokeLinecap="round" strokeLinejoin="round" strokeWidth={2} d="M12 8v4l3 3m6-3a9 9 0 11-18 0 9 9 0 0118 0z" />
+                            </svg>
+                          </button>
+                        )}
                         <button
                           onClick={() => handleDownload(doc)}
                           className="px-3 py-1 bg-pool-blue hover:bg-pool-dark text-white text-sm font-medium rounded-md transition-colors"
                         >
                           View
                         </button>
-                        {entityType !== 'employees' && (
+                        {entityType !== 'employees' && canSendEsign && (
                         <button
                           onClick={() => handleSendClick(doc)}
                           className="px-3 py-1 bg-green-600 hover:bg-green-700 text-white text-sm font-medium rounded-md transition-colors"
@@ -1043,7 +1132,7 @@ function DocumentsModal({ entityType, entityId, entityName, customerEmail, onClo
                             Edit
                       </button>
                         )}
-                        {(canDeleteDocuments !== false) && (
+                        {canDelete && (
                       <button
                           onClick={() => handleDelete(fileName, doc.id)}
                         className="px-3 py-1 bg-red-600 hover:bg-red-700 text-white text-sm font-medium rounded-md transition-colors"
@@ -1213,6 +1302,23 @@ function DocumentsModal({ entityType, entityId, entityName, customerEmail, onClo
                 </select>
               </div>
 
+              {/* Proposals, contracts and change orders are always in the customer portal */}
+              <label className="flex items-start gap-2 text-sm text-gray-700 dark:text-gray-300">
+                <input
+                  type="checkbox"
+                  checked={['proposal', 'contract', 'change_order'].includes(editForm.document_type) || editForm.shared_with_customer}
+                  disabled={['proposal', 'contract', 'change_order'].includes(editForm.document_type)}
+                  onChange={(e) => setEditForm({ ...editForm, shared_with_customer: e.target.checked })}
+                  className="mt-0.5 h-4 w-4 text-pool-blue border-gray-300 rounded focus:ring-pool-blue disabled:opacity-60"
+                />
+                <span>
+                  Show in customer portal
+                  <span className="block text-xs text-gray-500 dark:text-gray-400">
+                    Proposals, contracts and change orders are always shown. Turn this on for photos and other files.
+                  </span>
+                </span>
+              </label>
+
               {editingDocument.document_number && (
                 <div className="text-sm text-gray-500 dark:text-gray-400">
                   Document #: {String(editingDocument.document_number).padStart(5, '0')}
@@ -1269,6 +1375,15 @@ function DocumentsModal({ entityType, entityId, entityName, customerEmail, onClo
       )}
 
       {/* Notes Modal */}
+      {snapshotDocumentId && (
+        <DocumentSnapshotsModal
+          projectId={entityId}
+          projectName={entityName}
+          initialDocumentId={snapshotDocumentId}
+          onClose={() => setSnapshotDocumentId(null)}
+        />
+      )}
+
       {showNotesModal && selectedDocumentForNotes && (
         <div className="fixed inset-0 bg-black bg-opacity-50 flex items-center justify-center z-50 p-4" onClick={() => { setShowNotesModal(false); setSelectedDocumentForNotes(null); setDocumentNotes(''); }}>
           <div className="bg-white dark:bg-gray-800 rounded-lg shadow-xl max-w-2xl w-full max-h-[90vh] overflow-y-auto" onClick={(e) => e.stopPropagation()}>
@@ -1,10 +1,17 @@
 import { useState, useEffect, useRef } from 'react'
-import { useAuth } from '../context/AuthContext'
-import axios from 'axios'
 import EmailWhitelist from './EmailWhitelist'
 import ActionsMenu, { DOCUMENT_ICON, EDIT_ICON, DELETE_ICON } from './ActionsMenu'
 import DocumentsModal from './DocumentsModal'
 import { formatPhoneInput } from '../utils/phoneFormat'
+import {
+  useHasPermission,
+  usePermissions,
+  useEmployeesPage,
+  useCreateEmployee,
+  useUpdateEmployee,
+  useDeleteEmployee,
+} from '../hooks/useApi'
+import { useDebouncedValue } from '../hooks/useDebouncedValue'
 
 const USER_TYPES = [
   { value: 'admin', label: 'Admin' },
@@ -32,10 +39,7 @@ const TIME_ZONES = [
 ]
 
 function Employees() {
-  const { user, supabase, getAuthHeaders } = useAuth()
   const [activeTab, setActiveTab] = useState('employees')
-  const [employees, setEmployees] = useState([])
-  const [loading, setLoading] = useState(true)
   const [showForm, setShowForm] = useState(false)
   const [editingEmployee, setEditingEmployee] = useState(null)
   const [error, setError] = useState('')
@@ -43,18 +47,35 @@ function Employees() {
   const [searchTerm, setSearchTerm] = useState('')
   const [currentPage, setCurrentPage] = useState(1)
   const itemsPerPage = 10
+  const debouncedSearch = useDebouncedValue(searchTerm.trim())
+
+  // Search and paginate on the server
+  const { data: employeePage, isLoading: loading } = useEmployeesPage({
+    page: currentPage,
+    pageSize: itemsPerPage,
+    search: debouncedSearch,
+  })
+  const paginatedEmployees = employeePage?.rows || []
+  const totalEmployees = employeePage?.total || 0
+  const companyEmployeeCount = employeePage?.summary?.total || 0
+
+  const createEmployee = useCreateEmployee()
+  const updateEmployee = useUpdateEmployee()
+  const deleteEmployee = useDeleteEmployee()
   const [showDocumentsModal, setShowDocumentsModal] = useState(false)
   const [selectedEntityForDocuments, setSelectedEntityForDocuments] = useState(null)
   const [openActionsId, setOpenActionsId] = useState(null)
   const actionsMenuRef = useRef(null)
-  const [currentUserEmployee, setCurrentUserEmployee] = useState(null)
+  // The signed-in user's own employee record, which they may edit without manage_employees
+  const currentEmployeeId = usePermissions().data?.employeeId || null
   
-  // Check if current user is admin, manager, or owner (can modify user types, roles, active status)
-  const canModifyPrivileges = currentUserEmployee?.user_type === 'admin' || currentUserEmployee?.user_type === 'manager' || currentUserEmployee?.user_type === 'owner'
+  // Company permission matrix: manage_employees covers user types, roles, active status; delete_records covers removal
+  const canModifyPrivileges = useHasPermission('manage_employees')
+  const canDeleteRecords = useHasPermission('delete_records')
   // Can edit an employee: self (basic info only) or admin/manager (full edit)
-  const canEditEmployee = (emp) => emp?.id === currentUserEmployee?.id || canModifyPrivileges
+  const canEditEmployee = (emp) => emp?.id === currentEmployeeId || canModifyPrivileges
   // Editing self without admin/manager: only basic info (name, email, phone, TZ)
-  const isEditingSelfOnly = editingEmployee && editingEmployee.id === currentUserEmployee?.id && !canModifyPrivileges
+  const isEditingSelfOnly = editingEmployee && editingEmployee.id === currentEmployeeId && !canModifyPrivileges
 
   // Form state
   const emptyEmployeeForm = {
@@ -75,50 +96,6 @@ function Employees() {
     date_of_birth: '',
   })
 
-  // Get auth token
-  const getAuthToken = async () => {
-    if (!supabase) return null
-    const { data: { session } } = await supabase.auth.getSession()
-    return session?.access_token || null
-  }
-
-  // Fetch employees
-  const fetchEmployees = async () => {
-    setLoading(true)
-    try {
-      const token = await getAuthToken()
-      if (!token) {
-        throw new Error('Not authenticated')
-      }
-
-      const response = await axios.get('/api/employees', {
-        headers: getAuthHeaders(token),
-      })
-
-      const employeesList = response.data.employees || []
-      setEmployees(employeesList)
-      
-      // Find current user's employee record by email
-      if (user?.email) {
-        const currentEmp = employeesList.find(emp => emp.email_address?.toLowerCase() === user.email.toLowerCase())
-        setCurrentUserEmployee(currentEmp || null)
-      }
-    } catch (err) {
-      console.error('Error fetching employees:', err)
-      console.error('Error details:', err.response?.data || err.message)
-      setError(err.response?.data?.error || err.message || 'Failed to load employees')
-      setEmployees([])
-    } finally {
-      setLoading(false)
-    }
-  }
-
-  useEffect(() => {
-    if (user) {
-      fetchEmployees()
-    }
-  }, [user])
-
   const hasChanges = initialFormData != null && JSON.stringify(formData) !== JSON.stringify(initialFormData)
 
   // Handle form submit
@@ -128,11 +105,6 @@ function Employees() {
     setSuccess('')
 
     try {
-      const token = await getAuthToken()
-      if (!token) {
-        throw new Error('Not authenticated')
-      }
-
       const payload = {
         ...formData,
         // Convert user_roles array to comma-separated string for storage
@@ -150,21 +122,16 @@ function Employees() {
       delete payload.user_roles
 
       if (editingEmployee) {
-        await axios.put(`/api/employees/${editingEmployee.id}`, payload, {
-          headers: getAuthHeaders(token),
-        })
+        await updateEmployee.mutateAsync({ id: editingEmployee.id, data: payload })
         setSuccess('Employee updated successfully!')
       } else {
-        await axios.post('/api/employees', payload, {
-          headers: getAuthHeaders(token),
-        })
+        await createEmployee.mutateAsync(payload)
         setSuccess('Employee added successfully!')
       }
 
       setShowForm(false)
       setEditingEmployee(null)
       resetForm()
-      fetchEmployees()
     } catch (err) {
       setError(err.response?.data?.error || err.message || 'Failed to save employee')
     }
@@ -177,17 +144,8 @@ function Employees() {
     }
 
     try {
-      const token = await getAuthToken()
-      if (!token) {
-        throw new Error('Not authenticated')
-      }
-
-      await axios.delete(`/api/employees/${id}`, {
-        headers: getAuthHeaders(token),
-      })
-
+      await deleteEmployee.mutateAsync(id)
       setSuccess('Employee deleted successfully!')
-      fetchEmployees()
     } catch (err) {
       setError(err.response?.data?.error || err.message || 'Failed to delete employee')
     }
@@ -222,28 +180,15 @@ function Employees() {
     setInitialFormData(JSON.parse(JSON.stringify(emptyEmployeeForm)))
   }
 
-  // Filter employees
-  const filteredEmployees = employees.filter((employee) => {
-    const matchesSearch =
-      searchTerm === '' ||
-      employee.name?.toLowerCase().includes(searchTerm.toLowerCase()) ||
-      employee.email_address?.toLowerCase().includes(searchTerm.toLowerCase()) ||
-      employee.phone?.includes(searchTerm) ||
-      employee.user_type?.toLowerCase().includes(searchTerm.toLowerCase()) ||
-      employee.user_role?.toLowerCase().includes(searchTerm.toLowerCase())
-    return matchesSearch
-  })
-
   // Pagination
-  const totalPages = Math.ceil(filteredEmployees.length / itemsPerPage)
+  const totalPages = Math.ceil(totalEmployees / itemsPerPage)
   const startIndex = (currentPage - 1) * itemsPerPage
   const endIndex = startIndex + itemsPerPage
-  const paginatedEmployees = filteredEmployees.slice(startIndex, endIndex)
 
   // Reset to page 1 when filters change
   useEffect(() => {
     setCurrentPage(1)
-  }, [searchTerm])
+  }, [debouncedSearch])
 
   useEffect(() => {
     const handleClickOutside = (e) => {
@@ -307,16 +252,18 @@ function Employees() {
               <h3 className="text-xl font-semibold text-gray-800 dark:text-white">Employee Management</h3>
               <p className="text-gray-600 dark:text-gray-400 mt-1">Add, edit, and manage your employees</p>
             </div>
-            <button
-              onClick={() => {
-                resetForm()
-                setEditingEmployee(null)
-                setShowForm(true)
-              }}
-              className="px-4 py-2 bg-pool-blue hover:bg-pool-dark text-white font-semibold rounded-md transition-colors"
-            >
-              + Add Employee
-            </button>
+            {canModifyPrivileges && (
+              <button
+                onClick={() => {
+                  resetForm()
+                  setEditingEmployee(null)
+                  setShowForm(true)
+                }}
+                className="px-4 py-2 bg-pool-blue hover:bg-pool-dark text-white font-semibold rounded-md transition-colors"
+              >
+                + Add Employee
+              </button>
+            )}
           </div>
 
       {error && (
@@ -677,10 +624,10 @@ function Employees() {
               </tr>
             </thead>
             <tbody className="bg-white dark:bg-gray-800 divide-y divide-gray-200 dark:divide-gray-700">
-              {filteredEmployees.length === 0 ? (
+              {paginatedEmployees.length === 0 ? (
                 <tr>
                   <td colSpan="10" className="px-2 py-8 text-center text-gray-500 dark:text-gray-400">
-                    {employees.length === 0
+                    {companyEmployeeCount === 0
                       ? 'No employees yet. Click "Add Employee" to get started.'
                       : 'No employees match your search criteria.'}
                   </td>
@@ -768,7 +715,7 @@ function Employees() {
                             actions={[
                               { icon: DOCUMENT_ICON, label: 'Documents', iconColor: 'text-green-600 dark:text-green-400', onClick: () => { setSelectedEntityForDocuments({ id: employee.id, name: employee.name || 'Employee' }); setShowDocumentsModal(true) } },
                               ...(canEditEmployee(employee) ? [{ icon: EDIT_ICON, label: 'Edit', onClick: () => handleEdit(employee) }] : []),
-                              ...(canModifyPrivileges ? [{ icon: DELETE_ICON, label: 'Delete', danger: true, onClick: () => handleDelete(employee.id) }] : []),
+                              ...(canDeleteRecords ? [{ icon: DELETE_ICON, label: 'Delete', danger: true, onClick: () => handleDelete(employee.id) }] : []),
                             ]}
                           />
                         </div>
@@ -783,10 +730,10 @@ function Employees() {
       </div>
 
       {/* Pagination */}
-      {activeTab === 'employees' && filteredEmployees.length > itemsPerPage && (
+      {activeTab === 'employees' && totalEmployees > itemsPerPage && (
         <div className="bg-white dark:bg-gray-800 rounded-lg shadow p-4 flex items-center justify-between">
           <div className="text-sm text-gray-700 dark:text-gray-300">
-            Showing {startIndex + 1} to {Math.min(endIndex, filteredEmployees.length)} of {filteredEmployees.length} employees
+            Showing {startIndex + 1} to {Math.min(endIndex, totalEmployees)} of {totalEmployees} employees
           </div>
           <div className="flex gap-2">
             <button
@@ -847,8 +794,8 @@ function Employees() {
             setShowDocumentsModal(false)
             setSelectedEntityForDocuments(null)
           }}
-          canUploadDocuments={canModifyPrivileges || selectedEntityForDocuments?.id === currentUserEmployee?.id}
-          canDeleteDocuments={canModifyPrivileges || selectedEntityForDocuments?.id === currentUserEmployee?.id}
+          canUploadDocuments={canModifyPrivileges || selectedEntityForDocuments?.id === currentEmployeeId}
+          canDeleteDocuments={(canModifyPrivileges && canDeleteRecords) || selectedEntityForDocuments?.id === currentEmployeeId}
         />
       )}
     </div>
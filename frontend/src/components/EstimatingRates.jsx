@@ -0,0 +1,136 @@
+import { useState, useEffect } from 'react'
+import {
+  useEstimatingRates,
+  useUpdateEstimatingRates,
+  useInventory,
+  useHasPermission,
+} from '../hooks/useApi'
+
+const inputClass = 'w-full px-3 py-2 border border-gray-300 dark:border-gray-600 rounded-md focus:outline-none focus:ring-2 focus:ring-pool-blue bg-white dark:bg-gray-700 text-sm text-gray-900 dark:text-white disabled:opacity-60'
+
+const toDraft = (rates, quantities) => Object.fromEntries(quantities.map(({ key }) => [key, {
+  inventory_id: rates?.[key]?.inventory_id || '',
+  unit_cost: rates?.[key]?.unit_cost == null ? '' : String(rates[key].unit_cost),
+}]))
+
+const toPayload = (draft) => Object.fromEntries(Object.entries(draft)
+  .filter(([, rate]) => rate.inventory_id || rate.unit_cost !== '')
+  .map(([key, rate]) => [key, rate.inventory_id
+    ? { inventory_id: rate.inventory_id, unit_cost: null }
+    : { inventory_id: null, unit_cost: parseFloat(rate.unit_cost) || 0 }]))
+
+/**
+ * How the pool estimating engine prices each quantity: from an inventory item's unit price (added to the project as
+ * a material or equipment) or a flat company rate (added as an additional expense)
+ */
+function EstimatingRates() {
+  const canView = useHasPermission('view_costs')
+  const canEdit = useHasPermission('manage_company')
+  const { data, isLoading } = useEstimatingRates({ enabled: canView })
+  const { data: inventory = [] } = useInventory()
+  const updateRates = useUpdateEstimatingRates()
+
+  const [draft, setDraft] = useState({})
+  const [saveMessage, setSaveMessage] = useState('')
+
+  const quantities = data?.quantities || []
+  const inventoryById = new Map(inventory.map((item) => [item.id, item]))
+  const hasChanges = data && JSON.stringify(toPayload(draft)) !== JSON.stringify(toPayload(toDraft(data.rates, quantities)))
+
+  useEffect(() => {
+    if (data) setDraft(toDraft(data.rates, data.quantities))
+  }, [data])
+
+  if (!canView) return null
+
+  const setRate = (key, field, value) => setDraft((prev) => ({ ...prev, [key]: { ...prev[key], [field]: value } }))
+
+  const handleSave = async () => {
+    setSaveMessage('')
+    try {
+      await updateRates.mutateAsync(toPayload(draft))
+      setSaveMessage('Rates saved')
+      setTimeout(() => setSaveMessage(''), 3000)
+    } catch (err) {
+      setSaveMessage(`Error: ${err?.response?.data?.error || 'could not save rates'}`)
+    }
+  }
+
+  return (
+    <div className="bg-white dark:bg-gray-800 rounded-lg shadow p-6">
+      <h3 className="text-xl font-semibold text-gray-800 dark:text-white mb-4">
+        Estimating Rates
+      </h3>
+      <p className="text-sm text-gray-500 dark:text-gray-400 mb-6">
+        Prices for the quantities a pool estimate produces. Pick an inventory item to use its unit price, or enter a flat rate per unit.
+      </p>
+
+      {isLoading ? (
+        <div className="flex items-center justify-center py-8">
+          <div className="animate-spin rounded-full h-6 w-6 border-b-2 border-pool-blue"></div>
+        </div>
+      ) : (
+        <div className="space-y-3">
+          {quantities.map(({ key, label, unit }) => {
+            const rate = draft[key] || { inventory_id: '', unit_cost: '' }
+            const item = rate.inventory_id ? inventoryById.get(rate.inventory_id) : null
+            return (
+              <div key={key} className="grid grid-cols-1 sm:grid-cols-3 gap-2 sm:items-center">
+                <div className="text-sm font-medium text-gray-700 dark:text-gray-200">
+                  {label} <span className="text-gray-400 font-normal">per {unit}</span>
+                </div>
+                <select
+                  value={rate.inventory_id}
+                  onChange={(e) => setRate(key, 'inventory_id', e.target.value)}
+                  disabled={!canEdit}
+                  className={inputClass}
+                >
+                  <option value="">Flat rate</option>
+                  {inventory.map((inv) => (
+                    <option key={inv.id} value={inv.id}>{inv.name} (${Number(inv.unit_price || 0).toFixed(2)}/{inv.unit})</option>
+                  ))}
+                </select>
+                {rate.inventory_id ? (
+                  <div className="text-sm text-gray-600 dark:text-gray-400">
+                    {item ? `$${Number(item.unit_price || 0).toFixed(2)} from inventory` : 'Inventory item not found'}
+                  </div>
+                ) : (
+                  <div className="relative">
+                    <span className="absolute left-3 top-1/2 -translate-y-1/2 text-gray-500 text-sm">$</span>
+                    <input
+                      type="number"
+                      min="0"
+                      step="0.01"
+                      value={rate.unit_cost}
+                      onChange={(e) => setRate(key, 'unit_cost', e.target.value)}
+                      disabled={!canEdit}
+                      placeholder="Not priced"
+                      className={`${inputClass} pl-6`}
+                    />
+                  </div>
+                )}
+              </div>
+            )
+          })}
+
+          {canEdit && (
+            <div className="flex items-center gap-3 pt-3">
+              <button
+                onClick={handleSave}
+                disabled={updateRates.isPending || !hasChanges}
+                className="px-4 py-2 bg-pool-blue hover:bg-pool-dark text-white text-sm font-medium rounded-md transition-colors disabled:opacity-50"
+              >
+                {updateRates.isPending ? 'Saving...' : 'Save Rates'}
+              </button>
+              {saveMessage && (
+                <span className={`text-sm ${saveMessage.includes('Error') ? 'text-red-600' : 'text-green-600'}`}>{saveMessage}</span>
+              )}
+            </div>
+          )}
+        </div>
+      )}
+    </div>
+  )
+}
+
+export default EstimatingRates
@@ -0,0 +1,144 @@
+import { useState, useEffect, useRef } from 'react'
+import { useGlobalSearch } from '../hooks/useApi'
+import { useDebouncedValue } from '../hooks/useDebouncedValue'
+
+const TYPE_LABELS = {
+  customer: 'Customer',
+  project: 'Project',
+  document: 'Document',
+  inventory: 'Inventory',
+  subcontractor: 'Subcontractor',
+}
+
+const TYPE_BADGES = {
+  customer: 'bg-blue-100 text-blue-800 dark:bg-blue-900/40 dark:text-blue-300',
+  project: 'bg-purple-100 text-purple-800 dark:bg-purple-900/40 dark:text-purple-300',
+  document: 'bg-green-100 text-green-800 dark:bg-green-900/40 dark:text-green-300',
+  inventory: 'bg-amber-100 text-amber-800 dark:bg-amber-900/40 dark:text-amber-300',
+  subcontractor: 'bg-gray-100 text-gray-800 dark:bg-gray-700 dark:text-gray-300',
+}
+
+/**
+ * Header search across customers, projects, documents, inventory and subcontractors.
+ * Calls onSelect(result) when the user picks a match (click or Enter).
+ */
+function GlobalSearch({ onSelect }) {
+  const [query, setQuery] = useState('')
+  const [open, setOpen] = useState(false)
+  const [highlighted, setHighlighted] = useState(0)
+  const containerRef = useRef(null)
+  const inputRef = useRef(null)
+  const debouncedQuery = useDebouncedValue(query.trim(), 250)
+  const { data: results = [], isFetching } = useGlobalSearch(debouncedQuery)
+  const showResults = open && debouncedQuery.length >= 2
+
+  // Close when clicking outside
+  useEffect(() => {
+    const handleClickOutside = (e) => {
+      if (containerRef.current && !containerRef.current.contains(e.target)) setOpen(false)
+    }
+    document.addEventListener('mousedown', handleClickOutside)
+    return () => document.removeEventListener('mousedown', handleClickOutside)
+  }, [])
+
+  // "/" focuses the search box from anywhere outside a form field
+  useEffect(() => {
+    const handleKeyDown = (e) => {
+      if (e.key !== '/' || e.metaKey || e.ctrlKey) return
+      const tag = document.activeElement?.tagName
+      if (['INPUT', 'TEXTAREA', 'SELECT'].includes(tag) || document.activeElement?.isContentEditable) return
+      e.preventDefault()
+      inputRef.current?.focus()
+    }
+    document.addEventListener('keydown', handleKeyDown)
+    return () => document.removeEventListener('keydown', handleKeyDown)
+  }, [])
+
+  useEffect(() => {
+    setHighlighted(0)
+  }, [debouncedQuery])
+
+  const handleSelect = (result) => {
+    onSelect(result)
+    setQuery('')
+    setOpen(false)
+    inputRef.current?.blur()
+  }
+
+  const handleKeyDown = (e) => {
+    if (e.key === 'Escape') {
+      setOpen(false)
+      inputRef.current?.blur()
+      return
+    }
+    if (!showResults || results.length === 0) return
+    if (e.key === 'ArrowDown') {
+      e.preventDefault()
+      setHighlighted((i) => (i + 1) % results.length)
+    } else if (e.key === 'ArrowUp') {
+      e.preventDefault()
+      setHighlighted((i) => (i - 1 + results.length) % results.length)
+    } else if (e.key === 'Enter') {
+      e.preventDefault()
+      handleSelect(results[highlighted] || results[0])
+    }
+  }
+
+  return (
+    <div ref={containerRef} className="relative w-full max-w-xl">
+      <div className="relative">
+        <svg className="w-4 h-4 absolute left-3 top-1/2 -translate-y-1/2 text-gray-400" fill="none" stroke="currentColor" viewBox="0 0 24 24">
+          <path strokeLinecap="round" strokeLinejoin="round" strokeWidth={2} d="M21 21l-6-6m2-5a7 7 0 11-14 0 7 7 0 0114 0z" />
+        </svg>
+        <input
+          ref={inputRef}
+          type="search"
+          value={query}
+          onChange={(e) => { setQuery(e.target.value); setOpen(true) }}
+          onFocus={() => setOpen(true)}
+          onKeyDown={handleKeyDown}
+          placeholder="Search customers, projects, documents..."
+          aria-label="Search"
+          className="w-full pl-9 pr-3 py-2 text-sm border border-gray-300 dark:border-gray-600 rounded-md focus:outline-none focus:ring-2 focus:ring-pool-blue bg-white dark:bg-gray-700 text-gray-900 dark:text-white placeholder-gray-400"
+        />
+      </div>
+
+      {showResults && (
+        <div className="absolute left-0 right-0 mt-1 bg-white dark:bg-gray-800 border border-gray-200 dark:border-gray-700 rounded-md shadow-lg z-40 max-h-96 overflow-y-auto">
+          {results.length === 0 ? (
+            <p className="px-4 py-3 text-sm text-gray-500 dark:text-gray-400">
+              {isFetching ? 'Searching...' : `No matches for "${debouncedQuery}"`}
+            </p>
+          ) : (
+            <ul role="listbox">
+              {results.map((result, idx) => (
+                <li key={`${result.type}-${result.id}`} role="option" aria-selected={idx === highlighted}>
+                  <button
+                    type="button"
+                    onMouseEnter={() => setHighlighted(idx)}
+                    onClick={() => handleSelect(result)}
+                    className={`w-full flex items-start gap-3 px-4 py-2 text-left transition-colors ${
+                      idx === highlighted ? 'bg-gray-100 dark:bg-gray-700' : ''
+                    }`}
+                  >
+                    <span className={`mt-0.5 px-2 py-0.5 text-[10px] font-semibold uppercase rounded flex-shrink-0 ${TYPE_BADGES[result.type] || TYPE_BADGES.subcontractor}`}>
+                      {TYPE_LABELS[result.type] || result.type}
+                    </span>
+                    <span className="min-w-0">
+                      <span className="block text-sm font-medium text-gray-900 dark:text-white truncate">{result.title}</span>
+                      {result.subtitle && (
+                        <span className="block text-xs text-gray-500 dark:text-gray-400 truncate">{result.subtitle}</span>
+                      )}
+                    </span>
+                  </button>
+                </li>
+              ))}
+            </ul>
+          )}
+        </div>
+      )}
+    </div>
+  )
+}
+
+export default GlobalSearch
@@ -0,0 +1,187 @@
+import { useState } from 'react'
+import { useGoogleCalendars, useGoogleCalendarSync, useUpdateGoogleCalendarSync, useRunGoogleCalendarSync } from '../hooks/useApi'
+
+const RESOLUTION_LABELS = {
+  kept_crm: 'Kept the CRM version',
+  kept_google: 'Kept the Google version',
+}
+
+// Short description of one side of a conflict; all-day starts are shown as the plain date
+const describeVersion = (title, start, allDay) => {
+  if (!start) return title || ''
+  const when = allDay ? start.slice(0, 10) : new Date(start).toLocaleString()
+  return `${title || 'Untitled'} · ${when}`
+}
+
+/**
+ * Settings for mirroring the project events and schedule tasks assigned to the signed-in employee into their
+ * connected Google Calendar. Shown inside the Google Calendar card once the account is connected.
+ */
+function GoogleCalendarSyncPanel() {
+  const { data, isLoading } = useGoogleCalendarSync()
+  const sync = data?.sync
+  const conflicts = data?.conflicts || []
+  const { data: calendars = [], isLoading: calendarsLoading } = useGoogleCalendars()
+  const updateSync = useUpdateGoogleCalendarSync()
+  const runSync = useRunGoogleCalendarSync()
+  const [message, setMessage] = useState('')
+  const [error, setError] = useState('')
+  const [showConflicts, setShowConflicts] = useState(false)
+
+  const enabled = !!sync?.enabled
+  const calendarId = sync?.calendar_id || 'primary'
+
+  const save = async (changes, successMessage) => {
+    setError('')
+    setMessage('')
+    try {
+      const result = await updateSync.mutateAsync({ enabled, calendar_id: calendarId, ...changes })
+      setMessage(successMessage(result))
+    } catch (err) {
+      setError(err?.response?.data?.error || 'Failed to update Google Calendar sync')
+    }
+  }
+
+  const handleToggle = (checked) => {
+    if (!checked && !window.confirm('Stop syncing? Your project events will be removed from your Google calendar.')) return
+    const calendar = calendars.find((c) => c.id === calendarId)
+    save(
+      { enabled: checked, calendar_name: calendar?.summary || sync?.calendar_name || null },
+      (result) => (checked ? `Sync turned on; ${result.pushed} event(s) copied to Google` : 'Sync turned off'),
+    )
+  }
+
+  const handleCalendarChange = (id) => {
+    const calendar = calendars.find((c) => c.id === id)
+    if (enabled && !window.confirm(`Move your synced events to "${calendar?.summary || id}"?`)) return
+    save(
+      { calendar_id: id, calendar_name: calendar?.summary || null },
+      (result) => (enabled ? `Moved ${result.pushed} event(s) to ${calendar?.summary || 'the new calendar'}` : 'Calendar saved'),
+    )
+  }
+
+  const handleRunSync = async () => {
+    setError('')
+    setMessage('')
+    try {
+      const result = await runSync.mutateAsync()
+      setMessage(result.applied || result.conflicts
+        ? `Updated ${result.applied + result.conflicts} event(s) from Google${result.conflicts ? ` (${result.conflicts} conflict(s))` : ''}`
+        : 'Everything is up to date')
+    } catch (err) {
+      setError(err?.response?.data?.error || 'Failed to sync with Google Calendar')
+    }
+  }
+
+  if (isLoading) {
+    return (
+      <div className="flex items-center justify-center py-4">
+        <div className="animate-spin rounded-full h-6 w-6 border-b-2 border-pool-blue"></div>
+      </div>
+    )
+  }
+
+  const busy = updateSync.isPending || runSync.isPending
+
+  return (
+    <div className="border-t border-gray-200 dark:border-gray-700 pt-4 space-y-3">
+      <div className="flex flex-wrap items-center justify-between gap-3">
+        <label className="flex items-center gap-2 text-sm text-gray-700 dark:text-gray-300">
+          <input
+            type="checkbox"
+            checked={enabled}
+            onChange={(e) => handleToggle(e.target.checked)}
+            disabled={busy}
+            className="rounded border-gray-300 text-pool-blue focus:ring-pool-blue"
+          />
+          Sync my project events and schedule tasks to Google Calendar
+        </label>
+        <div className="flex items-center gap-2">
+          <select
+            value={calendarId}
+            onChange={(e) => handleCalendarChange(e.target.value)}
+            disabled={busy || calendarsLoading}
+            className="px-3 py-2 border border-gray-300 dark:border-gray-600 rounded-md text-sm focus:outline-none focus:ring-2 focus:ring-pool-blue bg-white dark:bg-gray-700 text-gray-900 dark:text-white"
+          >
+            {calendars.length === 0 && <option value={calendarId}>{sync?.calendar_name || 'Primary calendar'}</option>}
+            {calendars.map((c) => (
+              <option key={c.id} value={c.id}>{c.primary ? `${c.summary} (primary)` : c.summary}</option>
+            ))}
+          </select>
+          {enabled && (
+            <button
+              onClick={handleRunSync}
+              disabled={busy}
+              className="px-3 py-2 border border-gray-300 dark:border-gray-600 rounded-md text-sm font-medium text-gray-700 dark:text-gray-200 hover:bg-gray-50 dark:hover:bg-gray-700 transition-colors disabled:opacity-50"
+            >
+              {runSync.isPending ? 'Syncing...' : 'Sync Now'}
+            </button>
+          )}
+        </div>
+      </div>
+
+      <p className="text-xs text-gray-500 dark:text-gray-400">
+        Events linked to a project and assigned to you are copied to the chosen calendar. Edits you make there come
+        back every few minutes; deleting a copy takes you off the event. If an event was changed in both places, the
+        later change wins. Your schedule tasks are copied as all-day events too; change those on the project
+        schedule.
+      </p>
+
+      {enabled && (
+        <p className="text-xs text-gray-600 dark:text-gray-400">
+          {sync.last_synced_at ? `Last synced ${new Date(sync.last_synced_at).toLocaleString()}` : 'Not synced yet'}
+        </p>
+      )}
+
+      {enabled && sync.last_error && (
+        <div className="p-3 bg-yellow-50 dark:bg-yellow-900/30 border border-yellow-200 dark:border-yellow-800 text-yellow-800 dark:text-yellow-300 rounded-md text-sm">
+          Last sync problem: {sync.last_error}
+        </div>
+      )}
+
+      {error && (
+        <div className="p-3 bg-red-50 dark:bg-red-900/30 border border-red-200 dark:border-red-800 text-red-700 dark:text-red-400 rounded-md text-sm">
+          {error}
+        </div>
+      )}
+
+      {message && (
+        <div className="p-3 bg-green-50 dark:bg-green-900/30 border border-green-200 dark:border-green-800 text-green-700 dark:text-green-400 rounded-md text-sm">
+          {message}
+        </div>
+      )}
+
+      {conflicts.length > 0 && (
+        <div className="text-sm">
+          <button
+            onClick={() => setShowConflicts(!showConflicts)}
+            className="text-pool-blue hover:text-pool-dark font-medium"
+          >
+            {showConflicts ? 'Hide' : 'Show'} recent conflicts ({conflicts.length})
+          </button>
+          {showConflicts && (
+            <ul className="mt-2 divide-y divide-gray-200 dark:divide-gray-700 border border-gray-200 dark:border-gray-700 rounded-md">
+              {conflicts.map((conflict) => (
+                <li key={conflict.id} className="p-3 space-y-1">
+                  <div className="flex justify-between gap-2">
+                    <span className="font-medium text-gray-800 dark:text-white">{conflict.event_title || 'Deleted event'}</span>
+                    <span className="text-xs text-gray-500 dark:text-gray-400">{new Date(conflict.created_at).toLocaleString()}</span>
+                  </div>
+                  <p className="text-xs text-gray-600 dark:text-gray-400">{RESOLUTION_LABELS[conflict.resolution]}</p>
+                  <p className="text-xs text-gray-500 dark:text-gray-400">
+                    CRM: {describeVersion(conflict.crm_version?.title, conflict.crm_version?.starts_at, conflict.crm_version?.all_day)}
+                  </p>
+                  <p className="text-xs text-gray-500 dark:text-gray-400">
+                    Google: {describeVersion(conflict.google_version?.summary, conflict.google_version?.start?.dateTime || conflict.google_version?.start?.date, !conflict.google_version?.start?.dateTime)}
+                  </p>
+                </li>
+              ))}
+            </ul>
+          )}
+        </div>
+      )}
+    </div>
+  )
+}
+
+export default GoogleCalendarSyncPanel
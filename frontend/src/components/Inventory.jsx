@@ -1,20 +1,29 @@
 import { useState, useEffect, useRef } from 'react'
 import { useAuth } from '../context/AuthContext'
 import axios from 'axios'
-import ActionsMenu, { DOCUMENT_ICON, EDIT_ICON, DELETE_ICON } from './ActionsMenu'
+import ActionsMenu, { DOCUMENT_ICON, EDIT_ICON, DELETE_ICON, TIMELINE_ICON, EXPENSE_ICON } from './ActionsMenu'
 import DocumentsModal from './DocumentsModal'
+import InventoryHistoryModal from './InventoryHistoryModal'
+import InventoryPriceHistoryModal from './InventoryPriceHistoryModal'
+import InventoryReorderReport from './InventoryReorderReport'
 import {
-  useInventory,
+  useInventoryPage,
   useCreateInventoryItem,
   useUpdateInventoryItem,
   useDeleteInventoryItem,
+  useHasPermission,
+  useRecord,
+  useReorderReport,
+  useSuppliers,
 } from '../hooks/useApi'
+import { useDebouncedValue } from '../hooks/useDebouncedValue'
 
-function Inventory() {
+function Inventory({ focusRecord, onFocusHandled }) {
   const { user, supabase, getAuthHeaders } = useAuth()
   
-  // Use cached query for inventory
-  const { data: materials = [], isLoading: loading, refetch } = useInventory()
+  const { data: reorderItems = [] } = useReorderReport()
+  const { data: suppliers = [] } = useSuppliers()
+  const canDeleteRecords = useHasPermission('delete_records')
   
   // Mutations
   const createItem = useCreateInventoryItem()
@@ -29,6 +38,20 @@ function Inventory() {
   const [searchTerm, setSearchTerm] = useState('')
   const [currentPage, setCurrentPage] = useState(1)
   const itemsPerPage = 10
+  const debouncedSearch = useDebouncedValue(searchTerm.trim())
+
+  // Search and paginate on the server, one type per tab
+  const currentType = activeTab === 'materials' ? 'material' : 'equipment'
+  const { data: inventoryPage, isLoading: loading, refetch } = useInventoryPage({
+    page: currentPage,
+    pageSize: itemsPerPage,
+    search: debouncedSearch,
+    type: currentType,
+  })
+  const paginatedMaterials = inventoryPage?.rows || []
+  const totalMaterials = inventoryPage?.total || 0
+  const typeCount = inventoryPage?.summary?.typeCounts?.[currentType] || 0
+  const stockValue = inventoryPage?.summary?.stockValueByType?.[currentType] || 0
   const [showImportModal, setShowImportModal] = useState(false)
   const [importing, setImporting] = useState(false)
   const [importProgress, setImportProgress] = useState({ success: 0, failed: 0, total: 0 })
@@ -36,6 +59,9 @@ function Inventory() {
   const [showDocumentsModal, setShowDocumentsModal] = useState(false)
   const [selectedEntityForDocuments, setSelectedEntityForDocuments] = useState(null)
   const [openActionsId, setOpenActionsId] = useState(null)
+  const [historyItem, setHistoryItem] = useState(null)
+  const [priceHistoryItem, setPriceHistoryItem] = useState(null)
+  const [showReorderReport, setShowReorderReport] = useState(false)
   const actionsMenuRef = useRef(null)
 
   // Form state
@@ -46,8 +72,12 @@ function Inventory() {
     unit: '',
     brand: '',
     model: '',
+    sku: '',
     color: '',
     unit_price: '',
+    reorder_point: '',
+    reorder_quantity: '',
+    preferred_supplier_id: '',
     type: 'material',
   })
 
@@ -73,8 +103,13 @@ function Inventory() {
 
     const payload = {
       ...formData,
-      stock: formData.stock ? parseInt(formData.stock) : 0,
+      stock: formData.stock ? parseFloat(formData.stock) : 0,
+      // What the form loaded, so the server only records a count when the figure was changed
+      ...(editingMaterial && { loaded_stock: parseFloat(editingMaterial.stock) || 0 }),
       unit_price: formData.unit_price ? parseFloat(formData.unit_price) : 0,
+      reorder_point: formData.reorder_point === '' ? null : parseFloat(formData.reorder_point),
+      reorder_quantity: formData.reorder_quantity === '' ? null : parseFloat(formData.reorder_quantity),
+      preferred_supplier_id: formData.preferred_supplier_id || null,
       type: itemType,
     }
 
@@ -118,8 +153,12 @@ function Inventory() {
       unit: material.unit || '',
       brand: material.brand || '',
       model: material.model || '',
+      sku: material.sku || '',
       color: material.color || '',
       unit_price: material.unit_price || '',
+      reorder_point: material.reorder_point ?? '',
+      reorder_quantity: material.reorder_quantity ?? '',
+      preferred_supplier_id: material.preferred_supplier_id || '',
       type: material.type || 'material',
     }
     setFormData(data)
@@ -132,10 +171,23 @@ function Inventory() {
     setShowForm(true)
   }
 
+  // Open the record picked in the Dashboard header search
+  const { data: focusedRecord } = useRecord('inventory', 'material', focusRecord?.id)
+  useEffect(() => {
+    if (!focusRecord || focusedRecord?.id !== focusRecord.id) return
+    if (focusRecord.openDocuments) {
+      setSelectedEntityForDocuments({ id: focusedRecord.id, name: focusedRecord.name })
+      setShowDocumentsModal(true)
+    } else {
+      handleEdit(focusedRecord)
+    }
+    onFocusHandled?.()
+  }, [focusRecord, focusedRecord])
+
   // Reset form
   const resetForm = () => {
     const data = {
-      name: '', stock: '', unit: '', brand: '', model: '', color: '', unit_price: '',
+      name: '', stock: '', unit: '', brand: '', model: '', sku: '', color: '', unit_price: '', reorder_point: '', reorder_quantity: '', preferred_supplier_id: '',
       type: activeTab === 'materials' ? 'material' : 'equipment',
     }
     setFormData(data)
@@ -149,30 +201,15 @@ function Inventory() {
     setShowForm(true)
   }
 
-  // Filter materials/equipment by type and search
-  const currentType = activeTab === 'materials' ? 'material' : 'equipment'
-  const filteredMaterials = materials.filter((material) => {
-    const matchesType = material.type === currentType
-    const matchesSearch =
-      searchTerm === '' ||
-      material.name?.toLowerCase().includes(searchTerm.toLowerCase()) ||
-      material.brand?.toLowerCase().includes(searchTerm.toLowerCase()) ||
-      material.model?.toLowerCase().includes(searchTerm.toLowerCase()) ||
-      material.color?.toLowerCase().includes(searchTerm.toLowerCase())
-
-    return matchesType && matchesSearch
-  })
-
   // Pagination
-  const totalPages = Math.ceil(filteredMaterials.length / itemsPerPage)
+  const totalPages = Math.ceil(totalMaterials / itemsPerPage)
   const startIndex = (currentPage - 1) * itemsPerPage
   const endIndex = startIndex + itemsPerPage
-  const paginatedMaterials = filteredMaterials.slice(startIndex, endIndex)
 
   // Reset to page 1 when filters change
   useEffect(() => {
     setCurrentPage(1)
-  }, [searchTerm, activeTab])
+  }, [debouncedSearch, activeTab])
 
   useEffect(() => {
     const handleClickOutside = (e) => {
@@ -307,6 +344,7 @@ function Inventory() {
           unit: row.unit || '',
           brand: row.brand || '',
           model: row.model || '',
+          sku: row.sku || '',
           color: row.color || '',
           unit_price: row.unit_price || row['unit_price'] || '0',
           type: row.type || (activeTab === 'materials' ? 'material' : 'equipment'),
@@ -337,7 +375,7 @@ function Inventory() {
         }
 
         // Convert numeric fields
-        const stock = parseInt(materialData.stock)
+        const stock = parseFloat(materialData.stock)
         const unitPrice = parseFloat(materialData.unit_price)
 
         materialData.stock = isNaN(stock) ? 0 : stock
@@ -507,10 +545,10 @@ function Inventory() {
               </tr>
             </thead>
             <tbody className="bg-white dark:bg-gray-800 divide-y divide-gray-200 dark:divide-gray-700">
-              {filteredMaterials.length === 0 ? (
+              {paginatedMaterials.length === 0 ? (
                 <tr>
                   <td colSpan="8" className="px-6 py-12 text-center text-gray-500 dark:text-gray-400">
-                    {materials.filter(m => m.type === currentType).length === 0
+                    {typeCount === 0
                       ? `No ${currentType === 'material' ? 'materials' : 'equipment'} yet. Click "Add ${currentType === 'material' ? 'Material' : 'Equipment'}" to get started.`
                       : 'No items match your search criteria.'}
                   </td>
@@ -522,7 +560,7 @@ function Inventory() {
                       <div className="text-sm font-medium text-gray-900 dark:text-white">{material.name || '-'}</div>
                     </td>
                     <td className="px-6 py-4 whitespace-nowrap">
-                      <div className="text-sm text-gray-900 dark:text-white">{material.stock ?? '-'}</div>
+                      <div className={`text-sm ${material.stock < 0 ? 'text-red-600 dark:text-red-400 font-semibold' : 'text-gray-900 dark:text-white'}`}>{material.stock ?? '-'}</div>
                     </td>
                     <td className="px-6 py-4 whitespace-nowrap">
                       <div className="text-sm text-gray-900 dark:text-white">{material.unit || '-'}</div>
@@ -532,6 +570,7 @@ function Inventory() {
                     </td>
                     <td className="px-6 py-4 whitespace-nowrap">
                       <div className="text-sm text-gray-900 dark:text-white">{material.model || '-'}</div>
+                      {material.sku && <div className="text-xs text-gray-500 dark:text-gray-400">SKU {material.sku}</div>}
                     </td>
                     <td className="px-6 py-4 whitespace-nowrap">
                       <div className="text-sm text-gray-900 dark:text-white">{material.color || '-'}</div>
@@ -550,9 +589,11 @@ function Inventory() {
                           onToggle={() => setOpenActionsId((prev) => (prev === material.id ? null : material.id))}
                           onAction={() => setOpenActionsId(null)}
                           actions={[
+                            { icon: TIMELINE_ICON, label: 'Stock History', onClick: () => setHistoryItem(material) },
+                            { icon: EXPENSE_ICON, label: 'Price History', onClick: () => setPriceHistoryItem(material) },
                             { icon: DOCUMENT_ICON, label: 'Documents', iconColor: 'text-green-600 dark:text-green-400', onClick: () => { setSelectedEntityForDocuments({ id: material.id, name: material.name }); setShowDocumentsModal(true) } },
                             { icon: EDIT_ICON, label: 'Edit', onClick: () => handleEdit(material) },
-                            { icon: DELETE_ICON, label: 'Delete', danger: true, disabled: deleteItem.isPending, onClick: () => handleDelete(material.id) },
+                            ...(canDeleteRecords ? [{ icon: DELETE_ICON, label: 'Delete', danger: true, disabled: deleteItem.isPending, onClick: () => handleDelete(material.id) }] : []),
                           ]}
                         />
                       </div>
@@ -566,10 +607,10 @@ function Inventory() {
       </div>
 
           {/* Pagination */}
-          {filteredMaterials.length > itemsPerPage && (
+          {totalMaterials > itemsPerPage && (
             <div className="bg-white dark:bg-gray-800 rounded-lg shadow p-4 flex items-center justify-between">
               <div className="text-sm text-gray-700 dark:text-gray-300">
-                Showing {startIndex + 1} to {Math.min(endIndex, filteredMaterials.length)} of {filteredMaterials.length} {currentType === 'material' ? 'materials' : 'equipment'}
+                Showing {startIndex + 1} to {Math.min(endIndex, totalMaterials)} of {totalMaterials} {currentType === 'material' ? 'materials' : 'equipment'}
               </div>
           <div className="flex gap-2">
             <button
@@ -620,22 +661,24 @@ function Inventory() {
           <div className="grid grid-cols-1 md:grid-cols-3 gap-4">
             <div className="bg-white dark:bg-gray-800 rounded-lg shadow p-4">
               <p className="text-sm text-gray-500 dark:text-gray-400">Total {currentType === 'material' ? 'Materials' : 'Equipment'}</p>
-              <p className="text-2xl font-bold text-gray-900 dark:text-white">{filteredMaterials.length}</p>
+              <p className="text-2xl font-bold text-gray-900 dark:text-white">{typeCount}</p>
             </div>
             <div className="bg-white dark:bg-gray-800 rounded-lg shadow p-4">
               <p className="text-sm text-gray-500 dark:text-gray-400">Total Stock Value</p>
               <p className="text-2xl font-bold text-gray-900 dark:text-white">
-                ${filteredMaterials
-                  .reduce((sum, m) => sum + (m.stock || 0) * (m.unit_price || 0), 0)
-                  .toLocaleString(undefined, { minimumFractionDigits: 2, maximumFractionDigits: 2 })}
+                ${stockValue.toLocaleString(undefined, { minimumFractionDigits: 2, maximumFractionDigits: 2 })}
               </p>
             </div>
-            <div className="bg-white dark:bg-gray-800 rounded-lg shadow p-4">
+            <button
+              onClick={() => setShowReorderReport(true)}
+              className="bg-white dark:bg-gray-800 rounded-lg shadow p-4 text-left hover:ring-2 hover:ring-pool-blue transition-shadow"
+            >
               <p className="text-sm text-gray-500 dark:text-gray-400">Low Stock Items</p>
               <p className="text-2xl font-bold text-red-600 dark:text-red-400">
-                {filteredMaterials.filter((m) => (m.stock || 0) < 10).length}
+                {reorderItems.filter((item) => item.type === currentType).length}
               </p>
-            </div>
+              <p className="text-xs text-pool-blue mt-1">View reorder report →</p>
+            </button>
           </div>
         </div>
       )}
@@ -723,10 +766,10 @@ function Inventory() {
                   </tr>
                 </thead>
                 <tbody className="bg-white dark:bg-gray-800 divide-y divide-gray-200 dark:divide-gray-700">
-                  {filteredMaterials.length === 0 ? (
+                  {paginatedMaterials.length === 0 ? (
                     <tr>
                       <td colSpan="8" className="px-6 py-12 text-center text-gray-500 dark:text-gray-400">
-                        {materials.filter(m => m.type === currentType).length === 0
+                        {typeCount === 0
                           ? `No ${currentType === 'material' ? 'materials' : 'equipment'} yet. Click "Add ${currentType === 'material' ? 'Material' : 'Equipment'}" to get started.`
                           : 'No items match your search criteria.'}
                       </td>
@@ -738,7 +781,7 @@ function Inventory() {
                           <div className="text-sm font-medium text-gray-900 dark:text-white">{material.name || '-'}</div>
                         </td>
                         <td className="px-6 py-4 whitespace-nowrap">
-                          <div className="text-sm text-gray-900 dark:text-white">{material.stock ?? '-'}</div>
+                          <div className={`text-sm ${material.stock < 0 ? 'text-red-600 dark:text-red-400 font-semibold' : 'text-gray-900 dark:text-white'}`}>{material.stock ?? '-'}</div>
                         </td>
                         <td className="px-6 py-4 whitespace-nowrap">
                           <div className="text-sm text-gray-900 dark:text-white">{material.unit || '-'}</div>
@@ -748,6 +791,7 @@ function Inventory() {
                         </td>
                         <td className="px-6 py-4 whitespace-nowrap">
                           <div className="text-sm text-gray-900 dark:text-white">{material.model || '-'}</div>
+                          {material.sku && <div className="text-xs text-gray-500 dark:text-gray-400">SKU {material.sku}</div>}
                         </td>
                         <td className="px-6 py-4 whitespace-nowrap">
                           <div className="text-sm text-gray-900 dark:text-white">{material.color || '-'}</div>
@@ -766,9 +810,11 @@ function Inventory() {
                               onToggle={() => setOpenActionsId((prev) => (prev === material.id ? null : material.id))}
                               onAction={() => setOpenActionsId(null)}
                               actions={[
+                                { icon: TIMELINE_ICON, label: 'Stock History', onClick: () => setHistoryItem(material) },
+                                { icon: EXPENSE_ICON, label: 'Price History', onClick: () => setPriceHistoryItem(material) },
                                 { icon: DOCUMENT_ICON, label: 'Documents', iconColor: 'text-green-600 dark:text-green-400', onClick: () => { setSelectedEntityForDocuments({ id: material.id, name: material.name }); setShowDocumentsModal(true) } },
                                 { icon: EDIT_ICON, label: 'Edit', onClick: () => handleEdit(material) },
-                                { icon: DELETE_ICON, label: 'Delete', danger: true, disabled: deleteItem.isPending, onClick: () => handleDelete(material.id) },
+                                ...(canDeleteRecords ? [{ icon: DELETE_ICON, label: 'Delete', danger: true, disabled: deleteItem.isPending, onClick: () => handleDelete(material.id) }] : []),
                               ]}
                             />
                           </div>
@@ -782,10 +828,10 @@ function Inventory() {
           </div>
 
           {/* Pagination */}
-          {filteredMaterials.length > itemsPerPage && (
+          {totalMaterials > itemsPerPage && (
             <div className="bg-white dark:bg-gray-800 rounded-lg shadow p-4 flex items-center justify-between">
               <div className="text-sm text-gray-700 dark:text-gray-300">
-                Showing {startIndex + 1} to {Math.min(endIndex, filteredMaterials.length)} of {filteredMaterials.length} {currentType === 'material' ? 'materials' : 'equipment'}
+                Showing {startIndex + 1} to {Math.min(endIndex, totalMaterials)} of {totalMaterials} {currentType === 'material' ? 'materials' : 'equipment'}
               </div>
               <div className="flex gap-2">
                 <button
@@ -836,22 +882,24 @@ function Inventory() {
           <div className="grid grid-cols-1 md:grid-cols-3 gap-4">
             <div className="bg-white dark:bg-gray-800 rounded-lg shadow p-4">
               <p className="text-sm text-gray-500 dark:text-gray-400">Total {currentType === 'material' ? 'Materials' : 'Equipment'}</p>
-              <p className="text-2xl font-bold text-gray-900 dark:text-white">{filteredMaterials.length}</p>
+              <p className="text-2xl font-bold text-gray-900 dark:text-white">{typeCount}</p>
             </div>
             <div className="bg-white dark:bg-gray-800 rounded-lg shadow p-4">
               <p className="text-sm text-gray-500 dark:text-gray-400">Total Stock Value</p>
               <p className="text-2xl font-bold text-gray-900 dark:text-white">
-                ${filteredMaterials
-                  .reduce((sum, m) => sum + (m.stock || 0) * (m.unit_price || 0), 0)
-                  .toLocaleString(undefined, { minimumFractionDigits: 2, maximumFractionDigits: 2 })}
+                ${stockValue.toLocaleString(undefined, { minimumFractionDigits: 2, maximumFractionDigits: 2 })}
               </p>
             </div>
-            <div className="bg-white dark:bg-gray-800 rounded-lg shadow p-4">
+            <button
+              onClick={() => setShowReorderReport(true)}
+              className="bg-white dark:bg-gray-800 rounded-lg shadow p-4 text-left hover:ring-2 hover:ring-pool-blue transition-shadow"
+            >
               <p className="text-sm text-gray-500 dark:text-gray-400">Low Stock Items</p>
               <p className="text-2xl font-bold text-red-600 dark:text-red-400">
-                {filteredMaterials.filter((m) => (m.stock || 0) < 10).length}
+                {reorderItems.filter((item) => item.type === currentType).length}
               </p>
-            </div>
+              <p className="text-xs text-pool-blue mt-1">View reorder report →</p>
+            </button>
           </div>
         </div>
       )}
@@ -891,6 +939,7 @@ function Inventory() {
                       <li><code className="bg-blue-100 px-1 rounded">unit_price</code> (defaults to 0)</li>
                       <li><code className="bg-blue-100 px-1 rounded">brand</code></li>
                       <li><code className="bg-blue-100 px-1 rounded">model</code></li>
+                      <li><code className="bg-blue-100 px-1 rounded">sku</code> - supplier item number, used to match price lists</li>
                       <li><code className="bg-blue-100 px-1 rounded">color</code></li>
                     </ul>
                   </div>
@@ -1023,7 +1072,7 @@ Pool Pump,unit,5,450.00,FlowMaster,FM-2000,Black`}
                       className="w-full px-4 py-2.5 border border-gray-300 dark:border-gray-600 rounded-lg focus:outline-none focus:ring-2 focus:ring-pool-blue focus:border-transparent bg-white dark:bg-gray-700 text-gray-900 dark:text-white transition-shadow"
                     />
                   </div>
-                  <div className="grid grid-cols-1 md:grid-cols-3 gap-4">
+                  <div className="grid grid-cols-1 md:grid-cols-2 gap-4">
                     <div>
                       <label className="block text-sm font-medium text-gray-700 dark:text-gray-300 mb-1">Brand</label>
                       <input
@@ -1044,6 +1093,17 @@ Pool Pump,unit,5,450.00,FlowMaster,FM-2000,Black`}
                         className="w-full px-4 py-2.5 border border-gray-300 dark:border-gray-600 rounded-lg focus:outline-none focus:ring-2 focus:ring-pool-blue focus:border-transparent bg-white dark:bg-gray-700 text-gray-900 dark:text-white transition-shadow"
                       />
                     </div>
+                    <div>
+                      <label className="block text-sm font-medium text-gray-700 dark:text-gray-300 mb-1">SKU</label>
+                      <input
+                        type="text"
+                        maxLength={100}
+                        value={formData.sku}
+                        onChange={(e) => setFormData({ ...formData, sku: e.target.value })}
+                        placeholder="Supplier item number"
+                        className="w-full px-4 py-2.5 border border-gray-300 dark:border-gray-600 rounded-lg focus:outline-none focus:ring-2 focus:ring-pool-blue focus:border-transparent bg-white dark:bg-gray-700 text-gray-900 dark:text-white transition-shadow"
+                      />
+                    </div>
                     <div>
                       <label className="block text-sm font-medium text-gray-700 dark:text-gray-300 mb-1">Color</label>
                       <input
@@ -1074,13 +1134,17 @@ Pool Pump,unit,5,450.00,FlowMaster,FM-2000,Black`}
                       </label>
                       <input
                         type="number"
-                        min="0"
+                        min={editingMaterial ? undefined : '0'}
+                        step="0.01"
                         value={formData.stock}
                         onChange={(e) => setFormData({ ...formData, stock: e.target.value })}
                         required
                         placeholder="0"
                         className="w-full px-4 py-2.5 border border-gray-300 dark:border-gray-600 rounded-lg focus:outline-none focus:ring-2 focus:ring-pool-blue focus:border-transparent bg-white dark:bg-gray-700 text-gray-900 dark:text-white transition-shadow"
                       />
+                      {editingMaterial && (
+                        <p className="text-xs text-gray-500 dark:text-gray-400 mt-1">Changing this records a stock-count adjustment</p>
+                      )}
                     </div>
                     <div>
                       <label className="block text-sm font-medium text-gray-700 dark:text-gray-300 mb-1">
@@ -1122,6 +1186,54 @@ Pool Pump,unit,5,450.00,FlowMaster,FM-2000,Black`}
                       </div>
                     </div>
                   </div>
+                  <div className="grid grid-cols-1 md:grid-cols-2 gap-4 mt-4">
+                    <div>
+                      <label className="block text-sm font-medium text-gray-700 dark:text-gray-300 mb-1">
+                        Reorder Point
+                      </label>
+                      <input
+                        type="number"
+                        min="0"
+                        step="0.01"
+                        value={formData.reorder_point}
+                        onChange={(e) => setFormData({ ...formData, reorder_point: e.target.value })}
+                        placeholder="No alert"
+                        className="w-full px-4 py-2.5 border border-gray-300 dark:border-gray-600 rounded-lg focus:outline-none focus:ring-2 focus:ring-pool-blue focus:border-transparent bg-white dark:bg-gray-700 text-gray-900 dark:text-white transition-shadow"
+                      />
+                      <p className="text-xs text-gray-500 dark:text-gray-400 mt-1">Alert when stock not committed to upcoming projects falls to this level</p>
+                    </div>
+                    <div>
+                      <label className="block text-sm font-medium text-gray-700 dark:text-gray-300 mb-1">
+                        Reorder Quantity
+                      </label>
+                      <input
+                        type="number"
+                        min="0"
+                        step="0.01"
+                        value={formData.reorder_quantity}
+                        onChange={(e) => setFormData({ ...formData, reorder_quantity: e.target.value })}
+                        placeholder="Just the shortfall"
+                        className="w-full px-4 py-2.5 border border-gray-300 dark:border-gray-600 rounded-lg focus:outline-none focus:ring-2 focus:ring-pool-blue focus:border-transparent bg-white dark:bg-gray-700 text-gray-900 dark:text-white transition-shadow"
+                      />
+                      <p className="text-xs text-gray-500 dark:text-gray-400 mt-1">Usual order size when reordering</p>
+                    </div>
+                  </div>
+                  <div className="mt-4">
+                    <label className="block text-sm font-medium text-gray-700 dark:text-gray-300 mb-1">
+                      Preferred Supplier
+                    </label>
+                    <select
+                      value={formData.preferred_supplier_id}
+                      onChange={(e) => setFormData({ ...formData, preferred_supplier_id: e.target.value })}
+                      className="w-full px-4 py-2.5 border border-gray-300 dark:border-gray-600 rounded-lg focus:outline-none focus:ring-2 focus:ring-pool-blue focus:border-transparent bg-white dark:bg-gray-700 text-gray-900 dark:text-white transition-shadow"
+                    >
+                      <option value="">None</option>
+                      {suppliers.map((supplier) => (
+                        <option key={supplier.id} value={supplier.id}>{supplier.name}</option>
+                      ))}
+                    </select>
+                    <p className="text-xs text-gray-500 dark:text-gray-400 mt-1">Chosen by default when this item goes on a purchase order</p>
+                  </div>
                 </div>
               </div>
 
@@ -1164,6 +1276,21 @@ Pool Pump,unit,5,450.00,FlowMaster,FM-2000,Black`}
         </div>
       )}
 
+      {/* Reorder Report Modal */}
+      {showReorderReport && (
+        <InventoryReorderReport onClose={() => setShowReorderReport(false)} />
+      )}
+
+      {/* Stock History Modal */}
+      {historyItem && (
+        <InventoryHistoryModal item={historyItem} onClose={() => setHistoryItem(null)} />
+      )}
+
+      {/* Price History Modal */}
+      {priceHistoryItem && (
+        <InventoryPriceHistoryModal item={priceHistoryItem} onClose={() => setPriceHistoryItem(null)} />
+      )}
+
       {/* Documents Modal */}
       {showDocumentsModal && selectedEntityForDocuments && (
         <DocumentsModal
@@ -0,0 +1,218 @@
+import { useState } from 'react'
+import {
+  useInventoryMovements,
+  useAddInventoryMovement,
+  useProjects,
+} from '../hooks/useApi'
+
+// Must match MOVEMENT_TYPES in backend/services/inventoryLedger.js
+const MOVEMENT_TYPES = [
+  { value: 'receipt', label: 'Receipt', hint: 'Stock received from a supplier' },
+  { value: 'allocation', label: 'Allocation', hint: 'Stock taken out for a project' },
+  { value: 'return', label: 'Return', hint: 'Unused stock back from a project' },
+  { value: 'adjustment', label: 'Adjustment', hint: 'Correction after a count; negative to remove stock' },
+]
+
+const TYPE_BADGES = {
+  receipt: 'bg-green-100 text-green-800 dark:bg-green-900/30 dark:text-green-300',
+  allocation: 'bg-orange-100 text-orange-800 dark:bg-orange-900/30 dark:text-orange-300',
+  return: 'bg-blue-100 text-blue-800 dark:bg-blue-900/30 dark:text-blue-300',
+  adjustment: 'bg-gray-100 text-gray-800 dark:bg-gray-700 dark:text-gray-300',
+}
+
+const emptyForm = { movement_type: 'receipt', quantity: '', project_id: '', note: '' }
+
+const formatQuantity = (value) => (value || 0).toLocaleString('en-US', { maximumFractionDigits: 2 })
+
+const formatDateTime = (value) => (value ? new Date(value).toLocaleString('en-US', {
+  month: 'short', day: 'numeric', year: 'numeric', hour: 'numeric', minute: '2-digit',
+}) : '-')
+
+const inputClass = 'w-full px-3 py-2 border border-gray-300 dark:border-gray-600 rounded-md focus:outline-none focus:ring-2 focus:ring-pool-blue bg-white dark:bg-gray-700 text-sm text-gray-900 dark:text-white'
+const labelClass = 'block text-xs font-medium text-gray-600 dark:text-gray-400 mb-1'
+
+/**
+ * An inventory item's stock ledger with the on-hand quantity after each movement, and a form to record receipts,
+ * allocations, returns and adjustments by hand.
+ */
+function InventoryHistoryModal({ item, onClose }) {
+  const { data, isLoading } = useInventoryMovements(item.id)
+  const { data: projects = [] } = useProjects()
+  const addMovement = useAddInventoryMovement()
+
+  const [form, setForm] = useState(emptyForm)
+  const [message, setMessage] = useState({ type: '', text: '' })
+
+  const movements = data?.movements || []
+  const onHand = data?.onHand ?? item.stock ?? 0
+  const unit = data?.item?.unit || item.unit || ''
+  const selectedType = MOVEMENT_TYPES.find((type) => type.value === form.movement_type)
+  const takesProject = form.movement_type === 'allocation' || form.movement_type === 'return'
+
+  const showMessage = (type, text) => {
+    setMessage({ type, text })
+    setTimeout(() => setMessage({ type: '', text: '' }), 4000)
+  }
+
+  const setField = (field, value) => setForm((prev) => ({ ...prev, [field]: value }))
+
+  const handleSubmit = async (e) => {
+    e.preventDefault()
+    const quantity = parseFloat(form.quantity)
+    if (!quantity) {
+      showMessage('error', 'Enter a quantity')
+      return
+    }
+    try {
+      await addMovement.mutateAsync({
+        inventoryId: item.id,
+        data: {
+          movement_type: form.movement_type,
+          quantity,
+          project_id: takesProject && form.project_id ? form.project_id : null,
+          note: form.note || null,
+        },
+      })
+      setForm(emptyForm)
+      showMessage('success', `${selectedType.label} recorded`)
+    } catch (err) {
+      showMessage('error', err?.response?.data?.error || 'Failed to record movement')
+    }
+  }
+
+  return (
+    <div className="fixed inset-0 bg-black bg-opacity-50 flex items-center justify-center z-50 p-4" onClick={onClose}>
+      <div className="bg-white dark:bg-gray-800 rounded-xl shadow-2xl max-w-4xl w-full max-h-[90vh] overflow-hidden flex flex-col" onClick={(e) => e.stopPropagation()}>
+        {/* Header */}
+        <div className="bg-gradient-to-r from-pool-blue to-pool-dark px-6 py-4 flex-shrink-0 rounded-t-xl">
+          <div className="flex justify-between items-center">
+            <div>
+              <h3 className="text-xl font-bold text-white">
+                Stock History - {item.name}
+              </h3>
+              <p className={`text-sm ${onHand < 0 ? 'text-red-200 font-semibold' : 'text-white/80'}`}>
+                On hand: {formatQuantity(onHand)} {unit}
+              </p>
+            </div>
+            <button
+              onClick={onClose}
+              className="text-white/80 hover:text-white p-1 transition-colors"
+            >
+              <svg className="w-5 h-5" fill="none" viewBox="0 0 24 24" stroke="currentColor">
+                <path strokeLinecap="round" strokeLinejoin="round" strokeWidth={2} d="M6 18L18 6M6 6l12 12" />
+              </svg>
+            </button>
+          </div>
+        </div>
+
+        <div className="p-6 overflow-y-auto flex-1 space-y-6">
+          {message.text && (
+            <div className={`p-3 rounded-md text-sm border ${message.type === 'error' ? 'bg-red-50 border-red-200 text-red-700' : 'bg-green-50 border-green-200 text-green-700'}`}>
+              {message.text}
+            </div>
+          )}
+
+          {/* Record a movement */}
+          <form onSubmit={handleSubmit} className="bg-gray-50 dark:bg-gray-700/50 rounded-lg p-4 space-y-3">
+            <h4 className="text-sm font-semibold text-gray-800 dark:text-white">Record Movement</h4>
+            <div className="grid grid-cols-1 sm:grid-cols-4 gap-3">
+              <div>
+                <label className={labelClass}>Type</label>
+                <select value={form.movement_type} onChange={(e) => setField('movement_type', e.target.value)} className={inputClass}>
+                  {MOVEMENT_TYPES.map((type) => (
+                    <option key={type.value} value={type.value}>{type.label}</option>
+                  ))}
+                </select>
+              </div>
+              <div>
+                <label className={labelClass}>Quantity{unit ? ` (${unit})` : ''}</label>
+                <input
+                  type="number"
+                  step="0.01"
+                  min={form.movement_type === 'adjustment' ? undefined : '0'}
+                  value={form.quantity}
+                  onChange={(e) => setField('quantity', e.target.value)}
+                  className={inputClass}
+                  placeholder="0"
+                />
+              </div>
+              <div>
+                <label className={labelClass}>Project</label>
+                <select value={form.project_id} onChange={(e) => setField('project_id', e.target.value)} disabled={!takesProject} className={`${inputClass} disabled:opacity-60`}>
+                  <option value="">{takesProject ? 'No project' : 'Not applicable'}</option>
+                  {projects.map((project) => (
+                    <option key={project.id} value={project.id}>{project.project_name || project.address || 'Untitled project'}</option>
+                  ))}
+                </select>
+              </div>
+              <div>
+                <label className={labelClass}>Note</label>
+                <input type="text" maxLength={1000} value={form.note} onChange={(e) => setField('note', e.target.value)} className={inputClass} placeholder="Optional" />
+              </div>
+            </div>
+            <div className="flex items-center justify-between gap-3">
+              <p className="text-xs text-gray-500 dark:text-gray-400">{selectedType?.hint}</p>
+              <button
+                type="submit"
+                disabled={addMovement.isPending}
+                className="px-4 py-2 bg-pool-blue hover:bg-pool-dark text-white text-sm font-medium rounded-md transition-colors disabled:opacity-50"
+              >
+                {addMovement.isPending ? 'Saving...' : 'Record'}
+              </button>
+            </div>
+          </form>
+
+          {/* Ledger */}
+          {isLoading ? (
+            <div className="flex items-center justify-center py-6">
+              <div className="animate-spin rounded-full h-6 w-6 border-b-2 border-pool-blue"></div>
+            </div>
+          ) : movements.length === 0 ? (
+            <p className="text-sm text-gray-500 dark:text-gray-400 text-center py-6">No stock movements yet.</p>
+          ) : (
+            <div className="overflow-x-auto border border-gray-200 dark:border-gray-700 rounded-lg">
+              <table className="min-w-full divide-y divide-gray-200 dark:divide-gray-700 text-sm">
+                <thead className="bg-gray-50 dark:bg-gray-700">
+                  <tr>
+                    <th className="px-4 py-2 text-left text-xs font-medium text-gray-500 dark:text-gray-300 uppercase">Date</th>
+                    <th className="px-4 py-2 text-left text-xs font-medium text-gray-500 dark:text-gray-300 uppercase">Type</th>
+                    <th className="px-4 py-2 text-right text-xs font-medium text-gray-500 dark:text-gray-300 uppercase">Change</th>
+                    <th className="px-4 py-2 text-right text-xs font-medium text-gray-500 dark:text-gray-300 uppercase">On Hand</th>
+                    <th className="px-4 py-2 text-left text-xs font-medium text-gray-500 dark:text-gray-300 uppercase">Project</th>
+                    <th className="px-4 py-2 text-left text-xs font-medium text-gray-500 dark:text-gray-300 uppercase">Note</th>
+                    <th className="px-4 py-2 text-left text-xs font-medium text-gray-500 dark:text-gray-300 uppercase">By</th>
+                  </tr>
+                </thead>
+                <tbody className="bg-white dark:bg-gray-800 divide-y divide-gray-200 dark:divide-gray-700">
+                  {movements.map((movement) => (
+                    <tr key={movement.id}>
+                      <td className="px-4 py-2 whitespace-nowrap text-gray-700 dark:text-gray-300">{formatDateTime(movement.created_at)}</td>
+                      <td className="px-4 py-2 whitespace-nowrap">
+                        <span className={`px-2 py-0.5 rounded-full text-xs font-medium capitalize ${TYPE_BADGES[movement.movement_type] || TYPE_BADGES.adjustment}`}>
+                          {movement.movement_type}
+                        </span>
+                      </td>
+                      <td className={`px-4 py-2 whitespace-nowrap text-right font-medium ${movement.quantity < 0 ? 'text-red-600 dark:text-red-400' : 'text-green-600 dark:text-green-400'}`}>
+                        {movement.quantity > 0 ? '+' : ''}{formatQuantity(movement.quantity)}
+                      </td>
+                      <td className={`px-4 py-2 whitespace-nowrap text-right ${movement.on_hand < 0 ? 'text-red-600 dark:text-red-400 font-semibold' : 'text-gray-900 dark:text-white'}`}>
+                        {formatQuantity(movement.on_hand)}
+                      </td>
+                      <td className="px-4 py-2 text-gray-700 dark:text-gray-300">{movement.project_name || '-'}</td>
+                      <td className="px-4 py-2 text-gray-700 dark:text-gray-300">
+                        {movement.note || (movement.source_table ? 'From project expenses' : '-')}
+                      </td>
+                      <td className="px-4 py-2 whitespace-nowrap text-gray-700 dark:text-gray-300">{movement.created_by_name || '-'}</td>
+                    </tr>
+                  ))}
+                </tbody>
+              </table>
+            </div>
+          )}
+        </div>
+      </div>
+    </div>
+  )
+}
+
+export default InventoryHistoryModal
@@ -0,0 +1,89 @@
+import { useInventoryPriceHistory } from '../hooks/useApi'
+
+const formatMoney = (value) =>
+  value == null ? '-' : `$${value.toLocaleString('en-US', { minimumFractionDigits: 2, maximumFractionDigits: 2 })}`
+
+const formatDate = (isoDate) => (isoDate ? new Date(`${isoDate}T00:00:00`).toLocaleDateString() : '-')
+
+/**
+ * An inventory item's unit price over time, from edits and supplier price list imports.
+ */
+function InventoryPriceHistoryModal({ item, onClose }) {
+  const { data, isLoading } = useInventoryPriceHistory(item.id)
+  const history = data?.history || []
+
+  return (
+    <div className="fixed inset-0 bg-black bg-opacity-50 flex items-center justify-center z-50 p-4" onClick={onClose}>
+      <div className="bg-white dark:bg-gray-800 rounded-xl shadow-2xl max-w-3xl w-full max-h-[90vh] overflow-hidden flex flex-col" onClick={(e) => e.stopPropagation()}>
+        {/* Header */}
+        <div className="bg-gradient-to-r from-pool-blue to-pool-dark px-6 py-4 flex-shrink-0 rounded-t-xl">
+          <div className="flex justify-between items-center">
+            <div>
+              <h3 className="text-xl font-bold text-white">Price History - {item.name}</h3>
+              <p className="text-sm text-white/80">
+                Current: {formatMoney(data?.item?.unit_price ?? (parseFloat(item.unit_price) || 0))}{item.unit ? ` per ${item.unit}` : ''}
+              </p>
+            </div>
+            <button
+              onClick={onClose}
+              className="text-white/80 hover:text-white p-1 transition-colors"
+            >
+              <svg className="w-5 h-5" fill="none" viewBox="0 0 24 24" stroke="currentColor">
+                <path strokeLinecap="round" strokeLinejoin="round" strokeWidth={2} d="M6 18L18 6M6 6l12 12" />
+              </svg>
+            </button>
+          </div>
+        </div>
+
+        <div className="p-6 overflow-y-auto flex-1">
+          {isLoading ? (
+            <div className="flex items-center justify-center py-6">
+              <div className="animate-spin rounded-full h-6 w-6 border-b-2 border-pool-blue"></div>
+            </div>
+          ) : history.length === 0 ? (
+            <p className="text-sm text-gray-500 dark:text-gray-400 text-center py-6">No price changes recorded yet.</p>
+          ) : (
+            <div className="overflow-x-auto border border-gray-200 dark:border-gray-700 rounded-lg">
+              <table className="min-w-full divide-y divide-gray-200 dark:divide-gray-700 text-sm">
+                <thead className="bg-gray-50 dark:bg-gray-700">
+                  <tr>
+                    <th className="px-4 py-2 text-left text-xs font-medium text-gray-500 dark:text-gray-300 uppercase">Effective</th>
+                    <th className="px-4 py-2 text-right text-xs font-medium text-gray-500 dark:text-gray-300 uppercase">Was</th>
+                    <th className="px-4 py-2 text-right text-xs font-medium text-gray-500 dark:text-gray-300 uppercase">Price</th>
+                    <th className="px-4 py-2 text-right text-xs font-medium text-gray-500 dark:text-gray-300 uppercase">Change</th>
+                    <th className="px-4 py-2 text-left text-xs font-medium text-gray-500 dark:text-gray-300 uppercase">Source</th>
+                    <th className="px-4 py-2 text-left text-xs font-medium text-gray-500 dark:text-gray-300 uppercase">By</th>
+                  </tr>
+                </thead>
+                <tbody className="bg-white dark:bg-gray-800 divide-y divide-gray-200 dark:divide-gray-700">
+                  {history.map((entry) => {
+                    const change = entry.previous_price == null ? null : entry.unit_price - entry.previous_price
+                    return (
+                      <tr key={entry.id}>
+                        <td className="px-4 py-2 whitespace-nowrap text-gray-700 dark:text-gray-300">{formatDate(entry.effective_date)}</td>
+                        <td className="px-4 py-2 whitespace-nowrap text-right text-gray-500 dark:text-gray-400">{formatMoney(entry.previous_price)}</td>
+                        <td className="px-4 py-2 whitespace-nowrap text-right font-medium text-gray-900 dark:text-white">{formatMoney(entry.unit_price)}</td>
+                        <td className={`px-4 py-2 whitespace-nowrap text-right ${change > 0 ? 'text-red-600 dark:text-red-400' : change < 0 ? 'text-green-600 dark:text-green-400' : 'text-gray-500 dark:text-gray-400'}`}>
+                          {change == null ? '-' : `${change > 0 ? '+' : ''}${change.toFixed(2)}`}
+                          {change != null && entry.previous_price > 0 && (
+                            <span className="text-xs ml-1">({change > 0 ? '+' : ''}{((change / entry.previous_price) * 100).toFixed(1)}%)</span>
+                          )}
+                        </td>
+                        <td className="px-4 py-2 text-gray-700 dark:text-gray-300">
+                          {entry.source === 'import' ? `Price list${entry.supplier_name ? ` - ${entry.supplier_name}` : ''}` : 'Edited'}
+                        </td>
+                        <td className="px-4 py-2 whitespace-nowrap text-gray-700 dark:text-gray-300">{entry.created_by_name || '-'}</td>
+                      </tr>
+                    )
+                  })}
+                </tbody>
+              </table>
+            </div>
+          )}
+        </div>
+      </div>
+    </div>
+  )
+}
+
+export default InventoryPriceHistoryModal
@@ -0,0 +1,109 @@
+import { useReorderReport, useHasPermission } from '../hooks/useApi'
+
+const formatQuantity = (value) => (value || 0).toLocaleString('en-US', { maximumFractionDigits: 2 })
+
+const formatMoney = (value) =>
+  `$${(value || 0).toLocaleString('en-US', { minimumFractionDigits: 2, maximumFractionDigits: 2 })}`
+
+/**
+ * Items at or below their reorder point once materials committed to upcoming projects are taken out of stock, with
+ * a suggested order quantity for each.
+ */
+function InventoryReorderReport({ onClose }) {
+  const canViewCosts = useHasPermission('view_costs')
+  const { data: items = [], isLoading } = useReorderReport()
+
+  const totalCost = items.reduce((sum, item) => sum + (item.estimated_cost || 0), 0)
+
+  return (
+    <div className="fixed inset-0 bg-black bg-opacity-50 flex items-center justify-center z-50 p-4" onClick={onClose}>
+      <div className="bg-white dark:bg-gray-800 rounded-xl shadow-2xl max-w-5xl w-full max-h-[90vh] overflow-hidden flex flex-col" onClick={(e) => e.stopPropagation()}>
+        {/* Header */}
+        <div className="bg-gradient-to-r from-pool-blue to-pool-dark px-6 py-4 flex-shrink-0 rounded-t-xl">
+          <div className="flex justify-between items-center">
+            <div>
+              <h3 className="text-xl font-bold text-white">Reorder Report</h3>
+              <p className="text-sm text-white/80">Available = on hand minus materials committed to signed and sold projects but not yet received</p>
+            </div>
+            <button
+              onClick={onClose}
+              className="text-white/80 hover:text-white p-1 transition-colors"
+            >
+              <svg className="w-5 h-5" fill="none" viewBox="0 0 24 24" stroke="currentColor">
+                <path strokeLinecap="round" strokeLinejoin="round" strokeWidth={2} d="M6 18L18 6M6 6l12 12" />
+              </svg>
+            </button>
+          </div>
+        </div>
+
+        <div className="p-6 overflow-y-auto flex-1">
+          {isLoading ? (
+            <div className="flex items-center justify-center py-6">
+              <div className="animate-spin rounded-full h-6 w-6 border-b-2 border-pool-blue"></div>
+            </div>
+          ) : items.length === 0 ? (
+            <p className="text-sm text-gray-500 dark:text-gray-400 text-center py-6">
+              Nothing to reorder. Set a reorder point on an item to be alerted before it runs out.
+            </p>
+          ) : (
+            <div className="overflow-x-auto border border-gray-200 dark:border-gray-700 rounded-lg">
+              <table className="min-w-full divide-y divide-gray-200 dark:divide-gray-700 text-sm">
+                <thead className="bg-gray-50 dark:bg-gray-700">
+                  <tr>
+                    <th className="px-4 py-2 text-left text-xs font-medium text-gray-500 dark:text-gray-300 uppercase">Item</th>
+                    <th className="px-4 py-2 text-right text-xs font-medium text-gray-500 dark:text-gray-300 uppercase">On Hand</th>
+                    <th className="px-4 py-2 text-right text-xs font-medium text-gray-500 dark:text-gray-300 uppercase">Committed</th>
+                    <th className="px-4 py-2 text-right text-xs font-medium text-gray-500 dark:text-gray-300 uppercase">Available</th>
+                    <th className="px-4 py-2 text-right text-xs font-medium text-gray-500 dark:text-gray-300 uppercase">Reorder Point</th>
+                    <th className="px-4 py-2 text-right text-xs font-medium text-gray-500 dark:text-gray-300 uppercase">Order</th>
+                    {canViewCosts && (
+                      <th className="px-4 py-2 text-right text-xs font-medium text-gray-500 dark:text-gray-300 uppercase">Est. Cost</th>
+                    )}
+                  </tr>
+                </thead>
+                <tbody className="bg-white dark:bg-gray-800 divide-y divide-gray-200 dark:divide-gray-700">
+                  {items.map((item) => (
+                    <tr key={item.id}>
+                      <td className="px-4 py-2">
+                        <div className="font-medium text-gray-900 dark:text-white">{item.name}</div>
+                        {item.projects.length > 0 && (
+                          <div className="text-xs text-gray-500 dark:text-gray-400">
+                            {item.projects.map((project) => `${project.project_name || 'Untitled project'} (${formatQuantity(project.quantity)})`).join(', ')}
+                          </div>
+                        )}
+                      </td>
+                      <td className="px-4 py-2 whitespace-nowrap text-right text-gray-700 dark:text-gray-300">{formatQuantity(item.stock)} {item.unit}</td>
+                      <td className="px-4 py-2 whitespace-nowrap text-right text-gray-700 dark:text-gray-300">{formatQuantity(item.committed)}</td>
+                      <td className={`px-4 py-2 whitespace-nowrap text-right font-medium ${item.available < 0 ? 'text-red-600 dark:text-red-400' : 'text-orange-600 dark:text-orange-400'}`}>
+                        {formatQuantity(item.available)}
+                      </td>
+                      <td className="px-4 py-2 whitespace-nowrap text-right text-gray-700 dark:text-gray-300">
+                        {item.reorder_point == null ? '-' : formatQuantity(item.reorder_point)}
+                      </td>
+                      <td className="px-4 py-2 whitespace-nowrap text-right font-semibold text-gray-900 dark:text-white">
+                        {formatQuantity(item.suggested_quantity)} {item.unit}
+                      </td>
+                      {canViewCosts && (
+                        <td className="px-4 py-2 whitespace-nowrap text-right text-gray-700 dark:text-gray-300">{formatMoney(item.estimated_cost)}</td>
+                      )}
+                    </tr>
+                  ))}
+                </tbody>
+                {canViewCosts && (
+                  <tfoot className="bg-gray-50 dark:bg-gray-700">
+                    <tr>
+                      <td colSpan={6} className="px-4 py-2 text-right text-sm font-medium text-gray-700 dark:text-gray-300">Total</td>
+                      <td className="px-4 py-2 text-right text-sm font-semibold text-gray-900 dark:text-white">{formatMoney(totalCost)}</td>
+                    </tr>
+                  </tfoot>
+                )}
+              </table>
+            </div>
+          )}
+        </div>
+      </div>
+    </div>
+  )
+}
+
+export default InventoryReorderReport
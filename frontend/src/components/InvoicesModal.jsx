@@ -0,0 +1,424 @@
+import { useState } from 'react'
+import {
+  useProjectInvoices,
+  useProjectMilestones,
+  useFetchInvoice,
+  useCreateInvoice,
+  useVoidInvoice,
+  useRecordPayment,
+  useDeletePayment,
+  useHasPermission,
+} from '../hooks/useApi'
+import { downloadInvoicePdf } from '../utils/contractPdfGenerator'
+
+const PAYMENT_METHODS = [
+  { value: 'check', label: 'Check' },
+  { value: 'ach', label: 'ACH' },
+  { value: 'card', label: 'Card' },
+  { value: 'cash', label: 'Cash' },
+]
+
+const STATUS_STYLES = {
+  open: 'bg-blue-100 text-blue-800 dark:bg-blue-900/30 dark:text-blue-300',
+  partial: 'bg-amber-100 text-amber-800 dark:bg-amber-900/30 dark:text-amber-300',
+  paid: 'bg-green-100 text-green-800 dark:bg-green-900/30 dark:text-green-300',
+  void: 'bg-gray-100 text-gray-600 dark:bg-gray-700 dark:text-gray-400',
+}
+
+// Only the signed schedule is billed (contract and change orders); legacy rows have no document_type
+const BILLABLE_DOCUMENT_TYPES = ['contract', 'change_order']
+
+const formatMoney = (value) =>
+  `$${(value || 0).toLocaleString('en-US', { minimumFractionDigits: 2, maximumFractionDigits: 2 })}`
+
+const todayString = () => new Date().toISOString().split('T')[0]
+
+const formatDay = (dateString) => (dateString ? new Date(`${dateString}T00:00:00`).toLocaleDateString() : '-')
+
+const inputClass = 'w-full px-3 py-2 border border-gray-300 dark:border-gray-600 rounded-md focus:outline-none focus:ring-2 focus:ring-pool-blue bg-white dark:bg-gray-700 text-sm text-gray-900 dark:text-white'
+const labelClass = 'block text-xs font-medium text-gray-600 dark:text-gray-400 mb-1'
+
+/**
+ * Bill a project's milestones and record the payments received against each invoice.
+ */
+function InvoicesModal({ project, onClose }) {
+  const { data, isLoading } = useProjectInvoices(project.id)
+  const { data: milestones = [], isLoading: loadingMilestones } = useProjectMilestones(project.id)
+  const fetchInvoice = useFetchInvoice()
+  const createInvoice = useCreateInvoice()
+  const voidInvoice = useVoidInvoice()
+  const recordPayment = useRecordPayment()
+  const deletePayment = useDeletePayment()
+  const canManageInvoices = useHasPermission('manage_invoices')
+
+  const [showNewInvoice, setShowNewInvoice] = useState(false)
+  const [selectedMilestones, setSelectedMilestones] = useState([])
+  const [invoiceForm, setInvoiceForm] = useState({ invoice_date: todayString(), due_date: '', notes: '' })
+  const [paymentInvoiceId, setPaymentInvoiceId] = useState(null)
+  const [paymentForm, setPaymentForm] = useState({ amount: '', method: 'check', reference: '', paid_on: todayString() })
+  const [downloadingId, setDownloadingId] = useState(null)
+  const [message, setMessage] = useState({ type: '', text: '' })
+
+  const invoices = data?.invoices || []
+  const billedIds = new Set(data?.billedMilestoneIds || [])
+  const billableMilestones = milestones.filter((m) => !m.document_type || BILLABLE_DOCUMENT_TYPES.includes(m.document_type))
+  const unbilledMilestones = billableMilestones.filter((m) => !billedIds.has(m.id) && parseFloat(m.customer_price || 0) > 0)
+  const selectedTotal = unbilledMilestones
+    .filter((m) => selectedMilestones.includes(m.id))
+    .reduce((sum, m) => sum + (parseFloat(m.customer_price) || 0), 0)
+
+  const activeInvoices = invoices.filter((i) => i.status !== 'void')
+  const invoicedTotal = activeInvoices.reduce((sum, i) => sum + i.total, 0)
+  const paidTotal = activeInvoices.reduce((sum, i) => sum + i.amount_paid, 0)
+
+  const showMessage = (type, text) => {
+    setMessage({ type, text })
+    setTimeout(() => setMessage({ type: '', text: '' }), 3000)
+  }
+
+  const toggleMilestone = (id) => {
+    setSelectedMilestones((prev) => (prev.includes(id) ? prev.filter((m) => m !== id) : [...prev, id]))
+  }
+
+  const handleCreateInvoice = async () => {
+    try {
+      const invoice = await createInvoice.mutateAsync({
+        projectId: project.id,
+        data: {
+          milestone_ids: selectedMilestones,
+          invoice_date: invoiceForm.invoice_date || undefined,
+          due_date: invoiceForm.due_date || undefined,
+          notes: invoiceForm.notes || undefined,
+        },
+      })
+      setShowNewInvoice(false)
+      setSelectedMilestones([])
+      setInvoiceForm({ invoice_date: todayString(), due_date: '', notes: '' })
+      showMessage('success', `Invoice #${invoice.invoice_number} created`)
+    } catch (err) {
+      showMessage('error', err?.response?.data?.error || 'Failed to create invoice')
+    }
+  }
+
+  const handleDownload = async (invoice) => {
+    setDownloadingId(invoice.id)
+    try {
+      const invoiceData = await fetchInvoice(invoice.id)
+      await downloadInvoicePdf(invoiceData)
+    } catch (err) {
+      showMessage('error', err?.response?.data?.error || 'Failed to generate PDF')
+    } finally {
+      setDownloadingId(null)
+    }
+  }
+
+  const handleVoid = async (invoice) => {
+    if (!window.confirm(`Void invoice #${invoice.invoice_number}? Its milestones can then be billed again.`)) return
+    try {
+      await voidInvoice.mutateAsync(invoice.id)
+      showMessage('success', `Invoice #${invoice.invoice_number} voided`)
+    } catch (err) {
+      showMessage('error', err?.response?.data?.error || 'Failed to void invoice')
+    }
+  }
+
+  const openPaymentForm = (invoice) => {
+    setPaymentInvoiceId(invoice.id)
+    setPaymentForm({ amount: invoice.balance_due.toFixed(2), method: 'check', reference: '', paid_on: todayString() })
+  }
+
+  const handleRecordPayment = async (invoice) => {
+    try {
+      await recordPayment.mutateAsync({
+        invoiceId: invoice.id,
+        data: {
+          amount: parseFloat(paymentForm.amount),
+          method: paymentForm.method,
+          reference: paymentForm.reference || undefined,
+          paid_on: paymentForm.paid_on || undefined,
+        },
+      })
+      setPaymentInvoiceId(null)
+      showMessage('success', `Payment recorded on invoice #${invoice.invoice_number}`)
+    } catch (err) {
+      showMessage('error', err?.response?.data?.error || 'Failed to record payment')
+    }
+  }
+
+  const handleDeletePayment = async (invoice, payment) => {
+    if (!window.confirm(`Remove the ${formatMoney(payment.amount)} payment from invoice #${invoice.invoice_number}?`)) return
+    try {
+      await deletePayment.mutateAsync({ invoiceId: invoice.id, paymentId: payment.id })
+      showMessage('success', 'Payment removed')
+    } catch (err) {
+      showMessage('error', err?.response?.data?.error || 'Failed to remove payment')
+    }
+  }
+
+  const paymentAmount = parseFloat(paymentForm.amount)
+
+  return (
+    <div className="fixed inset-0 bg-black bg-opacity-50 flex items-center justify-center z-50 p-4" onClick={onClose}>
+      <div className="bg-white dark:bg-gray-800 rounded-xl shadow-2xl max-w-4xl w-full max-h-[90vh] overflow-hidden flex flex-col" onClick={(e) => e.stopPropagation()}>
+        {/* Header */}
+        <div className="bg-gradient-to-r from-pool-blue to-pool-dark px-6 py-4 flex-shrink-0 rounded-t-xl">
+          <div className="flex justify-between items-center">
+            <h3 className="text-xl font-bold text-white">
+              Invoices - {project.project_name || project.address || 'Project'}
+            </h3>
+            <button
+              onClick={onClose}
+              className="text-white/80 hover:text-white p-1 transition-colors"
+            >
+              <svg className="w-5 h-5" fill="none" viewBox="0 0 24 24" stroke="currentColor">
+                <path strokeLinecap="round" strokeLinejoin="round" strokeWidth={2} d="M6 18L18 6M6 6l12 12" />
+              </svg>
+            </button>
+          </div>
+        </div>
+
+        <div className="p-6 overflow-y-auto flex-1 space-y-6">
+          {message.text && (
+            <div className={`p-3 rounded-md text-sm border ${message.type === 'error' ? 'bg-red-50 border-red-200 text-red-700' : 'bg-green-50 border-green-200 text-green-700'}`}>
+              {message.text}
+            </div>
+          )}
+
+          {/* Summary */}
+          <div className="grid grid-cols-1 sm:grid-cols-3 gap-4">
+            <div className="bg-white dark:bg-gray-700 border border-gray-200 dark:border-gray-600 rounded-lg p-4">
+              <p className="text-sm text-gray-500 dark:text-gray-400">Invoiced</p>
+              <p className="text-xl font-bold text-gray-900 dark:text-white">{formatMoney(invoicedTotal)}</p>
+            </div>
+            <div className="bg-white dark:bg-gray-700 border border-gray-200 dark:border-gray-600 rounded-lg p-4">
+              <p className="text-sm text-gray-500 dark:text-gray-400">Paid</p>
+              <p className="text-xl font-bold text-green-600">{formatMoney(paidTotal)}</p>
+            </div>
+            <div className="bg-white dark:bg-gray-700 border border-gray-200 dark:border-gray-600 rounded-lg p-4">
+              <p className="text-sm text-gray-500 dark:text-gray-400">Balance Due</p>
+              <p className="text-xl font-bold text-orange-600">{formatMoney(invoicedTotal - paidTotal)}</p>
+            </div>
+          </div>
+
+          {/* New invoice */}
+          {canManageInvoices && (
+            <div className="border border-gray-200 dark:border-gray-700 rounded-lg">
+              <button
+                onClick={() => setShowNewInvoice((v) => !v)}
+                className="w-full px-4 py-3 flex items-center justify-between text-sm font-semibold text-gray-800 dark:text-white"
+              >
+                <span>New invoice from milestones</span>
+                <span className="text-pool-blue">{showNewInvoice ? 'Hide' : `${unbilledMilestones.length} unbilled`}</span>
+              </button>
+              {showNewInvoice && (
+                <div className="px-4 pb-4 space-y-4">
+                  {loadingMilestones ? (
+                    <div className="flex items-center justify-center py-4">
+                      <div className="animate-spin rounded-full h-6 w-6 border-b-2 border-pool-blue"></div>
+                    </div>
+                  ) : unbilledMilestones.length === 0 ? (
+                    <p className="text-sm text-gray-500 dark:text-gray-400">
+                      {billableMilestones.length === 0
+                        ? 'This project has no contract payment schedule yet.'
+                        : 'Every milestone has been invoiced.'}
+                    </p>
+                  ) : (
+                    <ul className="divide-y divide-gray-200 dark:divide-gray-700 border border-gray-200 dark:border-gray-700 rounded-md">
+                      {unbilledMilestones.map((m) => (
+                        <li key={m.id}>
+                          <label className="px-4 py-2 flex items-center gap-3 text-sm cursor-pointer">
+                            <input
+                              type="checkbox"
+                              checked={selectedMilestones.includes(m.id)}
+                              onChange={() => toggleMilestone(m.id)}
+                              className="h-4 w-4 text-pool-blue rounded border-gray-300"
+                            />
+                            <span className="flex-1 text-gray-800 dark:text-gray-200">
+                              {m.name}
+                              {m.document_type === 'change_order' && <span className="ml-2 text-xs text-gray-500 dark:text-gray-400">(change order)</span>}
+                            </span>
+                            <span className="text-gray-800 dark:text-gray-200">{formatMoney(parseFloat(m.customer_price) || 0)}</span>
+                          </label>
+                        </li>
+                      ))}
+                    </ul>
+                  )}
+
+                  {unbilledMilestones.length > 0 && (
+                    <>
+                      <div className="grid grid-cols-1 sm:grid-cols-2 gap-3">
+                        <div>
+                          <label className={labelClass}>Invoice date</label>
+                          <input type="date" value={invoiceForm.invoice_date} onChange={(e) => setInvoiceForm({ ...invoiceForm, invoice_date: e.target.value })} className={inputClass} />
+                        </div>
+                        <div>
+                          <label className={labelClass}>Due date (default: 30 days)</label>
+                          <input type="date" value={invoiceForm.due_date} min={invoiceForm.invoice_date || undefined} onChange={(e) => setInvoiceForm({ ...invoiceForm, due_date: e.target.value })} className={inputClass} />
+                        </div>
+                      </div>
+                      <div>
+                        <label className={labelClass}>Notes (printed on the invoice)</label>
+                        <textarea rows={2} value={invoiceForm.notes} onChange={(e) => setInvoiceForm({ ...invoiceForm, notes: e.target.value })} className={inputClass} />
+                      </div>
+                      <div className="flex items-center justify-between">
+                        <span className="text-sm text-gray-700 dark:text-gray-300">Total: <span className="font-semibold">{formatMoney(selectedTotal)}</span></span>
+                        <button
+                          onClick={handleCreateInvoice}
+                          disabled={selectedMilestones.length === 0 || createInvoice.isPending}
+                          className="px-4 py-2 bg-pool-blue hover:bg-pool-dark text-white text-sm font-medium rounded-md transition-colors disabled:opacity-50"
+                        >
+                          {createInvoice.isPending ? 'Creating...' : 'Create Invoice'}
+                        </button>
+                      </div>
+                    </>
+                  )}
+                </div>
+              )}
+            </div>
+          )}
+
+          {/* Invoices */}
+          <div>
+            <h4 className="text-sm font-semibold text-gray-800 dark:text-white mb-2">Invoices</h4>
+            {isLoading ? (
+              <div className="flex items-center justify-center py-6">
+                <div className="animate-spin rounded-full h-6 w-6 border-b-2 border-pool-blue"></div>
+              </div>
+            ) : invoices.length === 0 ? (
+              <p className="text-sm text-gray-500 dark:text-gray-400">No invoices yet</p>
+            ) : (
+              <div className="space-y-3">
+                {invoices.map((invoice) => (
+                  <div key={invoice.id} className="border border-gray-200 dark:border-gray-700 rounded-lg">
+                    <div className="px-4 py-3 flex flex-col sm:flex-row sm:items-center sm:justify-between gap-2">
+                      <div className="min-w-0">
+                        <div className="flex items-center gap-2">
+                          <span className="font-semibold text-gray-900 dark:text-white">#{invoice.invoice_number}</span>
+                          <span className={`px-2 py-0.5 rounded-full text-xs font-semibold ${STATUS_STYLES[invoice.status]}`}>
+                            {invoice.status.charAt(0).toUpperCase() + invoice.status.slice(1)}
+                          </span>
+                        </div>
+                        <div className="text-xs text-gray-500 dark:text-gray-400 mt-1">
+                          {formatDay(invoice.invoice_date)} · Due {formatDay(invoice.due_date)} · {invoice.items.map((item) => item.description).join(', ')}
+                        </div>
+                      </div>
+                      <div className="flex items-center gap-4 text-sm">
+                        <div className="text-right">
+                          <div className="text-gray-900 dark:text-white font-medium">{formatMoney(invoice.total)}</div>
+                          {invoice.status !== 'void' && (
+                            <div className="text-xs text-gray-500 dark:text-gray-400">Balance {formatMoney(invoice.balance_due)}</div>
+                          )}
+                        </div>
+                        <div className="flex items-center gap-3 whitespace-nowrap">
+                          <button
+                            onClick={() => handleDownload(invoice)}
+                            disabled={downloadingId === invoice.id}
+                            className="text-pool-blue hover:text-pool-dark font-medium disabled:opacity-50"
+                          >
+                            {downloadingId === invoice.id ? 'PDF...' : 'PDF'}
+                          </button>
+                          {canManageInvoices && invoice.status !== 'void' && invoice.balance_due > 0 && (
+                            <button
+                              onClick={() => openPaymentForm(invoice)}
+                              className="text-green-600 hover:text-green-800 dark:text-green-400 font-medium"
+                            >
+                              Record Payment
+                            </button>
+                          )}
+                          {canManageInvoices && invoice.status !== 'void' && invoice.payments.length === 0 && (
+                            <button
+                              onClick={() => handleVoid(invoice)}
+                              disabled={voidInvoice.isPending}
+                              className="text-red-600 hover:text-red-800 dark:text-red-400 font-medium disabled:opacity-50"
+                            >
+                              Void
+                            </button>
+                          )}
+                        </div>
+                      </div>
+                    </div>
+
+                    {/* Record payment */}
+                    {paymentInvoiceId === invoice.id && (
+                      <div className="px-4 py-3 border-t border-gray-200 dark:border-gray-700 bg-gray-50 dark:bg-gray-900/30">
+                        <div className="grid grid-cols-2 sm:grid-cols-4 gap-3">
+                          <div>
+                            <label className={labelClass}>Amount</label>
+                            <input type="number" min="0.01" step="0.01" max={invoice.balance_due} value={paymentForm.amount} onChange={(e) => setPaymentForm({ ...paymentForm, amount: e.target.value })} className={inputClass} />
+                          </div>
+                          <div>
+                            <label className={labelClass}>Method</label>
+                            <select value={paymentForm.method} onChange={(e) => setPaymentForm({ ...paymentForm, method: e.target.value })} className={inputClass}>
+                              {PAYMENT_METHODS.map((m) => (
+                                <option key={m.value} value={m.value}>{m.label}</option>
+                              ))}
+                            </select>
+                          </div>
+                          <div>
+                            <label className={labelClass}>{paymentForm.method === 'check' ? 'Check #' : 'Reference'}</label>
+                            <input type="text" maxLength={100} value={paymentForm.reference} onChange={(e) => setPaymentForm({ ...paymentForm, reference: e.target.value })} className={inputClass} />
+                          </div>
+                          <div>
+                            <label className={labelClass}>Received</label>
+                            <input type="date" value={paymentForm.paid_on} onChange={(e) => setPaymentForm({ ...paymentForm, paid_on: e.target.value })} className={inputClass} />
+                          </div>
+                        </div>
+                        <div className="flex justify-end gap-2 mt-3">
+                          <button
+                            onClick={() => setPaymentInvoiceId(null)}
+                            className="px-3 py-1.5 text-sm text-gray-700 dark:text-gray-300 hover:text-gray-900"
+                          >
+                            Cancel
+                          </button>
+                          <button
+                            onClick={() => handleRecordPayment(invoice)}
+                            disabled={!(paymentAmount > 0) || paymentAmount > invoice.balance_due + 0.005 || recordPayment.isPending}
+                            className="px-3 py-1.5 bg-green-600 hover:bg-green-700 text-white text-sm font-medium rounded-md disabled:opacity-50"
+                          >
+                            {recordPayment.isPending ? 'Saving...' : 'Save Payment'}
+                          </button>
+                        </div>
+                      </div>
+                    )}
+
+                    {/* Payments ledger */}
+                    {invoice.payments.length > 0 && (
+                      <ul className="border-t border-gray-200 dark:border-gray-700 divide-y divide-gray-100 dark:divide-gray-700">
+                        {invoice.payments.map((payment) => (
+                          <li key={payment.id} className="px-4 py-2 flex items-center justify-between text-sm">
+                            <span className="text-gray-600 dark:text-gray-400">
+                              {formatDay(payment.paid_on)} · {PAYMENT_METHODS.find((m) => m.value === payment.method)?.label || payment.method}
+                              {payment.reference ? ` #${payment.reference}` : ''}
+                              {payment.recorded_by_name ? ` · recorded by ${payment.recorded_by_name}` : ''}
+                            </span>
+                            <span className="flex items-center gap-3">
+                              <span className="text-green-600 font-medium">{formatMoney(payment.amount)}</span>
+                              {canManageInvoices && (
+                                <button
+                                  onClick={() => handleDeletePayment(invoice, payment)}
+                                  disabled={deletePayment.isPending}
+                                  className="text-gray-400 hover:text-red-600 disabled:opacity-50"
+                                  title="Remove payment"
+                                >
+                                  <svg className="w-4 h-4" fill="none" viewBox="0 0 24 24" stroke="currentColor">
+                                    <path strokeLinecap="round" strokeLinejoin="round" strokeWidth={2} d="M6 18L18 6M6 6l12 12" />
+                                  </svg>
+                                </button>
+                              )}
+                            </span>
+                          </li>
+                        ))}
+                      </ul>
+                    )}
+                  </div>
+                ))}
+              </div>
+            )}
+          </div>
+        </div>
+      </div>
+    </div>
+  )
+}
+
+export default InvoicesModal
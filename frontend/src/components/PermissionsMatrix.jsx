@@ -0,0 +1,152 @@
+import { useState, useEffect } from 'react'
+import { usePermissions, useUpdatePermissions } from '../hooks/useApi'
+
+// Labels match USER_TYPES / USER_ROLES in Employees.jsx
+const SUBJECT_LABELS = {
+  manager: 'Manager',
+  employee: 'Employee',
+  project_manager: 'Project Manager',
+  sales: 'Sales',
+  office_staff: 'Office Staff',
+  other: 'Other',
+}
+
+function PermissionsMatrix() {
+  const { data, isLoading, error } = usePermissions()
+  const updatePermissions = useUpdatePermissions()
+  const [matrix, setMatrix] = useState(null)
+  const [saveMessage, setSaveMessage] = useState('')
+
+  useEffect(() => {
+    if (data?.matrix) setMatrix(data.matrix)
+  }, [data])
+
+  const definitions = data?.definitions || []
+  const canEdit = data?.canEdit === true
+  const hasChanges = matrix && data?.matrix && JSON.stringify(matrix) !== JSON.stringify(data.matrix)
+
+  // Columns: user types first, then roles (admins and owners always have full access and are not listed)
+  const columns = matrix
+    ? [
+        ...Object.keys(matrix.user_types).map((key) => ({ group: 'user_types', key })),
+        ...Object.keys(matrix.roles).map((key) => ({ group: 'roles', key })),
+      ]
+    : []
+
+  const togglePermission = (group, subject, permission) => {
+    setMatrix((prev) => {
+      const current = prev[group][subject] || []
+      const next = current.includes(permission)
+        ? current.filter((p) => p !== permission)
+        : [...current, permission]
+      return { ...prev, [group]: { ...prev[group], [subject]: next } }
+    })
+    setSaveMessage('')
+  }
+
+  const handleSave = async () => {
+    try {
+      await updatePermissions.mutateAsync(matrix)
+      setSaveMessage('Permissions saved')
+      setTimeout(() => setSaveMessage(''), 3000)
+    } catch (err) {
+      setSaveMessage(err?.response?.data?.error || 'Error saving permissions')
+    }
+  }
+
+  // The matrix is only sent to those who manage employees or the company
+  if (data && !data.matrix) return null
+
+  return (
+    <div className="bg-white dark:bg-gray-800 rounded-lg shadow p-6">
+      <h3 className="text-xl font-semibold text-gray-800 dark:text-white mb-4">
+        Roles &amp; Permissions
+      </h3>
+      <p className="text-sm text-gray-500 dark:text-gray-400 mb-6">
+        Choose what each user type and role can do. An employee gets every permission granted to their user type or to any of their roles. Admins and owners always have full access.
+      </p>
+
+      {isLoading || !matrix ? (
+        error ? (
+          <p className="text-sm text-red-600">{error?.response?.data?.error || 'Failed to load permissions'}</p>
+        ) : (
+          <div className="flex items-center justify-center py-8">
+            <div className="animate-spin rounded-full h-6 w-6 border-b-2 border-pool-blue"></div>
+          </div>
+        )
+      ) : (
+        <div className="space-y-4">
+          <div className="overflow-x-auto">
+            <table className="min-w-full divide-y divide-gray-200 dark:divide-gray-700">
+              <thead className="bg-gray-50 dark:bg-gray-700">
+                <tr>
+                  <th className="px-4 py-3 text-left text-xs font-medium text-gray-500 dark:text-gray-300 uppercase tracking-wider">Permission</th>
+                  {columns.map((col) => (
+                    <th key={`${col.group}-${col.key}`} className="px-3 py-3 text-center text-xs font-medium text-gray-500 dark:text-gray-300 uppercase tracking-wider whitespace-nowrap">
+                      {SUBJECT_LABELS[col.key] || col.key}
+                      <div className="text-[10px] font-normal normal-case text-gray-400">
+                        {col.group === 'user_types' ? 'User type' : 'Role'}
+                      </div>
+                    </th>
+                  ))}
+                </tr>
+              </thead>
+              <tbody className="divide-y divide-gray-200 dark:divide-gray-700">
+                {definitions.map((permission) => (
+                  <tr key={permission.key}>
+                    <td className="px-4 py-3 text-sm">
+                      <div className="font-medium text-gray-900 dark:text-white">{permission.label}</div>
+                      <div className="text-xs text-gray-500 dark:text-gray-400">{permission.description}</div>
+                    </td>
+                    {columns.map((col) => (
+                      <td key={`${col.group}-${col.key}`} className="px-3 py-3 text-center">
+                        <input
+                          type="checkbox"
+                          checked={(matrix[col.group][col.key] || []).includes(permission.key)}
+                          onChange={() => togglePermission(col.group, col.key, permission.key)}
+                          disabled={!canEdit}
+                          className="h-4 w-4 text-pool-blue border-gray-300 rounded focus:ring-pool-blue disabled:opacity-60"
+                        />
+                      </td>
+                    ))}
+                  </tr>
+                ))}
+              </tbody>
+            </table>
+          </div>
+
+          {canEdit ? (
+            <div className="flex items-center gap-4 pt-4 border-t border-gray-200 dark:border-gray-700">
+              <button
+                onClick={handleSave}
+                disabled={updatePermissions.isPending || !hasChanges}
+                className="px-4 py-2 bg-pool-blue hover:bg-pool-dark text-white font-medium rounded-md transition-colors disabled:opacity-50"
+              >
+                {updatePermissions.isPending ? 'Saving...' : 'Save Permissions'}
+              </button>
+              {hasChanges && (
+                <button
+                  onClick={() => { setMatrix(data.matrix); setSaveMessage('') }}
+                  className="text-sm text-gray-600 dark:text-gray-400 hover:text-gray-800 dark:hover:text-gray-200"
+                >
+                  Discard changes
+                </button>
+              )}
+              {saveMessage && (
+                <span className={`text-sm ${saveMessage.includes('Error') ? 'text-red-600' : 'text-green-600'}`}>
+                  {saveMessage}
+                </span>
+              )}
+            </div>
+          ) : (
+            <p className="text-xs text-gray-500 dark:text-gray-400">
+              Only admins and owners can change permissions.
+            </p>
+          )}
+        </div>
+      )}
+    </div>
+  )
+}
+
+export default PermissionsMatrix
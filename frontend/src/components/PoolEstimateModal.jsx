@@ -0,0 +1,317 @@
+import { useState, useEffect } from 'react'
+import {
+  usePoolSpec,
+  useSavePoolSpec,
+  usePoolEstimate,
+  useApplyPoolEstimate,
+  useInventory,
+  useHasPermission,
+} from '../hooks/useApi'
+
+// Must match POOL_SHAPES in backend/services/poolEstimating.js
+const SHAPES = [
+  { value: 'rectangle', label: 'Rectangle' },
+  { value: 'l_shape', label: 'L-shape' },
+  { value: 'kidney', label: 'Kidney' },
+  { value: 'freeform', label: 'Freeform' },
+  { value: 'oval', label: 'Oval / round' },
+]
+
+const NUMBER_FIELDS = [
+  'length_ft', 'width_ft', 'shallow_depth_ft', 'deep_depth_ft', 'spa_length_ft', 'spa_width_ft', 'spa_depth_ft',
+  'raised_wall_length_ft', 'raised_wall_height_ft', 'tile_linear_ft', 'coping_linear_ft',
+]
+
+const emptyForm = {
+  shape: 'rectangle',
+  ...Object.fromEntries(NUMBER_FIELDS.map((field) => [field, ''])),
+  has_spa: false,
+  equipment: [],
+}
+
+const toForm = (spec) => ({
+  shape: spec.shape,
+  ...Object.fromEntries(NUMBER_FIELDS.map((field) => [field, spec[field] == null ? '' : String(spec[field])])),
+  has_spa: spec.has_spa,
+  equipment: spec.equipment.map((item) => ({ inventory_id: item.inventory_id, quantity: String(item.quantity) })),
+})
+
+// Blank optional fields save as null; required dimensions as 0
+const REQUIRED_FIELDS = ['length_ft', 'width_ft', 'shallow_depth_ft', 'deep_depth_ft']
+const toPayload = (form) => ({
+  shape: form.shape,
+  ...Object.fromEntries(NUMBER_FIELDS.map((field) => [
+    field,
+    form[field] === '' ? (REQUIRED_FIELDS.includes(field) ? 0 : null) : parseFloat(form[field]),
+  ])),
+  has_spa: form.has_spa,
+  equipment: form.equipment
+    .filter((item) => item.inventory_id)
+    .map((item) => ({ inventory_id: item.inventory_id, quantity: parseInt(item.quantity, 10) || 1 })),
+})
+
+const formatMoney = (value) =>
+  `$${(value || 0).toLocaleString('en-US', { minimumFractionDigits: 2, maximumFractionDigits: 2 })}`
+
+const formatNumber = (value) => (value || 0).toLocaleString('en-US', { maximumFractionDigits: 2 })
+
+const inputClass = 'w-full px-3 py-2 border border-gray-300 dark:border-gray-600 rounded-md focus:outline-none focus:ring-2 focus:ring-pool-blue bg-white dark:bg-gray-700 text-sm text-gray-900 dark:text-white'
+const labelClass = 'block text-xs font-medium text-gray-600 dark:text-gray-400 mb-1'
+
+/**
+ * A project's pool spec and the expected expenses estimated from it.
+ */
+function PoolEstimateModal({ project, onClose }) {
+  const canViewCosts = useHasPermission('view_costs')
+  const canEditExpenses = useHasPermission('edit_expenses')
+  const { data: spec, isLoading } = usePoolSpec(project.id)
+  const { data: estimate, isFetching: estimating } = usePoolEstimate(project.id, { enabled: canViewCosts && !!spec })
+  const { data: inventory = [] } = useInventory()
+  const saveSpec = useSavePoolSpec()
+  const applyEstimate = useApplyPoolEstimate()
+
+  const [form, setForm] = useState(emptyForm)
+  const [message, setMessage] = useState({ type: '', text: '' })
+
+  useEffect(() => {
+    if (spec) setForm(toForm(spec))
+  }, [spec])
+
+  const equipmentItems = inventory.filter((item) => item.type === 'equipment')
+
+  const showMessage = (type, text) => {
+    setMessage({ type, text })
+    setTimeout(() => setMessage({ type: '', text: '' }), 4000)
+  }
+
+  const setField = (field, value) => setForm((prev) => ({ ...prev, [field]: value }))
+  const setEquipment = (index, field, value) =>
+    setForm((prev) => ({ ...prev, equipment: prev.equipment.map((item, i) => (i === index ? { ...item, [field]: value } : item)) }))
+
+  const handleSave = async () => {
+    try {
+      await saveSpec.mutateAsync({ projectId: project.id, data: toPayload(form) })
+      showMessage('success', 'Pool spec saved')
+    } catch (err) {
+      showMessage('error', err?.response?.data?.error || 'Failed to save pool spec')
+    }
+  }
+
+  const handleApply = async () => {
+    if (!window.confirm('Add the estimate to this project\'s expected expenses? Lines from an earlier estimate without actual costs are replaced.')) return
+    try {
+      const result = await applyEstimate.mutateAsync(project.id)
+      const count = result.created.materials + result.created.equipment + result.created.additional
+      showMessage('success', `${count} expected expense${count === 1 ? '' : 's'} added (${formatMoney(result.total)})${result.kept.length ? `; ${result.kept.length} line${result.kept.length === 1 ? '' : 's'} with actual costs kept` : ''}`)
+    } catch (err) {
+      showMessage('error', err?.response?.data?.error || 'Failed to apply estimate')
+    }
+  }
+
+  const numberInput = (field, label, placeholder = '') => (
+    <div>
+      <label className={labelClass}>{label}</label>
+      <input type="number" min="0" step="0.1" value={form[field]} onChange={(e) => setField(field, e.target.value)} className={inputClass} placeholder={placeholder} />
+    </div>
+  )
+
+  const unpricedLines = (estimate?.lines || []).filter((line) => line.amount == null)
+
+  return (
+    <div className="fixed inset-0 bg-black bg-opacity-50 flex items-center justify-center z-50 p-4" onClick={onClose}>
+      <div className="bg-white dark:bg-gray-800 rounded-xl shadow-2xl max-w-4xl w-full max-h-[90vh] overflow-hidden flex flex-col" onClick={(e) => e.stopPropagation()}>
+        {/* Header */}
+        <div className="bg-gradient-to-r from-pool-blue to-pool-dark px-6 py-4 flex-shrink-0 rounded-t-xl">
+          <div className="flex justify-between items-center">
+            <h3 className="text-xl font-bold text-white">
+              Pool Estimate - {project.project_name || project.address || 'Project'}
+            </h3>
+            <button
+              onClick={onClose}
+              className="text-white/80 hover:text-white p-1 transition-colors"
+            >
+              <svg className="w-5 h-5" fill="none" viewBox="0 0 24 24" stroke="currentColor">
+                <path strokeLinecap="round" strokeLinejoin="round" strokeWidth={2} d="M6 18L18 6M6 6l12 12" />
+              </svg>
+            </button>
+          </div>
+        </div>
+
+        <div className="p-6 overflow-y-auto flex-1 space-y-6">
+          {message.text && (
+            <div className={`p-3 rounded-md text-sm border ${message.type === 'error' ? 'bg-red-50 border-red-200 text-red-700' : 'bg-green-50 border-green-200 text-green-700'}`}>
+              {message.text}
+            </div>
+          )}
+
+          {isLoading ? (
+            <div className="flex items-center justify-center py-6">
+              <div className="animate-spin rounded-full h-6 w-6 border-b-2 border-pool-blue"></div>
+            </div>
+          ) : (
+            <>
+              {/* Spec */}
+              <div className="space-y-4">
+                <h4 className="text-sm font-semibold text-gray-800 dark:text-white">Pool Spec</h4>
+                <div className="grid grid-cols-2 sm:grid-cols-5 gap-3">
+                  <div>
+                    <label className={labelClass}>Shape</label>
+                    <select value={form.shape} onChange={(e) => setField('shape', e.target.value)} className={inputClass}>
+                      {SHAPES.map((shape) => (
+                        <option key={shape.value} value={shape.value}>{shape.label}</option>
+                      ))}
+                    </select>
+                  </div>
+                  {numberInput('length_ft', 'Length (ft)')}
+                  {numberInput('width_ft', 'Width (ft)')}
+                  {numberInput('shallow_depth_ft', 'Shallow depth (ft)')}
+                  {numberInput('deep_depth_ft', 'Deep depth (ft)')}
+                </div>
+
+                <div>
+                  <label className="inline-flex items-center gap-2 text-sm text-gray-700 dark:text-gray-300">
+                    <input type="checkbox" checked={form.has_spa} onChange={(e) => setField('has_spa', e.target.checked)} className="rounded border-gray-300 text-pool-blue focus:ring-pool-blue" />
+                    Spa
+                  </label>
+                  {form.has_spa && (
+                    <div className="grid grid-cols-3 gap-3 mt-2">
+                      {numberInput('spa_length_ft', 'Spa length (ft)')}
+                      {numberInput('spa_width_ft', 'Spa width (ft)')}
+                      {numberInput('spa_depth_ft', 'Spa depth (ft)', '3.5')}
+                    </div>
+                  )}
+                </div>
+
+                <div className="grid grid-cols-2 sm:grid-cols-4 gap-3">
+                  {numberInput('raised_wall_length_ft', 'Raised wall length (ft)')}
+                  {numberInput('raised_wall_height_ft', 'Raised wall height (ft)')}
+                  {numberInput('tile_linear_ft', 'Tile (lin ft)', 'Perimeter')}
+                  {numberInput('coping_linear_ft', 'Coping (lin ft)', 'Perimeter')}
+                </div>
+
+                <div>
+                  <label className={labelClass}>Equipment</label>
+                  <div className="space-y-2">
+                    {form.equipment.map((item, idx) => (
+                      <div key={idx} className="flex gap-2 items-center">
+                        <select value={item.inventory_id} onChange={(e) => setEquipment(idx, 'inventory_id', e.target.value)} className={inputClass}>
+                          <option value="">Choose equipment...</option>
+                          {equipmentItems.map((inv) => (
+                            <option key={inv.id} value={inv.id}>{inv.name}{inv.brand ? ` (${inv.brand})` : ''}</option>
+                          ))}
+                        </select>
+                        <input type="number" min="1" step="1" value={item.quantity} onChange={(e) => setEquipment(idx, 'quantity', e.target.value)} className={`${inputClass} w-24 flex-shrink-0`} />
+                        <button
+                          onClick={() => setForm((prev) => ({ ...prev, equipment: prev.equipment.filter((_, i) => i !== idx) }))}
+                          className="p-1 text-gray-400 hover:text-red-600"
+                          title="Remove"
+                        >
+                          <svg className="w-4 h-4" fill="none" viewBox="0 0 24 24" stroke="currentColor">
+                            <path strokeLinecap="round" strokeLinejoin="round" strokeWidth={2} d="M6 18L18 6M6 6l12 12" />
+                          </svg>
+                        </button>
+                      </div>
+                    ))}
+                  </div>
+                  <button
+                    onClick={() => setForm((prev) => ({ ...prev, equipment: [...prev.equipment, { inventory_id: '', quantity: '1' }] }))}
+                    className="mt-2 text-sm font-medium text-pool-blue hover:text-pool-dark"
+                  >
+                    + Add equipment
+                  </button>
+                </div>
+
+                <div className="flex justify-end">
+                  <button
+                    onClick={handleSave}
+                    disabled={saveSpec.isPending}
+                    className="px-4 py-2 bg-pool-blue hover:bg-pool-dark text-white text-sm font-medium rounded-md disabled:opacity-50"
+                  >
+                    {saveSpec.isPending ? 'Saving...' : 'Save Spec'}
+                  </button>
+                </div>
+              </div>
+
+              {/* Estimate */}
+              {canViewCosts && spec && estimate?.measurements && (
+                <div className="space-y-3 border-t border-gray-200 dark:border-gray-700 pt-6">
+                  <div className="flex items-center justify-between">
+                    <h4 className="text-sm font-semibold text-gray-800 dark:text-white">Estimate</h4>
+                    {estimating && <div className="animate-spin rounded-full h-4 w-4 border-b-2 border-pool-blue"></div>}
+                  </div>
+                  <div className="grid grid-cols-2 sm:grid-cols-4 gap-3 text-sm">
+                    <div className="bg-gray-50 dark:bg-gray-700/50 rounded-lg p-3">
+                      <p className="text-gray-500 dark:text-gray-400">Surface area</p>
+                      <p className="font-semibold text-gray-900 dark:text-white">{formatNumber(estimate.measurements.surfaceArea)} sq ft</p>
+                    </div>
+                    <div className="bg-gray-50 dark:bg-gray-700/50 rounded-lg p-3">
+                      <p className="text-gray-500 dark:text-gray-400">Perimeter</p>
+                      <p className="font-semibold text-gray-900 dark:text-white">{formatNumber(estimate.measurements.perimeter)} ft</p>
+                    </div>
+                    <div className="bg-gray-50 dark:bg-gray-700/50 rounded-lg p-3">
+                      <p className="text-gray-500 dark:text-gray-400">Average depth</p>
+                      <p className="font-semibold text-gray-900 dark:text-white">{formatNumber(estimate.measurements.averageDepth)} ft</p>
+                    </div>
+                    <div className="bg-gray-50 dark:bg-gray-700/50 rounded-lg p-3">
+                      <p className="text-gray-500 dark:text-gray-400">Volume</p>
+                      <p className="font-semibold text-gray-900 dark:text-white">{formatNumber(estimate.measurements.gallons)} gal</p>
+                    </div>
+                  </div>
+
+                  <table className="min-w-full text-sm">
+                    <thead>
+                      <tr className="text-left text-xs text-gray-500 dark:text-gray-400 uppercase">
+                        <th className="py-2">Item</th>
+                        <th className="py-2 text-right">Quantity</th>
+                        <th className="py-2 text-right">Unit cost</th>
+                        <th className="py-2 text-right">Expected</th>
+                      </tr>
+                    </thead>
+                    <tbody className="divide-y divide-gray-200 dark:divide-gray-700">
+                      {estimate.lines.map((line) => (
+                        <tr key={line.key}>
+                          <td className="py-2 text-gray-800 dark:text-gray-200">
+                            {line.label}
+                            {line.source === 'rate' && <span className="ml-1 text-xs text-gray-400">(company rate)</span>}
+                          </td>
+                          <td className="py-2 text-right text-gray-800 dark:text-gray-200 whitespace-nowrap">{formatNumber(line.quantity)} {line.unit}</td>
+                          <td className="py-2 text-right text-gray-800 dark:text-gray-200">{line.unit_cost == null ? '-' : formatMoney(line.unit_cost)}</td>
+                          <td className="py-2 text-right text-gray-800 dark:text-gray-200">{line.amount == null ? <span className="text-amber-600">No rate</span> : formatMoney(line.amount)}</td>
+                        </tr>
+                      ))}
+                      <tr>
+                        <td colSpan={3} className="py-2 font-semibold text-gray-900 dark:text-white">Total expected</td>
+                        <td className="py-2 text-right font-semibold text-gray-900 dark:text-white">{formatMoney(estimate.total)}</td>
+                      </tr>
+                    </tbody>
+                  </table>
+                  {unpricedLines.length > 0 && (
+                    <p className="text-xs text-amber-700 dark:text-amber-400">
+                      {unpricedLines.map((line) => line.label).join(', ')} {unpricedLines.length === 1 ? 'has' : 'have'} no rate and won't be added. Set estimating rates in Settings.
+                    </p>
+                  )}
+                  {canEditExpenses && (
+                    <div className="flex justify-end">
+                      <button
+                        onClick={handleApply}
+                        disabled={applyEstimate.isPending || estimate.total <= 0}
+                        className="px-4 py-2 bg-green-600 hover:bg-green-700 text-white text-sm font-medium rounded-md disabled:opacity-50"
+                      >
+                        {applyEstimate.isPending ? 'Adding...' : 'Add to Expected Expenses'}
+                      </button>
+                    </div>
+                  )}
+                </div>
+              )}
+              {canViewCosts && !spec && (
+                <p className="text-sm text-gray-500 dark:text-gray-400">Save the spec to see quantities and expected costs.</p>
+              )}
+            </>
+          )}
+        </div>
+      </div>
+    </div>
+  )
+}
+
+export default PoolEstimateModal
@@ -0,0 +1,193 @@
+import { useState } from 'react'
+import { usePortalLinks, useCreatePortalLink, useRevokePortalLink } from '../hooks/useApi'
+
+const EXPIRY_OPTIONS = [
+  { value: 7, label: '7 days' },
+  { value: 30, label: '30 days' },
+  { value: 90, label: '90 days' },
+  { value: 180, label: '180 days' },
+]
+
+const STATUS_STYLES = {
+  active: 'bg-green-100 text-green-800 dark:bg-green-900/30 dark:text-green-300',
+  expired: 'bg-gray-100 text-gray-700 dark:bg-gray-700 dark:text-gray-300',
+  revoked: 'bg-red-100 text-red-800 dark:bg-red-900/30 dark:text-red-300',
+}
+
+/**
+ * Generate and revoke customer portal magic links.
+ * The full link is only shown right after it is created (the server keeps a hash, not the token).
+ */
+function PortalLinksModal({ customer, onClose }) {
+  const { data: links = [], isLoading } = usePortalLinks(customer.id)
+  const createLink = useCreatePortalLink()
+  const revokeLink = useRevokePortalLink()
+  const [expiresInDays, setExpiresInDays] = useState(30)
+  const [newLinkUrl, setNewLinkUrl] = useState('')
+  const [copied, setCopied] = useState(false)
+  const [error, setError] = useState('')
+
+  const customerName = [customer.first_name, customer.last_name].filter(Boolean).join(' ')
+
+  const handleCreate = async () => {
+    setError('')
+    setCopied(false)
+    try {
+      const result = await createLink.mutateAsync({ customerId: customer.id, expiresInDays })
+      setNewLinkUrl(result.url)
+    } catch (err) {
+      setError(err?.response?.data?.error || 'Failed to create portal link')
+    }
+  }
+
+  const handleCopy = async () => {
+    try {
+      await navigator.clipboard.writeText(newLinkUrl)
+      setCopied(true)
+      setTimeout(() => setCopied(false), 2000)
+    } catch {
+      setError('Could not copy the link. Select it and copy it manually.')
+    }
+  }
+
+  const handleRevoke = async (link) => {
+    if (!window.confirm('Revoke this link? The customer will no longer be able to open the portal with it.')) return
+    setError('')
+    try {
+      await revokeLink.mutateAsync({ customerId: customer.id, linkId: link.id })
+    } catch (err) {
+      setError(err?.response?.data?.error || 'Failed to revoke portal link')
+    }
+  }
+
+  return (
+    <div className="fixed inset-0 bg-black bg-opacity-50 flex items-center justify-center z-50 p-4" onClick={onClose}>
+      <div className="bg-white dark:bg-gray-800 rounded-xl shadow-2xl max-w-2xl w-full max-h-[90vh] overflow-hidden flex flex-col" onClick={(e) => e.stopPropagation()}>
+        {/* Header */}
+        <div className="bg-gradient-to-r from-pool-blue to-pool-dark px-6 py-4 flex-shrink-0 rounded-t-xl">
+          <div className="flex justify-between items-center">
+            <h3 className="text-xl font-bold text-white">
+              Customer Portal - {customerName}
+            </h3>
+            <button
+              onClick={onClose}
+              className="text-white/80 hover:text-white p-1 transition-colors"
+            >
+              <svg className="w-5 h-5" fill="none" viewBox="0 0 24 24" stroke="currentColor">
+                <path strokeLinecap="round" strokeLinejoin="round" strokeWidth={2} d="M6 18L18 6M6 6l12 12" />
+              </svg>
+            </button>
+          </div>
+        </div>
+
+        <div className="p-6 overflow-y-auto flex-1 space-y-6">
+          <p className="text-sm text-gray-600 dark:text-gray-400">
+            A portal link lets this customer see their project status, proposals, contracts, payment schedule and shared photos without an account.
+          </p>
+
+          {error && (
+            <div className="p-3 bg-red-50 border border-red-200 text-red-700 rounded-md text-sm">
+              {error}
+            </div>
+          )}
+
+          {/* Create */}
+          <div className="flex flex-col sm:flex-row sm:items-end gap-3">
+            <div>
+              <label className="block text-xs font-medium text-gray-600 dark:text-gray-400 mb-1">Link expires after</label>
+              <select
+                value={expiresInDays}
+                onChange={(e) => setExpiresInDays(parseInt(e.target.value, 10))}
+                className="px-3 py-2 border border-gray-300 dark:border-gray-600 rounded-md focus:outline-none focus:ring-2 focus:ring-pool-blue bg-white dark:bg-gray-700 text-sm text-gray-900 dark:text-white"
+              >
+                {EXPIRY_OPTIONS.map((o) => (
+                  <option key={o.value} value={o.value}>{o.label}</option>
+                ))}
+              </select>
+            </div>
+            <button
+              onClick={handleCreate}
+              disabled={createLink.isPending}
+              className="px-4 py-2 bg-pool-blue hover:bg-pool-dark text-white text-sm font-medium rounded-md transition-colors disabled:opacity-50"
+            >
+              {createLink.isPending ? 'Creating...' : 'Create Portal Link'}
+            </button>
+          </div>
+
+          {newLinkUrl && (
+            <div className="p-4 bg-green-50 dark:bg-green-900/20 border border-green-200 dark:border-green-800 rounded-md space-y-2">
+              <p className="text-sm font-medium text-green-800 dark:text-green-300">
+                Link created. Copy it now; it won't be shown again.
+              </p>
+              <div className="flex gap-2">
+                <input
+                  type="text"
+                  readOnly
+                  value={newLinkUrl}
+                  onFocus={(e) => e.target.select()}
+                  className="flex-1 min-w-0 px-3 py-2 border border-gray-300 dark:border-gray-600 rounded-md bg-white dark:bg-gray-700 text-xs text-gray-900 dark:text-white"
+                />
+                <button
+                  onClick={handleCopy}
+                  className="px-3 py-2 bg-white dark:bg-gray-700 border border-gray-300 dark:border-gray-600 rounded-md text-sm font-medium text-gray-700 dark:text-gray-200 hover:bg-gray-50 dark:hover:bg-gray-600"
+                >
+                  {copied ? 'Copied' : 'Copy'}
+                </button>
+              </div>
+            </div>
+          )}
+
+          {/* Existing links */}
+          <div>
+            <h4 className="text-sm font-semibold text-gray-800 dark:text-white mb-2">Links</h4>
+            {isLoading ? (
+              <div className="flex items-center justify-center py-6">
+                <div className="animate-spin rounded-full h-6 w-6 border-b-2 border-pool-blue"></div>
+              </div>
+            ) : links.length === 0 ? (
+              <p className="text-sm text-gray-500 dark:text-gray-400">No portal links yet</p>
+            ) : (
+              <ul className="divide-y divide-gray-200 dark:divide-gray-700 border border-gray-200 dark:border-gray-700 rounded-md">
+                {links.map((link) => (
+                  <li key={link.id} className="px-4 py-3 flex items-center justify-between gap-4 text-sm">
+                    <div className="min-w-0">
+                      <div className="flex items-center gap-2">
+                        <span className={`px-2 py-0.5 rounded-full text-xs font-semibold ${STATUS_STYLES[link.status]}`}>
+                          {link.status.charAt(0).toUpperCase() + link.status.slice(1)}
+                        </span>
+                        <span className="text-gray-700 dark:text-gray-300">
+                          Created {new Date(link.created_at).toLocaleDateString()}
+                          {link.created_by_name ? ` by ${link.created_by_name}` : ''}
+                        </span>
+                      </div>
+                      <div className="text-xs text-gray-500 dark:text-gray-400 mt-1">
+                        {link.status === 'revoked'
+                          ? `Revoked ${new Date(link.revoked_at).toLocaleDateString()}`
+                          : `${link.status === 'expired' ? 'Expired' : 'Expires'} ${new Date(link.expires_at).toLocaleDateString()}`}
+                        {' · '}
+                        {link.last_accessed_at
+                          ? `Opened ${link.access_count} time${link.access_count === 1 ? '' : 's'}, last ${new Date(link.last_accessed_at).toLocaleString()}`
+                          : 'Never opened'}
+                      </div>
+                    </div>
+                    {link.status === 'active' && (
+                      <button
+                        onClick={() => handleRevoke(link)}
+                        disabled={revokeLink.isPending}
+                        className="text-red-600 hover:text-red-800 dark:text-red-400 font-medium flex-shrink-0 disabled:opacity-50"
+                      >
+                        Revoke
+                      </button>
+                    )}
+                  </li>
+                ))}
+              </ul>
+            )}
+          </div>
+        </div>
+      </div>
+    </div>
+  )
+}
+
+export default PortalLinksModal
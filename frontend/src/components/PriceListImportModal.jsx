@@ -0,0 +1,395 @@
+import { useState } from 'react'
+import { usePreviewPriceList, useApplyPriceList, useSupplierPriceLists } from '../hooks/useApi'
+
+// Header names accepted for each price list column (compared lower-case)
+const COLUMN_ALIASES = {
+  sku: ['sku', 'item #', 'item number', 'item no', 'part number', 'part #'],
+  model: ['model', 'model number', 'model #', 'mfr model'],
+  description: ['description', 'name', 'item', 'item description'],
+  unit_price: ['unit_price', 'unit price', 'price', 'cost', 'unit cost', 'net price'],
+}
+
+const STATUS_LABELS = {
+  changed: 'Price change',
+  unchanged: 'Same price',
+  unmatched: 'No match',
+  ambiguous: 'Matches several items',
+  duplicate: 'Repeated item',
+  other_supplier: 'Other preferred supplier',
+  invalid: 'No valid price',
+}
+
+const STATUS_BADGES = {
+  changed: 'bg-blue-100 text-blue-800 dark:bg-blue-900/30 dark:text-blue-300',
+  unchanged: 'bg-gray-100 text-gray-800 dark:bg-gray-700 dark:text-gray-300',
+  unmatched: 'bg-yellow-100 text-yellow-800 dark:bg-yellow-900/30 dark:text-yellow-300',
+  ambiguous: 'bg-orange-100 text-orange-800 dark:bg-orange-900/30 dark:text-orange-300',
+  duplicate: 'bg-orange-100 text-orange-800 dark:bg-orange-900/30 dark:text-orange-300',
+  other_supplier: 'bg-purple-100 text-purple-800 dark:bg-purple-900/30 dark:text-purple-300',
+  invalid: 'bg-red-100 text-red-800 dark:bg-red-900/30 dark:text-red-300',
+}
+
+const formatMoney = (value) =>
+  value == null ? '-' : `$${value.toLocaleString('en-US', { minimumFractionDigits: 2, maximumFractionDigits: 2 })}`
+
+const formatSignedMoney = (value) => `${value > 0 ? '+' : value < 0 ? '-' : ''}${formatMoney(Math.abs(value || 0))}`
+
+const formatPercent = (value) => (value == null ? '-' : `${value.toFixed(1)}%`)
+
+const today = () => new Date().toISOString().split('T')[0]
+
+// CSV line into fields, honouring quotes and doubled quotes
+const parseCSVLine = (line) => {
+  const values = []
+  let current = ''
+  let inQuotes = false
+  for (let i = 0; i < line.length; i++) {
+    const char = line[i]
+    if (char === '"') {
+      if (inQuotes && line[i + 1] === '"') {
+        current += '"'
+        i++
+      } else {
+        inQuotes = !inQuotes
+      }
+    } else if (char === ',' && !inQuotes) {
+      values.push(current.trim())
+      current = ''
+    } else {
+      current += char
+    }
+  }
+  values.push(current.trim())
+  return values
+}
+
+// Price list CSV into [{ sku, model, description, unit_price }] using COLUMN_ALIASES
+const parsePriceList = (csvText) => {
+  const lines = csvText.replace(/\r\n/g, '\n').replace(/\r/g, '\n').split('\n').filter((line) => line.trim() !== '')
+  if (lines.length < 2) throw new Error('CSV file must have at least a header row and one data row')
+
+  const headers = parseCSVLine(lines[0]).map((h) => h.trim().toLowerCase())
+  const columnIndex = Object.fromEntries(Object.entries(COLUMN_ALIASES).map(([field, aliases]) => [field, headers.findIndex((h) => aliases.includes(h))]))
+  if (columnIndex.unit_price === -1) throw new Error('Missing a price column (unit_price, price or cost)')
+  if (columnIndex.sku === -1 && columnIndex.model === -1) throw new Error('Missing a SKU or model column to match items on')
+
+  return lines.slice(1).map((line) => {
+    const values = parseCSVLine(line)
+    const value = (field) => (columnIndex[field] === -1 ? null : values[columnIndex[field]] || null)
+    return { sku: value('sku'), model: value('model'), description: value('description'), unit_price: value('unit_price') || '' }
+  })
+}
+
+/**
+ * Import a supplier's CSV price list: preview which inventory items it matches (on SKU, then model) and how their
+ * prices change, optionally with the margin impact of re-pricing open projects and expense templates, then apply it.
+ */
+function PriceListImportModal({ supplier, onClose }) {
+  const preview = usePreviewPriceList()
+  const apply = useApplyPriceList()
+  const { data: pastImports = [] } = useSupplierPriceLists(supplier.id)
+
+  const [fileName, setFileName] = useState('')
+  const [rows, setRows] = useState([])
+  const [options, setOptions] = useState({ effective_date: today(), reprice_projects: false, reprice_templates: false })
+  const [result, setResult] = useState(null)
+  const [applied, setApplied] = useState(null)
+  const [showAll, setShowAll] = useState(false)
+  const [error, setError] = useState('')
+
+  const runPreview = async (nextRows, nextOptions) => {
+    setError('')
+    try {
+      setResult(await preview.mutateAsync({
+        supplierId: supplier.id,
+        data: { rows: nextRows, reprice_projects: nextOptions.reprice_projects, reprice_templates: nextOptions.reprice_templates },
+      }))
+    } catch (err) {
+      setResult(null)
+      setError(err?.response?.data?.error || 'Failed to preview price list')
+    }
+  }
+
+  const handleFile = async (event) => {
+    const file = event.target.files[0]
+    event.target.value = ''
+    if (!file) return
+    if (!file.name.toLowerCase().endsWith('.csv')) {
+      setError('Please select a CSV file')
+      return
+    }
+    try {
+      const parsed = parsePriceList(await file.text())
+      if (!parsed.some((row) => row.sku || row.model)) throw new Error('No rows with a SKU or model found in the CSV file')
+      setFileName(file.name)
+      setRows(parsed)
+      setApplied(null)
+      await runPreview(parsed, options)
+    } catch (err) {
+      setError(err.message || 'Failed to read CSV file')
+    }
+  }
+
+  const toggleOption = (field) => {
+    const nextOptions = { ...options, [field]: !options[field] }
+    setOptions(nextOptions)
+    if (rows.length > 0) runPreview(rows, nextOptions)
+  }
+
+  const handleApply = async () => {
+    const changed = result?.summary.changed || 0
+    if (!window.confirm(`Update ${changed} inventory price${changed === 1 ? '' : 's'}${options.reprice_projects || options.reprice_templates ? ' and re-price the lines shown' : ''}?`)) return
+    setError('')
+    try {
+      const response = await apply.mutateAsync({
+        supplierId: supplier.id,
+        data: { rows, file_name: fileName, ...options },
+      })
+      setApplied(response)
+      setResult(null)
+      setRows([])
+    } catch (err) {
+      setError(err?.response?.data?.error || 'Failed to apply price list')
+    }
+  }
+
+  const lines = result?.lines || []
+  const visibleLines = showAll ? lines : lines.filter((line) => line.status !== 'unchanged')
+  const impact = applied?.impact || result?.impact
+
+  return (
+    <div className="fixed inset-0 bg-black bg-opacity-50 flex items-center justify-center z-50 p-4" onClick={onClose}>
+      <div className="bg-white dark:bg-gray-800 rounded-xl shadow-2xl max-w-6xl w-full max-h-[90vh] overflow-hidden flex flex-col" onClick={(e) => e.stopPropagation()}>
+        {/* Header */}
+        <div className="bg-gradient-to-r from-pool-blue to-pool-dark px-6 py-4 flex-shrink-0 rounded-t-xl">
+          <div className="flex justify-between items-center">
+            <div>
+              <h3 className="text-xl font-bold text-white">Import Price List - {supplier.name}</h3>
+              <p className="text-sm text-white/80">CSV with a price column and a SKU or model column; rows match inventory on SKU first, then model</p>
+            </div>
+            <button
+              onClick={onClose}
+              className="text-white/80 hover:text-white p-1 transition-colors"
+            >
+              <svg className="w-5 h-5" fill="none" viewBox="0 0 24 24" stroke="currentColor">
+                <path strokeLinecap="round" strokeLinejoin="round" strokeWidth={2} d="M6 18L18 6M6 6l12 12" />
+              </svg>
+            </button>
+          </div>
+        </div>
+
+        <div className="p-6 overflow-y-auto flex-1 space-y-6">
+          {error && (
+            <div className="p-3 bg-red-50 border border-red-200 text-red-700 rounded-md text-sm">{error}</div>
+          )}
+          {applied && (
+            <div className="p-3 bg-green-50 border border-green-200 text-green-700 rounded-md text-sm">
+              Updated {applied.import.changed_count} price{applied.import.changed_count === 1 ? '' : 's'}
+              {applied.import.repriced_project_lines > 0 && `, re-priced ${applied.import.repriced_project_lines} project line${applied.import.repriced_project_lines === 1 ? '' : 's'}`}
+              {applied.import.repriced_template_lines > 0 && `, re-priced ${applied.import.repriced_template_lines} template line${applied.import.repriced_template_lines === 1 ? '' : 's'}`}.
+            </div>
+          )}
+
+          {/* File and options */}
+          <div className="bg-gray-50 dark:bg-gray-700/50 rounded-lg p-4 grid grid-cols-1 md:grid-cols-3 gap-4 items-end">
+            <div>
+              <label className="block text-xs font-medium text-gray-600 dark:text-gray-400 mb-1">Price List (CSV)</label>
+              <label className="inline-flex items-center px-4 py-2 bg-white dark:bg-gray-700 border border-gray-300 dark:border-gray-600 rounded-md text-sm text-gray-700 dark:text-gray-300 hover:bg-gray-50 dark:hover:bg-gray-600 cursor-pointer transition-colors">
+                {preview.isPending ? 'Matching...' : fileName || 'Choose file...'}
+                <input type="file" accept=".csv" onChange={handleFile} className="hidden" disabled={preview.isPending || apply.isPending} />
+              </label>
+            </div>
+            <div>
+              <label className="block text-xs font-medium text-gray-600 dark:text-gray-400 mb-1">Prices Effective</label>
+              <input
+                type="date"
+                value={options.effective_date}
+                onChange={(e) => setOptions((prev) => ({ ...prev, effective_date: e.target.value }))}
+                className="w-full px-3 py-2 border border-gray-300 dark:border-gray-600 rounded-md focus:outline-none focus:ring-2 focus:ring-pool-blue bg-white dark:bg-gray-700 text-sm text-gray-900 dark:text-white"
+              />
+            </div>
+            <div className="space-y-1.5 text-sm text-gray-700 dark:text-gray-300">
+              <label className="flex items-center gap-2">
+                <input type="checkbox" checked={options.reprice_projects} onChange={() => toggleOption('reprice_projects')} className="rounded border-gray-300 text-pool-blue focus:ring-pool-blue" />
+                Re-price open projects (lines not yet ordered)
+              </label>
+              <label className="flex items-center gap-2">
+                <input type="checkbox" checked={options.reprice_templates} onChange={() => toggleOption('reprice_templates')} className="rounded border-gray-300 text-pool-blue focus:ring-pool-blue" />
+                Re-price expense templates
+              </label>
+            </div>
+          </div>
+
+          {/* Match preview */}
+          {result && (
+            <div className="space-y-3">
+              <div className="flex flex-wrap items-center justify-between gap-3">
+                <p className="text-sm text-gray-700 dark:text-gray-300">
+                  {result.summary.rows} rows • <span className="font-semibold">{result.summary.changed} price changes</span> • {result.summary.unchanged} unchanged
+                  {result.summary.rows - result.summary.matched > 0 && ` • ${result.summary.rows - result.summary.matched} not applied`}
+                </p>
+                <label className="flex items-center gap-2 text-sm text-gray-600 dark:text-gray-400">
+                  <input type="checkbox" checked={showAll} onChange={() => setShowAll(!showAll)} className="rounded border-gray-300 text-pool-blue focus:ring-pool-blue" />
+                  Show unchanged
+                </label>
+              </div>
+              <div className="overflow-x-auto border border-gray-200 dark:border-gray-700 rounded-lg max-h-80 overflow-y-auto">
+                <table className="min-w-full divide-y divide-gray-200 dark:divide-gray-700 text-sm">
+                  <thead className="bg-gray-50 dark:bg-gray-700 sticky top-0">
+                    <tr>
+                      <th className="px-4 py-2 text-left text-xs font-medium text-gray-500 dark:text-gray-300 uppercase">Row</th>
+                      <th className="px-4 py-2 text-left text-xs font-medium text-gray-500 dark:text-gray-300 uppercase">SKU / Model</th>
+                      <th className="px-4 py-2 text-left text-xs font-medium text-gray-500 dark:text-gray-300 uppercase">Inventory Item</th>
+                      <th className="px-4 py-2 text-right text-xs font-medium text-gray-500 dark:text-gray-300 uppercase">Current</th>
+                      <th className="px-4 py-2 text-right text-xs font-medium text-gray-500 dark:text-gray-300 uppercase">New</th>
+                      <th className="px-4 py-2 text-right text-xs font-medium text-gray-500 dark:text-gray-300 uppercase">Change</th>
+                      <th className="px-4 py-2 text-left text-xs font-medium text-gray-500 dark:text-gray-300 uppercase">Result</th>
+                    </tr>
+                  </thead>
+                  <tbody className="bg-white dark:bg-gray-800 divide-y divide-gray-200 dark:divide-gray-700">
+                    {visibleLines.map((line) => (
+                      <tr key={line.row}>
+                        <td className="px-4 py-2 text-gray-500 dark:text-gray-400">{line.row + 1}</td>
+                        <td className="px-4 py-2 text-gray-700 dark:text-gray-300">
+                          {line.sku || line.model}
+                          {line.description && <div className="text-xs text-gray-500 dark:text-gray-400">{line.description}</div>}
+                        </td>
+                        <td className="px-4 py-2 text-gray-900 dark:text-white">
+                          {line.name || '-'}
+                          {line.matched_on && <div className="text-xs text-gray-500 dark:text-gray-400">Matched on {line.matched_on === 'sku' ? 'SKU' : 'model'}</div>}
+                        </td>
+                        <td className="px-4 py-2 whitespace-nowrap text-right text-gray-700 dark:text-gray-300">{formatMoney(line.previous_price)}</td>
+                        <td className="px-4 py-2 whitespace-nowrap text-right font-medium text-gray-900 dark:text-white">{formatMoney(line.unit_price)}</td>
+                        <td className={`px-4 py-2 whitespace-nowrap text-right ${line.change > 0 ? 'text-red-600 dark:text-red-400' : line.change < 0 ? 'text-green-600 dark:text-green-400' : 'text-gray-500 dark:text-gray-400'}`}>
+                          {line.change == null ? '-' : formatSignedMoney(line.change)}
+                          {line.change_percent != null && line.change !== 0 && <span className="text-xs ml-1">({line.change_percent > 0 ? '+' : ''}{line.change_percent}%)</span>}
+                        </td>
+                        <td className="px-4 py-2 whitespace-nowrap">
+                          <span className={`px-2 py-0.5 rounded-full text-xs font-medium ${STATUS_BADGES[line.status]}`}>{STATUS_LABELS[line.status]}</span>
+                        </td>
+                      </tr>
+                    ))}
+                  </tbody>
+                </table>
+              </div>
+            </div>
+          )}
+
+          {/* Margin impact */}
+          {impact && (impact.projects.length > 0 || impact.templates.length > 0) && (
+            <div className="space-y-3">
+              <h4 className="text-sm font-semibold text-gray-800 dark:text-white">
+                Margin Impact{applied ? '' : ' (if applied)'}
+                {impact.projects.length > 0 && (
+                  <span className={`ml-2 font-normal ${impact.total_change > 0 ? 'text-red-600 dark:text-red-400' : 'text-green-600 dark:text-green-400'}`}>
+                    {formatSignedMoney(impact.total_change)} expected cost across {impact.projects.length} project{impact.projects.length === 1 ? '' : 's'}
+                  </span>
+                )}
+              </h4>
+              {impact.projects.length > 0 && (
+                <div className="overflow-x-auto border border-gray-200 dark:border-gray-700 rounded-lg">
+                  <table className="min-w-full divide-y divide-gray-200 dark:divide-gray-700 text-sm">
+                    <thead className="bg-gray-50 dark:bg-gray-700">
+                      <tr>
+                        <th className="px-4 py-2 text-left text-xs font-medium text-gray-500 dark:text-gray-300 uppercase">Project</th>
+                        <th className="px-4 py-2 text-right text-xs font-medium text-gray-500 dark:text-gray-300 uppercase">Lines</th>
+                        <th className="px-4 py-2 text-right text-xs font-medium text-gray-500 dark:text-gray-300 uppercase">Revenue</th>
+                        <th className="px-4 py-2 text-right text-xs font-medium text-gray-500 dark:text-gray-300 uppercase">Cost Change</th>
+                        <th className="px-4 py-2 text-right text-xs font-medium text-gray-500 dark:text-gray-300 uppercase">Expected Profit</th>
+                        <th className="px-4 py-2 text-right text-xs font-medium text-gray-500 dark:text-gray-300 uppercase">Margin</th>
+                      </tr>
+                    </thead>
+                    <tbody className="bg-white dark:bg-gray-800 divide-y divide-gray-200 dark:divide-gray-700">
+                      {impact.projects.map((project) => (
+                        <tr key={project.project_id}>
+                          <td className="px-4 py-2 text-gray-900 dark:text-white">{project.project_name || 'Untitled project'}</td>
+                          <td className="px-4 py-2 text-right text-gray-700 dark:text-gray-300">{project.lines}</td>
+                          <td className="px-4 py-2 whitespace-nowrap text-right text-gray-700 dark:text-gray-300">{formatMoney(project.revenue)}</td>
+                          <td className={`px-4 py-2 whitespace-nowrap text-right ${project.change > 0 ? 'text-red-600 dark:text-red-400' : 'text-green-600 dark:text-green-400'}`}>{formatSignedMoney(project.change)}</td>
+                          <td className="px-4 py-2 whitespace-nowrap text-right text-gray-700 dark:text-gray-300">
+                            {formatMoney(project.expected_profit_before)} → <span className="font-medium text-gray-900 dark:text-white">{formatMoney(project.expected_profit_after)}</span>
+                          </td>
+                          <td className="px-4 py-2 whitespace-nowrap text-right text-gray-700 dark:text-gray-300">
+                            {formatPercent(project.margin_before)} → <span className={`font-medium ${project.margin_after != null && project.margin_after < 0 ? 'text-red-600 dark:text-red-400' : 'text-gray-900 dark:text-white'}`}>{formatPercent(project.margin_after)}</span>
+                          </td>
+                        </tr>
+                      ))}
+                    </tbody>
+                  </table>
+                </div>
+              )}
+              {impact.templates.length > 0 && (
+                <div className="overflow-x-auto border border-gray-200 dark:border-gray-700 rounded-lg">
+                  <table className="min-w-full divide-y divide-gray-200 dark:divide-gray-700 text-sm">
+                    <thead className="bg-gray-50 dark:bg-gray-700">
+                      <tr>
+                        <th className="px-4 py-2 text-left text-xs font-medium text-gray-500 dark:text-gray-300 uppercase">Expense Template</th>
+                        <th className="px-4 py-2 text-right text-xs font-medium text-gray-500 dark:text-gray-300 uppercase">Lines</th>
+                        <th className="px-4 py-2 text-right text-xs font-medium text-gray-500 dark:text-gray-300 uppercase">Before</th>
+                        <th className="px-4 py-2 text-right text-xs font-medium text-gray-500 dark:text-gray-300 uppercase">After</th>
+                        <th className="px-4 py-2 text-right text-xs font-medium text-gray-500 dark:text-gray-300 uppercase">Change</th>
+                      </tr>
+                    </thead>
+                    <tbody className="bg-white dark:bg-gray-800 divide-y divide-gray-200 dark:divide-gray-700">
+                      {impact.templates.map((template) => (
+                        <tr key={template.template_id}>
+                          <td className="px-4 py-2 text-gray-900 dark:text-white">{template.template_name}</td>
+                          <td className="px-4 py-2 text-right text-gray-700 dark:text-gray-300">{template.lines}</td>
+                          <td className="px-4 py-2 whitespace-nowrap text-right text-gray-700 dark:text-gray-300">{formatMoney(template.expected_before)}</td>
+                          <td className="px-4 py-2 whitespace-nowrap text-right text-gray-900 dark:text-white">{formatMoney(template.expected_after)}</td>
+                          <td className={`px-4 py-2 whitespace-nowrap text-right ${template.change > 0 ? 'text-red-600 dark:text-red-400' : 'text-green-600 dark:text-green-400'}`}>{formatSignedMoney(template.change)}</td>
+                        </tr>
+                      ))}
+                    </tbody>
+                  </table>
+                </div>
+              )}
+            </div>
+          )}
+
+          {result && (
+            <div className="flex justify-end gap-3">
+              <button
+                onClick={() => { setResult(null); setRows([]); setFileName('') }}
+                className="px-4 py-2 border border-gray-300 dark:border-gray-600 text-gray-700 dark:text-gray-300 text-sm rounded-md hover:bg-gray-50 dark:hover:bg-gray-700 transition-colors"
+              >
+                Discard
+              </button>
+              <button
+                onClick={handleApply}
+                disabled={apply.isPending || preview.isPending || result.summary.changed === 0}
+                className="px-4 py-2 bg-pool-blue hover:bg-pool-dark text-white text-sm font-medium rounded-md transition-colors disabled:opacity-50"
+              >
+                {apply.isPending ? 'Applying...' : `Apply ${result.summary.changed} Price Change${result.summary.changed === 1 ? '' : 's'}`}
+              </button>
+            </div>
+          )}
+
+          {/* Past imports */}
+          {pastImports.length > 0 && (
+            <div>
+              <h4 className="text-sm font-semibold text-gray-800 dark:text-white mb-2">Previous Imports</h4>
+              <ul className="divide-y divide-gray-200 dark:divide-gray-700 text-sm border border-gray-200 dark:border-gray-700 rounded-lg">
+                {pastImports.map((entry) => (
+                  <li key={entry.id} className="px-4 py-2 flex flex-wrap justify-between gap-2 text-gray-700 dark:text-gray-300">
+                    <span>
+                      {new Date(`${entry.effective_date}T00:00:00`).toLocaleDateString()} • {entry.file_name || 'Price list'}
+                      {entry.created_by_name && <span className="text-gray-500 dark:text-gray-400"> • {entry.created_by_name}</span>}
+                    </span>
+                    <span className="text-gray-500 dark:text-gray-400">
+                      {entry.changed_count} of {entry.row_count} rows changed
+                      {entry.repriced_project_lines > 0 && ` • ${entry.repriced_project_lines} project lines`}
+                      {entry.repriced_template_lines > 0 && ` • ${entry.repriced_template_lines} template lines`}
+                    </span>
+                  </li>
+                ))}
+              </ul>
+            </div>
+          )}
+        </div>
+      </div>
+    </div>
+  )
+}
+
+export default PriceListImportModal
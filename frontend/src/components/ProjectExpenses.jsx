@@ -1,8 +1,10 @@
 import { useState, useEffect, useRef } from 'react'
 import { useAuth } from '../context/AuthContext'
 import axios from 'axios'
-import ActionsMenu, { EDIT_ICON, DELETE_ICON } from './ActionsMenu'
-import { useTemplates } from '../hooks/useApi'
+import { useQueryClient } from '@tanstack/react-query'
+import ActionsMenu, { EDIT_ICON, DELETE_ICON, EXPENSE_ICON } from './ActionsMenu'
+import SubcontractorPaymentsModal from './SubcontractorPaymentsModal'
+import { useTemplates, useHasPermission } from '../hooks/useApi'
 
 // Helper function to format date string (YYYY-MM-DD) to local date without timezone issues
 const formatDateString = (dateString) => {
@@ -51,6 +53,8 @@ const formatDateString = (dateString) => {
 
 function ProjectExpenses({ project, onClose }) {
   const { user, supabase, getAuthHeaders } = useAuth()
+  const queryClient = useQueryClient()
+  const canEditExpenses = useHasPermission('edit_expenses')
   const { data: templates = [] } = useTemplates()
   const [loading, setLoading] = useState(true)
   const [expenses, setExpenses] = useState(null)
@@ -72,6 +76,7 @@ function ProjectExpenses({ project, onClose }) {
   const [error, setError] = useState('')
   const [success, setSuccess] = useState('')
   const [openActionsId, setOpenActionsId] = useState(null)
+  const [paymentsFee, setPaymentsFee] = useState(null)
   const actionsMenuRef = useRef(null)
 
   const [subcontractorForm, setSubcontractorForm] = useState({
@@ -210,12 +215,12 @@ function ProjectExpenses({ project, onClose }) {
         )
         setSuccess('Subcontractor fee updated!')
       } else {
-        await axios.post(
+        const res = await axios.post(
           `/api/projects/${project.id}/expenses/subcontractor-fees`,
           payload,
           { headers: getAuthHeaders(token) }
         )
-        setSuccess('Subcontractor fee added!')
+        setSuccess(res.data.coiWarning ? `Subcontractor fee added. Note: ${res.data.coiWarning}` : 'Subcontractor fee added!')
       }
 
       // Close form and reset state
@@ -251,6 +256,7 @@ function ProjectExpenses({ project, onClose }) {
       notes: entry.notes ?? '',
       job_description: entry.job_description ?? '',
     })
+    setError('')
     setShowSubcontractorForm(true)
   }
 
@@ -258,6 +264,11 @@ function ProjectExpenses({ project, onClose }) {
     setSubcontractorForm({ ...subcontractorForm, subcontractor_id: subcontractorId })
   }
 
+  // Expired COIs are flagged in the picker; the server warns or refuses depending on the company setting
+  const todayString = new Date().toLocaleDateString('en-CA')
+  const isCoiExpired = (sub) => !!sub?.coi_expiration && sub.coi_expiration.split('T')[0] < todayString
+  const selectedFeeSubcontractor = subcontractors.find((sub) => sub.id === subcontractorForm.subcontractor_id)
+
   const handleSubcontractorDelete = async (id) => {
     if (!window.confirm('Are you sure you want to delete this entry?')) return
 
@@ -329,6 +340,7 @@ function ProjectExpenses({ project, onClose }) {
       
       // Refetch expenses to get updated data
       await fetchExpenses()
+      queryClient.invalidateQueries({ queryKey: ['inventory'] })
     } catch (err) {
       setError(err.response?.data?.error || 'Failed to save material')
     }
@@ -366,6 +378,7 @@ function ProjectExpenses({ project, onClose }) {
 
       setSuccess('Entry deleted!')
       await fetchExpenses()
+      queryClient.invalidateQueries({ queryKey: ['inventory'] })
     } catch (err) {
       setError(err.response?.data?.error || 'Failed to delete entry')
     }
@@ -472,9 +485,9 @@ function ProjectExpenses({ project, onClose }) {
         { headers: getAuthHeaders(token) }
       )
 
-      const { created } = res.data
+      const { created, coiWarnings = [] } = res.data
       const total = (created?.subcontractors || 0) + (created?.materials || 0) + (created?.equipment || 0) + (created?.additional || 0)
-      setSuccess(`Template applied! Added ${total} expense(s).`)
+      setSuccess(`Template applied! Added ${total} expense(s).${coiWarnings.length ? ` Note: ${coiWarnings.join('; ')}.` : ''}`)
       setShowTemplateModal(false)
       setSelectedTemplateId('')
       await fetchExpenses()
@@ -507,6 +520,7 @@ function ProjectExpenses({ project, onClose }) {
       await Promise.all(deleteCalls)
       setSuccess(`Cleared all ${total} expense(s).`)
       await fetchExpenses()
+      queryClient.invalidateQueries({ queryKey: ['inventory'] })
     } catch (err) {
       setError(err.response?.data?.error || 'Failed to clear expenses')
     } finally {
@@ -565,6 +579,7 @@ function ProjectExpenses({ project, onClose }) {
       })
 
       await fetchExpenses()
+      queryClient.invalidateQueries({ queryKey: ['inventory'] })
     } catch (err) {
       setError(err.response?.data?.error || 'Failed to save equipment')
     }
@@ -601,6 +616,7 @@ function ProjectExpenses({ project, onClose }) {
 
       setSuccess('Equipment deleted!')
       await fetchExpenses()
+      queryClient.invalidateQueries({ queryKey: ['inventory'] })
     } catch (err) {
       setError(err.response?.data?.error || 'Failed to delete equipment')
     }
@@ -784,6 +800,50 @@ function ProjectExpenses({ project, onClose }) {
             </div>
           </div>
 
+          {/* Billing (contract value, invoices and payments received) */}
+          <div className="grid grid-cols-2 md:grid-cols-5 gap-4 mb-6">
+            <div className="bg-white dark:bg-gray-700 border border-gray-200 dark:border-gray-600 rounded-lg p-4">
+              <p className="text-sm text-gray-500 dark:text-gray-400">Contract Value</p>
+              <p className="text-lg font-bold text-pool-blue">
+                ${(projectData.contractPrice || 0).toLocaleString('en-US', { minimumFractionDigits: 2, maximumFractionDigits: 2 })}
+              </p>
+              {projectData.contractPrice !== projectData.originalContractPrice && (
+                <p className="text-xs text-gray-500 dark:text-gray-400">
+                  Original ${(projectData.originalContractPrice || 0).toLocaleString('en-US', { minimumFractionDigits: 2, maximumFractionDigits: 2 })} + change orders
+                </p>
+              )}
+              {projectData.scheduleExtensionDays !== 0 && projectData.scheduleExtensionDays != null && (
+                <p className="text-xs text-gray-500 dark:text-gray-400">
+                  Schedule {projectData.scheduleExtensionDays > 0 ? '+' : ''}{projectData.scheduleExtensionDays} days
+                </p>
+              )}
+            </div>
+            <div className="bg-white dark:bg-gray-700 border border-gray-200 dark:border-gray-600 rounded-lg p-4">
+              <p className="text-sm text-gray-500 dark:text-gray-400">Invoiced</p>
+              <p className="text-lg font-bold text-gray-900 dark:text-white">
+                ${(projectData.invoiced || 0).toLocaleString('en-US', { minimumFractionDigits: 2, maximumFractionDigits: 2 })}
+              </p>
+            </div>
+            <div className="bg-white dark:bg-gray-700 border border-gray-200 dark:border-gray-600 rounded-lg p-4">
+              <p className="text-sm text-gray-500 dark:text-gray-400">Payments Received</p>
+              <p className="text-lg font-bold text-green-600">
+                ${(projectData.paid || 0).toLocaleString('en-US', { minimumFractionDigits: 2, maximumFractionDigits: 2 })}
+              </p>
+            </div>
+            <div className="bg-white dark:bg-gray-700 border border-gray-200 dark:border-gray-600 rounded-lg p-4">
+              <p className="text-sm text-gray-500 dark:text-gray-400">Balance Due</p>
+              <p className={`text-lg font-bold ${projectData.balanceDue > 0 ? 'text-orange-600' : 'text-gray-900 dark:text-white'}`}>
+                ${(projectData.balanceDue || 0).toLocaleString('en-US', { minimumFractionDigits: 2, maximumFractionDigits: 2 })}
+              </p>
+            </div>
+            <div className="bg-white dark:bg-gray-700 border border-gray-200 dark:border-gray-600 rounded-lg p-4">
+              <p className="text-sm text-gray-500 dark:text-gray-400">Not Yet Invoiced</p>
+              <p className="text-lg font-bold text-gray-900 dark:text-white">
+                ${(projectData.unbilled || 0).toLocaleString('en-US', { minimumFractionDigits: 2, maximumFractionDigits: 2 })}
+              </p>
+            </div>
+          </div>
+
           {/* Expense Breakdown */}
           <div className="grid grid-cols-1 md:grid-cols-4 gap-4 mb-6">
             <div className="bg-blue-50 border border-blue-200 rounded-lg p-4">
@@ -857,220 +917,224 @@ function ProjectExpenses({ project, onClose }) {
           </div>
 
           {/* Add Expense Buttons */}
-          <div className="mb-6">
-            <p className="text-xs text-gray-500 dark:text-gray-400 uppercase tracking-wide mb-2">Add Expense</p>
-            <div className="flex flex-wrap items-center justify-between gap-4">
-            {/* Mobile: Grid with colored buttons */}
-            <div className="grid grid-cols-2 gap-2 sm:hidden">
-              <button
-                onClick={() => {
-                  setShowSubcontractorForm(true)
-                  setEditingSubcontractor(null)
-                  setSubcontractorForm({
-                    subcontractor_id: '',
-                    flat_fee: '',
-                    expected_value: '',
-                    date_added: new Date().toISOString().split('T')[0],
-                    status: 'incomplete',
-                    notes: '',
-                    job_description: '',
-                  })
-                }}
-                className="px-3 py-2 text-xs font-medium text-pool-blue bg-pool-light hover:bg-pool-blue hover:text-white rounded-lg transition-colors flex items-center justify-center gap-1"
-              >
-                <svg className="w-4 h-4" fill="none" viewBox="0 0 24 24" stroke="currentColor">
-                  <path strokeLinecap="round" strokeLinejoin="round" strokeWidth={2} d="M12 4v16m8-8H4" />
-                </svg>
-                Subcontractor
-              </button>
-              <button
-                onClick={() => {
-                  setShowMaterialForm(true)
-                  setEditingMaterial(null)
-                  setMaterialForm({
-                    inventory_id: '',
-                    quantity: '',
-                    date_ordered: new Date().toISOString().split('T')[0],
-                    date_received: '',
-                    status: 'incomplete',
-                    expected_price: '',
-                    actual_price: '',
-                    notes: '',
-                  })
-                }}
-                className="px-3 py-2 text-xs font-medium text-purple-700 bg-purple-100 hover:bg-purple-600 hover:text-white rounded-lg transition-colors flex items-center justify-center gap-1"
-              >
-                <svg className="w-4 h-4" fill="none" viewBox="0 0 24 24" stroke="currentColor">
-                  <path strokeLinecap="round" strokeLinejoin="round" strokeWidth={2} d="M12 4v16m8-8H4" />
-                </svg>
-                Material
-              </button>
-              <button
-                onClick={() => {
-                  setShowEquipmentForm(true)
-                  setEditingEquipment(null)
-                  setEquipmentForm({
-                    inventory_id: '',
-                    description: '',
-                    expected_price: '',
-                    actual_price: '',
-                    quantity: '1',
-                    date_ordered: new Date().toISOString().split('T')[0],
-                    date_received: '',
-                    status: 'pending',
-                    notes: '',
-                  })
-                }}
-                className="px-3 py-2 text-xs font-medium text-orange-700 bg-orange-100 hover:bg-orange-600 hover:text-white rounded-lg transition-colors flex items-center justify-center gap-1"
-              >
-                <svg className="w-4 h-4" fill="none" viewBox="0 0 24 24" stroke="currentColor">
-                  <path strokeLinecap="round" strokeLinejoin="round" strokeWidth={2} d="M12 4v16m8-8H4" />
-                </svg>
-                Equipment
-              </button>
-              <button
-                onClick={() => {
-                  setShowAdditionalForm(true)
-                  setEditingAdditional(null)
-                  setAdditionalForm({
-                    name: '',
-                    amount: '',
-                    expected_value: '',
-                    expense_date: new Date().toISOString().split('T')[0],
-                    status: 'incomplete',
-                    description: '',
-                    notes: '',
-                  })
-                }}
-                className="px-3 py-2 text-xs font-medium text-teal-700 bg-teal-100 hover:bg-teal-600 hover:text-white rounded-lg transition-colors flex items-center justify-center gap-1"
-              >
-                <svg className="w-4 h-4" fill="none" viewBox="0 0 24 24" stroke="currentColor">
-                  <path strokeLinecap="round" strokeLinejoin="round" strokeWidth={2} d="M12 4v16m8-8H4" />
-                </svg>
-                Other
-              </button>
-            </div>
+          {canEditExpenses && (
+            <div className="mb-6">
+              <p className="text-xs text-gray-500 dark:text-gray-400 uppercase tracking-wide mb-2">Add Expense</p>
+              <div className="flex flex-wrap items-center justify-between gap-4">
+              {/* Mobile: Grid with colored buttons */}
+              <div className="grid grid-cols-2 gap-2 sm:hidden">
+                <button
+                  onClick={() => {
+                    setError('')
+                    setShowSubcontractorForm(true)
+                    setEditingSubcontractor(null)
+                    setSubcontractorForm({
+                      subcontractor_id: '',
+                      flat_fee: '',
+                      expected_value: '',
+                      date_added: new Date().toISOString().split('T')[0],
+                      status: 'incomplete',
+                      notes: '',
+                      job_description: '',
+                    })
+                  }}
+                  className="px-3 py-2 text-xs font-medium text-pool-blue bg-pool-light hover:bg-pool-blue hover:text-white rounded-lg transition-colors flex items-center justify-center gap-1"
+                >
+                  <svg className="w-4 h-4" fill="none" viewBox="0 0 24 24" stroke="currentColor">
+                    <path strokeLinecap="round" strokeLinejoin="round" strokeWidth={2} d="M12 4v16m8-8H4" />
+                  </svg>
+                  Subcontractor
+                </button>
+                <button
+                  onClick={() => {
+                    setShowMaterialForm(true)
+                    setEditingMaterial(null)
+                    setMaterialForm({
+                      inventory_id: '',
+                      quantity: '',
+                      date_ordered: new Date().toISOString().split('T')[0],
+                      date_received: '',
+                      status: 'incomplete',
+                      expected_price: '',
+                      actual_price: '',
+                      notes: '',
+                    })
+                  }}
+                  className="px-3 py-2 text-xs font-medium text-purple-700 bg-purple-100 hover:bg-purple-600 hover:text-white rounded-lg transition-colors flex items-center justify-center gap-1"
+                >
+                  <svg className="w-4 h-4" fill="none" viewBox="0 0 24 24" stroke="currentColor">
+                    <path strokeLinecap="round" strokeLinejoin="round" strokeWidth={2} d="M12 4v16m8-8H4" />
+                  </svg>
+                  Material
+                </button>
+                <button
+                  onClick={() => {
+                    setShowEquipmentForm(true)
+                    setEditingEquipment(null)
+                    setEquipmentForm({
+                      inventory_id: '',
+                      description: '',
+                      expected_price: '',
+                      actual_price: '',
+                      quantity: '1',
+                      date_ordered: new Date().toISOString().split('T')[0],
+                      date_received: '',
+                      status: 'pending',
+                      notes: '',
+                    })
+                  }}
+                  className="px-3 py-2 text-xs font-medium text-orange-700 bg-orange-100 hover:bg-orange-600 hover:text-white rounded-lg transition-colors flex items-center justify-center gap-1"
+                >
+                  <svg className="w-4 h-4" fill="none" viewBox="0 0 24 24" stroke="currentColor">
+                    <path strokeLinecap="round" strokeLinejoin="round" strokeWidth={2} d="M12 4v16m8-8H4" />
+                  </svg>
+                  Equipment
+                </button>
+                <button
+                  onClick={() => {
+                    setShowAdditionalForm(true)
+                    setEditingAdditional(null)
+                    setAdditionalForm({
+                      name: '',
+                      amount: '',
+                      expected_value: '',
+                      expense_date: new Date().toISOString().split('T')[0],
+                      status: 'incomplete',
+                      description: '',
+                      notes: '',
+                    })
+                  }}
+                  className="px-3 py-2 text-xs font-medium text-teal-700 bg-teal-100 hover:bg-teal-600 hover:text-white rounded-lg transition-colors flex items-center justify-center gap-1"
+                >
+                  <svg className="w-4 h-4" fill="none" viewBox="0 0 24 24" stroke="currentColor">
+                    <path strokeLinecap="round" strokeLinejoin="round" strokeWidth={2} d="M12 4v16m8-8H4" />
+                  </svg>
+                  Other
+                </button>
+              </div>
 
-            {/* Desktop: Simple text links */}
-            <div className="hidden sm:flex sm:flex-wrap gap-6">
-              <button
-                onClick={() => {
-                  setShowSubcontractorForm(true)
-                  setEditingSubcontractor(null)
-                  setSubcontractorForm({
-                    subcontractor_id: '',
-                    flat_fee: '',
-                    expected_value: '',
-                    date_added: new Date().toISOString().split('T')[0],
-                    status: 'incomplete',
-                    notes: '',
-                    job_description: '',
-                  })
-                }}
-                className="text-sm font-medium text-pool-blue hover:text-pool-dark flex items-center gap-1"
-              >
-                <svg className="w-4 h-4" fill="none" viewBox="0 0 24 24" stroke="currentColor">
-                  <path strokeLinecap="round" strokeLinejoin="round" strokeWidth={2} d="M12 4v16m8-8H4" />
-                </svg>
-                Subcontractor
-              </button>
-              <button
-                onClick={() => {
-                  setShowMaterialForm(true)
-                  setEditingMaterial(null)
-                  setMaterialForm({
-                    inventory_id: '',
-                    quantity: '',
-                    date_ordered: new Date().toISOString().split('T')[0],
-                    date_received: '',
-                    status: 'incomplete',
-                    expected_price: '',
-                    actual_price: '',
-                    notes: '',
-                  })
-                }}
-                className="text-sm font-medium text-pool-blue hover:text-pool-dark flex items-center gap-1"
-              >
-                <svg className="w-4 h-4" fill="none" viewBox="0 0 24 24" stroke="currentColor">
-                  <path strokeLinecap="round" strokeLinejoin="round" strokeWidth={2} d="M12 4v16m8-8H4" />
-                </svg>
-                Material
-              </button>
-              <button
-                onClick={() => {
-                  setShowEquipmentForm(true)
-                  setEditingEquipment(null)
-                  setEquipmentForm({
-                    inventory_id: '',
-                    description: '',
-                    expected_price: '',
-                    actual_price: '',
-                    quantity: '1',
-                    date_ordered: new Date().toISOString().split('T')[0],
-                    date_received: '',
-                    status: 'pending',
-                    notes: '',
-                  })
-                }}
-                className="text-sm font-medium text-pool-blue hover:text-pool-dark flex items-center gap-1"
-              >
-                <svg className="w-4 h-4" fill="none" viewBox="0 0 24 24" stroke="currentColor">
-                  <path strokeLinecap="round" strokeLinejoin="round" strokeWidth={2} d="M12 4v16m8-8H4" />
-                </svg>
-                Equipment
-              </button>
-              <button
-                onClick={() => {
-                  setShowAdditionalForm(true)
-                  setEditingAdditional(null)
-                  setAdditionalForm({
-                    name: '',
-                    amount: '',
-                    expected_value: '',
-                    expense_date: new Date().toISOString().split('T')[0],
-                    status: 'incomplete',
-                    description: '',
-                    notes: '',
-                  })
-                }}
-                className="text-sm font-medium text-pool-blue hover:text-pool-dark flex items-center gap-1"
-              >
-                <svg className="w-4 h-4" fill="none" viewBox="0 0 24 24" stroke="currentColor">
-                  <path strokeLinecap="round" strokeLinejoin="round" strokeWidth={2} d="M12 4v16m8-8H4" />
-                </svg>
-                Other
-              </button>
-            </div>
-            <div className="flex items-center gap-2 ml-auto flex-shrink-0">
-              <button
-                onClick={() => setShowTemplateModal(true)}
-                className="px-4 py-2 text-sm font-medium bg-pool-blue text-white hover:bg-pool-dark rounded-lg border border-pool-blue transition-colors flex items-center gap-1.5"
-              >
-                <svg className="w-4 h-4" fill="none" viewBox="0 0 24 24" stroke="currentColor">
-                  <path strokeLinecap="round" strokeLinejoin="round" strokeWidth={2} d="M8 16H6a2 2 0 01-2-2V6a2 2 0 012-2h8a2 2 0 012 2v2m-6 12h8a2 2 0 002-2v-8a2 2 0 00-2-2h-8a2 2 0 00-2 2v8a2 2 0 002 2z" />
-                </svg>
-                Use template
-              </button>
-              <button
-                onClick={handleClearAll}
-                disabled={clearingAll || !expenses || ((expenses.subcontractorFees?.length || 0) + (expenses.materials?.length || 0) + (expenses.equipment?.length || 0) + (expenses.additionalExpenses?.length || 0)) === 0}
-                className="px-4 py-2 text-sm font-medium text-red-700 bg-red-50 hover:bg-red-100 dark:text-red-300 dark:bg-red-900/20 dark:hover:bg-red-900/30 rounded-lg border border-red-200 dark:border-red-800 transition-colors flex items-center gap-1.5 disabled:opacity-50 disabled:cursor-not-allowed"
-              >
-                {clearingAll ? (
-                  <svg className="animate-spin w-4 h-4" fill="none" viewBox="0 0 24 24">
-                    <circle className="opacity-25" cx="12" cy="12" r="10" stroke="currentColor" strokeWidth="4"></circle>
-                    <path className="opacity-75" fill="currentColor" d="M4 12a8 8 0 018-8V0C5.373 0 0 5.373 0 12h4zm2 5.291A7.962 7.962 0 014 12H0c0 3.042 1.135 5.824 3 7.938l3-2.647z"></path>
+              {/* Desktop: Simple text links */}
+              <div className="hidden sm:flex sm:flex-wrap gap-6">
+                <button
+                  onClick={() => {
+                    setError('')
+                    setShowSubcontractorForm(true)
+                    setEditingSubcontractor(null)
+                    setSubcontractorForm({
+                      subcontractor_id: '',
+                      flat_fee: '',
+                      expected_value: '',
+                      date_added: new Date().toISOString().split('T')[0],
+                      status: 'incomplete',
+                      notes: '',
+                      job_description: '',
+                    })
+                  }}
+                  className="text-sm font-medium text-pool-blue hover:text-pool-dark flex items-center gap-1"
+                >
+                  <svg className="w-4 h-4" fill="none" viewBox="0 0 24 24" stroke="currentColor">
+                    <path strokeLinecap="round" strokeLinejoin="round" strokeWidth={2} d="M12 4v16m8-8H4" />
                   </svg>
-                ) : (
+                  Subcontractor
+                </button>
+                <button
+                  onClick={() => {
+                    setShowMaterialForm(true)
+                    setEditingMaterial(null)
+                    setMaterialForm({
+                      inventory_id: '',
+                      quantity: '',
+                      date_ordered: new Date().toISOString().split('T')[0],
+                      date_received: '',
+                      status: 'incomplete',
+                      expected_price: '',
+                      actual_price: '',
+                      notes: '',
+                    })
+                  }}
+                  className="text-sm font-medium text-pool-blue hover:text-pool-dark flex items-center gap-1"
+                >
                   <svg className="w-4 h-4" fill="none" viewBox="0 0 24 24" stroke="currentColor">
-                    <path strokeLinecap="round" strokeLinejoin="round" strokeWidth={2} d="M19 7l-.867 12.142A2 2 0 0116.138 21H7.862a2 2 0 01-1.995-1.858L5 7m5 4v6m4-6v6m1-10V4a1 1 0 00-1-1h-4a1 1 0 00-1 1v3M4 7h16" />
+                    <path strokeLinecap="round" strokeLinejoin="round" strokeWidth={2} d="M12 4v16m8-8H4" />
                   </svg>
-                )}
-                Clear all
-              </button>
-            </div>
+                  Material
+                </button>
+                <button
+                  onClick={() => {
+                    setShowEquipmentForm(true)
+                    setEditingEquipment(null)
+                    setEquipmentForm({
+                      inventory_id: '',
+                      description: '',
+                      expected_price: '',
+                      actual_price: '',
+                      quantity: '1',
+                      date_ordered: new Date().toISOString().split('T')[0],
+                      date_received: '',
+                      status: 'pending',
+                      notes: '',
+                    })
+                  }}
+                  className="text-sm font-medium text-pool-blue hover:text-pool-dark flex items-center gap-1"
+                >
+                  <svg className="w-4 h-4" fill="none" viewBox="0 0 24 24" stroke="currentColor">
+                    <path strokeLinecap="round" strokeLinejoin="round" strokeWidth={2} d="M12 4v16m8-8H4" />
+                  </svg>
+                  Equipment
+                </button>
+                <button
+                  onClick={() => {
+                    setShowAdditionalForm(true)
+                    setEditingAdditional(null)
+                    setAdditionalForm({
+                      name: '',
+                      amount: '',
+                      expected_value: '',
+                      expense_date: new Date().toISOString().split('T')[0],
+                      status: 'incomplete',
+                      description: '',
+                      notes: '',
+                    })
+                  }}
+                  className="text-sm font-medium text-pool-blue hover:text-pool-dark flex items-center gap-1"
+                >
+                  <svg className="w-4 h-4" fill="none" viewBox="0 0 24 24" stroke="currentColor">
+                    <path strokeLinecap="round" strokeLinejoin="round" strokeWidth={2} d="M12 4v16m8-8H4" />
+                  </svg>
+                  Other
+                </button>
+              </div>
+              <div className="flex items-center gap-2 ml-auto flex-shrink-0">
+                <button
+                  onClick={() => setShowTemplateModal(true)}
+                  className="px-4 py-2 text-sm font-medium bg-pool-blue text-white hover:bg-pool-dark rounded-lg border border-pool-blue transition-colors flex items-center gap-1.5"
+                >
+                  <svg className="w-4 h-4" fill="none" viewBox="0 0 24 24" stroke="currentColor">
+                    <path strokeLinecap="round" strokeLinejoin="round" strokeWidth={2} d="M8 16H6a2 2 0 01-2-2V6a2 2 0 012-2h8a2 2 0 012 2v2m-6 12h8a2 2 0 002-2v-8a2 2 0 00-2-2h-8a2 2 0 00-2 2v8a2 2 0 002 2z" />
+                  </svg>
+                  Use template
+                </button>
+                <button
+                  onClick={handleClearAll}
+                  disabled={clearingAll || !expenses || ((expenses.subcontractorFees?.length || 0) + (expenses.materials?.length || 0) + (expenses.equipment?.length || 0) + (expenses.additionalExpenses?.length || 0)) === 0}
+                  className="px-4 py-2 text-sm font-medium text-red-700 bg-red-50 hover:bg-red-100 dark:text-red-300 dark:bg-red-900/20 dark:hover:bg-red-900/30 rounded-lg border border-red-200 dark:border-red-800 transition-colors flex items-center gap-1.5 disabled:opacity-50 disabled:cursor-not-allowed"
+                >
+                  {clearingAll ? (
+                    <svg className="animate-spin w-4 h-4" fill="none" viewBox="0 0 24 24">
+                      <circle className="opacity-25" cx="12" cy="12" r="10" stroke="currentColor" strokeWidth="4"></circle>
+                      <path className="opacity-75" fill="currentColor" d="M4 12a8 8 0 018-8V0C5.373 0 0 5.373 0 12h4zm2 5.291A7.962 7.962 0 014 12H0c0 3.042 1.135 5.824 3 7.938l3-2.647z"></path>
+                    </svg>
+                  ) : (
+                    <svg className="w-4 h-4" fill="none" viewBox="0 0 24 24" stroke="currentColor">
+                      <path strokeLinecap="round" strokeLinejoin="round" strokeWidth={2} d="M19 7l-.867 12.142A2 2 0 0116.138 21H7.862a2 2 0 01-1.995-1.858L5 7m5 4v6m4-6v6m1-10V4a1 1 0 00-1-1h-4a1 1 0 00-1 1v3M4 7h16" />
+                    </svg>
+                  )}
+                  Clear all
+                </button>
+              </div>
+              </div>
             </div>
-          </div>
+          )}
 
           {/* Subcontractor Fees List */}
           <div className="mb-6">
@@ -1086,11 +1150,16 @@ function ProjectExpenses({ project, onClose }) {
                       <th className="px-4 py-3 text-left text-xs font-medium text-gray-500 dark:text-gray-300 uppercase">Status</th>
                       <th className="px-4 py-3 text-left text-xs font-medium text-gray-500 dark:text-gray-300 uppercase">Expected</th>
                       <th className="px-4 py-3 text-left text-xs font-medium text-gray-500 dark:text-gray-300 uppercase">Actual Fee</th>
+                      <th className="px-4 py-3 text-left text-xs font-medium text-gray-500 dark:text-gray-300 uppercase">Paid</th>
                       <th className="px-4 py-3 text-right text-xs font-medium text-gray-500 dark:text-gray-300 uppercase">Actions</th>
                     </tr>
                   </thead>
                   <tbody className="bg-white divide-y divide-gray-200 dark:divide-gray-700">
-                    {expenses.subcontractorFees.map((entry) => (
+                    {expenses.subcontractorFees.map((entry) => {
+                      const payments = entry.subcontractor_payments || []
+                      const paid = payments.reduce((sum, p) => sum + (parseFloat(p.amount) || 0), 0)
+                      const missingWaivers = payments.filter((p) => !p.conditional_waiver_document_id || !p.unconditional_waiver_document_id).length
+                      return (
                       <tr key={entry.id}>
                         <td className="px-4 py-3 text-sm text-gray-900">{entry.subcontractors?.name || '-'}</td>
                         <td className="px-4 py-3 text-sm text-gray-900">{entry.job_description || '-'}</td>
@@ -1113,6 +1182,12 @@ function ProjectExpenses({ project, onClose }) {
                         <td className="px-4 py-3 text-sm font-medium text-gray-900">
                           {entry.flat_fee ? `$${parseFloat(entry.flat_fee).toFixed(2)}` : '-'}
                         </td>
+                        <td className="px-4 py-3 text-sm text-gray-900">
+                          {payments.length > 0 ? `$${paid.toFixed(2)}` : '-'}
+                          {missingWaivers > 0 && (
+                            <div className="text-xs text-orange-600">{missingWaivers} missing waiver{missingWaivers === 1 ? '' : 's'}</div>
+                          )}
+                        </td>
                         <td className="px-4 py-3 text-sm text-right">
                           <div ref={openActionsId === `sub-${entry.id}` ? actionsMenuRef : null}>
                             <ActionsMenu
@@ -1120,14 +1195,18 @@ function ProjectExpenses({ project, onClose }) {
                               onToggle={() => setOpenActionsId((prev) => (prev === `sub-${entry.id}` ? null : `sub-${entry.id}`))}
                               onAction={() => setOpenActionsId(null)}
                               actions={[
-                                { icon: EDIT_ICON, label: 'Edit', onClick: () => handleSubcontractorEdit(entry) },
-                                { icon: DELETE_ICON, label: 'Delete', danger: true, onClick: () => handleSubcontractorDelete(entry.id) },
+                                { icon: EXPENSE_ICON, label: 'Payments', onClick: () => setPaymentsFee(entry) },
+                                ...(canEditExpenses ? [
+                                  { icon: EDIT_ICON, label: 'Edit', onClick: () => handleSubcontractorEdit(entry) },
+                                  { icon: DELETE_ICON, label: 'Delete', danger: true, onClick: () => handleSubcontractorDelete(entry.id) },
+                                ] : []),
                               ]}
                             />
                           </div>
                         </td>
                       </tr>
-                    ))}
+                      )
+                    })}
                   </tbody>
                 </table>
               </div>
@@ -1187,17 +1266,19 @@ function ProjectExpenses({ project, onClose }) {
                             {actualPrice > 0 ? `$${actualPrice.toFixed(2)}` : '-'}
                           </td>
                           <td className="px-4 py-3 text-sm text-right">
-                            <div ref={openActionsId === `mat-${entry.id}` ? actionsMenuRef : null}>
-                              <ActionsMenu
-                                isOpen={openActionsId === `mat-${entry.id}`}
-                                onToggle={() => setOpenActionsId((prev) => (prev === `mat-${entry.id}` ? null : `mat-${entry.id}`))}
-                                onAction={() => setOpenActionsId(null)}
-                                actions={[
-                                  { icon: EDIT_ICON, label: 'Edit', onClick: () => handleMaterialEdit(entry) },
-                                  { icon: DELETE_ICON, label: 'Delete', danger: true, onClick: () => handleMaterialDelete(entry.id) },
-                                ]}
-                              />
-                            </div>
+                            {canEditExpenses && (
+                              <div ref={openActionsId === `mat-${entry.id}` ? actionsMenuRef : null}>
+                                <ActionsMenu
+                                  isOpen={openActionsId === `mat-${entry.id}`}
+                                  onToggle={() => setOpenActionsId((prev) => (prev === `mat-${entry.id}` ? null : `mat-${entry.id}`))}
+                                  onAction={() => setOpenActionsId(null)}
+                                  actions={[
+                                    { icon: EDIT_ICON, label: 'Edit', onClick: () => handleMaterialEdit(entry) },
+                                    { icon: DELETE_ICON, label: 'Delete', danger: true, onClick: () => handleMaterialDelete(entry.id) },
+                                  ]}
+                                />
+                              </div>
+                            )}
                           </td>
                         </tr>
                       )
@@ -1264,17 +1345,19 @@ function ProjectExpenses({ project, onClose }) {
                             {actualTotal > 0 ? `$${actualTotal.toFixed(2)}` : '-'}
                           </td>
                           <td className="px-4 py-3 text-sm text-right">
-                            <div ref={openActionsId === `equip-${entry.id}` ? actionsMenuRef : null}>
-                              <ActionsMenu
-                                isOpen={openActionsId === `equip-${entry.id}`}
-                                onToggle={() => setOpenActionsId((prev) => (prev === `equip-${entry.id}` ? null : `equip-${entry.id}`))}
-                                onAction={() => setOpenActionsId(null)}
-                                actions={[
-                                  { icon: EDIT_ICON, label: 'Edit', onClick: () => handleEquipmentEdit(entry) },
-                                  { icon: DELETE_ICON, label: 'Delete', danger: true, onClick: () => handleEquipmentDelete(entry.id) },
-                                ]}
-                              />
-                            </div>
+                            {canEditExpenses && (
+                              <div ref={openActionsId === `equip-${entry.id}` ? actionsMenuRef : null}>
+                                <ActionsMenu
+                                  isOpen={openActionsId === `equip-${entry.id}`}
+                                  onToggle={() => setOpenActionsId((prev) => (prev === `equip-${entry.id}` ? null : `equip-${entry.id}`))}
+                                  onAction={() => setOpenActionsId(null)}
+                                  actions={[
+                                    { icon: EDIT_ICON, label: 'Edit', onClick: () => handleEquipmentEdit(entry) },
+                                    { icon: DELETE_ICON, label: 'Delete', danger: true, onClick: () => handleEquipmentDelete(entry.id) },
+                                  ]}
+                                />
+                              </div>
+                            )}
                           </td>
                         </tr>
                       )
@@ -1329,17 +1412,19 @@ function ProjectExpenses({ project, onClose }) {
                           {entry.amount ? `$${parseFloat(entry.amount).toFixed(2)}` : '-'}
                         </td>
                         <td className="px-4 py-3 text-sm text-right">
-                          <div ref={openActionsId === `add-${entry.id}` ? actionsMenuRef : null}>
-                            <ActionsMenu
-                              isOpen={openActionsId === `add-${entry.id}`}
-                              onToggle={() => setOpenActionsId((prev) => (prev === `add-${entry.id}` ? null : `add-${entry.id}`))}
-                              onAction={() => setOpenActionsId(null)}
-                              actions={[
-                                { icon: EDIT_ICON, label: 'Edit', onClick: () => handleAdditionalEdit(entry) },
-                                { icon: DELETE_ICON, label: 'Delete', danger: true, onClick: () => handleAdditionalDelete(entry.id) },
-                              ]}
-                            />
-                          </div>
+                          {canEditExpenses && (
+                            <div ref={openActionsId === `add-${entry.id}` ? actionsMenuRef : null}>
+                              <ActionsMenu
+                                isOpen={openActionsId === `add-${entry.id}`}
+                                onToggle={() => setOpenActionsId((prev) => (prev === `add-${entry.id}` ? null : `add-${entry.id}`))}
+                                onAction={() => setOpenActionsId(null)}
+                                actions={[
+                                  { icon: EDIT_ICON, label: 'Edit', onClick: () => handleAdditionalEdit(entry) },
+                                  { icon: DELETE_ICON, label: 'Delete', danger: true, onClick: () => handleAdditionalDelete(entry.id) },
+                                ]}
+                              />
+                            </div>
+                          )}
                         </td>
                       </tr>
                     ))}
@@ -1372,6 +1457,12 @@ function ProjectExpenses({ project, onClose }) {
                     </button>
                   </div>
 
+                  {error && (
+                    <div className="mb-4 p-3 bg-red-50 border border-red-200 text-red-700 rounded-md text-sm">
+                      {error}
+                    </div>
+                  )}
+
                   <form onSubmit={handleSubcontractorSubmit} className="space-y-4">
                     <div>
                       <label className="block text-sm font-medium text-gray-700 dark:text-gray-300 mb-1">Subcontractor *</label>
@@ -1384,10 +1475,15 @@ function ProjectExpenses({ project, onClose }) {
                         <option value="">Select subcontractor...</option>
                         {subcontractors.map((sub) => (
                           <option key={sub.id} value={sub.id}>
-                            {sub.name}
+                            {sub.name}{isCoiExpired(sub) ? ' (COI expired)' : ''}
                           </option>
                         ))}
                       </select>
+                      {!editingSubcontractor && isCoiExpired(selectedFeeSubcontractor) && (
+                        <p className="mt-1 text-xs text-red-600 dark:text-red-400">
+                          This subcontractor's certificate of insurance expired on {new Date(`${selectedFeeSubcontractor.coi_expiration.split('T')[0]}T00:00:00`).toLocaleDateString()}.
+                        </p>
+                      )}
                     </div>
 
                     <div className="grid grid-cols-2 gap-4">
@@ -1918,6 +2014,14 @@ function ProjectExpenses({ project, onClose }) {
           )}
 
           {/* Use Template Modal */}
+          {paymentsFee && (
+            <SubcontractorPaymentsModal
+              project={project}
+              fee={paymentsFee}
+              onClose={() => { setPaymentsFee(null); fetchExpenses() }}
+            />
+          )}
+
           {showTemplateModal && (
             <div className="fixed inset-0 bg-black bg-opacity-50 flex items-center justify-center z-[60] p-4" onClick={() => { setShowTemplateModal(false); setSelectedTemplateId(''); }}>
               <div className="bg-white dark:bg-gray-800 rounded-lg shadow-xl max-w-md w-full" onClick={(e) => e.stopPropagation()}>
@@ -0,0 +1,590 @@
+import { useState, useMemo } from 'react'
+import {
+  useProjectSchedule,
+  useGenerateSchedule,
+  useCreateScheduleTask,
+  useUpdateScheduleTask,
+  useDeleteScheduleTask,
+  useSubcontractors,
+  useEmployees,
+  useHasPermission,
+} from '../hooks/useApi'
+
+const DAY_MS = 24 * 60 * 60 * 1000
+const DAY_WIDTH = 28
+
+const todayString = () => new Date().toISOString().split('T')[0]
+
+const toUtc = (date) => new Date(`${String(date).split('T')[0]}T00:00:00Z`).getTime()
+const daysBetween = (from, to) => Math.round((toUtc(to) - toUtc(from)) / DAY_MS)
+const addDays = (date, days) => new Date(toUtc(date) + days * DAY_MS).toISOString().split('T')[0]
+
+const formatDay = (date) => (date ? new Date(`${String(date).split('T')[0]}T00:00:00`).toLocaleDateString() : '-')
+const formatShort = (date) =>
+  date ? new Date(`${String(date).split('T')[0]}T00:00:00`).toLocaleDateString('en-US', { month: 'short', day: 'numeric' }) : '-'
+
+const STATUS_STYLES = {
+  not_started: { label: 'Not started', bar: 'bg-pool-blue', badge: 'bg-gray-100 text-gray-800 dark:bg-gray-700 dark:text-gray-300' },
+  in_progress: { label: 'In progress', bar: 'bg-amber-500', badge: 'bg-yellow-100 text-yellow-800 dark:bg-yellow-900/30 dark:text-yellow-300' },
+  complete: { label: 'Complete', bar: 'bg-green-500', badge: 'bg-green-100 text-green-800 dark:bg-green-900/30 dark:text-green-300' },
+}
+
+const emptyTask = {
+  name: '',
+  duration_days: 1,
+  planned_start: '',
+  actual_start: '',
+  actual_end: '',
+  subcontractor_fee_id: '',
+  subcontractor_id: '',
+  employee_id: '',
+  notes: '',
+  depends_on: [],
+}
+
+const taskToForm = (task) => ({
+  name: task.name || '',
+  duration_days: task.duration_days || 1,
+  planned_start: task.planned_start || '',
+  actual_start: task.actual_start || '',
+  actual_end: task.actual_end || '',
+  subcontractor_fee_id: task.subcontractor_fee_id || '',
+  subcontractor_id: task.subcontractor_id || '',
+  employee_id: task.employee_id || '',
+  notes: task.notes || '',
+  depends_on: (task.depends_on || []).map((dep) => ({ task_id: dep.task_id, lag_days: dep.lag_days || 0 })),
+})
+
+/**
+ * Construction schedule for a project: tasks with durations, finish-to-start dependencies and assignees, drawn as a
+ * Gantt chart of planned (outline) against actual/forecast (solid) dates. Saving any task reschedules the tasks
+ * that depend on it, so a slip moves everything after it.
+ */
+function ProjectScheduleModal({ project, onClose }) {
+  const { data, isLoading, error } = useProjectSchedule(project.id)
+  const generateSchedule = useGenerateSchedule()
+  const createTask = useCreateScheduleTask()
+  const updateTask = useUpdateScheduleTask()
+  const deleteTask = useDeleteScheduleTask()
+  const canManage = useHasPermission('manage_schedule')
+  const { data: subcontractors = [] } = useSubcontractors()
+  const { data: employees = [] } = useEmployees()
+  const [editingTaskId, setEditingTaskId] = useState(null)
+  const [showForm, setShowForm] = useState(false)
+  const [form, setForm] = useState(emptyTask)
+  const [startDate, setStartDate] = useState(todayString())
+  const [message, setMessage] = useState({ type: '', text: '' })
+
+  const tasks = data?.tasks || []
+  const unscheduledFees = data?.unscheduledFees || []
+  const summary = data?.summary
+  const tasksById = useMemo(() => new Map(tasks.map((t) => [t.id, t])), [tasks])
+  const editingTask = editingTaskId ? tasksById.get(editingTaskId) : null
+  const currentEmployees = employees.filter((e) => e.current !== false)
+
+  // Chart range: every planned, actual and forecast date, padded a couple of days each side (two weeks from today
+  // while nothing has a date yet)
+  const range = useMemo(() => {
+    const dates = tasks.flatMap((t) => [t.planned_start, t.planned_end, t.forecast_start, t.forecast_end]).filter(Boolean).sort()
+    if (dates.length === 0) dates.push(todayString(), addDays(todayString(), 13))
+    const start = addDays(dates[0], -2)
+    const end = addDays(dates[dates.length - 1], 2)
+    return { start, days: daysBetween(start, end) + 1 }
+  }, [tasks])
+
+  const showMessage = (type, text) => {
+    setMessage({ type, text })
+    setTimeout(() => setMessage({ type: '', text: '' }), 4000)
+  }
+
+  const movedText = (moved) => (moved ? ` ${moved} task${moved === 1 ? '' : 's'} rescheduled.` : '')
+  const coiText = (warning) => (warning ? ` Note: ${warning}` : '')
+
+  const closeForm = () => {
+    setShowForm(false)
+    setEditingTaskId(null)
+    setForm(emptyTask)
+  }
+
+  const openNewTask = () => {
+    setEditingTaskId(null)
+    setForm(emptyTask)
+    setShowForm(true)
+  }
+
+  const openTask = (task) => {
+    setEditingTaskId(task.id)
+    setForm(taskToForm(task))
+    setShowForm(true)
+  }
+
+  const handleGenerate = async () => {
+    try {
+      const result = await generateSchedule.mutateAsync({ projectId: project.id, startDate: tasks.length ? null : startDate })
+      showMessage('success', `Added ${result.created} task${result.created === 1 ? '' : 's'}.${movedText(result.moved)}`)
+    } catch (err) {
+      showMessage('error', err?.response?.data?.error || 'Failed to build the schedule')
+    }
+  }
+
+  const handleFeeChange = (feeId) => {
+    const fee = unscheduledFees.find((f) => f.id === feeId)
+    setForm({
+      ...form,
+      subcontractor_fee_id: feeId,
+      name: form.name || fee?.job_description || fee?.subcontractors?.name || '',
+      subcontractor_id: form.subcontractor_id || fee?.subcontractor_id || '',
+    })
+  }
+
+  const handleSubmit = async (e) => {
+    e.preventDefault()
+    const payload = {
+      ...form,
+      duration_days: parseInt(form.duration_days, 10) || 1,
+      depends_on: form.depends_on
+        .filter((dep) => dep.task_id)
+        .map((dep) => ({ task_id: dep.task_id, lag_days: parseInt(dep.lag_days, 10) || 0 })),
+    }
+    try {
+      if (editingTask) {
+        const result = await updateTask.mutateAsync({ projectId: project.id, taskId: editingTask.id, data: payload })
+        showMessage('success', `Task saved.${movedText(result.moved)}${coiText(result.coiWarning)}`)
+      } else {
+        const { actual_start, actual_end, ...data } = payload
+        const result = await createTask.mutateAsync({ projectId: project.id, data })
+        showMessage('success', `Task added.${movedText(result.moved)}${coiText(result.coiWarning)}`)
+      }
+      closeForm()
+    } catch (err) {
+      showMessage('error', err?.response?.data?.error || 'Failed to save task')
+    }
+  }
+
+  // One-click actual dates from the chart rows
+  const handleMark = async (task, field) => {
+    try {
+      const result = await updateTask.mutateAsync({ projectId: project.id, taskId: task.id, data: { [field]: todayString() } })
+      showMessage('success', `${task.name} ${field === 'actual_start' ? 'started' : 'finished'} today.${movedText(result.moved)}`)
+    } catch (err) {
+      showMessage('error', err?.response?.data?.error || 'Failed to update task')
+    }
+  }
+
+  const handleDelete = async () => {
+    if (!editingTask || !window.confirm(`Remove "${editingTask.name}" from the schedule?`)) return
+    try {
+      const result = await deleteTask.mutateAsync({ projectId: project.id, taskId: editingTask.id })
+      showMessage('success', `Task removed.${movedText(result.moved)}`)
+      closeForm()
+    } catch (err) {
+      showMessage('error', err?.response?.data?.error || 'Failed to remove task')
+    }
+  }
+
+  const updateDependency = (index, changes) => {
+    setForm({ ...form, depends_on: form.depends_on.map((dep, i) => (i === index ? { ...dep, ...changes } : dep)) })
+  }
+
+  const barStyle = (start, end) => ({
+    left: daysBetween(range.start, start) * DAY_WIDTH,
+    width: (daysBetween(start, end) + 1) * DAY_WIDTH,
+  })
+
+  const today = todayString()
+  const todayOffset = range ? daysBetween(range.start, today) : -1
+  const feeOptions = [
+    ...(editingTask?.subcontractor_fee_id
+      ? [{ id: editingTask.subcontractor_fee_id, label: editingTask.fee_description || 'Linked subcontractor fee' }]
+      : []),
+    ...unscheduledFees.map((fee) => ({
+      id: fee.id,
+      label: [fee.subcontractors?.name, fee.job_description].filter(Boolean).join(' - ') || 'Subcontractor fee',
+    })),
+  ]
+  const saving = createTask.isPending || updateTask.isPending
+
+  const inputClass = 'w-full px-3 py-2 border border-gray-300 dark:border-gray-600 rounded-md focus:outline-none focus:ring-2 focus:ring-pool-blue focus:border-transparent bg-white dark:bg-gray-700 text-sm text-gray-900 dark:text-white disabled:opacity-50'
+  const labelClass = 'block text-sm font-medium text-gray-700 dark:text-gray-300 mb-1'
+
+  return (
+    <div className="fixed inset-0 bg-black bg-opacity-50 flex items-center justify-center z-50 p-4" onClick={onClose}>
+      <div className="bg-white dark:bg-gray-800 rounded-xl shadow-2xl max-w-6xl w-full max-h-[90vh] overflow-hidden flex flex-col" onClick={(e) => e.stopPropagation()}>
+        {/* Header */}
+        <div className="bg-gradient-to-r from-pool-blue to-pool-dark px-6 py-4 flex-shrink-0 rounded-t-xl">
+          <div className="flex justify-between items-center">
+            <div>
+              <h3 className="text-xl font-bold text-white">Schedule - {project.project_name || project.address || 'Project'}</h3>
+              {summary?.total > 0 && (
+                <p className="text-sm text-white/80">
+                  {formatDay(summary.start)} to {formatDay(summary.forecast_end)}
+                  {summary.slip_days > 0 && ` (${summary.slip_days} day${summary.slip_days === 1 ? '' : 's'} behind plan)`}
+                  {` · ${summary.completed} of ${summary.total} done`}
+                  {data?.project?.schedule_extension_days ? ` · change orders add ${data.project.schedule_extension_days} days` : ''}
+                </p>
+              )}
+            </div>
+            <button
+              onClick={onClose}
+              className="text-white/80 hover:text-white p-1 transition-colors"
+            >
+              <svg className="w-5 h-5" fill="none" viewBox="0 0 24 24" stroke="currentColor">
+                <path strokeLinecap="round" strokeLinejoin="round" strokeWidth={2} d="M6 18L18 6M6 6l12 12" />
+              </svg>
+            </button>
+          </div>
+        </div>
+
+        <div className="p-6 overflow-y-auto flex-1 space-y-6">
+          {message.text && (
+            <div className={`p-3 rounded-md text-sm border ${message.type === 'error' ? 'bg-red-50 border-red-200 text-red-700' : 'bg-green-50 border-green-200 text-green-700'}`}>
+              {message.text}
+            </div>
+          )}
+
+          {/* Toolbar */}
+          {canManage && (
+            <div className="flex flex-wrap items-end gap-3">
+              {tasks.length === 0 && (
+                <div>
+                  <label className={labelClass}>Start date</label>
+                  <input type="date" value={startDate} onChange={(e) => setStartDate(e.target.value)} className={inputClass} />
+                </div>
+              )}
+              {(tasks.length === 0 || unscheduledFees.length > 0) && (
+                <button
+                  onClick={handleGenerate}
+                  disabled={generateSchedule.isPending}
+                  className="px-4 py-2 bg-pool-blue hover:bg-pool-dark text-white text-sm font-semibold rounded-md transition-colors disabled:opacity-50"
+                >
+                  {generateSchedule.isPending
+                    ? 'Building...'
+                    : unscheduledFees.length > 0
+                      ? `Schedule ${unscheduledFees.length} subcontractor fee${unscheduledFees.length === 1 ? '' : 's'}`
+                      : 'Use standard pool phases'}
+                </button>
+              )}
+              <button
+                onClick={openNewTask}
+                className="px-4 py-2 border border-gray-300 dark:border-gray-600 text-gray-700 dark:text-gray-300 hover:bg-gray-50 dark:hover:bg-gray-700 text-sm font-semibold rounded-md transition-colors"
+              >
+                + Add Task
+              </button>
+            </div>
+          )}
+
+          {/* Task form */}
+          {showForm && canManage && (
+            <form onSubmit={handleSubmit} className="bg-gray-50 dark:bg-gray-700/50 rounded-lg p-4 space-y-4">
+              <h4 className="text-sm font-semibold text-gray-800 dark:text-white">{editingTask ? `Edit ${editingTask.name}` : 'New task'}</h4>
+              <div className="grid grid-cols-1 md:grid-cols-3 gap-4">
+                <div>
+                  <label className={labelClass}>Name *</label>
+                  <input
+                    type="text"
+                    required
+                    value={form.name}
+                    onChange={(e) => setForm({ ...form, name: e.target.value })}
+                    placeholder="e.g. Gunite"
+                    className={inputClass}
+                  />
+                </div>
+                <div>
+                  <label className={labelClass}>Duration (days) *</label>
+                  <input
+                    type="number"
+                    required
+                    min="1"
+                    max="365"
+                    value={form.duration_days}
+                    onChange={(e) => setForm({ ...form, duration_days: e.target.value })}
+                    className={inputClass}
+                  />
+                </div>
+                <div>
+                  <label className={labelClass}>Planned start</label>
+                  <input
+                    type="date"
+                    value={form.planned_start}
+                    disabled={form.depends_on.some((dep) => dep.task_id)}
+                    onChange={(e) => setForm({ ...form, planned_start: e.target.value })}
+                    className={inputClass}
+                  />
+                  {form.depends_on.some((dep) => dep.task_id) && (
+                    <p className="mt-1 text-xs text-gray-500 dark:text-gray-400">Set by its dependencies; use lag to add a gap</p>
+                  )}
+                </div>
+                <div>
+                  <label className={labelClass}>Subcontractor fee</label>
+                  <select value={form.subcontractor_fee_id} onChange={(e) => handleFeeChange(e.target.value)} className={inputClass}>
+                    <option value="">None</option>
+                    {feeOptions.map((fee) => (
+                      <option key={fee.id} value={fee.id}>{fee.label}</option>
+                    ))}
+                  </select>
+                </div>
+                <div>
+                  <label className={labelClass}>Subcontractor</label>
+                  <select value={form.subcontractor_id} onChange={(e) => setForm({ ...form, subcontractor_id: e.target.value })} className={inputClass}>
+                    <option value="">None</option>
+                    {subcontractors.map((sub) => (
+                      <option key={sub.id} value={sub.id}>{sub.name}</option>
+                    ))}
+                  </select>
+                </div>
+                <div>
+                  <label className={labelClass}>Employee</label>
+                  <select value={form.employee_id} onChange={(e) => setForm({ ...form, employee_id: e.target.value })} className={inputClass}>
+                    <option value="">None</option>
+                    {currentEmployees.map((employee) => (
+                      <option key={employee.id} value={employee.id}>{employee.name}</option>
+                    ))}
+                  </select>
+                </div>
+                {editingTask && (
+                  <>
+                    <div>
+                      <label className={labelClass}>Actual start</label>
+                      <input
+                        type="date"
+                        value={form.actual_start}
+                        onChange={(e) => setForm({ ...form, actual_start: e.target.value, actual_end: e.target.value ? form.actual_end : '' })}
+                        className={inputClass}
+                      />
+                    </div>
+                    <div>
+                      <label className={labelClass}>Actual finish</label>
+                      <input
+                        type="date"
+                        value={form.actual_end}
+                        min={form.actual_start || undefined}
+                        disabled={!form.actual_start}
+                        onChange={(e) => setForm({ ...form, actual_end: e.target.value })}
+                        className={inputClass}
+                      />
+                    </div>
+                  </>
+                )}
+                <div className={editingTask ? '' : 'md:col-span-3'}>
+                  <label className={labelClass}>Notes</label>
+                  <input
+                    type="text"
+                    value={form.notes}
+                    onChange={(e) => setForm({ ...form, notes: e.target.value })}
+                    className={inputClass}
+                  />
+                </div>
+              </div>
+
+              {/* Dependencies */}
+              <div>
+                <label className={labelClass}>Starts after</label>
+                <div className="space-y-2">
+                  {form.depends_on.map((dep, index) => (
+                    <div key={index} className="flex items-center gap-2">
+                      <select
+                        value={dep.task_id}
+                        onChange={(e) => updateDependency(index, { task_id: e.target.value })}
+                        className={`${inputClass} flex-1`}
+                      >
+                        <option value="">Select a task...</option>
+                        {tasks.filter((t) => t.id !== editingTaskId).map((t) => (
+                          <option key={t.id} value={t.id}>{t.name}</option>
+                        ))}
+                      </select>
+                      <span className="text-sm text-gray-500 dark:text-gray-400">finishes, plus</span>
+                      <input
+                        type="number"
+                        min="-90"
+                        max="365"
+                        value={dep.lag_days}
+                        onChange={(e) => updateDependency(index, { lag_days: e.target.value })}
+                        className={`${inputClass} w-20`}
+                      />
+                      <span className="text-sm text-gray-500 dark:text-gray-400">days</span>
+                      <button
+                        type="button"
+                        onClick={() => setForm({ ...form, depends_on: form.depends_on.filter((_, i) => i !== index) })}
+                        className="text-xs text-red-600 dark:text-red-400 hover:underline"
+                      >
+                        Remove
+                      </button>
+                    </div>
+                  ))}
+                  <button
+                    type="button"
+                    onClick={() => setForm({ ...form, depends_on: [...form.depends_on, { task_id: '', lag_days: 0 }] })}
+                    disabled={tasks.filter((t) => t.id !== editingTaskId).length === 0}
+                    className="text-sm text-pool-blue hover:underline disabled:opacity-50 disabled:no-underline"
+                  >
+                    + Add dependency
+                  </button>
+                </div>
+              </div>
+
+              <div className="flex justify-between">
+                <div>
+                  {editingTask && (
+                    <button
+                      type="button"
+                      onClick={handleDelete}
+                      disabled={deleteTask.isPending}
+                      className="px-4 py-2 text-sm text-red-600 dark:text-red-400 hover:underline disabled:opacity-50"
+                    >
+                      Remove task
+                    </button>
+                  )}
+                </div>
+                <div className="flex gap-3">
+                  <button
+                    type="button"
+                    onClick={closeForm}
+                    className="px-4 py-2 border border-gray-300 dark:border-gray-600 rounded-md text-sm text-gray-700 dark:text-gray-300 hover:bg-gray-50 dark:hover:bg-gray-700"
+                  >
+                    Cancel
+                  </button>
+                  <button
+                    type="submit"
+                    disabled={!form.name.trim() || saving}
+                    className="px-4 py-2 bg-pool-blue hover:bg-pool-dark text-white text-sm font-semibold rounded-md transition-colors disabled:opacity-50 disabled:cursor-not-allowed"
+                  >
+                    {saving ? 'Saving...' : editingTask ? 'Save Task' : 'Add Task'}
+                  </button>
+                </div>
+              </div>
+            </form>
+          )}
+
+          {/* Gantt chart */}
+          {error ? (
+            <div className="p-3 rounded-md text-sm border bg-red-50 border-red-200 text-red-700">
+              {error?.response?.data?.error || 'Failed to load the schedule'}
+            </div>
+          ) : isLoading ? (
+            <div className="flex items-center justify-center py-6">
+              <div className="animate-spin rounded-full h-6 w-6 border-b-2 border-pool-blue"></div>
+            </div>
+          ) : tasks.length === 0 ? (
+            <p className="text-sm text-gray-500 dark:text-gray-400">
+              No schedule yet.{canManage && ' Build one from the subcontractor fees on this project, or add tasks one at a time.'}
+            </p>
+          ) : (
+            <div className="border border-gray-200 dark:border-gray-700 rounded-lg flex overflow-hidden">
+              {/* Task list */}
+              <div className="w-72 flex-shrink-0 border-r border-gray-200 dark:border-gray-700">
+                <div className="h-10 px-3 flex items-center bg-gray-50 dark:bg-gray-700 text-xs font-medium text-gray-500 dark:text-gray-300 uppercase border-b border-gray-200 dark:border-gray-700">
+                  Task
+                </div>
+                {tasks.map((task) => {
+                  const assignee = task.subcontractor_name || task.employee_name
+                  const predecessors = task.depends_on
+                    .map((dep) => `${tasksById.get(dep.task_id)?.name || '?'}${dep.lag_days ? ` +${dep.lag_days}d` : ''}`)
+                    .join(', ')
+                  return (
+                    <div
+                      key={task.id}
+                      className={`h-16 px-3 py-1.5 border-b border-gray-100 dark:border-gray-700 ${editingTaskId === task.id ? 'bg-blue-50 dark:bg-blue-900/20' : ''}`}
+                    >
+                      <div className="flex items-center justify-between gap-2">
+                        <button
+                          onClick={() => canManage && openTask(task)}
+                          className={`text-sm font-medium text-gray-900 dark:text-white truncate text-left ${canManage ? 'hover:text-pool-blue' : 'cursor-default'}`}
+                          title={task.notes || task.name}
+                        >
+                          {task.name}
+                        </button>
+                        <span className={`px-1.5 py-0.5 rounded-full text-[10px] font-medium whitespace-nowrap ${STATUS_STYLES[task.status].badge}`}>
+                          {STATUS_STYLES[task.status].label}
+                        </span>
+                      </div>
+                      <div className="text-xs text-gray-500 dark:text-gray-400 truncate">
+                        {assignee || 'Unassigned'} · {task.duration_days}d{predecessors && ` · after ${predecessors}`}
+                      </div>
+                      <div className="text-xs text-gray-500 dark:text-gray-400 flex items-center gap-2">
+                        <span className="truncate">
+                          Plan {formatShort(task.planned_start)}-{formatShort(task.planned_end)}
+                          {task.actual_start && ` · Actual ${formatShort(task.actual_start)}-${task.actual_end ? formatShort(task.actual_end) : ''}`}
+                        </span>
+                        {task.slip_days > 0 && <span className="text-red-600 dark:text-red-400 whitespace-nowrap">+{task.slip_days}d</span>}
+                        {canManage && task.status !== 'complete' && (
+                          <button
+                            onClick={() => handleMark(task, task.status === 'not_started' ? 'actual_start' : 'actual_end')}
+                            disabled={updateTask.isPending}
+                            className="ml-auto text-pool-blue hover:underline whitespace-nowrap disabled:opacity-50"
+                          >
+                            {task.status === 'not_started' ? 'Start' : 'Finish'}
+                          </button>
+                        )}
+                      </div>
+                    </div>
+                  )
+                })}
+              </div>
+
+              {/* Timeline */}
+              <div className="flex-1 overflow-x-auto">
+                <div className="relative" style={{ width: range.days * DAY_WIDTH }}>
+                  <div className="h-10 flex bg-gray-50 dark:bg-gray-700 border-b border-gray-200 dark:border-gray-700">
+                    {Array.from({ length: range.days }, (_, i) => {
+                      const date = addDays(range.start, i)
+                      const d = new Date(`${date}T00:00:00`)
+                      const weekend = d.getDay() === 0 || d.getDay() === 6
+                      return (
+                        <div
+                          key={date}
+                          style={{ width: DAY_WIDTH }}
+                          className={`flex-shrink-0 text-center text-[10px] leading-tight pt-1 border-r border-gray-100 dark:border-gray-600 ${weekend ? 'text-gray-400' : 'text-gray-600 dark:text-gray-300'}`}
+                        >
+                          {(i === 0 || d.getDate() === 1) && <div className="font-semibold">{d.toLocaleDateString('en-US', { month: 'short' })}</div>}
+                          <div>{d.getDate()}</div>
+                        </div>
+                      )
+                    })}
+                  </div>
+                  {todayOffset >= 0 && todayOffset < range.days && (
+                    <div
+                      className="absolute top-0 bottom-0 w-0.5 bg-red-400 z-10 pointer-events-none"
+                      style={{ left: todayOffset * DAY_WIDTH + DAY_WIDTH / 2 }}
+                      title="Today"
+                    />
+                  )}
+                  {tasks.map((task) => (
+                    <div key={task.id} className="h-16 relative border-b border-gray-100 dark:border-gray-700">
+                      {task.planned_start && task.planned_end && (
+                        <div
+                          className="absolute top-3 h-3 rounded border border-dashed border-gray-400 dark:border-gray-500"
+                          style={barStyle(task.planned_start, task.planned_end)}
+                          title={`Planned ${formatDay(task.planned_start)} - ${formatDay(task.planned_end)}`}
+                        />
+                      )}
+                      {task.forecast_start && task.forecast_end && (
+                        <div
+                          onClick={() => canManage && openTask(task)}
+                          className={`absolute top-7 h-5 rounded ${STATUS_STYLES[task.status].bar} ${task.slip_days > 0 && task.status !== 'complete' ? 'ring-2 ring-red-400' : ''} ${canManage ? 'cursor-pointer' : ''}`}
+                          style={barStyle(task.forecast_start, task.forecast_end)}
+                          title={`${task.status === 'not_started' ? 'Scheduled' : 'Actual'} ${formatDay(task.forecast_start)} - ${formatDay(task.forecast_end)}`}
+                        />
+                      )}
+                    </div>
+                  ))}
+                </div>
+              </div>
+            </div>
+          )}
+
+          {tasks.length > 0 && (
+            <div className="flex flex-wrap gap-4 text-xs text-gray-500 dark:text-gray-400">
+              <span className="flex items-center gap-1"><span className="inline-block w-4 h-2 rounded border border-dashed border-gray-400"></span> Planned</span>
+              {Object.entries(STATUS_STYLES).map(([key, style]) => (
+                <span key={key} className="flex items-center gap-1"><span className={`inline-block w-4 h-2 rounded ${style.bar}`}></span> {style.label}</span>
+              ))}
+              <span className="flex items-center gap-1"><span className="inline-block w-0.5 h-3 bg-red-400"></span> Today</span>
+            </div>
+          )}
+        </div>
+      </div>
+    </div>
+  )
+}
+
+export default ProjectScheduleModal
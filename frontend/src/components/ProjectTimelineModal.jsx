@@ -1,20 +1,14 @@
 /**
- * Modal showing project status timeline.
- * Excludes 'cancelled' from the timeline. Completed statuses show a check; future ones are unchecked.
- * Construction step has sub-dots for each subcontractor expense.
+ * Modal showing the project's status history.
+ * Every transition is listed with its date, previous status, who made it and the optional reason.
+ * Once the project is sold, a Construction section lists each subcontractor expense with its scheduled dates,
+ * and opens the full construction schedule.
  */
 import { useState, useEffect } from 'react'
 import { useAuth } from '../context/AuthContext'
 import axios from 'axios'
-import { useUpdateProject } from '../hooks/useApi'
-
-const TIMELINE_STATUSES = [
-  { value: 'contacted', label: 'Contacted' },
-  { value: 'proposal_sent', label: 'Proposal Sent' },
-  { value: 'proposal_signed', label: 'Proposal Signed' },
-  { value: 'contract_sent', label: 'Contract Sent' },
-  { value: 'sold', label: 'Sold' },
-]
+import { useUpdateProject, useProjectStatusHistory, useProjectSchedule } from '../hooks/useApi'
+import ProjectScheduleModal from './ProjectScheduleModal'
 
 const PROJECT_STATUSES = [
   { value: 'contacted', label: 'Contacted' },
@@ -26,12 +20,42 @@ const PROJECT_STATUSES = [
   { value: 'cancelled', label: 'Cancelled' },
 ]
 
+const STATUS_LABELS = {
+  lead: 'Lead',
+  in_progress: 'In Progress',
+  completed: 'Completed',
+  ...Object.fromEntries(PROJECT_STATUSES.map((s) => [s.value, s.label])),
+}
+
+const CONSTRUCTION_STATUSES = ['sold', 'in_progress', 'complete', 'completed']
+
+const getStatusLabel = (value) => STATUS_LABELS[value] || value
+
+const formatScheduleDay = (value) =>
+  new Date(`${value}T00:00:00`).toLocaleDateString('en-US', { month: 'short', day: 'numeric' })
+
+const formatChangedAt = (value) => {
+  if (!value) return ''
+  return new Date(value).toLocaleString('en-US', {
+    month: 'short',
+    day: 'numeric',
+    year: 'numeric',
+    hour: 'numeric',
+    minute: '2-digit',
+  })
+}
+
 function ProjectTimelineModal({ project, onClose, onProjectUpdated }) {
   const { supabase, getAuthHeaders } = useAuth()
   const updateProject = useUpdateProject()
+  const { data: history = [], isLoading: loadingHistory } = useProjectStatusHistory(project?.id)
+  const [statusReason, setStatusReason] = useState('')
   const [expenses, setExpenses] = useState(null)
   const [loadingExpenses, setLoadingExpenses] = useState(true)
   const [displayProject, setDisplayProject] = useState(project)
+  const [showSchedule, setShowSchedule] = useState(false)
+  // Bumped when the schedule closes: recording actual dates there moves subcontractor fee statuses
+  const [expensesVersion, setExpensesVersion] = useState(0)
 
   useEffect(() => {
     setDisplayProject(project)
@@ -68,16 +92,13 @@ function ProjectTimelineModal({ project, onClose, onProjectUpdated }) {
       }
     }
     fetchExpenses()
-  }, [project?.id])
+  }, [project?.id, expensesVersion])
 
   const subcontractorFees = expenses?.subcontractorFees || []
-  const statusSteps = TIMELINE_STATUSES
-
-  const currentIndex = isCancelled ? -1 : statusSteps.findIndex((s) => s.value === status)
-  const completedIndex = status === 'complete' ? 4 : (currentIndex >= 0 ? currentIndex : -1)
-
-  const constructionCompleted = status === 'complete'
-  const constructionReached = completedIndex >= 4
+  const constructionCompleted = status === 'complete' || status === 'completed'
+  const constructionReached = CONSTRUCTION_STATUSES.includes(status)
+  const { data: schedule } = useProjectSchedule(constructionReached ? project?.id : null)
+  const tasksByFeeId = new Map((schedule?.tasks || []).filter((t) => t.subcontractor_fee_id).map((t) => [t.subcontractor_fee_id, t]))
 
   const handleStatusChange = async (e) => {
     const newStatus = e.target.value
@@ -85,8 +106,9 @@ function ProjectTimelineModal({ project, onClose, onProjectUpdated }) {
     try {
       const res = await updateProject.mutateAsync({
         id: displayProject.id,
-        data: { status: newStatus },
+        data: { status: newStatus, status_reason: statusReason.trim() || null },
       })
+      setStatusReason('')
       const updated = res?.project || { ...displayProject, status: newStatus }
       setDisplayProject(updated)
       onProjectUpdated?.(updated)
@@ -133,115 +155,140 @@ function ProjectTimelineModal({ project, onClose, onProjectUpdated }) {
             </div>
           )}
 
-          <div className="mb-6 flex items-center gap-3">
-            <label className="text-sm font-medium text-gray-700 dark:text-gray-300 whitespace-nowrap">
-              Update status
-            </label>
-            <select
-              value={status}
-              onChange={handleStatusChange}
+          <div className="mb-6 space-y-3">
+            <div className="flex items-center gap-3">
+              <label className="text-sm font-medium text-gray-700 dark:text-gray-300 whitespace-nowrap">
+                Update status
+              </label>
+              <select
+                value={status}
+                onChange={handleStatusChange}
+                disabled={updateProject.isPending}
+                className="flex-1 px-4 py-2.5 border border-gray-300 dark:border-gray-600 rounded-lg focus:outline-none focus:ring-2 focus:ring-pool-blue focus:border-transparent bg-white dark:bg-gray-700 text-gray-900 dark:text-white disabled:opacity-50"
+              >
+                {PROJECT_STATUSES.map((s) => (
+                  <option key={s.value} value={s.value}>
+                    {s.label}
+                  </option>
+                ))}
+              </select>
+              {updateProject.isPending && (
+                <svg className="animate-spin h-5 w-5 text-pool-blue" fill="none" viewBox="0 0 24 24">
+                  <circle className="opacity-25" cx="12" cy="12" r="10" stroke="currentColor" strokeWidth="4" />
+                  <path className="opacity-75" fill="currentColor" d="M4 12a8 8 0 018-8V0C5.373 0 0 5.373 0 12h4zm2 5.291A7.962 7.962 0 014 12H0c0 3.042 1.135 5.824 3 7.938l3-2.647z" />
+                </svg>
+              )}
+            </div>
+            <input
+              type="text"
+              value={statusReason}
+              onChange={(e) => setStatusReason(e.target.value)}
+              maxLength={1000}
               disabled={updateProject.isPending}
-              className="flex-1 px-4 py-2.5 border border-gray-300 dark:border-gray-600 rounded-lg focus:outline-none focus:ring-2 focus:ring-pool-blue focus:border-transparent bg-white dark:bg-gray-700 text-gray-900 dark:text-white disabled:opacity-50"
-            >
-              {PROJECT_STATUSES.map((s) => (
-                <option key={s.value} value={s.value}>
-                  {s.label}
-                </option>
-              ))}
-            </select>
-            {updateProject.isPending && (
-              <svg className="animate-spin h-5 w-5 text-pool-blue" fill="none" viewBox="0 0 24 24">
-                <circle className="opacity-25" cx="12" cy="12" r="10" stroke="currentColor" strokeWidth="4" />
-                <path className="opacity-75" fill="currentColor" d="M4 12a8 8 0 018-8V0C5.373 0 0 5.373 0 12h4zm2 5.291A7.962 7.962 0 014 12H0c0 3.042 1.135 5.824 3 7.938l3-2.647z" />
-              </svg>
-            )}
+              placeholder="Reason for change (optional)"
+              className="w-full px-4 py-2 border border-gray-300 dark:border-gray-600 rounded-lg focus:outline-none focus:ring-2 focus:ring-pool-blue focus:border-transparent bg-white dark:bg-gray-700 text-sm text-gray-900 dark:text-white disabled:opacity-50"
+            />
           </div>
 
           <div className="relative">
             <div className="space-y-0">
-              {statusSteps.map((step, index) => {
-                const isCompleted = index <= completedIndex
+              {loadingHistory ? (
+                <p className="text-sm text-gray-500 dark:text-gray-400">Loading history…</p>
+              ) : history.length === 0 ? (
+                <p className="text-sm text-gray-500 dark:text-gray-400 italic pb-6">No status changes recorded yet</p>
+              ) : (
+                history.map((entry, index) => {
+                  const isEntryCancelled = entry.status === 'cancelled'
+                  const isLast = index === history.length - 1
 
-                return (
-                  <div key={step.value} className="flex gap-4">
-                    <div className="flex flex-col items-center">
-                      <div
-                        className={`flex-shrink-0 w-10 h-10 rounded-full flex items-center justify-center border-2 transition-colors ${
-                          isCompleted
-                            ? 'bg-green-500 border-green-500 text-white'
-                            : 'bg-white dark:bg-gray-800 border-gray-300 dark:border-gray-600 text-gray-400'
-                        }`}
-                      >
-                        {isCompleted ? (
-                          <svg className="w-5 h-5" fill="none" viewBox="0 0 24 24" stroke="currentColor" strokeWidth={2.5}>
-                            <path strokeLinecap="round" strokeLinejoin="round" d="M5 13l4 4L19 7" />
-                          </svg>
-                        ) : (
-                          <span className="text-xs font-medium">{index + 1}</span>
+                  return (
+                    <div key={entry.id} className="flex gap-4">
+                      <div className="flex flex-col items-center">
+                        <div
+                          className={`flex-shrink-0 w-10 h-10 rounded-full flex items-center justify-center border-2 transition-colors ${
+                            isEntryCancelled
+                              ? 'bg-red-500 border-red-500 text-white'
+                              : 'bg-green-500 border-green-500 text-white'
+                          }`}
+                        >
+                          {isEntryCancelled ? (
+                            <svg className="w-5 h-5" fill="none" viewBox="0 0 24 24" stroke="currentColor" strokeWidth={2.5}>
+                              <path strokeLinecap="round" strokeLinejoin="round" d="M6 18L18 6M6 6l12 12" />
+                            </svg>
+                          ) : (
+                            <svg className="w-5 h-5" fill="none" viewBox="0 0 24 24" stroke="currentColor" strokeWidth={2.5}>
+                              <path strokeLinecap="round" strokeLinejoin="round" d="M5 13l4 4L19 7" />
+                            </svg>
+                          )}
+                        </div>
+                        {(!isLast || constructionReached) && (
+                          <div className="w-0.5 flex-1 min-h-[24px] bg-gray-200 dark:bg-gray-600" />
+                        )}
+                      </div>
+                      <div className="pb-6 min-w-0">
+                        <p
+                          className={`font-medium ${
+                            isEntryCancelled ? 'text-red-700 dark:text-red-300' : 'text-gray-900 dark:text-white'
+                          }`}
+                        >
+                          {getStatusLabel(entry.status)}
+                        </p>
+                        <p className="text-xs text-gray-500 dark:text-gray-400">
+                          {formatChangedAt(entry.changed_at)}
+                          {entry.previous_status && ` · from ${getStatusLabel(entry.previous_status)}`}
+                          {entry.changed_by_employee?.name && ` · by ${entry.changed_by_employee.name}`}
+                        </p>
+                        {entry.reason && (
+                          <p className="mt-1 text-sm text-gray-600 dark:text-gray-300 break-words">
+                            {entry.reason}
+                          </p>
                         )}
                       </div>
-                      <div
-                        className={`w-0.5 flex-1 min-h-[24px] ${
-                          isCompleted ? 'bg-green-500' : 'bg-gray-200 dark:bg-gray-600'
-                        }`}
-                      />
-                    </div>
-                    <div className="pb-8">
-                      <p
-                        className={`font-medium ${
-                          isCompleted
-                            ? 'text-gray-900 dark:text-white'
-                            : 'text-gray-500 dark:text-gray-400'
-                        }`}
-                      >
-                        {step.label}
-                      </p>
                     </div>
-                  </div>
-                )
-              })}
+                  )
+                })
+              )}
 
               {/* Construction step with sub-dots */}
-              <div className="flex gap-4">
-                <div className="flex flex-col items-center">
-                  <div
-                    className={`flex-shrink-0 w-10 h-10 rounded-full flex items-center justify-center border-2 transition-colors ${
-                      constructionCompleted
-                        ? 'bg-green-500 border-green-500 text-white'
-                        : constructionReached
-                          ? 'bg-amber-500 border-amber-500 text-white'
-                          : 'bg-white dark:bg-gray-800 border-gray-300 dark:border-gray-600 text-gray-400'
-                    }`}
-                  >
-                    {constructionCompleted ? (
-                      <svg className="w-5 h-5" fill="none" viewBox="0 0 24 24" stroke="currentColor" strokeWidth={2.5}>
-                        <path strokeLinecap="round" strokeLinejoin="round" d="M5 13l4 4L19 7" />
-                      </svg>
-                    ) : constructionReached ? (
-                      <span className="text-xs font-medium">…</span>
-                    ) : (
-                      <span className="text-xs font-medium">{statusSteps.length + 1}</span>
-                    )}
+              {constructionReached && (
+                <div className="flex gap-4">
+                  <div className="flex flex-col items-center">
+                    <div
+                      className={`flex-shrink-0 w-10 h-10 rounded-full flex items-center justify-center border-2 transition-colors ${
+                        constructionCompleted
+                          ? 'bg-green-500 border-green-500 text-white'
+                          : 'bg-amber-500 border-amber-500 text-white'
+                      }`}
+                    >
+                      {constructionCompleted ? (
+                        <svg className="w-5 h-5" fill="none" viewBox="0 0 24 24" stroke="currentColor" strokeWidth={2.5}>
+                          <path strokeLinecap="round" strokeLinejoin="round" d="M5 13l4 4L19 7" />
+                        </svg>
+                      ) : (
+                        <span className="text-xs font-medium">…</span>
+                      )}
+                    </div>
                   </div>
-                  <div
-                    className={`w-0.5 flex-1 min-h-[24px] ${
-                      constructionCompleted ? 'bg-green-500' : 'bg-gray-200 dark:bg-gray-600'
-                    }`}
-                  />
-                </div>
-                <div className="pb-2">
-                  <p
-                    className={`font-medium ${
-                      constructionCompleted
-                        ? 'text-gray-900 dark:text-white'
-                        : constructionReached
-                          ? 'text-gray-900 dark:text-white'
-                          : 'text-gray-500 dark:text-gray-400'
-                    }`}
-                  >
-                    Construction
-                  </p>
-                  {constructionReached && (
+                  <div className="pb-2 min-w-0 flex-1">
+                    <div className="flex items-center justify-between gap-2">
+                      <p className="font-medium text-gray-900 dark:text-white">
+                        Construction
+                      </p>
+                      <button
+                        onClick={() => setShowSchedule(true)}
+                        className="text-xs text-pool-blue hover:underline"
+                      >
+                        {schedule?.tasks?.length ? 'View schedule' : 'Plan schedule'}
+                      </button>
+                    </div>
+                    {schedule?.summary?.forecast_end && (
+                      <p className="text-xs text-gray-500 dark:text-gray-400">
+                        Finishing {formatScheduleDay(schedule.summary.forecast_end)}
+                        {schedule.summary.slip_days > 0 && (
+                          <span className="text-red-600 dark:text-red-400"> · {schedule.summary.slip_days}d behind plan</span>
+                        )}
+                      </p>
+                    )}
                     <div className="mt-3 ml-4 space-y-2 pl-4 border-l-2 border-gray-200 dark:border-gray-600">
                       {loadingExpenses ? (
                         <p className="text-sm text-gray-500 dark:text-gray-400">Loading…</p>
@@ -251,6 +298,7 @@ function ProjectTimelineModal({ project, onClose, onProjectUpdated }) {
                         subcontractorFees.map((fee, idx) => {
                           const subCompleted = fee.status === 'complete'
                           const subLabel = fee.job_description || fee.subcontractors?.name || `Subcontractor ${idx + 1}`
+                          const task = tasksByFeeId.get(fee.id)
                           return (
                             <div key={fee.id || idx} className="flex items-center gap-2">
                               <div
@@ -273,50 +321,36 @@ function ProjectTimelineModal({ project, onClose, onProjectUpdated }) {
                               >
                                 {subLabel}
                               </span>
+                              {task?.forecast_start && (
+                                <span className={`text-xs whitespace-nowrap ${task.slip_days > 0 && task.status !== 'complete' ? 'text-red-600 dark:text-red-400' : 'text-gray-400 dark:text-gray-500'}`}>
+                                  {formatScheduleDay(task.forecast_start)}
+                                  {task.forecast_end !== task.forecast_start && `-${formatScheduleDay(task.forecast_end)}`}
+                                </span>
+                              )}
                             </div>
                           )
                         })
                       )}
                     </div>
-                  )}
-                </div>
-              </div>
-
-              {/* Complete step */}
-              <div className="flex gap-4">
-                <div className="flex flex-col items-center">
-                  <div
-                    className={`flex-shrink-0 w-10 h-10 rounded-full flex items-center justify-center border-2 transition-colors ${
-                      constructionCompleted
-                        ? 'bg-green-500 border-green-500 text-white'
-                        : 'bg-white dark:bg-gray-800 border-gray-300 dark:border-gray-600 text-gray-400'
-                    }`}
-                  >
-                    {constructionCompleted ? (
-                      <svg className="w-5 h-5" fill="none" viewBox="0 0 24 24" stroke="currentColor" strokeWidth={2.5}>
-                        <path strokeLinecap="round" strokeLinejoin="round" d="M5 13l4 4L19 7" />
-                      </svg>
-                    ) : (
-                      <span className="text-xs font-medium">{statusSteps.length + 2}</span>
-                    )}
                   </div>
                 </div>
-                <div className="pb-0">
-                  <p
-                    className={`font-medium ${
-                      constructionCompleted
-                        ? 'text-gray-900 dark:text-white'
-                        : 'text-gray-500 dark:text-gray-400'
-                    }`}
-                  >
-                    Complete
-                  </p>
-                </div>
-              </div>
+              )}
             </div>
           </div>
         </div>
       </div>
+
+      {showSchedule && (
+        <div onClick={(e) => e.stopPropagation()}>
+          <ProjectScheduleModal
+            project={displayProject}
+            onClose={() => {
+              setShowSchedule(false)
+              setExpensesVersion((v) => v + 1)
+            }}
+          />
+        </div>
+      )}
     </div>
   )
 }
@@ -4,16 +4,23 @@ import axios from 'axios'
 import ProjectExpenses from './ProjectExpenses'
 import DocumentsModal from './DocumentsModal'
 import AddressAutocomplete from './AddressAutocomplete'
-import ActionsMenu, { DOCUMENT_ICON, EDIT_ICON, DELETE_ICON, EXPENSE_ICON, TIMELINE_ICON } from './ActionsMenu'
+import ActionsMenu, { DOCUMENT_ICON, EDIT_ICON, DELETE_ICON, EXPENSE_ICON, TIMELINE_ICON, INVOICE_ICON, CHANGE_ORDER_ICON, ESTIMATE_ICON, SCHEDULE_ICON } from './ActionsMenu'
 import ProjectTimelineModal from './ProjectTimelineModal'
+import ProjectScheduleModal from './ProjectScheduleModal'
+import InvoicesModal from './InvoicesModal'
+import ChangeOrdersModal from './ChangeOrdersModal'
+import PoolEstimateModal from './PoolEstimateModal'
 import {
-  useProjects,
+  useProjectsPage,
   useCustomers,
   useEmployees,
   useCreateProject,
   useUpdateProject,
   useDeleteProject,
+  useHasPermission,
+  useRecord,
 } from '../hooks/useApi'
+import { useDebouncedValue } from '../hooks/useDebouncedValue'
 
 const PROPERTY_TYPES = [
   { value: 'residential', label: 'Residential' },
@@ -49,13 +56,23 @@ const PROJECT_STATUSES = [
   { value: 'cancelled', label: 'Cancelled', color: 'bg-red-100 text-red-800' },
 ]
 
-function Projects() {
+const SORT_OPTIONS = [
+  { value: 'newest', label: 'Newest First', sort: 'created_at', order: 'desc' },
+  { value: 'oldest', label: 'Oldest First', sort: 'created_at', order: 'asc' },
+  { value: 'name_asc', label: 'Name (A-Z)', sort: 'project_name', order: 'asc' },
+  { value: 'value_desc', label: 'Est. Value (High-Low)', sort: 'est_value', order: 'desc' },
+  { value: 'status', label: 'Status', sort: 'status', order: 'asc' },
+]
+
+function Projects({ focusRecord, onFocusHandled }) {
   const { user, supabase, getAuthHeaders } = useAuth()
   
   // Use cached queries
-  const { data: projects = [], isLoading: loading, refetch } = useProjects()
   const { data: customers = [] } = useCustomers()
   const { data: employees = [] } = useEmployees()
+  const canViewCosts = useHasPermission('view_costs')
+  const canEditExpenses = useHasPermission('edit_expenses')
+  const canDeleteRecords = useHasPermission('delete_records')
   
   // Mutations
   const createProject = useCreateProject()
@@ -70,10 +87,33 @@ function Projects() {
   const [filterStatus, setFilterStatus] = useState('all')
   const [filterType, setFilterType] = useState('all')
   const [filterPM, setFilterPM] = useState('all')
+  const [sortOption, setSortOption] = useState('newest')
   const [currentPage, setCurrentPage] = useState(1)
   const itemsPerPage = 10
+  const debouncedSearch = useDebouncedValue(searchTerm.trim())
+
+  // Search, filter, sort and paginate on the server
+  const { sort, order } = SORT_OPTIONS.find((o) => o.value === sortOption) || SORT_OPTIONS[0]
+  const { data: projectPage, isLoading: loading, refetch } = useProjectsPage({
+    page: currentPage,
+    pageSize: itemsPerPage,
+    search: debouncedSearch,
+    status: filterStatus,
+    property_type: filterType,
+    project_manager: filterPM,
+    sort,
+    order,
+  })
+  const paginatedProjects = projectPage?.rows || []
+  const totalProjects = projectPage?.total || 0
+  const projectSummary = projectPage?.summary || { total: 0, statusCounts: {}, totalEstValue: 0, projectManagers: [] }
+  const countStatuses = (statuses) => statuses.reduce((sum, status) => sum + (projectSummary.statusCounts[status] || 0), 0)
   const [selectedProjectForExpenses, setSelectedProjectForExpenses] = useState(null)
   const [selectedProjectForTimeline, setSelectedProjectForTimeline] = useState(null)
+  const [selectedProjectForSchedule, setSelectedProjectForSchedule] = useState(null)
+  const [selectedProjectForInvoices, setSelectedProjectForInvoices] = useState(null)
+  const [selectedProjectForChangeOrders, setSelectedProjectForChangeOrders] = useState(null)
+  const [selectedProjectForEstimate, setSelectedProjectForEstimate] = useState(null)
   const [showImportModal, setShowImportModal] = useState(false)
   const [importing, setImporting] = useState(false)
   const [importProgress, setImportProgress] = useState({ success: 0, failed: 0, total: 0 })
@@ -160,13 +200,13 @@ function Projects() {
 
   // Handle delete
   const handleDelete = async (id) => {
-    if (!window.confirm('Are you sure you want to delete this project?')) {
+    if (!window.confirm('Move this project to the trash? Its expenses, milestones and documents are kept and come back if you restore it.')) {
       return
     }
 
     try {
       await deleteProject.mutateAsync(id)
-      setSuccess('Project deleted successfully!')
+      setSuccess('Project moved to trash')
     } catch (err) {
       setError(err.response?.data?.error || err.message || 'Failed to delete project')
     }
@@ -194,6 +234,19 @@ function Projects() {
     setShowForm(true)
   }
 
+  // Open the record picked in the Dashboard header search
+  const { data: focusedRecord } = useRecord('projects', 'project', focusRecord?.id)
+  useEffect(() => {
+    if (!focusRecord || focusedRecord?.id !== focusRecord.id) return
+    if (focusRecord.openDocuments) {
+      setSelectedEntityForDocuments({ id: focusedRecord.id, name: focusedRecord.project_name || `Project ${focusedRecord.id.substring(0, 8)}`, customerEmail: focusedRecord.customers?.email || '' })
+      setShowDocumentsModal(true)
+    } else {
+      handleEdit(focusedRecord)
+    }
+    onFocusHandled?.()
+  }, [focusRecord, focusedRecord])
+
   // Reset form
   const resetForm = () => {
     setFormData(emptyProjectForm)
@@ -201,32 +254,15 @@ function Projects() {
     setProjectTypeDropdownOpen(false)
   }
 
-  // Filter projects
-  const filteredProjects = projects.filter((project) => {
-    const matchesSearch =
-      searchTerm === '' ||
-      project.project_name?.toLowerCase().includes(searchTerm.toLowerCase()) ||
-      project.address?.toLowerCase().includes(searchTerm.toLowerCase()) ||
-      project.project_manager?.toLowerCase().includes(searchTerm.toLowerCase()) ||
-      (project.customers && `${project.customers.first_name} ${project.customers.last_name}`.toLowerCase().includes(searchTerm.toLowerCase()))
-    
-    const matchesStatus = filterStatus === 'all' || project.status === filterStatus
-    const matchesType = filterType === 'all' || project.property_type === filterType
-    const matchesPM = filterPM === 'all' || project.project_manager === filterPM
-    
-    return matchesSearch && matchesStatus && matchesType && matchesPM
-  })
-
   // Pagination
-  const totalPages = Math.ceil(filteredProjects.length / itemsPerPage)
+  const totalPages = Math.ceil(totalProjects / itemsPerPage)
   const startIndex = (currentPage - 1) * itemsPerPage
   const endIndex = startIndex + itemsPerPage
-  const paginatedProjects = filteredProjects.slice(startIndex, endIndex)
 
   // Reset to page 1 when filters change
   useEffect(() => {
     setCurrentPage(1)
-  }, [searchTerm, filterStatus, filterType, filterPM])
+  }, [debouncedSearch, filterStatus, filterType, filterPM, sortOption])
 
   // Close actions menu when clicking outside
   useEffect(() => {
@@ -572,7 +608,7 @@ function Projects() {
 
       {/* Filters */}
       <div className="bg-white dark:bg-gray-800 rounded-lg shadow p-4">
-        <div className="grid grid-cols-1 sm:grid-cols-2 lg:grid-cols-4 gap-4">
+        <div className="grid grid-cols-1 sm:grid-cols-2 lg:grid-cols-5 gap-4">
           <div>
             <label className="block text-sm font-medium text-gray-700 dark:text-gray-300 mb-1">Search</label>
             <input
@@ -622,7 +658,7 @@ function Projects() {
             >
               <option value="all">All PMs</option>
               {[...new Set([
-                ...projects.map(p => p.project_manager).filter(Boolean),
+                ...projectSummary.projectManagers,
                 ...employees
                   .filter((emp) => emp.is_project_manager === true || emp.user_role?.toLowerCase().includes('project_manager') || emp.user_role?.toLowerCase().includes('project manager'))
                   .map((emp) => emp.name)
@@ -634,6 +670,20 @@ function Projects() {
               ))}
             </select>
           </div>
+          <div>
+            <label className="block text-sm font-medium text-gray-700 dark:text-gray-300 mb-1">Sort By</label>
+            <select
+              value={sortOption}
+              onChange={(e) => setSortOption(e.target.value)}
+              className="w-full px-4 py-2 border border-gray-300 dark:border-gray-600 rounded-md focus:outline-none focus:ring-2 focus:ring-pool-blue bg-white dark:bg-gray-700 text-gray-900 dark:text-white"
+            >
+              {SORT_OPTIONS.map((option) => (
+                <option key={option.value} value={option.value}>
+                  {option.label}
+                </option>
+              ))}
+            </select>
+          </div>
         </div>
       </div>
 
@@ -1001,6 +1051,7 @@ Downtown Office Build,commercial,building;electrical;hvac,456 Business Ave,Jane
                           step="0.01"
                           value={formData.closing_price}
                           onChange={(e) => setFormData({ ...formData, closing_price: e.target.value })}
+                          disabled={!canEditExpenses}
                           placeholder="0.00"
                           className="w-full pl-7 pr-4 py-2.5 border border-gray-300 dark:border-gray-600 rounded-lg focus:outline-none focus:ring-2 focus:ring-pool-blue focus:border-transparent bg-white dark:bg-gray-700 text-gray-900 dark:text-white transition-shadow"
                         />
@@ -1126,10 +1177,10 @@ Downtown Office Build,commercial,building;electrical;hvac,456 Business Ave,Jane
               </tr>
             </thead>
             <tbody className="bg-white dark:bg-gray-800 divide-y divide-gray-200 dark:divide-gray-700">
-              {filteredProjects.length === 0 ? (
+              {paginatedProjects.length === 0 ? (
                 <tr>
                   <td colSpan="11" className="px-2 py-8 text-center text-gray-500 dark:text-gray-400">
-                    {projects.length === 0
+                    {projectSummary.total === 0
                       ? 'No projects yet. Click "Add Project" to get started.'
                       : 'No projects match your search criteria.'}
                   </td>
@@ -1197,6 +1248,12 @@ Downtown Office Build,commercial,building;electrical;hvac,456 Business Ave,Jane
                         {project.est_value
                           ? `$${parseFloat(project.est_value).toLocaleString()}`
                           : '-'}
+                        {parseFloat(project.customer_price) > 0 && (
+                          <div className="text-xs text-gray-500 dark:text-gray-400">
+                            Contract ${parseFloat(project.customer_price).toLocaleString()}
+                            {parseFloat(project.customer_price) !== parseFloat(project.original_contract_price ?? project.customer_price) && ' (incl. change orders)'}
+                          </div>
+                        )}
                       </td>
                       <td className="px-4 py-3 whitespace-nowrap text-sm text-gray-500 dark:text-gray-400">
                         {project.project_manager || '-'}
@@ -1212,10 +1269,14 @@ Downtown Office Build,commercial,building;electrical;hvac,456 Business Ave,Jane
                             onAction={() => setOpenActionsProjectId(null)}
                             actions={[
                               { icon: DOCUMENT_ICON, label: 'Documents', iconColor: 'text-green-600 dark:text-green-400', onClick: () => { setSelectedEntityForDocuments({ id: project.id, name: project.project_name || `Project ${project.id.substring(0, 8)}`, customerEmail: project.customers?.email || '' }); setShowDocumentsModal(true) } },
-                              { icon: EXPENSE_ICON, label: 'Expenses', iconColor: 'text-purple-600 dark:text-purple-400', onClick: () => setSelectedProjectForExpenses(project) },
+                              ...(canViewCosts ? [{ icon: EXPENSE_ICON, label: 'Expenses', iconColor: 'text-purple-600 dark:text-purple-400', onClick: () => setSelectedProjectForExpenses(project) }] : []),
+                              ...(canViewCosts ? [{ icon: INVOICE_ICON, label: 'Invoices', iconColor: 'text-teal-600 dark:text-teal-400', onClick: () => setSelectedProjectForInvoices(project) }] : []),
+                              { icon: CHANGE_ORDER_ICON, label: 'Change Orders', iconColor: 'text-orange-600 dark:text-orange-400', onClick: () => setSelectedProjectForChangeOrders(project) },
+                              { icon: ESTIMATE_ICON, label: 'Pool Estimate', iconColor: 'text-cyan-600 dark:text-cyan-400', onClick: () => setSelectedProjectForEstimate(project) },
                               { icon: TIMELINE_ICON, label: 'Timeline', iconColor: 'text-amber-600 dark:text-amber-400', onClick: () => setSelectedProjectForTimeline(project) },
+                              { icon: SCHEDULE_ICON, label: 'Schedule', iconColor: 'text-indigo-600 dark:text-indigo-400', onClick: () => setSelectedProjectForSchedule(project) },
                               { icon: EDIT_ICON, label: 'Edit', onClick: () => handleEdit(project) },
-                              { icon: DELETE_ICON, label: 'Delete', danger: true, disabled: deleteProject.isPending, onClick: () => handleDelete(project.id) },
+                              ...(canDeleteRecords ? [{ icon: DELETE_ICON, label: 'Delete', danger: true, disabled: deleteProject.isPending, onClick: () => handleDelete(project.id) }] : []),
                             ]}
                           />
                         </div>
@@ -1230,10 +1291,10 @@ Downtown Office Build,commercial,building;electrical;hvac,456 Business Ave,Jane
       </div>
 
       {/* Pagination */}
-      {filteredProjects.length > itemsPerPage && (
+      {totalProjects > itemsPerPage && (
         <div className="bg-white rounded-lg shadow p-4 flex items-center justify-between">
           <div className="text-sm text-gray-700 dark:text-gray-300">
-            Showing {startIndex + 1} to {Math.min(endIndex, filteredProjects.length)} of {filteredProjects.length} projects
+            Showing {startIndex + 1} to {Math.min(endIndex, totalProjects)} of {totalProjects} projects
           </div>
           <div className="flex gap-2">
             <button
@@ -1284,26 +1345,24 @@ Downtown Office Build,commercial,building;electrical;hvac,456 Business Ave,Jane
       <div className="grid grid-cols-1 md:grid-cols-4 gap-4">
         <div className="bg-white dark:bg-gray-800 rounded-lg shadow p-4">
           <p className="text-sm text-gray-500 dark:text-gray-400">Total Projects</p>
-          <p className="text-2xl font-bold text-gray-900 dark:text-white">{projects.length}</p>
+          <p className="text-2xl font-bold text-gray-900 dark:text-white">{projectSummary.total}</p>
         </div>
         <div className="bg-white dark:bg-gray-800 rounded-lg shadow p-4">
           <p className="text-sm text-gray-500 dark:text-gray-400">Active (Sold/In Progress)</p>
           <p className="text-2xl font-bold text-gray-900 dark:text-white">
-            {projects.filter((p) => ['sold', 'complete'].includes(p.status)).length}
+            {countStatuses(['sold', 'complete'])}
           </p>
         </div>
         <div className="bg-white dark:bg-gray-800 rounded-lg shadow p-4">
           <p className="text-sm text-gray-500 dark:text-gray-400">Proposals</p>
           <p className="text-2xl font-bold text-gray-900 dark:text-white">
-            {projects.filter((p) => ['contract_sent', 'proposal_sent', 'proposal_signed'].includes(p.status)).length}
+            {countStatuses(['contract_sent', 'proposal_sent', 'proposal_signed'])}
           </p>
         </div>
         <div className="bg-white dark:bg-gray-800 rounded-lg shadow p-4">
           <p className="text-sm text-gray-500 dark:text-gray-400">Total Value</p>
           <p className="text-2xl font-bold text-gray-900 dark:text-white">
-            ${projects
-              .reduce((sum, p) => sum + (parseFloat(p.est_value) || 0), 0)
-              .toLocaleString()}
+            ${projectSummary.totalEstValue.toLocaleString()}
           </p>
         </div>
       </div>
@@ -1316,6 +1375,30 @@ Downtown Office Build,commercial,building;electrical;hvac,456 Business Ave,Jane
         />
       )}
 
+      {/* Invoices Modal */}
+      {selectedProjectForInvoices && (
+        <InvoicesModal
+          project={selectedProjectForInvoices}
+          onClose={() => setSelectedProjectForInvoices(null)}
+        />
+      )}
+
+      {/* Change Orders Modal */}
+      {selectedProjectForChangeOrders && (
+        <ChangeOrdersModal
+          project={selectedProjectForChangeOrders}
+          onClose={() => setSelectedProjectForChangeOrders(null)}
+        />
+      )}
+
+      {/* Pool Estimate Modal */}
+      {selectedProjectForEstimate && (
+        <PoolEstimateModal
+          project={selectedProjectForEstimate}
+          onClose={() => setSelectedProjectForEstimate(null)}
+        />
+      )}
+
       {/* Documents Modal */}
       {showDocumentsModal && selectedEntityForDocuments && (
         <DocumentsModal
@@ -1338,6 +1421,14 @@ Downtown Office Build,commercial,building;electrical;hvac,456 Business Ave,Jane
           onProjectUpdated={(updated) => setSelectedProjectForTimeline(updated)}
         />
       )}
+
+      {/* Schedule Modal */}
+      {selectedProjectForSchedule && (
+        <ProjectScheduleModal
+          project={selectedProjectForSchedule}
+          onClose={() => setSelectedProjectForSchedule(null)}
+        />
+      )}
     </div>
   )
 }
@@ -0,0 +1,241 @@
+import { useState, useEffect } from 'react'
+import {
+  useProposalOptions,
+  useCreateProposalOption,
+  useUpdateProposalOption,
+  useDeleteProposalOption,
+} from '../hooks/useApi'
+
+const roundTo2 = (n) => Math.round(Number(n) * 100) / 100
+
+const formatCurrency = (amount) =>
+  `$${(Number(amount) || 0).toLocaleString('en-US', { minimumFractionDigits: 2, maximumFractionDigits: 2 })}`
+
+const inputClass = 'w-full px-2 py-1.5 border border-gray-300 dark:border-gray-600 rounded text-sm focus:outline-none focus:ring-2 focus:ring-pool-blue bg-white dark:bg-gray-700 text-gray-900 dark:text-white'
+
+const toDraft = (option) => ({
+  name: option.name || '',
+  description: option.description || '',
+  milestones: (option.milestones || []).map((m) => ({ name: m.name, customer_price: String(m.customer_price ?? '') })),
+  scope_of_work: (option.scope_of_work || []).map((item) => ({ title: item.title, description: item.description || '' })),
+})
+
+const toPayload = (draft) => ({
+  name: draft.name,
+  description: draft.description,
+  milestones: draft.milestones
+    .filter((m) => m.name.trim())
+    .map((m) => ({ name: m.name.trim(), customer_price: roundTo2(parseFloat(m.customer_price) || 0) })),
+  scope_of_work: draft.scope_of_work
+    .filter((item) => item.title.trim())
+    .map((item) => ({ title: item.title.trim(), description: item.description })),
+})
+
+// One option package: name, description, payments and included scope
+function OptionCard({ option, onDelete }) {
+  const updateOption = useUpdateProposalOption()
+  const [draft, setDraft] = useState(() => toDraft(option))
+  const [message, setMessage] = useState('')
+
+  useEffect(() => {
+    setDraft(toDraft(option))
+  }, [option])
+
+  const hasChanges = JSON.stringify(toPayload(draft)) !== JSON.stringify(toPayload(toDraft(option)))
+  const price = roundTo2(draft.milestones.reduce((sum, m) => sum + (parseFloat(m.customer_price) || 0), 0))
+
+  const setRow = (list, index, field, value) =>
+    setDraft((prev) => ({ ...prev, [list]: prev[list].map((row, i) => (i === index ? { ...row, [field]: value } : row)) }))
+  const addRow = (list, row) => setDraft((prev) => ({ ...prev, [list]: [...prev[list], row] }))
+  const removeRow = (list, index) => setDraft((prev) => ({ ...prev, [list]: prev[list].filter((_, i) => i !== index) }))
+
+  const handleSave = async () => {
+    if (!draft.name.trim()) {
+      setMessage('Error: option name is required')
+      return
+    }
+    try {
+      await updateOption.mutateAsync({ id: option.id, data: toPayload(draft) })
+      setMessage('Saved')
+      setTimeout(() => setMessage(''), 3000)
+    } catch (err) {
+      setMessage(`Error: ${err.response?.data?.error || 'could not save option'}`)
+    }
+  }
+
+  return (
+    <div className="border border-gray-200 dark:border-gray-700 rounded-lg p-4 space-y-3">
+      <div className="flex items-start gap-3">
+        <input
+          type="text"
+          value={draft.name}
+          onChange={(e) => setDraft((prev) => ({ ...prev, name: e.target.value }))}
+          placeholder="Option name (e.g. Pool + Spa)"
+          maxLength={255}
+          className={`${inputClass} font-medium`}
+        />
+        <span className="text-lg font-bold text-pool-blue whitespace-nowrap">{formatCurrency(price)}</span>
+      </div>
+      <textarea
+        value={draft.description}
+        onChange={(e) => setDraft((prev) => ({ ...prev, description: e.target.value }))}
+        placeholder="Short description shown under the price"
+        rows={2}
+        className={inputClass}
+      />
+
+      <div>
+        <p className="text-xs font-semibold text-gray-700 dark:text-gray-300 mb-1">Includes</p>
+        <div className="space-y-2">
+          {draft.scope_of_work.map((item, idx) => (
+            <div key={idx} className="flex gap-2 items-start">
+              <div className="flex-1 space-y-1">
+                <input type="text" value={item.title} onChange={(e) => setRow('scope_of_work', idx, 'title', e.target.value)} placeholder="Scope item" maxLength={255} className={inputClass} />
+                <input type="text" value={item.description} onChange={(e) => setRow('scope_of_work', idx, 'description', e.target.value)} placeholder="Details (optional)" className={inputClass} />
+              </div>
+              <button onClick={() => removeRow('scope_of_work', idx)} className="p-1 text-gray-400 hover:text-red-600" title="Remove">
+                <svg className="w-4 h-4" fill="none" viewBox="0 0 24 24" stroke="currentColor">
+                  <path strokeLinecap="round" strokeLinejoin="round" strokeWidth={2} d="M6 18L18 6M6 6l12 12" />
+                </svg>
+              </button>
+            </div>
+          ))}
+        </div>
+        <button onClick={() => addRow('scope_of_work', { title: '', description: '' })} className="mt-1 text-xs text-pool-blue hover:text-pool-dark font-medium">
+          + Add scope item
+        </button>
+      </div>
+
+      <div>
+        <p className="text-xs font-semibold text-gray-700 dark:text-gray-300 mb-1">Payments</p>
+        <div className="space-y-2">
+          {draft.milestones.map((m, idx) => (
+            <div key={idx} className="flex gap-2 items-center">
+              <input type="text" value={m.name} onChange={(e) => setRow('milestones', idx, 'name', e.target.value)} placeholder="Milestone" maxLength={255} className={inputClass} />
+              <div className="relative w-32 flex-shrink-0">
+                <span className="absolute left-2 top-1/2 -translate-y-1/2 text-gray-500 text-xs">$</span>
+                <input
+                  type="number"
+                  value={m.customer_price}
+                  onChange={(e) => setRow('milestones', idx, 'customer_price', e.target.value)}
+                  min={0}
+                  step={0.01}
+                  className={`${inputClass} pl-5`}
+                />
+              </div>
+              <button onClick={() => removeRow('milestones', idx)} className="p-1 text-gray-400 hover:text-red-600" title="Remove">
+                <svg className="w-4 h-4" fill="none" viewBox="0 0 24 24" stroke="currentColor">
+                  <path strokeLinecap="round" strokeLinejoin="round" strokeWidth={2} d="M6 18L18 6M6 6l12 12" />
+                </svg>
+              </button>
+            </div>
+          ))}
+        </div>
+        <button onClick={() => addRow('milestones', { name: '', customer_price: '' })} className="mt-1 text-xs text-pool-blue hover:text-pool-dark font-medium">
+          + Add payment
+        </button>
+      </div>
+
+      <div className="flex items-center gap-3 pt-3 border-t border-gray-200 dark:border-gray-700">
+        <button
+          onClick={handleSave}
+          disabled={updateOption.isPending || !hasChanges}
+          className="px-3 py-1.5 bg-pool-blue hover:bg-pool-dark text-white text-sm font-medium rounded-md transition-colors disabled:opacity-50"
+        >
+          {updateOption.isPending ? 'Saving...' : 'Save Option'}
+        </button>
+        <button onClick={() => onDelete(option)} className="text-sm text-red-600 hover:text-red-800">
+          Delete
+        </button>
+        {message && (
+          <span className={`text-sm ${message.includes('Error') ? 'text-red-600' : 'text-green-600'}`}>{message}</span>
+        )}
+      </div>
+    </div>
+  )
+}
+
+/**
+ * Good/better/best packages printed side by side on the project's proposal. The customer's choice (recorded on
+ * the proposal document) replaces the contract milestones and scope once the proposal is signed.
+ */
+function ProposalOptionsEditor({ projectId }) {
+  const { data, isLoading } = useProposalOptions(projectId)
+  const createOption = useCreateProposalOption()
+  const deleteOption = useDeleteProposalOption()
+  const [newName, setNewName] = useState('')
+  const [error, setError] = useState('')
+
+  const options = data?.options || []
+  const maxOptions = data?.maxOptions || 4
+
+  const handleAdd = async (e) => {
+    e.preventDefault()
+    if (!newName.trim()) return
+    setError('')
+    try {
+      await createOption.mutateAsync({ projectId, data: { name: newName.trim() } })
+      setNewName('')
+    } catch (err) {
+      setError(err.response?.data?.error || 'Failed to add option')
+    }
+  }
+
+  const handleDelete = async (option) => {
+    if (!window.confirm(`Delete the "${option.name}" option?`)) return
+    setError('')
+    try {
+      await deleteOption.mutateAsync(option.id)
+    } catch (err) {
+      setError(err.response?.data?.error || 'Failed to delete option')
+    }
+  }
+
+  return (
+    <>
+      <div className="mb-4 sm:mb-6 p-3 sm:p-4 bg-blue-50 dark:bg-blue-900/30 border border-blue-200 dark:border-blue-800 rounded-lg">
+        <p className="text-xs sm:text-sm text-blue-800 dark:text-blue-200 leading-relaxed">
+          <strong>Options:</strong> Offer up to {maxOptions} packages (for example base pool, pool + spa, pool + spa + automation). They print side by side in the proposal; when the signed proposal's chosen option is recorded, its payments and scope become the contract's.
+        </p>
+      </div>
+
+      {error && <div className="mb-4 p-3 rounded-md text-sm border bg-red-50 border-red-200 text-red-700">{error}</div>}
+
+      {isLoading ? (
+        <div className="flex items-center justify-center py-8">
+          <div className="animate-spin rounded-full h-6 w-6 border-b-2 border-pool-blue"></div>
+        </div>
+      ) : (
+        <div className="space-y-4">
+          {options.length === 0 && (
+            <p className="text-sm text-gray-500 dark:text-gray-400">No options. The proposal prints a single scope and payment schedule.</p>
+          )}
+          {options.map((option) => (
+            <OptionCard key={option.id} option={option} onDelete={handleDelete} />
+          ))}
+          {options.length < maxOptions && (
+            <form onSubmit={handleAdd} className="flex gap-2">
+              <input
+                type="text"
+                value={newName}
+                onChange={(e) => setNewName(e.target.value)}
+                placeholder="New option name"
+                maxLength={255}
+                className={`${inputClass} max-w-xs`}
+              />
+              <button
+                type="submit"
+                disabled={!newName.trim() || createOption.isPending}
+                className="px-3 py-1.5 bg-pool-blue hover:bg-pool-dark text-white text-sm font-medium rounded-md transition-colors disabled:opacity-50"
+              >
+                + Add Option
+              </button>
+            </form>
+          )}
+        </div>
+      )}
+    </>
+  )
+}
+
+export default ProposalOptionsEditor
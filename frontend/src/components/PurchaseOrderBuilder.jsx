@@ -0,0 +1,246 @@
+import { useState, useEffect } from 'react'
+import {
+  useProjects,
+  useSuppliers,
+  useOrderableLines,
+  useCreatePurchaseOrders,
+} from '../hooks/useApi'
+
+const formatMoney = (value) =>
+  `$${(value || 0).toLocaleString('en-US', { minimumFractionDigits: 2, maximumFractionDigits: 2 })}`
+
+const formatQuantity = (value) => (value || 0).toLocaleString('en-US', { maximumFractionDigits: 2 })
+
+const today = () => new Date().toISOString().split('T')[0]
+
+const lineKey = (line) => `${line.source_table}:${line.source_id}`
+
+const inputClass = 'w-full px-3 py-2 border border-gray-300 dark:border-gray-600 rounded-md focus:outline-none focus:ring-2 focus:ring-pool-blue bg-white dark:bg-gray-700 text-sm text-gray-900 dark:text-white'
+const labelClass = 'block text-xs font-medium text-gray-600 dark:text-gray-400 mb-1'
+
+/**
+ * Pick a project's unordered material and equipment lines and a supplier for each; saving drafts one purchase order
+ * per supplier.
+ */
+function PurchaseOrderBuilder({ onClose, onCreated }) {
+  const { data: projects = [] } = useProjects()
+  const { data: suppliers = [] } = useSuppliers()
+  const createPurchaseOrders = useCreatePurchaseOrders()
+
+  const [projectId, setProjectId] = useState('')
+  const { data: lines = [], isLoading: loadingLines } = useOrderableLines(projectId)
+  // Chosen lines by key, with the supplier each goes to
+  const [selected, setSelected] = useState({})
+  const [details, setDetails] = useState({ order_date: today(), expected_date: '', notes: '' })
+  const [error, setError] = useState('')
+
+  useEffect(() => {
+    setSelected({})
+  }, [projectId])
+
+  const activeProjects = projects.filter((project) => !['complete', 'completed', 'cancelled'].includes(project.status))
+
+  const toggleLine = (line) => {
+    const key = lineKey(line)
+    setSelected((prev) => {
+      const next = { ...prev }
+      if (next[key] !== undefined) delete next[key]
+      else next[key] = line.preferred_supplier_id || ''
+      return next
+    })
+  }
+
+  const toggleAll = () => {
+    setSelected(Object.keys(selected).length === lines.length
+      ? {}
+      : Object.fromEntries(lines.map((line) => [lineKey(line), selected[lineKey(line)] ?? (line.preferred_supplier_id || '')])))
+  }
+
+  const chosen = lines.filter((line) => selected[lineKey(line)] !== undefined)
+  const supplierCount = new Set(chosen.map((line) => selected[lineKey(line)]).filter(Boolean)).size
+  const total = chosen.reduce((sum, line) => sum + (line.line_total || 0), 0)
+
+  const handleSubmit = async (e) => {
+    e.preventDefault()
+    setError('')
+    if (chosen.length === 0) {
+      setError('Choose at least one line to order')
+      return
+    }
+    if (chosen.some((line) => !selected[lineKey(line)])) {
+      setError('Choose a supplier for every line')
+      return
+    }
+    try {
+      const purchaseOrders = await createPurchaseOrders.mutateAsync({
+        lines: chosen.map((line) => ({
+          source_table: line.source_table,
+          source_id: line.source_id,
+          supplier_id: selected[lineKey(line)],
+        })),
+        order_date: details.order_date || null,
+        expected_date: details.expected_date || null,
+        notes: details.notes || null,
+      })
+      onCreated(purchaseOrders)
+    } catch (err) {
+      setError(err?.response?.data?.error || 'Failed to create purchase orders')
+    }
+  }
+
+  return (
+    <div className="fixed inset-0 bg-black bg-opacity-50 flex items-center justify-center z-50 p-4" onClick={onClose}>
+      <div className="bg-white dark:bg-gray-800 rounded-xl shadow-2xl max-w-5xl w-full max-h-[90vh] overflow-hidden flex flex-col" onClick={(e) => e.stopPropagation()}>
+        {/* Header */}
+        <div className="bg-gradient-to-r from-pool-blue to-pool-dark px-6 py-4 flex-shrink-0 rounded-t-xl">
+          <div className="flex justify-between items-center">
+            <div>
+              <h3 className="text-xl font-bold text-white">New Purchase Order</h3>
+              <p className="text-sm text-white/80">Lines going to different suppliers become separate orders</p>
+            </div>
+            <button
+              onClick={onClose}
+              className="text-white/80 hover:text-white p-1 transition-colors"
+            >
+              <svg className="w-5 h-5" fill="none" viewBox="0 0 24 24" stroke="currentColor">
+                <path strokeLinecap="round" strokeLinejoin="round" strokeWidth={2} d="M6 18L18 6M6 6l12 12" />
+              </svg>
+            </button>
+          </div>
+        </div>
+
+        <form onSubmit={handleSubmit} className="p-6 overflow-y-auto flex-1 space-y-5">
+          {error && (
+            <div className="p-3 bg-red-50 border border-red-200 text-red-700 rounded-md text-sm">{error}</div>
+          )}
+
+          <div>
+            <label className={labelClass}>Project</label>
+            <select value={projectId} onChange={(e) => setProjectId(e.target.value)} className={inputClass}>
+              <option value="">Select a project...</option>
+              {activeProjects.map((project) => (
+                <option key={project.id} value={project.id}>{project.project_name || project.address || 'Untitled project'}</option>
+              ))}
+            </select>
+          </div>
+
+          {suppliers.length === 0 && (
+            <p className="text-sm text-orange-600 dark:text-orange-400">Add a supplier on the Suppliers tab before ordering.</p>
+          )}
+
+          {projectId && (loadingLines ? (
+            <div className="flex items-center justify-center py-6">
+              <div className="animate-spin rounded-full h-6 w-6 border-b-2 border-pool-blue"></div>
+            </div>
+          ) : lines.length === 0 ? (
+            <p className="text-sm text-gray-500 dark:text-gray-400 text-center py-6">
+              Every material and equipment line on this project has been received or is already on an open order.
+            </p>
+          ) : (
+            <div className="overflow-x-auto border border-gray-200 dark:border-gray-700 rounded-lg">
+              <table className="min-w-full divide-y divide-gray-200 dark:divide-gray-700 text-sm">
+                <thead className="bg-gray-50 dark:bg-gray-700">
+                  <tr>
+                    <th className="px-4 py-2 w-10">
+                      <input
+                        type="checkbox"
+                        checked={chosen.length === lines.length}
+                        onChange={toggleAll}
+                        className="rounded border-gray-300 text-pool-blue focus:ring-pool-blue"
+                      />
+                    </th>
+                    <th className="px-4 py-2 text-left text-xs font-medium text-gray-500 dark:text-gray-300 uppercase">Item</th>
+                    <th className="px-4 py-2 text-right text-xs font-medium text-gray-500 dark:text-gray-300 uppercase">Qty</th>
+                    <th className="px-4 py-2 text-right text-xs font-medium text-gray-500 dark:text-gray-300 uppercase">Cost</th>
+                    <th className="px-4 py-2 text-left text-xs font-medium text-gray-500 dark:text-gray-300 uppercase">Supplier</th>
+                  </tr>
+                </thead>
+                <tbody className="bg-white dark:bg-gray-800 divide-y divide-gray-200 dark:divide-gray-700">
+                  {lines.map((line) => {
+                    const key = lineKey(line)
+                    const isSelected = selected[key] !== undefined
+                    return (
+                      <tr key={key} className={isSelected ? 'bg-blue-50/50 dark:bg-blue-900/10' : ''}>
+                        <td className="px-4 py-2">
+                          <input
+                            type="checkbox"
+                            checked={isSelected}
+                            onChange={() => toggleLine(line)}
+                            className="rounded border-gray-300 text-pool-blue focus:ring-pool-blue"
+                          />
+                        </td>
+                        <td className="px-4 py-2">
+                          <div className="font-medium text-gray-900 dark:text-white">{line.description}</div>
+                          <div className="text-xs text-gray-500 dark:text-gray-400">
+                            {line.source_table === 'project_equipment' ? 'Equipment' : 'Material'}
+                          </div>
+                        </td>
+                        <td className="px-4 py-2 whitespace-nowrap text-right text-gray-700 dark:text-gray-300">
+                          {formatQuantity(line.quantity)} {line.unit || ''}
+                        </td>
+                        <td className="px-4 py-2 whitespace-nowrap text-right text-gray-700 dark:text-gray-300">{formatMoney(line.line_total)}</td>
+                        <td className="px-4 py-2">
+                          <select
+                            value={selected[key] ?? ''}
+                            onChange={(e) => setSelected((prev) => ({ ...prev, [key]: e.target.value }))}
+                            disabled={!isSelected}
+                            className={`${inputClass} disabled:opacity-60`}
+                          >
+                            <option value="">Select supplier...</option>
+                            {suppliers.map((supplier) => (
+                              <option key={supplier.id} value={supplier.id}>{supplier.name}</option>
+                            ))}
+                          </select>
+                        </td>
+                      </tr>
+                    )
+                  })}
+                </tbody>
+              </table>
+            </div>
+          ))}
+
+          <div className="grid grid-cols-1 sm:grid-cols-3 gap-3">
+            <div>
+              <label className={labelClass}>Order Date</label>
+              <input type="date" value={details.order_date} onChange={(e) => setDetails((prev) => ({ ...prev, order_date: e.target.value }))} className={inputClass} />
+            </div>
+            <div>
+              <label className={labelClass}>Needed By</label>
+              <input type="date" value={details.expected_date} onChange={(e) => setDetails((prev) => ({ ...prev, expected_date: e.target.value }))} className={inputClass} />
+            </div>
+            <div>
+              <label className={labelClass}>Notes</label>
+              <input type="text" maxLength={2000} value={details.notes} onChange={(e) => setDetails((prev) => ({ ...prev, notes: e.target.value }))} className={inputClass} placeholder="Delivery instructions, job site..." />
+            </div>
+          </div>
+
+          <div className="flex items-center justify-between gap-3 pt-2">
+            <p className="text-sm text-gray-600 dark:text-gray-400">
+              {chosen.length} line{chosen.length === 1 ? '' : 's'} • {formatMoney(total)}
+              {supplierCount > 1 ? ` • ${supplierCount} purchase orders` : ''}
+            </p>
+            <div className="flex gap-3">
+              <button
+                type="button"
+                onClick={onClose}
+                className="px-4 py-2 border border-gray-300 dark:border-gray-600 text-gray-700 dark:text-gray-300 text-sm rounded-md hover:bg-gray-50 dark:hover:bg-gray-700 transition-colors"
+              >
+                Cancel
+              </button>
+              <button
+                type="submit"
+                disabled={createPurchaseOrders.isPending || chosen.length === 0}
+                className="px-4 py-2 bg-pool-blue hover:bg-pool-dark text-white text-sm font-medium rounded-md transition-colors disabled:opacity-50"
+              >
+                {createPurchaseOrders.isPending ? 'Creating...' : 'Create Draft'}
+              </button>
+            </div>
+          </div>
+        </form>
+      </div>
+    </div>
+  )
+}
+
+export default PurchaseOrderBuilder
@@ -0,0 +1,382 @@
+import { useState, useEffect } from 'react'
+import {
+  usePurchaseOrder,
+  useUpdatePurchaseOrder,
+  useSetPurchaseOrderStatus,
+  useReceivePurchaseOrder,
+  useHasPermission,
+} from '../hooks/useApi'
+import { downloadPurchaseOrderPdf } from '../utils/contractPdfGenerator'
+
+export const PO_STATUS_LABELS = {
+  draft: 'Draft',
+  sent: 'Sent',
+  partially_received: 'Partially Received',
+  received: 'Received',
+  cancelled: 'Cancelled',
+}
+
+export const PO_STATUS_BADGES = {
+  draft: 'bg-gray-100 text-gray-800 dark:bg-gray-700 dark:text-gray-300',
+  sent: 'bg-blue-100 text-blue-800 dark:bg-blue-900/30 dark:text-blue-300',
+  partially_received: 'bg-yellow-100 text-yellow-800 dark:bg-yellow-900/30 dark:text-yellow-300',
+  received: 'bg-green-100 text-green-800 dark:bg-green-900/30 dark:text-green-300',
+  cancelled: 'bg-red-100 text-red-800 dark:bg-red-900/30 dark:text-red-300',
+}
+
+// Must match STATUS_TRANSITIONS in backend/services/purchaseOrders.js
+const STATUS_ACTIONS = {
+  draft: [{ status: 'sent', label: 'Mark Sent' }, { status: 'cancelled', label: 'Cancel Order' }],
+  sent: [{ status: 'draft', label: 'Back to Draft' }, { status: 'cancelled', label: 'Cancel Order' }],
+  partially_received: [],
+  received: [],
+  cancelled: [{ status: 'draft', label: 'Reopen as Draft' }],
+}
+
+const RECEIVABLE_STATUSES = ['sent', 'partially_received']
+
+const formatMoney = (value) =>
+  `$${(value || 0).toLocaleString('en-US', { minimumFractionDigits: 2, maximumFractionDigits: 2 })}`
+
+const formatQuantity = (value) => (value || 0).toLocaleString('en-US', { maximumFractionDigits: 2 })
+
+const formatDate = (isoDate) => (isoDate ? new Date(`${isoDate}T00:00:00`).toLocaleDateString() : '-')
+
+const today = () => new Date().toISOString().split('T')[0]
+
+const inputClass = 'w-full px-3 py-2 border border-gray-300 dark:border-gray-600 rounded-md focus:outline-none focus:ring-2 focus:ring-pool-blue bg-white dark:bg-gray-700 text-sm text-gray-900 dark:text-white'
+const labelClass = 'block text-xs font-medium text-gray-600 dark:text-gray-400 mb-1'
+
+/**
+ * A purchase order's lines with actions to send, cancel or reopen it, receive what arrived (stamping the project
+ * lines received in full) and download it as a PDF.
+ */
+function PurchaseOrderModal({ purchaseOrderId, onClose }) {
+  const canEditExpenses = useHasPermission('edit_expenses')
+  const { data, isLoading } = usePurchaseOrder(purchaseOrderId)
+  const updatePurchaseOrder = useUpdatePurchaseOrder()
+  const setStatus = useSetPurchaseOrderStatus()
+  const receive = useReceivePurchaseOrder()
+
+  const [details, setDetails] = useState({ expected_date: '', notes: '' })
+  const [receipts, setReceipts] = useState({})
+  const [receivedOn, setReceivedOn] = useState(today())
+  const [downloading, setDownloading] = useState(false)
+  const [message, setMessage] = useState({ type: '', text: '' })
+
+  const po = data?.purchaseOrder
+
+  useEffect(() => {
+    if (po) setDetails({ expected_date: po.expected_date || '', notes: po.notes || '' })
+  }, [po?.id, po?.expected_date, po?.notes])
+
+  const showMessage = (type, text) => {
+    setMessage({ type, text })
+    setTimeout(() => setMessage({ type: '', text: '' }), 4000)
+  }
+
+  const canReceive = canEditExpenses && po && RECEIVABLE_STATUSES.includes(po.status)
+  const detailsChanged = po && (details.expected_date !== (po.expected_date || '') || details.notes !== (po.notes || ''))
+
+  const setReceipt = (lineId, field, value) =>
+    setReceipts((prev) => ({ ...prev, [lineId]: { ...prev[lineId], [field]: value } }))
+
+  // Fill in everything still outstanding
+  const receiveAll = () => {
+    setReceipts(Object.fromEntries(po.lines
+      .filter((line) => line.quantity_received < line.quantity)
+      .map((line) => [line.id, { quantity: String(Math.round((line.quantity - line.quantity_received) * 100) / 100), actual_price: receipts[line.id]?.actual_price || '' }])))
+  }
+
+  const handleSaveDetails = async () => {
+    try {
+      await updatePurchaseOrder.mutateAsync({ id: po.id, data: details })
+      showMessage('success', 'Purchase order updated')
+    } catch (err) {
+      showMessage('error', err?.response?.data?.error || 'Failed to update purchase order')
+    }
+  }
+
+  const handleStatus = async (status) => {
+    if (status === 'cancelled' && !window.confirm(`Cancel PO #${po.po_number}? Its lines can then be ordered again.`)) return
+    try {
+      await setStatus.mutateAsync({ id: po.id, status })
+      showMessage('success', `PO #${po.po_number} marked ${PO_STATUS_LABELS[status].toLowerCase()}`)
+    } catch (err) {
+      showMessage('error', err?.response?.data?.error || 'Failed to change status')
+    }
+  }
+
+  const handleReceive = async (e) => {
+    e.preventDefault()
+    const lines = Object.entries(receipts)
+      .map(([lineId, receipt]) => ({
+        line_id: lineId,
+        quantity: parseFloat(receipt.quantity) || 0,
+        actual_price: receipt.actual_price === '' || receipt.actual_price == null ? null : parseFloat(receipt.actual_price),
+      }))
+      .filter((line) => line.quantity > 0)
+    if (lines.length === 0) {
+      showMessage('error', 'Enter a quantity received for at least one line')
+      return
+    }
+    try {
+      await receive.mutateAsync({ id: po.id, data: { received_on: receivedOn, lines } })
+      setReceipts({})
+      showMessage('success', 'Receipt recorded')
+    } catch (err) {
+      showMessage('error', err?.response?.data?.error || 'Failed to record receipt')
+    }
+  }
+
+  const handleDownload = async () => {
+    setDownloading(true)
+    try {
+      await downloadPurchaseOrderPdf(data)
+    } catch (err) {
+      console.error('Error generating purchase order PDF:', err)
+      showMessage('error', 'Failed to generate PDF')
+    } finally {
+      setDownloading(false)
+    }
+  }
+
+  return (
+    <div className="fixed inset-0 bg-black bg-opacity-50 flex items-center justify-center z-50 p-4" onClick={onClose}>
+      <div className="bg-white dark:bg-gray-800 rounded-xl shadow-2xl max-w-5xl w-full max-h-[90vh] overflow-hidden flex flex-col" onClick={(e) => e.stopPropagation()}>
+        {/* Header */}
+        <div className="bg-gradient-to-r from-pool-blue to-pool-dark px-6 py-4 flex-shrink-0 rounded-t-xl">
+          <div className="flex justify-between items-center">
+            <div>
+              <h3 className="text-xl font-bold text-white">
+                {po ? `PO #${po.po_number} - ${po.supplier?.name || 'Supplier'}` : 'Purchase Order'}
+              </h3>
+              {po && (
+                <p className="text-sm text-white/80">
+                  Ordered {formatDate(po.order_date)}
+                  {po.expected_date ? ` • Needed by ${formatDate(po.expected_date)}` : ''}
+                  {po.created_by_name ? ` • By ${po.created_by_name}` : ''}
+                </p>
+              )}
+            </div>
+            <button
+              onClick={onClose}
+              className="text-white/80 hover:text-white p-1 transition-colors"
+            >
+              <svg className="w-5 h-5" fill="none" viewBox="0 0 24 24" stroke="currentColor">
+                <path strokeLinecap="round" strokeLinejoin="round" strokeWidth={2} d="M6 18L18 6M6 6l12 12" />
+              </svg>
+            </button>
+          </div>
+        </div>
+
+        <div className="p-6 overflow-y-auto flex-1 space-y-6">
+          {message.text && (
+            <div className={`p-3 rounded-md text-sm border ${message.type === 'error' ? 'bg-red-50 border-red-200 text-red-700' : 'bg-green-50 border-green-200 text-green-700'}`}>
+              {message.text}
+            </div>
+          )}
+
+          {isLoading || !po ? (
+            <div className="flex items-center justify-center py-6">
+              <div className="animate-spin rounded-full h-6 w-6 border-b-2 border-pool-blue"></div>
+            </div>
+          ) : (
+            <>
+              {/* Status and actions */}
+              <div className="flex flex-wrap items-center justify-between gap-3">
+                <div className="flex items-center gap-3">
+                  <span className={`px-2.5 py-1 rounded-full text-xs font-medium ${PO_STATUS_BADGES[po.status]}`}>
+                    {PO_STATUS_LABELS[po.status]}
+                  </span>
+                  <span className="text-sm text-gray-600 dark:text-gray-400">Total {formatMoney(po.total)}</span>
+                </div>
+                <div className="flex flex-wrap gap-2">
+                  <button
+                    onClick={handleDownload}
+                    disabled={downloading}
+                    className="px-3 py-1.5 border border-gray-300 dark:border-gray-600 text-gray-700 dark:text-gray-300 text-sm rounded-md hover:bg-gray-50 dark:hover:bg-gray-700 transition-colors disabled:opacity-50"
+                  >
+                    {downloading ? 'Generating...' : 'Download PDF'}
+                  </button>
+                  {canEditExpenses && STATUS_ACTIONS[po.status].map((action) => (
+                    <button
+                      key={action.status}
+                      onClick={() => handleStatus(action.status)}
+                      disabled={setStatus.isPending}
+                      className={`px-3 py-1.5 text-sm font-medium rounded-md transition-colors disabled:opacity-50 ${action.status === 'cancelled'
+                        ? 'border border-red-300 text-red-600 hover:bg-red-50 dark:border-red-700 dark:text-red-400 dark:hover:bg-red-900/20'
+                        : 'bg-pool-blue hover:bg-pool-dark text-white'}`}
+                    >
+                      {action.label}
+                    </button>
+                  ))}
+                </div>
+              </div>
+
+              {/* Supplier and details */}
+              <div className="grid grid-cols-1 md:grid-cols-2 gap-4">
+                <div className="bg-gray-50 dark:bg-gray-700/50 rounded-lg p-4 text-sm text-gray-700 dark:text-gray-300 space-y-0.5">
+                  <p className="font-semibold text-gray-900 dark:text-white">{po.supplier?.name}</p>
+                  {po.supplier?.contact_name && <p>Attn: {po.supplier.contact_name}</p>}
+                  {po.supplier?.phone && <p>{po.supplier.phone}</p>}
+                  {po.supplier?.email && <p>{po.supplier.email}</p>}
+                  {po.supplier?.account_number && <p>Account #{po.supplier.account_number}</p>}
+                </div>
+                <div className="space-y-3">
+                  <div>
+                    <label className={labelClass}>Needed By</label>
+                    <input
+                      type="date"
+                      value={details.expected_date}
+                      onChange={(e) => setDetails((prev) => ({ ...prev, expected_date: e.target.value }))}
+                      disabled={!canEditExpenses}
+                      className={`${inputClass} disabled:opacity-60`}
+                    />
+                  </div>
+                  <div>
+                    <label className={labelClass}>Notes (printed on the PDF)</label>
+                    <textarea
+                      rows={2}
+                      maxLength={2000}
+                      value={details.notes}
+                      onChange={(e) => setDetails((prev) => ({ ...prev, notes: e.target.value }))}
+                      disabled={!canEditExpenses}
+                      className={`${inputClass} disabled:opacity-60`}
+                    />
+                  </div>
+                  {canEditExpenses && detailsChanged && (
+                    <div className="flex justify-end">
+                      <button
+                        onClick={handleSaveDetails}
+                        disabled={updatePurchaseOrder.isPending}
+                        className="px-3 py-1.5 bg-pool-blue hover:bg-pool-dark text-white text-sm font-medium rounded-md transition-colors disabled:opacity-50"
+                      >
+                        {updatePurchaseOrder.isPending ? 'Saving...' : 'Save Details'}
+                      </button>
+                    </div>
+                  )}
+                </div>
+              </div>
+
+              {/* Lines, with receiving inputs once sent */}
+              <form onSubmit={handleReceive} className="space-y-3">
+                <div className="flex items-center justify-between">
+                  <h4 className="text-sm font-semibold text-gray-800 dark:text-white">Lines</h4>
+                  {canReceive && (
+                    <button type="button" onClick={receiveAll} className="text-sm text-pool-blue hover:text-pool-dark font-medium">
+                      Receive all outstanding
+                    </button>
+                  )}
+                </div>
+                <div className="overflow-x-auto border border-gray-200 dark:border-gray-700 rounded-lg">
+                  <table className="min-w-full divide-y divide-gray-200 dark:divide-gray-700 text-sm">
+                    <thead className="bg-gray-50 dark:bg-gray-700">
+                      <tr>
+                        <th className="px-4 py-2 text-left text-xs font-medium text-gray-500 dark:text-gray-300 uppercase">Item</th>
+                        <th className="px-4 py-2 text-left text-xs font-medium text-gray-500 dark:text-gray-300 uppercase">Project</th>
+                        <th className="px-4 py-2 text-right text-xs font-medium text-gray-500 dark:text-gray-300 uppercase">Ordered</th>
+                        <th className="px-4 py-2 text-right text-xs font-medium text-gray-500 dark:text-gray-300 uppercase">Cost</th>
+                        <th className="px-4 py-2 text-right text-xs font-medium text-gray-500 dark:text-gray-300 uppercase">Received</th>
+                        {canReceive && (
+                          <>
+                            <th className="px-4 py-2 text-right text-xs font-medium text-gray-500 dark:text-gray-300 uppercase">Receive Now</th>
+                            <th className="px-4 py-2 text-right text-xs font-medium text-gray-500 dark:text-gray-300 uppercase">Actual Price</th>
+                          </>
+                        )}
+                      </tr>
+                    </thead>
+                    <tbody className="bg-white dark:bg-gray-800 divide-y divide-gray-200 dark:divide-gray-700">
+                      {po.lines.map((line) => {
+                        const outstanding = Math.round((line.quantity - line.quantity_received) * 100) / 100
+                        return (
+                          <tr key={line.id}>
+                            <td className="px-4 py-2">
+                              <div className="font-medium text-gray-900 dark:text-white">{line.description}</div>
+                              <div className="text-xs text-gray-500 dark:text-gray-400">
+                                {line.source_table === 'project_equipment' ? 'Equipment' : 'Material'}
+                                {!line.source_id && ' • project line removed'}
+                              </div>
+                            </td>
+                            <td className="px-4 py-2 text-gray-700 dark:text-gray-300">{line.project_name || '-'}</td>
+                            <td className="px-4 py-2 whitespace-nowrap text-right text-gray-700 dark:text-gray-300">
+                              {formatQuantity(line.quantity)} {line.unit || ''}
+                            </td>
+                            <td className="px-4 py-2 whitespace-nowrap text-right text-gray-700 dark:text-gray-300">
+                              {formatMoney(line.line_total)}
+                              {line.actual_price != null && line.actual_price !== line.line_total && (
+                                <div className="text-xs text-gray-500 dark:text-gray-400">Actual {formatMoney(line.actual_price)}</div>
+                              )}
+                            </td>
+                            <td className={`px-4 py-2 whitespace-nowrap text-right ${outstanding <= 0 ? 'text-green-600 dark:text-green-400 font-medium' : 'text-gray-700 dark:text-gray-300'}`}>
+                              {formatQuantity(line.quantity_received)}
+                              {line.received_on && <div className="text-xs text-gray-500 dark:text-gray-400">{formatDate(line.received_on)}</div>}
+                            </td>
+                            {canReceive && (
+                              <>
+                                <td className="px-4 py-2 text-right">
+                                  {outstanding > 0 ? (
+                                    <input
+                                      type="number"
+                                      step="0.01"
+                                      min="0"
+                                      max={outstanding}
+                                      value={receipts[line.id]?.quantity || ''}
+                                      onChange={(e) => setReceipt(line.id, 'quantity', e.target.value)}
+                                      className={`${inputClass} w-24 text-right`}
+                                      placeholder="0"
+                                    />
+                                  ) : '-'}
+                                </td>
+                                <td className="px-4 py-2 text-right">
+                                  {outstanding > 0 ? (
+                                    <input
+                                      type="number"
+                                      step="0.01"
+                                      min="0"
+                                      value={receipts[line.id]?.actual_price || ''}
+                                      onChange={(e) => setReceipt(line.id, 'actual_price', e.target.value)}
+                                      className={`${inputClass} w-28 text-right`}
+                                      placeholder={String(line.line_total)}
+                                    />
+                                  ) : '-'}
+                                </td>
+                              </>
+                            )}
+                          </tr>
+                        )
+                      })}
+                    </tbody>
+                  </table>
+                </div>
+
+                {canReceive && (
+                  <div className="flex flex-wrap items-end justify-between gap-3">
+                    <p className="text-xs text-gray-500 dark:text-gray-400 max-w-md">
+                      A line received in full stamps its received date and actual price (the ordered cost if left blank) on the project&apos;s expenses. Stocked items are booked into inventory.
+                    </p>
+                    <div className="flex items-end gap-3">
+                      <div>
+                        <label className={labelClass}>Received On</label>
+                        <input type="date" value={receivedOn} onChange={(e) => setReceivedOn(e.target.value)} className={inputClass} />
+                      </div>
+                      <button
+                        type="submit"
+                        disabled={receive.isPending}
+                        className="px-4 py-2 bg-pool-blue hover:bg-pool-dark text-white text-sm font-medium rounded-md transition-colors disabled:opacity-50"
+                      >
+                        {receive.isPending ? 'Saving...' : 'Record Receipt'}
+                      </button>
+                    </div>
+                  </div>
+                )}
+              </form>
+            </>
+          )}
+        </div>
+      </div>
+    </div>
+  )
+}
+
+export default PurchaseOrderModal
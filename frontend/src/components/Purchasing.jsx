@@ -0,0 +1,342 @@
+import { useState } from 'react'
+import {
+  usePurchaseOrders,
+  useSuppliers,
+  useCreateSupplier,
+  useUpdateSupplier,
+  useDeleteSupplier,
+  useHasPermission,
+} from '../hooks/useApi'
+import PurchaseOrderModal, { PO_STATUS_LABELS, PO_STATUS_BADGES } from './PurchaseOrderModal'
+import PurchaseOrderBuilder from './PurchaseOrderBuilder'
+import PriceListImportModal from './PriceListImportModal'
+import { formatPhoneInput } from '../utils/phoneFormat'
+
+const formatMoney = (value) =>
+  `$${(value || 0).toLocaleString('en-US', { minimumFractionDigits: 2, maximumFractionDigits: 2 })}`
+
+const formatDate = (isoDate) => (isoDate ? new Date(`${isoDate}T00:00:00`).toLocaleDateString() : '-')
+
+const emptySupplier = { name: '', contact_name: '', phone: '', email: '', address: '', account_number: '', notes: '' }
+
+const inputClass = 'w-full px-3 py-2 border border-gray-300 dark:border-gray-600 rounded-md focus:outline-none focus:ring-2 focus:ring-pool-blue focus:border-transparent bg-white dark:bg-gray-700 text-sm text-gray-900 dark:text-white'
+const labelClass = 'block text-sm font-medium text-gray-700 dark:text-gray-300 mb-1'
+const thClass = 'px-4 py-3 text-xs font-medium text-gray-500 dark:text-gray-300 uppercase tracking-wider'
+
+/**
+ * Purchase orders built from project material and equipment lines, and the suppliers they go to.
+ */
+function Purchasing() {
+  const canEditExpenses = useHasPermission('edit_expenses')
+  const canDeleteRecords = useHasPermission('delete_records')
+  const [tab, setTab] = useState('orders')
+  const [statusFilter, setStatusFilter] = useState('')
+  const [supplierFilter, setSupplierFilter] = useState('')
+  const [openPurchaseOrderId, setOpenPurchaseOrderId] = useState(null)
+  const [showBuilder, setShowBuilder] = useState(false)
+  const [editingSupplier, setEditingSupplier] = useState(null)
+  const [supplierForm, setSupplierForm] = useState(null)
+  const [priceListSupplier, setPriceListSupplier] = useState(null)
+  const [message, setMessage] = useState({ type: '', text: '' })
+
+  const { data: purchaseOrders = [], isLoading: loadingOrders } = usePurchaseOrders({ status: statusFilter, supplier_id: supplierFilter })
+  const { data: suppliers = [], isLoading: loadingSuppliers } = useSuppliers()
+  const createSupplier = useCreateSupplier()
+  const updateSupplier = useUpdateSupplier()
+  const deleteSupplier = useDeleteSupplier()
+
+  const showMessage = (type, text) => {
+    setMessage({ type, text })
+    setTimeout(() => setMessage({ type: '', text: '' }), 4000)
+  }
+
+  const openSupplierForm = (supplier = null) => {
+    setEditingSupplier(supplier)
+    setSupplierForm(supplier
+      ? Object.fromEntries(Object.keys(emptySupplier).map((field) => [field, supplier[field] || '']))
+      : emptySupplier)
+  }
+
+  const closeSupplierForm = () => {
+    setEditingSupplier(null)
+    setSupplierForm(null)
+  }
+
+  const handleSupplierSubmit = async (e) => {
+    e.preventDefault()
+    const payload = Object.fromEntries(Object.entries(supplierForm).map(([field, value]) => [field, value.trim() || null]))
+    try {
+      if (editingSupplier) {
+        await updateSupplier.mutateAsync({ id: editingSupplier.id, data: payload })
+        showMessage('success', 'Supplier updated')
+      } else {
+        await createSupplier.mutateAsync(payload)
+        showMessage('success', 'Supplier added')
+      }
+      closeSupplierForm()
+    } catch (err) {
+      showMessage('error', err?.response?.data?.error || 'Failed to save supplier')
+    }
+  }
+
+  const handleDeleteSupplier = async (supplier) => {
+    if (!window.confirm(`Delete ${supplier.name}?`)) return
+    try {
+      await deleteSupplier.mutateAsync(supplier.id)
+      showMessage('success', 'Supplier deleted')
+    } catch (err) {
+      showMessage('error', err?.response?.data?.error || 'Failed to delete supplier')
+    }
+  }
+
+  const handleCreated = (created) => {
+    setShowBuilder(false)
+    showMessage('success', created.length === 1
+      ? `PO #${created[0].po_number} created as a draft`
+      : `${created.length} draft purchase orders created (${created.map((po) => `#${po.po_number}`).join(', ')})`)
+    if (created.length === 1) setOpenPurchaseOrderId(created[0].id)
+  }
+
+  const tabClass = (value) => `px-4 py-2 text-sm font-medium border-b-2 transition-colors ${tab === value
+    ? 'border-pool-blue text-pool-blue'
+    : 'border-transparent text-gray-500 dark:text-gray-400 hover:text-gray-700 dark:hover:text-gray-200'}`
+
+  return (
+    <div className="space-y-6">
+      {/* Header */}
+      <div className="flex flex-wrap justify-between items-start gap-4">
+        <div>
+          <h2 className="text-2xl font-bold text-gray-800 dark:text-white">Purchasing</h2>
+          <p className="text-gray-600 dark:text-gray-400 mt-1">
+            Order project materials and equipment from suppliers and receive them against the order.
+          </p>
+        </div>
+        {canEditExpenses && (
+          tab === 'orders' ? (
+            <button
+              onClick={() => setShowBuilder(true)}
+              className="px-4 py-2 bg-pool-blue hover:bg-pool-dark text-white text-sm font-medium rounded-md transition-colors"
+            >
+              New Purchase Order
+            </button>
+          ) : (
+            <button
+              onClick={() => openSupplierForm()}
+              className="px-4 py-2 bg-pool-blue hover:bg-pool-dark text-white text-sm font-medium rounded-md transition-colors"
+            >
+              Add Supplier
+            </button>
+          )
+        )}
+      </div>
+
+      {message.text && (
+        <div className={`p-3 rounded-md text-sm border ${message.type === 'error' ? 'bg-red-50 border-red-200 text-red-700' : 'bg-green-50 border-green-200 text-green-700'}`}>
+          {message.text}
+        </div>
+      )}
+
+      <div className="border-b border-gray-200 dark:border-gray-700 flex gap-2">
+        <button onClick={() => setTab('orders')} className={tabClass('orders')}>Purchase Orders</button>
+        <button onClick={() => setTab('suppliers')} className={tabClass('suppliers')}>Suppliers</button>
+      </div>
+
+      {tab === 'orders' ? (
+        <div className="bg-white dark:bg-gray-800 rounded-lg shadow">
+          <div className="p-4 flex flex-wrap gap-3 border-b border-gray-200 dark:border-gray-700">
+            <select value={statusFilter} onChange={(e) => setStatusFilter(e.target.value)} className={`${inputClass} sm:w-48`}>
+              <option value="">All statuses</option>
+              {Object.entries(PO_STATUS_LABELS).map(([value, label]) => (
+                <option key={value} value={value}>{label}</option>
+              ))}
+            </select>
+            <select value={supplierFilter} onChange={(e) => setSupplierFilter(e.target.value)} className={`${inputClass} sm:w-64`}>
+              <option value="">All suppliers</option>
+              {suppliers.map((supplier) => (
+                <option key={supplier.id} value={supplier.id}>{supplier.name}</option>
+              ))}
+            </select>
+          </div>
+
+          {loadingOrders ? (
+            <div className="flex items-center justify-center py-10">
+              <div className="animate-spin rounded-full h-8 w-8 border-b-2 border-pool-blue"></div>
+            </div>
+          ) : purchaseOrders.length === 0 ? (
+            <p className="text-sm text-gray-500 dark:text-gray-400 text-center py-10">
+              {statusFilter || supplierFilter ? 'No purchase orders match these filters.' : 'No purchase orders yet.'}
+            </p>
+          ) : (
+            <div className="overflow-x-auto">
+              <table className="min-w-full divide-y divide-gray-200 dark:divide-gray-700">
+                <thead className="bg-gray-50 dark:bg-gray-700">
+                  <tr>
+                    <th className={`${thClass} text-left`}>PO #</th>
+                    <th className={`${thClass} text-left`}>Supplier</th>
+                    <th className={`${thClass} text-left`}>Projects</th>
+                    <th className={`${thClass} text-left`}>Ordered</th>
+                    <th className={`${thClass} text-left`}>Needed By</th>
+                    <th className={`${thClass} text-right`}>Total</th>
+                    <th className={`${thClass} text-left`}>Status</th>
+                  </tr>
+                </thead>
+                <tbody className="bg-white dark:bg-gray-800 divide-y divide-gray-200 dark:divide-gray-700">
+                  {purchaseOrders.map((po) => (
+                    <tr
+                      key={po.id}
+                      onClick={() => setOpenPurchaseOrderId(po.id)}
+                      className="hover:bg-gray-50 dark:hover:bg-gray-700/50 cursor-pointer"
+                    >
+                      <td className="px-4 py-3 text-sm font-medium text-pool-blue whitespace-nowrap">#{po.po_number}</td>
+                      <td className="px-4 py-3 text-sm text-gray-900 dark:text-white">{po.supplier?.name || '-'}</td>
+                      <td className="px-4 py-3 text-sm text-gray-700 dark:text-gray-300">
+                        {[...new Set(po.lines.map((line) => line.project_name).filter(Boolean))].join(', ') || '-'}
+                      </td>
+                      <td className="px-4 py-3 text-sm text-gray-700 dark:text-gray-300 whitespace-nowrap">{formatDate(po.order_date)}</td>
+                      <td className="px-4 py-3 text-sm text-gray-700 dark:text-gray-300 whitespace-nowrap">{formatDate(po.expected_date)}</td>
+                      <td className="px-4 py-3 text-sm text-right text-gray-900 dark:text-white whitespace-nowrap">{formatMoney(po.total)}</td>
+                      <td className="px-4 py-3 whitespace-nowrap">
+                        <span className={`px-2 py-0.5 rounded-full text-xs font-medium ${PO_STATUS_BADGES[po.status]}`}>
+                          {PO_STATUS_LABELS[po.status]}
+                        </span>
+                      </td>
+                    </tr>
+                  ))}
+                </tbody>
+              </table>
+            </div>
+          )}
+        </div>
+      ) : (
+        <div className="bg-white dark:bg-gray-800 rounded-lg shadow">
+          {loadingSuppliers ? (
+            <div className="flex items-center justify-center py-10">
+              <div className="animate-spin rounded-full h-8 w-8 border-b-2 border-pool-blue"></div>
+            </div>
+          ) : suppliers.length === 0 ? (
+            <p className="text-sm text-gray-500 dark:text-gray-400 text-center py-10">No suppliers yet.</p>
+          ) : (
+            <div className="overflow-x-auto">
+              <table className="min-w-full divide-y divide-gray-200 dark:divide-gray-700">
+                <thead className="bg-gray-50 dark:bg-gray-700">
+                  <tr>
+                    <th className={`${thClass} text-left`}>Name</th>
+                    <th className={`${thClass} text-left`}>Contact</th>
+                    <th className={`${thClass} text-left`}>Phone</th>
+                    <th className={`${thClass} text-left`}>Email</th>
+                    <th className={`${thClass} text-left`}>Account #</th>
+                    {(canEditExpenses || canDeleteRecords) && <th className={`${thClass} text-right`}>Actions</th>}
+                  </tr>
+                </thead>
+                <tbody className="bg-white dark:bg-gray-800 divide-y divide-gray-200 dark:divide-gray-700">
+                  {suppliers.map((supplier) => (
+                    <tr key={supplier.id}>
+                      <td className="px-4 py-3 text-sm font-medium text-gray-900 dark:text-white">{supplier.name}</td>
+                      <td className="px-4 py-3 text-sm text-gray-700 dark:text-gray-300">{supplier.contact_name || '-'}</td>
+                      <td className="px-4 py-3 text-sm text-gray-700 dark:text-gray-300 whitespace-nowrap">{supplier.phone || '-'}</td>
+                      <td className="px-4 py-3 text-sm text-gray-700 dark:text-gray-300">{supplier.email || '-'}</td>
+                      <td className="px-4 py-3 text-sm text-gray-700 dark:text-gray-300">{supplier.account_number || '-'}</td>
+                      {(canEditExpenses || canDeleteRecords) && (
+                        <td className="px-4 py-3 text-sm text-right whitespace-nowrap space-x-3">
+                          {canEditExpenses && (
+                            <>
+                              <button onClick={() => setPriceListSupplier(supplier)} className="text-pool-blue hover:text-pool-dark font-medium">Import Prices</button>
+                              <button onClick={() => openSupplierForm(supplier)} className="text-pool-blue hover:text-pool-dark font-medium">Edit</button>
+                            </>
+                          )}
+                          {canDeleteRecords && (
+                            <button onClick={() => handleDeleteSupplier(supplier)} className="text-red-600 hover:text-red-800 font-medium">Delete</button>
+                          )}
+                        </td>
+                      )}
+                    </tr>
+                  ))}
+                </tbody>
+              </table>
+            </div>
+          )}
+        </div>
+      )}
+
+      {/* Supplier form */}
+      {supplierForm && (
+        <div className="fixed inset-0 bg-black bg-opacity-50 flex items-center justify-center z-50 p-4" onClick={closeSupplierForm}>
+          <div className="bg-white dark:bg-gray-800 rounded-xl shadow-2xl max-w-2xl w-full max-h-[90vh] overflow-hidden flex flex-col" onClick={(e) => e.stopPropagation()}>
+            <div className="bg-gradient-to-r from-pool-blue to-pool-dark px-6 py-4 flex-shrink-0 rounded-t-xl">
+              <h3 className="text-xl font-bold text-white">{editingSupplier ? 'Edit Supplier' : 'Add Supplier'}</h3>
+            </div>
+            <form onSubmit={handleSupplierSubmit} className="p-6 overflow-y-auto flex-1 space-y-4">
+              <div>
+                <label className={labelClass}>Name *</label>
+                <input
+                  type="text"
+                  required
+                  maxLength={500}
+                  value={supplierForm.name}
+                  onChange={(e) => setSupplierForm((prev) => ({ ...prev, name: e.target.value }))}
+                  className={inputClass}
+                />
+              </div>
+              <div className="grid grid-cols-1 sm:grid-cols-2 gap-4">
+                <div>
+                  <label className={labelClass}>Contact Name</label>
+                  <input type="text" maxLength={255} value={supplierForm.contact_name} onChange={(e) => setSupplierForm((prev) => ({ ...prev, contact_name: e.target.value }))} className={inputClass} />
+                </div>
+                <div>
+                  <label className={labelClass}>Account Number</label>
+                  <input type="text" maxLength={100} value={supplierForm.account_number} onChange={(e) => setSupplierForm((prev) => ({ ...prev, account_number: e.target.value }))} className={inputClass} placeholder="Your account with this supplier" />
+                </div>
+                <div>
+                  <label className={labelClass}>Phone</label>
+                  <input type="tel" value={supplierForm.phone} onChange={(e) => setSupplierForm((prev) => ({ ...prev, phone: formatPhoneInput(e.target.value) }))} className={inputClass} />
+                </div>
+                <div>
+                  <label className={labelClass}>Email</label>
+                  <input type="email" value={supplierForm.email} onChange={(e) => setSupplierForm((prev) => ({ ...prev, email: e.target.value }))} className={inputClass} />
+                </div>
+              </div>
+              <div>
+                <label className={labelClass}>Address</label>
+                <textarea rows={2} maxLength={1000} value={supplierForm.address} onChange={(e) => setSupplierForm((prev) => ({ ...prev, address: e.target.value }))} className={inputClass} />
+              </div>
+              <div>
+                <label className={labelClass}>Notes</label>
+                <textarea rows={2} maxLength={5000} value={supplierForm.notes} onChange={(e) => setSupplierForm((prev) => ({ ...prev, notes: e.target.value }))} className={inputClass} />
+              </div>
+              <div className="flex justify-end gap-3 pt-2">
+                <button
+                  type="button"
+                  onClick={closeSupplierForm}
+                  className="px-4 py-2 border border-gray-300 dark:border-gray-600 text-gray-700 dark:text-gray-300 text-sm rounded-md hover:bg-gray-50 dark:hover:bg-gray-700 transition-colors"
+                >
+                  Cancel
+                </button>
+                <button
+                  type="submit"
+                  disabled={createSupplier.isPending || updateSupplier.isPending}
+                  className="px-4 py-2 bg-pool-blue hover:bg-pool-dark text-white text-sm font-medium rounded-md transition-colors disabled:opacity-50"
+                >
+                  {createSupplier.isPending || updateSupplier.isPending ? 'Saving...' : editingSupplier ? 'Update Supplier' : 'Add Supplier'}
+                </button>
+              </div>
+            </form>
+          </div>
+        </div>
+      )}
+
+      {priceListSupplier && (
+        <PriceListImportModal supplier={priceListSupplier} onClose={() => setPriceListSupplier(null)} />
+      )}
+
+      {showBuilder && (
+        <PurchaseOrderBuilder onClose={() => setShowBuilder(false)} onCreated={handleCreated} />
+      )}
+
+      {openPurchaseOrderId && (
+        <PurchaseOrderModal purchaseOrderId={openPurchaseOrderId} onClose={() => setOpenPurchaseOrderId(null)} />
+      )}
+    </div>
+  )
+}
+
+export default Purchasing
@@ -0,0 +1,350 @@
+import { Fragment, useState, useEffect } from 'react'
+import { useAgingReport, usePaymentReminders, useSendInvoiceReminder, useUpdateReminderSettings, useHasPermission } from '../hooks/useApi'
+
+const formatMoney = (value) => `$${(value || 0).toLocaleString('en-US', { minimumFractionDigits: 2, maximumFractionDigits: 2 })}`
+const formatDate = (isoDate) => (isoDate ? new Date(`${isoDate}T00:00:00`).toLocaleDateString() : '—')
+
+const BUCKET_COLORS = {
+  current: 'text-gray-900 dark:text-white',
+  days_1_30: 'text-yellow-700 dark:text-yellow-400',
+  days_31_60: 'text-orange-600 dark:text-orange-400',
+  days_61_90: 'text-red-600 dark:text-red-400',
+  over_90: 'text-red-800 dark:text-red-300',
+}
+
+const STATUS_STYLES = {
+  sent: 'bg-green-100 text-green-800 dark:bg-green-900/40 dark:text-green-300',
+  failed: 'bg-red-100 text-red-800 dark:bg-red-900/40 dark:text-red-300',
+  skipped: 'bg-gray-100 text-gray-700 dark:bg-gray-700 dark:text-gray-300',
+}
+
+const CHANNEL_LABELS = { sms: 'SMS', email: 'Email' }
+
+const TIME_ZONES = [
+  { value: 'America/Los_Angeles', label: 'Pacific' },
+  { value: 'America/Denver', label: 'Mountain' },
+  { value: 'America/Phoenix', label: 'Arizona' },
+  { value: 'America/Chicago', label: 'Central' },
+  { value: 'America/New_York', label: 'Eastern' },
+  { value: 'America/Anchorage', label: 'Alaska' },
+  { value: 'Pacific/Honolulu', label: 'Hawaii' },
+]
+
+function Receivables() {
+  const { data, isLoading, error } = useAgingReport()
+  const { data: reminders = [], isLoading: loadingReminders } = usePaymentReminders()
+  const sendReminder = useSendInvoiceReminder()
+  const updateSettings = useUpdateReminderSettings()
+  const canManageInvoices = useHasPermission('manage_invoices')
+  const [expanded, setExpanded] = useState({})
+  const [sendingId, setSendingId] = useState(null)
+  const [intervalInput, setIntervalInput] = useState('')
+  const [message, setMessage] = useState({ type: '', text: '' })
+
+  const settings = data?.settings
+  const buckets = data?.buckets || []
+  const customers = data?.customers || []
+
+  useEffect(() => {
+    if (settings?.intervalDays) setIntervalInput(String(settings.intervalDays))
+  }, [settings?.intervalDays])
+
+  const showMessage = (type, text) => {
+    setMessage({ type, text })
+    setTimeout(() => setMessage({ type: '', text: '' }), 4000)
+  }
+
+  const toggleCustomer = (key) => setExpanded((prev) => ({ ...prev, [key]: !prev[key] }))
+
+  const handleSendReminder = async (invoice) => {
+    setSendingId(invoice.id)
+    try {
+      const results = await sendReminder.mutateAsync(invoice.id)
+      const sent = results.filter((r) => r.status === 'sent').map((r) => CHANNEL_LABELS[r.channel])
+      if (sent.length > 0) {
+        showMessage('success', `Reminder for invoice #${invoice.invoice_number} sent by ${sent.join(' and ')}`)
+      } else {
+        showMessage('error', `No reminder sent for invoice #${invoice.invoice_number}: ${results.map((r) => r.detail).filter(Boolean).join('; ')}`)
+      }
+    } catch (err) {
+      showMessage('error', err?.response?.data?.error || 'Failed to send reminder')
+    } finally {
+      setSendingId(null)
+    }
+  }
+
+  const handleSaveSettings = async (changes) => {
+    try {
+      await updateSettings.mutateAsync(changes)
+      showMessage('success', 'Reminder settings saved')
+    } catch (err) {
+      showMessage('error', err?.response?.data?.error || 'Failed to save reminder settings')
+    }
+  }
+
+  const intervalValue = parseInt(intervalInput, 10)
+  const intervalValid = intervalValue >= 1 && intervalValue <= 90
+  const inputClass = 'px-3 py-2 border border-gray-300 dark:border-gray-600 rounded-md focus:outline-none focus:ring-2 focus:ring-pool-blue focus:border-transparent bg-white dark:bg-gray-700 text-sm text-gray-900 dark:text-white'
+  const thClass = 'px-4 py-3 text-xs font-medium text-gray-500 dark:text-gray-300 uppercase tracking-wider'
+
+  const bucketCells = (row, strong = false) => (
+    <>
+      {buckets.map((b) => (
+        <td key={b.key} className={`px-4 py-3 text-sm text-right whitespace-nowrap ${row[b.key] > 0 ? BUCKET_COLORS[b.key] : 'text-gray-400 dark:text-gray-500'}`}>
+          {row[b.key] > 0 ? formatMoney(row[b.key]) : '—'}
+        </td>
+      ))}
+      <td className={`px-4 py-3 text-sm text-right whitespace-nowrap text-gray-900 dark:text-white ${strong ? 'font-bold' : 'font-semibold'}`}>
+        {formatMoney(row.total)}
+      </td>
+    </>
+  )
+
+  return (
+    <div className="space-y-6">
+      {/* Header */}
+      <div>
+        <h2 className="text-2xl font-bold text-gray-800 dark:text-white">Receivables</h2>
+        <p className="text-gray-600 dark:text-gray-400 mt-1">
+          Unpaid invoice balances by how long they are past due, and the payment reminders sent to customers.
+        </p>
+      </div>
+
+      {message.text && (
+        <div className={`p-3 rounded-md text-sm border ${message.type === 'error' ? 'bg-red-50 border-red-200 text-red-700' : 'bg-green-50 border-green-200 text-green-700'}`}>
+          {message.text}
+        </div>
+      )}
+
+      {error && (
+        <div className="p-3 bg-red-50 border border-red-200 text-red-700 rounded-md text-sm">
+          {error?.response?.data?.error || 'Failed to load receivables'}
+        </div>
+      )}
+
+      {/* Bucket totals */}
+      {data && (
+        <div className="grid grid-cols-2 md:grid-cols-3 lg:grid-cols-6 gap-4">
+          {buckets.map((b) => (
+            <div key={b.key} className="bg-white dark:bg-gray-800 rounded-lg shadow p-4">
+              <p className="text-xs text-gray-500 dark:text-gray-400 uppercase tracking-wide">{b.label}</p>
+              <p className={`text-xl font-bold mt-1 ${data.totals[b.key] > 0 ? BUCKET_COLORS[b.key] : 'text-gray-400 dark:text-gray-500'}`}>
+                {formatMoney(data.totals[b.key])}
+              </p>
+            </div>
+          ))}
+          <div className="bg-white dark:bg-gray-800 rounded-lg shadow p-4 border-l-4 border-pool-blue">
+            <p className="text-xs text-gray-500 dark:text-gray-400 uppercase tracking-wide">Total Due</p>
+            <p className="text-xl font-bold text-gray-900 dark:text-white mt-1">{formatMoney(data.totals.total)}</p>
+          </div>
+        </div>
+      )}
+
+      {/* Reminder settings */}
+      {settings && (
+        <div className="bg-white dark:bg-gray-800 rounded-lg shadow p-4 space-y-3">
+          <div className="flex flex-col sm:flex-row sm:items-end gap-4">
+            <label className="flex items-center gap-2 text-sm text-gray-700 dark:text-gray-300">
+              <input
+                type="checkbox"
+                checked={settings.enabled}
+                disabled={!canManageInvoices || updateSettings.isPending}
+                onChange={(e) => handleSaveSettings({ enabled: e.target.checked })}
+                className="h-4 w-4 text-pool-blue border-gray-300 rounded focus:ring-pool-blue"
+              />
+              <span className="font-medium">Send automatic reminders for overdue invoices</span>
+            </label>
+            <div className="flex items-end gap-2 sm:ml-auto">
+              <div>
+                <label className="block text-xs font-medium text-gray-600 dark:text-gray-400 mb-1">Time zone</label>
+                <select
+                  value={settings.timeZone}
+                  disabled={!canManageInvoices || updateSettings.isPending}
+                  onChange={(e) => handleSaveSettings({ time_zone: e.target.value })}
+                  className={inputClass}
+                >
+                  {TIME_ZONES.map((tz) => (
+                    <option key={tz.value} value={tz.value}>{tz.label}</option>
+                  ))}
+                  {!TIME_ZONES.some((tz) => tz.value === settings.timeZone) && (
+                    <option value={settings.timeZone}>{settings.timeZone}</option>
+                  )}
+                </select>
+              </div>
+              <div>
+                <label className="block text-xs font-medium text-gray-600 dark:text-gray-400 mb-1">Remind again every (days)</label>
+                <input
+                  type="number"
+                  min={1}
+                  max={90}
+                  value={intervalInput}
+                  disabled={!canManageInvoices}
+                  onChange={(e) => setIntervalInput(e.target.value)}
+                  className={`${inputClass} w-28`}
+                />
+              </div>
+              {canManageInvoices && (
+                <button
+                  onClick={() => handleSaveSettings({ interval_days: intervalValue })}
+                  disabled={!intervalValid || intervalValue === settings.intervalDays || updateSettings.isPending}
+                  className="px-4 py-2 bg-pool-blue hover:bg-pool-dark text-white text-sm font-medium rounded-md transition-colors disabled:opacity-50"
+                >
+                  {updateSettings.isPending ? 'Saving...' : 'Save'}
+                </button>
+              )}
+            </div>
+          </div>
+          <p className="text-xs text-gray-500 dark:text-gray-400">
+            Reminders go out by text and email between 9am and 8pm in the selected time zone, unless the customer has opted out (set on the customer).
+            {!settings.smsConfigured && ' SMS is not configured on the server, so texts are skipped.'}
+            {!settings.emailConfigured && ' Email reminders are not configured on the server, so emails will fail.'}
+          </p>
+        </div>
+      )}
+
+      {/* Aging table */}
+      <div className="bg-white dark:bg-gray-800 rounded-lg shadow overflow-hidden">
+        {isLoading ? (
+          <div className="flex items-center justify-center py-12">
+            <div className="animate-spin rounded-full h-10 w-10 border-b-2 border-pool-blue"></div>
+          </div>
+        ) : customers.length === 0 ? (
+          <p className="text-center py-12 text-gray-500 dark:text-gray-400">No unpaid invoices</p>
+        ) : (
+          <div className="overflow-x-auto">
+            <table className="min-w-full divide-y divide-gray-200 dark:divide-gray-700">
+              <thead className="bg-gray-50 dark:bg-gray-700">
+                <tr>
+                  <th className={`${thClass} text-left`}>Customer / Project</th>
+                  {buckets.map((b) => (
+                    <th key={b.key} className={`${thClass} text-right`}>{b.label}</th>
+                  ))}
+                  <th className={`${thClass} text-right`}>Total</th>
+                </tr>
+              </thead>
+              <tbody className="divide-y divide-gray-200 dark:divide-gray-700">
+                {customers.map((customer) => {
+                  const key = customer.customer_id || 'none'
+                  const isOpen = !!expanded[key]
+                  return (
+                    <Fragment key={key}>
+                      <tr onClick={() => toggleCustomer(key)} className="cursor-pointer hover:bg-gray-50 dark:hover:bg-gray-700/50">
+                        <td className="px-4 py-3 text-sm">
+                          <div className="flex items-center gap-2">
+                            <span className="text-gray-400 w-3">{isOpen ? '▾' : '▸'}</span>
+                            <span className="font-medium text-gray-900 dark:text-white">{customer.name}</span>
+                            {customer.reminder_sms_opt_out && (
+                              <span className="px-1.5 py-0.5 text-xs rounded bg-gray-100 dark:bg-gray-700 text-gray-600 dark:text-gray-300">No SMS</span>
+                            )}
+                            {customer.reminder_email_opt_out && (
+                              <span className="px-1.5 py-0.5 text-xs rounded bg-gray-100 dark:bg-gray-700 text-gray-600 dark:text-gray-300">No email</span>
+                            )}
+                          </div>
+                        </td>
+                        {bucketCells(customer.buckets)}
+                      </tr>
+                      {isOpen && customer.projects.map((project) => (
+                        <Fragment key={project.project_id}>
+                          <tr className="bg-gray-50 dark:bg-gray-900/40">
+                            <td className="px-4 py-2 pl-10 text-sm text-gray-700 dark:text-gray-300">{project.name}</td>
+                            {bucketCells(project.buckets)}
+                          </tr>
+                          {project.invoices.map((invoice) => (
+                            <tr key={invoice.id} className="bg-gray-50 dark:bg-gray-900/40">
+                              <td colSpan={buckets.length + 2} className="px-4 py-2 pl-16 text-xs text-gray-600 dark:text-gray-400">
+                                <div className="flex flex-wrap items-center gap-x-4 gap-y-1">
+                                  <span className="font-medium text-gray-800 dark:text-gray-200">Invoice #{invoice.invoice_number}</span>
+                                  <span>Due {formatDate(invoice.due_date || invoice.invoice_date)}</span>
+                                  <span className={invoice.days_overdue > 0 ? BUCKET_COLORS[invoice.bucket] : ''}>
+                                    {invoice.days_overdue > 0 ? `${invoice.days_overdue} day${invoice.days_overdue === 1 ? '' : 's'} overdue` : 'Not yet due'}
+                                  </span>
+                                  <span>Balance {formatMoney(invoice.balance_due)}</span>
+                                  <span>Last reminder: {invoice.last_reminder_at ? new Date(invoice.last_reminder_at).toLocaleDateString() : 'never'}</span>
+                                  {canManageInvoices && invoice.days_overdue > 0 && (
+                                    <button
+                                      onClick={() => handleSendReminder(invoice)}
+                                      disabled={sendingId === invoice.id}
+                                      className="ml-auto text-pool-blue hover:text-pool-dark font-medium disabled:opacity-50"
+                                    >
+                                      {sendingId === invoice.id ? 'Sending...' : 'Send reminder'}
+                                    </button>
+                                  )}
+                                </div>
+                              </td>
+                            </tr>
+                          ))}
+                        </Fragment>
+                      ))}
+                    </Fragment>
+                  )
+                })}
+                <tr className="bg-gray-50 dark:bg-gray-700">
+                  <td className="px-4 py-3 text-sm font-bold text-gray-900 dark:text-white">Total</td>
+                  {bucketCells(data.totals, true)}
+                </tr>
+              </tbody>
+            </table>
+          </div>
+        )}
+      </div>
+
+      {/* Reminder log */}
+      <div className="bg-white dark:bg-gray-800 rounded-lg shadow overflow-hidden">
+        <div className="px-4 py-3 border-b border-gray-200 dark:border-gray-700">
+          <h3 className="text-lg font-semibold text-gray-800 dark:text-white">Reminder Log</h3>
+        </div>
+        {loadingReminders ? (
+          <div className="flex items-center justify-center py-8">
+            <div className="animate-spin rounded-full h-8 w-8 border-b-2 border-pool-blue"></div>
+          </div>
+        ) : reminders.length === 0 ? (
+          <p className="text-center py-8 text-gray-500 dark:text-gray-400">No reminders sent yet</p>
+        ) : (
+          <div className="overflow-x-auto">
+            <table className="min-w-full divide-y divide-gray-200 dark:divide-gray-700">
+              <thead className="bg-gray-50 dark:bg-gray-700">
+                <tr>
+                  <th className={`${thClass} text-left`}>When</th>
+                  <th className={`${thClass} text-left`}>Invoice</th>
+                  <th className={`${thClass} text-left`}>Customer</th>
+                  <th className={`${thClass} text-left`}>Channel</th>
+                  <th className={`${thClass} text-left`}>Status</th>
+                  <th className={`${thClass} text-right`}>Balance</th>
+                  <th className={`${thClass} text-left`}>Sent by</th>
+                </tr>
+              </thead>
+              <tbody className="divide-y divide-gray-200 dark:divide-gray-700">
+                {reminders.map((reminder) => (
+                  <tr key={reminder.id}>
+                    <td className="px-4 py-3 text-sm text-gray-700 dark:text-gray-300 whitespace-nowrap">{new Date(reminder.created_at).toLocaleString()}</td>
+                    <td className="px-4 py-3 text-sm text-gray-700 dark:text-gray-300 whitespace-nowrap">
+                      #{reminder.invoice_number}
+                      {reminder.days_overdue > 0 && <span className="text-xs text-gray-500 dark:text-gray-400"> ({reminder.days_overdue}d overdue)</span>}
+                    </td>
+                    <td className="px-4 py-3 text-sm text-gray-700 dark:text-gray-300">
+                      <div>{reminder.customer_name || '—'}</div>
+                      {reminder.recipient && <div className="text-xs text-gray-500 dark:text-gray-400">{reminder.recipient}</div>}
+                    </td>
+                    <td className="px-4 py-3 text-sm text-gray-700 dark:text-gray-300">{CHANNEL_LABELS[reminder.channel] || reminder.channel}</td>
+                    <td className="px-4 py-3 text-sm">
+                      <span className={`px-2 py-0.5 text-xs font-medium rounded-full capitalize ${STATUS_STYLES[reminder.status] || STATUS_STYLES.skipped}`}>
+                        {reminder.status}
+                      </span>
+                      {reminder.detail && <div className="text-xs text-gray-500 dark:text-gray-400 mt-1">{reminder.detail}</div>}
+                    </td>
+                    <td className="px-4 py-3 text-sm text-right text-gray-700 dark:text-gray-300 whitespace-nowrap">
+                      {reminder.balance_due === null ? '—' : formatMoney(reminder.balance_due)}
+                    </td>
+                    <td className="px-4 py-3 text-sm text-gray-700 dark:text-gray-300 whitespace-nowrap">{reminder.sent_by_name || 'Automatic'}</td>
+                  </tr>
+                ))}
+              </tbody>
+            </table>
+          </div>
+        )}
+      </div>
+    </div>
+  )
+}
+
+export default Receivables
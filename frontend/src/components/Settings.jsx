@@ -3,11 +3,16 @@ import { useNavigate } from 'react-router-dom'
 import { useAuth } from '../context/AuthContext'
 import { useTheme } from '../context/ThemeContext'
 import axios from 'axios'
+import PermissionsMatrix from './PermissionsMatrix'
+import ContractClauses from './ContractClauses'
+import EstimatingRates from './EstimatingRates'
+import { useHasPermission } from '../hooks/useApi'
 
 function Settings() {
   const { user, currentCompanyID, supabase, logout, getAuthHeaders } = useAuth()
   const navigate = useNavigate()
   const { theme, toggleTheme, isDark } = useTheme()
+  const canManageCompany = useHasPermission('manage_company')
   
   const getAuthHeadersAsync = useCallback(async () => {
     if (!supabase) return {}
@@ -306,7 +311,7 @@ function Settings() {
             <div className="flex items-center gap-4 pt-4 border-t border-gray-200 dark:border-gray-700">
               <button
                 onClick={saveDocPrefs}
-                disabled={saving || !hasChanges}
+                disabled={saving || !hasChanges || !canManageCompany}
                 className="px-4 py-2 bg-pool-blue hover:bg-pool-dark text-white font-medium rounded-md transition-colors disabled:opacity-50 flex items-center gap-2"
               >
                 {saving ? (
@@ -333,6 +338,15 @@ function Settings() {
         )}
       </div>
 
+      {/* Contract Clauses */}
+      <ContractClauses />
+
+      {/* Estimating Rates */}
+      <EstimatingRates />
+
+      {/* Roles & Permissions */}
+      <PermissionsMatrix />
+
       {/* Account Details */}
       <div className="bg-white dark:bg-gray-800 rounded-lg shadow p-6">
         <h3 className="text-xl font-semibold text-gray-800 dark:text-white mb-4">
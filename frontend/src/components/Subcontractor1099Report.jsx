@@ -0,0 +1,226 @@
+import { useState } from 'react'
+import { use1099Report } from '../hooks/useApi'
+
+const formatMoney = (value) =>
+  `$${(value || 0).toLocaleString('en-US', { minimumFractionDigits: 2, maximumFractionDigits: 2 })}`
+
+const csvCell = (value) => {
+  const text = value === null || value === undefined ? '' : String(value)
+  return /[",\n\r]/.test(text) ? `"${text.replace(/"/g, '""')}"` : text
+}
+
+const CSV_COLUMNS = [
+  { label: 'Subcontractor', value: (s) => s.name },
+  { label: 'Tax ID', value: (s) => s.tax_id },
+  { label: 'Mailing Address', value: (s) => s.mailing_address },
+  { label: 'Contact', value: (s) => s.primary_contact_name },
+  { label: 'Email', value: (s) => s.primary_contact_email },
+  { label: 'Payments', value: (s) => s.payment_count },
+  { label: 'Projects', value: (s) => s.project_count },
+  { label: 'Total Paid', value: (s) => s.total_paid.toFixed(2) },
+  { label: 'Card Payments (1099-K)', value: (s) => s.card_total.toFixed(2) },
+  { label: 'Reportable Total', value: (s) => s.reportable_total.toFixed(2) },
+  { label: 'Requires 1099', value: (s) => (s.requires_1099 ? 'Yes' : 'No') },
+  { label: 'Missing Unconditional Waivers', value: (s) => s.missing_unconditional_waivers },
+]
+
+const currentYear = new Date().getFullYear()
+// Forms are filed early in the year for the year before, so that's the default
+const YEARS = Array.from({ length: 6 }, (_, i) => currentYear - i)
+
+/**
+ * Year-end report of what each subcontractor was paid, for 1099 filing. Card payments are shown but left out
+ * of the reportable total since the card processor reports them. The rows export to CSV.
+ */
+function Subcontractor1099Report({ onClose }) {
+  const [year, setYear] = useState(currentYear - 1)
+  const [thresholdInput, setThresholdInput] = useState('')
+  const [threshold, setThreshold] = useState(null)
+  const [onlyRequired, setOnlyRequired] = useState(false)
+  const { data, isLoading, error } = use1099Report(year, threshold)
+
+  const rows = (data?.subcontractors || []).filter((s) => !onlyRequired || s.requires_1099)
+  const totals = data?.totals
+
+  const applyThreshold = () => {
+    const value = parseFloat(thresholdInput)
+    setThreshold(value >= 0 ? value : null)
+  }
+
+  const handleExport = () => {
+    const lines = [
+      CSV_COLUMNS.map((c) => csvCell(c.label)).join(','),
+      ...rows.map((s) => CSV_COLUMNS.map((c) => csvCell(c.value(s))).join(',')),
+    ]
+    const blob = new Blob([`${lines.join('\r\n')}\r\n`], { type: 'text/csv;charset=utf-8' })
+    const url = URL.createObjectURL(blob)
+    const link = document.createElement('a')
+    link.href = url
+    link.download = `1099-report-${year}.csv`
+    document.body.appendChild(link)
+    link.click()
+    link.remove()
+    URL.revokeObjectURL(url)
+  }
+
+  const inputClass = 'px-3 py-2 border border-gray-300 dark:border-gray-600 rounded-md focus:outline-none focus:ring-2 focus:ring-pool-blue focus:border-transparent bg-white dark:bg-gray-700 text-sm text-gray-900 dark:text-white'
+  const labelClass = 'block text-sm font-medium text-gray-700 dark:text-gray-300 mb-1'
+  const thClass = 'px-4 py-2 text-left text-xs font-medium text-gray-500 dark:text-gray-300 uppercase'
+
+  return (
+    <div className="fixed inset-0 bg-black bg-opacity-50 flex items-center justify-center z-50 p-4" onClick={onClose}>
+      <div className="bg-white dark:bg-gray-800 rounded-xl shadow-2xl max-w-6xl w-full max-h-[90vh] overflow-hidden flex flex-col" onClick={(e) => e.stopPropagation()}>
+        {/* Header */}
+        <div className="bg-gradient-to-r from-pool-blue to-pool-dark px-6 py-4 flex-shrink-0 rounded-t-xl">
+          <div className="flex justify-between items-center">
+            <div>
+              <h3 className="text-xl font-bold text-white">1099 Report - {year}</h3>
+              <p className="text-sm text-white/80">
+                Subcontractor payments by calendar year{data ? `, filing threshold ${formatMoney(data.threshold)}` : ''}
+              </p>
+            </div>
+            <button
+              onClick={onClose}
+              className="text-white/80 hover:text-white p-1 transition-colors"
+            >
+              <svg className="w-5 h-5" fill="none" viewBox="0 0 24 24" stroke="currentColor">
+                <path strokeLinecap="round" strokeLinejoin="round" strokeWidth={2} d="M6 18L18 6M6 6l12 12" />
+              </svg>
+            </button>
+          </div>
+        </div>
+
+        <div className="p-6 overflow-y-auto flex-1 space-y-6">
+          {/* Filters */}
+          <div className="flex flex-wrap items-end gap-4">
+            <div>
+              <label className={labelClass}>Tax Year</label>
+              <select value={year} onChange={(e) => setYear(parseInt(e.target.value, 10))} className={inputClass}>
+                {YEARS.map((y) => (
+                  <option key={y} value={y}>{y}</option>
+                ))}
+              </select>
+            </div>
+            <div>
+              <label className={labelClass}>Threshold</label>
+              <input
+                type="number"
+                min="0"
+                step="0.01"
+                value={thresholdInput}
+                placeholder={data && threshold === null ? String(data.threshold) : 'Default'}
+                onChange={(e) => setThresholdInput(e.target.value)}
+                onBlur={applyThreshold}
+                onKeyDown={(e) => e.key === 'Enter' && applyThreshold()}
+                className={`${inputClass} w-32`}
+              />
+            </div>
+            <label className="flex items-center gap-2 text-sm text-gray-700 dark:text-gray-300 pb-2">
+              <input
+                type="checkbox"
+                checked={onlyRequired}
+                onChange={(e) => setOnlyRequired(e.target.checked)}
+                className="rounded border-gray-300 text-pool-blue focus:ring-pool-blue"
+              />
+              Only subcontractors needing a 1099
+            </label>
+            <button
+              onClick={handleExport}
+              disabled={rows.length === 0}
+              className="ml-auto px-4 py-2 bg-green-600 hover:bg-green-700 text-white text-sm font-semibold rounded-md transition-colors disabled:opacity-50 disabled:cursor-not-allowed"
+            >
+              Export CSV
+            </button>
+          </div>
+
+          {/* Totals */}
+          {totals && (
+            <div className="grid grid-cols-1 sm:grid-cols-3 gap-4">
+              <div className="bg-white dark:bg-gray-700 border border-gray-200 dark:border-gray-600 rounded-lg p-4">
+                <p className="text-sm text-gray-500 dark:text-gray-400">Total Paid</p>
+                <p className="text-xl font-bold text-gray-900 dark:text-white">{formatMoney(totals.total_paid)}</p>
+              </div>
+              <div className="bg-white dark:bg-gray-700 border border-gray-200 dark:border-gray-600 rounded-lg p-4">
+                <p className="text-sm text-gray-500 dark:text-gray-400">Reportable</p>
+                <p className="text-xl font-bold text-gray-900 dark:text-white">{formatMoney(totals.reportable_total)}</p>
+              </div>
+              <div className="bg-white dark:bg-gray-700 border border-gray-200 dark:border-gray-600 rounded-lg p-4">
+                <p className="text-sm text-gray-500 dark:text-gray-400">1099s to File</p>
+                <p className="text-xl font-bold text-pool-blue">{totals.requires_1099}</p>
+              </div>
+            </div>
+          )}
+
+          {totals?.missing_tax_id > 0 && (
+            <div className="p-3 rounded-md text-sm border bg-yellow-50 border-yellow-200 text-yellow-800">
+              {totals.missing_tax_id} subcontractor{totals.missing_tax_id === 1 ? ' needs' : 's need'} a 1099 but {totals.missing_tax_id === 1 ? 'has' : 'have'} no tax ID on file.
+            </div>
+          )}
+
+          {error ? (
+            <div className="p-3 rounded-md text-sm border bg-red-50 border-red-200 text-red-700">
+              {error?.response?.data?.error || 'Failed to load the 1099 report'}
+            </div>
+          ) : isLoading ? (
+            <div className="flex items-center justify-center py-6">
+              <div className="animate-spin rounded-full h-6 w-6 border-b-2 border-pool-blue"></div>
+            </div>
+          ) : rows.length === 0 ? (
+            <p className="text-sm text-gray-500 dark:text-gray-400">No subcontractor payments recorded for {year}.</p>
+          ) : (
+            <div className="overflow-x-auto border border-gray-200 dark:border-gray-700 rounded-lg">
+              <table className="min-w-full divide-y divide-gray-200 dark:divide-gray-700 text-sm">
+                <thead className="bg-gray-50 dark:bg-gray-700">
+                  <tr>
+                    <th className={thClass}>Subcontractor</th>
+                    <th className={thClass}>Tax ID</th>
+                    <th className={thClass}>Mailing Address</th>
+                    <th className={thClass}>Payments</th>
+                    <th className={thClass}>Total Paid</th>
+                    <th className={thClass}>Card</th>
+                    <th className={thClass}>Reportable</th>
+                    <th className={thClass}>1099</th>
+                  </tr>
+                </thead>
+                <tbody className="bg-white dark:bg-gray-800 divide-y divide-gray-200 dark:divide-gray-700">
+                  {rows.map((s) => (
+                    <tr key={s.subcontractor_id}>
+                      <td className="px-4 py-2 text-gray-900 dark:text-white">
+                        <div className="font-medium">{s.name}</div>
+                        {s.primary_contact_email && <div className="text-xs text-gray-500 dark:text-gray-400">{s.primary_contact_email}</div>}
+                      </td>
+                      <td className="px-4 py-2 whitespace-nowrap text-gray-700 dark:text-gray-300">
+                        {s.tax_id || <span className={s.requires_1099 ? 'text-red-600 dark:text-red-400' : ''}>Missing</span>}
+                      </td>
+                      <td className="px-4 py-2 text-gray-700 dark:text-gray-300 whitespace-pre-line">{s.mailing_address || '-'}</td>
+                      <td className="px-4 py-2 text-gray-700 dark:text-gray-300">
+                        {s.payment_count} on {s.project_count} project{s.project_count === 1 ? '' : 's'}
+                        {s.missing_unconditional_waivers > 0 && (
+                          <div className="text-xs text-orange-600 dark:text-orange-400">
+                            {s.missing_unconditional_waivers} without unconditional waiver
+                          </div>
+                        )}
+                      </td>
+                      <td className="px-4 py-2 whitespace-nowrap text-gray-700 dark:text-gray-300">{formatMoney(s.total_paid)}</td>
+                      <td className="px-4 py-2 whitespace-nowrap text-gray-500 dark:text-gray-400">{s.card_total ? formatMoney(s.card_total) : '-'}</td>
+                      <td className="px-4 py-2 whitespace-nowrap font-medium text-gray-900 dark:text-white">{formatMoney(s.reportable_total)}</td>
+                      <td className="px-4 py-2">
+                        {s.requires_1099 ? (
+                          <span className="inline-flex items-center px-2 py-0.5 rounded-full text-xs font-medium bg-blue-100 text-blue-800 dark:bg-blue-900/30 dark:text-blue-300">Required</span>
+                        ) : (
+                          <span className="text-xs text-gray-500 dark:text-gray-400">Under threshold</span>
+                        )}
+                      </td>
+                    </tr>
+                  ))}
+                </tbody>
+              </table>
+            </div>
+          )}
+        </div>
+      </div>
+    </div>
+  )
+}
+
+export default Subcontractor1099Report
@@ -0,0 +1,270 @@
+import { useState } from 'react'
+import axios from 'axios'
+import { useAuth } from '../context/AuthContext'
+import { useCoiRenewals, useAddCoiRenewal, useDeleteCoiRenewal, useHasPermission } from '../hooks/useApi'
+
+const formatDate = (isoDate) => (isoDate ? new Date(`${String(isoDate).split('T')[0]}T00:00:00`).toLocaleDateString() : '-')
+
+const emptyRenewal = { carrier: '', policy_number: '', effective_date: '', expiration_date: '', notes: '' }
+
+const STAGE_LABELS = { expiring: 'Expiring soon', expired: 'Expired' }
+
+/**
+ * A subcontractor's certificate of insurance renewals, each with its uploaded certificate, and the
+ * expiration alerts the office was sent. The latest renewal sets the subcontractor's COI expiration.
+ */
+function SubcontractorCoiModal({ subcontractor, onClose }) {
+  const { supabase, getAuthHeaders } = useAuth()
+  const { data, isLoading } = useCoiRenewals(subcontractor.id)
+  const addRenewal = useAddCoiRenewal()
+  const deleteRenewal = useDeleteCoiRenewal()
+  const canDeleteRecords = useHasPermission('delete_records')
+  const [form, setForm] = useState(emptyRenewal)
+  const [file, setFile] = useState(null)
+  const [fileInputKey, setFileInputKey] = useState(0)
+  const [message, setMessage] = useState({ type: '', text: '' })
+  const [currentExpiration, setCurrentExpiration] = useState(subcontractor.coi_expiration)
+
+  const renewals = data?.renewals || []
+  const alerts = data?.alerts || []
+
+  const showMessage = (type, text) => {
+    setMessage({ type, text })
+    setTimeout(() => setMessage({ type: '', text: '' }), 4000)
+  }
+
+  const handleSubmit = async (e) => {
+    e.preventDefault()
+    try {
+      const result = await addRenewal.mutateAsync({ subcontractorId: subcontractor.id, data: form, file })
+      setCurrentExpiration(result.subcontractor?.coi_expiration)
+      setForm(emptyRenewal)
+      setFile(null)
+      setFileInputKey((key) => key + 1)
+      showMessage('success', `Renewal recorded. COI now expires ${formatDate(result.subcontractor?.coi_expiration)}.`)
+    } catch (err) {
+      showMessage('error', err?.response?.data?.error || err.message || 'Failed to record renewal')
+    }
+  }
+
+  const handleDelete = async (renewal) => {
+    if (!window.confirm(`Remove the renewal expiring ${formatDate(renewal.expiration_date)}?`)) return
+    try {
+      const result = await deleteRenewal.mutateAsync({ subcontractorId: subcontractor.id, renewalId: renewal.id })
+      setCurrentExpiration(result.subcontractor?.coi_expiration)
+      showMessage('success', 'Renewal removed')
+    } catch (err) {
+      showMessage('error', err?.response?.data?.error || 'Failed to remove renewal')
+    }
+  }
+
+  // Open the window first so mobile browsers don't block it, then point it at the signed URL
+  const handleViewDocument = async (document) => {
+    const newWindow = window.open('about:blank', '_blank')
+    try {
+      const { data: { session } } = await supabase.auth.getSession()
+      const response = await axios.get(
+        `/api/documents/subcontractors/${subcontractor.id}/${encodeURIComponent(document.file_name)}/download`,
+        { headers: getAuthHeaders(session?.access_token) }
+      )
+      if (newWindow) newWindow.location.href = response.data.url
+      else window.location.href = response.data.url
+    } catch (err) {
+      if (newWindow) newWindow.close()
+      showMessage('error', err?.response?.data?.error || 'Failed to open certificate')
+    }
+  }
+
+  const inputClass = 'w-full px-3 py-2 border border-gray-300 dark:border-gray-600 rounded-md focus:outline-none focus:ring-2 focus:ring-pool-blue focus:border-transparent bg-white dark:bg-gray-700 text-sm text-gray-900 dark:text-white'
+  const labelClass = 'block text-sm font-medium text-gray-700 dark:text-gray-300 mb-1'
+  const thClass = 'px-4 py-2 text-left text-xs font-medium text-gray-500 dark:text-gray-300 uppercase'
+
+  return (
+    <div className="fixed inset-0 bg-black bg-opacity-50 flex items-center justify-center z-50 p-4" onClick={onClose}>
+      <div className="bg-white dark:bg-gray-800 rounded-xl shadow-2xl max-w-4xl w-full max-h-[90vh] overflow-hidden flex flex-col" onClick={(e) => e.stopPropagation()}>
+        {/* Header */}
+        <div className="bg-gradient-to-r from-pool-blue to-pool-dark px-6 py-4 flex-shrink-0 rounded-t-xl">
+          <div className="flex justify-between items-center">
+            <div>
+              <h3 className="text-xl font-bold text-white">Certificates of Insurance - {subcontractor.name}</h3>
+              <p className="text-sm text-white/80">
+                {currentExpiration ? `Current COI expires ${formatDate(currentExpiration)}` : 'No COI expiration recorded'}
+              </p>
+            </div>
+            <button
+              onClick={onClose}
+              className="text-white/80 hover:text-white p-1 transition-colors"
+            >
+              <svg className="w-5 h-5" fill="none" viewBox="0 0 24 24" stroke="currentColor">
+                <path strokeLinecap="round" strokeLinejoin="round" strokeWidth={2} d="M6 18L18 6M6 6l12 12" />
+              </svg>
+            </button>
+          </div>
+        </div>
+
+        <div className="p-6 overflow-y-auto flex-1 space-y-6">
+          {message.text && (
+            <div className={`p-3 rounded-md text-sm border ${message.type === 'error' ? 'bg-red-50 border-red-200 text-red-700' : 'bg-green-50 border-green-200 text-green-700'}`}>
+              {message.text}
+            </div>
+          )}
+
+          {/* Record a renewal */}
+          <form onSubmit={handleSubmit} className="bg-gray-50 dark:bg-gray-700/50 rounded-lg p-4 space-y-4">
+            <h4 className="text-sm font-semibold text-gray-800 dark:text-white">Record a renewal</h4>
+            <div className="grid grid-cols-1 md:grid-cols-2 gap-4">
+              <div>
+                <label className={labelClass}>Carrier</label>
+                <input
+                  type="text"
+                  value={form.carrier}
+                  onChange={(e) => setForm({ ...form, carrier: e.target.value })}
+                  className={inputClass}
+                />
+              </div>
+              <div>
+                <label className={labelClass}>Policy Number</label>
+                <input
+                  type="text"
+                  value={form.policy_number}
+                  onChange={(e) => setForm({ ...form, policy_number: e.target.value })}
+                  className={inputClass}
+                />
+              </div>
+              <div>
+                <label className={labelClass}>Effective Date</label>
+                <input
+                  type="date"
+                  value={form.effective_date}
+                  onChange={(e) => setForm({ ...form, effective_date: e.target.value })}
+                  className={inputClass}
+                />
+              </div>
+              <div>
+                <label className={labelClass}>Expiration Date *</label>
+                <input
+                  type="date"
+                  required
+                  value={form.expiration_date}
+                  onChange={(e) => setForm({ ...form, expiration_date: e.target.value })}
+                  className={inputClass}
+                />
+              </div>
+              <div>
+                <label className={labelClass}>Certificate</label>
+                <input
+                  key={fileInputKey}
+                  type="file"
+                  accept=".pdf,image/*"
+                  onChange={(e) => setFile(e.target.files?.[0] || null)}
+                  className="w-full text-sm text-gray-700 dark:text-gray-300"
+                />
+              </div>
+              <div>
+                <label className={labelClass}>Notes</label>
+                <input
+                  type="text"
+                  value={form.notes}
+                  onChange={(e) => setForm({ ...form, notes: e.target.value })}
+                  className={inputClass}
+                />
+              </div>
+            </div>
+            <div className="flex justify-end">
+              <button
+                type="submit"
+                disabled={!form.expiration_date || addRenewal.isPending}
+                className="px-4 py-2 bg-pool-blue hover:bg-pool-dark text-white text-sm font-semibold rounded-md transition-colors disabled:opacity-50 disabled:cursor-not-allowed"
+              >
+                {addRenewal.isPending ? 'Saving...' : 'Record Renewal'}
+              </button>
+            </div>
+          </form>
+
+          {/* Renewal history */}
+          <div>
+            <h4 className="text-sm font-semibold text-gray-800 dark:text-white mb-2">Renewals</h4>
+            {isLoading ? (
+              <div className="flex items-center justify-center py-6">
+                <div className="animate-spin rounded-full h-6 w-6 border-b-2 border-pool-blue"></div>
+              </div>
+            ) : renewals.length === 0 ? (
+              <p className="text-sm text-gray-500 dark:text-gray-400">No renewals recorded yet.</p>
+            ) : (
+              <div className="overflow-x-auto border border-gray-200 dark:border-gray-700 rounded-lg">
+                <table className="min-w-full divide-y divide-gray-200 dark:divide-gray-700 text-sm">
+                  <thead className="bg-gray-50 dark:bg-gray-700">
+                    <tr>
+                      <th className={thClass}>Expires</th>
+                      <th className={thClass}>Effective</th>
+                      <th className={thClass}>Carrier / Policy</th>
+                      <th className={thClass}>Certificate</th>
+                      <th className={thClass}>Added</th>
+                      {canDeleteRecords && <th className={thClass}></th>}
+                    </tr>
+                  </thead>
+                  <tbody className="bg-white dark:bg-gray-800 divide-y divide-gray-200 dark:divide-gray-700">
+                    {renewals.map((renewal) => (
+                      <tr key={renewal.id}>
+                        <td className="px-4 py-2 whitespace-nowrap font-medium text-gray-900 dark:text-white">{formatDate(renewal.expiration_date)}</td>
+                        <td className="px-4 py-2 whitespace-nowrap text-gray-700 dark:text-gray-300">{formatDate(renewal.effective_date)}</td>
+                        <td className="px-4 py-2 text-gray-700 dark:text-gray-300">
+                          <div>{renewal.carrier || '-'}</div>
+                          {renewal.policy_number && <div className="text-xs text-gray-500 dark:text-gray-400">#{renewal.policy_number}</div>}
+                          {renewal.notes && <div className="text-xs text-gray-500 dark:text-gray-400">{renewal.notes}</div>}
+                        </td>
+                        <td className="px-4 py-2 text-gray-700 dark:text-gray-300">
+                          {renewal.document ? (
+                            <button
+                              onClick={() => handleViewDocument(renewal.document)}
+                              className="text-pool-blue hover:underline text-left"
+                            >
+                              {renewal.document.file_name}
+                            </button>
+                          ) : '-'}
+                        </td>
+                        <td className="px-4 py-2 whitespace-nowrap text-gray-500 dark:text-gray-400">
+                          {formatDate(renewal.created_at)}
+                          {renewal.created_by_name && <div className="text-xs">{renewal.created_by_name}</div>}
+                        </td>
+                        {canDeleteRecords && (
+                          <td className="px-4 py-2 text-right">
+                            <button
+                              onClick={() => handleDelete(renewal)}
+                              disabled={deleteRenewal.isPending}
+                              className="text-xs text-red-600 dark:text-red-400 hover:underline disabled:opacity-50"
+                            >
+                              Remove
+                            </button>
+                          </td>
+                        )}
+                      </tr>
+                    ))}
+                  </tbody>
+                </table>
+              </div>
+            )}
+          </div>
+
+          {/* Alerts sent */}
+          {alerts.length > 0 && (
+            <div>
+              <h4 className="text-sm font-semibold text-gray-800 dark:text-white mb-2">Office alerts sent</h4>
+              <ul className="space-y-1 text-sm text-gray-700 dark:text-gray-300">
+                {alerts.map((alert) => (
+                  <li key={alert.id}>
+                    {formatDate(alert.created_at)}: {STAGE_LABELS[alert.stage]} (COI dated {formatDate(alert.coi_expiration)}),
+                    {' '}{alert.recipient_count} {alert.recipient_count === 1 ? 'person' : 'people'} notified
+                    {alert.detail && <span className="text-xs text-red-600 dark:text-red-400"> - {alert.detail}</span>}
+                  </li>
+                ))}
+              </ul>
+            </div>
+          )}
+        </div>
+      </div>
+    </div>
+  )
+}
+
+export default SubcontractorCoiModal
@@ -0,0 +1,355 @@
+import { useState } from 'react'
+import axios from 'axios'
+import { useAuth } from '../context/AuthContext'
+import {
+  useSubcontractorPayments,
+  useAddSubcontractorPayment,
+  useUpdateSubcontractorPayment,
+  useDeleteSubcontractorPayment,
+  useHasPermission,
+} from '../hooks/useApi'
+
+const PAYMENT_METHODS = [
+  { value: 'check', label: 'Check' },
+  { value: 'ach', label: 'ACH' },
+  { value: 'wire', label: 'Wire' },
+  { value: 'cash', label: 'Cash' },
+  { value: 'card', label: 'Card' },
+  { value: 'other', label: 'Other' },
+]
+
+const formatMoney = (value) =>
+  `$${(value || 0).toLocaleString('en-US', { minimumFractionDigits: 2, maximumFractionDigits: 2 })}`
+
+const todayString = () => new Date().toISOString().split('T')[0]
+
+const formatDay = (dateString) => (dateString ? new Date(`${String(dateString).split('T')[0]}T00:00:00`).toLocaleDateString() : '-')
+
+const emptyPayment = () => ({ payment_date: todayString(), method: 'check', check_number: '', amount: '', notes: '' })
+
+const WAIVER_FIELDS = [
+  { key: 'conditional', label: 'Conditional' },
+  { key: 'unconditional', label: 'Unconditional' },
+]
+
+/**
+ * Payments made against one subcontractor fee, each with its conditional and unconditional lien waivers.
+ * Waiver files are stored with the subcontractor's documents.
+ */
+function SubcontractorPaymentsModal({ project, fee, onClose }) {
+  const { supabase, getAuthHeaders } = useAuth()
+  const { data, isLoading } = useSubcontractorPayments(project.id, fee.id)
+  const addPayment = useAddSubcontractorPayment()
+  const updatePayment = useUpdateSubcontractorPayment()
+  const deletePayment = useDeleteSubcontractorPayment()
+  const canEditExpenses = useHasPermission('edit_expenses')
+  const [form, setForm] = useState(emptyPayment)
+  const [waiverFiles, setWaiverFiles] = useState({ conditional: null, unconditional: null })
+  const [fileInputKey, setFileInputKey] = useState(0)
+  const [message, setMessage] = useState({ type: '', text: '' })
+
+  const payments = data?.payments || []
+  const summary = data?.summary || { fee_amount: 0, paid: 0, balance: 0 }
+  const subcontractorId = fee.subcontractor_id
+  const subcontractorName = fee.subcontractors?.name || data?.fee?.subcontractors?.name || 'Subcontractor'
+
+  const showMessage = (type, text) => {
+    setMessage({ type, text })
+    setTimeout(() => setMessage({ type: '', text: '' }), 4000)
+  }
+
+  const handleSubmit = async (e) => {
+    e.preventDefault()
+    try {
+      await addPayment.mutateAsync({
+        projectId: project.id,
+        feeId: fee.id,
+        subcontractorId,
+        data: {
+          ...form,
+          amount: parseFloat(form.amount),
+          check_number: form.method === 'check' ? form.check_number : '',
+        },
+        conditionalFile: waiverFiles.conditional,
+        unconditionalFile: waiverFiles.unconditional,
+      })
+      setForm(emptyPayment())
+      setWaiverFiles({ conditional: null, unconditional: null })
+      setFileInputKey((key) => key + 1)
+      showMessage('success', 'Payment recorded')
+    } catch (err) {
+      showMessage('error', err?.response?.data?.error || err.message || 'Failed to record payment')
+    }
+  }
+
+  // Attach a waiver that arrived after the payment was recorded
+  const handleAttachWaiver = async (payment, key, file) => {
+    if (!file) return
+    try {
+      await updatePayment.mutateAsync({
+        projectId: project.id,
+        feeId: fee.id,
+        paymentId: payment.id,
+        subcontractorId,
+        paymentDate: payment.payment_date,
+        [`${key}File`]: file,
+      })
+      showMessage('success', 'Lien waiver attached')
+    } catch (err) {
+      showMessage('error', err?.response?.data?.error || err.message || 'Failed to attach lien waiver')
+    }
+  }
+
+  const handleDelete = async (payment) => {
+    if (!window.confirm(`Remove the ${formatMoney(payment.amount)} payment from ${formatDay(payment.payment_date)}?`)) return
+    try {
+      await deletePayment.mutateAsync({ projectId: project.id, feeId: fee.id, paymentId: payment.id })
+      showMessage('success', 'Payment removed')
+    } catch (err) {
+      showMessage('error', err?.response?.data?.error || 'Failed to remove payment')
+    }
+  }
+
+  // Open the window first so mobile browsers don't block it, then point it at the signed URL
+  const handleViewDocument = async (document) => {
+    const newWindow = window.open('about:blank', '_blank')
+    try {
+      const { data: { session } } = await supabase.auth.getSession()
+      const response = await axios.get(
+        `/api/documents/subcontractors/${subcontractorId}/${encodeURIComponent(document.file_name)}/download`,
+        { headers: getAuthHeaders(session?.access_token) }
+      )
+      if (newWindow) newWindow.location.href = response.data.url
+      else window.location.href = response.data.url
+    } catch (err) {
+      if (newWindow) newWindow.close()
+      showMessage('error', err?.response?.data?.error || 'Failed to open lien waiver')
+    }
+  }
+
+  const inputClass = 'w-full px-3 py-2 border border-gray-300 dark:border-gray-600 rounded-md focus:outline-none focus:ring-2 focus:ring-pool-blue focus:border-transparent bg-white dark:bg-gray-700 text-sm text-gray-900 dark:text-white'
+  const labelClass = 'block text-sm font-medium text-gray-700 dark:text-gray-300 mb-1'
+  const thClass = 'px-4 py-2 text-left text-xs font-medium text-gray-500 dark:text-gray-300 uppercase'
+
+  return (
+    <div className="fixed inset-0 bg-black bg-opacity-50 flex items-center justify-center z-50 p-4" onClick={onClose}>
+      <div className="bg-white dark:bg-gray-800 rounded-xl shadow-2xl max-w-5xl w-full max-h-[90vh] overflow-hidden flex flex-col" onClick={(e) => e.stopPropagation()}>
+        {/* Header */}
+        <div className="bg-gradient-to-r from-pool-blue to-pool-dark px-6 py-4 flex-shrink-0 rounded-t-xl">
+          <div className="flex justify-between items-center">
+            <div>
+              <h3 className="text-xl font-bold text-white">Payments - {subcontractorName}</h3>
+              <p className="text-sm text-white/80">
+                {project.project_name || project.address || 'Project'}{fee.job_description ? ` · ${fee.job_description}` : ''}
+              </p>
+            </div>
+            <button
+              onClick={onClose}
+              className="text-white/80 hover:text-white p-1 transition-colors"
+            >
+              <svg className="w-5 h-5" fill="none" viewBox="0 0 24 24" stroke="currentColor">
+                <path strokeLinecap="round" strokeLinejoin="round" strokeWidth={2} d="M6 18L18 6M6 6l12 12" />
+              </svg>
+            </button>
+          </div>
+        </div>
+
+        <div className="p-6 overflow-y-auto flex-1 space-y-6">
+          {message.text && (
+            <div className={`p-3 rounded-md text-sm border ${message.type === 'error' ? 'bg-red-50 border-red-200 text-red-700' : 'bg-green-50 border-green-200 text-green-700'}`}>
+              {message.text}
+            </div>
+          )}
+
+          {/* Summary */}
+          <div className="grid grid-cols-1 sm:grid-cols-3 gap-4">
+            <div className="bg-white dark:bg-gray-700 border border-gray-200 dark:border-gray-600 rounded-lg p-4">
+              <p className="text-sm text-gray-500 dark:text-gray-400">{fee.flat_fee ? 'Fee' : 'Expected Fee'}</p>
+              <p className="text-xl font-bold text-gray-900 dark:text-white">{formatMoney(summary.fee_amount)}</p>
+            </div>
+            <div className="bg-white dark:bg-gray-700 border border-gray-200 dark:border-gray-600 rounded-lg p-4">
+              <p className="text-sm text-gray-500 dark:text-gray-400">Paid</p>
+              <p className="text-xl font-bold text-green-600">{formatMoney(summary.paid)}</p>
+            </div>
+            <div className="bg-white dark:bg-gray-700 border border-gray-200 dark:border-gray-600 rounded-lg p-4">
+              <p className="text-sm text-gray-500 dark:text-gray-400">Balance</p>
+              <p className={`text-xl font-bold ${summary.balance < 0 ? 'text-red-600' : 'text-orange-600'}`}>{formatMoney(summary.balance)}</p>
+            </div>
+          </div>
+
+          {/* Record a payment */}
+          {canEditExpenses && (
+            <form onSubmit={handleSubmit} className="bg-gray-50 dark:bg-gray-700/50 rounded-lg p-4 space-y-4">
+              <h4 className="text-sm font-semibold text-gray-800 dark:text-white">Record a payment</h4>
+              <div className="grid grid-cols-1 md:grid-cols-2 gap-4">
+                <div>
+                  <label className={labelClass}>Date *</label>
+                  <input
+                    type="date"
+                    required
+                    value={form.payment_date}
+                    onChange={(e) => setForm({ ...form, payment_date: e.target.value })}
+                    className={inputClass}
+                  />
+                </div>
+                <div>
+                  <label className={labelClass}>Amount *</label>
+                  <input
+                    type="number"
+                    required
+                    min="0.01"
+                    step="0.01"
+                    value={form.amount}
+                    placeholder={summary.balance > 0 ? summary.balance.toFixed(2) : ''}
+                    onChange={(e) => setForm({ ...form, amount: e.target.value })}
+                    className={inputClass}
+                  />
+                </div>
+                <div>
+                  <label className={labelClass}>Method *</label>
+                  <select
+                    value={form.method}
+                    onChange={(e) => setForm({ ...form, method: e.target.value })}
+                    className={inputClass}
+                  >
+                    {PAYMENT_METHODS.map((m) => (
+                      <option key={m.value} value={m.value}>{m.label}</option>
+                    ))}
+                  </select>
+                </div>
+                {form.method === 'check' && (
+                  <div>
+                    <label className={labelClass}>Check #</label>
+                    <input
+                      type="text"
+                      value={form.check_number}
+                      onChange={(e) => setForm({ ...form, check_number: e.target.value })}
+                      className={inputClass}
+                    />
+                  </div>
+                )}
+                {WAIVER_FIELDS.map(({ key, label }) => (
+                  <div key={key}>
+                    <label className={labelClass}>{label} Lien Waiver</label>
+                    <input
+                      key={`${key}-${fileInputKey}`}
+                      type="file"
+                      accept=".pdf,image/*"
+                      onChange={(e) => setWaiverFiles({ ...waiverFiles, [key]: e.target.files?.[0] || null })}
+                      className="w-full text-sm text-gray-700 dark:text-gray-300"
+                    />
+                  </div>
+                ))}
+                <div className="md:col-span-2">
+                  <label className={labelClass}>Notes</label>
+                  <input
+                    type="text"
+                    value={form.notes}
+                    onChange={(e) => setForm({ ...form, notes: e.target.value })}
+                    className={inputClass}
+                  />
+                </div>
+              </div>
+              <div className="flex justify-end">
+                <button
+                  type="submit"
+                  disabled={!form.payment_date || !form.amount || addPayment.isPending}
+                  className="px-4 py-2 bg-pool-blue hover:bg-pool-dark text-white text-sm font-semibold rounded-md transition-colors disabled:opacity-50 disabled:cursor-not-allowed"
+                >
+                  {addPayment.isPending ? 'Saving...' : 'Record Payment'}
+                </button>
+              </div>
+            </form>
+          )}
+
+          {/* Payment history */}
+          <div>
+            <h4 className="text-sm font-semibold text-gray-800 dark:text-white mb-2">Payments</h4>
+            {isLoading ? (
+              <div className="flex items-center justify-center py-6">
+                <div className="animate-spin rounded-full h-6 w-6 border-b-2 border-pool-blue"></div>
+              </div>
+            ) : payments.length === 0 ? (
+              <p className="text-sm text-gray-500 dark:text-gray-400">No payments recorded yet.</p>
+            ) : (
+              <div className="overflow-x-auto border border-gray-200 dark:border-gray-700 rounded-lg">
+                <table className="min-w-full divide-y divide-gray-200 dark:divide-gray-700 text-sm">
+                  <thead className="bg-gray-50 dark:bg-gray-700">
+                    <tr>
+                      <th className={thClass}>Date</th>
+                      <th className={thClass}>Method</th>
+                      <th className={thClass}>Amount</th>
+                      {WAIVER_FIELDS.map(({ key, label }) => (
+                        <th key={key} className={thClass}>{label} Waiver</th>
+                      ))}
+                      <th className={thClass}>Added</th>
+                      {canEditExpenses && <th className={thClass}></th>}
+                    </tr>
+                  </thead>
+                  <tbody className="bg-white dark:bg-gray-800 divide-y divide-gray-200 dark:divide-gray-700">
+                    {payments.map((payment) => (
+                      <tr key={payment.id}>
+                        <td className="px-4 py-2 whitespace-nowrap font-medium text-gray-900 dark:text-white">{formatDay(payment.payment_date)}</td>
+                        <td className="px-4 py-2 text-gray-700 dark:text-gray-300">
+                          <div>{PAYMENT_METHODS.find((m) => m.value === payment.method)?.label || payment.method}</div>
+                          {payment.check_number && <div className="text-xs text-gray-500 dark:text-gray-400">#{payment.check_number}</div>}
+                          {payment.notes && <div className="text-xs text-gray-500 dark:text-gray-400">{payment.notes}</div>}
+                        </td>
+                        <td className="px-4 py-2 whitespace-nowrap text-gray-900 dark:text-white">{formatMoney(payment.amount)}</td>
+                        {WAIVER_FIELDS.map(({ key }) => {
+                          const waiver = payment[`${key}_waiver`]
+                          return (
+                            <td key={key} className="px-4 py-2 text-gray-700 dark:text-gray-300">
+                              {waiver ? (
+                                <button
+                                  onClick={() => handleViewDocument(waiver)}
+                                  className="text-pool-blue hover:underline text-left"
+                                >
+                                  {waiver.name || waiver.file_name}
+                                </button>
+                              ) : canEditExpenses ? (
+                                <label className="text-xs text-orange-600 dark:text-orange-400 hover:underline cursor-pointer">
+                                  Missing - attach
+                                  <input
+                                    type="file"
+                                    accept=".pdf,image/*"
+                                    className="hidden"
+                                    disabled={updatePayment.isPending}
+                                    onChange={(e) => handleAttachWaiver(payment, key, e.target.files?.[0])}
+                                  />
+                                </label>
+                              ) : (
+                                <span className="text-xs text-orange-600 dark:text-orange-400">Missing</span>
+                              )}
+                            </td>
+                          )
+                        })}
+                        <td className="px-4 py-2 whitespace-nowrap text-gray-500 dark:text-gray-400">
+                          {formatDay(payment.created_at)}
+                          {payment.created_by_name && <div className="text-xs">{payment.created_by_name}</div>}
+                        </td>
+                        {canEditExpenses && (
+                          <td className="px-4 py-2 text-right">
+                            <button
+                              onClick={() => handleDelete(payment)}
+                              disabled={deletePayment.isPending}
+                              className="text-xs text-red-600 dark:text-red-400 hover:underline disabled:opacity-50"
+                            >
+                              Remove
+                            </button>
+                          </td>
+                        )}
+                      </tr>
+                    ))}
+                  </tbody>
+                </table>
+              </div>
+            )}
+          </div>
+        </div>
+      </div>
+    </div>
+  )
+}
+
+export default SubcontractorPaymentsModal
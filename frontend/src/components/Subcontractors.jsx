@@ -1,14 +1,39 @@
 import { useState, useEffect, useRef } from 'react'
+import { useQueryClient } from '@tanstack/react-query'
 import { useAuth } from '../context/AuthContext'
 import axios from 'axios'
-import ActionsMenu, { DOCUMENT_ICON, EDIT_ICON, DELETE_ICON } from './ActionsMenu'
+import ActionsMenu, { DOCUMENT_ICON, EDIT_ICON, DELETE_ICON, INSURANCE_ICON } from './ActionsMenu'
 import DocumentsModal from './DocumentsModal'
+import SubcontractorCoiModal from './SubcontractorCoiModal'
+import Subcontractor1099Report from './Subcontractor1099Report'
 import { formatPhoneInput } from '../utils/phoneFormat'
-
-function Subcontractors() {
+import {
+  useHasPermission,
+  useRecord,
+  useCoiReport,
+  useUpdateCoiSettings,
+  useSubcontractorsPage,
+  useCreateSubcontractor,
+  useUpdateSubcontractor,
+  useDeleteSubcontractor,
+} from '../hooks/useApi'
+import { useDebouncedValue } from '../hooks/useDebouncedValue'
+
+function Subcontractors({ focusRecord, onFocusHandled }) {
   const { user, supabase, getAuthHeaders } = useAuth()
-  const [subcontractors, setSubcontractors] = useState([])
-  const [loading, setLoading] = useState(true)
+  const queryClient = useQueryClient()
+  const canDeleteRecords = useHasPermission('delete_records')
+  const canManageCompany = useHasPermission('manage_company')
+  const canViewCosts = useHasPermission('view_costs')
+  // The server only sends and saves tax IDs for these
+  const canSeeTaxIds = canViewCosts || canManageCompany
+  const [show1099Report, setShow1099Report] = useState(false)
+  const { data: coiReport } = useCoiReport()
+  const updateCoiSettings = useUpdateCoiSettings()
+  const coiSettings = coiReport?.settings
+  const alertDays = coiSettings?.alertDays ?? 30
+  const [alertDaysInput, setAlertDaysInput] = useState('')
+  const [coiSubcontractor, setCoiSubcontractor] = useState(null)
   const [showForm, setShowForm] = useState(false)
   const [editingSubcontractor, setEditingSubcontractor] = useState(null)
   const [error, setError] = useState('')
@@ -16,6 +41,24 @@ function Subcontractors() {
   const [searchTerm, setSearchTerm] = useState('')
   const [currentPage, setCurrentPage] = useState(1)
   const itemsPerPage = 10
+  const debouncedSearch = useDebouncedValue(searchTerm.trim())
+
+  // Search and paginate on the server
+  const { data: subcontractorPage, isLoading: loading } = useSubcontractorsPage({
+    page: currentPage,
+    pageSize: itemsPerPage,
+    search: debouncedSearch,
+  })
+  const paginatedSubcontractors = subcontractorPage?.rows || []
+  const totalSubcontractors = subcontractorPage?.total || 0
+  const companySubcontractorCount = subcontractorPage?.summary?.total || 0
+  // The COI report holds every expired or expiring certificate, so the cards don't need the full list
+  const coiAlerts = coiReport?.subcontractors || []
+
+  const createSubcontractor = useCreateSubcontractor()
+  const updateSubcontractor = useUpdateSubcontractor()
+  const deleteSubcontractor = useDeleteSubcontractor()
+
   const [showImportModal, setShowImportModal] = useState(false)
   const [importing, setImporting] = useState(false)
   const [importProgress, setImportProgress] = useState({ success: 0, failed: 0, total: 0 })
@@ -33,6 +76,8 @@ function Subcontractors() {
     primary_contact_phone: '',
     primary_contact_email: '',
     coi_expiration: '',
+    tax_id: '',
+    mailing_address: '',
     notes: '',
   })
 
@@ -43,36 +88,21 @@ function Subcontractors() {
     return session?.access_token || null
   }
 
-  // Fetch subcontractors
-  const fetchSubcontractors = async () => {
-    setLoading(true)
-    try {
-      const token = await getAuthToken()
-      if (!token) {
-        throw new Error('Not authenticated')
-      }
-
-      const response = await axios.get('/api/subcontractors', {
-        headers: getAuthHeaders(token),
-      })
+  useEffect(() => {
+    if (coiSettings?.alertDays) setAlertDaysInput(String(coiSettings.alertDays))
+  }, [coiSettings?.alertDays])
 
-      setSubcontractors(response.data.subcontractors || [])
+  const handleSaveCoiSettings = async (changes) => {
+    setError('')
+    setSuccess('')
+    try {
+      await updateCoiSettings.mutateAsync(changes)
+      setSuccess('COI settings saved')
     } catch (err) {
-      console.error('Error fetching subcontractors:', err)
-      console.error('Error details:', err.response?.data || err.message)
-      setError(err.response?.data?.error || err.message || 'Failed to load subcontractors')
-      setSubcontractors([])
-    } finally {
-      setLoading(false)
+      setError(err.response?.data?.error || 'Failed to save COI settings')
     }
   }
 
-  useEffect(() => {
-    if (user) {
-      fetchSubcontractors()
-    }
-  }, [user])
-
   const hasChanges = initialFormData != null && JSON.stringify(formData) !== JSON.stringify(initialFormData)
 
   // Handle form submit
@@ -82,31 +112,21 @@ function Subcontractors() {
     setSuccess('')
 
     try {
-      const token = await getAuthToken()
-      if (!token) {
-        throw new Error('Not authenticated')
-      }
-
       const payload = {
         ...formData,
       }
 
       if (editingSubcontractor) {
-        await axios.put(`/api/subcontractors/${editingSubcontractor.id}`, payload, {
-          headers: getAuthHeaders(token),
-        })
+        await updateSubcontractor.mutateAsync({ id: editingSubcontractor.id, data: payload })
         setSuccess('Subcontractor updated successfully!')
       } else {
-        await axios.post('/api/subcontractors', payload, {
-          headers: getAuthHeaders(token),
-        })
+        await createSubcontractor.mutateAsync(payload)
         setSuccess('Subcontractor added successfully!')
       }
 
       setShowForm(false)
       setEditingSubcontractor(null)
       resetForm()
-      fetchSubcontractors()
     } catch (err) {
       setError(err.response?.data?.error || err.message || 'Failed to save subcontractor')
     }
@@ -119,17 +139,8 @@ function Subcontractors() {
     }
 
     try {
-      const token = await getAuthToken()
-      if (!token) {
-        throw new Error('Not authenticated')
-      }
-
-      await axios.delete(`/api/subcontractors/${id}`, {
-        headers: getAuthHeaders(token),
-      })
-
+      await deleteSubcontractor.mutateAsync(id)
       setSuccess('Subcontractor deleted successfully!')
-      fetchSubcontractors()
     } catch (err) {
       setError(err.response?.data?.error || err.message || 'Failed to delete subcontractor')
     }
@@ -142,7 +153,7 @@ function Subcontractors() {
     return dateString.split('T')[0]
   }
 
-  const emptySubForm = { name: '', primary_contact_name: '', primary_contact_phone: '', primary_contact_email: '', coi_expiration: '', notes: '' }
+  const emptySubForm = { name: '', primary_contact_name: '', primary_contact_phone: '', primary_contact_email: '', coi_expiration: '', tax_id: '', mailing_address: '', notes: '' }
 
   // Handle edit
   const handleEdit = (subcontractor) => {
@@ -153,6 +164,8 @@ function Subcontractors() {
       primary_contact_phone: formatPhoneInput(subcontractor.primary_contact_phone || ''),
       primary_contact_email: subcontractor.primary_contact_email || '',
       coi_expiration: formatDateForInput(subcontractor.coi_expiration) || '',
+      tax_id: subcontractor.tax_id || '',
+      mailing_address: subcontractor.mailing_address || '',
       notes: subcontractor.notes || '',
     }
     setFormData(data)
@@ -160,34 +173,34 @@ function Subcontractors() {
     setShowForm(true)
   }
 
+  // Open the record picked in the Dashboard header search
+  const { data: focusedRecord } = useRecord('subcontractors', 'subcontractor', focusRecord?.id)
+  useEffect(() => {
+    if (!focusRecord || focusedRecord?.id !== focusRecord.id) return
+    if (focusRecord.openDocuments) {
+      setSelectedEntityForDocuments({ id: focusedRecord.id, name: focusedRecord.name || 'Subcontractor' })
+      setShowDocumentsModal(true)
+    } else {
+      handleEdit(focusedRecord)
+    }
+    onFocusHandled?.()
+  }, [focusRecord, focusedRecord])
+
   // Reset form
   const resetForm = () => {
     setFormData(emptySubForm)
     setInitialFormData(emptySubForm)
   }
 
-  // Filter subcontractors
-  const filteredSubcontractors = subcontractors.filter((subcontractor) => {
-    const matchesSearch =
-      searchTerm === '' ||
-      subcontractor.name?.toLowerCase().includes(searchTerm.toLowerCase()) ||
-      subcontractor.primary_contact_name?.toLowerCase().includes(searchTerm.toLowerCase()) ||
-      subcontractor.primary_contact_email?.toLowerCase().includes(searchTerm.toLowerCase()) ||
-      subcontractor.primary_contact_phone?.includes(searchTerm)
-
-    return matchesSearch
-  })
-
   // Pagination
-  const totalPages = Math.ceil(filteredSubcontractors.length / itemsPerPage)
+  const totalPages = Math.ceil(totalSubcontractors / itemsPerPage)
   const startIndex = (currentPage - 1) * itemsPerPage
   const endIndex = startIndex + itemsPerPage
-  const paginatedSubcontractors = filteredSubcontractors.slice(startIndex, endIndex)
 
   // Reset to page 1 when filters change
   useEffect(() => {
     setCurrentPage(1)
-  }, [searchTerm])
+  }, [debouncedSearch])
 
   useEffect(() => {
     const handleClickOutside = (e) => {
@@ -209,16 +222,6 @@ function Subcontractors() {
     return date.toLocaleDateString()
   }
 
-  // Helper function to compare dates without timezone issues
-  const compareDates = (dateString1, dateString2) => {
-    if (!dateString1 || !dateString2) return 0
-    const [y1, m1, d1] = dateString1.split('T')[0].split('-').map(Number)
-    const [y2, m2, d2] = dateString2.split('T')[0].split('-').map(Number)
-    const date1 = new Date(y1, m1 - 1, d1)
-    const date2 = new Date(y2, m2 - 1, d2)
-    return date1 - date2
-  }
-
   // Helper function to get today's date as YYYY-MM-DD string
   const getTodayString = () => {
     const today = new Date()
@@ -238,7 +241,7 @@ function Subcontractors() {
     return Math.ceil((date1 - date2) / (1000 * 60 * 60 * 24))
   }
 
-  // Check if COI is expired or expiring soon
+  // Check if COI is expired or expiring within the company's alert window
   const getCOIStatus = (expirationDate) => {
     if (!expirationDate) return { status: 'unknown', color: 'bg-gray-100 text-gray-800', label: 'No expiration' }
     
@@ -247,7 +250,7 @@ function Subcontractors() {
 
     if (daysUntilExpiration < 0) {
       return { status: 'expired', color: 'bg-red-100 text-red-800', label: 'Expired' }
-    } else if (daysUntilExpiration <= 30) {
+    } else if (daysUntilExpiration <= alertDays) {
       return { status: 'expiring', color: 'bg-yellow-100 text-yellow-800', label: 'Expiring Soon' }
     } else {
       return { status: 'valid', color: 'bg-green-100 text-green-800', label: 'Valid' }
@@ -428,7 +431,8 @@ function Subcontractors() {
       
       if (successCount > 0) {
         setSuccess(`Successfully imported ${successCount} subcontractor(s)${failedCount > 0 ? `. ${failedCount} failed.` : ''}`)
-        fetchSubcontractors()
+        // Refresh the list and the COI cards together
+        queryClient.invalidateQueries({ queryKey: ['subcontractors'] })
       } else {
         setError(`Failed to import all subcontractors. ${failedCount} error(s).`)
       }
@@ -458,6 +462,14 @@ function Subcontractors() {
           <p className="text-gray-600 dark:text-gray-400 mt-1">Manage your subcontractor database</p>
         </div>
           <div className="flex gap-3">
+          {canViewCosts && (
+            <button
+              onClick={() => setShow1099Report(true)}
+              className="hidden md:block px-4 py-2 border border-gray-300 dark:border-gray-600 text-gray-700 dark:text-gray-300 hover:bg-gray-50 dark:hover:bg-gray-700 font-semibold rounded-md transition-colors"
+            >
+              1099 Report
+            </button>
+          )}
           <button
             onClick={() => setShowImportModal(true)}
             className="hidden md:block px-4 py-2 bg-green-600 hover:bg-green-700 text-white font-semibold rounded-md transition-colors"
@@ -735,6 +747,40 @@ XYZ Plumbing,Jane Doe,555-0101,jane@xyz.com,2025-06-30`}
                 </div>
               </div>
 
+              {/* Tax Reporting */}
+              <div className="mb-6">
+                <h4 className="text-sm font-semibold text-gray-500 dark:text-gray-400 uppercase tracking-wider mb-3 flex items-center gap-2">
+                  <svg className="w-4 h-4" fill="none" viewBox="0 0 24 24" stroke="currentColor">
+                    <path strokeLinecap="round" strokeLinejoin="round" strokeWidth={2} d="M9 7h6m0 10v-3m-3 3h.01M9 17h.01M9 14h.01M12 14h.01M15 11h.01M12 11h.01M9 11h.01M7 21h10a2 2 0 002-2V5a2 2 0 00-2-2H7a2 2 0 00-2 2v14a2 2 0 002 2z" />
+                  </svg>
+                  Tax Reporting (1099)
+                </h4>
+                <div className="bg-gray-50 dark:bg-gray-700/50 rounded-lg p-4 space-y-4">
+                  {canSeeTaxIds && (
+                    <div>
+                      <label className="block text-sm font-medium text-gray-700 dark:text-gray-300 mb-1">Tax ID (EIN / SSN)</label>
+                      <input
+                        type="text"
+                        value={formData.tax_id}
+                        onChange={(e) => setFormData({ ...formData, tax_id: e.target.value })}
+                        placeholder="12-3456789"
+                        className="w-full px-4 py-2.5 border border-gray-300 dark:border-gray-600 rounded-lg focus:outline-none focus:ring-2 focus:ring-pool-blue focus:border-transparent bg-white dark:bg-gray-700 text-gray-900 dark:text-white transition-shadow"
+                      />
+                    </div>
+                  )}
+                  <div>
+                    <label className="block text-sm font-medium text-gray-700 dark:text-gray-300 mb-1">Mailing Address</label>
+                    <textarea
+                      value={formData.mailing_address}
+                      onChange={(e) => setFormData({ ...formData, mailing_address: e.target.value })}
+                      rows={2}
+                      className="w-full px-4 py-2.5 border border-gray-300 dark:border-gray-600 rounded-lg focus:outline-none focus:ring-2 focus:ring-pool-blue focus:border-transparent bg-white dark:bg-gray-700 text-gray-900 dark:text-white transition-shadow resize-none"
+                      placeholder="Where the 1099 is mailed"
+                    />
+                  </div>
+                </div>
+              </div>
+
               {/* Notes */}
               <div className="mb-6">
                 <h4 className="text-sm font-semibold text-gray-500 dark:text-gray-400 uppercase tracking-wider mb-3 flex items-center gap-2">
@@ -800,10 +846,10 @@ XYZ Plumbing,Jane Doe,555-0101,jane@xyz.com,2025-06-30`}
               </tr>
             </thead>
             <tbody className="bg-white dark:bg-gray-800 divide-y divide-gray-200 dark:divide-gray-700">
-              {filteredSubcontractors.length === 0 ? (
+              {paginatedSubcontractors.length === 0 ? (
                 <tr>
                   <td colSpan="4" className="px-6 py-12 text-center text-gray-500 dark:text-gray-400">
-                    {subcontractors.length === 0
+                    {companySubcontractorCount === 0
                       ? 'No subcontractors yet. Click "Add Subcontractor" to get started.'
                       : 'No subcontractors match your search criteria.'}
                   </td>
@@ -843,8 +889,9 @@ XYZ Plumbing,Jane Doe,555-0101,jane@xyz.com,2025-06-30`}
                             onAction={() => setOpenActionsId(null)}
                             actions={[
                               { icon: DOCUMENT_ICON, label: 'Documents', iconColor: 'text-green-600 dark:text-green-400', onClick: () => { setSelectedEntityForDocuments({ id: subcontractor.id, name: subcontractor.name || 'Subcontractor' }); setShowDocumentsModal(true) } },
+                              { icon: INSURANCE_ICON, label: 'COI Renewals', iconColor: 'text-blue-600 dark:text-blue-400', onClick: () => setCoiSubcontractor(subcontractor) },
                               { icon: EDIT_ICON, label: 'Edit', onClick: () => handleEdit(subcontractor) },
-                              { icon: DELETE_ICON, label: 'Delete', danger: true, onClick: () => handleDelete(subcontractor.id) },
+                              ...(canDeleteRecords ? [{ icon: DELETE_ICON, label: 'Delete', danger: true, onClick: () => handleDelete(subcontractor.id) }] : []),
                             ]}
                           />
                         </div>
@@ -859,10 +906,10 @@ XYZ Plumbing,Jane Doe,555-0101,jane@xyz.com,2025-06-30`}
       </div>
 
       {/* Pagination */}
-      {filteredSubcontractors.length > itemsPerPage && (
+      {totalSubcontractors > itemsPerPage && (
         <div className="bg-white dark:bg-gray-800 rounded-lg shadow p-4 flex items-center justify-between">
           <div className="text-sm text-gray-700 dark:text-gray-300">
-            Showing {startIndex + 1} to {Math.min(endIndex, filteredSubcontractors.length)} of {filteredSubcontractors.length} subcontractors
+            Showing {startIndex + 1} to {Math.min(endIndex, totalSubcontractors)} of {totalSubcontractors} subcontractors
           </div>
           <div className="flex gap-2">
             <button
@@ -913,31 +960,89 @@ XYZ Plumbing,Jane Doe,555-0101,jane@xyz.com,2025-06-30`}
       <div className="grid grid-cols-1 md:grid-cols-3 gap-4">
         <div className="bg-white dark:bg-gray-800 rounded-lg shadow p-4">
           <p className="text-sm text-gray-500 dark:text-gray-400">Total Subcontractors</p>
-          <p className="text-2xl font-bold text-gray-900 dark:text-white">{subcontractors.length}</p>
+          <p className="text-2xl font-bold text-gray-900 dark:text-white">{companySubcontractorCount}</p>
         </div>
         <div className="bg-white dark:bg-gray-800 rounded-lg shadow p-4">
           <p className="text-sm text-gray-500 dark:text-gray-400">Expired COIs</p>
           <p className="text-2xl font-bold text-red-600 dark:text-red-400">
-            {subcontractors.filter((s) => {
-              if (!s.coi_expiration) return false
-              const today = getTodayString()
-              return compareDates(s.coi_expiration, today) < 0
-            }).length}
+            {coiAlerts.filter((s) => s.status === 'expired').length}
           </p>
         </div>
         <div className="bg-white dark:bg-gray-800 rounded-lg shadow p-4">
-          <p className="text-sm text-gray-500 dark:text-gray-400">Expiring Soon (30 days)</p>
+          <p className="text-sm text-gray-500 dark:text-gray-400">Expiring Soon ({alertDays} days)</p>
           <p className="text-2xl font-bold text-yellow-600 dark:text-yellow-400">
-            {subcontractors.filter((s) => {
-              if (!s.coi_expiration) return false
-              const today = getTodayString()
-              const daysUntilExpiration = daysBetween(s.coi_expiration, today)
-              return daysUntilExpiration > 0 && daysUntilExpiration <= 30
-            }).length}
+            {coiAlerts.filter((s) => s.status === 'expiring').length}
           </p>
         </div>
       </div>
 
+      {/* COI alert and assignment settings */}
+      {canManageCompany && coiSettings && (
+        <div className="bg-white dark:bg-gray-800 rounded-lg shadow p-4 space-y-3">
+          <h3 className="text-sm font-semibold text-gray-800 dark:text-white">Insurance (COI) Alerts</h3>
+          <div className="flex flex-col sm:flex-row sm:items-end gap-4">
+            <label className="flex items-center gap-2 text-sm text-gray-700 dark:text-gray-300">
+              <input
+                type="checkbox"
+                checked={coiSettings.alertsEnabled}
+                disabled={updateCoiSettings.isPending}
+                onChange={(e) => handleSaveCoiSettings({ alerts_enabled: e.target.checked })}
+                className="rounded border-gray-300 text-pool-blue focus:ring-pool-blue"
+              />
+              Alert the office daily about expiring COIs
+            </label>
+            <div>
+              <label className="block text-xs font-medium text-gray-500 dark:text-gray-400 mb-1">Alert window (days before expiration)</label>
+              <div className="flex gap-2">
+                <input
+                  type="number"
+                  min="1"
+                  max="180"
+                  value={alertDaysInput}
+                  onChange={(e) => setAlertDaysInput(e.target.value)}
+                  className="w-24 px-3 py-2 border border-gray-300 dark:border-gray-600 rounded-md focus:outline-none focus:ring-2 focus:ring-pool-blue bg-white dark:bg-gray-700 text-sm text-gray-900 dark:text-white"
+                />
+                <button
+                  onClick={() => handleSaveCoiSettings({ alert_days: parseInt(alertDaysInput, 10) })}
+                  disabled={updateCoiSettings.isPending || !(parseInt(alertDaysInput, 10) >= 1 && parseInt(alertDaysInput, 10) <= 180) || parseInt(alertDaysInput, 10) === coiSettings.alertDays}
+                  className="px-3 py-2 bg-pool-blue hover:bg-pool-dark text-white text-sm font-medium rounded-md transition-colors disabled:opacity-50 disabled:cursor-not-allowed"
+                >
+                  Save
+                </button>
+              </div>
+            </div>
+            <div>
+              <label className="block text-xs font-medium text-gray-500 dark:text-gray-400 mb-1">Adding a sub with an expired COI to a project</label>
+              <select
+                value={coiSettings.expiredAssignment}
+                disabled={updateCoiSettings.isPending}
+                onChange={(e) => handleSaveCoiSettings({ expired_assignment: e.target.value })}
+                className="px-3 py-2 border border-gray-300 dark:border-gray-600 rounded-md focus:outline-none focus:ring-2 focus:ring-pool-blue bg-white dark:bg-gray-700 text-sm text-gray-900 dark:text-white"
+              >
+                <option value="warn">Allow with a warning</option>
+                <option value="block">Block</option>
+              </select>
+            </div>
+          </div>
+          <p className="text-xs text-gray-500 dark:text-gray-400">
+            Admins, owners and office staff are emailed{coiSettings.smsConfigured ? ', and texted if they opted in to text notifications,' : ''} once when a COI enters the window and again when it expires.
+            {!coiSettings.emailConfigured && ' Alert emails are not configured on the server (EMAILJS_COI_TEMPLATE_ID).'}
+          </p>
+        </div>
+      )}
+
+      {/* COI Renewals Modal */}
+      {show1099Report && (
+        <Subcontractor1099Report onClose={() => setShow1099Report(false)} />
+      )}
+
+      {coiSubcontractor && (
+        <SubcontractorCoiModal
+          subcontractor={coiSubcontractor}
+          onClose={() => setCoiSubcontractor(null)}
+        />
+      )}
+
       {/* Documents Modal */}
       {showDocumentsModal && selectedEntityForDocuments && (
         <DocumentsModal
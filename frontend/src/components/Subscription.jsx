@@ -207,7 +207,7 @@ function Subscription() {
         <p className="text-sm text-gray-600 dark:text-gray-400 mb-4">
           {canCancelSubscription
             ? 'Permanently cancel your subscription and delete all company data. This cannot be undone.'
-            : 'Only admins can cancel the subscription and delete the company.'}
+            : 'You do not have permission to cancel the subscription and delete the company.'}
         </p>
         {errorMessage && (
           <p className="text-sm text-red-600 dark:text-red-400 mb-4">{errorMessage}</p>
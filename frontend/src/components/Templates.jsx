@@ -2,7 +2,7 @@ import { useState, useEffect, useRef } from 'react'
 import { useAuth } from '../context/AuthContext'
 import axios from 'axios'
 import ActionsMenu, { EDIT_ICON, DELETE_ICON } from './ActionsMenu'
-import { useTemplates } from '../hooks/useApi'
+import { useTemplates, useHasPermission } from '../hooks/useApi'
 
 const emptySubcontractor = {
   subcontractor_id: '',
@@ -38,6 +38,7 @@ const emptyAdditional = {
 function Templates() {
   const { supabase, getAuthHeaders } = useAuth()
   const { data: templates = [], isLoading, refetch } = useTemplates()
+  const canEditExpenses = useHasPermission('edit_expenses')
   const [subcontractors, setSubcontractors] = useState([])
   const [inventory, setInventory] = useState([])
   const [showForm, setShowForm] = useState(false)
@@ -393,12 +394,14 @@ function Templates() {
           <h2 className="text-2xl font-bold text-gray-800 dark:text-white">Templates</h2>
           <p className="text-gray-600 dark:text-gray-400 mt-1">Create reusable expense templates for common project types</p>
         </div>
-        <button
-          onClick={handleOpenAdd}
-          className="px-4 py-2 bg-pool-blue hover:bg-pool-dark text-white font-semibold rounded-md transition-colors"
-        >
-          + Add Template
-        </button>
+        {canEditExpenses && (
+          <button
+            onClick={handleOpenAdd}
+            className="px-4 py-2 bg-pool-blue hover:bg-pool-dark text-white font-semibold rounded-md transition-colors"
+          >
+            + Add Template
+          </button>
+        )}
       </div>
 
       {error && (
@@ -440,17 +443,19 @@ function Templates() {
                   <td className="px-4 py-3 text-sm text-gray-900 dark:text-white">{t.equipmentCount || 0}</td>
                   <td className="px-4 py-3 text-sm text-gray-900 dark:text-white">{t.additionalCount || 0}</td>
                   <td className="px-4 py-3 text-right">
-                    <div ref={openActionsId === t.id ? actionsMenuRef : null}>
-                      <ActionsMenu
-                        isOpen={openActionsId === t.id}
-                        onToggle={() => setOpenActionsId((prev) => (prev === t.id ? null : t.id))}
-                        onAction={() => setOpenActionsId(null)}
-                        actions={[
-                          { icon: EDIT_ICON, label: 'Edit', onClick: () => handleOpenEdit(t) },
-                          { icon: DELETE_ICON, label: 'Delete', danger: true, onClick: () => handleDelete(t) },
-                        ]}
-                      />
-                    </div>
+                    {canEditExpenses && (
+                      <div ref={openActionsId === t.id ? actionsMenuRef : null}>
+                        <ActionsMenu
+                          isOpen={openActionsId === t.id}
+                          onToggle={() => setOpenActionsId((prev) => (prev === t.id ? null : t.id))}
+                          onAction={() => setOpenActionsId(null)}
+                          actions={[
+                            { icon: EDIT_ICON, label: 'Edit', onClick: () => handleOpenEdit(t) },
+                            { icon: DELETE_ICON, label: 'Delete', danger: true, onClick: () => handleDelete(t) },
+                          ]}
+                        />
+                      </div>
+                    )}
                   </td>
                 </tr>
               ))
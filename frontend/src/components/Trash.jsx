@@ -0,0 +1,201 @@
+import { useState, useEffect } from 'react'
+import { useTrash, useRestoreFromTrash, usePurgeFromTrash, useUpdateTrashSettings } from '../hooks/useApi'
+
+const TYPE_LABELS = {
+  customer: 'Customer',
+  project: 'Project',
+  project_document: 'Project document',
+  customer_document: 'Customer document',
+  subcontractor_document: 'Subcontractor document',
+  inventory_document: 'Inventory document',
+}
+
+const TYPE_FILTERS = [
+  { value: '', label: 'Everything' },
+  { value: 'customer', label: 'Customers' },
+  { value: 'project', label: 'Projects' },
+  { value: 'document', label: 'Documents' },
+]
+
+const daysUntil = (iso) => Math.max(0, Math.ceil((new Date(iso).getTime() - Date.now()) / (24 * 60 * 60 * 1000)))
+
+function Trash() {
+  const { data, isLoading, error } = useTrash()
+  const restoreItem = useRestoreFromTrash()
+  const purgeItem = usePurgeFromTrash()
+  const updateSettings = useUpdateTrashSettings()
+  const [typeFilter, setTypeFilter] = useState('')
+  const [retentionInput, setRetentionInput] = useState('')
+  const [message, setMessage] = useState({ type: '', text: '' })
+
+  useEffect(() => {
+    if (data?.retentionDays) setRetentionInput(String(data.retentionDays))
+  }, [data?.retentionDays])
+
+  const items = (data?.items || []).filter((item) => {
+    if (!typeFilter) return true
+    if (typeFilter === 'document') return item.type.endsWith('_document')
+    return item.type === typeFilter
+  })
+
+  const showMessage = (type, text) => {
+    setMessage({ type, text })
+    setTimeout(() => setMessage({ type: '', text: '' }), 3000)
+  }
+
+  const handleRestore = async (item) => {
+    try {
+      await restoreItem.mutateAsync({ type: item.type, id: item.id })
+      showMessage('success', `"${item.name}" restored`)
+    } catch (err) {
+      showMessage('error', err?.response?.data?.error || 'Failed to restore')
+    }
+  }
+
+  const handlePurge = async (item) => {
+    const warning = item.type === 'project'
+      ? `Permanently delete "${item.name}"? Its expenses, milestones and documents are deleted too. This cannot be undone.`
+      : `Permanently delete "${item.name}"? This cannot be undone.`
+    if (!window.confirm(warning)) return
+
+    try {
+      await purgeItem.mutateAsync({ type: item.type, id: item.id })
+      showMessage('success', `"${item.name}" permanently deleted`)
+    } catch (err) {
+      showMessage('error', err?.response?.data?.error || 'Failed to delete')
+    }
+  }
+
+  const handleSaveRetention = async () => {
+    try {
+      await updateSettings.mutateAsync(parseInt(retentionInput, 10))
+      showMessage('success', 'Retention period saved')
+    } catch (err) {
+      showMessage('error', err?.response?.data?.error || 'Failed to save retention period')
+    }
+  }
+
+  const retentionValue = parseInt(retentionInput, 10)
+  const retentionValid = retentionValue >= (data?.minRetentionDays || 1) && retentionValue <= (data?.maxRetentionDays || 365)
+  const inputClass = 'px-3 py-2 border border-gray-300 dark:border-gray-600 rounded-md focus:outline-none focus:ring-2 focus:ring-pool-blue focus:border-transparent bg-white dark:bg-gray-700 text-sm text-gray-900 dark:text-white'
+
+  return (
+    <div className="space-y-6">
+      {/* Header */}
+      <div>
+        <h2 className="text-2xl font-bold text-gray-800 dark:text-white">Trash</h2>
+        <p className="text-gray-600 dark:text-gray-400 mt-1">
+          Deleted customers, projects and documents. Restore them, or they are permanently deleted after {data?.retentionDays || 30} days.
+        </p>
+      </div>
+
+      {message.text && (
+        <div className={`p-3 rounded-md text-sm border ${message.type === 'error' ? 'bg-red-50 border-red-200 text-red-700' : 'bg-green-50 border-green-200 text-green-700'}`}>
+          {message.text}
+        </div>
+      )}
+
+      {error && (
+        <div className="p-3 bg-red-50 border border-red-200 text-red-700 rounded-md text-sm">
+          {error?.response?.data?.error || 'Failed to load trash'}
+        </div>
+      )}
+
+      <div className="bg-white dark:bg-gray-800 rounded-lg shadow p-4 flex flex-col sm:flex-row sm:items-end gap-4">
+        <div>
+          <label className="block text-xs font-medium text-gray-600 dark:text-gray-400 mb-1">Show</label>
+          <select value={typeFilter} onChange={(e) => setTypeFilter(e.target.value)} className={inputClass}>
+            {TYPE_FILTERS.map((t) => (
+              <option key={t.value} value={t.value}>{t.label}</option>
+            ))}
+          </select>
+        </div>
+        {data?.canEditRetention && (
+          <div className="flex items-end gap-2 sm:ml-auto">
+            <div>
+              <label className="block text-xs font-medium text-gray-600 dark:text-gray-400 mb-1">Keep deleted items for (days)</label>
+              <input
+                type="number"
+                min={data.minRetentionDays}
+                max={data.maxRetentionDays}
+                value={retentionInput}
+                onChange={(e) => setRetentionInput(e.target.value)}
+                className={`${inputClass} w-28`}
+              />
+            </div>
+            <button
+              onClick={handleSaveRetention}
+              disabled={!retentionValid || retentionValue === data.retentionDays || updateSettings.isPending}
+              className="px-4 py-2 bg-pool-blue hover:bg-pool-dark text-white text-sm font-medium rounded-md transition-colors disabled:opacity-50"
+            >
+              {updateSettings.isPending ? 'Saving...' : 'Save'}
+            </button>
+          </div>
+        )}
+      </div>
+
+      <div className="bg-white dark:bg-gray-800 rounded-lg shadow overflow-hidden">
+        {isLoading ? (
+          <div className="flex items-center justify-center py-12">
+            <div className="animate-spin rounded-full h-10 w-10 border-b-2 border-pool-blue"></div>
+          </div>
+        ) : items.length === 0 ? (
+          <p className="text-center py-12 text-gray-500 dark:text-gray-400">Trash is empty</p>
+        ) : (
+          <div className="overflow-x-auto">
+            <table className="min-w-full divide-y divide-gray-200 dark:divide-gray-700">
+              <thead className="bg-gray-50 dark:bg-gray-700">
+                <tr>
+                  <th className="px-4 py-3 text-left text-xs font-medium text-gray-500 dark:text-gray-300 uppercase tracking-wider">Item</th>
+                  <th className="px-4 py-3 text-left text-xs font-medium text-gray-500 dark:text-gray-300 uppercase tracking-wider">Type</th>
+                  <th className="px-4 py-3 text-left text-xs font-medium text-gray-500 dark:text-gray-300 uppercase tracking-wider">Deleted</th>
+                  <th className="px-4 py-3 text-left text-xs font-medium text-gray-500 dark:text-gray-300 uppercase tracking-wider">Purged in</th>
+                  <th className="px-4 py-3 text-right text-xs font-medium text-gray-500 dark:text-gray-300 uppercase tracking-wider">Actions</th>
+                </tr>
+              </thead>
+              <tbody className="divide-y divide-gray-200 dark:divide-gray-700">
+                {items.map((item) => {
+                  const remaining = daysUntil(item.purge_at)
+                  return (
+                    <tr key={`${item.type}-${item.id}`}>
+                      <td className="px-4 py-3 text-sm">
+                        <div className="font-medium text-gray-900 dark:text-white">{item.name}</div>
+                        {item.detail && <div className="text-xs text-gray-500 dark:text-gray-400">{item.detail}</div>}
+                      </td>
+                      <td className="px-4 py-3 text-sm text-gray-700 dark:text-gray-300 whitespace-nowrap">{TYPE_LABELS[item.type] || item.type}</td>
+                      <td className="px-4 py-3 text-sm text-gray-700 dark:text-gray-300">
+                        <div className="whitespace-nowrap">{new Date(item.deleted_at).toLocaleString()}</div>
+                        {item.deleted_by_name && <div className="text-xs text-gray-500 dark:text-gray-400">by {item.deleted_by_name}</div>}
+                      </td>
+                      <td className={`px-4 py-3 text-sm whitespace-nowrap ${remaining <= 3 ? 'text-red-600 dark:text-red-400' : 'text-gray-700 dark:text-gray-300'}`}>
+                        {remaining === 0 ? 'Today' : `${remaining} day${remaining === 1 ? '' : 's'}`}
+                      </td>
+                      <td className="px-4 py-3 text-sm text-right whitespace-nowrap space-x-3">
+                        <button
+                          onClick={() => handleRestore(item)}
+                          disabled={restoreItem.isPending}
+                          className="text-pool-blue hover:text-pool-dark font-medium disabled:opacity-50"
+                        >
+                          Restore
+                        </button>
+                        <button
+                          onClick={() => handlePurge(item)}
+                          disabled={purgeItem.isPending}
+                          className="text-red-600 hover:text-red-800 dark:text-red-400 font-medium disabled:opacity-50"
+                        >
+                          Delete forever
+                        </button>
+                      </td>
+                    </tr>
+                  )
+                })}
+              </tbody>
+            </table>
+          </div>
+        )}
+      </div>
+    </div>
+  )
+}
+
+export default Trash
@@ -12,6 +12,81 @@ const useAuthHeaders = () => {
   }
 }
 
+// Upload a file to a subcontractor's documents and return the new subcontractor_documents row
+const uploadSubcontractorDocument = async (headers, subcontractorId, { file, name, documentType }) => {
+  const formData = new FormData()
+  formData.append('file', file)
+  formData.append('name', name)
+  formData.append('document_type', documentType)
+  const response = await fetch(`/api/documents/subcontractors/${subcontractorId}/upload`, {
+    method: 'POST',
+    // Leave Content-Type to the browser so the multipart boundary is set
+    headers: { Authorization: headers.Authorization, 'X-Company-ID': headers['X-Company-ID'] },
+    body: formData,
+  })
+  const data = await response.json()
+  if (!response.ok) throw new Error(data.error || 'Upload failed')
+  return data.document || null
+}
+
+// Drop empty / 'all' values so unused filters stay out of the URL and the cache key
+const cleanListParams = (params) =>
+  Object.fromEntries(
+    Object.entries(params).filter(([, value]) => value !== '' && value !== 'all' && value !== null && value !== undefined)
+  )
+
+// One page of a list endpoint: GET /api/<resource>?limit&offset&search&sort&order&<filters>
+// Shares the resource's cache prefix so the existing mutations invalidate it too.
+const usePagedList = (resource, dataKey, { page = 1, pageSize = 25, ...params } = {}) => {
+  const getAuthHeaders = useAuthHeaders()
+  const { user, currentCompanyID } = useAuth()
+  const listParams = cleanListParams({ ...params, limit: pageSize, offset: (page - 1) * pageSize })
+
+  return useQuery({
+    queryKey: [resource, currentCompanyID, 'page', listParams],
+    queryFn: async () => {
+      const headers = await getAuthHeaders()
+      if (!headers.Authorization) throw new Error('Not authenticated')
+
+      const response = await axios.get(`/api/${resource}`, {
+        headers,
+        params: listParams,
+      })
+      return {
+        rows: response.data[dataKey] || [],
+        total: response.data.total || 0,
+        summary: response.data.summary || null,
+      }
+    },
+    enabled: !!user && !!currentCompanyID,
+    staleTime: 60 * 1000,
+    gcTime: 10 * 60 * 1000,
+    placeholderData: (previousData) => previousData,
+  })
+}
+
+// A single record: GET /api/<resource>/:id (used to open a global search result)
+export const useRecord = (resource, dataKey, id) => {
+  const getAuthHeaders = useAuthHeaders()
+  const { user, currentCompanyID } = useAuth()
+
+  return useQuery({
+    queryKey: [resource, currentCompanyID, 'record', id],
+    queryFn: async () => {
+      const headers = await getAuthHeaders()
+      if (!headers.Authorization) throw new Error('Not authenticated')
+
+      const response = await axios.get(`/api/${resource}/${id}`, {
+        headers,
+      })
+      return response.data[dataKey] || null
+    },
+    enabled: !!user && !!currentCompanyID && !!id,
+    staleTime: 30 * 1000,
+    gcTime: 5 * 60 * 1000,
+  })
+}
+
 // ============================================
 // CUSTOMERS
 // ============================================
@@ -36,6 +111,9 @@ export const useCustomers = () => {
   })
 }
 
+// Paged, server-filtered customers: { rows, total, summary: { total, statusCounts } }
+export const useCustomersPage = (params) => usePagedList('customers', 'customers', params)
+
 export const useCreateCustomer = () => {
   const queryClient = useQueryClient()
   const getAuthHeaders = useAuthHeaders()
@@ -89,8 +167,68 @@ export const useDeleteCustomer = () => {
         headers,
       })
     },
+    // The customer's projects go to the Trash with them
+    onSuccess: () => invalidateAfterTrashChange(queryClient),
+  })
+}
+
+// Customer portal magic links (the URL is only returned by the create call)
+export const usePortalLinks = (customerId) => {
+  const getAuthHeaders = useAuthHeaders()
+  const { user, currentCompanyID } = useAuth()
+
+  return useQuery({
+    queryKey: ['portalLinks', currentCompanyID, customerId],
+    queryFn: async () => {
+      const headers = await getAuthHeaders()
+      if (!headers.Authorization) throw new Error('Not authenticated')
+
+      const response = await axios.get(`/api/customers/${customerId}/portal-links`, {
+        headers,
+      })
+      return response.data.links || []
+    },
+    enabled: !!user && !!currentCompanyID && !!customerId,
+    staleTime: 30 * 1000,
+    gcTime: 5 * 60 * 1000,
+  })
+}
+
+export const useCreatePortalLink = () => {
+  const queryClient = useQueryClient()
+  const getAuthHeaders = useAuthHeaders()
+
+  return useMutation({
+    mutationFn: async ({ customerId, expiresInDays }) => {
+      const headers = await getAuthHeaders()
+      if (!headers.Authorization) throw new Error('Not authenticated')
+
+      const response = await axios.post(`/api/customers/${customerId}/portal-links`, { expires_in_days: expiresInDays }, {
+        headers,
+      })
+      return response.data
+    },
     onSuccess: () => {
-      queryClient.invalidateQueries({ queryKey: ['customers'] })
+      queryClient.invalidateQueries({ queryKey: ['portalLinks'] })
+    },
+  })
+}
+
+export const useRevokePortalLink = () => {
+  const queryClient = useQueryClient()
+  const getAuthHeaders = useAuthHeaders()
+
+  return useMutation({
+    mutationFn: async ({ customerId, linkId }) => {
+      const headers = await getAuthHeaders()
+      if (!headers.Authorization) throw new Error('Not authenticated')
+
+      await axios.delete(`/api/customers/${customerId}/portal-links/${linkId}`, {
+        headers,
+      })
+    },
+    onSuccess: () => {
+      queryClient.invalidateQueries({ queryKey: ['portalLinks'] })
     },
   })
 }
@@ -119,6 +257,9 @@ export const useProjects = () => {
   })
 }
 
+// Paged, server-filtered projects: { rows, total, summary: { total, statusCounts, totalEstValue, projectManagers } }
+export const useProjectsPage = (params) => usePagedList('projects', 'projects', params)
+
 export const useCreateProject = () => {
   const queryClient = useQueryClient()
   const getAuthHeaders = useAuthHeaders()
@@ -157,7 +298,29 @@ export const useUpdateProject = () => {
     onSuccess: () => {
       queryClient.invalidateQueries({ queryKey: ['projects'] })
       queryClient.invalidateQueries({ queryKey: ['statistics'] })
+      queryClient.invalidateQueries({ queryKey: ['projectStatusHistory'] })
+    },
+  })
+}
+
+export const useProjectStatusHistory = (projectId) => {
+  const getAuthHeaders = useAuthHeaders()
+  const { user, currentCompanyID } = useAuth()
+
+  return useQuery({
+    queryKey: ['projectStatusHistory', currentCompanyID, projectId],
+    queryFn: async () => {
+      const headers = await getAuthHeaders()
+      if (!headers.Authorization) throw new Error('Not authenticated')
+
+      const response = await axios.get(`/api/projects/${projectId}/status-history`, {
+        headers,
+      })
+      return response.data.history || []
     },
+    enabled: !!user && !!currentCompanyID && !!projectId,
+    staleTime: 60 * 1000,
+    gcTime: 10 * 60 * 1000,
   })
 }
 
@@ -197,6 +360,7 @@ export const useDeleteProject = () => {
     },
     onSuccess: () => {
       queryClient.invalidateQueries({ queryKey: ['projects'] })
+      queryClient.invalidateQueries({ queryKey: ['trash'] })
       queryClient.invalidateQueries({ queryKey: ['statistics'] })
     },
   })
@@ -226,6 +390,8 @@ export const useInventory = () => {
   })
 }
 
+export const useInventoryPage = (params) => usePagedList('inventory', 'materials', params)
+
 export const useCreateInventoryItem = () => {
   const queryClient = useQueryClient()
   const getAuthHeaders = useAuthHeaders()
@@ -262,6 +428,8 @@ export const useUpdateInventoryItem = () => {
     },
     onSuccess: () => {
       queryClient.invalidateQueries({ queryKey: ['inventory'] })
+      queryClient.invalidateQueries({ queryKey: ['inventoryMovements'] })
+      queryClient.invalidateQueries({ queryKey: ['inventoryPriceHistory'] })
     },
   })
 }
@@ -285,6 +453,93 @@ export const useDeleteInventoryItem = () => {
   })
 }
 
+// Items at or below their reorder point after upcoming projects' committed materials, furthest below first
+export const useReorderReport = () => {
+  const getAuthHeaders = useAuthHeaders()
+  const { user, currentCompanyID } = useAuth()
+
+  return useQuery({
+    queryKey: ['inventory', currentCompanyID, 'reorderReport'],
+    queryFn: async () => {
+      const headers = await getAuthHeaders()
+      if (!headers.Authorization) throw new Error('Not authenticated')
+
+      const response = await axios.get('/api/inventory/reorder-report', {
+        headers,
+      })
+      return response.data.items || []
+    },
+    enabled: !!user && !!currentCompanyID,
+    staleTime: 60 * 1000,
+    gcTime: 5 * 60 * 1000,
+  })
+}
+
+// Stock ledger for one item: { item, onHand, movements } with a running on_hand per movement
+export const useInventoryMovements = (inventoryId) => {
+  const getAuthHeaders = useAuthHeaders()
+  const { user, currentCompanyID } = useAuth()
+
+  return useQuery({
+    queryKey: ['inventoryMovements', currentCompanyID, inventoryId],
+    queryFn: async () => {
+      const headers = await getAuthHeaders()
+      if (!headers.Authorization) throw new Error('Not authenticated')
+
+      const response = await axios.get(`/api/inventory/${inventoryId}/movements`, {
+        headers,
+      })
+      return response.data
+    },
+    enabled: !!user && !!currentCompanyID && !!inventoryId,
+    staleTime: 30 * 1000,
+    gcTime: 5 * 60 * 1000,
+  })
+}
+
+export const useAddInventoryMovement = () => {
+  const queryClient = useQueryClient()
+  const getAuthHeaders = useAuthHeaders()
+
+  return useMutation({
+    mutationFn: async ({ inventoryId, data }) => {
+      const headers = await getAuthHeaders()
+      if (!headers.Authorization) throw new Error('Not authenticated')
+
+      const response = await axios.post(`/api/inventory/${inventoryId}/movements`, data, {
+        headers,
+      })
+      return response.data
+    },
+    onSuccess: () => {
+      queryClient.invalidateQueries({ queryKey: ['inventoryMovements'] })
+      queryClient.invalidateQueries({ queryKey: ['inventory'] })
+    },
+  })
+}
+
+// An inventory item's unit price changes, newest first: { item, history }
+export const useInventoryPriceHistory = (inventoryId) => {
+  const getAuthHeaders = useAuthHeaders()
+  const { user, currentCompanyID } = useAuth()
+
+  return useQuery({
+    queryKey: ['inventoryPriceHistory', currentCompanyID, inventoryId],
+    queryFn: async () => {
+      const headers = await getAuthHeaders()
+      if (!headers.Authorization) throw new Error('Not authenticated')
+
+      const response = await axios.get(`/api/inventory/${inventoryId}/price-history`, {
+        headers,
+      })
+      return response.data
+    },
+    enabled: !!user && !!currentCompanyID && !!inventoryId,
+    staleTime: 30 * 1000,
+    gcTime: 5 * 60 * 1000,
+  })
+}
+
 // ============================================
 // EMPLOYEES
 // ============================================
@@ -309,6 +564,8 @@ export const useEmployees = () => {
   })
 }
 
+export const useEmployeesPage = (params) => usePagedList('employees', 'employees', params)
+
 export const useCreateEmployee = () => {
   const queryClient = useQueryClient()
   const getAuthHeaders = useAuthHeaders()
@@ -392,6 +649,8 @@ export const useSubcontractors = () => {
   })
 }
 
+export const useSubcontractorsPage = (params) => usePagedList('subcontractors', 'subcontractors', params)
+
 export const useCreateSubcontractor = () => {
   const queryClient = useQueryClient()
   const getAuthHeaders = useAuthHeaders()
@@ -451,162 +710,1813 @@ export const useDeleteSubcontractor = () => {
   })
 }
 
-// ============================================
-// GOALS
-// ============================================
-export const useGoals = () => {
+// Subcontractors whose COI has expired or falls inside the alert window: { settings, subcontractors }
+export const useCoiReport = () => {
   const getAuthHeaders = useAuthHeaders()
   const { user, currentCompanyID } = useAuth()
 
   return useQuery({
-    queryKey: ['goals', currentCompanyID],
+    queryKey: ['subcontractors', currentCompanyID, 'coiReport'],
     queryFn: async () => {
       const headers = await getAuthHeaders()
       if (!headers.Authorization) throw new Error('Not authenticated')
 
-      const response = await axios.get('/api/goals', {
+      const response = await axios.get('/api/subcontractors/coi-report', {
         headers,
       })
-      return response.data.goals || []
+      return response.data
     },
     enabled: !!user && !!currentCompanyID,
-    staleTime: 5 * 60 * 1000,
-    gcTime: 30 * 60 * 1000,
+    staleTime: 60 * 1000,
+    gcTime: 5 * 60 * 1000,
   })
 }
 
-export const useGoalDataPoints = () => {
+// { alerts_enabled, alert_days, expired_assignment: 'warn' | 'block' }
+export const useUpdateCoiSettings = () => {
+  const queryClient = useQueryClient()
   const getAuthHeaders = useAuthHeaders()
-  const { user, currentCompanyID } = useAuth()
 
-  return useQuery({
-    queryKey: ['goalDataPoints', currentCompanyID],
-    queryFn: async () => {
+  return useMutation({
+    mutationFn: async (settings) => {
       const headers = await getAuthHeaders()
       if (!headers.Authorization) throw new Error('Not authenticated')
 
-      const response = await axios.get('/api/goals/data-points', {
+      const response = await axios.put('/api/subcontractors/coi-settings', settings, {
         headers,
       })
-      return response.data.dataPoints || []
+      return response.data.settings
+    },
+    onSuccess: () => {
+      queryClient.invalidateQueries({ queryKey: ['subcontractors'] })
     },
-    enabled: !!user && !!currentCompanyID,
-    staleTime: 30 * 60 * 1000, // Data points rarely change
-    gcTime: 60 * 60 * 1000,
   })
 }
 
-export const useCreateGoal = () => {
-  const queryClient = useQueryClient()
+// A subcontractor's COI renewals and the expiration alerts sent about them: { renewals, alerts }
+export const useCoiRenewals = (subcontractorId) => {
   const getAuthHeaders = useAuthHeaders()
+  const { user, currentCompanyID } = useAuth()
 
-  return useMutation({
-    mutationFn: async (goalData) => {
+  return useQuery({
+    queryKey: ['coiRenewals', currentCompanyID, subcontractorId],
+    queryFn: async () => {
       const headers = await getAuthHeaders()
       if (!headers.Authorization) throw new Error('Not authenticated')
 
-      const response = await axios.post('/api/goals', goalData, {
+      const response = await axios.get(`/api/subcontractors/${subcontractorId}/coi-renewals`, {
         headers,
       })
       return response.data
     },
-    onSuccess: () => {
-      queryClient.invalidateQueries({ queryKey: ['goals'] })
-    },
+    enabled: !!user && !!currentCompanyID && !!subcontractorId,
+    staleTime: 30 * 1000,
+    gcTime: 5 * 60 * 1000,
   })
 }
 
-export const useUpdateGoal = () => {
+// { subcontractorId, data: { expiration_date, effective_date, carrier, policy_number, notes }, file }
+// The certificate file, when given, is uploaded to the subcontractor's documents as a COI first and linked to the renewal
+export const useAddCoiRenewal = () => {
   const queryClient = useQueryClient()
   const getAuthHeaders = useAuthHeaders()
 
   return useMutation({
-    mutationFn: async ({ id, data }) => {
+    mutationFn: async ({ subcontractorId, data, file }) => {
       const headers = await getAuthHeaders()
       if (!headers.Authorization) throw new Error('Not authenticated')
 
-      const response = await axios.put(`/api/goals/${id}`, data, {
+      let documentId = null
+      if (file) {
+        const document = await uploadSubcontractorDocument(headers, subcontractorId, {
+          file,
+          name: `COI ${data.carrier ? `${data.carrier} ` : ''}exp. ${data.expiration_date}`,
+          documentType: 'coi',
+        })
+        documentId = document?.id || null
+      }
+
+      const response = await axios.post(`/api/subcontractors/${subcontractorId}/coi-renewals`, { ...data, document_id: documentId }, {
         headers,
       })
       return response.data
     },
     onSuccess: () => {
-      queryClient.invalidateQueries({ queryKey: ['goals'] })
+      queryClient.invalidateQueries({ queryKey: ['coiRenewals'] })
+      queryClient.invalidateQueries({ queryKey: ['subcontractors'] })
+      queryClient.invalidateQueries({ queryKey: ['documents'] })
     },
   })
 }
 
-export const useDeleteGoal = () => {
+export const useDeleteCoiRenewal = () => {
   const queryClient = useQueryClient()
   const getAuthHeaders = useAuthHeaders()
 
   return useMutation({
-    mutationFn: async (id) => {
+    mutationFn: async ({ subcontractorId, renewalId }) => {
       const headers = await getAuthHeaders()
       if (!headers.Authorization) throw new Error('Not authenticated')
 
-      await axios.delete(`/api/goals/${id}`, {
+      const response = await axios.delete(`/api/subcontractors/${subcontractorId}/coi-renewals/${renewalId}`, {
         headers,
       })
+      return response.data
     },
     onSuccess: () => {
-      queryClient.invalidateQueries({ queryKey: ['goals'] })
+      queryClient.invalidateQueries({ queryKey: ['coiRenewals'] })
+      queryClient.invalidateQueries({ queryKey: ['subcontractors'] })
     },
   })
 }
 
-// ============================================
-// STATISTICS (Dashboard)
-// ============================================
-export const useStatistics = (period = 'total') => {
+// Payments on one subcontractor fee: { fee, payments, summary: { fee_amount, paid, balance } }
+export const useSubcontractorPayments = (projectId, feeId) => {
   const getAuthHeaders = useAuthHeaders()
   const { user, currentCompanyID } = useAuth()
 
   return useQuery({
-    queryKey: ['statistics', currentCompanyID, period],
+    queryKey: ['subcontractorPayments', currentCompanyID, projectId, feeId],
     queryFn: async () => {
       const headers = await getAuthHeaders()
       if (!headers.Authorization) throw new Error('Not authenticated')
 
-      const response = await axios.get('/api/projects/statistics', {
+      const response = await axios.get(`/api/projects/${projectId}/expenses/subcontractor-fees/${feeId}/payments`, {
         headers,
-        params: { period },
       })
       return response.data
     },
-    enabled: !!user && !!currentCompanyID,
-    staleTime: 5 * 60 * 1000,
-    gcTime: 30 * 60 * 1000,
+    enabled: !!user && !!currentCompanyID && !!projectId && !!feeId,
+    staleTime: 30 * 1000,
+    gcTime: 5 * 60 * 1000,
   })
 }
 
-// Monthly statistics for charts
-export const useMonthlyStatistics = (year) => {
+// Lien waiver files picked for a payment are uploaded to the subcontractor's documents first and linked to it
+const uploadLienWaivers = async (headers, subcontractorId, paymentDate, { conditionalFile, unconditionalFile }) => {
+  const ids = {}
+  if (conditionalFile) {
+    const document = await uploadSubcontractorDocument(headers, subcontractorId, {
+      file: conditionalFile,
+      name: `Conditional lien waiver ${paymentDate}`,
+      documentType: 'lien_waiver',
+    })
+    ids.conditional_waiver_document_id = document?.id || null
+  }
+  if (unconditionalFile) {
+    const document = await uploadSubcontractorDocument(headers, subcontractorId, {
+      file: unconditionalFile,
+      name: `Unconditional lien waiver ${paymentDate}`,
+      documentType: 'lien_waiver',
+    })
+    ids.unconditional_waiver_document_id = document?.id || null
+  }
+  return ids
+}
+
+const invalidateSubcontractorPayments = (queryClient) => {
+  queryClient.invalidateQueries({ queryKey: ['subcontractorPayments'] })
+  queryClient.invalidateQueries({ queryKey: ['report1099'] })
+  queryClient.invalidateQueries({ queryKey: ['documents'] })
+}
+
+// { projectId, feeId, subcontractorId, data: { payment_date, method, check_number, amount, notes }, conditionalFile, unconditionalFile }
+export const useAddSubcontractorPayment = () => {
+  const queryClient = useQueryClient()
   const getAuthHeaders = useAuthHeaders()
-  const { user, currentCompanyID } = useAuth()
 
-  return useQuery({
-    queryKey: ['monthlyStatistics', currentCompanyID, year],
-    queryFn: async () => {
+  return useMutation({
+    mutationFn: async ({ projectId, feeId, subcontractorId, data, conditionalFile, unconditionalFile }) => {
       const headers = await getAuthHeaders()
       if (!headers.Authorization) throw new Error('Not authenticated')
 
-      const response = await axios.get('/api/projects/monthly-statistics', {
+      const waivers = await uploadLienWaivers(headers, subcontractorId, data.payment_date, { conditionalFile, unconditionalFile })
+      const response = await axios.post(`/api/projects/${projectId}/expenses/subcontractor-fees/${feeId}/payments`, { ...data, ...waivers }, {
         headers,
-        params: { year },
       })
-      return response.data
+      return response.data.payment
     },
-    enabled: !!user && !!currentCompanyID && !!year,
-    staleTime: 10 * 60 * 1000, // 10 minutes - monthly data doesn't change often
-    gcTime: 60 * 60 * 1000,
+    onSuccess: () => invalidateSubcontractorPayments(queryClient),
   })
 }
 
-// ============================================
-// COMPANY INFO
-// ============================================
-export const useCompanyInfo = () => {
+// Same shape as useAddSubcontractorPayment plus paymentId; only the fields given are changed
+export const useUpdateSubcontractorPayment = () => {
+  const queryClient = useQueryClient()
+  const getAuthHeaders = useAuthHeaders()
+
+  return useMutation({
+    mutationFn: async ({ projectId, feeId, paymentId, subcontractorId, paymentDate, data = {}, conditionalFile, unconditionalFile }) => {
+      const headers = await getAuthHeaders()
+      if (!headers.Authorization) throw new Error('Not authenticated')
+
+      const waivers = await uploadLienWaivers(headers, subcontractorId, paymentDate, { conditionalFile, unconditionalFile })
+      const response = await axios.put(`/api/projects/${projectId}/expenses/subcontractor-fees/${feeId}/payments/${paymentId}`, { ...data, ...waivers }, {
+        headers,
+      })
+      return response.data.payment
+    },
+    onSuccess: () => invalidateSubcontractorPayments(queryClient),
+  })
+}
+
+export const useDeleteSubcontractorPayment = () => {
+  const queryClient = useQueryClient()
+  const getAuthHeaders = useAuthHeaders()
+
+  return useMutation({
+    mutationFn: async ({ projectId, feeId, paymentId }) => {
+      const headers = await getAuthHeaders()
+      if (!headers.Authorization) throw new Error('Not authenticated')
+
+      await axios.delete(`/api/projects/${projectId}/expenses/subcontractor-fees/${feeId}/payments/${paymentId}`, {
+        headers,
+      })
+    },
+    onSuccess: () => invalidateSubcontractorPayments(queryClient),
+  })
+}
+
+// Year-end 1099 report: { year, threshold, subcontractors, totals }
+export const use1099Report = (year, threshold) => {
+  const getAuthHeaders = useAuthHeaders()
+  const { user, currentCompanyID } = useAuth()
+
+  return useQuery({
+    queryKey: ['report1099', currentCompanyID, year, threshold],
+    queryFn: async () => {
+      const headers = await getAuthHeaders()
+      if (!headers.Authorization) throw new Error('Not authenticated')
+
+      const response = await axios.get('/api/subcontractors/1099-report', {
+        headers,
+        params: { year, ...(threshold ? { threshold } : {}) },
+      })
+      return response.data
+    },
+    enabled: !!user && !!currentCompanyID && !!year,
+    staleTime: 60 * 1000,
+    gcTime: 5 * 60 * 1000,
+  })
+}
+
+// ============================================
+// SUPPLIERS & PURCHASE ORDERS
+// ============================================
+export const useSuppliers = ({ enabled = true } = {}) => {
+  const getAuthHeaders = useAuthHeaders()
+  const { user, currentCompanyID } = useAuth()
+
+  return useQuery({
+    queryKey: ['suppliers', currentCompanyID],
+    queryFn: async () => {
+      const headers = await getAuthHeaders()
+      if (!headers.Authorization) throw new Error('Not authenticated')
+
+      const response = await axios.get('/api/suppliers', {
+        headers,
+      })
+      return response.data.suppliers || []
+    },
+    enabled: enabled && !!user && !!currentCompanyID,
+    staleTime: 5 * 60 * 1000,
+    gcTime: 30 * 60 * 1000,
+  })
+}
+
+export const useCreateSupplier = () => {
+  const queryClient = useQueryClient()
+  const getAuthHeaders = useAuthHeaders()
+
+  return useMutation({
+    mutationFn: async (supplierData) => {
+      const headers = await getAuthHeaders()
+      if (!headers.Authorization) throw new Error('Not authenticated')
+
+      const response = await axios.post('/api/suppliers', supplierData, {
+        headers,
+      })
+      return response.data
+    },
+    onSuccess: () => {
+      queryClient.invalidateQueries({ queryKey: ['suppliers'] })
+    },
+  })
+}
+
+export const useUpdateSupplier = () => {
+  const queryClient = useQueryClient()
+  const getAuthHeaders = useAuthHeaders()
+
+  return useMutation({
+    mutationFn: async ({ id, data }) => {
+      const headers = await getAuthHeaders()
+      if (!headers.Authorization) throw new Error('Not authenticated')
+
+      const response = await axios.put(`/api/suppliers/${id}`, data, {
+        headers,
+      })
+      return response.data
+    },
+    onSuccess: () => {
+      queryClient.invalidateQueries({ queryKey: ['suppliers'] })
+      queryClient.invalidateQueries({ queryKey: ['purchaseOrders'] })
+    },
+  })
+}
+
+export const useDeleteSupplier = () => {
+  const queryClient = useQueryClient()
+  const getAuthHeaders = useAuthHeaders()
+
+  return useMutation({
+    mutationFn: async (id) => {
+      const headers = await getAuthHeaders()
+      if (!headers.Authorization) throw new Error('Not authenticated')
+
+      await axios.delete(`/api/suppliers/${id}`, {
+        headers,
+      })
+    },
+    onSuccess: () => {
+      queryClient.invalidateQueries({ queryKey: ['suppliers'] })
+    },
+  })
+}
+
+// A supplier's past price list imports with the margin impact each produced
+export const useSupplierPriceLists = (supplierId) => {
+  const getAuthHeaders = useAuthHeaders()
+  const { user, currentCompanyID } = useAuth()
+
+  return useQuery({
+    queryKey: ['supplierPriceLists', currentCompanyID, supplierId],
+    queryFn: async () => {
+      const headers = await getAuthHeaders()
+      if (!headers.Authorization) throw new Error('Not authenticated')
+
+      const response = await axios.get(`/api/suppliers/${supplierId}/price-lists`, {
+        headers,
+      })
+      return response.data.imports || []
+    },
+    enabled: !!user && !!currentCompanyID && !!supplierId,
+    staleTime: 30 * 1000,
+    gcTime: 5 * 60 * 1000,
+  })
+}
+
+// Match a price list without saving: { supplierId, data: { rows, reprice_projects, reprice_templates } }
+export const usePreviewPriceList = () => {
+  const getAuthHeaders = useAuthHeaders()
+
+  return useMutation({
+    mutationFn: async ({ supplierId, data }) => {
+      const headers = await getAuthHeaders()
+      if (!headers.Authorization) throw new Error('Not authenticated')
+
+      const response = await axios.post(`/api/suppliers/${supplierId}/price-list/preview`, data, {
+        headers,
+      })
+      return response.data
+    },
+  })
+}
+
+// Apply a price list: { supplierId, data: { rows, file_name, effective_date, reprice_projects, reprice_templates } }
+export const useApplyPriceList = () => {
+  const queryClient = useQueryClient()
+  const getAuthHeaders = useAuthHeaders()
+
+  return useMutation({
+    mutationFn: async ({ supplierId, data }) => {
+      const headers = await getAuthHeaders()
+      if (!headers.Authorization) throw new Error('Not authenticated')
+
+      const response = await axios.post(`/api/suppliers/${supplierId}/price-list`, data, {
+        headers,
+      })
+      return response.data
+    },
+    onSuccess: () => {
+      queryClient.invalidateQueries({ queryKey: ['inventory'] })
+      queryClient.invalidateQueries({ queryKey: ['inventoryPriceHistory'] })
+      queryClient.invalidateQueries({ queryKey: ['supplierPriceLists'] })
+      queryClient.invalidateQueries({ queryKey: ['orderableLines'] })
+      queryClient.invalidateQueries({ queryKey: ['projects'] })
+    },
+  })
+}
+
+// Purchase orders, newest first; filters: { status, supplier_id, project_id }
+export const usePurchaseOrders = (filters = {}) => {
+  const getAuthHeaders = useAuthHeaders()
+  const { user, currentCompanyID } = useAuth()
+
+  return useQuery({
+    queryKey: ['purchaseOrders', currentCompanyID, filters],
+    queryFn: async () => {
+      const headers = await getAuthHeaders()
+      if (!headers.Authorization) throw new Error('Not authenticated')
+
+      const params = Object.fromEntries(Object.entries(filters).filter(([, value]) => value))
+      const response = await axios.get('/api/purchase-orders', {
+        headers,
+        params,
+      })
+      return response.data.purchaseOrders || []
+    },
+    enabled: !!user && !!currentCompanyID,
+    staleTime: 30 * 1000,
+    gcTime: 5 * 60 * 1000,
+  })
+}
+
+// One purchase order with the company details for its PDF: { purchaseOrder, company }
+export const usePurchaseOrder = (purchaseOrderId) => {
+  const getAuthHeaders = useAuthHeaders()
+  const { user, currentCompanyID } = useAuth()
+
+  return useQuery({
+    queryKey: ['purchaseOrders', currentCompanyID, 'detail', purchaseOrderId],
+    queryFn: async () => {
+      const headers = await getAuthHeaders()
+      if (!headers.Authorization) throw new Error('Not authenticated')
+
+      const response = await axios.get(`/api/purchase-orders/${purchaseOrderId}`, {
+        headers,
+      })
+      return response.data
+    },
+    enabled: !!user && !!currentCompanyID && !!purchaseOrderId,
+    staleTime: 30 * 1000,
+    gcTime: 5 * 60 * 1000,
+  })
+}
+
+// A project's material and equipment lines that can still be ordered
+export const useOrderableLines = (projectId) => {
+  const getAuthHeaders = useAuthHeaders()
+  const { user, currentCompanyID } = useAuth()
+
+  return useQuery({
+    queryKey: ['orderableLines', currentCompanyID, projectId],
+    queryFn: async () => {
+      const headers = await getAuthHeaders()
+      if (!headers.Authorization) throw new Error('Not authenticated')
+
+      const response = await axios.get(`/api/projects/${projectId}/orderable-lines`, {
+        headers,
+      })
+      return response.data.lines || []
+    },
+    enabled: !!user && !!currentCompanyID && !!projectId,
+    staleTime: 30 * 1000,
+    gcTime: 5 * 60 * 1000,
+  })
+}
+
+// Invalidate everything a purchase order change can touch
+const invalidatePurchasing = (queryClient) => {
+  queryClient.invalidateQueries({ queryKey: ['purchaseOrders'] })
+  queryClient.invalidateQueries({ queryKey: ['orderableLines'] })
+  queryClient.invalidateQueries({ queryKey: ['inventory'] })
+  queryClient.invalidateQueries({ queryKey: ['inventoryMovements'] })
+}
+
+// Draft purchase orders from project lines, one per supplier: lines [{ source_table, source_id, supplier_id }]
+export const useCreatePurchaseOrders = () => {
+  const queryClient = useQueryClient()
+  const getAuthHeaders = useAuthHeaders()
+
+  return useMutation({
+    mutationFn: async (data) => {
+      const headers = await getAuthHeaders()
+      if (!headers.Authorization) throw new Error('Not authenticated')
+
+      const response = await axios.post('/api/purchase-orders', data, {
+        headers,
+      })
+      return response.data.purchaseOrders
+    },
+    onSuccess: () => invalidatePurchasing(queryClient),
+  })
+}
+
+export const useUpdatePurchaseOrder = () => {
+  const queryClient = useQueryClient()
+  const getAuthHeaders = useAuthHeaders()
+
+  return useMutation({
+    mutationFn: async ({ id, data }) => {
+      const headers = await getAuthHeaders()
+      if (!headers.Authorization) throw new Error('Not authenticated')
+
+      const response = await axios.put(`/api/purchase-orders/${id}`, data, {
+        headers,
+      })
+      return response.data.purchaseOrder
+    },
+    onSuccess: () => invalidatePurchasing(queryClient),
+  })
+}
+
+// Mark sent, back to draft, or cancelled
+export const useSetPurchaseOrderStatus = () => {
+  const queryClient = useQueryClient()
+  const getAuthHeaders = useAuthHeaders()
+
+  return useMutation({
+    mutationFn: async ({ id, status }) => {
+      const headers = await getAuthHeaders()
+      if (!headers.Authorization) throw new Error('Not authenticated')
+
+      const response = await axios.post(`/api/purchase-orders/${id}/status`, { status }, {
+        headers,
+      })
+      return response.data.purchaseOrder
+    },
+    onSuccess: () => invalidatePurchasing(queryClient),
+  })
+}
+
+// Receive quantities: { id, data: { received_on, lines: [{ line_id, quantity, actual_price }] } }
+export const useReceivePurchaseOrder = () => {
+  const queryClient = useQueryClient()
+  const getAuthHeaders = useAuthHeaders()
+
+  return useMutation({
+    mutationFn: async ({ id, data }) => {
+      const headers = await getAuthHeaders()
+      if (!headers.Authorization) throw new Error('Not authenticated')
+
+      const response = await axios.post(`/api/purchase-orders/${id}/receive`, data, {
+        headers,
+      })
+      return response.data.purchaseOrder
+    },
+    onSuccess: () => {
+      invalidatePurchasing(queryClient)
+      queryClient.invalidateQueries({ queryKey: ['projects'] })
+    },
+  })
+}
+
+// ============================================
+// GOALS
+// ============================================
+export const useGoals = () => {
+  const getAuthHeaders = useAuthHeaders()
+  const { user, currentCompanyID } = useAuth()
+
+  return useQuery({
+    queryKey: ['goals', currentCompanyID],
+    queryFn: async () => {
+      const headers = await getAuthHeaders()
+      if (!headers.Authorization) throw new Error('Not authenticated')
+
+      const response = await axios.get('/api/goals', {
+        headers,
+      })
+      return response.data.goals || []
+    },
+    enabled: !!user && !!currentCompanyID,
+    staleTime: 5 * 60 * 1000,
+    gcTime: 30 * 60 * 1000,
+  })
+}
+
+export const useGoalDataPoints = () => {
+  const getAuthHeaders = useAuthHeaders()
+  const { user, currentCompanyID } = useAuth()
+
+  return useQuery({
+    queryKey: ['goalDataPoints', currentCompanyID],
+    queryFn: async () => {
+      const headers = await getAuthHeaders()
+      if (!headers.Authorization) throw new Error('Not authenticated')
+
+      const response = await axios.get('/api/goals/data-points', {
+        headers,
+      })
+      return response.data.dataPoints || []
+    },
+    enabled: !!user && !!currentCompanyID,
+    staleTime: 30 * 60 * 1000, // Data points rarely change
+    gcTime: 60 * 60 * 1000,
+  })
+}
+
+export const useCreateGoal = () => {
+  const queryClient = useQueryClient()
+  const getAuthHeaders = useAuthHeaders()
+
+  return useMutation({
+    mutationFn: async (goalData) => {
+      const headers = await getAuthHeaders()
+      if (!headers.Authorization) throw new Error('Not authenticated')
+
+      const response = await axios.post('/api/goals', goalData, {
+        headers,
+      })
+      return response.data
+    },
+    onSuccess: () => {
+      queryClient.invalidateQueries({ queryKey: ['goals'] })
+    },
+  })
+}
+
+export const useUpdateGoal = () => {
+  const queryClient = useQueryClient()
+  const getAuthHeaders = useAuthHeaders()
+
+  return useMutation({
+    mutationFn: async ({ id, data }) => {
+      const headers = await getAuthHeaders()
+      if (!headers.Authorization) throw new Error('Not authenticated')
+
+      const response = await axios.put(`/api/goals/${id}`, data, {
+        headers,
+      })
+      return response.data
+    },
+    onSuccess: () => {
+      queryClient.invalidateQueries({ queryKey: ['goals'] })
+    },
+  })
+}
+
+export const useDeleteGoal = () => {
+  const queryClient = useQueryClient()
+  const getAuthHeaders = useAuthHeaders()
+
+  return useMutation({
+    mutationFn: async (id) => {
+      const headers = await getAuthHeaders()
+      if (!headers.Authorization) throw new Error('Not authenticated')
+
+      await axios.delete(`/api/goals/${id}`, {
+        headers,
+      })
+    },
+    onSuccess: () => {
+      queryClient.invalidateQueries({ queryKey: ['goals'] })
+    },
+  })
+}
+
+// ============================================
+// CHANGE ORDERS
+// ============================================
+// { changeOrders, summary } for one project (summary = original contract, approved changes, current value)
+export const useProjectChangeOrders = (projectId) => {
+  const getAuthHeaders = useAuthHeaders()
+  const { user, currentCompanyID } = useAuth()
+
+  return useQuery({
+    queryKey: ['changeOrders', currentCompanyID, projectId],
+    queryFn: async () => {
+      const headers = await getAuthHeaders()
+      if (!headers.Authorization) throw new Error('Not authenticated')
+
+      const response = await axios.get(`/api/projects/${projectId}/change-orders`, {
+        headers,
+      })
+      return response.data
+    },
+    enabled: !!user && !!currentCompanyID && !!projectId,
+    staleTime: 30 * 1000,
+    gcTime: 5 * 60 * 1000,
+  })
+}
+
+// A project's documents (for linking change orders to the contract they amend)
+export const useProjectDocuments = (projectId) => {
+  const getAuthHeaders = useAuthHeaders()
+  const { user, currentCompanyID } = useAuth()
+
+  return useQuery({
+    queryKey: ['documents', currentCompanyID, 'projects', projectId],
+    queryFn: async () => {
+      const headers = await getAuthHeaders()
+      if (!headers.Authorization) throw new Error('Not authenticated')
+
+      const response = await axios.get(`/api/documents/projects/${projectId}`, {
+        headers,
+      })
+      return response.data.documents || []
+    },
+    enabled: !!user && !!currentCompanyID && !!projectId,
+    staleTime: 30 * 1000,
+    gcTime: 5 * 60 * 1000,
+  })
+}
+
+// Approving a change order moves the project's contracted total (project lists, revenue statistics, unbilled amounts)
+const invalidateAfterChangeOrder = (queryClient) => {
+  queryClient.invalidateQueries({ queryKey: ['changeOrders'] })
+  queryClient.invalidateQueries({ queryKey: ['projects'] })
+  queryClient.invalidateQueries({ queryKey: ['statistics'] })
+}
+
+export const useCreateChangeOrder = () => {
+  const queryClient = useQueryClient()
+  const getAuthHeaders = useAuthHeaders()
+
+  return useMutation({
+    mutationFn: async ({ projectId, data }) => {
+      const headers = await getAuthHeaders()
+      if (!headers.Authorization) throw new Error('Not authenticated')
+
+      const response = await axios.post(`/api/projects/${projectId}/change-orders`, data, {
+        headers,
+      })
+      return response.data.changeOrder
+    },
+    onSuccess: () => invalidateAfterChangeOrder(queryClient),
+  })
+}
+
+export const useUpdateChangeOrder = () => {
+  const queryClient = useQueryClient()
+  const getAuthHeaders = useAuthHeaders()
+
+  return useMutation({
+    mutationFn: async ({ id, data }) => {
+      const headers = await getAuthHeaders()
+      if (!headers.Authorization) throw new Error('Not authenticated')
+
+      const response = await axios.put(`/api/change-orders/${id}`, data, {
+        headers,
+      })
+      return response.data.changeOrder
+    },
+    onSuccess: () => invalidateAfterChangeOrder(queryClient),
+  })
+}
+
+export const useSetChangeOrderStatus = () => {
+  const queryClient = useQueryClient()
+  const getAuthHeaders = useAuthHeaders()
+
+  return useMutation({
+    mutationFn: async ({ id, status, note }) => {
+      const headers = await getAuthHeaders()
+      if (!headers.Authorization) throw new Error('Not authenticated')
+
+      const response = await axios.post(`/api/change-orders/${id}/status`, { status, note }, {
+        headers,
+      })
+      return response.data
+    },
+    onSuccess: () => invalidateAfterChangeOrder(queryClient),
+  })
+}
+
+export const useDeleteChangeOrder = () => {
+  const queryClient = useQueryClient()
+  const getAuthHeaders = useAuthHeaders()
+
+  return useMutation({
+    mutationFn: async (id) => {
+      const headers = await getAuthHeaders()
+      if (!headers.Authorization) throw new Error('Not authenticated')
+
+      await axios.delete(`/api/change-orders/${id}`, {
+        headers,
+      })
+    },
+    onSuccess: () => invalidateAfterChangeOrder(queryClient),
+  })
+}
+
+// ============================================
+// CONSTRUCTION SCHEDULE
+// ============================================
+// { project, tasks, unscheduledFees, summary } with planned, actual and forecast dates per task
+export const useProjectSchedule = (projectId) => {
+  const getAuthHeaders = useAuthHeaders()
+  const { user, currentCompanyID } = useAuth()
+
+  return useQuery({
+    queryKey: ['projectSchedule', currentCompanyID, projectId],
+    queryFn: async () => {
+      const headers = await getAuthHeaders()
+      if (!headers.Authorization) throw new Error('Not authenticated')
+
+      const response = await axios.get(`/api/projects/${projectId}/schedule`, {
+        headers,
+      })
+      return response.data
+    },
+    enabled: !!user && !!currentCompanyID && !!projectId,
+    staleTime: 30 * 1000,
+    gcTime: 5 * 60 * 1000,
+  })
+}
+
+export const useGenerateSchedule = () => {
+  const queryClient = useQueryClient()
+  const getAuthHeaders = useAuthHeaders()
+
+  return useMutation({
+    mutationFn: async ({ projectId, startDate }) => {
+      const headers = await getAuthHeaders()
+      if (!headers.Authorization) throw new Error('Not authenticated')
+
+      const response = await axios.post(`/api/projects/${projectId}/schedule/generate`, { start_date: startDate || null }, {
+        headers,
+      })
+      return response.data
+    },
+    onSuccess: () => queryClient.invalidateQueries({ queryKey: ['projectSchedule'] }),
+  })
+}
+
+export const useCreateScheduleTask = () => {
+  const queryClient = useQueryClient()
+  const getAuthHeaders = useAuthHeaders()
+
+  return useMutation({
+    mutationFn: async ({ projectId, data }) => {
+      const headers = await getAuthHeaders()
+      if (!headers.Authorization) throw new Error('Not authenticated')
+
+      const response = await axios.post(`/api/projects/${projectId}/schedule/tasks`, data, {
+        headers,
+      })
+      return response.data
+    },
+    onSuccess: () => queryClient.invalidateQueries({ queryKey: ['projectSchedule'] }),
+  })
+}
+
+export const useUpdateScheduleTask = () => {
+  const queryClient = useQueryClient()
+  const getAuthHeaders = useAuthHeaders()
+
+  return useMutation({
+    mutationFn: async ({ projectId, taskId, data }) => {
+      const headers = await getAuthHeaders()
+      if (!headers.Authorization) throw new Error('Not authenticated')
+
+      const response = await axios.put(`/api/projects/${projectId}/schedule/tasks/${taskId}`, data, {
+        headers,
+      })
+      return response.data
+    },
+    onSuccess: () => queryClient.invalidateQueries({ queryKey: ['projectSchedule'] }),
+  })
+}
+
+export const useDeleteScheduleTask = () => {
+  const queryClient = useQueryClient()
+  const getAuthHeaders = useAuthHeaders()
+
+  return useMutation({
+    mutationFn: async ({ projectId, taskId }) => {
+      const headers = await getAuthHeaders()
+      if (!headers.Authorization) throw new Error('Not authenticated')
+
+      const response = await axios.delete(`/api/projects/${projectId}/schedule/tasks/${taskId}`, {
+        headers,
+      })
+      return response.data
+    },
+    onSuccess: () => queryClient.invalidateQueries({ queryKey: ['projectSchedule'] }),
+  })
+}
+
+// ============================================
+// CALENDAR
+// ============================================
+// Occurrences of company events between start and end (ISO timestamps); repeating events come back expanded
+export const useCalendarEvents = ({ start, end, projectId, employeeId } = {}) => {
+  const getAuthHeaders = useAuthHeaders()
+  const { user, currentCompanyID } = useAuth()
+  const params = cleanListParams({ start, end, project_id: projectId, employee_id: employeeId })
+
+  return useQuery({
+    queryKey: ['calendarEvents', currentCompanyID, params],
+    queryFn: async () => {
+      const headers = await getAuthHeaders()
+      if (!headers.Authorization) throw new Error('Not authenticated')
+
+      const response = await axios.get('/api/calendar/events', {
+        headers,
+        params,
+      })
+      return response.data.events || []
+    },
+    enabled: !!user && !!currentCompanyID && !!start && !!end,
+    staleTime: 30 * 1000,
+    gcTime: 5 * 60 * 1000,
+    placeholderData: (previousData) => previousData,
+  })
+}
+
+export const useCreateCalendarEvent = () => {
+  const queryClient = useQueryClient()
+  const getAuthHeaders = useAuthHeaders()
+
+  return useMutation({
+    mutationFn: async (data) => {
+      const headers = await getAuthHeaders()
+      if (!headers.Authorization) throw new Error('Not authenticated')
+
+      const response = await axios.post('/api/calendar/events', data, {
+        headers,
+      })
+      return response.data.event
+    },
+    onSuccess: () => queryClient.invalidateQueries({ queryKey: ['calendarEvents'] }),
+  })
+}
+
+export const useUpdateCalendarEvent = () => {
+  const queryClient = useQueryClient()
+  const getAuthHeaders = useAuthHeaders()
+
+  return useMutation({
+    mutationFn: async ({ id, data }) => {
+      const headers = await getAuthHeaders()
+      if (!headers.Authorization) throw new Error('Not authenticated')
+
+      const response = await axios.put(`/api/calendar/events/${id}`, data, {
+        headers,
+      })
+      return response.data.event
+    },
+    onSuccess: () => queryClient.invalidateQueries({ queryKey: ['calendarEvents'] }),
+  })
+}
+
+export const useDeleteCalendarEvent = () => {
+  const queryClient = useQueryClient()
+  const getAuthHeaders = useAuthHeaders()
+
+  return useMutation({
+    mutationFn: async (id) => {
+      const headers = await getAuthHeaders()
+      if (!headers.Authorization) throw new Error('Not authenticated')
+
+      await axios.delete(`/api/calendar/events/${id}`, {
+        headers,
+      })
+      return id
+    },
+    onSuccess: () => queryClient.invalidateQueries({ queryKey: ['calendarEvents'] }),
+  })
+}
+
+// The signed-in employee's iCal feed ({ created_at, last_accessed_at } or null). The URL is only returned on create.
+export const useCalendarFeed = () => {
+  const getAuthHeaders = useAuthHeaders()
+  const { user, currentCompanyID } = useAuth()
+
+  return useQuery({
+    queryKey: ['calendarFeed', currentCompanyID],
+    queryFn: async () => {
+      const headers = await getAuthHeaders()
+      if (!headers.Authorization) throw new Error('Not authenticated')
+
+      const response = await axios.get('/api/calendar/feed', {
+        headers,
+      })
+      return response.data.feed || null
+    },
+    enabled: !!user && !!currentCompanyID,
+    staleTime: 60 * 1000,
+    gcTime: 5 * 60 * 1000,
+  })
+}
+
+// Create the feed or reset it (the old URL stops working); resolves to { feed, url }
+export const useCreateCalendarFeed = () => {
+  const queryClient = useQueryClient()
+  const getAuthHeaders = useAuthHeaders()
+
+  return useMutation({
+    mutationFn: async () => {
+      const headers = await getAuthHeaders()
+      if (!headers.Authorization) throw new Error('Not authenticated')
+
+      const response = await axios.post('/api/calendar/feed', {}, {
+        headers,
+      })
+      return response.data
+    },
+    onSuccess: () => queryClient.invalidateQueries({ queryKey: ['calendarFeed'] }),
+  })
+}
+
+export const useDeleteCalendarFeed = () => {
+  const queryClient = useQueryClient()
+  const getAuthHeaders = useAuthHeaders()
+
+  return useMutation({
+    mutationFn: async () => {
+      const headers = await getAuthHeaders()
+      if (!headers.Authorization) throw new Error('Not authenticated')
+
+      await axios.delete('/api/calendar/feed', {
+        headers,
+      })
+    },
+    onSuccess: () => queryClient.invalidateQueries({ queryKey: ['calendarFeed'] }),
+  })
+}
+
+// Writable calendars in the signed-in user's connected Google account ({ id, summary, primary })
+export const useGoogleCalendars = (enabled = true) => {
+  const getAuthHeaders = useAuthHeaders()
+  const { user, currentCompanyID } = useAuth()
+
+  return useQuery({
+    queryKey: ['googleCalendars', currentCompanyID],
+    queryFn: async () => {
+      const headers = await getAuthHeaders()
+      if (!headers.Authorization) throw new Error('Not authenticated')
+
+      const response = await axios.get('/api/google/calendar/calendars', {
+        headers,
+      })
+      return response.data.calendars || []
+    },
+    enabled: enabled && !!user && !!currentCompanyID,
+    staleTime: 5 * 60 * 1000,
+    gcTime: 10 * 60 * 1000,
+  })
+}
+
+// Project event sync settings: { sync, conflicts } (sync is null until it has been turned on)
+export const useGoogleCalendarSync = (enabled = true) => {
+  const getAuthHeaders = useAuthHeaders()
+  const { user, currentCompanyID } = useAuth()
+
+  return useQuery({
+    queryKey: ['googleCalendarSync', currentCompanyID],
+    queryFn: async () => {
+      const headers = await getAuthHeaders()
+      if (!headers.Authorization) throw new Error('Not authenticated')
+
+      const response = await axios.get('/api/google/calendar/sync', {
+        headers,
+      })
+      return response.data
+    },
+    enabled: enabled && !!user && !!currentCompanyID,
+    staleTime: 60 * 1000,
+    gcTime: 5 * 60 * 1000,
+  })
+}
+
+// { enabled, calendar_id, calendar_name }; turning sync on copies the employee's project events to Google
+export const useUpdateGoogleCalendarSync = () => {
+  const queryClient = useQueryClient()
+  const getAuthHeaders = useAuthHeaders()
+
+  return useMutation({
+    mutationFn: async (data) => {
+      const headers = await getAuthHeaders()
+      if (!headers.Authorization) throw new Error('Not authenticated')
+
+      const response = await axios.put('/api/google/calendar/sync', data, {
+        headers,
+      })
+      return response.data
+    },
+    onSuccess: () => {
+      queryClient.invalidateQueries({ queryKey: ['googleCalendarSync'] })
+      queryClient.invalidateQueries({ queryKey: ['calendarEvents'] })
+    },
+  })
+}
+
+// Pull Google changes now; resolves to { applied, conflicts }
+export const useRunGoogleCalendarSync = () => {
+  const queryClient = useQueryClient()
+  const getAuthHeaders = useAuthHeaders()
+
+  return useMutation({
+    mutationFn: async () => {
+      const headers = await getAuthHeaders()
+      if (!headers.Authorization) throw new Error('Not authenticated')
+
+      const response = await axios.post('/api/google/calendar/sync/run', {}, {
+        headers,
+      })
+      return response.data
+    },
+    onSettled: () => {
+      queryClient.invalidateQueries({ queryKey: ['googleCalendarSync'] })
+      queryClient.invalidateQueries({ queryKey: ['calendarEvents'] })
+    },
+  })
+}
+
+// ============================================
+// DOCUMENT SNAPSHOTS
+// ============================================
+// Frozen copies of what each proposal, contract and change order said (without bodies)
+export const useProjectSnapshots = (projectId) => {
+  const getAuthHeaders = useAuthHeaders()
+  const { user, currentCompanyID } = useAuth()
+
+  return useQuery({
+    queryKey: ['snapshots', currentCompanyID, projectId],
+    queryFn: async () => {
+      const headers = await getAuthHeaders()
+      if (!headers.Authorization) throw new Error('Not authenticated')
+
+      const response = await axios.get(`/api/projects/${projectId}/snapshots`, {
+        headers,
+      })
+      return response.data.snapshots || []
+    },
+    enabled: !!user && !!currentCompanyID && !!projectId,
+    staleTime: 30 * 1000,
+    gcTime: 5 * 60 * 1000,
+  })
+}
+
+// { from, to, diff } between two snapshots of a project. Snapshots never change, so neither does the diff.
+export const useSnapshotDiff = (projectId, fromId, toId) => {
+  const getAuthHeaders = useAuthHeaders()
+  const { user, currentCompanyID } = useAuth()
+
+  return useQuery({
+    queryKey: ['snapshots', currentCompanyID, projectId, 'diff', fromId, toId],
+    queryFn: async () => {
+      const headers = await getAuthHeaders()
+      if (!headers.Authorization) throw new Error('Not authenticated')
+
+      const response = await axios.get(`/api/projects/${projectId}/snapshots/diff`, {
+        headers,
+        params: { from: fromId, to: toId },
+      })
+      return response.data
+    },
+    enabled: !!user && !!currentCompanyID && !!projectId && !!fromId && !!toId && fromId !== toId,
+    staleTime: Infinity,
+    gcTime: 5 * 60 * 1000,
+  })
+}
+
+// The snapshot stored for one document
+export const useDocumentSnapshot = (documentId) => {
+  const getAuthHeaders = useAuthHeaders()
+  const { user, currentCompanyID } = useAuth()
+
+  return useQuery({
+    queryKey: ['snapshots', currentCompanyID, 'document', documentId],
+    queryFn: async () => {
+      const headers = await getAuthHeaders()
+      if (!headers.Authorization) throw new Error('Not authenticated')
+
+      const response = await axios.get(`/api/documents/by-id/${documentId}/snapshot`, {
+        headers,
+      })
+      return response.data.snapshot
+    },
+    enabled: !!user && !!currentCompanyID && !!documentId,
+    staleTime: Infinity,
+    gcTime: 5 * 60 * 1000,
+    retry: false,
+  })
+}
+
+// ============================================
+// CONTRACT CLAUSES
+// ============================================
+// { clauses, layouts: { proposal, contract, change_order } (clause ids in order), mergeFields }
+export const useContractClauses = () => {
+  const getAuthHeaders = useAuthHeaders()
+  const { user, currentCompanyID } = useAuth()
+
+  return useQuery({
+    queryKey: ['contractClauses', currentCompanyID],
+    queryFn: async () => {
+      const headers = await getAuthHeaders()
+      if (!headers.Authorization) throw new Error('Not authenticated')
+
+      const response = await axios.get('/api/contract-clauses', {
+        headers,
+      })
+      return response.data
+    },
+    enabled: !!user && !!currentCompanyID,
+    staleTime: 5 * 60 * 1000,
+    gcTime: 10 * 60 * 1000,
+  })
+}
+
+export const useCreateContractClause = () => {
+  const queryClient = useQueryClient()
+  const getAuthHeaders = useAuthHeaders()
+
+  return useMutation({
+    mutationFn: async (clauseData) => {
+      const headers = await getAuthHeaders()
+      if (!headers.Authorization) throw new Error('Not authenticated')
+
+      const response = await axios.post('/api/contract-clauses', clauseData, {
+        headers,
+      })
+      return response.data.clause
+    },
+    onSuccess: () => {
+      queryClient.invalidateQueries({ queryKey: ['contractClauses'] })
+    },
+  })
+}
+
+export const useUpdateContractClause = () => {
+  const queryClient = useQueryClient()
+  const getAuthHeaders = useAuthHeaders()
+
+  return useMutation({
+    mutationFn: async ({ id, data }) => {
+      const headers = await getAuthHeaders()
+      if (!headers.Authorization) throw new Error('Not authenticated')
+
+      const response = await axios.put(`/api/contract-clauses/${id}`, data, {
+        headers,
+      })
+      return response.data.clause
+    },
+    onSuccess: () => {
+      queryClient.invalidateQueries({ queryKey: ['contractClauses'] })
+    },
+  })
+}
+
+export const useDeleteContractClause = () => {
+  const queryClient = useQueryClient()
+  const getAuthHeaders = useAuthHeaders()
+
+  return useMutation({
+    mutationFn: async (id) => {
+      const headers = await getAuthHeaders()
+      if (!headers.Authorization) throw new Error('Not authenticated')
+
+      await axios.delete(`/api/contract-clauses/${id}`, {
+        headers,
+      })
+    },
+    onSuccess: () => {
+      queryClient.invalidateQueries({ queryKey: ['contractClauses'] })
+    },
+  })
+}
+
+// Replace a document type's ordered clause set
+export const useUpdateClauseLayout = () => {
+  const queryClient = useQueryClient()
+  const getAuthHeaders = useAuthHeaders()
+
+  return useMutation({
+    mutationFn: async ({ documentType, clauseIds }) => {
+      const headers = await getAuthHeaders()
+      if (!headers.Authorization) throw new Error('Not authenticated')
+
+      const response = await axios.put(`/api/contract-clause-layouts/${documentType}`, { clause_ids: clauseIds }, {
+        headers,
+      })
+      return response.data.layouts
+    },
+    onSuccess: () => {
+      queryClient.invalidateQueries({ queryKey: ['contractClauses'] })
+    },
+  })
+}
+
+// ============================================
+// PROPOSAL OPTIONS
+// ============================================
+// Good/better/best packages on a project's proposal: { options, maxOptions }
+export const useProposalOptions = (projectId) => {
+  const getAuthHeaders = useAuthHeaders()
+  const { user, currentCompanyID } = useAuth()
+
+  return useQuery({
+    queryKey: ['proposalOptions', currentCompanyID, projectId],
+    queryFn: async () => {
+      const headers = await getAuthHeaders()
+      if (!headers.Authorization) throw new Error('Not authenticated')
+
+      const response = await axios.get(`/api/projects/${projectId}/proposal-options`, {
+        headers,
+      })
+      return response.data
+    },
+    enabled: !!user && !!currentCompanyID && !!projectId,
+    staleTime: 30 * 1000,
+    gcTime: 5 * 60 * 1000,
+  })
+}
+
+export const useCreateProposalOption = () => {
+  const queryClient = useQueryClient()
+  const getAuthHeaders = useAuthHeaders()
+
+  return useMutation({
+    mutationFn: async ({ projectId, data }) => {
+      const headers = await getAuthHeaders()
+      if (!headers.Authorization) throw new Error('Not authenticated')
+
+      const response = await axios.post(`/api/projects/${projectId}/proposal-options`, data, {
+        headers,
+      })
+      return response.data.option
+    },
+    onSuccess: () => {
+      queryClient.invalidateQueries({ queryKey: ['proposalOptions'] })
+    },
+  })
+}
+
+export const useUpdateProposalOption = () => {
+  const queryClient = useQueryClient()
+  const getAuthHeaders = useAuthHeaders()
+
+  return useMutation({
+    mutationFn: async ({ id, data }) => {
+      const headers = await getAuthHeaders()
+      if (!headers.Authorization) throw new Error('Not authenticated')
+
+      const response = await axios.put(`/api/proposal-options/${id}`, data, {
+        headers,
+      })
+      return response.data.option
+    },
+    onSuccess: () => {
+      queryClient.invalidateQueries({ queryKey: ['proposalOptions'] })
+    },
+  })
+}
+
+export const useDeleteProposalOption = () => {
+  const queryClient = useQueryClient()
+  const getAuthHeaders = useAuthHeaders()
+
+  return useMutation({
+    mutationFn: async (id) => {
+      const headers = await getAuthHeaders()
+      if (!headers.Authorization) throw new Error('Not authenticated')
+
+      await axios.delete(`/api/proposal-options/${id}`, {
+        headers,
+      })
+    },
+    onSuccess: () => {
+      queryClient.invalidateQueries({ queryKey: ['proposalOptions'] })
+    },
+  })
+}
+
+// Record the customer's choice on a proposal document ({ documentId, optionId }; optionId null clears it)
+export const useSelectProposalOption = () => {
+  const queryClient = useQueryClient()
+  const getAuthHeaders = useAuthHeaders()
+
+  return useMutation({
+    mutationFn: async ({ documentId, optionId }) => {
+      const headers = await getAuthHeaders()
+      if (!headers.Authorization) throw new Error('Not authenticated')
+
+      const response = await axios.put(`/api/documents/by-id/${documentId}/selected-option`, { option_id: optionId }, {
+        headers,
+      })
+      return response.data
+    },
+    onSuccess: () => {
+      queryClient.invalidateQueries({ queryKey: ['documents'] })
+      queryClient.invalidateQueries({ queryKey: ['snapshots'] })
+    },
+  })
+}
+
+// ============================================
+// POOL ESTIMATING
+// ============================================
+// A project's pool spec ({ spec }, spec null until saved)
+export const usePoolSpec = (projectId) => {
+  const getAuthHeaders = useAuthHeaders()
+  const { user, currentCompanyID } = useAuth()
+
+  return useQuery({
+    queryKey: ['poolSpec', currentCompanyID, projectId],
+    queryFn: async () => {
+      const headers = await getAuthHeaders()
+      if (!headers.Authorization) throw new Error('Not authenticated')
+
+      const response = await axios.get(`/api/projects/${projectId}/pool-spec`, {
+        headers,
+      })
+      return response.data.spec
+    },
+    enabled: !!user && !!currentCompanyID && !!projectId,
+    staleTime: 30 * 1000,
+    gcTime: 5 * 60 * 1000,
+  })
+}
+
+export const useSavePoolSpec = () => {
+  const queryClient = useQueryClient()
+  const getAuthHeaders = useAuthHeaders()
+
+  return useMutation({
+    mutationFn: async ({ projectId, data }) => {
+      const headers = await getAuthHeaders()
+      if (!headers.Authorization) throw new Error('Not authenticated')
+
+      const response = await axios.put(`/api/projects/${projectId}/pool-spec`, data, {
+        headers,
+      })
+      return response.data.spec
+    },
+    onSuccess: () => {
+      queryClient.invalidateQueries({ queryKey: ['poolSpec'] })
+      queryClient.invalidateQueries({ queryKey: ['poolEstimate'] })
+    },
+  })
+}
+
+// Quantities and priced lines from the spec: { spec, measurements, quantities, lines, total }
+export const usePoolEstimate = (projectId, { enabled = true } = {}) => {
+  const getAuthHeaders = useAuthHeaders()
+  const { user, currentCompanyID } = useAuth()
+
+  return useQuery({
+    queryKey: ['poolEstimate', currentCompanyID, projectId],
+    queryFn: async () => {
+      const headers = await getAuthHeaders()
+      if (!headers.Authorization) throw new Error('Not authenticated')
+
+      const response = await axios.get(`/api/projects/${projectId}/pool-estimate`, {
+        headers,
+      })
+      return response.data
+    },
+    enabled: enabled && !!user && !!currentCompanyID && !!projectId,
+    staleTime: 30 * 1000,
+    gcTime: 5 * 60 * 1000,
+  })
+}
+
+// Write the estimate into the project's expected expenses
+export const useApplyPoolEstimate = () => {
+  const queryClient = useQueryClient()
+  const getAuthHeaders = useAuthHeaders()
+
+  return useMutation({
+    mutationFn: async (projectId) => {
+      const headers = await getAuthHeaders()
+      if (!headers.Authorization) throw new Error('Not authenticated')
+
+      const response = await axios.post(`/api/projects/${projectId}/pool-estimate/apply`, {}, {
+        headers,
+      })
+      return response.data
+    },
+    onSuccess: () => {
+      queryClient.invalidateQueries({ queryKey: ['projects'] })
+    },
+  })
+}
+
+// Company rates per estimate quantity: { rates, quantities }
+export const useEstimatingRates = ({ enabled = true } = {}) => {
+  const getAuthHeaders = useAuthHeaders()
+  const { user, currentCompanyID } = useAuth()
+
+  return useQuery({
+    queryKey: ['estimatingRates', currentCompanyID],
+    queryFn: async () => {
+      const headers = await getAuthHeaders()
+      if (!headers.Authorization) throw new Error('Not authenticated')
+
+      const response = await axios.get('/api/estimating-rates', {
+        headers,
+      })
+      return response.data
+    },
+    enabled: enabled && !!user && !!currentCompanyID,
+    staleTime: 5 * 60 * 1000,
+    gcTime: 30 * 60 * 1000,
+  })
+}
+
+export const useUpdateEstimatingRates = () => {
+  const queryClient = useQueryClient()
+  const getAuthHeaders = useAuthHeaders()
+
+  return useMutation({
+    mutationFn: async (rates) => {
+      const headers = await getAuthHeaders()
+      if (!headers.Authorization) throw new Error('Not authenticated')
+
+      const response = await axios.put('/api/estimating-rates', { rates }, {
+        headers,
+      })
+      return response.data.rates
+    },
+    onSuccess: () => {
+      queryClient.invalidateQueries({ queryKey: ['estimatingRates'] })
+      queryClient.invalidateQueries({ queryKey: ['poolEstimate'] })
+    },
+  })
+}
+
+// ============================================
+// INVOICES & PAYMENTS
+// ============================================
+// { invoices, billedMilestoneIds } for one project
+export const useProjectInvoices = (projectId) => {
+  const getAuthHeaders = useAuthHeaders()
+  const { user, currentCompanyID } = useAuth()
+
+  return useQuery({
+    queryKey: ['invoices', currentCompanyID, projectId],
+    queryFn: async () => {
+      const headers = await getAuthHeaders()
+      if (!headers.Authorization) throw new Error('Not authenticated')
+
+      const response = await axios.get(`/api/projects/${projectId}/invoices`, {
+        headers,
+      })
+      return response.data
+    },
+    enabled: !!user && !!currentCompanyID && !!projectId,
+    staleTime: 30 * 1000,
+    gcTime: 5 * 60 * 1000,
+  })
+}
+
+// Every milestone on a project (all document types), in schedule order
+export const useProjectMilestones = (projectId) => {
+  const getAuthHeaders = useAuthHeaders()
+  const { user, currentCompanyID } = useAuth()
+
+  return useQuery({
+    queryKey: ['milestones', currentCompanyID, projectId],
+    queryFn: async () => {
+      const headers = await getAuthHeaders()
+      if (!headers.Authorization) throw new Error('Not authenticated')
+
+      const response = await axios.get(`/api/projects/${projectId}/milestones`, {
+        headers,
+      })
+      return response.data.milestones || []
+    },
+    enabled: !!user && !!currentCompanyID && !!projectId,
+    staleTime: 30 * 1000,
+    gcTime: 5 * 60 * 1000,
+  })
+}
+
+// Returns async (invoiceId) => { invoice, project, customer, company } for building the PDF
+export const useFetchInvoice = () => {
+  const queryClient = useQueryClient()
+  const getAuthHeaders = useAuthHeaders()
+  const { currentCompanyID } = useAuth()
+
+  return (invoiceId) => queryClient.fetchQuery({
+    queryKey: ['invoices', currentCompanyID, 'detail', invoiceId],
+    queryFn: async () => {
+      const headers = await getAuthHeaders()
+      if (!headers.Authorization) throw new Error('Not authenticated')
+
+      const response = await axios.get(`/api/invoices/${invoiceId}`, {
+        headers,
+      })
+      return response.data
+    },
+    staleTime: 0,
+  })
+}
+
+// Billing changes move project balances and the Dashboard receivables
+const invalidateAfterBillingChange = (queryClient) => {
+  queryClient.invalidateQueries({ queryKey: ['invoices'] })
+  queryClient.invalidateQueries({ queryKey: ['statistics'] })
+  queryClient.invalidateQueries({ queryKey: ['receivables'] })
+}
+
+export const useCreateInvoice = () => {
+  const queryClient = useQueryClient()
+  const getAuthHeaders = useAuthHeaders()
+
+  return useMutation({
+    mutationFn: async ({ projectId, data }) => {
+      const headers = await getAuthHeaders()
+      if (!headers.Authorization) throw new Error('Not authenticated')
+
+      const response = await axios.post(`/api/projects/${projectId}/invoices`, data, {
+        headers,
+      })
+      return response.data.invoice
+    },
+    onSuccess: () => invalidateAfterBillingChange(queryClient),
+  })
+}
+
+export const useVoidInvoice = () => {
+  const queryClient = useQueryClient()
+  const getAuthHeaders = useAuthHeaders()
+
+  return useMutation({
+    mutationFn: async (invoiceId) => {
+      const headers = await getAuthHeaders()
+      if (!headers.Authorization) throw new Error('Not authenticated')
+
+      const response = await axios.post(`/api/invoices/${invoiceId}/void`, {}, {
+        headers,
+      })
+      return response.data.invoice
+    },
+    onSuccess: () => invalidateAfterBillingChange(queryClient),
+  })
+}
+
+export const useRecordPayment = () => {
+  const queryClient = useQueryClient()
+  const getAuthHeaders = useAuthHeaders()
+
+  return useMutation({
+    mutationFn: async ({ invoiceId, data }) => {
+      const headers = await getAuthHeaders()
+      if (!headers.Authorization) throw new Error('Not authenticated')
+
+      const response = await axios.post(`/api/invoices/${invoiceId}/payments`, data, {
+        headers,
+      })
+      return response.data
+    },
+    onSuccess: () => invalidateAfterBillingChange(queryClient),
+  })
+}
+
+export const useDeletePayment = () => {
+  const queryClient = useQueryClient()
+  const getAuthHeaders = useAuthHeaders()
+
+  return useMutation({
+    mutationFn: async ({ invoiceId, paymentId }) => {
+      const headers = await getAuthHeaders()
+      if (!headers.Authorization) throw new Error('Not authenticated')
+
+      const response = await axios.delete(`/api/invoices/${invoiceId}/payments/${paymentId}`, {
+        headers,
+      })
+      return response.data.invoice
+    },
+    onSuccess: () => invalidateAfterBillingChange(queryClient),
+  })
+}
+
+// ============================================
+// RECEIVABLES (AR aging & payment reminders)
+// ============================================
+// { asOf, buckets, totals, customers, settings }
+export const useAgingReport = () => {
+  const getAuthHeaders = useAuthHeaders()
+  const { user, currentCompanyID } = useAuth()
+
+  return useQuery({
+    queryKey: ['receivables', currentCompanyID, 'aging'],
+    queryFn: async () => {
+      const headers = await getAuthHeaders()
+      if (!headers.Authorization) throw new Error('Not authenticated')
+
+      const response = await axios.get('/api/receivables/aging', {
+        headers,
+      })
+      return response.data
+    },
+    enabled: !!user && !!currentCompanyID,
+    staleTime: 60 * 1000,
+    gcTime: 5 * 60 * 1000,
+  })
+}
+
+// Reminder log, newest first (optionally for one invoice)
+export const usePaymentReminders = (invoiceId = null) => {
+  const getAuthHeaders = useAuthHeaders()
+  const { user, currentCompanyID } = useAuth()
+
+  return useQuery({
+    queryKey: ['receivables', currentCompanyID, 'reminders', invoiceId],
+    queryFn: async () => {
+      const headers = await getAuthHeaders()
+      if (!headers.Authorization) throw new Error('Not authenticated')
+
+      const response = await axios.get('/api/receivables/reminders', {
+        headers,
+        params: invoiceId ? { invoice_id: invoiceId } : {},
+      })
+      return response.data.reminders || []
+    },
+    enabled: !!user && !!currentCompanyID,
+    staleTime: 60 * 1000,
+    gcTime: 5 * 60 * 1000,
+  })
+}
+
+export const useSendInvoiceReminder = () => {
+  const queryClient = useQueryClient()
+  const getAuthHeaders = useAuthHeaders()
+
+  return useMutation({
+    mutationFn: async (invoiceId) => {
+      const headers = await getAuthHeaders()
+      if (!headers.Authorization) throw new Error('Not authenticated')
+
+      const response = await axios.post(`/api/invoices/${invoiceId}/remind`, {}, {
+        headers,
+      })
+      return response.data.reminders
+    },
+    onSuccess: () => {
+      queryClient.invalidateQueries({ queryKey: ['receivables'] })
+    },
+  })
+}
+
+export const useUpdateReminderSettings = () => {
+  const queryClient = useQueryClient()
+  const getAuthHeaders = useAuthHeaders()
+
+  return useMutation({
+    mutationFn: async (data) => {
+      const headers = await getAuthHeaders()
+      if (!headers.Authorization) throw new Error('Not authenticated')
+
+      const response = await axios.put('/api/receivables/settings', data, {
+        headers,
+      })
+      return response.data.settings
+    },
+    onSuccess: () => {
+      queryClient.invalidateQueries({ queryKey: ['receivables'] })
+    },
+  })
+}
+
+// ============================================
+// STATISTICS (Dashboard)
+// ============================================
+export const useStatistics = (period = 'total', { enabled = true } = {}) => {
+  const getAuthHeaders = useAuthHeaders()
+  const { user, currentCompanyID } = useAuth()
+
+  return useQuery({
+    queryKey: ['statistics', currentCompanyID, period],
+    queryFn: async () => {
+      const headers = await getAuthHeaders()
+      if (!headers.Authorization) throw new Error('Not authenticated')
+
+      const response = await axios.get('/api/projects/statistics', {
+        headers,
+        params: { period },
+      })
+      return response.data
+    },
+    enabled: !!user && !!currentCompanyID && enabled,
+    staleTime: 5 * 60 * 1000,
+    gcTime: 30 * 60 * 1000,
+  })
+}
+
+// Monthly statistics for charts
+export const useMonthlyStatistics = (year, { enabled = true } = {}) => {
+  const getAuthHeaders = useAuthHeaders()
+  const { user, currentCompanyID } = useAuth()
+
+  return useQuery({
+    queryKey: ['monthlyStatistics', currentCompanyID, year],
+    queryFn: async () => {
+      const headers = await getAuthHeaders()
+      if (!headers.Authorization) throw new Error('Not authenticated')
+
+      const response = await axios.get('/api/projects/monthly-statistics', {
+        headers,
+        params: { year },
+      })
+      return response.data
+    },
+    enabled: !!user && !!currentCompanyID && !!year && enabled,
+    staleTime: 10 * 60 * 1000, // 10 minutes - monthly data doesn't change often
+    gcTime: 60 * 60 * 1000,
+  })
+}
+
+// ============================================
+// COMPANY INFO
+// ============================================
+export const useCompanyInfo = () => {
   const getAuthHeaders = useAuthHeaders()
   const { user, currentCompanyID } = useAuth()
 
@@ -884,3 +2794,194 @@ export const useSmsStatus = () => {
 // Alias for backward compatibility
 export const useTwilioStatus = useSmsStatus
 
+
+// ============================================
+// AUDIT LOG
+// ============================================
+export const useAuditLog = (filters = {}, { enabled = true } = {}) => {
+  const getAuthHeaders = useAuthHeaders()
+  const { user, currentCompanyID } = useAuth()
+
+  return useQuery({
+    queryKey: ['auditLog', currentCompanyID, filters],
+    queryFn: async () => {
+      const headers = await getAuthHeaders()
+      if (!headers.Authorization) throw new Error('Not authenticated')
+
+      const params = Object.fromEntries(
+        Object.entries(filters).filter(([, value]) => value !== '' && value !== null && value !== undefined)
+      )
+      const response = await axios.get('/api/audit-log', {
+        headers,
+        params,
+      })
+      return { entries: response.data.entries || [], total: response.data.total || 0 }
+    },
+    enabled: !!user && !!currentCompanyID && enabled,
+    staleTime: 30 * 1000,
+    gcTime: 5 * 60 * 1000,
+    placeholderData: (previousData) => previousData,
+  })
+}
+
+// ============================================
+// GLOBAL SEARCH
+// ============================================
+export const useGlobalSearch = (q) => {
+  const getAuthHeaders = useAuthHeaders()
+  const { user, currentCompanyID } = useAuth()
+  const term = (q || '').trim()
+
+  return useQuery({
+    queryKey: ['globalSearch', currentCompanyID, term],
+    queryFn: async () => {
+      const headers = await getAuthHeaders()
+      if (!headers.Authorization) throw new Error('Not authenticated')
+
+      const response = await axios.get('/api/search', {
+        headers,
+        params: { q: term },
+      })
+      return response.data.results || []
+    },
+    enabled: !!user && !!currentCompanyID && term.length >= 2,
+    staleTime: 30 * 1000,
+    gcTime: 5 * 60 * 1000,
+    placeholderData: (previousData) => previousData,
+  })
+}
+
+// ============================================
+// TRASH
+// ============================================
+export const useTrash = ({ enabled = true } = {}) => {
+  const getAuthHeaders = useAuthHeaders()
+  const { user, currentCompanyID } = useAuth()
+
+  return useQuery({
+    queryKey: ['trash', currentCompanyID],
+    queryFn: async () => {
+      const headers = await getAuthHeaders()
+      if (!headers.Authorization) throw new Error('Not authenticated')
+
+      const response = await axios.get('/api/trash', {
+        headers,
+      })
+      return response.data
+    },
+    enabled: !!user && !!currentCompanyID && enabled,
+    staleTime: 30 * 1000,
+    gcTime: 5 * 60 * 1000,
+  })
+}
+
+// Restored or purged records can show up in (or vanish from) any list, so refresh them all
+const invalidateAfterTrashChange = (queryClient) => {
+  ['trash', 'customers', 'projects', 'globalSearch', 'statistics', 'monthlyStatistics'].forEach((key) =>
+    queryClient.invalidateQueries({ queryKey: [key] })
+  )
+}
+
+export const useRestoreFromTrash = () => {
+  const queryClient = useQueryClient()
+  const getAuthHeaders = useAuthHeaders()
+
+  return useMutation({
+    mutationFn: async ({ type, id }) => {
+      const headers = await getAuthHeaders()
+      if (!headers.Authorization) throw new Error('Not authenticated')
+
+      await axios.post(`/api/trash/${type}/${id}/restore`, {}, {
+        headers,
+      })
+    },
+    onSuccess: () => invalidateAfterTrashChange(queryClient),
+  })
+}
+
+export const usePurgeFromTrash = () => {
+  const queryClient = useQueryClient()
+  const getAuthHeaders = useAuthHeaders()
+
+  return useMutation({
+    mutationFn: async ({ type, id }) => {
+      const headers = await getAuthHeaders()
+      if (!headers.Authorization) throw new Error('Not authenticated')
+
+      await axios.delete(`/api/trash/${type}/${id}`, {
+        headers,
+      })
+    },
+    onSuccess: () => invalidateAfterTrashChange(queryClient),
+  })
+}
+
+export const useUpdateTrashSettings = () => {
+  const queryClient = useQueryClient()
+  const getAuthHeaders = useAuthHeaders()
+
+  return useMutation({
+    mutationFn: async (retentionDays) => {
+      const headers = await getAuthHeaders()
+      if (!headers.Authorization) throw new Error('Not authenticated')
+
+      const response = await axios.put('/api/trash/settings', { retention_days: retentionDays }, {
+        headers,
+      })
+      return response.data
+    },
+    onSuccess: () => {
+      queryClient.invalidateQueries({ queryKey: ['trash'] })
+    },
+  })
+}
+
+// ============================================
+// PERMISSIONS
+// ============================================
+export const usePermissions = () => {
+  const getAuthHeaders = useAuthHeaders()
+  const { user, currentCompanyID } = useAuth()
+
+  return useQuery({
+    queryKey: ['permissions', currentCompanyID],
+    queryFn: async () => {
+      const headers = await getAuthHeaders()
+      if (!headers.Authorization) throw new Error('Not authenticated')
+
+      const response = await axios.get('/api/permissions', {
+        headers,
+      })
+      return response.data
+    },
+    enabled: !!user && !!currentCompanyID,
+    staleTime: 5 * 60 * 1000,
+    gcTime: 30 * 60 * 1000,
+  })
+}
+
+// Whether the current user holds a permission from the company matrix (false while loading)
+export const useHasPermission = (permission) => {
+  const { data } = usePermissions()
+  return !!data?.permissions?.includes(permission)
+}
+
+export const useUpdatePermissions = () => {
+  const queryClient = useQueryClient()
+  const getAuthHeaders = useAuthHeaders()
+
+  return useMutation({
+    mutationFn: async (matrix) => {
+      const headers = await getAuthHeaders()
+      if (!headers.Authorization) throw new Error('Not authenticated')
+
+      const response = await axios.put('/api/permissions', { matrix }, {
+        headers,
+      })
+      return response.data
+    },
+    onSuccess: () => {
+      queryClient.invalidateQueries({ queryKey: ['permissions'] })
+    },
+  })
+}
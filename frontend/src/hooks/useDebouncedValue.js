@@ -0,0 +1,13 @@
+import { useEffect, useState } from 'react'
+
+// Value that only updates after `delay` ms without changes (keeps typing from firing a request per key)
+export const useDebouncedValue = (value, delay = 300) => {
+  const [debounced, setDebounced] = useState(value)
+
+  useEffect(() => {
+    const timer = setTimeout(() => setDebounced(value), delay)
+    return () => clearTimeout(timer)
+  }, [value, delay])
+
+  return debounced
+}
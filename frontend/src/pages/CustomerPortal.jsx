@@ -0,0 +1,289 @@
+import { useState, useEffect } from 'react'
+import { useParams } from 'react-router-dom'
+import axios from 'axios'
+
+// Customer-facing wording for project statuses
+const STATUS_LABELS = {
+  contacted: 'Getting Started',
+  proposal_sent: 'Proposal Sent',
+  proposal_signed: 'Proposal Signed',
+  contract_sent: 'Contract Sent',
+  sold: 'In Progress',
+  complete: 'Complete',
+  cancelled: 'Cancelled',
+}
+
+// Progress steps shown on each project card
+const STATUS_STEPS = ['contacted', 'proposal_sent', 'proposal_signed', 'contract_sent', 'sold', 'complete']
+
+const DOCUMENT_TYPE_LABELS = {
+  proposal: 'Proposal',
+  contract: 'Contract',
+  change_order: 'Change Order',
+  receipt: 'Receipt',
+  insurance: 'Insurance',
+  other: 'Document',
+}
+
+const formatCurrency = (value) =>
+  `$${(value || 0).toLocaleString('en-US', { minimumFractionDigits: 2, maximumFractionDigits: 2 })}`
+
+// Public page opened from a customer portal magic link (no login)
+function CustomerPortal() {
+  const { token } = useParams()
+  const [data, setData] = useState(null)
+  const [loading, setLoading] = useState(true)
+  const [error, setError] = useState('')
+  const [openingId, setOpeningId] = useState(null)
+  const [choosingId, setChoosingId] = useState(null)
+
+  const fetchPortal = async () => {
+    try {
+      const response = await axios.get(`/api/portal/${token}`)
+      setData(response.data)
+    } catch (err) {
+      setError(err.response?.data?.error || 'This link is invalid or has expired.')
+    } finally {
+      setLoading(false)
+    }
+  }
+
+  useEffect(() => {
+    fetchPortal()
+  }, [token])
+
+  const handleChooseOption = async (proposal, option) => {
+    setChoosingId(option.id)
+    setError('')
+    try {
+      await axios.post(`/api/portal/${token}/documents/${proposal.id}/option`, { option_id: option.id })
+      await fetchPortal()
+    } catch (err) {
+      setError(err.response?.data?.error || 'Could not save your choice')
+    } finally {
+      setChoosingId(null)
+    }
+  }
+
+  const handleOpenDocument = async (doc) => {
+    setOpeningId(doc.id)
+    try {
+      const response = await axios.get(`/api/portal/${token}/documents/${doc.id}`)
+      window.open(response.data.url, '_blank', 'noopener')
+    } catch (err) {
+      setError(err.response?.data?.error || 'Could not open the document')
+    } finally {
+      setOpeningId(null)
+    }
+  }
+
+  if (loading) {
+    return (
+      <div className="min-h-screen bg-gray-50 dark:bg-gray-900 flex items-center justify-center">
+        <div className="animate-spin rounded-full h-12 w-12 border-b-2 border-pool-blue"></div>
+      </div>
+    )
+  }
+
+  if (!data) {
+    return (
+      <div className="min-h-screen bg-gray-50 dark:bg-gray-900 flex items-center justify-center p-4">
+        <div className="bg-white dark:bg-gray-800 rounded-lg shadow p-8 max-w-md text-center">
+          <h1 className="text-xl font-semibold text-gray-800 dark:text-white mb-2">Link unavailable</h1>
+          <p className="text-gray-600 dark:text-gray-400">{error}</p>
+        </div>
+      </div>
+    )
+  }
+
+  const { company, customer, projects } = data
+
+  return (
+    <div className="min-h-screen bg-gray-50 dark:bg-gray-900">
+      {/* Header */}
+      <header className="bg-white dark:bg-gray-800 border-b border-gray-200 dark:border-gray-700">
+        <div className="max-w-4xl mx-auto px-4 py-4 flex items-center justify-between gap-4">
+          <div className="flex items-center gap-3 min-w-0">
+            {company?.logo_url && <img src={company.logo_url} alt={company.company_name || ''} className="h-10 w-auto" />}
+            <span className="text-lg font-semibold text-gray-800 dark:text-white truncate">{company?.company_name}</span>
+          </div>
+          <div className="text-right text-sm text-gray-600 dark:text-gray-400">
+            {company?.phone && <div>{company.phone}</div>}
+            {company?.email && <div>{company.email}</div>}
+          </div>
+        </div>
+      </header>
+
+      <main className="max-w-4xl mx-auto px-4 py-8 space-y-6">
+        <div>
+          <h1 className="text-2xl font-bold text-gray-800 dark:text-white">
+            Hi {customer?.first_name || 'there'}!
+          </h1>
+          <p className="text-gray-600 dark:text-gray-400 mt-1">Here's where your projects stand.</p>
+        </div>
+
+        {error && (
+          <div className="p-3 bg-red-50 border border-red-200 text-red-700 rounded-md text-sm">{error}</div>
+        )}
+
+        {projects.length === 0 ? (
+          <div className="bg-white dark:bg-gray-800 rounded-lg shadow p-8 text-center text-gray-500 dark:text-gray-400">
+            No projects to show yet.
+          </div>
+        ) : (
+          projects.map((project) => {
+            const stepIndex = STATUS_STEPS.indexOf(project.status)
+            const scheduleTotal = project.milestones.reduce((sum, m) => sum + m.customer_price, 0)
+            // Options are chosen on the latest proposal until its choice has been carried into the contract
+            const proposal = project.documents.find((doc) => doc.document_type === 'proposal')
+            const canChooseOption = proposal && !proposal.option_applied_at
+
+            return (
+              <section key={project.id} className="bg-white dark:bg-gray-800 rounded-lg shadow overflow-hidden">
+                <div className="px-6 py-4 border-b border-gray-200 dark:border-gray-700 flex flex-col sm:flex-row sm:items-center sm:justify-between gap-2">
+                  <div>
+                    <h2 className="text-lg font-semibold text-gray-800 dark:text-white">{project.project_name || 'Your Project'}</h2>
+                    {project.address && <p className="text-sm text-gray-500 dark:text-gray-400">{project.address}</p>}
+                  </div>
+                  <span className="self-start sm:self-auto px-3 py-1 rounded-full text-sm font-semibold bg-pool-blue/10 text-pool-blue">
+                    {STATUS_LABELS[project.status] || project.status}
+                  </span>
+                </div>
+
+                <div className="p-6 space-y-6">
+                  {/* Progress */}
+                  {stepIndex >= 0 && (
+                    <div className="flex gap-1">
+                      {STATUS_STEPS.map((step, i) => (
+                        <div key={step} className="flex-1">
+                          <div className={`h-2 rounded-full ${i <= stepIndex ? 'bg-pool-blue' : 'bg-gray-200 dark:bg-gray-700'}`}></div>
+                          <div className="hidden sm:block text-[11px] text-gray-500 dark:text-gray-400 mt-1 text-center">{STATUS_LABELS[step]}</div>
+                        </div>
+                      ))}
+                    </div>
+                  )}
+
+                  {/* Documents */}
+                  <div>
+                    <h3 className="text-sm font-semibold text-gray-700 dark:text-gray-300 uppercase tracking-wide mb-2">Documents</h3>
+                    {project.documents.length === 0 ? (
+                      <p className="text-sm text-gray-500 dark:text-gray-400">No documents yet.</p>
+                    ) : (
+                      <ul className="divide-y divide-gray-200 dark:divide-gray-700 border border-gray-200 dark:border-gray-700 rounded-md">
+                        {project.documents.map((doc) => (
+                          <li key={doc.id} className="px-4 py-3 flex items-center justify-between gap-4">
+                            <div className="min-w-0">
+                              <div className="text-sm font-medium text-gray-900 dark:text-white truncate">{doc.name}</div>
+                              <div className="text-xs text-gray-500 dark:text-gray-400">
+                                {DOCUMENT_TYPE_LABELS[doc.document_type] || 'Document'}
+                                {doc.esign_status === 'completed' || doc.status === 'signed' ? ' · Signed' : ''}
+                                {' · '}
+                                {new Date(doc.document_date || doc.created_at).toLocaleDateString()}
+                              </div>
+                            </div>
+                            <button
+                              onClick={() => handleOpenDocument(doc)}
+                              disabled={openingId === doc.id}
+                              className="text-sm text-pool-blue hover:text-pool-dark font-medium flex-shrink-0 disabled:opacity-50"
+                            >
+                              {openingId === doc.id ? 'Opening...' : 'View'}
+                            </button>
+                          </li>
+                        ))}
+                      </ul>
+                    )}
+                  </div>
+
+                  {/* Proposal options */}
+                  {proposal && project.options.length > 0 && (
+                    <div>
+                      <h3 className="text-sm font-semibold text-gray-700 dark:text-gray-300 uppercase tracking-wide mb-2">Your Options</h3>
+                      <div className="grid grid-cols-1 sm:grid-cols-2 gap-3">
+                        {project.options.map((option) => {
+                          const chosen = proposal.selected_option_id === option.id
+                          return (
+                            <div
+                              key={option.id}
+                              className={`border rounded-md p-4 flex flex-col ${chosen ? 'border-pool-blue ring-2 ring-pool-blue/30' : 'border-gray-200 dark:border-gray-700'}`}
+                            >
+                              <div className="flex items-start justify-between gap-2">
+                                <span className="font-semibold text-gray-900 dark:text-white">{option.name}</span>
+                                <span className="font-bold text-pool-blue whitespace-nowrap">{formatCurrency(option.price)}</span>
+                              </div>
+                              {option.description && <p className="text-sm text-gray-600 dark:text-gray-400 mt-1">{option.description}</p>}
+                              {option.scope_of_work.length > 0 && (
+                                <ul className="mt-2 text-sm text-gray-700 dark:text-gray-300 list-disc list-inside space-y-0.5">
+                                  {option.scope_of_work.map((item, idx) => (
+                                    <li key={idx}>{item.title}</li>
+                                  ))}
+                                </ul>
+                              )}
+                              <div className="mt-auto pt-3">
+                                {chosen ? (
+                                  <span className="text-sm font-medium text-pool-blue">Your choice</span>
+                                ) : canChooseOption && (
+                                  <button
+                                    onClick={() => handleChooseOption(proposal, option)}
+                                    disabled={choosingId !== null}
+                                    className="text-sm text-pool-blue hover:text-pool-dark font-medium disabled:opacity-50"
+                                  >
+                                    {choosingId === option.id ? 'Saving...' : 'Choose this package'}
+                                  </button>
+                                )}
+                              </div>
+                            </div>
+                          )
+                        })}
+                      </div>
+                    </div>
+                  )}
+
+                  {/* Payment schedule */}
+                  {project.milestones.length > 0 && (
+                    <div>
+                      <h3 className="text-sm font-semibold text-gray-700 dark:text-gray-300 uppercase tracking-wide mb-2">Payment Schedule</h3>
+                      <table className="min-w-full text-sm">
+                        <tbody className="divide-y divide-gray-200 dark:divide-gray-700">
+                          {project.milestones.map((m) => (
+                            <tr key={m.id}>
+                              <td className="py-2 text-gray-800 dark:text-gray-200">{m.name}</td>
+                              <td className="py-2 text-right text-gray-800 dark:text-gray-200">{formatCurrency(m.customer_price)}</td>
+                            </tr>
+                          ))}
+                          <tr>
+                            <td className="py-2 font-semibold text-gray-900 dark:text-white">Total</td>
+                            <td className="py-2 text-right font-semibold text-gray-900 dark:text-white">{formatCurrency(scheduleTotal)}</td>
+                          </tr>
+                        </tbody>
+                      </table>
+                    </div>
+                  )}
+
+                  {/* Photos */}
+                  {project.photos.length > 0 && (
+                    <div>
+                      <h3 className="text-sm font-semibold text-gray-700 dark:text-gray-300 uppercase tracking-wide mb-2">Photos</h3>
+                      <div className="grid grid-cols-2 sm:grid-cols-3 gap-3">
+                        {project.photos.map((photo) => (
+                          <a key={photo.id} href={photo.url} target="_blank" rel="noopener noreferrer" className="block">
+                            <img src={photo.url} alt={photo.name} className="w-full h-32 object-cover rounded-md" loading="lazy" />
+                          </a>
+                        ))}
+                      </div>
+                    </div>
+                  )}
+                </div>
+              </section>
+            )
+          })
+        )}
+
+        <p className="text-xs text-center text-gray-400">
+          This private link expires {new Date(data.expires_at).toLocaleDateString()}. Please don't share it.
+        </p>
+      </main>
+    </div>
+  )
+}
+
+export default CustomerPortal
@@ -26,9 +26,14 @@ import Goals from '../components/Goals'
 import Settings from '../components/Settings'
 import Subscription from '../components/Subscription'
 import Messages from '../components/Messages'
+import AuditLog from '../components/AuditLog'
+import GlobalSearch from '../components/GlobalSearch'
+import Trash from '../components/Trash'
+import Receivables from '../components/Receivables'
+import Purchasing from '../components/Purchasing'
 import BirthdayPopup, { getBirthdayEmployees, wasBirthdayDismissedToday, dismissBirthdayToday } from '../components/BirthdayPopup'
 import ProjectsMap from '../components/ProjectsMap'
-import { useEmployees, useProjects, useCustomers, useCompanyInfo, useStatistics, useMonthlyStatistics, useUnreadMessageCount } from '../hooks/useApi'
+import { useEmployees, useProjects, useCustomers, useCompanyInfo, useStatistics, useMonthlyStatistics, useUnreadMessageCount, useHasPermission, useReorderReport, useCoiReport } from '../hooks/useApi'
 
 const CHART_METRICS = [
   { value: 'value', label: 'Value', color: '#0ea5e9', format: 'currency' },
@@ -50,14 +55,22 @@ function Dashboard() {
   const [chartMetric, setChartMetric] = useState('value')
   const [sidebarOpen, setSidebarOpen] = useState(false)
   const [showBirthdayPopup, setShowBirthdayPopup] = useState(false)
+  // Record picked in the header search; the target section opens it, then clears this
+  const [focusRecord, setFocusRecord] = useState(null)
 
   // Use cached queries
   const { data: employees = [] } = useEmployees()
   const { data: projects = [] } = useProjects()
   const { data: customers = [] } = useCustomers()
   const { data: company = null } = useCompanyInfo()
-  const { data: statistics = { totalEstValue: 0, totalProfit: 0, totalExpenses: 0, projectCount: 0 }, isLoading: loadingStats } = useStatistics(timePeriod)
-  const { data: monthlyData, isLoading: loadingMonthly } = useMonthlyStatistics(chartYear)
+  const canViewCosts = useHasPermission('view_costs')
+  const canViewAuditLog = useHasPermission('view_audit_log')
+  const canManageTrash = useHasPermission('delete_records')
+  const { data: lowStockItems = [] } = useReorderReport()
+  const { data: coiReport } = useCoiReport()
+  const coiAlerts = coiReport?.subcontractors || []
+  const { data: statistics = { totalEstValue: 0, totalProfit: 0, totalExpenses: 0, projectCount: 0 }, isLoading: loadingStats } = useStatistics(timePeriod, { enabled: canViewCosts })
+  const { data: monthlyData, isLoading: loadingMonthly } = useMonthlyStatistics(chartYear, { enabled: canViewCosts })
   const { data: unreadMessageCount = 0 } = useUnreadMessageCount()
 
   // Get year options (current year and 4 years back)
@@ -108,10 +121,11 @@ function Dashboard() {
       .sort((a, b) => b.value - a.value)
   }, [projects])
 
-  // Derive employee name from cached data
-  const employeeName = employees.find(
+  // Derive current employee from cached data
+  const currentEmployee = employees.find(
     (emp) => emp.email_address?.toLowerCase() === user?.email?.toLowerCase()
-  )?.name || null
+  )
+  const employeeName = currentEmployee?.name || null
 
   // Build company address string for map center
   const companyAddress = useMemo(() => {
@@ -147,7 +161,7 @@ function Dashboard() {
   useEffect(() => {
     const urlParams = new URLSearchParams(window.location.search)
     const section = urlParams.get('section')
-    if (section && ['overview', 'projects', 'templates', 'customers', 'employees', 'inventory', 'subcontractors', 'calendar', 'goals', 'messages', 'subscription', 'settings'].includes(section)) {
+    if (section && ['overview', 'projects', 'templates', 'receivables', 'customers', 'employees', 'inventory', 'purchasing', 'subcontractors', 'calendar', 'goals', 'messages', 'audit', 'trash', 'subscription', 'settings'].includes(section)) {
       setActiveSection(section)
       // Clean up URL
       const newUrl = window.location.pathname + (urlParams.toString() ? '?' + urlParams.toString().replace(/section=[^&]*&?/g, '').replace(/&$/, '') : '')
@@ -217,6 +231,24 @@ function Dashboard() {
     setSidebarOpen(false)
   }
 
+  // Jump to a global search result: documents open their parent's Documents modal, everything else its edit form
+  const handleSearchSelect = (result) => {
+    const isDocument = result.type === 'document'
+    const section = isDocument
+      ? result.entity_type
+      : { customer: 'customers', project: 'projects', inventory: 'inventory', subcontractor: 'subcontractors' }[result.type]
+    if (!section) return
+    setFocusRecord({
+      section,
+      id: isDocument ? result.entity_id : result.id,
+      openDocuments: isDocument,
+      requestedAt: Date.now(),
+    })
+    handleNavClick(section)
+  }
+  const focusFor = (section) => (focusRecord?.section === section ? focusRecord : null)
+  const clearFocusRecord = () => setFocusRecord(null)
+
   const birthdayEmployees = getBirthdayEmployees(employees)
   const handleCloseBirthday = () => {
     dismissBirthdayToday()
@@ -301,16 +333,30 @@ function Dashboard() {
           >
             <span className="font-medium">Projects</span>
           </button>
-          <button
-            onClick={() => handleNavClick('templates')}
-            className={`w-full text-left px-3 py-2 rounded-md transition-colors text-sm ${
-              activeSection === 'templates'
-                ? 'bg-pool-blue text-white'
-                : 'text-gray-700 dark:text-gray-300 hover:bg-gray-100 dark:hover:bg-gray-700'
-            }`}
-          >
-            <span className="font-medium">Templates</span>
-          </button>
+          {canViewCosts && (
+            <button
+              onClick={() => handleNavClick('templates')}
+              className={`w-full text-left px-3 py-2 rounded-md transition-colors text-sm ${
+                activeSection === 'templates'
+                  ? 'bg-pool-blue text-white'
+                  : 'text-gray-700 dark:text-gray-300 hover:bg-gray-100 dark:hover:bg-gray-700'
+              }`}
+            >
+              <span className="font-medium">Templates</span>
+            </button>
+          )}
+          {canViewCosts && (
+            <button
+              onClick={() => handleNavClick('receivables')}
+              className={`w-full text-left px-3 py-2 rounded-md transition-colors text-sm ${
+                activeSection === 'receivables'
+                  ? 'bg-pool-blue text-white'
+                  : 'text-gray-700 dark:text-gray-300 hover:bg-gray-100 dark:hover:bg-gray-700'
+              }`}
+            >
+              <span className="font-medium">Receivables</span>
+            </button>
+          )}
           <button
             onClick={() => handleNavClick('inventory')}
             className={`w-full text-left px-3 py-2 rounded-md transition-colors text-sm ${
@@ -321,6 +367,18 @@ function Dashboard() {
           >
             <span className="font-medium">Inventory</span>
           </button>
+          {canViewCosts && (
+            <button
+              onClick={() => handleNavClick('purchasing')}
+              className={`w-full text-left px-3 py-2 rounded-md transition-colors text-sm ${
+                activeSection === 'purchasing'
+                  ? 'bg-pool-blue text-white'
+                  : 'text-gray-700 dark:text-gray-300 hover:bg-gray-100 dark:hover:bg-gray-700'
+              }`}
+            >
+              <span className="font-medium">Purchasing</span>
+            </button>
+          )}
           <button
             onClick={() => handleNavClick('subcontractors')}
             className={`w-full text-left px-3 py-2 rounded-md transition-colors text-sm ${
@@ -401,6 +459,40 @@ function Dashboard() {
               Subscription
             </span>
           </button>
+          {canViewAuditLog && (
+            <button
+              onClick={() => handleNavClick('audit')}
+              className={`w-full text-left px-3 py-2 rounded-md transition-colors text-sm ${
+                activeSection === 'audit'
+                  ? 'bg-pool-blue text-white'
+                  : 'text-gray-700 dark:text-gray-300 hover:bg-gray-100 dark:hover:bg-gray-700'
+              }`}
+            >
+              <span className="font-medium flex items-center gap-2">
+                <svg className="w-4 h-4" fill="none" viewBox="0 0 24 24" stroke="currentColor">
+                  <path strokeLinecap="round" strokeLinejoin="round" strokeWidth={2} d="M9 5H7a2 2 0 00-2 2v12a2 2 0 002 2h10a2 2 0 002-2V7a2 2 0 00-2-2h-2M9 5a2 2 0 002 2h2a2 2 0 002-2M9 5a2 2 0 012-2h2a2 2 0 012 2m-6 9l2 2 4-4" />
+                </svg>
+                Audit Log
+              </span>
+            </button>
+          )}
+          {canManageTrash && (
+            <button
+              onClick={() => handleNavClick('trash')}
+              className={`w-full text-left px-3 py-2 rounded-md transition-colors text-sm ${
+                activeSection === 'trash'
+                  ? 'bg-pool-blue text-white'
+                  : 'text-gray-700 dark:text-gray-300 hover:bg-gray-100 dark:hover:bg-gray-700'
+              }`}
+            >
+              <span className="font-medium flex items-center gap-2">
+                <svg className="w-4 h-4" fill="none" viewBox="0 0 24 24" stroke="currentColor">
+                  <path strokeLinecap="round" strokeLinejoin="round" strokeWidth={2} d="M19 7l-.867 12.142A2 2 0 0116.138 21H7.862a2 2 0 01-1.995-1.858L5 7m5 4v6m4-6v6m1-10V4a1 1 0 00-1-1h-4a1 1 0 00-1 1v3M4 7h16" />
+                </svg>
+                Trash
+              </span>
+            </button>
+          )}
           <button
             onClick={() => handleNavClick('settings')}
             className={`w-full text-left px-3 py-2 rounded-md transition-colors text-sm ${
@@ -439,17 +531,20 @@ function Dashboard() {
 
       {/* Main Content */}
       <main className="flex-1 overflow-auto lg:ml-64">
-        {/* Mobile Header */}
-        <div className="sticky top-0 z-30 bg-white dark:bg-gray-800 border-b border-gray-200 dark:border-gray-700 px-4 py-3 flex items-center lg:hidden">
+        {/* Header: menu + logo on mobile, global search at every size */}
+        <div className="sticky top-0 z-30 bg-white dark:bg-gray-800 border-b border-gray-200 dark:border-gray-700 px-4 lg:px-8 py-3 flex items-center gap-3">
           <button
             onClick={() => setSidebarOpen(true)}
-            className="p-2 rounded-md text-gray-500 dark:text-gray-400 hover:text-gray-700 dark:hover:text-gray-300 hover:bg-gray-100 dark:hover:bg-gray-700"
+            className="p-2 rounded-md text-gray-500 dark:text-gray-400 hover:text-gray-700 dark:hover:text-gray-300 hover:bg-gray-100 dark:hover:bg-gray-700 lg:hidden flex-shrink-0"
           >
             <svg className="w-6 h-6" fill="none" stroke="currentColor" viewBox="0 0 24 24">
               <path strokeLinecap="round" strokeLinejoin="round" strokeWidth={2} d="M4 6h16M4 12h16M4 18h16" />
             </svg>
           </button>
-          <img src="/tovyalla_logo.png" alt="Tovyalla CRM" className="h-8 w-auto ml-3" />
+          <img src="/tovyalla_logo.png" alt="Tovyalla CRM" className="h-8 w-auto hidden sm:block lg:hidden flex-shrink-0" />
+          <div className="flex-1 flex justify-end lg:justify-start min-w-0">
+            <GlobalSearch onSelect={handleSearchSelect} />
+          </div>
         </div>
 
         <div className="p-4 sm:p-6 lg:p-8">
@@ -461,190 +556,283 @@ function Dashboard() {
                 </h2>
               </div>
 
-              {/* Project Statistics */}
-              <div className="space-y-4">
-                <div className="flex flex-col sm:flex-row justify-between items-start sm:items-center gap-3">
-                  <h3 className="text-xl font-semibold text-gray-800 dark:text-white">Project Statistics</h3>
-                  <select
-                    value={timePeriod}
-                    onChange={(e) => setTimePeriod(e.target.value)}
-                    className="w-full sm:w-auto px-4 py-2 border border-gray-300 dark:border-gray-600 rounded-md focus:outline-none focus:ring-2 focus:ring-pool-blue text-sm bg-white dark:bg-gray-700 text-gray-900 dark:text-white"
-                  >
-                    <option value="day">Last Day</option>
-                    <option value="week">Last Week</option>
-                    <option value="month">Last Month</option>
-                    <option value="6mo">Last 6 Months</option>
-                    <option value="year">Last Year</option>
-                    <option value="total">Total</option>
-                  </select>
+              {/* Low-stock alerts (stock less upcoming projects' committed materials, at or below the reorder point) */}
+              {lowStockItems.length > 0 && (
+                <div className="bg-red-50 dark:bg-red-900/20 border-l-4 border-red-500 rounded-lg shadow p-4">
+                  <div className="flex justify-between items-start gap-3">
+                    <div>
+                      <p className="text-sm font-semibold text-red-800 dark:text-red-200">
+                        {lowStockItems.length} inventory {lowStockItems.length === 1 ? 'item needs' : 'items need'} reordering
+                      </p>
+                      <ul className="mt-2 space-y-1 text-sm text-red-700 dark:text-red-300">
+                        {lowStockItems.slice(0, 5).map((item) => (
+                          <li key={item.id}>
+                            <span className="font-medium">{item.name}</span>: {item.available.toLocaleString('en-US', { maximumFractionDigits: 2 })} {item.unit} available
+                            {item.committed > 0 && ` after ${item.committed.toLocaleString('en-US', { maximumFractionDigits: 2 })} committed`}
+                            {' '}- order {item.suggested_quantity.toLocaleString('en-US', { maximumFractionDigits: 2 })}
+                          </li>
+                        ))}
+                        {lowStockItems.length > 5 && (
+                          <li className="text-xs">and {lowStockItems.length - 5} more</li>
+                        )}
+                      </ul>
+                    </div>
+                    <button
+                      onClick={() => handleNavClick('inventory')}
+                      className="text-xs font-medium text-red-700 dark:text-red-300 hover:underline whitespace-nowrap"
+                    >
+                      View inventory →
+                    </button>
+                  </div>
                 </div>
+              )}
 
-                {loadingStats ? (
-                  <div className="flex items-center justify-center py-12">
-                    <div className="animate-spin rounded-full h-8 w-8 border-b-2 border-pool-blue"></div>
+              {/* Subcontractor COIs expired or inside the company's alert window */}
+              {coiAlerts.length > 0 && (
+                <div className="bg-yellow-50 dark:bg-yellow-900/20 border-l-4 border-yellow-500 rounded-lg shadow p-4">
+                  <div className="flex justify-between items-start gap-3">
+                    <div>
+                      <p className="text-sm font-semibold text-yellow-800 dark:text-yellow-200">
+                        {coiAlerts.length} subcontractor {coiAlerts.length === 1 ? 'COI needs' : 'COIs need'} renewal
+                      </p>
+                      <ul className="mt-2 space-y-1 text-sm text-yellow-700 dark:text-yellow-300">
+                        {coiAlerts.slice(0, 5).map((sub) => (
+                          <li key={sub.id}>
+                            <span className="font-medium">{sub.name}</span>:{' '}
+                            {sub.status === 'expired' ? (
+                              <span className="text-red-700 dark:text-red-300">expired {new Date(`${sub.coi_expiration}T00:00:00`).toLocaleDateString()}</span>
+                            ) : sub.days_until_expiration === 0 ? 'expires today' : `expires in ${sub.days_until_expiration} day${sub.days_until_expiration === 1 ? '' : 's'}`}
+                          </li>
+                        ))}
+                        {coiAlerts.length > 5 && (
+                          <li className="text-xs">and {coiAlerts.length - 5} more</li>
+                        )}
+                      </ul>
+                    </div>
+                    <button
+                      onClick={() => handleNavClick('subcontractors')}
+                      className="text-xs font-medium text-yellow-800 dark:text-yellow-200 hover:underline whitespace-nowrap"
+                    >
+                      View subcontractors →
+                    </button>
                   </div>
-                ) : (
-                  <div className="grid grid-cols-1 md:grid-cols-2 gap-6">
-                    {/* Total Estimated Value */}
-                    <div className="bg-white dark:bg-gray-800 rounded-lg shadow p-6 border-l-4 border-pool-blue">
-                      <div className="flex justify-between items-start mb-2">
-                        <div>
-                          <p className="text-sm text-gray-500 dark:text-gray-400 uppercase tracking-wide">Total Est. Value</p>
-                          <p className="text-3xl font-bold text-gray-900 dark:text-white mt-1">
-                            ${statistics.totalEstValue.toLocaleString('en-US', { minimumFractionDigits: 2, maximumFractionDigits: 2 })}
+                </div>
+              )}
+
+              {canViewCosts && (
+                <>
+                  {/* Project Statistics */}
+                  <div className="space-y-4">
+                    <div className="flex flex-col sm:flex-row justify-between items-start sm:items-center gap-3">
+                      <h3 className="text-xl font-semibold text-gray-800 dark:text-white">Project Statistics</h3>
+                      <select
+                        value={timePeriod}
+                        onChange={(e) => setTimePeriod(e.target.value)}
+                        className="w-full sm:w-auto px-4 py-2 border border-gray-300 dark:border-gray-600 rounded-md focus:outline-none focus:ring-2 focus:ring-pool-blue text-sm bg-white dark:bg-gray-700 text-gray-900 dark:text-white"
+                      >
+                        <option value="day">Last Day</option>
+                        <option value="week">Last Week</option>
+                        <option value="month">Last Month</option>
+                        <option value="6mo">Last 6 Months</option>
+                        <option value="year">Last Year</option>
+                        <option value="total">Total</option>
+                      </select>
+                    </div>
+
+                    {loadingStats ? (
+                      <div className="flex items-center justify-center py-12">
+                        <div className="animate-spin rounded-full h-8 w-8 border-b-2 border-pool-blue"></div>
+                      </div>
+                    ) : (
+                      <div className="grid grid-cols-1 md:grid-cols-3 gap-6">
+                        {/* Total Estimated Value */}
+                        <div className="bg-white dark:bg-gray-800 rounded-lg shadow p-6 border-l-4 border-pool-blue">
+                          <div className="flex justify-between items-start mb-2">
+                            <div>
+                              <p className="text-sm text-gray-500 dark:text-gray-400 uppercase tracking-wide">Total Est. Value</p>
+                              <p className="text-3xl font-bold text-gray-900 dark:text-white mt-1">
+                                ${statistics.totalEstValue.toLocaleString('en-US', { minimumFractionDigits: 2, maximumFractionDigits: 2 })}
+                              </p>
+                            </div>
+                          </div>
+                          <p className="text-xs text-gray-500 dark:text-gray-400 mt-2">
+                            {statistics.projectCount} {statistics.projectCount === 1 ? 'project' : 'projects'}
                           </p>
+                          {statistics.projectCount > 0 && (
+                            <p className="text-xs text-gray-500 dark:text-gray-400 mt-0.5">
+                              Average: ${(statistics.totalEstValue / statistics.projectCount).toLocaleString('en-US', { minimumFractionDigits: 2, maximumFractionDigits: 2 })}/project
+                            </p>
+                          )}
                         </div>
-                      </div>
-                      <p className="text-xs text-gray-500 dark:text-gray-400 mt-2">
-                        {statistics.projectCount} {statistics.projectCount === 1 ? 'project' : 'projects'}
-                      </p>
-                      {statistics.projectCount > 0 && (
-                        <p className="text-xs text-gray-500 dark:text-gray-400 mt-0.5">
-                          Average: ${(statistics.totalEstValue / statistics.projectCount).toLocaleString('en-US', { minimumFractionDigits: 2, maximumFractionDigits: 2 })}/project
-                        </p>
-                      )}
-                    </div>
 
-                    {/* Total Profit */}
-                    <div className={`bg-white dark:bg-gray-800 rounded-lg shadow p-6 border-l-4 ${statistics.totalProfit >= 0 ? 'border-green-500' : 'border-red-500'}`}>
-                      <div className="flex justify-between items-start mb-2">
-                        <div>
-                          <div className="flex items-center gap-1.5">
-                            <p className="text-sm text-gray-500 dark:text-gray-400 uppercase tracking-wide">Total Profit</p>
-                            <div className="relative group">
-                              <svg 
-                                className="w-4 h-4 text-gray-400 dark:text-gray-500 cursor-help hover:text-gray-600 dark:hover:text-gray-300 transition-colors" 
-                                fill="none" 
-                                viewBox="0 0 24 24" 
-                                stroke="currentColor"
-                              >
-                                <path strokeLinecap="round" strokeLinejoin="round" strokeWidth={2} d="M13 16h-1v-4h-1m1-4h.01M21 12a9 9 0 11-18 0 9 9 0 0118 0z" />
-                              </svg>
-                              <div className="absolute bottom-full left-1/2 -translate-x-1/2 mb-2 px-3 py-2 bg-gray-900 dark:bg-gray-700 text-white text-xs rounded-lg opacity-0 invisible group-hover:opacity-100 group-hover:visible transition-all duration-200 w-64 z-50 shadow-lg">
-                                <p className="font-semibold mb-1">How Profit is Calculated</p>
-                                <p className="text-gray-300 mb-2">Profit = Revenue − Expenses</p>
-                                <p className="text-gray-300 text-[11px] leading-relaxed">
-                                  <span className="font-medium text-white">Revenue:</span> Closing price (or milestones, or est. value)<br/>
-                                  <span className="font-medium text-white">Expenses:</span> Subcontractor fees + Materials + Equipment + Additional expenses
-                                </p>
-                                <p className="text-gray-400 text-[10px] mt-1.5 italic">Only includes sold/completed projects</p>
-                                <div className="absolute top-full left-1/2 -translate-x-1/2 -mt-1 border-4 border-transparent border-t-gray-900 dark:border-t-gray-700"></div>
+                        {/* Total Profit */}
+                        <div className={`bg-white dark:bg-gray-800 rounded-lg shadow p-6 border-l-4 ${statistics.totalProfit >= 0 ? 'border-green-500' : 'border-red-500'}`}>
+                          <div className="flex justify-between items-start mb-2">
+                            <div>
+                              <div className="flex items-center gap-1.5">
+                                <p className="text-sm text-gray-500 dark:text-gray-400 uppercase tracking-wide">Total Profit</p>
+                                <div className="relative group">
+                                  <svg 
+                                    className="w-4 h-4 text-gray-400 dark:text-gray-500 cursor-help hover:text-gray-600 dark:hover:text-gray-300 transition-colors" 
+                                    fill="none" 
+                                    viewBox="0 0 24 24" 
+                                    stroke="currentColor"
+                                  >
+                                    <path strokeLinecap="round" strokeLinejoin="round" strokeWidth={2} d="M13 16h-1v-4h-1m1-4h.01M21 12a9 9 0 11-18 0 9 9 0 0118 0z" />
+                                  </svg>
+                                  <div className="absolute bottom-full left-1/2 -translate-x-1/2 mb-2 px-3 py-2 bg-gray-900 dark:bg-gray-700 text-white text-xs rounded-lg opacity-0 invisible group-hover:opacity-100 group-hover:visible transition-all duration-200 w-64 z-50 shadow-lg">
+                                    <p className="font-semibold mb-1">How Profit is Calculated</p>
+                                    <p className="text-gray-300 mb-2">Profit = Revenue − Expenses</p>
+                                    <p className="text-gray-300 text-[11px] leading-relaxed">
+                                      <span className="font-medium text-white">Revenue:</span> Closing price (or milestones, or est. value)<br/>
+                                      <span className="font-medium text-white">Expenses:</span> Subcontractor fees + Materials + Equipment + Additional expenses
+                                    </p>
+                                    <p className="text-gray-400 text-[10px] mt-1.5 italic">Only includes sold/completed projects</p>
+                                    <div className="absolute top-full left-1/2 -translate-x-1/2 -mt-1 border-4 border-transparent border-t-gray-900 dark:border-t-gray-700"></div>
+                                  </div>
+                                </div>
                               </div>
+                              <p className={`text-3xl font-bold mt-1 ${statistics.totalProfit >= 0 ? 'text-green-600 dark:text-green-400' : 'text-red-600 dark:text-red-400'}`}>
+                                ${statistics.totalProfit.toLocaleString('en-US', { minimumFractionDigits: 2, maximumFractionDigits: 2 })}
+                              </p>
                             </div>
                           </div>
-                          <p className={`text-3xl font-bold mt-1 ${statistics.totalProfit >= 0 ? 'text-green-600 dark:text-green-400' : 'text-red-600 dark:text-red-400'}`}>
-                            ${statistics.totalProfit.toLocaleString('en-US', { minimumFractionDigits: 2, maximumFractionDigits: 2 })}
+                          <p className="text-xs text-gray-500 dark:text-gray-400 mt-2">
+                            Revenue: ${(statistics.totalRevenue || 0).toLocaleString('en-US', { minimumFractionDigits: 2, maximumFractionDigits: 2 })}
                           </p>
+                          <p className="text-xs text-gray-500 dark:text-gray-400">
+                            Expenses: ${statistics.totalExpenses.toLocaleString('en-US', { minimumFractionDigits: 2, maximumFractionDigits: 2 })}
+                          </p>
+                          {(statistics.totalRevenue || 0) > 0 && (
+                            <p className={`text-xs font-medium mt-1 ${statistics.totalProfit >= 0 ? 'text-green-600 dark:text-green-400' : 'text-red-600 dark:text-red-400'}`}>
+                              Margin: {((statistics.totalProfit / (statistics.totalRevenue || 1)) * 100).toFixed(1)}%
+                            </p>
+                          )}
                         </div>
-                      </div>
-                      <p className="text-xs text-gray-500 dark:text-gray-400 mt-2">
-                        Revenue: ${(statistics.totalRevenue || 0).toLocaleString('en-US', { minimumFractionDigits: 2, maximumFractionDigits: 2 })}
-                      </p>
-                      <p className="text-xs text-gray-500 dark:text-gray-400">
-                        Expenses: ${statistics.totalExpenses.toLocaleString('en-US', { minimumFractionDigits: 2, maximumFractionDigits: 2 })}
-                      </p>
-                      {(statistics.totalRevenue || 0) > 0 && (
-                        <p className={`text-xs font-medium mt-1 ${statistics.totalProfit >= 0 ? 'text-green-600 dark:text-green-400' : 'text-red-600 dark:text-red-400'}`}>
-                          Margin: {((statistics.totalProfit / (statistics.totalRevenue || 1)) * 100).toFixed(1)}%
-                        </p>
-                      )}
-                    </div>
-                  </div>
-                )}
-              </div>
 
-              {/* Monthly Chart */}
-              <div className="space-y-4">
-                <div className="flex flex-col sm:flex-row justify-between items-start sm:items-center gap-3">
-                  <h3 className="text-xl font-semibold text-gray-800 dark:text-white">Monthly Overview</h3>
-                  <div className="flex flex-col sm:flex-row gap-3 w-full sm:w-auto">
-                    <select
-                      value={chartYear}
-                      onChange={(e) => setChartYear(parseInt(e.target.value))}
-                      className="w-full sm:w-auto px-4 py-2 border border-gray-300 dark:border-gray-600 rounded-md focus:outline-none focus:ring-2 focus:ring-pool-blue text-sm bg-white dark:bg-gray-700 text-gray-900 dark:text-white"
-                    >
-                      {yearOptions.map((year) => (
-                        <option key={year} value={year}>
-                          {year}
-                        </option>
-                      ))}
-                    </select>
-                    <select
-                      value={chartMetric}
-                      onChange={(e) => setChartMetric(e.target.value)}
-                      className="w-full sm:w-auto px-4 py-2 border border-gray-300 dark:border-gray-600 rounded-md focus:outline-none focus:ring-2 focus:ring-pool-blue text-sm bg-white dark:bg-gray-700 text-gray-900 dark:text-white"
-                    >
-                      {CHART_METRICS.map((metric) => (
-                        <option key={metric.value} value={metric.value}>
-                          {metric.label}
-                        </option>
-                      ))}
-                    </select>
+                        {/* Receivables (unpaid invoices; not limited to the period) */}
+                        <div className={`bg-white dark:bg-gray-800 rounded-lg shadow p-6 border-l-4 ${(statistics.overdueBalance || 0) > 0 ? 'border-orange-500' : 'border-teal-500'}`}>
+                          <p className="text-sm text-gray-500 dark:text-gray-400 uppercase tracking-wide">Balance Due</p>
+                          <p className="text-3xl font-bold text-gray-900 dark:text-white mt-1">
+                            ${(statistics.balanceDue || 0).toLocaleString('en-US', { minimumFractionDigits: 2, maximumFractionDigits: 2 })}
+                          </p>
+                          <p className="text-xs text-gray-500 dark:text-gray-400 mt-2">
+                            {statistics.openInvoiceCount || 0} open {statistics.openInvoiceCount === 1 ? 'invoice' : 'invoices'}
+                          </p>
+                          {(statistics.overdueBalance || 0) > 0 && (
+                            <p className="text-xs font-medium text-orange-600 dark:text-orange-400">
+                              Overdue: ${statistics.overdueBalance.toLocaleString('en-US', { minimumFractionDigits: 2, maximumFractionDigits: 2 })}
+                            </p>
+                          )}
+                          <p className="text-xs text-gray-500 dark:text-gray-400 mt-1">
+                            Payments received: ${(statistics.paymentsReceived || 0).toLocaleString('en-US', { minimumFractionDigits: 2, maximumFractionDigits: 2 })}
+                          </p>
+                          <button
+                            onClick={() => handleNavClick('receivables')}
+                            className="text-xs font-medium text-pool-blue hover:underline mt-2"
+                          >
+                            View AR aging →
+                          </button>
+                        </div>
+                      </div>
+                    )}
                   </div>
-                </div>
 
-                <div className="bg-white dark:bg-gray-800 rounded-lg shadow p-6">
-                  {loadingMonthly ? (
-                    <div className="flex items-center justify-center py-16">
-                      <div className="animate-spin rounded-full h-8 w-8 border-b-2 border-pool-blue"></div>
-                    </div>
-                  ) : monthlyData?.monthlyData ? (
-                    <div className="h-80">
-                      <ResponsiveContainer width="100%" height="100%">
-                        <BarChart
-                          data={monthlyData.monthlyData}
-                          margin={{ top: 20, right: 30, left: 20, bottom: 5 }}
+                  {/* Monthly Chart */}
+                  <div className="space-y-4">
+                    <div className="flex flex-col sm:flex-row justify-between items-start sm:items-center gap-3">
+                      <h3 className="text-xl font-semibold text-gray-800 dark:text-white">Monthly Overview</h3>
+                      <div className="flex flex-col sm:flex-row gap-3 w-full sm:w-auto">
+                        <select
+                          value={chartYear}
+                          onChange={(e) => setChartYear(parseInt(e.target.value))}
+                          className="w-full sm:w-auto px-4 py-2 border border-gray-300 dark:border-gray-600 rounded-md focus:outline-none focus:ring-2 focus:ring-pool-blue text-sm bg-white dark:bg-gray-700 text-gray-900 dark:text-white"
                         >
-                          <CartesianGrid strokeDasharray="3 3" stroke="#e5e7eb" />
-                          <XAxis
-                            dataKey="month"
-                            tick={{ fill: '#6b7280', fontSize: 12 }}
-                            axisLine={{ stroke: '#d1d5db' }}
-                          />
-                          <YAxis
-                            tickFormatter={formatYAxis}
-                            tick={{ fill: '#6b7280', fontSize: 12 }}
-                            axisLine={{ stroke: '#d1d5db' }}
-                          />
-                          <Tooltip content={<CustomTooltip />} />
-                          <Bar
-                            dataKey={chartMetric}
-                            fill={selectedMetric.color}
-                            radius={[4, 4, 0, 0]}
-                            name={selectedMetric.label}
-                          />
-                        </BarChart>
-                      </ResponsiveContainer>
-                    </div>
-                  ) : (
-                    <div className="flex items-center justify-center py-16 text-gray-500 dark:text-gray-400">
-                      No data available for {chartYear}
-                    </div>
-                  )}
-
-                  {/* Chart Legend / Summary */}
-                  {monthlyData?.monthlyData && !loadingMonthly && (
-                    <div className="mt-4 pt-4 border-t border-gray-200 dark:border-gray-700">
-                      <div className="flex justify-between items-center text-sm">
-                        <span className="text-gray-600 dark:text-gray-400">
-                          <span
-                            className="inline-block w-3 h-3 rounded mr-2"
-                            style={{ backgroundColor: selectedMetric.color }}
-                          ></span>
-                          {selectedMetric.label} for {chartYear}
-                        </span>
-                        <span className="font-semibold text-gray-800 dark:text-white">
-                          {selectedMetric.format === 'currency' ? (
-                            <>Total: ${monthlyData.monthlyData.reduce((sum, m) => sum + (m[chartMetric] || 0), 0).toLocaleString('en-US', { minimumFractionDigits: 2, maximumFractionDigits: 2 })}</>
-                          ) : (
-                            <>Total: {monthlyData.monthlyData.reduce((sum, m) => sum + (m[chartMetric] || 0), 0).toLocaleString('en-US')}</>
-                          )}
-                        </span>
+                          {yearOptions.map((year) => (
+                            <option key={year} value={year}>
+                              {year}
+                            </option>
+                          ))}
+                        </select>
+                        <select
+                          value={chartMetric}
+                          onChange={(e) => setChartMetric(e.target.value)}
+                          className="w-full sm:w-auto px-4 py-2 border border-gray-300 dark:border-gray-600 rounded-md focus:outline-none focus:ring-2 focus:ring-pool-blue text-sm bg-white dark:bg-gray-700 text-gray-900 dark:text-white"
+                        >
+                          {CHART_METRICS.map((metric) => (
+                            <option key={metric.value} value={metric.value}>
+                              {metric.label}
+                            </option>
+                          ))}
+                        </select>
                       </div>
                     </div>
-                  )}
-                </div>
-              </div>
+
+                    <div className="bg-white dark:bg-gray-800 rounded-lg shadow p-6">
+                      {loadingMonthly ? (
+                        <div className="flex items-center justify-center py-16">
+                          <div className="animate-spin rounded-full h-8 w-8 border-b-2 border-pool-blue"></div>
+                        </div>
+                      ) : monthlyData?.monthlyData ? (
+                        <div className="h-80">
+                          <ResponsiveContainer width="100%" height="100%">
+                            <BarChart
+                              data={monthlyData.monthlyData}
+                              margin={{ top: 20, right: 30, left: 20, bottom: 5 }}
+                            >
+                              <CartesianGrid strokeDasharray="3 3" stroke="#e5e7eb" />
+                              <XAxis
+                                dataKey="month"
+                                tick={{ fill: '#6b7280', fontSize: 12 }}
+                                axisLine={{ stroke: '#d1d5db' }}
+                              />
+                              <YAxis
+                                tickFormatter={formatYAxis}
+                                tick={{ fill: '#6b7280', fontSize: 12 }}
+                                axisLine={{ stroke: '#d1d5db' }}
+                              />
+                              <Tooltip content={<CustomTooltip />} />
+                              <Bar
+                                dataKey={chartMetric}
+                                fill={selectedMetric.color}
+                                radius={[4, 4, 0, 0]}
+                                name={selectedMetric.label}
+                              />
+                            </BarChart>
+                          </ResponsiveContainer>
+                        </div>
+                      ) : (
+                        <div className="flex items-center justify-center py-16 text-gray-500 dark:text-gray-400">
+                          No data available for {chartYear}
+                        </div>
+                      )}
+
+                      {/* Chart Legend / Summary */}
+                      {monthlyData?.monthlyData && !loadingMonthly && (
+                        <div className="mt-4 pt-4 border-t border-gray-200 dark:border-gray-700">
+                          <div className="flex justify-between items-center text-sm">
+                            <span className="text-gray-600 dark:text-gray-400">
+                              <span
+                                className="inline-block w-3 h-3 rounded mr-2"
+                                style={{ backgroundColor: selectedMetric.color }}
+                              ></span>
+                              {selectedMetric.label} for {chartYear}
+                            </span>
+                            <span className="font-semibold text-gray-800 dark:text-white">
+                              {selectedMetric.format === 'currency' ? (
+                                <>Total: ${monthlyData.monthlyData.reduce((sum, m) => sum + (m[chartMetric] || 0), 0).toLocaleString('en-US', { minimumFractionDigits: 2, maximumFractionDigits: 2 })}</>
+                              ) : (
+                                <>Total: {monthlyData.monthlyData.reduce((sum, m) => sum + (m[chartMetric] || 0), 0).toLocaleString('en-US')}</>
+                              )}
+                            </span>
+                          </div>
+                        </div>
+                      )}
+                    </div>
+                  </div>
+
+                </>
+              )}
 
               {/* Lead Sources & Project Types - side by side */}
               <div className="grid grid-cols-1 lg:grid-cols-2 gap-6">
@@ -793,15 +981,19 @@ function Dashboard() {
           )}
 
           {activeSection === 'company' && <CompanyInfo />}
-          {activeSection === 'customers' && <Customers />}
-          {activeSection === 'projects' && <Projects />}
-          {activeSection === 'templates' && <Templates />}
-          {activeSection === 'inventory' && <Inventory />}
-          {activeSection === 'subcontractors' && <Subcontractors />}
+          {activeSection === 'customers' && <Customers focusRecord={focusFor('customers')} onFocusHandled={clearFocusRecord} />}
+          {activeSection === 'projects' && <Projects focusRecord={focusFor('projects')} onFocusHandled={clearFocusRecord} />}
+          {activeSection === 'templates' && canViewCosts && <Templates />}
+          {activeSection === 'receivables' && canViewCosts && <Receivables />}
+          {activeSection === 'inventory' && <Inventory focusRecord={focusFor('inventory')} onFocusHandled={clearFocusRecord} />}
+          {activeSection === 'purchasing' && canViewCosts && <Purchasing />}
+          {activeSection === 'subcontractors' && <Subcontractors focusRecord={focusFor('subcontractors')} onFocusHandled={clearFocusRecord} />}
           {activeSection === 'employees' && <Employees />}
           <Calendar isActive={activeSection === 'calendar'} />
           {activeSection === 'goals' && <Goals />}
           {activeSection === 'messages' && <Messages />}
+          {activeSection === 'audit' && canViewAuditLog && <AuditLog />}
+          {activeSection === 'trash' && canManageTrash && <Trash />}
           {activeSection === 'subscription' && <Subscription />}
           {activeSection === 'settings' && <Settings />}
         </div>
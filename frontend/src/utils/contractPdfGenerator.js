@@ -1,6 +1,14 @@
 // pdfmake setup for Vite
 import * as pdfMakeModule from 'pdfmake/build/pdfmake'
 import * as pdfFontsModule from 'pdfmake/build/vfs_fonts'
+// Document definitions are shared with the backend renderer so both produce the same PDF from the same data
+import {
+  formatCurrency,
+  formatDate,
+  PDF_STYLES,
+  buildPageHeader,
+  buildContractDocDefinition,
+} from '../../../backend/pdf/contractDocument.js'
 
 const pdfMake = pdfMakeModule.default || pdfMakeModule
 const pdfFonts = pdfFontsModule.default || pdfFontsModule
@@ -8,148 +16,6 @@ const pdfFonts = pdfFontsModule.default || pdfFontsModule
 // Initialize pdfmake with fonts
 pdfMake.vfs = pdfFonts.pdfMake ? pdfFonts.pdfMake.vfs : pdfFonts.vfs
 
-// Round monetary values to 2 decimal places
-const roundTo2 = (n) => Math.round(Number(n) * 100) / 100
-
-// Helper function to format currency (always show 2 decimals, e.g. $1,000.00)
-const formatCurrency = (amount) => {
-  if (amount === undefined || amount === null || isNaN(Number(amount))) return '$0.00'
-  return new Intl.NumberFormat('en-US', {
-    style: 'currency',
-    currency: 'USD',
-    minimumFractionDigits: 2,
-    maximumFractionDigits: 2,
-  }).format(Number(amount))
-}
-
-// Helper function to format date
-const formatDate = (dateString) => {
-  if (!dateString) return ''
-  const date = new Date(dateString + 'T00:00:00')
-  return date.toLocaleDateString('en-US', {
-    year: 'numeric',
-    month: 'long',
-    day: 'numeric',
-  })
-}
-
-// Generate payment schedule based on expenses or saved document milestones
-// If customerPaymentSchedule is provided, use that; else use savedMilestones from document; else build from expenses
-const generatePaymentSchedule = (data) => {
-  const docType = data.documentType || 'contract'
-  
-  // Use saved milestones from document when no custom payment schedule is provided
-  const savedMilestones = data.savedMilestones && Array.isArray(data.savedMilestones) ? data.savedMilestones : []
-  const fromSavedMilestones = savedMilestones.length > 0 && (!data.customerPaymentSchedule || data.customerPaymentSchedule.length === 0)
-  if (fromSavedMilestones) {
-    return savedMilestones.map((m) => ({
-      description: m.name || '',
-      amount: roundTo2(parseFloat(m.customer_price) || 0),
-    }))
-  }
-  
-  // For proposals, return simplified schedule
-  if (docType === 'proposal') {
-    // If customer payment schedule is provided, use it (but should only have initial fee for proposals)
-    if (data.customerPaymentSchedule && data.customerPaymentSchedule.length > 0) {
-      return data.customerPaymentSchedule
-    }
-    
-    // Otherwise, return proposal schedule: Initial sign fee + balance message
-    return [
-      {
-        description: 'Initial Sign Fee',
-        amount: 1000,
-      },
-      {
-        description: 'Balance of schedule will be provided with contract',
-        amount: 0,
-      },
-    ]
-  }
-  
-  // For change orders, return simplified schedule
-  if (docType === 'change_order') {
-    // If customer payment schedule is provided, use it
-    if (data.customerPaymentSchedule && data.customerPaymentSchedule.length > 0) {
-      return data.customerPaymentSchedule
-    }
-    
-    // Otherwise, return change order schedule: Initial fee + balance message
-    return [
-      {
-        description: 'Initial Fee',
-        amount: 0,
-      },
-      {
-        description: 'Balance of schedule will be provided with contract',
-        amount: 0,
-      },
-    ]
-  }
-  
-  // For contracts (default behavior)
-  // If customer payment schedule is provided, use it directly
-  if (data.customerPaymentSchedule && data.customerPaymentSchedule.length > 0) {
-    return data.customerPaymentSchedule
-  }
-  
-  // Otherwise, generate from internal costs (legacy behavior)
-  const schedule = []
-  const { expenses, totals, project } = data
-  
-  // 1. Initial Contract Fee ($1,000)
-  schedule.push({
-    description: 'Initial Contract Fee',
-    amount: 0,
-  })
-  
-  // 2. Subcontractor payments (one per job)
-  if (expenses.subcontractorFees && expenses.subcontractorFees.length > 0) {
-    expenses.subcontractorFees.forEach((fee) => {
-      const amount = roundTo2(parseFloat(fee.expected_value || fee.flat_fee || 0))
-      if (amount > 0) {
-        schedule.push({
-          description: fee.job_description || 'Work',
-          amount,
-        })
-      }
-    })
-  }
-  
-  // 3. Equipment Order (total of all equipment) - always include if equipment exists
-  if (expenses.equipment && Array.isArray(expenses.equipment) && expenses.equipment.length > 0) {
-    schedule.push({
-      description: 'Equipment Order',
-      amount: roundTo2(totals.equipmentExpected || totals.equipment || 0),
-    })
-  }
-  
-  // 4. Material Order (total of all materials) - always include if materials exist
-  if (expenses.materials && expenses.materials.length > 0) {
-    schedule.push({
-      description: 'Material Order',
-      amount: roundTo2(totals.materialsExpected || totals.materials || 0),
-    })
-  }
-  
-  // 5. Additional Fees (total of additional expenses)
-  if (totals.additional > 0 || totals.additionalExpected > 0) {
-    schedule.push({
-      description: 'Additional Fees',
-      amount: roundTo2(totals.additionalExpected || totals.additional || 0),
-    })
-  }
-  
-  // 6. Final Inspection ($1,000)
-  schedule.push({
-    description: 'Final Inspection',
-    amount: 1000,
-  })
-  
-  return schedule
-}
-
 // Helper function to convert image URL to base64 for pdfmake
 const getImageAsBase64 = async (url) => {
   try {
@@ -167,480 +33,327 @@ const getImageAsBase64 = async (url) => {
   }
 }
 
-// Generate the contract PDF
+// Generate the contract PDF (see backend/pdf/contractDocument.js)
 export const generateContractPdf = async (contractData) => {
-  const {
-    documentNumber,
-    documentDate,
-    documentType,
-    company,
-    project,
-    customer,
-    expenses,
-    totals,
-  } = contractData
-  
-  // Support legacy field names for backwards compatibility
-  const docNumber = documentNumber || contractData.contractNumber
-  const docDate = documentDate || contractData.contractDate
-  const docType = documentType || 'contract'
-  
   // Load company logo if available
+  let logoBase64 = null
+  if (contractData.company?.logo_url) {
+    logoBase64 = await getImageAsBase64(contractData.company.logo_url)
+  }
+
+  return pdfMake.createPdf(buildContractDocDefinition(contractData, { logoBase64 }))
+}
+
+// Download the PDF
+export const downloadContractPdf = async (contractData) => {
+  const pdf = await generateContractPdf(contractData)
+  const docNum = contractData.documentNumber || contractData.contractNumber
+  const docType = contractData.documentType || 'Contract'
+  const typeLabel = docType.charAt(0).toUpperCase() + docType.slice(1).replace('_', ' ')
+  const fileName = `${typeLabel}_${docNum}_${contractData.project?.address?.replace(/[^a-zA-Z0-9]/g, '_') || 'Project'}.pdf`
+  pdf.download(fileName)
+}
+
+// Open the PDF in a new tab
+export const openContractPdf = async (contractData) => {
+  const pdf = await generateContractPdf(contractData)
+  pdf.open()
+}
+
+// Get the PDF as a blob
+export const getContractPdfBlob = async (contractData) => {
+  const pdf = await generateContractPdf(contractData)
+  return new Promise((resolve) => {
+    pdf.getBlob((blob) => {
+      resolve(blob)
+    })
+  })
+}
+
+const PAYMENT_METHOD_LABELS = { check: 'Check', ach: 'ACH', card: 'Card', cash: 'Cash' }
+
+// Generate an invoice PDF from GET /api/invoices/:id ({ invoice, project, customer, company })
+export const generateInvoicePdf = async ({ invoice, project, customer, company }) => {
   let logoBase64 = null
   if (company.logo_url) {
     logoBase64 = await getImageAsBase64(company.logo_url)
   }
-  
-  // Build company address
-  const companyAddress = [
-    company.address_line1,
-    company.address_line2,
-    [company.city, company.state, company.zip_code].filter(Boolean).join(', '),
-  ].filter(Boolean)
-  
-  // Build customer address
+
+  const customerName = customer ? `${customer.first_name || ''} ${customer.last_name || ''}`.trim() : ''
   const customerAddress = customer ? [
     customer.address_line1,
     customer.address_line2,
     [customer.city, customer.state, customer.zip_code].filter(Boolean).join(', '),
   ].filter(Boolean) : []
-  
-  // Build license numbers string
-  const licenseNumbers = company.license_numbers && Array.isArray(company.license_numbers) 
-    ? company.license_numbers.join(', ') 
-    : (company.license_numbers || '')
-  
-  // Generate payment schedule (uses customerPaymentSchedule, then savedMilestones, then expenses)
-  const paymentSchedule = generatePaymentSchedule(contractData)
-  const paymentTotal = roundTo2(contractData.customerGrandTotal ?? paymentSchedule.reduce((sum, item) => sum + item.amount, 0))
-  
-  // Build scope of work: use custom scope from preview, else use saved scope from document
-  // Supports nested structure: { item, description, subscopes?: [...] }
-  let scopeOfWork = []
-  if (contractData.customScopeOfWork && contractData.customScopeOfWork.length > 0) {
-    scopeOfWork = contractData.customScopeOfWork
-      .filter(item => item.item) // Only include items with a title
-      .map((item) => ({
-        item: item.item,
-        description: item.description || '',
-        subscopes: item.subscopes || [],
-      }))
-  } else if (contractData.savedScopeOfWork && contractData.savedScopeOfWork.length > 0) {
-    const items = contractData.savedScopeOfWork
-    const parentIds = new Set(items.filter((i) => i.parent_id).map((i) => i.parent_id))
-    const flat = items.filter((item) =>
-      (item.title || item.item || '').trim() || parentIds.has(item.id)
-    )
-    const buildNested = (parentId) =>
-      flat
-        .filter((i) => (parentId ? i.parent_id === parentId : !i.parent_id))
-        .map((item) => {
-          const children = buildNested(item.id)
-          const node = {
-            item: item.title || item.item || '',
-            description: item.description || '',
-          }
-          if (children.length > 0) node.subscopes = children
-          return node
-        })
-    scopeOfWork = buildNested(null)
-  }
+  const isVoid = invoice.status === 'void'
 
-  // Recursive helper to build scope stack for PDF (item = header, subscopes = subheaders)
-  const buildScopeStack = (items, isFirst = true, depth = 0) => {
-    const result = []
-    const indent = depth * 15
-    const subFontSize = depth === 0 ? 12 : 11
-    const titleColor = depth === 0 ? '#111827' : '#374151'
-    const descColor = depth === 0 ? '#374151' : '#6b7280'
-    items.forEach((item, idx) => {
-      const marginTop = isFirst && idx === 0 ? 0 : 15
-      result.push(
-        { 
-          text: item.item || '', 
-          fontSize: subFontSize, 
-          bold: true, 
-          color: titleColor,
-          margin: [indent, marginTop, 0, 6],
-        },
-        item.description ? { 
-          text: item.description, 
-          fontSize: 10, 
-          color: descColor,
-          lineHeight: 1.4,
-          margin: [indent + 15, 0, 0, depth === 0 ? 8 : 6],
-        } : {}
-      )
-      if (item.subscopes && item.subscopes.length > 0) {
-        result.push(...buildScopeStack(item.subscopes, false, depth + 1))
-      }
-      if (depth === 0 && idx < items.length - 1) {
-        result.push({
-          canvas: [
-            { type: 'line', x1: 0, y1: 5, x2: 520, y2: 5, lineWidth: 0.5, lineColor: '#e5e7eb' }
-          ],
-        })
-      }
-    })
-    return result
-  }
-
-  // Build contact info string (phone, website on same line if both exist)
-  const contactParts = []
-  if (company.phone) contactParts.push(company.phone)
-  if (company.website) contactParts.push(company.website)
-  const contactLine = contactParts.join('  •  ')
-
-  // Define the document
   const docDefinition = {
     pageSize: 'LETTER',
     pageMargins: [40, 115, 40, 60],
-    
-    header: (currentPage, pageCount) => ({
-      margin: [40, 20, 40, 0],
-      stack: [
-        {
-          columns: [
-            // Logo column (left side)
-            logoBase64 ? {
-              width: 80,
-              image: logoBase64,
-              fit: [80, 70],
-            } : { text: '', width: 0 },
-            // Company info column (center)
-            {
-              width: '*',
-              stack: [
-                { text: company.company_name || 'Pool Construction Company', fontSize: 18, bold: true, color: '#1e40af' },
-                { text: companyAddress.join('  •  '), fontSize: 10, color: '#6b7280', margin: [0, 3, 0, 0] },
-                contactLine ? { text: contactLine, fontSize: 10, color: '#6b7280' } : {},
-                licenseNumbers ? { text: `License: ${licenseNumbers}`, fontSize: 10, color: '#6b7280' } : {},
-              ],
-              margin: [logoBase64 ? 12 : 0, 0, 0, 0],
-            },
-            // Document number column (right side)
-            {
-              width: 'auto',
-              stack: [
-                { text: `#${docNumber}`, fontSize: 16, bold: true, color: '#374151', alignment: 'right' },
-                { text: formatDate(docDate), fontSize: 11, color: '#6b7280', alignment: 'right' },
-              ],
-            },
-          ],
-          columnGap: 12,
-        },
-        // Separator line
-        {
-          canvas: [
-            { type: 'line', x1: 0, y1: 12, x2: 532, y2: 12, lineWidth: 1, lineColor: '#e5e7eb' }
-          ],
-        },
-      ],
-    }),
-    
+
+    header: buildPageHeader({ company, logoBase64, docNumber: invoice.invoice_number, docDate: invoice.invoice_date }),
+
     footer: (currentPage, pageCount) => ({
       columns: [
         { text: `${company.company_name || ''}`, fontSize: 8, color: '#9ca3af' },
-        { text: `Document #${docNumber}  •  Page ${currentPage} of ${pageCount}`, alignment: 'right', fontSize: 8, color: '#9ca3af' },
+        { text: `Invoice #${invoice.invoice_number}  •  Page ${currentPage} of ${pageCount}`, alignment: 'right', fontSize: 8, color: '#9ca3af' },
       ],
       margin: [40, 0, 40, 0],
     }),
-    
+
     content: [
-      // ================== CONTRACT TITLE ==================
-      { 
-        text: docType === 'proposal' 
-          ? 'PROPOSAL' 
-          : docType === 'change_order'
-          ? 'CHANGE ORDER'
-          : 'CONTRACT', 
-        style: 'title', 
-        alignment: 'center', 
-        margin: [0, 0, 0, 20] 
-      },
-      
-      // ================== PROJECT INFORMATION ==================
-      { text: 'PROJECT INFORMATION', style: 'sectionHeader' },
+      { text: isVoid ? 'INVOICE (VOID)' : 'INVOICE', style: 'title', alignment: 'center', margin: [0, 0, 0, 20] },
+
+      // ================== BILL TO / INVOICE DETAILS ==================
       {
-        table: {
-          widths: ['30%', '70%'],
-          body: [
-            [{ text: 'Project Address:', style: 'tableLabel' }, { text: project.address || 'TBD', style: 'tableValue' }],
-            [
-              { text: 'Property / Project Type:', style: 'tableLabel' },
-              {
-                text: [
-                  (project.property_type || '').replace(/^(\w)/, (m) => m.toUpperCase()),
-                  Array.isArray(project.project_types) && project.project_types.length
-                    ? project.project_types.map((t) => t.replace(/^(\w)/, (m) => m.toUpperCase())).join(', ')
-                    : '',
-                ].filter(Boolean).join(' – ') || 'TBD',
-                style: 'tableValue',
-              },
+        columns: [
+          {
+            width: '55%',
+            stack: [
+              { text: 'BILL TO', style: 'subHeader' },
+              { text: customerName || 'No customer assigned', style: 'tableValue', bold: true },
+              ...customerAddress.map((line) => ({ text: line, style: 'tableValue' })),
+              customer?.email ? { text: customer.email, style: 'tableValue' } : {},
+              { text: 'PROJECT', style: 'subHeader', margin: [0, 12, 0, 5] },
+              { text: project.project_name || project.address || 'Project', style: 'tableValue' },
+              project.project_name && project.address ? { text: project.address, style: 'tableValue' } : {},
             ],
-            [{ text: 'Square Feet:', style: 'tableLabel' }, { text: project.sq_feet ? `${project.sq_feet} sq ft` : 'TBD', style: 'tableValue' }],
-          ],
-        },
-        layout: 'noBorders',
+          },
+          {
+            width: '45%',
+            table: {
+              widths: ['50%', '50%'],
+              body: [
+                [{ text: 'Invoice #:', style: 'tableLabel' }, { text: String(invoice.invoice_number), style: 'tableValue', alignment: 'right' }],
+                [{ text: 'Invoice Date:', style: 'tableLabel' }, { text: formatDate(invoice.invoice_date), style: 'tableValue', alignment: 'right' }],
+                [{ text: 'Due Date:', style: 'tableLabel' }, { text: formatDate(invoice.due_date) || 'On receipt', style: 'tableValue', alignment: 'right' }],
+                [{ text: 'Balance Due:', style: 'tableLabel' }, { text: formatCurrency(invoice.balance_due), style: 'tableValue', bold: true, alignment: 'right' }],
+              ],
+            },
+            layout: 'noBorders',
+          },
+        ],
+        columnGap: 20,
         margin: [0, 0, 0, 20],
       },
-      
-      // ================== CLIENT INFORMATION ==================
-      { text: 'CLIENT INFORMATION', style: 'sectionHeader' },
-      customer ? {
-        table: {
-          widths: ['30%', '70%'],
-          body: [
-            [{ text: 'Client Name:', style: 'tableLabel' }, { text: `${customer.first_name || ''} ${customer.last_name || ''}`.trim() || 'TBD', style: 'tableValue' }],
-            [{ text: 'Client Address:', style: 'tableLabel' }, { text: customerAddress.join(', ') || 'TBD', style: 'tableValue' }],
-            [{ text: 'Client Email:', style: 'tableLabel' }, { text: customer.email || 'TBD', style: 'tableValue' }],
-            [{ text: 'Client Phone:', style: 'tableLabel' }, { text: customer.phone || 'TBD', style: 'tableValue' }],
-          ],
-        },
-        layout: 'noBorders',
-        margin: [0, 0, 0, 20],
-      } : { text: 'No customer assigned to this project.', style: 'note', margin: [0, 0, 0, 20] },
-      
-      // ================== DESCRIPTION OF WORK ==================
-      { text: 'DESCRIPTION OF WORK', style: 'sectionHeader' },
-      project.accessories_features && project.accessories_features.trim() ? {
-        text: project.accessories_features.trim(),
-        style: 'paragraph',
-        margin: [0, 0, 0, 20],
-      } : { text: 'No description provided.', style: 'note', margin: [0, 0, 0, 20] },
-      
-      // ================== SCOPE OF WORK ==================
-      { text: 'SCOPE OF WORK', style: 'sectionHeader' },
-      { text: 'The Contractor agrees to perform the following work:', style: 'paragraph' },
-      { text: '\n' },
-      
-      // Scope of work items (from preview only; supports subscopes as subheaders)
-      scopeOfWork.length > 0 ? {
-        stack: buildScopeStack(scopeOfWork),
-        margin: [0, 5, 0, 15],
-      } : { text: 'Scope of work to be determined.', style: 'note' },
-      
-      { text: '\n' },
-      
-      // ================== PAYMENT SCHEDULE ==================
-      { text: 'MILESTONE PAYMENT SCHEDULE', style: 'sectionHeader' },
+
+      // ================== LINE ITEMS ==================
+      { text: 'MILESTONES BILLED', style: 'sectionHeader' },
       {
         table: {
           headerRows: 1,
           widths: ['70%', '30%'],
           body: [
             [
-              { text: 'Milestone', style: 'tableHeader' },
+              { text: 'Description', style: 'tableHeader' },
               { text: 'Amount', style: 'tableHeader', alignment: 'right' },
             ],
-            ...paymentSchedule.map(item => [
+            ...invoice.items.map((item) => [
               { text: item.description, style: 'tableValue' },
-              { text: item.amount === 0 && item.description.toLowerCase().includes('balance') ? '-' : formatCurrency(item.amount), style: 'tableValue', alignment: 'right' },
+              { text: formatCurrency(item.amount), style: 'tableValue', alignment: 'right' },
             ]),
             [
-              { text: 'GRAND TOTAL', style: 'tableHeader', fillColor: '#f3f4f6' },
-              { text: formatCurrency(paymentTotal), style: 'tableHeader', alignment: 'right', fillColor: '#f3f4f6' },
+              { text: 'TOTAL', style: 'tableHeader', fillColor: '#f3f4f6' },
+              { text: formatCurrency(invoice.total), style: 'tableHeader', alignment: 'right', fillColor: '#f3f4f6' },
+            ],
+            [
+              { text: 'Payments received', style: 'tableValue' },
+              { text: invoice.amount_paid > 0 ? `-${formatCurrency(invoice.amount_paid)}` : formatCurrency(0), style: 'tableValue', alignment: 'right' },
+            ],
+            [
+              { text: 'BALANCE DUE', style: 'tableHeader', fillColor: '#f3f4f6' },
+              { text: formatCurrency(invoice.balance_due), style: 'tableHeader', alignment: 'right', fillColor: '#f3f4f6' },
             ],
           ],
         },
         layout: 'lightHorizontalLines',
         margin: [0, 0, 0, 20],
       },
-      
-      // ================== COMPANY TERMS OF SERVICE ==================
-      ...(company.terms_of_service ? [
-        { text: 'TERMS & CONDITIONS', style: 'sectionHeader' },
-        { text: company.terms_of_service, style: 'paragraph', margin: [0, 0, 0, 20] },
-      ] : []),
-      
-      // ================== SIGNATURES ==================
-      { text: 'SIGNATURES', style: 'sectionHeader', pageBreak: 'before' },
-      { text: 'By signing below, both parties agree to the terms and conditions set forth in this contract.', style: 'paragraph', margin: [0, 0, 0, 20] },
-      
-      // Owner Signature Block
-      { text: 'OWNER', style: 'subHeader' },
-      {
-        columns: [
-          {
-            width: '60%',
-            stack: [
-              { text: '_'.repeat(50), margin: [0, 30, 0, 5] },
-              { text: 'Signature', style: 'signatureLabel' },
-              { text: '\n' },
-              { text: '_'.repeat(50), margin: [0, 20, 0, 5] },
-              { text: 'Printed Name', style: 'signatureLabel' },
-            ],
-          },
-          {
-            width: '40%',
-            stack: [
-              { text: '_'.repeat(30), margin: [0, 30, 0, 5] },
-              { text: 'Date', style: 'signatureLabel' },
+
+      // ================== PAYMENTS ==================
+      ...(invoice.payments.length > 0 ? [
+        { text: 'PAYMENTS', style: 'sectionHeader' },
+        {
+          table: {
+            headerRows: 1,
+            widths: ['25%', '20%', '30%', '25%'],
+            body: [
+              [
+                { text: 'Date', style: 'tableHeader' },
+                { text: 'Method', style: 'tableHeader' },
+                { text: 'Reference', style: 'tableHeader' },
+                { text: 'Amount', style: 'tableHeader', alignment: 'right' },
+              ],
+              ...invoice.payments.map((payment) => [
+                { text: formatDate(payment.paid_on), style: 'tableValue' },
+                { text: PAYMENT_METHOD_LABELS[payment.method] || payment.method, style: 'tableValue' },
+                { text: payment.reference || '-', style: 'tableValue' },
+                { text: formatCurrency(payment.amount), style: 'tableValue', alignment: 'right' },
+              ]),
             ],
           },
-        ],
-        margin: [0, 24, 0, 30],
-      },
-      
-      // Contractor Signature Block
-      { text: 'CONTRACTOR', style: 'subHeader' },
+          layout: 'lightHorizontalLines',
+          margin: [0, 0, 0, 20],
+        },
+      ] : []),
+
+      // ================== NOTES ==================
+      ...(invoice.notes ? [
+        { text: 'NOTES', style: 'sectionHeader' },
+        { text: invoice.notes, style: 'paragraph', margin: [0, 0, 0, 20] },
+      ] : []),
+
+      { text: `Please reference invoice #${invoice.invoice_number} with your payment. Thank you for your business!`, style: 'note', alignment: 'center', margin: [0, 10, 0, 0] },
+    ],
+
+    styles: PDF_STYLES,
+
+    defaultStyle: {
+      font: 'Roboto',
+    },
+  }
+
+  return pdfMake.createPdf(docDefinition)
+}
+
+// Download the invoice PDF
+export const downloadInvoicePdf = async (invoiceData) => {
+  const pdf = await generateInvoicePdf(invoiceData)
+  const address = invoiceData.project?.address?.replace(/[^a-zA-Z0-9]/g, '_') || 'Project'
+  pdf.download(`Invoice_${invoiceData.invoice.invoice_number}_${address}.pdf`)
+}
+
+// Open the invoice PDF in a new tab
+export const openInvoicePdf = async (invoiceData) => {
+  const pdf = await generateInvoicePdf(invoiceData)
+  pdf.open()
+}
+
+// Generate a purchase order PDF from GET /api/purchase-orders/:id ({ purchaseOrder, company })
+export const generatePurchaseOrderPdf = async ({ purchaseOrder: po, company }) => {
+  let logoBase64 = null
+  if (company.logo_url) {
+    logoBase64 = await getImageAsBase64(company.logo_url)
+  }
+
+  const supplier = po.supplier || {}
+  const isCancelled = po.status === 'cancelled'
+  const formatQuantity = (value) => (value || 0).toLocaleString('en-US', { maximumFractionDigits: 2 })
+  // Projects the lines are for, so the supplier can mark deliveries
+  const projectNames = [...new Set(po.lines.map((line) => line.project_name).filter(Boolean))]
+
+  const docDefinition = {
+    pageSize: 'LETTER',
+    pageMargins: [40, 115, 40, 60],
+
+    header: buildPageHeader({ company, logoBase64, docNumber: `PO-${po.po_number}`, docDate: po.order_date }),
+
+    footer: (currentPage, pageCount) => ({
+      columns: [
+        { text: `${company.company_name || ''}`, fontSize: 8, color: '#9ca3af' },
+        { text: `PO #${po.po_number}  •  Page ${currentPage} of ${pageCount}`, alignment: 'right', fontSize: 8, color: '#9ca3af' },
+      ],
+      margin: [40, 0, 40, 0],
+    }),
+
+    content: [
+      { text: isCancelled ? 'PURCHASE ORDER (CANCELLED)' : 'PURCHASE ORDER', style: 'title', alignment: 'center', margin: [0, 0, 0, 20] },
+
+      // ================== SUPPLIER / ORDER DETAILS ==================
       {
         columns: [
           {
-            width: '60%',
+            width: '55%',
             stack: [
-              { text: '_'.repeat(50), margin: [0, 30, 0, 5] },
-              { text: 'Signature', style: 'signatureLabel' },
-              { text: '\n' },
-              { text: '_'.repeat(50), margin: [0, 20, 0, 5] },
-              { text: 'Printed Name', style: 'signatureLabel' },
-              { text: '\n' },
-              { text: company.company_name || '', style: 'companyInfo' },
+              { text: 'SUPPLIER', style: 'subHeader' },
+              { text: supplier.name || '', style: 'tableValue', bold: true },
+              supplier.contact_name ? { text: `Attn: ${supplier.contact_name}`, style: 'tableValue' } : {},
+              ...(supplier.address ? supplier.address.split('\n').map((line) => ({ text: line, style: 'tableValue' })) : []),
+              supplier.phone ? { text: supplier.phone, style: 'tableValue' } : {},
+              supplier.email ? { text: supplier.email, style: 'tableValue' } : {},
+              ...(projectNames.length > 0 ? [
+                { text: projectNames.length === 1 ? 'PROJECT' : 'PROJECTS', style: 'subHeader', margin: [0, 12, 0, 5] },
+                ...projectNames.map((name) => ({ text: name, style: 'tableValue' })),
+              ] : []),
             ],
           },
           {
-            width: '40%',
-            stack: [
-              { text: '_'.repeat(30), margin: [0, 30, 0, 5] },
-              { text: 'Date', style: 'signatureLabel' },
-            ],
+            width: '45%',
+            table: {
+              widths: ['50%', '50%'],
+              body: [
+                [{ text: 'PO #:', style: 'tableLabel' }, { text: String(po.po_number), style: 'tableValue', alignment: 'right' }],
+                [{ text: 'Order Date:', style: 'tableLabel' }, { text: formatDate(po.order_date), style: 'tableValue', alignment: 'right' }],
+                [{ text: 'Needed By:', style: 'tableLabel' }, { text: formatDate(po.expected_date) || 'As soon as possible', style: 'tableValue', alignment: 'right' }],
+                ...(supplier.account_number ? [[{ text: 'Account #:', style: 'tableLabel' }, { text: supplier.account_number, style: 'tableValue', alignment: 'right' }]] : []),
+                [{ text: 'Total:', style: 'tableLabel' }, { text: formatCurrency(po.total), style: 'tableValue', bold: true, alignment: 'right' }],
+              ],
+            },
+            layout: 'noBorders',
           },
         ],
-        margin: [0, 24, 0, 30],
+        columnGap: 20,
+        margin: [0, 0, 0, 20],
       },
-      
-      // ================== DOCUMENT FOOTER ==================
-      { text: '\n' },
+
+      // ================== LINE ITEMS ==================
+      { text: 'ITEMS', style: 'sectionHeader' },
       {
         table: {
-          widths: ['100%'],
-          body: [[
-            {
-              text: [
-                { text: 'Document Generated: ', bold: true },
-                { text: new Date().toLocaleString() },
-                { text: ' | Document #', bold: true },
-                { text: docNumber },
-              ],
-              style: 'footer',
-              alignment: 'center',
-              fillColor: '#f9fafb',
-            },
-          ]],
+          headerRows: 1,
+          widths: ['*', 'auto', 'auto', 'auto', 'auto'],
+          body: [
+            [
+              { text: 'Description', style: 'tableHeader' },
+              { text: 'Qty', style: 'tableHeader', alignment: 'right' },
+              { text: 'Unit', style: 'tableHeader' },
+              { text: 'Unit Cost', style: 'tableHeader', alignment: 'right' },
+              { text: 'Amount', style: 'tableHeader', alignment: 'right' },
+            ],
+            ...po.lines.map((line) => [
+              { text: line.description, style: 'tableValue' },
+              { text: formatQuantity(line.quantity), style: 'tableValue', alignment: 'right' },
+              { text: line.unit || '', style: 'tableValue' },
+              { text: formatCurrency(line.unit_cost), style: 'tableValue', alignment: 'right' },
+              { text: formatCurrency(line.line_total), style: 'tableValue', alignment: 'right' },
+            ]),
+            [
+              { text: 'TOTAL', style: 'tableHeader', fillColor: '#f3f4f6', colSpan: 4 },
+              {},
+              {},
+              {},
+              { text: formatCurrency(po.total), style: 'tableHeader', alignment: 'right', fillColor: '#f3f4f6' },
+            ],
+          ],
         },
-        layout: 'noBorders',
+        layout: 'lightHorizontalLines',
+        margin: [0, 0, 0, 20],
       },
+
+      // ================== NOTES ==================
+      ...(po.notes ? [
+        { text: 'NOTES', style: 'sectionHeader' },
+        { text: po.notes, style: 'paragraph', margin: [0, 0, 0, 20] },
+      ] : []),
+
+      { text: `Please reference PO #${po.po_number} on all deliveries and invoices.`, style: 'note', alignment: 'center', margin: [0, 10, 0, 0] },
     ],
-    
-    // ================== STYLES ==================
-    styles: {
-      companyName: {
-        fontSize: 18,
-        bold: true,
-        color: '#1e40af',
-        margin: [0, 0, 0, 5],
-      },
-      companyInfo: {
-        fontSize: 10,
-        color: '#4b5563',
-        margin: [0, 1, 0, 1],
-      },
-      title: {
-        fontSize: 20,
-        bold: true,
-        color: '#111827',
-        margin: [0, 10, 0, 10],
-      },
-      sectionHeader: {
-        fontSize: 14,
-        bold: true,
-        color: '#1e40af',
-        margin: [0, 15, 0, 10],
-        decoration: 'underline',
-      },
-      subHeader: {
-        fontSize: 11,
-        bold: true,
-        color: '#374151',
-        margin: [0, 5, 0, 5],
-      },
-      paragraph: {
-        fontSize: 10,
-        color: '#374151',
-        lineHeight: 1.4,
-      },
-      label: {
-        fontSize: 10,
-        bold: true,
-        color: '#6b7280',
-      },
-      tableHeader: {
-        fontSize: 10,
-        bold: true,
-        color: '#111827',
-        fillColor: '#f3f4f6',
-      },
-      tableLabel: {
-        fontSize: 10,
-        bold: true,
-        color: '#6b7280',
-      },
-      tableValue: {
-        fontSize: 10,
-        color: '#111827',
-      },
-      bulletList: {
-        fontSize: 10,
-        color: '#374151',
-        margin: [10, 0, 0, 0],
-      },
-      note: {
-        fontSize: 9,
-        italics: true,
-        color: '#6b7280',
-      },
-      signatureLabel: {
-        fontSize: 9,
-        color: '#6b7280',
-      },
-      footer: {
-        fontSize: 8,
-        color: '#9ca3af',
-      },
-    },
-    
+
+    styles: PDF_STYLES,
+
     defaultStyle: {
       font: 'Roboto',
     },
   }
-  
-  return pdfMake.createPdf(docDefinition)
-}
-
-// Download the PDF
-export const downloadContractPdf = async (contractData) => {
-  const pdf = await generateContractPdf(contractData)
-  const docNum = contractData.documentNumber || contractData.contractNumber
-  const docType = contractData.documentType || 'Contract'
-  const typeLabel = docType.charAt(0).toUpperCase() + docType.slice(1).replace('_', ' ')
-  const fileName = `${typeLabel}_${docNum}_${contractData.project?.address?.replace(/[^a-zA-Z0-9]/g, '_') || 'Project'}.pdf`
-  pdf.download(fileName)
-}
 
-// Open the PDF in a new tab
-export const openContractPdf = async (contractData) => {
-  const pdf = await generateContractPdf(contractData)
-  pdf.open()
+  return pdfMake.createPdf(docDefinition)
 }
 
-// Get the PDF as a blob
-export const getContractPdfBlob = async (contractData) => {
-  const pdf = await generateContractPdf(contractData)
-  return new Promise((resolve) => {
-    pdf.getBlob((blob) => {
-      resolve(blob)
-    })
-  })
+// Download the purchase order PDF
+export const downloadPurchaseOrderPdf = async (purchaseOrderData) => {
+  const pdf = await generatePurchaseOrderPdf(purchaseOrderData)
+  const supplier = purchaseOrderData.purchaseOrder.supplier?.name?.replace(/[^a-zA-Z0-9]/g, '_') || 'Supplier'
+  pdf.download(`PO_${purchaseOrderData.purchaseOrder.po_number}_${supplier}.pdf`)
 }
 
 export default {
@@ -648,4 +361,9 @@ export default {
   downloadContractPdf,
   openContractPdf,
   getContractPdfBlob,
+  generateInvoicePdf,
+  downloadInvoicePdf,
+  openInvoicePdf,
+  generatePurchaseOrderPdf,
+  downloadPurchaseOrderPdf,
 }
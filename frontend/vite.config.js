@@ -14,6 +14,11 @@ export default defineConfig(({ mode }) => {
     plugins: [react()],
     server: {
       port: 3000,
+      // Contract PDFs are built from backend/pdf/contractDocument.js (shared with the server-side renderer), so the
+      // frontend is always built from a full checkout; see Deployment in the README
+      fs: {
+        allow: [__dirname, resolve(__dirname, '../backend/pdf')],
+      },
       proxy: {
         '/api': {
           target: 'http://localhost:5000',